@@ -0,0 +1,183 @@
+import { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { admin as adminApi } from '../lib/api';
+
+const STATUS_TABS = [
+  { value: 'PENDING', label: 'Pending' },
+  { value: 'UPHELD', label: 'Upheld' },
+  { value: 'OVERTURNED', label: 'Overturned' },
+];
+
+function displayName(entry) {
+  return entry ? `${entry.firstName} ${entry.lastName} (@${entry.username})` : 'Deleted user';
+}
+
+function describeAction(action) {
+  if (action.type === 'BAN') {
+    return 'Banned';
+  }
+  return `Suspended until ${new Date(action.expiresAt).toLocaleString()}`;
+}
+
+/**
+ * AppealQueue Component - Appeals against suspensions and bans
+ * Moderators uphold or overturn appeals; overturning restores the account.
+ * Only admins can overturn a ban.
+ */
+function AppealQueue({ canOverturnBans, onUserActioned }) {
+  const [status, setStatus] = useState('PENDING');
+  const [appeals, setAppeals] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionAppealId, setActionAppealId] = useState(null);
+
+  const loadAppeals = useCallback(
+    async (cursor) => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await adminApi.listAppeals({ status, cursor });
+        setAppeals((prev) => (cursor ? [...prev, ...data.appeals] : data.appeals));
+        setNextCursor(data.nextCursor);
+      } catch (err) {
+        setError(err.message || 'Failed to load appeals');
+      } finally {
+        setLoading(false);
+      }
+    },
+    [status]
+  );
+
+  useEffect(() => {
+    loadAppeals();
+  }, [loadAppeals]);
+
+  async function handleReview(appeal, decision) {
+    const verb = decision === 'OVERTURN' ? 'Overturn' : 'Uphold';
+    if (!window.confirm(`${verb} this appeal? The user will be emailed the outcome.`)) {
+      return;
+    }
+    const note = window.prompt('Note for the user (optional):') || undefined;
+
+    try {
+      setActionAppealId(appeal.id);
+      setError(null);
+      const result = await adminApi.reviewAppeal(appeal.id, decision, note);
+      if (result.restored) {
+        onUserActioned?.();
+      }
+      await loadAppeals();
+    } catch (err) {
+      setError(err.message || 'Failed to review appeal');
+    } finally {
+      setActionAppealId(null);
+    }
+  }
+
+  const buttonClass = 'rounded-md border px-3 py-1 text-xs transition disabled:opacity-50';
+
+  return (
+    <section className="cyber-card border border-cyber-border/80 p-5 space-y-4">
+      <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+        <h2 className="text-xl font-semibold text-white">Appeals</h2>
+        <div className="flex gap-2">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => setStatus(tab.value)}
+              className={`${buttonClass} ${
+                status === tab.value
+                  ? 'border-cyber-blue bg-cyber-blue/10 text-cyber-blue'
+                  : 'border-cyber-border/70 bg-cyber-surface/70 text-gray-300 hover:text-white'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {!loading && appeals.length === 0 && (
+        <p className="text-sm text-gray-500">No {status.toLowerCase()} appeals.</p>
+      )}
+
+      <ul className="space-y-3">
+        {appeals.map((appeal) => {
+          const busy = actionAppealId === appeal.id;
+          const { action } = appeal;
+          return (
+            <li
+              key={appeal.id}
+              className="rounded-lg border border-cyber-border/60 bg-cyber-surface/60 p-4 space-y-2"
+            >
+              <div className="flex flex-wrap items-center gap-2 text-xs">
+                <span className="font-medium text-white text-sm">{displayName(appeal.user)}</span>
+                <span className="rounded-full border border-orange-400/60 bg-orange-500/10 px-2 py-0.5 text-orange-300">
+                  {describeAction(action)}
+                </span>
+                <span className="text-gray-500">{new Date(appeal.createdAt).toLocaleString()}</span>
+              </div>
+
+              <div className="text-xs text-gray-500">
+                {action.type === 'BAN' ? 'Banned' : 'Suspended'} by {displayName(action.moderator)}{' '}
+                on {new Date(action.createdAt).toLocaleString()}
+                {action.reason && ` — ${action.reason}`}
+              </div>
+
+              <blockquote className="border-l-2 border-cyber-border pl-3 text-sm text-gray-300 whitespace-pre-wrap">
+                {appeal.message}
+              </blockquote>
+
+              {appeal.status === 'PENDING' ? (
+                <div className="flex flex-wrap gap-2 pt-1">
+                  {(action.type !== 'BAN' || canOverturnBans) && (
+                    <button
+                      onClick={() => handleReview(appeal, 'OVERTURN')}
+                      disabled={busy}
+                      className={`${buttonClass} border-cyber-blue/60 bg-cyber-blue/10 text-cyber-blue hover:bg-cyber-blue/20`}
+                    >
+                      Overturn and restore
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleReview(appeal, 'UPHOLD')}
+                    disabled={busy}
+                    className={`${buttonClass} border-cyber-border/70 bg-cyber-surface/70 text-gray-200 hover:border-cyber-blue hover:text-white`}
+                  >
+                    Uphold
+                  </button>
+                </div>
+              ) : (
+                <div className="text-xs text-gray-500">
+                  {appeal.status === 'OVERTURNED' ? 'Overturned' : 'Upheld'} by{' '}
+                  {displayName(appeal.reviewer)} on {new Date(appeal.reviewedAt).toLocaleString()}
+                  {appeal.reviewNote && ` — ${appeal.reviewNote}`}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {nextCursor && (
+        <button
+          onClick={() => loadAppeals(nextCursor)}
+          disabled={loading}
+          className="w-full py-2 text-sm text-cyber-blue hover:text-white transition-colors disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </section>
+  );
+}
+
+AppealQueue.propTypes = {
+  canOverturnBans: PropTypes.bool,
+  onUserActioned: PropTypes.func,
+};
+
+export default AppealQueue;
@@ -0,0 +1,110 @@
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { users } from '../lib/api';
+
+/**
+ * BlockedUsersPanel Component - Lists the users you've blocked or muted
+ * Lets you unblock or unmute them from your profile settings.
+ */
+function BlockedUsersPanel() {
+  const [blocked, setBlocked] = useState([]);
+  const [muted, setMuted] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadBlocks();
+  }, []);
+
+  async function loadBlocks() {
+    try {
+      const data = await users.getBlocks();
+      setBlocked(data.blocked);
+      setMuted(data.muted);
+    } catch (err) {
+      console.error('Failed to load blocked users:', err);
+      setError(err.message || 'Failed to load blocked users');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleUnblock(userId) {
+    try {
+      await users.unblockUser(userId);
+      setBlocked((prev) => prev.filter((entry) => entry.user.id !== userId));
+    } catch (err) {
+      console.error('Failed to unblock user:', err);
+      setError(err.message || 'Failed to unblock user');
+    }
+  }
+
+  async function handleUnmute(userId) {
+    try {
+      await users.unmuteUser(userId);
+      setMuted((prev) => prev.filter((entry) => entry.user.id !== userId));
+    } catch (err) {
+      console.error('Failed to unmute user:', err);
+      setError(err.message || 'Failed to unmute user');
+    }
+  }
+
+  function renderList(entries, actionLabel, onAction, emptyText) {
+    if (entries.length === 0) {
+      return <p className="text-xs text-gray-600">{emptyText}</p>;
+    }
+    return (
+      <ul className="space-y-2">
+        {entries.map(({ user }) => (
+          <li key={user.id} className="flex items-center justify-between text-sm">
+            <Link
+              href={`/hub/users/${user.id}`}
+              className="truncate text-gray-300 transition hover:text-cyber-blue"
+            >
+              {user.firstName} {user.lastName}
+              <span className="ml-1 text-xs text-gray-600">@{user.username}</span>
+            </Link>
+            <button
+              type="button"
+              onClick={() => onAction(user.id)}
+              className="ml-3 text-xs text-cyber-blue transition hover:text-cyber-pink"
+            >
+              {actionLabel}
+            </button>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  return (
+    <div className="cyber-card space-y-4 border border-cyber-border/80 p-6">
+      <div>
+        <h2 className="text-lg font-semibold text-white">Blocked & Muted</h2>
+        <p className="text-xs uppercase tracking-[0.3em] text-gray-500">Privacy</p>
+      </div>
+      <p className="text-xs text-gray-500">
+        Blocked users can&apos;t message you, comment on or react to your posts, or send you
+        connection requests and invites. Muted users&apos; posts and notifications stay out of your
+        feed without them knowing.
+      </p>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      {loading ? (
+        <p className="text-xs text-gray-600">Loading...</p>
+      ) : (
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <p className="text-xs font-semibold text-gray-400">Blocked</p>
+            {renderList(blocked, 'Unblock', handleUnblock, 'You haven’t blocked anyone.')}
+          </div>
+          <div className="space-y-2">
+            <p className="text-xs font-semibold text-gray-400">Muted</p>
+            {renderList(muted, 'Unmute', handleUnmute, 'You haven’t muted anyone.')}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BlockedUsersPanel;
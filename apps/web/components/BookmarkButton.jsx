@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { users } from '../lib/api';
+
+/**
+ * BookmarkButton Component - Saves an item to the user's bookmarks
+ * Pass `bookmark` from a bulk lookup to skip the per-item request.
+ */
+function BookmarkButton({ targetType, targetId, bookmark, onChange, compact = false }) {
+  const [saved, setSaved] = useState(bookmark);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (bookmark !== undefined) {
+      setSaved(bookmark);
+      return;
+    }
+    users
+      .lookupBookmarks(targetType, [targetId])
+      .then((data) => setSaved(data.bookmarks[targetId] || null))
+      .catch((error) => console.error('Failed to load bookmark:', error));
+  }, [targetType, targetId, bookmark]);
+
+  async function handleToggle() {
+    if (busy) return;
+    setBusy(true);
+    try {
+      if (saved) {
+        await users.deleteBookmark(saved.id);
+        setSaved(null);
+        onChange?.(null);
+      } else {
+        const data = await users.createBookmark({ targetType, targetId });
+        const created = {
+          id: data.bookmark.id,
+          collectionId: data.bookmark.collection?.id || null,
+          note: data.bookmark.note,
+        };
+        setSaved(created);
+        onChange?.(created);
+      }
+    } catch (error) {
+      console.error('Failed to update bookmark:', error);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <button
+      onClick={handleToggle}
+      disabled={busy}
+      title={saved ? 'Remove bookmark' : 'Bookmark'}
+      className={`flex items-center gap-1 transition-colors disabled:opacity-60 ${
+        saved ? 'text-teal-400 hover:text-teal-300' : 'text-gray-400 hover:text-teal-400'
+      } ${compact ? 'text-xs' : 'text-sm'}`}
+    >
+      <span>{saved ? '★' : '☆'}</span>
+      {!compact && <span>{saved ? 'Saved' : 'Save'}</span>}
+    </button>
+  );
+}
+
+BookmarkButton.propTypes = {
+  targetType: PropTypes.oneOf(['POST', 'THREAD', 'RESOURCE', 'PROJECT', 'CHAT_MESSAGE']).isRequired,
+  targetId: PropTypes.string.isRequired,
+  bookmark: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    collectionId: PropTypes.string,
+    note: PropTypes.string,
+  }),
+  onChange: PropTypes.func,
+  compact: PropTypes.bool,
+};
+
+export default BookmarkButton;
@@ -2,19 +2,34 @@ import { useState } from 'react';
 import PropTypes from 'prop-types';
 import Link from 'next/link';
 import { hub } from '../lib/api';
+import ReactionBar from './ReactionBar';
+import RevisionHistory from './RevisionHistory';
+import ReportButton from './ReportButton';
 
 /**
  * Single Comment Component with reply functionality
  */
-function Comment({ comment, onReply, onEdit, onDelete, currentUserId, depth = 0 }) {
+function Comment({
+  comment,
+  reactionSet,
+  onReply,
+  onEdit,
+  onDelete,
+  onReact,
+  currentUserId,
+  canModerate = false,
+  depth = 0,
+}) {
   const [showReplyForm, setShowReplyForm] = useState(false);
   const [replyContent, setReplyContent] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
   const [editContent, setEditContent] = useState(comment.content);
   const [saving, setSaving] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
 
   const isAuthor = comment.author.id === currentUserId;
+  const canViewHistory = comment.editedAt && (isAuthor || canModerate);
 
   const handleReplySubmit = async (e) => {
     e.preventDefault();
@@ -83,6 +98,17 @@ function Comment({ comment, onReply, onEdit, onDelete, currentUserId, depth = 0
                 hour: '2-digit',
                 minute: '2-digit',
               })}
+              {comment.editedAt &&
+                (canViewHistory ? (
+                  <button
+                    onClick={() => setShowHistory(true)}
+                    className="ml-2 text-gray-500 hover:text-teal-400 underline transition-colors"
+                  >
+                    edited
+                  </button>
+                ) : (
+                  <span className="ml-2 text-gray-500">edited</span>
+                ))}
             </p>
           </div>
         </div>
@@ -124,6 +150,14 @@ function Comment({ comment, onReply, onEdit, onDelete, currentUserId, depth = 0
         {/* Comment Actions */}
         {!isEditing && (
           <div className="flex items-center space-x-4 text-xs">
+            {reactionSet.length > 0 && (
+              <ReactionBar
+                reactions={comment.reactions}
+                reactionSet={reactionSet}
+                onReact={(type) => onReact(comment.id, type)}
+                compact
+              />
+            )}
             {depth < 2 && ( // Limit nesting to 2 levels
               <button
                 onClick={() => setShowReplyForm(!showReplyForm)}
@@ -148,6 +182,14 @@ function Comment({ comment, onReply, onEdit, onDelete, currentUserId, depth = 0
                 </button>
               </>
             )}
+            {!isAuthor && currentUserId && (
+              <ReportButton
+                targetType="COMMENT"
+                targetId={comment.id}
+                label="Report comment"
+                compact
+              />
+            )}
             {comment._count?.replies > 0 && (
               <span className="text-gray-400">
                 {comment._count.replies} {comment._count.replies === 1 ? 'reply' : 'replies'}
@@ -190,6 +232,13 @@ function Comment({ comment, onReply, onEdit, onDelete, currentUserId, depth = 0
         )}
       </div>
 
+      {showHistory && (
+        <RevisionHistory
+          loadRevisions={() => hub.getCommentRevisions(comment.id)}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       {/* Nested Replies */}
       {comment.replies && comment.replies.length > 0 && (
         <div className="space-y-2">
@@ -197,10 +246,13 @@ function Comment({ comment, onReply, onEdit, onDelete, currentUserId, depth = 0
             <Comment
               key={reply.id}
               comment={reply}
+              reactionSet={reactionSet}
               onReply={onReply}
               onEdit={onEdit}
               onDelete={onDelete}
+              onReact={onReact}
               currentUserId={currentUserId}
+              canModerate={canModerate}
               depth={depth + 1}
             />
           ))}
@@ -215,6 +267,7 @@ Comment.propTypes = {
     id: PropTypes.string.isRequired,
     content: PropTypes.string.isRequired,
     createdAt: PropTypes.string.isRequired,
+    editedAt: PropTypes.string,
     author: PropTypes.shape({
       id: PropTypes.string.isRequired,
       firstName: PropTypes.string.isRequired,
@@ -222,21 +275,25 @@ Comment.propTypes = {
       photoUrl: PropTypes.string,
     }).isRequired,
     replies: PropTypes.array,
+    reactions: PropTypes.object,
     _count: PropTypes.shape({
       replies: PropTypes.number,
     }),
   }).isRequired,
+  reactionSet: ReactionBar.propTypes.reactionSet,
   onReply: PropTypes.func.isRequired,
   onEdit: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
+  onReact: PropTypes.func.isRequired,
   currentUserId: PropTypes.string,
+  canModerate: PropTypes.bool,
   depth: PropTypes.number,
 };
 
 /**
  * CommentSection Component - Displays all comments and handles new comments
  */
-function CommentSection({ postId, comments, onCommentAdded, onCommentsUpdated }) {
+function CommentSection({ postId, comments, reactionSet = [], onCommentAdded, onCommentsUpdated }) {
   const [newComment, setNewComment] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
@@ -277,11 +334,22 @@ function CommentSection({ postId, comments, onCommentAdded, onCommentsUpdated })
     }
   };
 
-  // Get current user ID from user context (passed via page)
-  const currentUserId =
-    typeof window !== 'undefined'
-      ? JSON.parse(localStorage.getItem('maestro_user') || '{}').id
-      : null;
+  const handleReact = async (commentId, type) => {
+    try {
+      await hub.reactToComment(commentId, type);
+      if (onCommentsUpdated) {
+        await onCommentsUpdated(postId);
+      }
+    } catch (err) {
+      console.error('Failed to react to comment:', err);
+    }
+  };
+
+  // Get current user from user context (passed via page)
+  const currentUser =
+    typeof window !== 'undefined' ? JSON.parse(localStorage.getItem('maestro_user') || '{}') : {};
+  const currentUserId = currentUser.id || null;
+  const canModerate = ['MODERATOR', 'ADMIN'].includes(currentUser.role);
 
   return (
     <div className="space-y-4">
@@ -320,10 +388,13 @@ function CommentSection({ postId, comments, onCommentAdded, onCommentsUpdated })
             <Comment
               key={comment.id}
               comment={comment}
+              reactionSet={reactionSet}
               onReply={handleReply}
               onEdit={handleEdit}
               onDelete={handleDelete}
+              onReact={handleReact}
               currentUserId={currentUserId}
+              canModerate={canModerate}
             />
           ))
         )}
@@ -346,6 +417,7 @@ CommentSection.propTypes = {
       replies: PropTypes.array,
     })
   ).isRequired,
+  reactionSet: ReactionBar.propTypes.reactionSet,
   onCommentAdded: PropTypes.func.isRequired,
   onCommentsUpdated: PropTypes.func,
 };
@@ -0,0 +1,302 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { hub } from '../lib/api';
+
+const INVITE_DURATIONS = [
+  { hours: 24, label: '1 day' },
+  { hours: 168, label: '7 days' },
+  { hours: 720, label: '30 days' },
+];
+
+const LOG_ACTIONS = {
+  PIN_POST: 'pinned a post by',
+  UNPIN_POST: 'unpinned a post by',
+  REMOVE_POST: 'removed a post by',
+  REMOVE_COMMENT: 'removed a comment by',
+  MUTE_MEMBER: 'muted',
+  UNMUTE_MEMBER: 'unmuted',
+  REMOVE_MEMBER: 'removed',
+  BAN_MEMBER: 'banned',
+  UNBAN_MEMBER: 'lifted the ban on',
+  CHANGE_ROLE: 'changed the role of',
+  UPDATE_SETTINGS: 'updated the group settings',
+};
+
+/**
+ * GroupAdminPanel Component - Join requests, invite links, bans and the moderation log of a Hub group
+ * Shown to group admins and moderators.
+ */
+function GroupAdminPanel({ groupId, canViewLog = false, onMembersChanged }) {
+  const [requests, setRequests] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [bans, setBans] = useState([]);
+  const [inviteHours, setInviteHours] = useState(168);
+  const [inviteMaxUses, setInviteMaxUses] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+  const [logEntries, setLogEntries] = useState([]);
+  const [logCursor, setLogCursor] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadPanel();
+  }, [groupId]);
+
+  async function loadPanel() {
+    try {
+      const [requestData, inviteData, banData] = await Promise.all([
+        hub.getGroupJoinRequests(groupId),
+        hub.getGroupInvites(groupId),
+        hub.getGroupBans(groupId),
+      ]);
+      setRequests(requestData.requests);
+      setInvites(inviteData.invites);
+      setBans(banData.bans);
+      if (canViewLog) {
+        await loadLog();
+      }
+    } catch (err) {
+      console.error('Failed to load group admin tools:', err);
+      setError(err.message || 'Failed to load group admin tools');
+    }
+  }
+
+  async function loadLog(cursor) {
+    const data = await hub.getGroupModerationLog(groupId, { cursor });
+    setLogEntries((prev) => (cursor ? [...prev, ...data.entries] : data.entries));
+    setLogCursor(data.nextCursor);
+  }
+
+  async function runAction(action, { membersChanged = false } = {}) {
+    setError(null);
+    try {
+      await action();
+      await loadPanel();
+      if (membersChanged) {
+        onMembersChanged();
+      }
+    } catch (err) {
+      console.error('Group admin action failed:', err);
+      setError(err.message || 'Something went wrong');
+    }
+  }
+
+  function handleCreateInvite(e) {
+    e.preventDefault();
+    runAction(() =>
+      hub.createGroupInvite(groupId, {
+        expiresInHours: inviteHours,
+        maxUses: inviteMaxUses ? parseInt(inviteMaxUses, 10) : null,
+      })
+    );
+  }
+
+  async function handleCopy(invite) {
+    try {
+      await navigator.clipboard.writeText(invite.url);
+      setCopiedId(invite.id);
+    } catch (err) {
+      console.error('Failed to copy invite link:', err);
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+
+      {/* Join Requests */}
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+        <h2 className="text-xl font-semibold text-white mb-4">Join Requests</h2>
+        {requests.length === 0 ? (
+          <p className="text-gray-400 text-sm">No pending requests</p>
+        ) : (
+          <div className="space-y-3">
+            {requests.map((request) => (
+              <div key={request.id} className="flex items-start justify-between">
+                <div>
+                  <p className="text-white">
+                    {request.user.firstName} {request.user.lastName}{' '}
+                    <span className="text-gray-400 text-sm">@{request.user.username}</span>
+                  </p>
+                  {request.message && (
+                    <p className="text-gray-300 text-sm mt-1">{request.message}</p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-3 text-sm">
+                  <button
+                    onClick={() =>
+                      runAction(() => hub.approveGroupJoinRequest(groupId, request.id), {
+                        membersChanged: true,
+                      })
+                    }
+                    className="px-3 py-1 bg-teal-600 text-white rounded hover:bg-teal-700 transition-colors"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => runAction(() => hub.rejectGroupJoinRequest(groupId, request.id))}
+                    className="text-gray-400 hover:text-red-400 transition-colors"
+                  >
+                    Decline
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Invite Links */}
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+        <h2 className="text-xl font-semibold text-white mb-4">Invite Links</h2>
+        <form onSubmit={handleCreateInvite} className="flex flex-wrap items-center gap-3 mb-4">
+          <select
+            value={inviteHours}
+            onChange={(e) => setInviteHours(parseInt(e.target.value, 10))}
+            aria-label="Invite expires after"
+            className="bg-gray-700 text-white px-3 py-2 rounded text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+          >
+            {INVITE_DURATIONS.map((option) => (
+              <option key={option.hours} value={option.hours}>
+                Expires in {option.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="1"
+            value={inviteMaxUses}
+            onChange={(e) => setInviteMaxUses(e.target.value)}
+            placeholder="Unlimited uses"
+            aria-label="Maximum uses"
+            className="w-36 bg-gray-700 text-white px-3 py-2 rounded text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-teal-600 text-white rounded text-sm hover:bg-teal-700 transition-colors"
+          >
+            Create Link
+          </button>
+        </form>
+        {invites.length === 0 ? (
+          <p className="text-gray-400 text-sm">No active invite links</p>
+        ) : (
+          <div className="space-y-3">
+            {invites.map((invite) => (
+              <div key={invite.id} className="flex items-center justify-between text-sm">
+                <div>
+                  <p className="text-gray-300 font-mono break-all">{invite.url}</p>
+                  <p className="text-gray-500 text-xs">
+                    {invite.invitee
+                      ? `For ${invite.invitee.firstName} ${invite.invitee.lastName} · `
+                      : ''}
+                    Used {invite.uses}
+                    {invite.maxUses ? ` of ${invite.maxUses}` : ''} ·{' '}
+                    {invite.expiresAt
+                      ? `expires ${new Date(invite.expiresAt).toLocaleString()}`
+                      : 'never expires'}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3 ml-4">
+                  <button
+                    onClick={() => handleCopy(invite)}
+                    className="text-gray-400 hover:text-teal-400 transition-colors"
+                  >
+                    {copiedId === invite.id ? 'Copied' : 'Copy'}
+                  </button>
+                  <button
+                    onClick={() => runAction(() => hub.revokeGroupInvite(groupId, invite.id))}
+                    className="text-gray-400 hover:text-red-400 transition-colors"
+                  >
+                    Revoke
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Bans */}
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+        <h2 className="text-xl font-semibold text-white mb-4">Banned Users</h2>
+        {bans.length === 0 ? (
+          <p className="text-gray-400 text-sm">Nobody is banned</p>
+        ) : (
+          <div className="space-y-3">
+            {bans.map((ban) => (
+              <div key={ban.id} className="flex items-center justify-between text-sm">
+                <div>
+                  <p className="text-white">
+                    {ban.user.firstName} {ban.user.lastName}{' '}
+                    <span className="text-gray-400">@{ban.user.username}</span>
+                  </p>
+                  {ban.reason && <p className="text-gray-400 text-xs">{ban.reason}</p>}
+                </div>
+                <button
+                  onClick={() => runAction(() => hub.unbanGroupMember(groupId, ban.userId))}
+                  className="text-gray-400 hover:text-teal-400 transition-colors"
+                >
+                  Lift Ban
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Moderation Log */}
+      {canViewLog && (
+        <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+          <h2 className="text-xl font-semibold text-white mb-4">Moderation Log</h2>
+          {logEntries.length === 0 ? (
+            <p className="text-gray-400 text-sm">No moderation actions yet</p>
+          ) : (
+            <div className="space-y-2">
+              {logEntries.map((entry) => (
+                <div key={entry.id} className="text-sm">
+                  <p className="text-gray-300">
+                    <span className="text-white">
+                      {entry.actor.firstName} {entry.actor.lastName}
+                    </span>{' '}
+                    {LOG_ACTIONS[entry.action]}
+                    {entry.targetUser && (
+                      <span className="text-white">
+                        {' '}
+                        {entry.targetUser.firstName} {entry.targetUser.lastName}
+                      </span>
+                    )}
+                    <span className="text-gray-500 text-xs ml-2">
+                      {new Date(entry.createdAt).toLocaleString()}
+                    </span>
+                  </p>
+                  {entry.details && <p className="text-gray-400 text-xs">{entry.details}</p>}
+                </div>
+              ))}
+              {logCursor && (
+                <button
+                  onClick={() =>
+                    loadLog(logCursor).catch((err) => {
+                      console.error('Failed to load moderation log:', err);
+                      setError(err.message || 'Failed to load moderation log');
+                    })
+                  }
+                  className="text-teal-400 hover:text-teal-300 text-sm transition-colors"
+                >
+                  Show older entries
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+GroupAdminPanel.propTypes = {
+  groupId: PropTypes.string.isRequired,
+  canViewLog: PropTypes.bool,
+  onMembersChanged: PropTypes.func.isRequired,
+};
+
+export default GroupAdminPanel;
@@ -0,0 +1,160 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import PropTypes from 'prop-types';
+import PostCard from './PostCard';
+import LoadingSpinner from './LoadingSpinner';
+import { hub } from '../lib/api';
+
+/**
+ * GroupPosts Component - A Hub group's posts with pinned posts on top
+ * Group moderators can pin and remove posts.
+ */
+function GroupPosts({ groupId, currentUserId, canPin, canRemove }) {
+  const [pinned, setPinned] = useState([]);
+  const [posts, setPosts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [reactionSet, setReactionSet] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  useEffect(() => {
+    loadPosts();
+    hub
+      .getReactions()
+      .then((data) => setReactionSet(data.reactions))
+      .catch((err) => console.error('Failed to load reactions:', err));
+  }, [groupId]);
+
+  async function loadPosts(cursor) {
+    try {
+      setError(null);
+      const data = await hub.getGroupPosts(groupId, { cursor });
+      if (!cursor) {
+        setPinned(data.pinned);
+      }
+      setPosts((prev) => (cursor ? [...prev, ...data.posts] : data.posts));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to load group posts:', err);
+      setError(err.message || 'Failed to load posts');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function updatePost(postId, changes) {
+    const apply = (list) =>
+      list.map((post) => (post.id === postId ? { ...post, ...changes } : post));
+    setPinned(apply);
+    setPosts(apply);
+  }
+
+  async function handleReact(postId, type) {
+    try {
+      const data = await hub.reactToPost(postId, type);
+      updatePost(postId, { reactions: data.reactions });
+    } catch (err) {
+      console.error('Failed to react to post:', err);
+      setError(err.message || 'Failed to react to post');
+    }
+  }
+
+  async function handleVote(postId, optionIds) {
+    try {
+      const data = await hub.votePoll(postId, optionIds);
+      updatePost(postId, { poll: data.poll });
+    } catch (err) {
+      console.error('Failed to vote:', err);
+      setError(err.message || 'Failed to vote');
+    }
+  }
+
+  async function handleEdit(postId, content) {
+    const data = await hub.updatePost(postId, content);
+    updatePost(postId, data.post);
+  }
+
+  async function handlePin(post) {
+    try {
+      if (post.pinnedAt) {
+        await hub.unpinGroupPost(groupId, post.id);
+      } else {
+        await hub.pinGroupPost(groupId, post.id);
+      }
+      await loadPosts();
+    } catch (err) {
+      console.error('Failed to pin post:', err);
+      setError(err.message || 'Failed to pin post');
+    }
+  }
+
+  async function handleDelete(postId) {
+    const post = [...pinned, ...posts].find((p) => p.id === postId);
+    let reason;
+    if (post.author.id === currentUserId) {
+      if (!confirm('Are you sure you want to delete this post?')) return;
+    } else {
+      reason = prompt('Remove this post? Optionally give a reason for the moderation log:');
+      if (reason === null) return;
+    }
+
+    try {
+      await hub.deletePost(postId, reason || undefined);
+      await loadPosts();
+    } catch (err) {
+      console.error('Failed to remove post:', err);
+      setError(err.message || 'Failed to remove post');
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner size="md" text="Loading posts..." />;
+  }
+
+  const allPosts = [...pinned, ...posts];
+
+  return (
+    <div className="space-y-6">
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {allPosts.length === 0 ? (
+        <p className="text-gray-400 text-sm">No posts in this group yet</p>
+      ) : (
+        allPosts.map((post) => (
+          <PostCard
+            key={post.id}
+            post={post}
+            reactionSet={reactionSet}
+            onReact={handleReact}
+            onComment={(postId) => router.push(`/hub/posts/${postId}`)}
+            onEdit={handleEdit}
+            onDelete={handleDelete}
+            onVote={handleVote}
+            onPin={canPin ? handlePin : undefined}
+            currentUserId={currentUserId}
+            canRemove={canRemove}
+          />
+        ))
+      )}
+      {nextCursor && (
+        <div className="flex justify-center">
+          <button
+            onClick={() => loadPosts(nextCursor)}
+            className="text-teal-400 hover:text-teal-300 text-sm transition-colors"
+          >
+            Load more posts
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+GroupPosts.propTypes = {
+  groupId: PropTypes.string.isRequired,
+  currentUserId: PropTypes.string.isRequired,
+  canPin: PropTypes.bool,
+  canRemove: PropTypes.bool,
+};
+
+export default GroupPosts;
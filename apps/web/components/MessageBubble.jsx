@@ -0,0 +1,198 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * MessageBubble Component - One direct message with its reply quote and attachments
+ * Senders can edit their messages and delete them for everyone while the window is open.
+ */
+function MessageBubble({
+  message,
+  mine,
+  showSender,
+  timeLabel,
+  canDelete,
+  onReply,
+  onEdit,
+  onDelete,
+}) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editContent, setEditContent] = useState(message.content || '');
+  const [saving, setSaving] = useState(false);
+
+  const attachments = message.attachments || [];
+  const images = attachments.filter((a) => a.mimetype.startsWith('image/'));
+  const documents = attachments.filter((a) => !a.mimetype.startsWith('image/'));
+
+  async function handleEditSubmit(e) {
+    e.preventDefault();
+    if (!editContent.trim()) return;
+
+    setSaving(true);
+    try {
+      await onEdit(message.id, editContent);
+      setIsEditing(false);
+    } catch (error) {
+      console.error('Failed to edit message:', error);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (message.deletedAt) {
+    return (
+      <div className={`flex ${mine ? 'justify-end' : ''}`}>
+        <p className="text-gray-500 text-sm italic border border-gray-700 rounded-lg px-4 py-2">
+          This message was deleted
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`group flex ${mine ? 'justify-end' : ''}`}>
+      <div
+        className={`max-w-md rounded-lg px-4 py-2 ${
+          mine ? 'bg-teal-600 text-white' : 'bg-gray-700 text-gray-100'
+        }`}
+      >
+        {showSender && <p className="text-teal-300 text-xs mb-1">{message.sender.firstName}</p>}
+
+        {message.replyTo && (
+          <div className="border-l-2 border-gray-300/50 pl-2 mb-2 text-xs opacity-80">
+            <p className="font-semibold">{message.replyTo.sender.firstName}</p>
+            <p className="truncate">
+              {message.replyTo.deleted ? 'Deleted message' : message.replyTo.snippet}
+            </p>
+          </div>
+        )}
+
+        {isEditing ? (
+          <form onSubmit={handleEditSubmit} className="space-y-2">
+            <textarea
+              value={editContent}
+              onChange={(e) => setEditContent(e.target.value)}
+              rows={2}
+              maxLength={4000}
+              aria-label="Edit message"
+              className="w-full bg-gray-800 text-white px-3 py-2 rounded resize-none focus:outline-none focus:ring-2 focus:ring-teal-400"
+            />
+            <div className="flex justify-end space-x-3 text-xs">
+              <button
+                type="button"
+                onClick={() => {
+                  setIsEditing(false);
+                  setEditContent(message.content);
+                }}
+                className="hover:underline"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving || !editContent.trim()}
+                className="font-semibold hover:underline disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          message.content && <p className="whitespace-pre-wrap break-words">{message.content}</p>
+        )}
+
+        {images.length > 0 && (
+          <div className={`mt-2 grid gap-2 ${images.length > 1 ? 'grid-cols-2' : ''}`}>
+            {images.map((attachment) => (
+              <a
+                key={attachment.id}
+                href={attachment.url}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                <img
+                  src={attachment.url}
+                  alt={attachment.originalName}
+                  className="rounded w-full max-h-64 object-cover"
+                />
+              </a>
+            ))}
+          </div>
+        )}
+        {documents.map((attachment) => (
+          <a
+            key={attachment.id}
+            href={attachment.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="mt-2 flex items-center space-x-2 bg-black/20 rounded px-3 py-2 hover:bg-black/30 transition-colors"
+          >
+            <span>📄</span>
+            <span className="text-sm truncate">{attachment.originalName}</span>
+          </a>
+        ))}
+
+        <div
+          className={`flex items-center space-x-3 text-xs mt-1 ${
+            mine ? 'text-teal-100' : 'text-gray-400'
+          }`}
+        >
+          <span>
+            {timeLabel}
+            {message.editedAt && ' · edited'}
+          </span>
+          {!isEditing && (
+            <span className="hidden group-hover:inline space-x-2">
+              <button onClick={() => onReply(message)} className="hover:underline">
+                Reply
+              </button>
+              {mine && (
+                <button onClick={() => setIsEditing(true)} className="hover:underline">
+                  Edit
+                </button>
+              )}
+              {mine && canDelete && (
+                <button onClick={() => onDelete(message.id)} className="hover:underline">
+                  Delete
+                </button>
+              )}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+MessageBubble.propTypes = {
+  message: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    content: PropTypes.string,
+    editedAt: PropTypes.string,
+    deletedAt: PropTypes.string,
+    sender: PropTypes.shape({
+      firstName: PropTypes.string,
+    }),
+    replyTo: PropTypes.shape({
+      sender: PropTypes.shape({ firstName: PropTypes.string }),
+      snippet: PropTypes.string,
+      deleted: PropTypes.bool,
+    }),
+    attachments: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        url: PropTypes.string.isRequired,
+        originalName: PropTypes.string,
+        mimetype: PropTypes.string.isRequired,
+      })
+    ),
+  }).isRequired,
+  mine: PropTypes.bool,
+  showSender: PropTypes.bool,
+  timeLabel: PropTypes.string.isRequired,
+  canDelete: PropTypes.bool,
+  onReply: PropTypes.func.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
+
+export default MessageBubble;
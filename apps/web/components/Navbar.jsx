@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { users } from '../lib/api';
+import { users, hub } from '../lib/api';
 
 /**
  * Unified Navigation Bar for all Maestroverse modules
@@ -11,10 +11,12 @@ function Navbar({ currentModule, user, onLogout }) {
   const [showNotifications, setShowNotifications] = useState(false);
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
+  const [unreadMessages, setUnreadMessages] = useState(0);
 
   useEffect(() => {
     if (user) {
       loadNotifications();
+      loadUnreadMessages();
     }
   }, [user]);
 
@@ -28,6 +30,15 @@ function Navbar({ currentModule, user, onLogout }) {
     }
   }
 
+  async function loadUnreadMessages() {
+    try {
+      const data = await hub.getUnreadMessageCount();
+      setUnreadMessages(data.count);
+    } catch (error) {
+      console.error('Failed to load unread messages:', error);
+    }
+  }
+
   async function handleMarkAsRead(notificationId) {
     try {
       await users.markNotificationRead(notificationId);
@@ -129,6 +140,20 @@ function Navbar({ currentModule, user, onLogout }) {
               </span>
             </div>
 
+            {/* Messages */}
+            <a
+              href="/hub/messages"
+              aria-label="Messages"
+              className="p-2 text-gray-300 hover:text-white hover:bg-gray-800/60 rounded-lg transition-colors relative border border-transparent hover:border-cyber-border"
+            >
+              ✉️
+              {unreadMessages > 0 && (
+                <span className="absolute top-0 right-0 bg-red-500 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
+                  {unreadMessages > 9 ? '9+' : unreadMessages}
+                </span>
+              )}
+            </a>
+
             {/* Notifications */}
             <div className="relative">
               <button
@@ -227,7 +252,7 @@ function Navbar({ currentModule, user, onLogout }) {
                     <p className="text-gray-400 text-xs">{user?.email}</p>
                   </div>
                   <div className="py-2">
-                    {user?.role === 'ADMIN' && (
+                    {(user?.role === 'ADMIN' || user?.role === 'MODERATOR') && (
                       <a
                         href="/admin"
                         className="block px-4 py-2 text-sm text-gray-300 hover:bg-gray-800/60 hover:text-white transition-colors"
@@ -241,6 +266,12 @@ function Navbar({ currentModule, user, onLogout }) {
                     >
                       Profile
                     </a>
+                    <a
+                      href="/bookmarks"
+                      className="block px-4 py-2 text-sm text-gray-300 hover:bg-gray-800/60 hover:text-white transition-colors"
+                    >
+                      Bookmarks
+                    </a>
                     <button
                       onClick={onLogout}
                       className="block w-full text-left px-4 py-2 text-sm text-gray-300 hover:bg-gray-800/60 hover:text-white transition-colors"
@@ -0,0 +1,377 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { careerlink } from '../lib/api';
+
+function formatMonth(date) {
+  return new Date(date).toLocaleDateString(undefined, {
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+function formatRange(start, end) {
+  if (!start) {
+    return end ? formatMonth(end) : '';
+  }
+  return `${formatMonth(start)} – ${end ? formatMonth(end) : 'Present'}`;
+}
+
+const SECTIONS = {
+  experience: {
+    title: 'Experience',
+    noun: 'experience',
+    fields: [
+      { name: 'title', label: 'Title', required: true },
+      { name: 'company', label: 'Company', required: true },
+      { name: 'location', label: 'Location' },
+      { name: 'startDate', label: 'Start', type: 'month' },
+      { name: 'endDate', label: 'End (leave empty if current)', type: 'month' },
+      { name: 'description', label: 'Description', type: 'textarea' },
+    ],
+    heading: (entry) => entry.title,
+    details: (entry) => [entry.company, entry.location].filter(Boolean).join(' · '),
+    dates: (entry) => formatRange(entry.startDate, entry.endDate),
+  },
+  education: {
+    title: 'Education',
+    noun: 'education',
+    fields: [
+      { name: 'institution', label: 'Institution', required: true },
+      { name: 'degree', label: 'Degree' },
+      { name: 'fieldOfStudy', label: 'Field of study' },
+      { name: 'startDate', label: 'Start', type: 'month' },
+      { name: 'endDate', label: 'End (or expected)', type: 'month' },
+      { name: 'description', label: 'Description', type: 'textarea' },
+    ],
+    heading: (entry) => entry.institution,
+    details: (entry) => [entry.degree, entry.fieldOfStudy].filter(Boolean).join(', '),
+    dates: (entry) => formatRange(entry.startDate, entry.endDate),
+  },
+  certifications: {
+    title: 'Certifications',
+    noun: 'certification',
+    fields: [
+      { name: 'name', label: 'Name', required: true },
+      { name: 'issuer', label: 'Issuer', required: true },
+      { name: 'credentialId', label: 'Credential ID' },
+      { name: 'credentialUrl', label: 'Credential URL', type: 'url' },
+      { name: 'issuedAt', label: 'Issued', type: 'month' },
+      { name: 'expiresAt', label: 'Expires', type: 'month' },
+    ],
+    heading: (entry) => entry.name,
+    details: (entry) =>
+      [entry.issuer, entry.credentialId && `Credential ${entry.credentialId}`]
+        .filter(Boolean)
+        .join(' · '),
+    dates: (entry) =>
+      [
+        entry.issuedAt && `Issued ${formatMonth(entry.issuedAt)}`,
+        entry.expiresAt && `Expires ${formatMonth(entry.expiresAt)}`,
+      ]
+        .filter(Boolean)
+        .join(' · '),
+    link: (entry) => entry.credentialUrl,
+  },
+  awards: {
+    title: 'Awards',
+    noun: 'award',
+    fields: [
+      { name: 'title', label: 'Title', required: true },
+      { name: 'issuer', label: 'Issuer' },
+      { name: 'awardedAt', label: 'Awarded', type: 'month' },
+      { name: 'description', label: 'Description', type: 'textarea' },
+    ],
+    heading: (entry) => entry.title,
+    details: (entry) => entry.issuer || '',
+    dates: (entry) => (entry.awardedAt ? formatMonth(entry.awardedAt) : ''),
+  },
+};
+
+const VISIBILITY_OPTIONS = [
+  { value: 'PUBLIC', label: 'Everyone' },
+  { value: 'CONNECTIONS', label: 'Connections' },
+  { value: 'PRIVATE', label: 'Only me' },
+];
+
+const inputClass =
+  'w-full bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500';
+
+// Form state for an entry: month inputs take YYYY-MM, text inputs take strings
+function toDraft(config, entry) {
+  const draft = { visibility: entry?.visibility || 'PUBLIC' };
+  for (const field of config.fields) {
+    const value = entry?.[field.name];
+    draft[field.name] = field.type === 'month' ? value?.slice(0, 7) || '' : value || '';
+  }
+  return draft;
+}
+
+// Request body for an entry: empty optional fields are cleared
+function toPayload(config, draft) {
+  const payload = { visibility: draft.visibility };
+  for (const field of config.fields) {
+    const value = draft[field.name].trim();
+    payload[field.name] = value || (field.required ? value : null);
+  }
+  return payload;
+}
+
+/**
+ * PortfolioEntries Component - One typed section of a CareerLink portfolio
+ * Lists experience, education, certifications or awards in order. When
+ * editable, each entry can be added, edited, moved, deleted and given its
+ * own visibility; changes are saved immediately.
+ */
+function PortfolioEntries({ section, entries = [], editable = false, onChange }) {
+  const config = SECTIONS[section];
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!editable && entries.length === 0) {
+    return null;
+  }
+
+  function startEditing(entry) {
+    setEditingId(entry ? entry.id : 'new');
+    setDraft(toDraft(config, entry));
+    setError(null);
+  }
+
+  function stopEditing() {
+    setEditingId(null);
+    setDraft(null);
+  }
+
+  async function runAction(action, failureMessage) {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+      await onChange?.();
+      return true;
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      setError(err.message || failureMessage);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    const payload = toPayload(config, draft);
+    const saved = await runAction(
+      () =>
+        editingId === 'new'
+          ? careerlink.createPortfolioEntry(section, payload)
+          : careerlink.updatePortfolioEntry(section, editingId, payload),
+      `Failed to save ${config.noun}`
+    );
+    if (saved) {
+      stopEditing();
+    }
+  }
+
+  function handleDelete(entry) {
+    if (!window.confirm(`Delete this ${config.noun} entry?`)) {
+      return;
+    }
+    runAction(
+      () => careerlink.deletePortfolioEntry(section, entry.id),
+      `Failed to delete ${config.noun}`
+    );
+  }
+
+  function handleMove(index, offset) {
+    const ids = entries.map((entry) => entry.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    runAction(
+      () => careerlink.reorderPortfolioEntries(section, ids),
+      `Failed to reorder ${config.title.toLowerCase()}`
+    );
+  }
+
+  function handleDraftChange(e) {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  }
+
+  const buttonClass =
+    'text-sm text-gray-400 hover:text-white transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+  const form = draft && (
+    <form onSubmit={handleSave} className="space-y-3 rounded-lg border border-gray-700 p-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {config.fields.map((field) => (
+          <div key={field.name} className={field.type === 'textarea' ? 'md:col-span-2' : ''}>
+            <label className="block text-gray-300 text-sm mb-1">{field.label}</label>
+            {field.type === 'textarea' ? (
+              <textarea
+                name={field.name}
+                value={draft[field.name]}
+                onChange={handleDraftChange}
+                rows="3"
+                className={inputClass}
+              />
+            ) : (
+              <input
+                type={field.type || 'text'}
+                name={field.name}
+                value={draft[field.name]}
+                onChange={handleDraftChange}
+                required={field.required}
+                className={inputClass}
+              />
+            )}
+          </div>
+        ))}
+        <div>
+          <label className="block text-gray-300 text-sm mb-1">Visible to</label>
+          <select
+            name="visibility"
+            value={draft.visibility}
+            onChange={handleDraftChange}
+            className={inputClass}
+          >
+            {VISIBILITY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="flex space-x-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          type="button"
+          onClick={stopEditing}
+          disabled={saving}
+          className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-white">{config.title}</h2>
+        {editable && editingId === null && (
+          <button
+            onClick={() => startEditing(null)}
+            className="text-sm text-teal-400 hover:text-teal-300 transition-colors"
+          >
+            + Add {config.noun}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+
+      <ul className="space-y-4">
+        {entries.map((entry, index) =>
+          editingId === entry.id ? (
+            <li key={entry.id}>{form}</li>
+          ) : (
+            <li key={entry.id} className="flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <p className="text-white font-medium">
+                  {config.heading(entry) || `Untitled ${config.noun}`}
+                </p>
+                {config.details(entry) && (
+                  <p className="text-gray-400 text-sm">{config.details(entry)}</p>
+                )}
+                {config.dates(entry) && (
+                  <p className="text-gray-500 text-sm">{config.dates(entry)}</p>
+                )}
+                {config.link?.(entry) && (
+                  <a
+                    href={config.link(entry)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-sm text-teal-400 hover:text-teal-300"
+                  >
+                    View credential
+                  </a>
+                )}
+                {entry.description && (
+                  <p className="text-gray-300 text-sm mt-2 whitespace-pre-wrap leading-relaxed">
+                    {entry.description}
+                  </p>
+                )}
+              </div>
+              {editable && (
+                <div className="flex flex-col items-end gap-1 shrink-0">
+                  {entry.visibility !== 'PUBLIC' && (
+                    <span className="text-xs text-gray-500">
+                      {VISIBILITY_OPTIONS.find((o) => o.value === entry.visibility)?.label}
+                    </span>
+                  )}
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={() => handleMove(index, -1)}
+                      disabled={saving || index === 0}
+                      className={buttonClass}
+                      aria-label="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => handleMove(index, 1)}
+                      disabled={saving || index === entries.length - 1}
+                      className={buttonClass}
+                      aria-label="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => startEditing(entry)}
+                      disabled={saving || editingId !== null}
+                      className={buttonClass}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(entry)}
+                      disabled={saving}
+                      className="text-sm text-red-400 hover:text-red-300 transition-colors disabled:opacity-40"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          )
+        )}
+        {editingId === 'new' && <li>{form}</li>}
+      </ul>
+
+      {editable && entries.length === 0 && editingId === null && (
+        <p className="text-gray-500 text-sm">No {config.title.toLowerCase()} added yet.</p>
+      )}
+    </div>
+  );
+}
+
+PortfolioEntries.propTypes = {
+  section: PropTypes.oneOf(Object.keys(SECTIONS)).isRequired,
+  entries: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string.isRequired })),
+  editable: PropTypes.bool,
+  onChange: PropTypes.func,
+};
+
+export default PortfolioEntries;
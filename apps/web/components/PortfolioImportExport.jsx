@@ -0,0 +1,247 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { careerlink } from '../lib/api';
+
+const SECTION_LABELS = {
+  experience: 'Experience',
+  education: 'Education',
+  certifications: 'Certifications',
+  awards: 'Awards',
+  projects: 'Projects',
+};
+
+const PROFILE_LABELS = {
+  headline: 'Headline',
+  summary: 'Summary',
+  website: 'Website',
+  linkedin: 'LinkedIn',
+  github: 'GitHub',
+};
+
+// Name shown for an entry in the preview
+function entryName(entry) {
+  return entry.title || entry.name || entry.institution || 'Untitled';
+}
+
+function hasChanges(plan) {
+  return (
+    plan.profile.length > 0 ||
+    plan.skills.added.length > 0 ||
+    Object.values(plan.sections).some(
+      (section) => section.added.length > 0 || section.updated.length > 0
+    )
+  );
+}
+
+/**
+ * PortfolioImportExport Component - Moves a portfolio in and out of other tools
+ * Exports JSON Resume, or copies the resume as text or Markdown. Imports a
+ * JSON Resume file after showing what it would add and change.
+ */
+function PortfolioImportExport({ onImported }) {
+  const [resume, setResume] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  async function run(action, failureMessage) {
+    try {
+      setBusy(true);
+      setError(null);
+      setStatus(null);
+      await action();
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      setError(err.message || failureMessage);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleDownload() {
+    run(async () => {
+      const data = await careerlink.exportPortfolio('jsonresume');
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'resume.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    }, 'Failed to export portfolio');
+  }
+
+  function handleCopy(format) {
+    run(async () => {
+      const text = await careerlink.exportPortfolio(format);
+      await navigator.clipboard.writeText(text);
+      setStatus(`Copied as ${format === 'markdown' ? 'Markdown' : 'plain text'}`);
+    }, 'Failed to copy resume');
+  }
+
+  function handleFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    run(async () => {
+      let parsed;
+      try {
+        parsed = JSON.parse(await file.text());
+      } catch {
+        throw new Error('That file is not valid JSON');
+      }
+      const data = await careerlink.previewPortfolioImport(parsed);
+      setResume(parsed);
+      setPlan(data.plan);
+    }, 'Failed to read resume');
+  }
+
+  function handleCancel() {
+    setResume(null);
+    setPlan(null);
+  }
+
+  function handleApply() {
+    run(async () => {
+      await careerlink.importPortfolio(resume);
+      handleCancel();
+      setStatus('Resume imported');
+      await onImported?.();
+    }, 'Failed to import resume');
+  }
+
+  const buttonClass =
+    'px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50';
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold text-white mb-1">Import &amp; Export</h2>
+        <p className="text-gray-400 text-sm">
+          Move your portfolio to and from other resume tools using{' '}
+          <a
+            href="https://jsonresume.org"
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-teal-400 hover:text-teal-300"
+          >
+            JSON Resume
+          </a>
+          , or copy your resume to paste into an application.
+        </p>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+      {status && <p className="text-sm text-teal-400">{status}</p>}
+
+      <div className="flex flex-wrap gap-3">
+        <button onClick={handleDownload} disabled={busy} className={buttonClass}>
+          Download JSON Resume
+        </button>
+        <button onClick={() => handleCopy('text')} disabled={busy} className={buttonClass}>
+          Copy as text
+        </button>
+        <button onClick={() => handleCopy('markdown')} disabled={busy} className={buttonClass}>
+          Copy as Markdown
+        </button>
+        <label className={`${buttonClass} cursor-pointer`}>
+          Import JSON Resume...
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFile}
+            disabled={busy}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {plan && (
+        <div className="rounded-lg border border-gray-700 p-4 space-y-3 text-sm">
+          <h3 className="text-white font-semibold">Import preview</h3>
+
+          {!hasChanges(plan) && (
+            <p className="text-gray-400">Your portfolio already matches this resume.</p>
+          )}
+
+          {plan.profile.length > 0 && (
+            <div>
+              <p className="text-gray-300 font-medium">Profile</p>
+              <ul className="text-gray-400 space-y-1">
+                {plan.profile.map((change) => (
+                  <li key={change.field}>
+                    {PROFILE_LABELS[change.field]}: {change.from || '(empty)'} → {change.to}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {plan.skills.added.length > 0 && (
+            <p className="text-gray-400">
+              <span className="text-gray-300 font-medium">New skills:</span>{' '}
+              {plan.skills.added.join(', ')}
+            </p>
+          )}
+
+          {Object.entries(plan.sections).map(([section, changes]) => {
+            if (
+              changes.added.length === 0 &&
+              changes.updated.length === 0 &&
+              changes.skipped.length === 0
+            ) {
+              return null;
+            }
+            return (
+              <div key={section}>
+                <p className="text-gray-300 font-medium">{SECTION_LABELS[section]}</p>
+                <ul className="text-gray-400 space-y-1">
+                  {changes.added.map((entry, index) => (
+                    <li key={`added-${index}`}>
+                      <span className="text-teal-400">Add</span> {entryName(entry)}
+                    </li>
+                  ))}
+                  {changes.updated.map((entry) => (
+                    <li key={entry.id}>
+                      <span className="text-yellow-400">Update</span> {entry.title} (
+                      {Object.keys(entry.changes).join(', ')})
+                    </li>
+                  ))}
+                  {changes.skipped.map((skip, index) => (
+                    <li key={`skipped-${index}`}>
+                      <span className="text-gray-500">Skip</span> {entryName(skip.entry)} —{' '}
+                      {skip.reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+
+          <div className="flex space-x-3 pt-1">
+            <button
+              onClick={handleApply}
+              disabled={busy || !hasChanges(plan)}
+              className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors disabled:opacity-50"
+            >
+              {busy ? 'Importing...' : 'Apply import'}
+            </button>
+            <button onClick={handleCancel} disabled={busy} className={buttonClass}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+PortfolioImportExport.propTypes = {
+  onImported: PropTypes.func,
+};
+
+export default PortfolioImportExport;
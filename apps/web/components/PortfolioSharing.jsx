@@ -0,0 +1,304 @@
+import { useEffect, useState } from 'react';
+import { careerlink } from '../lib/api';
+
+const SECTION_LABELS = {
+  contact: 'Contact info (email and links)',
+  experience: 'Experience',
+  education: 'Education',
+  certifications: 'Certifications',
+  awards: 'Awards',
+  skills: 'Skills',
+  projects: 'Projects',
+};
+
+const LINK_EXPIRY_OPTIONS = [
+  { value: '7', label: 'Expires in 7 days' },
+  { value: '30', label: 'Expires in 30 days' },
+  { value: '90', label: 'Expires in 90 days' },
+  { value: '', label: 'Never expires' },
+];
+
+/**
+ * PortfolioSharing Component - Public page settings for your portfolio
+ * Choose a slug and what the page shows, make it public or hand out an
+ * expiring share link, and see how often it's viewed.
+ */
+function PortfolioSharing() {
+  const [sharing, setSharing] = useState(null);
+  const [sections, setSections] = useState([]);
+  const [form, setForm] = useState({ slug: '', isPublic: false, sections: [] });
+  const [expiresInDays, setExpiresInDays] = useState('30');
+  const [views, setViews] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadSharing();
+  }, []);
+
+  function applySharing(next) {
+    setSharing(next);
+    setForm({ slug: next.slug || '', isPublic: next.isPublic, sections: next.sections });
+  }
+
+  async function loadSharing() {
+    try {
+      const [data, viewData] = await Promise.all([
+        careerlink.getPortfolioSharing(),
+        careerlink.getPortfolioViews(),
+      ]);
+      setSections(data.sections);
+      applySharing(data.sharing);
+      if (!data.sharing.slug && data.suggestedSlug) {
+        setForm((prev) => ({ ...prev, slug: data.suggestedSlug }));
+      }
+      setViews(viewData.views);
+    } catch (err) {
+      console.error('Failed to load sharing settings:', err);
+      setError(err.message || 'Failed to load sharing settings');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function run(action, failureMessage) {
+    try {
+      setSaving(true);
+      setError(null);
+      setStatus(null);
+      await action();
+    } catch (err) {
+      console.error(`${failureMessage}:`, err);
+      setError(err.message || failureMessage);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function toggleSection(section) {
+    setForm((prev) => ({
+      ...prev,
+      sections: prev.sections.includes(section)
+        ? prev.sections.filter((s) => s !== section)
+        : [...prev.sections, section],
+    }));
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    run(async () => {
+      const data = await careerlink.updatePortfolioSharing({
+        slug: form.slug.trim().toLowerCase(),
+        isPublic: form.isPublic,
+        sections: form.sections,
+      });
+      applySharing(data.sharing);
+      setStatus('Sharing settings saved');
+    }, 'Failed to save sharing settings');
+  }
+
+  function handleCreateLink() {
+    run(async () => {
+      const data = await careerlink.createShareLink(expiresInDays ? Number(expiresInDays) : null);
+      applySharing(data.sharing);
+    }, 'Failed to create share link');
+  }
+
+  function handleRevokeLink() {
+    if (!confirm('Revoke this share link? Anyone using it will lose access.')) return;
+
+    run(async () => {
+      const data = await careerlink.revokeShareLink();
+      applySharing(data.sharing);
+    }, 'Failed to revoke share link');
+  }
+
+  function handleCopy(url) {
+    run(async () => {
+      await navigator.clipboard.writeText(url);
+      setStatus('Link copied');
+    }, 'Failed to copy link');
+  }
+
+  if (loading) {
+    return null;
+  }
+
+  if (!sharing) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+        <p className="text-sm text-red-400">{error}</p>
+      </div>
+    );
+  }
+
+  const buttonClass =
+    'px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50';
+  const linkClass = 'text-sm text-teal-400 hover:text-teal-300 transition-colors';
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold text-white mb-1">Public Page</h2>
+        <p className="text-gray-400 text-sm">
+          Share your portfolio with people outside Maestroverse, like recruiters. Only entries
+          visible to everyone and public projects are shown.
+        </p>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+      {status && <p className="text-sm text-teal-400">{status}</p>}
+
+      <form onSubmit={handleSave} className="space-y-4">
+        <div>
+          <label className="block text-gray-300 mb-2">Page address</label>
+          <div className="flex items-center">
+            <span className="text-gray-500 mr-2">/p/</span>
+            <input
+              type="text"
+              value={form.slug}
+              onChange={(e) => setForm({ ...form, slug: e.target.value })}
+              maxLength={40}
+              placeholder="your-name"
+              className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+            />
+          </div>
+          <p className="text-gray-500 text-xs mt-1">
+            Lowercase letters, numbers and hyphens. Changing it breaks links you&apos;ve already
+            shared.
+          </p>
+        </div>
+
+        <div>
+          <p className="text-gray-300 mb-2">Show on the page</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {sections.map((section) => (
+              <label key={section} className="flex items-center space-x-2 text-gray-300 text-sm">
+                <input
+                  type="checkbox"
+                  checked={form.sections.includes(section)}
+                  onChange={() => toggleSection(section)}
+                  className="accent-teal-500"
+                />
+                <span>{SECTION_LABELS[section] || section}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <label className="flex items-center space-x-2 text-gray-300">
+          <input
+            type="checkbox"
+            checked={form.isPublic}
+            onChange={(e) => setForm({ ...form, isPublic: e.target.checked })}
+            className="accent-teal-500"
+          />
+          <span>Anyone with the address can view the page</span>
+        </label>
+
+        <button
+          type="submit"
+          disabled={saving || !form.slug.trim()}
+          className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </form>
+
+      {sharing.url && sharing.isPublic && (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <a href={sharing.url} target="_blank" rel="noopener noreferrer" className={linkClass}>
+            {sharing.url}
+          </a>
+          <button onClick={() => handleCopy(sharing.url)} disabled={saving} className={linkClass}>
+            Copy
+          </button>
+        </div>
+      )}
+
+      {sharing.slug && (
+        <div className="border-t border-gray-700 pt-4 space-y-3">
+          <h3 className="text-white font-semibold">Share link</h3>
+          <p className="text-gray-400 text-sm">
+            Opens your page even while it isn&apos;t public. Creating a new link replaces the old
+            one.
+          </p>
+
+          {sharing.shareLink && (
+            <div className="space-y-1 text-sm">
+              <p className="text-gray-300 break-all">{sharing.shareLink.url}</p>
+              <p className={sharing.shareLink.expired ? 'text-red-400' : 'text-gray-500'}>
+                {sharing.shareLink.expiresAt
+                  ? `${sharing.shareLink.expired ? 'Expired' : 'Expires'} ${new Date(
+                      sharing.shareLink.expiresAt
+                    ).toLocaleString()}`
+                  : 'Never expires'}
+              </p>
+              <div className="flex space-x-4">
+                {!sharing.shareLink.expired && (
+                  <button
+                    onClick={() => handleCopy(sharing.shareLink.url)}
+                    disabled={saving}
+                    className={linkClass}
+                  >
+                    Copy
+                  </button>
+                )}
+                <button
+                  onClick={handleRevokeLink}
+                  disabled={saving}
+                  className="text-sm text-red-400 hover:text-red-300 transition-colors disabled:opacity-50"
+                >
+                  Revoke
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3">
+            <select
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(e.target.value)}
+              disabled={saving}
+              className="bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+            >
+              {LINK_EXPIRY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button onClick={handleCreateLink} disabled={saving} className={buttonClass}>
+              {sharing.shareLink ? 'Replace link' : 'Create link'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {views && views.total > 0 && (
+        <div className="border-t border-gray-700 pt-4 space-y-2 text-sm">
+          <h3 className="text-white font-semibold">Views</h3>
+          <p className="text-gray-300">
+            {views.recent} in the last {views.days} days
+            {views.viaShareLink > 0 && ` (${views.viaShareLink} through your share link)`},{' '}
+            {views.total} in total
+          </p>
+          {views.referrers.length > 0 && (
+            <ul className="text-gray-400 space-y-1">
+              {views.referrers.map((referrer) => (
+                <li key={referrer.host || 'direct'} className="flex justify-between max-w-sm">
+                  <span>{referrer.host || 'Direct or unknown'}</span>
+                  <span>{referrer.views}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PortfolioSharing;
@@ -1,11 +1,58 @@
+import { useState } from 'react';
 import PropTypes from 'prop-types';
 import Link from 'next/link';
+import PostPoll from './PostPoll';
+import ReactionBar from './ReactionBar';
+import RevisionHistory from './RevisionHistory';
+import { hub } from '../lib/api';
+
+const AUDIENCE_LABELS = {
+  CONNECTIONS: 'Connections',
+  GROUP: 'Group members',
+  PRIVATE: 'Only me',
+};
 
 /**
  * PostCard Component - Displays a single post
  */
-function PostCard({ post, onLike, onComment, onDelete, currentUserId }) {
+function PostCard({
+  post,
+  reactionSet,
+  onReact,
+  onComment,
+  onEdit,
+  onDelete,
+  onVote,
+  onPin,
+  currentUserId,
+  canModerate = false,
+  canRemove = false,
+}) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editContent, setEditContent] = useState(post.content);
+  const [saving, setSaving] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
   const isAuthor = currentUserId && post.author.id === currentUserId;
+  const canViewHistory = post.editedAt && (isAuthor || canModerate);
+  const attachments = post.attachments || [];
+  const images = attachments.filter((a) => a.mimetype.startsWith('image/'));
+  const documents = attachments.filter((a) => !a.mimetype.startsWith('image/'));
+
+  async function handleEditSubmit(e) {
+    e.preventDefault();
+    if (!editContent.trim()) return;
+
+    setSaving(true);
+    try {
+      await onEdit(post.id, editContent);
+      setIsEditing(false);
+    } catch (error) {
+      console.error('Failed to edit post:', error);
+    } finally {
+      setSaving(false);
+    }
+  }
 
   return (
     <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 hover:border-gray-600 transition-all">
@@ -24,6 +71,12 @@ function PostCard({ post, onLike, onComment, onDelete, currentUserId }) {
               </p>
             </Link>
             {post.group && <span className="text-teal-400 text-sm">→ {post.group.name}</span>}
+            {post.pinnedAt && <span className="text-yellow-400 text-xs">📌 Pinned</span>}
+            {AUDIENCE_LABELS[post.visibility] && (
+              <span className="text-gray-500 text-xs border border-gray-600 rounded px-1.5 py-0.5">
+                {AUDIENCE_LABELS[post.visibility]}
+              </span>
+            )}
           </div>
           <p className="text-gray-400 text-sm">
             {new Date(post.createdAt).toLocaleDateString('en-US', {
@@ -33,45 +86,122 @@ function PostCard({ post, onLike, onComment, onDelete, currentUserId }) {
               hour: '2-digit',
               minute: '2-digit',
             })}
+            {post.editedAt &&
+              (canViewHistory ? (
+                <button
+                  onClick={() => setShowHistory(true)}
+                  className="ml-2 text-gray-500 hover:text-teal-400 underline transition-colors"
+                >
+                  edited
+                </button>
+              ) : (
+                <span className="ml-2 text-gray-500">edited</span>
+              ))}
           </p>
         </div>
-        {isAuthor && onDelete && (
+        {isAuthor && onEdit && !isEditing && (
+          <button
+            onClick={() => {
+              setEditContent(post.content);
+              setIsEditing(true);
+            }}
+            className="text-gray-400 hover:text-blue-400 text-sm transition-colors"
+          >
+            Edit
+          </button>
+        )}
+        {onPin && (
+          <button
+            onClick={() => onPin(post)}
+            className="text-gray-400 hover:text-yellow-400 text-sm transition-colors"
+          >
+            {post.pinnedAt ? 'Unpin' : 'Pin'}
+          </button>
+        )}
+        {(isAuthor || canRemove) && onDelete && (
           <button
             onClick={() => onDelete(post.id)}
             className="text-gray-400 hover:text-red-400 text-sm transition-colors"
           >
-            Delete
+            {isAuthor ? 'Delete' : 'Remove'}
           </button>
         )}
       </div>
 
       {/* Post Content */}
-      <p className="text-white mb-4 leading-relaxed">{post.content}</p>
+      {isEditing ? (
+        <form onSubmit={handleEditSubmit} className="mb-4">
+          <textarea
+            value={editContent}
+            onChange={(e) => setEditContent(e.target.value)}
+            className="w-full bg-gray-700 text-white rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-teal-500"
+            rows="3"
+            autoFocus
+          />
+          <div className="mt-2 flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="px-3 py-1 text-gray-400 hover:text-white text-sm transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || !editContent.trim()}
+              className="px-4 py-1 bg-teal-600 text-white rounded text-sm hover:bg-teal-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="text-white mb-4 leading-relaxed">{post.content}</p>
+      )}
+
+      {/* Poll (if any) */}
+      {post.poll && (
+        <PostPoll poll={post.poll} onVote={onVote && ((optionIds) => onVote(post.id, optionIds))} />
+      )}
 
-      {/* Post Media (if any) */}
-      {post.mediaUrls && post.mediaUrls.length > 0 && (
-        <div className="mb-4 grid grid-cols-2 gap-2">
-          {post.mediaUrls.map((url, idx) => (
-            <img
-              key={idx}
-              src={url}
-              alt={`Media ${idx + 1}`}
-              className="rounded-lg w-full h-48 object-cover"
-            />
+      {/* Post Attachments (if any) */}
+      {images.length > 0 && (
+        <div className={`mb-4 grid gap-2 ${images.length === 1 ? 'grid-cols-1' : 'grid-cols-2'}`}>
+          {images.map((attachment) => (
+            <a key={attachment.id} href={attachment.url} target="_blank" rel="noopener noreferrer">
+              <img
+                src={attachment.url}
+                alt={attachment.originalName}
+                className={`rounded-lg w-full object-cover ${images.length === 1 ? 'max-h-96' : 'h-48'}`}
+              />
+            </a>
+          ))}
+        </div>
+      )}
+      {documents.length > 0 && (
+        <div className="mb-4 space-y-2">
+          {documents.map((attachment) => (
+            <a
+              key={attachment.id}
+              href={attachment.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center space-x-3 bg-gray-700 rounded-lg px-4 py-3 hover:bg-gray-600 transition-colors"
+            >
+              <span className="text-2xl">📄</span>
+              <span className="text-gray-200 text-sm truncate">{attachment.originalName}</span>
+            </a>
           ))}
         </div>
       )}
 
       {/* Post Actions */}
       <div className="flex items-center space-x-6 pt-3 border-t border-gray-700">
-        <button
-          onClick={() => onLike(post.id)}
-          className="flex items-center space-x-2 text-gray-400 hover:text-red-400 transition-colors group bg-transparent focus:outline-none focus:ring-0"
-        >
-          <span className="text-xl group-hover:scale-110 transition-transform">❤️</span>
-          <span className="font-medium">{post._count.likes}</span>
-          <span className="text-sm">Likes</span>
-        </button>
+        <ReactionBar
+          reactions={post.reactions}
+          reactionSet={reactionSet}
+          onReact={(type) => onReact(post.id, type)}
+        />
         <button
           onClick={() => onComment && onComment(post.id)}
           className="flex items-center space-x-2 text-gray-400 hover:text-teal-400 transition-colors group bg-transparent focus:outline-none focus:ring-0"
@@ -81,6 +211,13 @@ function PostCard({ post, onLike, onComment, onDelete, currentUserId }) {
           <span className="text-sm">Comments</span>
         </button>
       </div>
+
+      {showHistory && (
+        <RevisionHistory
+          loadRevisions={() => hub.getPostRevisions(post.id)}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
     </div>
   );
 }
@@ -90,7 +227,17 @@ PostCard.propTypes = {
     id: PropTypes.string.isRequired,
     content: PropTypes.string.isRequired,
     createdAt: PropTypes.string.isRequired,
-    mediaUrls: PropTypes.arrayOf(PropTypes.string),
+    editedAt: PropTypes.string,
+    pinnedAt: PropTypes.string,
+    attachments: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        url: PropTypes.string.isRequired,
+        originalName: PropTypes.string.isRequired,
+        mimetype: PropTypes.string.isRequired,
+      })
+    ),
+    visibility: PropTypes.oneOf(['PUBLIC', 'CONNECTIONS', 'GROUP', 'PRIVATE']),
     author: PropTypes.shape({
       id: PropTypes.string.isRequired,
       firstName: PropTypes.string.isRequired,
@@ -99,15 +246,22 @@ PostCard.propTypes = {
     group: PropTypes.shape({
       name: PropTypes.string,
     }),
+    poll: PropTypes.object,
+    reactions: PropTypes.object,
     _count: PropTypes.shape({
-      likes: PropTypes.number.isRequired,
       comments: PropTypes.number.isRequired,
     }).isRequired,
   }).isRequired,
-  onLike: PropTypes.func.isRequired,
+  reactionSet: ReactionBar.propTypes.reactionSet,
+  onReact: PropTypes.func.isRequired,
   onComment: PropTypes.func,
+  onEdit: PropTypes.func,
   onDelete: PropTypes.func,
+  onVote: PropTypes.func,
+  onPin: PropTypes.func,
   currentUserId: PropTypes.string,
+  canModerate: PropTypes.bool,
+  canRemove: PropTypes.bool,
 };
 
 export default PostCard;
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * PostPoll Component - Ballot and results for a poll post
+ */
+function PostPoll({ poll, onVote }) {
+  const myVotes = poll.myVotes || [];
+  const hasVoted = myVotes.length > 0;
+  const [selected, setSelected] = useState(myVotes);
+  const [changing, setChanging] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const showResults = poll.isClosed || (hasVoted && !changing) || !onVote;
+
+  function toggleOption(optionId) {
+    if (poll.multiChoice) {
+      setSelected((prev) =>
+        prev.includes(optionId) ? prev.filter((id) => id !== optionId) : [...prev, optionId]
+      );
+    } else {
+      setSelected([optionId]);
+    }
+  }
+
+  async function submitVote() {
+    if (selected.length === 0) return;
+
+    try {
+      setSubmitting(true);
+      await onVote(selected);
+      setChanging(false);
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="mb-4 bg-gray-900 rounded-lg p-4 border border-gray-700">
+      <div className="space-y-2">
+        {poll.options.map((option) =>
+          showResults ? (
+            <div key={option.id} className="relative rounded-lg overflow-hidden bg-gray-700">
+              <div
+                className={`absolute inset-y-0 left-0 ${
+                  myVotes.includes(option.id) ? 'bg-teal-600/60' : 'bg-gray-600'
+                }`}
+                style={{ width: `${option.percentage}%` }}
+              />
+              <div className="relative flex justify-between px-4 py-2 text-sm">
+                <span className="text-white">
+                  {option.text}
+                  {myVotes.includes(option.id) && <span className="ml-2 text-teal-300">✓</span>}
+                </span>
+                <span className="text-gray-300">{option.percentage}%</span>
+              </div>
+            </div>
+          ) : (
+            <label
+              key={option.id}
+              className="flex items-center space-x-3 px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 cursor-pointer transition-colors"
+            >
+              <input
+                type={poll.multiChoice ? 'checkbox' : 'radio'}
+                name={`poll-${poll.id}`}
+                checked={selected.includes(option.id)}
+                onChange={() => toggleOption(option.id)}
+                className="accent-teal-500"
+              />
+              <span className="text-white text-sm">{option.text}</span>
+            </label>
+          )
+        )}
+      </div>
+
+      <div className="mt-3 flex items-center justify-between text-xs text-gray-400">
+        <span>
+          {poll.totalVoters} {poll.totalVoters === 1 ? 'vote' : 'votes'}
+          {poll.multiChoice && ' · multiple choice'}
+          {poll.anonymous && ' · anonymous'}
+          {poll.isClosed
+            ? ' · closed'
+            : poll.closesAt && ` · closes ${new Date(poll.closesAt).toLocaleString()}`}
+        </span>
+        {!poll.isClosed && onVote && (
+          <span className="space-x-3">
+            {showResults ? (
+              <button
+                type="button"
+                onClick={() => setChanging(true)}
+                className="text-teal-400 hover:text-teal-300"
+              >
+                Change vote
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={submitVote}
+                disabled={submitting || selected.length === 0}
+                className="px-3 py-1 bg-teal-600 text-white rounded hover:bg-teal-700 disabled:opacity-50"
+              >
+                {submitting ? 'Voting...' : 'Vote'}
+              </button>
+            )}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+PostPoll.propTypes = {
+  poll: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    multiChoice: PropTypes.bool.isRequired,
+    anonymous: PropTypes.bool.isRequired,
+    closesAt: PropTypes.string,
+    isClosed: PropTypes.bool.isRequired,
+    totalVoters: PropTypes.number.isRequired,
+    options: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        text: PropTypes.string.isRequired,
+        votes: PropTypes.number.isRequired,
+        percentage: PropTypes.number.isRequired,
+      })
+    ).isRequired,
+    myVotes: PropTypes.arrayOf(PropTypes.string),
+  }).isRequired,
+  onVote: PropTypes.func,
+};
+
+export default PostPoll;
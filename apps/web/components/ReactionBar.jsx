@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * ReactionBar Component - Emoji reaction counts with a picker
+ */
+function ReactionBar({ reactions, reactionSet, onReact, compact = false }) {
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const counts = reactions?.counts || {};
+  const mine = reactions?.mine || [];
+
+  function react(type) {
+    setPickerOpen(false);
+    onReact(type);
+  }
+
+  const chipSize = compact ? 'px-2 py-0.5 text-xs' : 'px-3 py-1 text-sm';
+
+  return (
+    <div className="relative flex flex-wrap items-center gap-2">
+      {reactionSet
+        .filter(({ type }) => counts[type] > 0)
+        .map(({ type, emoji }) => (
+          <button
+            key={type}
+            type="button"
+            onClick={() => react(type)}
+            className={`${chipSize} rounded-full border transition-colors focus:outline-none ${
+              mine.includes(type)
+                ? 'bg-teal-600/30 border-teal-500 text-teal-200'
+                : 'bg-gray-700 border-gray-600 text-gray-300 hover:border-gray-500'
+            }`}
+          >
+            <span className="mr-1">{emoji}</span>
+            <span className="font-medium">{counts[type]}</span>
+          </button>
+        ))}
+
+      <button
+        type="button"
+        onClick={() => setPickerOpen(!pickerOpen)}
+        className={`${chipSize} rounded-full border border-gray-600 text-gray-400 hover:text-teal-400 hover:border-teal-500 transition-colors focus:outline-none`}
+        aria-label="Add reaction"
+      >
+        {compact ? '🙂' : '🙂 React'}
+      </button>
+
+      {pickerOpen && (
+        <div className="absolute bottom-full left-0 mb-2 flex space-x-1 bg-gray-900 border border-gray-700 rounded-full px-2 py-1 shadow-lg z-10">
+          {reactionSet.map(({ type, emoji }) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => react(type)}
+              title={type}
+              className={`text-xl px-1 rounded-full hover:scale-125 transition-transform focus:outline-none ${
+                mine.includes(type) ? 'bg-teal-600/40' : ''
+              }`}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+ReactionBar.propTypes = {
+  reactions: PropTypes.shape({
+    counts: PropTypes.objectOf(PropTypes.number),
+    total: PropTypes.number,
+    mine: PropTypes.arrayOf(PropTypes.string),
+  }),
+  reactionSet: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.string.isRequired,
+      emoji: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  onReact: PropTypes.func.isRequired,
+  compact: PropTypes.bool,
+};
+
+export default ReactionBar;
@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { reports } from '../lib/api';
+
+const REASONS = [
+  { value: 'SPAM', label: 'Spam' },
+  { value: 'HARASSMENT', label: 'Harassment or bullying' },
+  { value: 'HATE_SPEECH', label: 'Hate speech' },
+  { value: 'VIOLENCE', label: 'Violence or threats' },
+  { value: 'SEXUAL_CONTENT', label: 'Sexual content' },
+  { value: 'MISINFORMATION', label: 'Misinformation' },
+  { value: 'ACADEMIC_DISHONESTY', label: 'Academic dishonesty' },
+  { value: 'IMPERSONATION', label: 'Impersonation' },
+  { value: 'OTHER', label: 'Something else' },
+];
+
+/**
+ * ReportButton Component - Reports content or a user to the moderators
+ * Opens a small form for the reason; moderators review reports in the admin console.
+ */
+function ReportButton({ targetType, targetId, label = 'Report', compact = false }) {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('SPAM');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [reported, setReported] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await reports.create({
+        targetType,
+        targetId,
+        reason,
+        details: details.trim() || undefined,
+      });
+      setReported(true);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message || 'Failed to submit report');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  if (reported) {
+    return (
+      <span className={`text-gray-500 ${compact ? 'text-xs' : 'text-sm'}`}>Reported — thanks</span>
+    );
+  }
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        title="Report to moderators"
+        className={`flex items-center gap-1 text-gray-400 hover:text-red-400 transition-colors ${
+          compact ? 'text-xs' : 'text-sm'
+        }`}
+      >
+        <span>⚑</span>
+        {!compact && <span>{label}</span>}
+      </button>
+
+      {open && (
+        <div
+          className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4"
+          onClick={() => setOpen(false)}
+        >
+          <form
+            onSubmit={handleSubmit}
+            onClick={(e) => e.stopPropagation()}
+            className="bg-gray-800 rounded-lg border border-gray-700 w-full max-w-md p-6 space-y-4"
+          >
+            <div className="flex items-center justify-between">
+              <h3 className="text-white font-semibold text-lg">{label}</h3>
+              <button
+                type="button"
+                onClick={() => setOpen(false)}
+                className="text-gray-400 hover:text-white transition-colors"
+              >
+                ✕
+              </button>
+            </div>
+
+            <label className="block">
+              <span className="text-gray-400 text-sm">What&apos;s wrong?</span>
+              <select
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="mt-1 w-full bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+              >
+                {REASONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="block">
+              <span className="text-gray-400 text-sm">
+                Details {reason === 'OTHER' ? '(required)' : '(optional)'}
+              </span>
+              <textarea
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+                rows={3}
+                maxLength={1000}
+                className="mt-1 w-full bg-gray-700 text-white px-3 py-2 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-teal-500"
+              />
+            </label>
+
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setOpen(false)}
+                className="px-4 py-2 text-gray-300 hover:text-white transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={submitting || (reason === 'OTHER' && !details.trim())}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+              >
+                {submitting ? 'Sending...' : 'Send report'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </>
+  );
+}
+
+ReportButton.propTypes = {
+  targetType: PropTypes.oneOf([
+    'POST',
+    'COMMENT',
+    'THREAD',
+    'THREAD_REPLY',
+    'RESOURCE',
+    'PROJECT',
+    'CHAT_MESSAGE',
+    'USER',
+  ]).isRequired,
+  targetId: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  compact: PropTypes.bool,
+};
+
+export default ReportButton;
@@ -0,0 +1,266 @@
+import { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { admin as adminApi } from '../lib/api';
+
+const STATUS_TABS = [
+  { value: 'OPEN', label: 'Open' },
+  { value: 'ACTIONED', label: 'Actioned' },
+  { value: 'DISMISSED', label: 'Dismissed' },
+];
+
+const TARGET_LABELS = {
+  POST: 'Post',
+  COMMENT: 'Comment',
+  THREAD: 'Thread',
+  THREAD_REPLY: 'Thread reply',
+  RESOURCE: 'Resource',
+  PROJECT: 'Project',
+  CHAT_MESSAGE: 'Chat message',
+  USER: 'User',
+};
+
+const ACTION_LABELS = {
+  CONTENT_REMOVED: 'Content removed',
+  USER_SUSPENDED: 'User suspended',
+  USER_BANNED: 'User banned',
+};
+
+// Suspensions from the queue; longer ones go through the user table
+const QUEUE_SUSPEND_MINUTES = 60 * 24;
+
+function formatReason(reason) {
+  return reason.charAt(0) + reason.slice(1).toLowerCase().replace(/_/g, ' ');
+}
+
+function displayName(entry) {
+  return entry ? `${entry.firstName} ${entry.lastName} (@${entry.username})` : 'Deleted user';
+}
+
+/**
+ * ReportQueue Component - Moderator queue of user reports
+ * Moderators triage open reports by removing the content, suspending or
+ * banning its author, or dismissing the report. Resolving a report resolves
+ * every open report on the same target.
+ */
+function ReportQueue({ canBan, onUserActioned }) {
+  const [status, setStatus] = useState('OPEN');
+  const [reports, setReports] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionReportId, setActionReportId] = useState(null);
+
+  const loadReports = useCallback(
+    async (cursor) => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await adminApi.listReports({ status, cursor });
+        setReports((prev) => (cursor ? [...prev, ...data.reports] : data.reports));
+        setCounts(data.counts || {});
+        setNextCursor(data.nextCursor);
+      } catch (err) {
+        setError(err.message || 'Failed to load reports');
+      } finally {
+        setLoading(false);
+      }
+    },
+    [status]
+  );
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  async function runAction(report, action) {
+    try {
+      setActionReportId(report.id);
+      setError(null);
+      await action();
+      await loadReports();
+    } catch (err) {
+      setError(err.message || 'Failed to resolve report');
+    } finally {
+      setActionReportId(null);
+    }
+  }
+
+  function handleRemove(report) {
+    if (!window.confirm('Delete this content and resolve its reports?')) {
+      return;
+    }
+    const note = window.prompt('Note for the record (optional):') || undefined;
+    runAction(report, () => adminApi.removeReportedContent(report.id, note));
+  }
+
+  function handleSuspend(report) {
+    if (!window.confirm('Suspend this user for 24 hours?')) {
+      return;
+    }
+    const reason = window.prompt('Reason for suspension (optional):') || undefined;
+    runAction(report, async () => {
+      await adminApi.suspendUser(report.targetUser.id, QUEUE_SUSPEND_MINUTES, reason, report.id);
+      onUserActioned?.();
+    });
+  }
+
+  function handleBan(report) {
+    if (!window.confirm('This will permanently ban the user. Continue?')) {
+      return;
+    }
+    const reason = window.prompt('Reason for ban (optional):') || undefined;
+    runAction(report, async () => {
+      await adminApi.banUser(report.targetUser.id, reason, report.id);
+      onUserActioned?.();
+    });
+  }
+
+  function handleDismiss(report) {
+    const note = window.prompt('Why is this fine? (optional)') || undefined;
+    runAction(report, () => adminApi.dismissReport(report.id, note));
+  }
+
+  const buttonClass = 'rounded-md border px-3 py-1 text-xs transition disabled:opacity-50';
+
+  return (
+    <section className="cyber-card border border-cyber-border/80 p-5 space-y-4">
+      <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+        <h2 className="text-xl font-semibold text-white">Report Queue</h2>
+        <div className="flex gap-2">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => setStatus(tab.value)}
+              className={`${buttonClass} ${
+                status === tab.value
+                  ? 'border-cyber-blue bg-cyber-blue/10 text-cyber-blue'
+                  : 'border-cyber-border/70 bg-cyber-surface/70 text-gray-300 hover:text-white'
+              }`}
+            >
+              {tab.label} ({counts[tab.value] ?? 0})
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {!loading && reports.length === 0 && (
+        <p className="text-sm text-gray-500">No {status.toLowerCase()} reports.</p>
+      )}
+
+      <ul className="space-y-3">
+        {reports.map((report) => {
+          const busy = actionReportId === report.id;
+          const targetUser = report.targetUser;
+          return (
+            <li
+              key={report.id}
+              className="rounded-lg border border-cyber-border/60 bg-cyber-surface/60 p-4 space-y-2"
+            >
+              <div className="flex flex-wrap items-center gap-2 text-xs">
+                <span className="rounded-full border border-cyber-border/70 px-2 py-0.5 text-gray-300">
+                  {TARGET_LABELS[report.targetType]}
+                </span>
+                <span className="rounded-full border border-orange-400/60 bg-orange-500/10 px-2 py-0.5 text-orange-300">
+                  {formatReason(report.reason)}
+                </span>
+                {report.openReportCount > 1 && (
+                  <span className="text-red-300">{report.openReportCount} open reports</span>
+                )}
+                <span className="text-gray-500">{new Date(report.createdAt).toLocaleString()}</span>
+              </div>
+
+              {report.snapshot && (
+                <blockquote className="border-l-2 border-cyber-border pl-3 text-sm text-gray-300 whitespace-pre-wrap">
+                  {report.snapshot}
+                </blockquote>
+              )}
+              {report.details && (
+                <p className="text-sm text-gray-400">
+                  <span className="text-gray-500">Reporter says:</span> {report.details}
+                </p>
+              )}
+
+              <div className="text-xs text-gray-500 space-y-0.5">
+                <div>Reported by {displayName(report.reporter)}</div>
+                <div>
+                  Author: {displayName(targetUser)}
+                  {targetUser && targetUser.status !== 'ACTIVE' && ` · ${targetUser.status}`}
+                </div>
+                {report.link && (
+                  <a href={report.link} className="text-cyber-blue hover:underline">
+                    View in context
+                  </a>
+                )}
+              </div>
+
+              {report.status === 'OPEN' ? (
+                <div className="flex flex-wrap gap-2 pt-1">
+                  {report.targetType !== 'USER' && (
+                    <button
+                      onClick={() => handleRemove(report)}
+                      disabled={busy}
+                      className={`${buttonClass} border-red-500/70 bg-red-500/10 text-red-300 hover:bg-red-500/20`}
+                    >
+                      Remove content
+                    </button>
+                  )}
+                  {targetUser && targetUser.status !== 'BANNED' && (
+                    <button
+                      onClick={() => handleSuspend(report)}
+                      disabled={busy}
+                      className={`${buttonClass} border-orange-400/60 bg-orange-500/10 text-orange-300 hover:bg-orange-500/20`}
+                    >
+                      Suspend author 24 hours
+                    </button>
+                  )}
+                  {canBan && targetUser && targetUser.status !== 'BANNED' && (
+                    <button
+                      onClick={() => handleBan(report)}
+                      disabled={busy}
+                      className={`${buttonClass} border-red-600/60 bg-red-600/10 text-red-400 hover:bg-red-600/20`}
+                    >
+                      Ban author
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDismiss(report)}
+                    disabled={busy}
+                    className={`${buttonClass} border-cyber-border/70 bg-cyber-surface/70 text-gray-200 hover:border-cyber-blue hover:text-white`}
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              ) : (
+                <div className="text-xs text-gray-500">
+                  {report.action ? ACTION_LABELS[report.action] : 'Dismissed'} by{' '}
+                  {displayName(report.resolvedBy)} on {new Date(report.resolvedAt).toLocaleString()}
+                  {report.resolutionNote && ` — ${report.resolutionNote}`}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {nextCursor && (
+        <button
+          onClick={() => loadReports(nextCursor)}
+          disabled={loading}
+          className="w-full py-2 text-sm text-cyber-blue hover:text-white transition-colors disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </section>
+  );
+}
+
+ReportQueue.propTypes = {
+  canBan: PropTypes.bool,
+  onUserActioned: PropTypes.func,
+};
+
+export default ReportQueue;
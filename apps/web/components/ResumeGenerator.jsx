@@ -0,0 +1,104 @@
+import { useEffect, useState } from 'react';
+import { careerlink } from '../lib/api';
+
+/**
+ * ResumeGenerator Component - Builds a PDF resume from your portfolio
+ * Pick a template and generate; regenerate after editing the portfolio to
+ * pick up the changes. Download links expire, so a fresh one is fetched on load.
+ */
+function ResumeGenerator() {
+  const [resume, setResume] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [template, setTemplate] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadResume();
+  }, []);
+
+  async function loadResume() {
+    try {
+      const data = await careerlink.getResume();
+      setResume(data.resume);
+      setTemplates(data.templates);
+      setTemplate(data.resume?.template || data.templates[0]?.id || '');
+    } catch (err) {
+      console.error('Failed to load resume:', err);
+      setError(err.message || 'Failed to load resume');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleGenerate() {
+    try {
+      setGenerating(true);
+      setError(null);
+      const data = await careerlink.generateResume(template);
+      setResume(data.resume);
+    } catch (err) {
+      console.error('Failed to generate resume:', err);
+      setError(err.message || 'Failed to generate resume');
+    } finally {
+      setGenerating(false);
+    }
+  }
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+      <h2 className="text-xl font-semibold text-white mb-1">Resume PDF</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        Built from your profile, skills, public projects and portfolio entries (except those visible
+        only to you).
+      </p>
+
+      {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={template}
+          onChange={(e) => setTemplate(e.target.value)}
+          disabled={generating}
+          className="bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+        >
+          {templates.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleGenerate}
+          disabled={generating || !template}
+          className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors disabled:opacity-50"
+        >
+          {generating ? 'Generating...' : resume ? 'Regenerate' : 'Generate'}
+        </button>
+        {resume && (
+          <a
+            href={resume.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-teal-400 hover:text-teal-300 transition-colors"
+          >
+            📄 Download
+          </a>
+        )}
+      </div>
+
+      {resume && (
+        <p className="text-gray-500 text-xs mt-3">
+          Generated {new Date(resume.generatedAt).toLocaleString()}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ResumeGenerator;
@@ -0,0 +1,104 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+
+const DIFF_STYLES = {
+  insert: 'bg-green-900/60 text-green-200',
+  delete: 'bg-red-900/60 text-red-200 line-through',
+  equal: 'text-gray-300',
+};
+
+function DiffText({ parts }) {
+  return (
+    <p className="whitespace-pre-wrap text-sm leading-relaxed">
+      {parts.map((part, index) => (
+        <span key={index} className={DIFF_STYLES[part.type]}>
+          {part.value}
+        </span>
+      ))}
+    </p>
+  );
+}
+
+DiffText.propTypes = {
+  parts: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.oneOf(['insert', 'delete', 'equal']).isRequired,
+      value: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+};
+
+/**
+ * RevisionHistory Component - Modal listing every version of an edited item with diffs
+ */
+function RevisionHistory({ title = 'Edit history', loadRevisions, onClose }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadRevisions()
+      .then((data) => setRevisions([...data.revisions].reverse()))
+      .catch((err) => setError(err.message || 'Failed to load edit history'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-gray-800 rounded-lg border border-gray-700 w-full max-w-2xl max-h-[80vh] overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-white font-semibold text-lg">{title}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+            ✕
+          </button>
+        </div>
+
+        {loading && <p className="text-gray-400 text-sm">Loading history...</p>}
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+
+        <div className="space-y-4">
+          {revisions.map((revision) => (
+            <div key={revision.version} className="border border-gray-700 rounded-lg p-4">
+              <div className="flex items-center justify-between text-xs text-gray-400 mb-2">
+                <span>
+                  Version {revision.version}
+                  {revision.current && <span className="ml-2 text-teal-400">current</span>}
+                  {revision.editor &&
+                    ` · ${revision.version === 1 ? 'posted' : 'edited'} by ${revision.editor.firstName} ${revision.editor.lastName}`}
+                </span>
+                <span>{new Date(revision.createdAt).toLocaleString()}</span>
+              </div>
+              {revision.title !== undefined &&
+                (revision.titleDiff ? (
+                  <div className="font-semibold mb-1">
+                    <DiffText parts={revision.titleDiff} />
+                  </div>
+                ) : (
+                  <p className="text-white font-semibold text-sm mb-1">{revision.title}</p>
+                ))}
+              {revision.diff ? (
+                <DiffText parts={revision.diff} />
+              ) : (
+                <p className="text-gray-300 whitespace-pre-wrap text-sm">{revision.content}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+RevisionHistory.propTypes = {
+  title: PropTypes.string,
+  loadRevisions: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default RevisionHistory;
@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { careerlink } from '../lib/api';
+
+/**
+ * SkillEndorsements Component - A user's skills with their endorsements
+ * Connections can endorse a skill or withdraw their endorsement. Skills
+ * endorsed by faculty are badged; click a count to see who endorsed it.
+ */
+function SkillEndorsements({ userId }) {
+  const [skills, setSkills] = useState([]);
+  const [canEndorse, setCanEndorse] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadEndorsements();
+  }, [userId]);
+
+  async function loadEndorsements() {
+    try {
+      const data = await careerlink.getEndorsements(userId);
+      setSkills(data.skills);
+      setCanEndorse(data.canEndorse);
+    } catch (err) {
+      console.error('Failed to load endorsements:', err);
+      setError(err.message || 'Failed to load endorsements');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleToggle(entry) {
+    try {
+      setSaving(entry.skill);
+      setError(null);
+      if (entry.endorsedByViewer) {
+        await careerlink.withdrawEndorsement(userId, entry.skill);
+      } else {
+        await careerlink.endorseSkill(userId, entry.skill);
+      }
+      await loadEndorsements();
+    } catch (err) {
+      console.error('Failed to update endorsement:', err);
+      setError(err.message || 'Failed to update endorsement');
+    } finally {
+      setSaving(null);
+    }
+  }
+
+  const expandedEntry = skills.find((entry) => entry.skill === expanded);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+      <h2 className="text-xl font-semibold text-white mb-4">Skills</h2>
+
+      {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+
+      {loading ? (
+        <p className="text-gray-400 text-sm">Loading...</p>
+      ) : skills.length > 0 ? (
+        <div className="flex flex-wrap gap-2">
+          {skills.map((entry) => (
+            <span
+              key={entry.skill}
+              className="inline-flex items-center gap-2 px-3 py-1 bg-teal-600/20 text-teal-400 rounded-full text-sm"
+            >
+              {entry.skill}
+              {entry.facultyCount > 0 && (
+                <span
+                  title={`Endorsed by ${entry.facultyCount} faculty`}
+                  className="px-1.5 bg-yellow-500/20 text-yellow-400 rounded text-xs"
+                >
+                  🎓 Faculty
+                </span>
+              )}
+              {entry.count > 0 && (
+                <button
+                  onClick={() => setExpanded(expanded === entry.skill ? null : entry.skill)}
+                  className="text-xs text-gray-300 hover:text-white"
+                  aria-label={`Show who endorsed ${entry.skill}`}
+                >
+                  {entry.count}
+                </button>
+              )}
+              {canEndorse && (
+                <button
+                  onClick={() => handleToggle(entry)}
+                  disabled={saving !== null}
+                  className="text-xs hover:text-teal-300 disabled:opacity-50"
+                  title={entry.endorsedByViewer ? 'Withdraw endorsement' : 'Endorse'}
+                >
+                  {entry.endorsedByViewer ? '✓' : '+'}
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-400 text-sm">No skills listed</p>
+      )}
+
+      {expandedEntry && (
+        <div className="mt-4 text-sm">
+          <p className="text-gray-300 mb-2">Who endorsed {expandedEntry.skill}:</p>
+          <ul className="space-y-1">
+            {expandedEntry.endorsers.map((endorser) => (
+              <li key={endorser.id} className="text-gray-400">
+                {endorser.firstName} {endorser.lastName}
+                {endorser.isFaculty && (
+                  <span className="ml-2 text-yellow-400 text-xs">Faculty</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+SkillEndorsements.propTypes = {
+  userId: PropTypes.string.isRequired,
+};
+
+export default SkillEndorsements;
@@ -0,0 +1,234 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { collabspace } from '../lib/api';
+
+// Matches the server's check-in window
+const CHECK_IN_OPENS_MINUTES = 15;
+
+function formatSession(date) {
+  return new Date(date).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+// Value for a datetime-local input in the viewer's time zone
+function toLocalInput(date) {
+  const d = new Date(date);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * StudyGroupSessions Component - Upcoming sessions of a recurring study group
+ * Members check in; group admins move, cancel or restore sessions and view attendance.
+ */
+function StudyGroupSessions({ studyGroupId, isAdmin }) {
+  const [occurrences, setOccurrences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [movingId, setMovingId] = useState(null);
+  const [moveTo, setMoveTo] = useState('');
+  const [attendance, setAttendance] = useState({});
+
+  useEffect(() => {
+    loadOccurrences();
+  }, [studyGroupId]);
+
+  async function loadOccurrences() {
+    try {
+      const data = await collabspace.getStudyGroupOccurrences(studyGroupId);
+      setOccurrences(data.occurrences);
+    } catch (err) {
+      console.error('Failed to load sessions:', err);
+      setError(err.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function runAction(action) {
+    setError(null);
+    try {
+      await action();
+      await loadOccurrences();
+    } catch (err) {
+      console.error('Session update failed:', err);
+      setError(err.message || 'Failed to update session');
+    }
+  }
+
+  function handleCheckIn(occurrence) {
+    runAction(() => collabspace.checkInStudyGroupOccurrence(studyGroupId, occurrence.id));
+  }
+
+  function handleSetStatus(occurrence, status) {
+    if (status === 'CANCELLED' && !confirm('Cancel this session? Members will be notified.')) {
+      return;
+    }
+    runAction(() =>
+      collabspace.updateStudyGroupOccurrence(studyGroupId, occurrence.id, { status })
+    );
+  }
+
+  function handleMove(occurrence) {
+    runAction(async () => {
+      await collabspace.updateStudyGroupOccurrence(studyGroupId, occurrence.id, {
+        status: 'MOVED',
+        startsAt: new Date(moveTo).toISOString(),
+      });
+      setMovingId(null);
+    });
+  }
+
+  async function toggleAttendance(occurrence) {
+    if (attendance[occurrence.id]) {
+      setAttendance((prev) => ({ ...prev, [occurrence.id]: null }));
+      return;
+    }
+    try {
+      const data = await collabspace.getStudyGroupAttendance(studyGroupId, occurrence.id);
+      setAttendance((prev) => ({ ...prev, [occurrence.id]: data.attendees }));
+    } catch (err) {
+      console.error('Failed to load attendance:', err);
+      setError(err.message || 'Failed to load attendance');
+    }
+  }
+
+  function canCheckIn(occurrence) {
+    const now = Date.now();
+    return (
+      occurrence.status !== 'CANCELLED' &&
+      !occurrence.checkedIn &&
+      now >= new Date(occurrence.startsAt).getTime() - CHECK_IN_OPENS_MINUTES * 60000 &&
+      now <= new Date(occurrence.endsAt).getTime()
+    );
+  }
+
+  if (loading) {
+    return <p className="text-gray-400 text-sm">Loading sessions...</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {occurrences.length === 0 ? (
+        <p className="text-gray-400 text-sm">No upcoming sessions</p>
+      ) : (
+        occurrences.map((occurrence) => (
+          <div key={occurrence.id} className="bg-gray-700/50 rounded-lg p-3">
+            <div className="flex items-center justify-between">
+              <div>
+                <p
+                  className={`text-sm ${
+                    occurrence.status === 'CANCELLED' ? 'text-gray-500 line-through' : 'text-white'
+                  }`}
+                >
+                  {formatSession(occurrence.startsAt)}
+                </p>
+                {occurrence.status === 'MOVED' && (
+                  <p className="text-yellow-400 text-xs">
+                    Moved from {formatSession(occurrence.originalStart)}
+                  </p>
+                )}
+                {occurrence.status === 'CANCELLED' && (
+                  <p className="text-red-400 text-xs">Cancelled</p>
+                )}
+                {occurrence.note && <p className="text-gray-400 text-xs">{occurrence.note}</p>}
+              </div>
+
+              <div className="flex items-center space-x-3 text-xs">
+                {occurrence.attendeeCount > 0 && (
+                  <span className="text-gray-400">✅ {occurrence.attendeeCount} checked in</span>
+                )}
+                {occurrence.checkedIn ? (
+                  <span className="text-teal-400">You checked in</span>
+                ) : (
+                  canCheckIn(occurrence) && (
+                    <button
+                      onClick={() => handleCheckIn(occurrence)}
+                      className="px-3 py-1 bg-teal-600 text-white rounded hover:bg-teal-700 transition-colors"
+                    >
+                      Check In
+                    </button>
+                  )
+                )}
+                {isAdmin && (
+                  <>
+                    {occurrence.status === 'SCHEDULED' ? (
+                      <button
+                        onClick={() => handleSetStatus(occurrence, 'CANCELLED')}
+                        className="text-gray-400 hover:text-red-400 transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => handleSetStatus(occurrence, 'SCHEDULED')}
+                        className="text-gray-400 hover:text-teal-400 transition-colors"
+                      >
+                        Restore
+                      </button>
+                    )}
+                    <button
+                      onClick={() => {
+                        setMovingId(movingId === occurrence.id ? null : occurrence.id);
+                        setMoveTo(toLocalInput(occurrence.startsAt));
+                      }}
+                      className="text-gray-400 hover:text-blue-400 transition-colors"
+                    >
+                      Move
+                    </button>
+                    <button
+                      onClick={() => toggleAttendance(occurrence)}
+                      className="text-gray-400 hover:text-white transition-colors"
+                    >
+                      Attendance
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+
+            {movingId === occurrence.id && (
+              <div className="flex items-center space-x-2 mt-3">
+                <input
+                  type="datetime-local"
+                  value={moveTo}
+                  onChange={(e) => setMoveTo(e.target.value)}
+                  className="bg-gray-700 text-white px-3 py-1 rounded text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+                />
+                <button
+                  onClick={() => handleMove(occurrence)}
+                  disabled={!moveTo}
+                  className="px-3 py-1 bg-teal-600 text-white rounded text-sm hover:bg-teal-700 transition-colors disabled:opacity-50"
+                >
+                  Move Session
+                </button>
+              </div>
+            )}
+
+            {attendance[occurrence.id] && (
+              <p className="text-gray-300 text-xs mt-2">
+                {attendance[occurrence.id].length === 0
+                  ? 'Nobody has checked in yet'
+                  : attendance[occurrence.id]
+                      .map((attendee) => `${attendee.firstName} ${attendee.lastName}`)
+                      .join(', ')}
+              </p>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+StudyGroupSessions.propTypes = {
+  studyGroupId: PropTypes.string.isRequired,
+  isAdmin: PropTypes.bool,
+};
+
+export default StudyGroupSessions;
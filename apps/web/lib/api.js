@@ -2,7 +2,12 @@
  * API utility functions for making HTTP requests
  */
 
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+// Server-side rendering may need a different address for the API (e.g. the
+// server container) than the browser does
+const API_URL =
+  (typeof window === 'undefined' && process.env.INTERNAL_API_URL) ||
+  process.env.NEXT_PUBLIC_API_URL ||
+  'http://localhost:3001';
 
 /**
  * Get authentication token from localStorage
@@ -40,8 +45,10 @@ export function removeToken() {
  */
 async function fetchAPI(endpoint, options = {}) {
   const token = getToken();
+  // Let the browser set the multipart boundary for FormData bodies
+  const isFormData = typeof FormData !== 'undefined' && options.body instanceof FormData;
   const headers = {
-    'Content-Type': 'application/json',
+    ...(!isFormData && { 'Content-Type': 'application/json' }),
     ...options.headers,
   };
 
@@ -57,7 +64,9 @@ async function fetchAPI(endpoint, options = {}) {
     headers,
   });
 
-  const data = await response.json();
+  // Text exports (e.g. the Markdown resume) come back as plain text
+  const isJson = response.headers.get('content-type')?.includes('application/json');
+  const data = isJson ? await response.json() : await response.text();
 
   if (!response.ok) {
     console.error(`[API] Request failed with status ${response.status}:`, data);
@@ -67,6 +76,21 @@ async function fetchAPI(endpoint, options = {}) {
   return data;
 }
 
+/**
+ * Build a query string, skipping empty values
+ * List endpoints accept { cursor, limit } and return { nextCursor, prevCursor }
+ */
+function buildQuery(params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, value);
+    }
+  });
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+}
+
 // ========== Auth API ==========
 
 export const auth = {
@@ -122,8 +146,8 @@ export const users = {
     });
   },
 
-  async getNotifications() {
-    return fetchAPI('/api/users/notifications');
+  async getNotifications({ cursor, limit } = {}) {
+    return fetchAPI(`/api/users/notifications${buildQuery({ cursor, limit })}`);
   },
 
   async markNotificationRead(notificationId) {
@@ -137,29 +161,126 @@ export const users = {
       method: 'PUT',
     });
   },
+
+  async getBookmarks({ type, collectionId, cursor, limit } = {}) {
+    return fetchAPI(`/api/users/bookmarks${buildQuery({ type, collectionId, cursor, limit })}`);
+  },
+
+  async lookupBookmarks(type, ids) {
+    return fetchAPI(`/api/users/bookmarks/lookup${buildQuery({ type, ids: ids.join(',') })}`);
+  },
+
+  async createBookmark(data) {
+    return fetchAPI('/api/users/bookmarks', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async updateBookmark(bookmarkId, data) {
+    return fetchAPI(`/api/users/bookmarks/${bookmarkId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async deleteBookmark(bookmarkId) {
+    return fetchAPI(`/api/users/bookmarks/${bookmarkId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async getBookmarkCollections() {
+    return fetchAPI('/api/users/bookmarks/collections');
+  },
+
+  async createBookmarkCollection(name) {
+    return fetchAPI('/api/users/bookmarks/collections', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+  },
+
+  async renameBookmarkCollection(collectionId, name) {
+    return fetchAPI(`/api/users/bookmarks/collections/${collectionId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name }),
+    });
+  },
+
+  async deleteBookmarkCollection(collectionId) {
+    return fetchAPI(`/api/users/bookmarks/collections/${collectionId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async getBlocks() {
+    return fetchAPI('/api/users/blocks');
+  },
+
+  async blockUser(userId) {
+    return fetchAPI(`/api/users/${userId}/block`, {
+      method: 'POST',
+    });
+  },
+
+  async unblockUser(userId) {
+    return fetchAPI(`/api/users/${userId}/block`, {
+      method: 'DELETE',
+    });
+  },
+
+  async muteUser(userId) {
+    return fetchAPI(`/api/users/${userId}/mute`, {
+      method: 'POST',
+    });
+  },
+
+  async unmuteUser(userId) {
+    return fetchAPI(`/api/users/${userId}/mute`, {
+      method: 'DELETE',
+    });
+  },
 };
 
 // ========== Hub API ==========
 
 export const hub = {
-  async getPosts(page = 1, limit = 20) {
-    return fetchAPI(`/api/hub/posts?page=${page}&limit=${limit}`);
+  async getPosts({ mode = 'ranked', cursor, limit } = {}) {
+    return fetchAPI(`/api/hub/posts${buildQuery({ mode, cursor, limit })}`);
   },
 
   async getPost(postId) {
     return fetchAPI(`/api/hub/posts/${postId}`);
   },
 
-  async createPost(data) {
+  async createPost({ attachments = [], ...data }) {
+    if (attachments.length === 0) {
+      return fetchAPI('/api/hub/posts', {
+        method: 'POST',
+        body: JSON.stringify(data),
+      });
+    }
+
+    const formData = new FormData();
+    Object.entries(data).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        // Nested objects (e.g. poll) travel as JSON strings
+        formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+      }
+    });
+    attachments.forEach((file) => formData.append('attachments', file));
+
     return fetchAPI('/api/hub/posts', {
       method: 'POST',
-      body: JSON.stringify(data),
+      body: formData,
     });
   },
 
-  async deletePost(postId) {
+  async deletePost(postId, reason) {
     return fetchAPI(`/api/hub/posts/${postId}`, {
       method: 'DELETE',
+      body: JSON.stringify({ reason }),
     });
   },
 
@@ -169,8 +290,48 @@ export const hub = {
     });
   },
 
-  async getComments(postId) {
-    return fetchAPI(`/api/hub/posts/${postId}/comments`);
+  async updatePost(postId, content) {
+    return fetchAPI(`/api/hub/posts/${postId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ content }),
+    });
+  },
+
+  async getPostRevisions(postId) {
+    return fetchAPI(`/api/hub/posts/${postId}/revisions`);
+  },
+
+  async getCommentRevisions(commentId) {
+    return fetchAPI(`/api/hub/comments/${commentId}/revisions`);
+  },
+
+  async getReactions() {
+    return fetchAPI('/api/hub/reactions');
+  },
+
+  async reactToPost(postId, type) {
+    return fetchAPI(`/api/hub/posts/${postId}/reactions`, {
+      method: 'POST',
+      body: JSON.stringify({ type }),
+    });
+  },
+
+  async reactToComment(commentId, type) {
+    return fetchAPI(`/api/hub/comments/${commentId}/reactions`, {
+      method: 'POST',
+      body: JSON.stringify({ type }),
+    });
+  },
+
+  async votePoll(postId, optionIds) {
+    return fetchAPI(`/api/hub/posts/${postId}/poll/vote`, {
+      method: 'POST',
+      body: JSON.stringify({ optionIds }),
+    });
+  },
+
+  async getComments(postId, { cursor, limit } = {}) {
+    return fetchAPI(`/api/hub/posts/${postId}/comments${buildQuery({ cursor, limit })}`);
   },
 
   async createComment(postId, content, parentId = null) {
@@ -187,14 +348,19 @@ export const hub = {
     });
   },
 
-  async deleteComment(commentId) {
+  async deleteComment(commentId, reason) {
     return fetchAPI(`/api/hub/comments/${commentId}`, {
       method: 'DELETE',
+      body: JSON.stringify({ reason }),
     });
   },
 
-  async getGroups() {
-    return fetchAPI('/api/hub/groups');
+  async getTagPosts(tag, { cursor, limit } = {}) {
+    return fetchAPI(`/api/hub/tags/${encodeURIComponent(tag)}${buildQuery({ cursor, limit })}`);
+  },
+
+  async getGroups({ member, cursor, limit } = {}) {
+    return fetchAPI(`/api/hub/groups${buildQuery({ member, cursor, limit })}`);
   },
 
   async createGroup(data) {
@@ -204,14 +370,142 @@ export const hub = {
     });
   },
 
-  async joinGroup(groupId) {
+  async getGroup(groupId) {
+    return fetchAPI(`/api/hub/groups/${groupId}`);
+  },
+
+  async joinGroup(groupId, message) {
     return fetchAPI(`/api/hub/groups/${groupId}/join`, {
       method: 'POST',
+      body: JSON.stringify({ message }),
     });
   },
 
-  async getEvents() {
-    return fetchAPI('/api/hub/events');
+  async cancelJoinRequest(groupId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/join`, {
+      method: 'DELETE',
+    });
+  },
+
+  async leaveGroup(groupId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/leave`, {
+      method: 'POST',
+    });
+  },
+
+  async getGroupMembers(groupId, { cursor, limit } = {}) {
+    return fetchAPI(`/api/hub/groups/${groupId}/members${buildQuery({ cursor, limit })}`);
+  },
+
+  async updateGroupMemberRole(groupId, userId, role) {
+    return fetchAPI(`/api/hub/groups/${groupId}/members/${userId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+  },
+
+  async removeGroupMember(groupId, userId, { ban, reason } = {}) {
+    return fetchAPI(`/api/hub/groups/${groupId}/members/${userId}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ ban, reason }),
+    });
+  },
+
+  async getGroupPosts(groupId, { cursor, limit } = {}) {
+    return fetchAPI(`/api/hub/groups/${groupId}/posts${buildQuery({ cursor, limit })}`);
+  },
+
+  async pinGroupPost(groupId, postId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/posts/${postId}/pin`, {
+      method: 'POST',
+    });
+  },
+
+  async unpinGroupPost(groupId, postId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/posts/${postId}/pin`, {
+      method: 'DELETE',
+    });
+  },
+
+  async muteGroupMember(groupId, userId, { hours, reason }) {
+    return fetchAPI(`/api/hub/groups/${groupId}/members/${userId}/mute`, {
+      method: 'PUT',
+      body: JSON.stringify({ hours, reason }),
+    });
+  },
+
+  async unmuteGroupMember(groupId, userId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/members/${userId}/mute`, {
+      method: 'DELETE',
+    });
+  },
+
+  async updateGroupSettings(groupId, settings) {
+    return fetchAPI(`/api/hub/groups/${groupId}/settings`, {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  },
+
+  async getGroupModerationLog(groupId, { cursor, limit } = {}) {
+    return fetchAPI(`/api/hub/groups/${groupId}/moderation-log${buildQuery({ cursor, limit })}`);
+  },
+
+  async getGroupJoinRequests(groupId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/requests`);
+  },
+
+  async approveGroupJoinRequest(groupId, requestId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/requests/${requestId}/approve`, {
+      method: 'POST',
+    });
+  },
+
+  async rejectGroupJoinRequest(groupId, requestId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/requests/${requestId}/reject`, {
+      method: 'POST',
+    });
+  },
+
+  async getGroupBans(groupId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/bans`);
+  },
+
+  async unbanGroupMember(groupId, userId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/bans/${userId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async getGroupInvites(groupId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/invites`);
+  },
+
+  async createGroupInvite(groupId, data = {}) {
+    return fetchAPI(`/api/hub/groups/${groupId}/invites`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async revokeGroupInvite(groupId, inviteId) {
+    return fetchAPI(`/api/hub/groups/${groupId}/invites/${inviteId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async getGroupInvite(code) {
+    return fetchAPI(`/api/hub/groups/invites/${encodeURIComponent(code)}`);
+  },
+
+  async acceptGroupInvite(code) {
+    return fetchAPI(`/api/hub/groups/invites/${encodeURIComponent(code)}/accept`, {
+      method: 'POST',
+    });
+  },
+
+  async getEvents({ cursor, limit } = {}) {
+    return fetchAPI(`/api/hub/events${buildQuery({ cursor, limit })}`);
   },
 
   async createEvent(data) {
@@ -221,8 +515,98 @@ export const hub = {
     });
   },
 
-  async getMessages() {
-    return fetchAPI('/api/hub/messages');
+  async getEvent(eventId) {
+    return fetchAPI(`/api/hub/events/${eventId}`);
+  },
+
+  async updateEvent(eventId, data) {
+    return fetchAPI(`/api/hub/events/${eventId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async cancelEvent(eventId) {
+    return fetchAPI(`/api/hub/events/${eventId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async rsvpEvent(eventId, status) {
+    return fetchAPI(`/api/hub/events/${eventId}/rsvp`, {
+      method: 'POST',
+      body: JSON.stringify({ status }),
+    });
+  },
+
+  async getEventAttendees(eventId, { status } = {}) {
+    return fetchAPI(`/api/hub/events/${eventId}/attendees${buildQuery({ status })}`);
+  },
+
+  async getConversations({ cursor, limit } = {}) {
+    return fetchAPI(`/api/hub/conversations${buildQuery({ cursor, limit })}`);
+  },
+
+  async getUnreadMessageCount() {
+    return fetchAPI('/api/hub/conversations/unread-count');
+  },
+
+  async startConversation(userIds, title) {
+    return fetchAPI('/api/hub/conversations', {
+      method: 'POST',
+      body: JSON.stringify({ userIds, title }),
+    });
+  },
+
+  async getConversation(conversationId) {
+    return fetchAPI(`/api/hub/conversations/${conversationId}`);
+  },
+
+  async getConversationMessages(conversationId, { cursor, limit } = {}) {
+    return fetchAPI(
+      `/api/hub/conversations/${conversationId}/messages${buildQuery({ cursor, limit })}`
+    );
+  },
+
+  async sendConversationMessage(conversationId, { content, replyToId, attachments = [] }) {
+    if (attachments.length === 0) {
+      return fetchAPI(`/api/hub/conversations/${conversationId}/messages`, {
+        method: 'POST',
+        body: JSON.stringify({ content, replyToId }),
+      });
+    }
+
+    const formData = new FormData();
+    formData.append('content', content || '');
+    if (replyToId) {
+      formData.append('replyToId', replyToId);
+    }
+    attachments.forEach((file) => formData.append('attachments', file));
+
+    return fetchAPI(`/api/hub/conversations/${conversationId}/messages`, {
+      method: 'POST',
+      body: formData,
+    });
+  },
+
+  async editMessage(conversationId, messageId, content) {
+    return fetchAPI(`/api/hub/conversations/${conversationId}/messages/${messageId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ content }),
+    });
+  },
+
+  async deleteMessage(conversationId, messageId) {
+    return fetchAPI(`/api/hub/conversations/${conversationId}/messages/${messageId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async markConversationRead(conversationId, messageId) {
+    return fetchAPI(`/api/hub/conversations/${conversationId}/read`, {
+      method: 'POST',
+      body: JSON.stringify({ messageId }),
+    });
   },
 
   async sendMessage(data) {
@@ -247,6 +631,105 @@ export const careerlink = {
     });
   },
 
+  async createPortfolioEntry(section, data) {
+    return fetchAPI(`/api/careerlink/portfolio/${section}`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async updatePortfolioEntry(section, id, data) {
+    return fetchAPI(`/api/careerlink/portfolio/${section}/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async deletePortfolioEntry(section, id) {
+    return fetchAPI(`/api/careerlink/portfolio/${section}/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async reorderPortfolioEntries(section, ids) {
+    return fetchAPI(`/api/careerlink/portfolio/${section}/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ ids }),
+    });
+  },
+
+  async exportPortfolio(format = 'jsonresume') {
+    return fetchAPI(`/api/careerlink/portfolio/export${buildQuery({ format })}`);
+  },
+
+  async previewPortfolioImport(resume) {
+    return fetchAPI('/api/careerlink/portfolio/import/preview', {
+      method: 'POST',
+      body: JSON.stringify({ resume }),
+    });
+  },
+
+  async importPortfolio(resume) {
+    return fetchAPI('/api/careerlink/portfolio/import', {
+      method: 'POST',
+      body: JSON.stringify({ resume }),
+    });
+  },
+
+  async getEndorsements(userId) {
+    return fetchAPI(`/api/careerlink/endorsements/${userId}`);
+  },
+
+  async endorseSkill(userId, skill) {
+    return fetchAPI(`/api/careerlink/endorsements/${userId}`, {
+      method: 'POST',
+      body: JSON.stringify({ skill }),
+    });
+  },
+
+  async withdrawEndorsement(userId, skill) {
+    return fetchAPI(`/api/careerlink/endorsements/${userId}/${encodeURIComponent(skill)}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async getPortfolioSharing() {
+    return fetchAPI('/api/careerlink/portfolio/sharing');
+  },
+
+  async updatePortfolioSharing(data) {
+    return fetchAPI('/api/careerlink/portfolio/sharing', {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async createShareLink(expiresInDays) {
+    return fetchAPI('/api/careerlink/portfolio/sharing/link', {
+      method: 'POST',
+      body: JSON.stringify({ expiresInDays }),
+    });
+  },
+
+  async revokeShareLink() {
+    return fetchAPI('/api/careerlink/portfolio/sharing/link', { method: 'DELETE' });
+  },
+
+  async getPortfolioViews(days) {
+    return fetchAPI(`/api/careerlink/portfolio/sharing/views${buildQuery({ days })}`);
+  },
+
+  async getResume() {
+    return fetchAPI('/api/careerlink/resume');
+  },
+
+  async generateResume(template) {
+    return fetchAPI('/api/careerlink/resume', {
+      method: 'POST',
+      body: JSON.stringify({ template }),
+    });
+  },
+
   async getProjects(userId) {
     const query = userId ? `?userId=${userId}` : '';
     return fetchAPI(`/api/careerlink/projects${query}`);
@@ -297,12 +780,12 @@ export const careerlink = {
 // ========== CollabSpace API ==========
 
 export const collabspace = {
-  async getCourses() {
-    return fetchAPI('/api/collabspace/courses');
+  async getCourses({ cursor, limit } = {}) {
+    return fetchAPI(`/api/collabspace/courses${buildQuery({ cursor, limit })}`);
   },
 
-  async getThreads(courseId) {
-    return fetchAPI(`/api/collabspace/courses/${courseId}/threads`);
+  async getThreads(courseId, { cursor, limit } = {}) {
+    return fetchAPI(`/api/collabspace/courses/${courseId}/threads${buildQuery({ cursor, limit })}`);
   },
 
   async getThread(threadId) {
@@ -316,6 +799,17 @@ export const collabspace = {
     });
   },
 
+  async updateThread(threadId, data) {
+    return fetchAPI(`/api/collabspace/threads/${threadId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async getThreadRevisions(threadId) {
+    return fetchAPI(`/api/collabspace/threads/${threadId}/revisions`);
+  },
+
   async deleteThread(threadId) {
     return fetchAPI(`/api/collabspace/threads/${threadId}`, {
       method: 'DELETE',
@@ -336,19 +830,30 @@ export const collabspace = {
     });
   },
 
+  async getReplyRevisions(replyId) {
+    return fetchAPI(`/api/collabspace/replies/${replyId}/revisions`);
+  },
+
   async deleteReply(replyId) {
     return fetchAPI(`/api/collabspace/replies/${replyId}`, {
       method: 'DELETE',
     });
   },
 
+  async reactToReply(replyId, type) {
+    return fetchAPI(`/api/collabspace/replies/${replyId}/reactions`, {
+      method: 'POST',
+      body: JSON.stringify({ type }),
+    });
+  },
+
   async getStudyGroups(filters = {}) {
-    const params = new URLSearchParams(filters);
-    return fetchAPI(`/api/collabspace/study-groups?${params}`);
+    // filters may include cursor and limit alongside courseId, cohort, search, tags
+    return fetchAPI(`/api/collabspace/study-groups${buildQuery(filters)}`);
   },
 
-  async getMyStudyGroups() {
-    return fetchAPI('/api/collabspace/study-groups/my-groups');
+  async getMyStudyGroups({ cursor, limit } = {}) {
+    return fetchAPI(`/api/collabspace/study-groups/my-groups${buildQuery({ cursor, limit })}`);
   },
 
   async getStudyGroup(studyGroupId) {
@@ -381,8 +886,40 @@ export const collabspace = {
     });
   },
 
-  async getStudyGroupMessages(studyGroupId) {
-    return fetchAPI(`/api/collabspace/study-groups/${studyGroupId}/messages`);
+  async getStudyGroupOccurrences(studyGroupId, { from, to, limit } = {}) {
+    return fetchAPI(
+      `/api/collabspace/study-groups/${studyGroupId}/occurrences${buildQuery({ from, to, limit })}`
+    );
+  },
+
+  async updateStudyGroupOccurrence(studyGroupId, occurrenceId, data) {
+    // data: { status: 'MOVED' | 'CANCELLED' | 'SCHEDULED', startsAt?, endsAt?, note? }
+    return fetchAPI(
+      `/api/collabspace/study-groups/${studyGroupId}/occurrences/${encodeURIComponent(occurrenceId)}`,
+      {
+        method: 'PUT',
+        body: JSON.stringify(data),
+      }
+    );
+  },
+
+  async checkInStudyGroupOccurrence(studyGroupId, occurrenceId) {
+    return fetchAPI(
+      `/api/collabspace/study-groups/${studyGroupId}/occurrences/${encodeURIComponent(occurrenceId)}/check-in`,
+      { method: 'POST' }
+    );
+  },
+
+  async getStudyGroupAttendance(studyGroupId, occurrenceId) {
+    return fetchAPI(
+      `/api/collabspace/study-groups/${studyGroupId}/occurrences/${encodeURIComponent(occurrenceId)}/attendance`
+    );
+  },
+
+  async getStudyGroupMessages(studyGroupId, { cursor, limit } = {}) {
+    return fetchAPI(
+      `/api/collabspace/study-groups/${studyGroupId}/messages${buildQuery({ cursor, limit })}`
+    );
   },
 
   async sendStudyGroupMessage(studyGroupId, content) {
@@ -405,8 +942,34 @@ export const collabspace = {
     });
   },
 
-  async getResources(courseId) {
-    return fetchAPI(`/api/collabspace/courses/${courseId}/resources`);
+  async getDeadlines(courseId) {
+    return fetchAPI(`/api/collabspace/courses/${courseId}/deadlines`);
+  },
+
+  async createDeadline(courseId, data) {
+    return fetchAPI(`/api/collabspace/courses/${courseId}/deadlines`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async updateDeadline(deadlineId, data) {
+    return fetchAPI(`/api/collabspace/deadlines/${deadlineId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async deleteDeadline(deadlineId) {
+    return fetchAPI(`/api/collabspace/deadlines/${deadlineId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async getResources(courseId, { cursor, limit } = {}) {
+    return fetchAPI(
+      `/api/collabspace/courses/${courseId}/resources${buildQuery({ cursor, limit })}`
+    );
   },
 
   async createResource(data) {
@@ -424,6 +987,20 @@ export const collabspace = {
   },
 };
 
+// ========== Calendar API ==========
+
+export const calendar = {
+  async getFeed() {
+    return fetchAPI('/api/calendar/feed');
+  },
+
+  async resetFeed() {
+    return fetchAPI('/api/calendar/feed/reset', {
+      method: 'POST',
+    });
+  },
+};
+
 // ========== Admin API ==========
 
 export const admin = {
@@ -431,17 +1008,17 @@ export const admin = {
     return fetchAPI('/api/admin/users');
   },
 
-  async suspendUser(userId, durationMinutes, reason) {
+  async suspendUser(userId, durationMinutes, reason, reportId) {
     return fetchAPI(`/api/admin/users/${userId}/suspend`, {
       method: 'POST',
-      body: JSON.stringify({ durationMinutes, reason }),
+      body: JSON.stringify({ durationMinutes, reason, reportId }),
     });
   },
 
-  async banUser(userId, reason) {
+  async banUser(userId, reason, reportId) {
     return fetchAPI(`/api/admin/users/${userId}/ban`, {
       method: 'POST',
-      body: JSON.stringify({ reason }),
+      body: JSON.stringify({ reason, reportId }),
     });
   },
 
@@ -463,6 +1040,84 @@ export const admin = {
       method: 'DELETE',
     });
   },
+
+  async listReports({ status, targetType, cursor, limit } = {}) {
+    return fetchAPI(`/api/admin/reports${buildQuery({ status, targetType, cursor, limit })}`);
+  },
+
+  async removeReportedContent(reportId, note) {
+    return fetchAPI(`/api/admin/reports/${reportId}/remove-content`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  },
+
+  async dismissReport(reportId, note) {
+    return fetchAPI(`/api/admin/reports/${reportId}/dismiss`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  },
+
+  async getUserActions(userId, { cursor, limit } = {}) {
+    return fetchAPI(`/api/admin/users/${userId}/actions${buildQuery({ cursor, limit })}`);
+  },
+
+  async listAppeals({ status, cursor, limit } = {}) {
+    return fetchAPI(`/api/admin/appeals${buildQuery({ status, cursor, limit })}`);
+  },
+
+  async reviewAppeal(appealId, decision, note) {
+    return fetchAPI(`/api/admin/appeals/${appealId}/review`, {
+      method: 'POST',
+      body: JSON.stringify({ decision, note }),
+    });
+  },
+};
+
+// ========== Public Portfolios API ==========
+
+export const publicPortfolios = {
+  async get(slug, token) {
+    return fetchAPI(`/api/portfolios/${encodeURIComponent(slug)}${buildQuery({ token })}`);
+  },
+
+  async recordView(slug, { token, referrer }) {
+    return fetchAPI(`/api/portfolios/${encodeURIComponent(slug)}/views`, {
+      method: 'POST',
+      body: JSON.stringify({ token, referrer }),
+    });
+  },
+};
+
+// ========== Appeals API ==========
+
+export const appeals = {
+  async get(token) {
+    return fetchAPI(`/api/appeals/${encodeURIComponent(token)}`);
+  },
+
+  async submit(token, message) {
+    return fetchAPI(`/api/appeals/${encodeURIComponent(token)}`, {
+      method: 'POST',
+      body: JSON.stringify({ message }),
+    });
+  },
+};
+
+// ========== Reports API ==========
+
+export const reports = {
+  async create(data) {
+    return fetchAPI('/api/reports', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  async list({ cursor, limit } = {}) {
+    return fetchAPI(`/api/reports${buildQuery({ cursor, limit })}`);
+  },
 };
 
 // ========== Search API ==========
@@ -482,8 +1137,8 @@ export const search = {
 // ========== MIM (Chat Rooms) API ==========
 
 export const mim = {
-  async getRooms() {
-    return fetchAPI('/api/mim/rooms');
+  async getRooms({ cursor, limit } = {}) {
+    return fetchAPI(`/api/mim/rooms${buildQuery({ cursor, limit })}`);
   },
 
   async getRoom(roomId) {
@@ -517,10 +1172,8 @@ export const mim = {
     });
   },
 
-  async getMessages(roomId, limit = 100, before = null) {
-    const params = new URLSearchParams({ limit: limit.toString() });
-    if (before) params.append('before', before);
-    return fetchAPI(`/api/mim/rooms/${roomId}/messages?${params}`);
+  async getMessages(roomId, { cursor, limit } = {}) {
+    return fetchAPI(`/api/mim/rooms/${roomId}/messages${buildQuery({ cursor, limit })}`);
   },
 
   async deleteRoom(roomId) {
@@ -534,4 +1187,11 @@ export const mim = {
       method: 'DELETE',
     });
   },
+
+  async reactToMessage(messageId, type) {
+    return fetchAPI(`/api/mim/messages/${messageId}/reactions`, {
+      method: 'POST',
+      body: JSON.stringify({ type }),
+    });
+  },
 };
@@ -4,6 +4,9 @@ import PropTypes from 'prop-types';
 import '../styles/globals.css';
 import { auth } from '../lib/api';
 
+// Rendered on the server for link previews, so they can't wait for the auth check
+const SERVER_RENDERED_PAGES = ['/p/[slug]'];
+
 function MyApp({ Component, pageProps }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -16,7 +19,7 @@ function MyApp({ Component, pageProps }) {
 
   useEffect(() => {
     // Handle redirects after auth check completes
-    const publicPages = ['/login', '/register'];
+    const publicPages = ['/login', '/register', '/appeal', '/p/[slug]'];
     const isPublicPage = publicPages.includes(router.pathname);
 
     if (authChecked && !loading) {
@@ -48,7 +51,7 @@ function MyApp({ Component, pageProps }) {
     }
   }
 
-  if (loading) {
+  if (loading && !SERVER_RENDERED_PAGES.includes(router.pathname)) {
     return (
       <div className="min-h-screen bg-gray-900 flex items-center justify-center">
         <div className="w-12 h-12 border-4 border-teal-500 border-t-transparent rounded-full animate-spin"></div>
@@ -1,9 +1,11 @@
-import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Fragment, useCallback, useEffect, useMemo, useState } from 'react';
 import { useRouter } from 'next/router';
 import PropTypes from 'prop-types';
 import Navbar from '../../components/Navbar';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import ErrorMessage from '../../components/ErrorMessage';
+import ReportQueue from '../../components/ReportQueue';
+import AppealQueue from '../../components/AppealQueue';
 import { admin as adminApi, auth } from '../../lib/api';
 
 const SUSPEND_OPTIONS = [
@@ -19,6 +21,12 @@ function formatDate(value) {
   return date.toLocaleString();
 }
 
+const ACTION_LABELS = {
+  SUSPEND: 'Suspended',
+  BAN: 'Banned',
+  RESTORE: 'Restored',
+};
+
 function getStatusTone(status) {
   switch (status) {
     case 'BANNED':
@@ -37,8 +45,10 @@ function AdminDashboard({ user, setUser }) {
   const [error, setError] = useState(null);
   const [feedback, setFeedback] = useState(null);
   const [actionUserId, setActionUserId] = useState(null);
+  const [history, setHistory] = useState(null); // { userId, actions }
 
   const isAdmin = user?.role === 'ADMIN';
+  const isModerator = isAdmin || user?.role === 'MODERATOR';
 
   const loadUsers = useCallback(async () => {
     try {
@@ -59,7 +69,7 @@ function AdminDashboard({ user, setUser }) {
       return;
     }
 
-    if (user && user.role !== 'ADMIN') {
+    if (user && user.role !== 'ADMIN' && user.role !== 'MODERATOR') {
       router.replace('/hub');
       return;
     }
@@ -168,6 +178,23 @@ function AdminDashboard({ user, setUser }) {
     }
   };
 
+  const handleToggleHistory = async (targetId) => {
+    if (history?.userId === targetId) {
+      setHistory(null);
+      return;
+    }
+
+    try {
+      setActionUserId(targetId);
+      const data = await adminApi.getUserActions(targetId);
+      setHistory({ userId: targetId, actions: data.actions });
+    } catch (err) {
+      setError(err.message || 'Failed to load moderation history');
+    } finally {
+      setActionUserId(null);
+    }
+  };
+
   const summaryCounts = useMemo(() => {
     return users.reduce(
       (acc, entry) => {
@@ -183,7 +210,7 @@ function AdminDashboard({ user, setUser }) {
     );
   }, [users]);
 
-  if (!isAdmin) {
+  if (!isModerator) {
     return null;
   }
 
@@ -216,6 +243,10 @@ function AdminDashboard({ user, setUser }) {
           </div>
         )}
 
+        <ReportQueue canBan={isAdmin} onUserActioned={loadUsers} />
+
+        <AppealQueue canOverturnBans={isAdmin} onUserActioned={loadUsers} />
+
         {error && <ErrorMessage message={error} onRetry={loadUsers} />}
 
         {loading ? (
@@ -240,88 +271,134 @@ function AdminDashboard({ user, setUser }) {
                   {users.map((entry) => {
                     const isSelf = entry.id === user.id;
                     return (
-                      <tr key={entry.id} className="hover:bg-cyber-surface/60 transition-colors">
-                        <td className="px-4 py-4 align-top">
-                          <div className="font-medium text-white">
-                            {entry.firstName} {entry.lastName}
-                          </div>
-                          <div className="text-xs text-gray-500">{entry.email}</div>
-                          <div className="text-xs text-gray-600">@{entry.username}</div>
-                        </td>
-                        <td className="px-4 py-4 align-top">
-                          <span
-                            className={`inline-flex items-center rounded-full border px-3 py-1 text-xs font-semibold ${getStatusTone(entry.status)}`}
-                          >
-                            {entry.status}
-                          </span>
-                          {entry.moderationNote && (
-                            <div className="mt-2 text-xs text-gray-500">{entry.moderationNote}</div>
-                          )}
-                        </td>
-                        <td className="px-4 py-4 align-top text-xs text-gray-400">
-                          {entry.suspendedUntil ? formatDate(entry.suspendedUntil) : '—'}
-                        </td>
-                        <td className="px-4 py-4 align-top text-xs text-gray-400">{entry.role}</td>
-                        <td className="px-4 py-4 align-top text-xs text-gray-500">
-                          <div>Created: {formatDate(entry.createdAt)}</div>
-                          <div>Last active: {formatDate(entry.lastActive)}</div>
-                        </td>
-                        <td className="px-4 py-4 align-top">
-                          <div className="flex flex-wrap gap-2 justify-end">
-                            {!isSelf && entry.status !== 'BANNED' && (
-                              <>
-                                {SUSPEND_OPTIONS.map((option) => (
-                                  <button
-                                    key={option.minutes}
-                                    onClick={() =>
-                                      handleSuspend(entry.id, option.minutes, option.label)
-                                    }
-                                    className="rounded-md border border-cyber-border/70 bg-cyber-surface/70 px-3 py-1 text-xs text-gray-200 hover:border-cyber-blue hover:text-white transition"
-                                    disabled={actionUserId === entry.id}
-                                  >
-                                    Suspend {option.label}
-                                  </button>
-                                ))}
+                      <Fragment key={entry.id}>
+                        <tr className="hover:bg-cyber-surface/60 transition-colors">
+                          <td className="px-4 py-4 align-top">
+                            <div className="font-medium text-white">
+                              {entry.firstName} {entry.lastName}
+                            </div>
+                            <div className="text-xs text-gray-500">{entry.email}</div>
+                            <div className="text-xs text-gray-600">@{entry.username}</div>
+                          </td>
+                          <td className="px-4 py-4 align-top">
+                            <span
+                              className={`inline-flex items-center rounded-full border px-3 py-1 text-xs font-semibold ${getStatusTone(entry.status)}`}
+                            >
+                              {entry.status}
+                            </span>
+                            {entry.moderationNote && (
+                              <div className="mt-2 text-xs text-gray-500">
+                                {entry.moderationNote}
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-4 py-4 align-top text-xs text-gray-400">
+                            {entry.suspendedUntil ? formatDate(entry.suspendedUntil) : '—'}
+                          </td>
+                          <td className="px-4 py-4 align-top text-xs text-gray-400">
+                            {entry.role}
+                          </td>
+                          <td className="px-4 py-4 align-top text-xs text-gray-500">
+                            <div>Created: {formatDate(entry.createdAt)}</div>
+                            <div>Last active: {formatDate(entry.lastActive)}</div>
+                          </td>
+                          <td className="px-4 py-4 align-top">
+                            <div className="flex flex-wrap gap-2 justify-end">
+                              {!isSelf && entry.status !== 'BANNED' && (
+                                <>
+                                  {SUSPEND_OPTIONS.map((option) => (
+                                    <button
+                                      key={option.minutes}
+                                      onClick={() =>
+                                        handleSuspend(entry.id, option.minutes, option.label)
+                                      }
+                                      className="rounded-md border border-cyber-border/70 bg-cyber-surface/70 px-3 py-1 text-xs text-gray-200 hover:border-cyber-blue hover:text-white transition"
+                                      disabled={actionUserId === entry.id}
+                                    >
+                                      Suspend {option.label}
+                                    </button>
+                                  ))}
+                                  {isAdmin && (
+                                    <button
+                                      onClick={() => handleBan(entry.id)}
+                                      className="rounded-md border border-red-500/70 bg-red-500/10 px-3 py-1 text-xs text-red-300 hover:bg-red-500/20 transition"
+                                      disabled={actionUserId === entry.id}
+                                    >
+                                      Ban
+                                    </button>
+                                  )}
+                                </>
+                              )}
+                              {!isSelf && entry.status !== 'ACTIVE' && (
                                 <button
-                                  onClick={() => handleBan(entry.id)}
-                                  className="rounded-md border border-red-500/70 bg-red-500/10 px-3 py-1 text-xs text-red-300 hover:bg-red-500/20 transition"
+                                  onClick={() => handleRestore(entry.id)}
+                                  className="rounded-md border border-cyber-blue/60 bg-cyber-blue/10 px-3 py-1 text-xs text-cyber-blue hover:bg-cyber-blue/20 transition"
                                   disabled={actionUserId === entry.id}
                                 >
-                                  Ban
+                                  Restore
                                 </button>
-                              </>
-                            )}
-                            {!isSelf && entry.status !== 'ACTIVE' && (
-                              <button
-                                onClick={() => handleRestore(entry.id)}
-                                className="rounded-md border border-cyber-blue/60 bg-cyber-blue/10 px-3 py-1 text-xs text-cyber-blue hover:bg-cyber-blue/20 transition"
-                                disabled={actionUserId === entry.id}
-                              >
-                                Restore
-                              </button>
-                            )}
-                            {!isSelf && (
-                              <button
-                                onClick={() => handleRoleToggle(entry.id, entry.role)}
-                                className="rounded-md border border-purple-500/60 bg-purple-500/10 px-3 py-1 text-xs text-purple-200 hover:bg-purple-500/20 transition"
-                                disabled={actionUserId === entry.id}
-                              >
-                                {entry.role === 'ADMIN' ? 'Remove Admin' : 'Make Admin'}
-                              </button>
-                            )}
-                            {!isSelf && (
+                              )}
+                              {isAdmin && !isSelf && (
+                                <button
+                                  onClick={() => handleRoleToggle(entry.id, entry.role)}
+                                  className="rounded-md border border-purple-500/60 bg-purple-500/10 px-3 py-1 text-xs text-purple-200 hover:bg-purple-500/20 transition"
+                                  disabled={actionUserId === entry.id}
+                                >
+                                  {entry.role === 'ADMIN' ? 'Remove Admin' : 'Make Admin'}
+                                </button>
+                              )}
+                              {isAdmin && !isSelf && (
+                                <button
+                                  onClick={() => handleDelete(entry.id)}
+                                  className="rounded-md border border-red-600/60 bg-red-600/10 px-3 py-1 text-xs text-red-400 hover:bg-red-600/20 transition"
+                                  disabled={actionUserId === entry.id}
+                                >
+                                  Delete
+                                </button>
+                              )}
+                              {isSelf && (
+                                <span className="text-xs text-gray-500">(This is you)</span>
+                              )}
                               <button
-                                onClick={() => handleDelete(entry.id)}
-                                className="rounded-md border border-red-600/60 bg-red-600/10 px-3 py-1 text-xs text-red-400 hover:bg-red-600/20 transition"
+                                onClick={() => handleToggleHistory(entry.id)}
+                                className="rounded-md border border-cyber-border/70 bg-cyber-surface/70 px-3 py-1 text-xs text-gray-400 hover:text-white transition"
                                 disabled={actionUserId === entry.id}
                               >
-                                Delete
+                                {history?.userId === entry.id ? 'Hide History' : 'History'}
                               </button>
-                            )}
-                            {isSelf && <span className="text-xs text-gray-500">(This is you)</span>}
-                          </div>
-                        </td>
-                      </tr>
+                            </div>
+                          </td>
+                        </tr>
+                        {history?.userId === entry.id && (
+                          <tr>
+                            <td colSpan={6} className="px-4 pb-4 text-xs text-gray-400">
+                              {history.actions.length === 0 ? (
+                                <p className="text-gray-500">No moderation history.</p>
+                              ) : (
+                                <ul className="space-y-1">
+                                  {history.actions.map((action) => (
+                                    <li key={action.id}>
+                                      <span className="text-gray-200">
+                                        {ACTION_LABELS[action.type]}
+                                      </span>
+                                      {action.type === 'SUSPEND' &&
+                                        ` until ${formatDate(action.expiresAt)}`}{' '}
+                                      by{' '}
+                                      {action.moderator
+                                        ? `@${action.moderator.username}`
+                                        : 'a former moderator'}{' '}
+                                      on {formatDate(action.createdAt)}
+                                      {action.reason && ` — ${action.reason}`}
+                                      {action.appeal &&
+                                        ` (appeal ${action.appeal.status.toLowerCase()})`}
+                                    </li>
+                                  ))}
+                                </ul>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
                     );
                   })}
                 </tbody>
@@ -0,0 +1,142 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { appeals } from '../lib/api';
+
+const APPEAL_STATUS_TEXT = {
+  PENDING: 'Your appeal is waiting for a moderator.',
+  UPHELD: 'A moderator reviewed your appeal and upheld the decision.',
+  OVERTURNED: 'A moderator overturned the decision. You can log in again.',
+};
+
+/**
+ * Appeal page - reached from the link in a suspension or ban email
+ * Works without logging in, since suspended and banned accounts can't.
+ */
+function Appeal() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [details, setDetails] = useState(null);
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!router.isReady) return;
+    if (!token) {
+      setError('This appeal link is incomplete.');
+      setLoading(false);
+      return;
+    }
+    loadAppeal();
+  }, [router.isReady, token]);
+
+  async function loadAppeal() {
+    try {
+      setDetails(await appeals.get(token));
+    } catch (err) {
+      setError(err.message || 'Failed to load appeal');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      await appeals.submit(token, message.trim());
+      setMessage('');
+      await loadAppeal();
+    } catch (err) {
+      setError(err.message || 'Failed to submit appeal');
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 flex items-center justify-center px-4">
+      <div className="max-w-lg w-full">
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold bg-gradient-to-r from-teal-400 to-cyan-500 bg-clip-text text-transparent mb-2">
+            Maestroverse
+          </h1>
+          <p className="text-gray-400">Appeal a Moderation Decision</p>
+        </div>
+
+        <div className="bg-gray-800 rounded-lg shadow-xl p-8 border border-gray-700 space-y-6">
+          {error && (
+            <div className="bg-red-500/10 border border-red-500 text-red-500 px-4 py-3 rounded-lg">
+              {error}
+            </div>
+          )}
+
+          {loading && <p className="text-gray-400">Loading...</p>}
+
+          {details && (
+            <>
+              <div className="space-y-2">
+                <p className="text-white">{details.action.summary}</p>
+                <p className="text-gray-400 text-sm">
+                  <span className="text-gray-500">Reason:</span>{' '}
+                  {details.action.reason || 'No reason was given.'}
+                </p>
+              </div>
+
+              {details.appeal && (
+                <div className="bg-gray-700/50 rounded-lg px-4 py-3 text-sm text-gray-300">
+                  {APPEAL_STATUS_TEXT[details.appeal.status]}
+                  {details.appeal.reviewNote && (
+                    <p className="mt-2 text-gray-400">
+                      Moderator note: {details.appeal.reviewNote}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {details.canAppeal && (
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  <div>
+                    <label className="block text-gray-300 mb-2">
+                      Why should a moderator reconsider?
+                    </label>
+                    <textarea
+                      value={message}
+                      onChange={(e) => setMessage(e.target.value)}
+                      rows={6}
+                      maxLength={2000}
+                      className="w-full bg-gray-700 text-white px-4 py-3 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-teal-500"
+                      required
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={submitting || !message.trim()}
+                    className="w-full bg-teal-600 text-white py-3 rounded-lg hover:bg-teal-700 transition-colors disabled:opacity-50"
+                  >
+                    {submitting ? 'Sending...' : 'Send Appeal'}
+                  </button>
+                </form>
+              )}
+
+              {!details.canAppeal && !details.appeal && (
+                <p className="text-gray-400 text-sm">This decision is no longer in effect.</p>
+              )}
+            </>
+          )}
+
+          <div className="text-center">
+            <Link href="/login" className="text-teal-400 hover:text-teal-300">
+              Back to login
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Appeal;
@@ -0,0 +1,415 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import PropTypes from 'prop-types';
+import Navbar from '../components/Navbar';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorMessage from '../components/ErrorMessage';
+import { users, auth } from '../lib/api';
+
+const TYPE_LABELS = {
+  POST: { label: 'Posts', icon: '📝' },
+  THREAD: { label: 'Threads', icon: '💬' },
+  RESOURCE: { label: 'Resources', icon: '📚' },
+  PROJECT: { label: 'Projects', icon: '🚀' },
+  CHAT_MESSAGE: { label: 'Messages', icon: '✉️' },
+};
+
+/**
+ * Link and summary line for a bookmarked item
+ */
+function describeItem(type, item) {
+  switch (type) {
+    case 'POST':
+      return { href: `/hub/posts/${item.id}`, title: item.content };
+    case 'THREAD':
+      return { href: `/collabspace/threads/${item.id}`, title: item.title, meta: item.course.code };
+    case 'RESOURCE':
+      return {
+        href: `/collabspace/courses/${item.course.id}`,
+        title: item.title,
+        meta: item.course.code,
+      };
+    case 'PROJECT':
+      return { href: `/hub/users/${item.author.id}`, title: item.title };
+    case 'CHAT_MESSAGE':
+      return { href: '/mim', title: item.content, meta: item.room.name };
+    default:
+      return { href: '#', title: '' };
+  }
+}
+
+function Bookmarks({ user, setUser }) {
+  const router = useRouter();
+  const [bookmarks, setBookmarks] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState({ type: '', collectionId: '' });
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [newCollection, setNewCollection] = useState('');
+  const [editingNoteId, setEditingNoteId] = useState(null);
+  const [noteDraft, setNoteDraft] = useState('');
+
+  useEffect(() => {
+    if (user) {
+      loadCollections();
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      loadBookmarks();
+    }
+  }, [user, filters]);
+
+  async function loadBookmarks() {
+    try {
+      setError(null);
+      setLoading(true);
+      const data = await users.getBookmarks(filters);
+      setBookmarks(data.bookmarks);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to load bookmarks:', err);
+      setError(err.message || 'Failed to load bookmarks');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadMore() {
+    try {
+      setLoadingMore(true);
+      const data = await users.getBookmarks({ ...filters, cursor: nextCursor });
+      setBookmarks((prev) => [...prev, ...data.bookmarks]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to load more bookmarks:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  async function loadCollections() {
+    try {
+      const data = await users.getBookmarkCollections();
+      setCollections(data.collections);
+    } catch (err) {
+      console.error('Failed to load collections:', err);
+    }
+  }
+
+  async function handleCreateCollection(e) {
+    e.preventDefault();
+    if (!newCollection.trim()) return;
+
+    try {
+      await users.createBookmarkCollection(newCollection.trim());
+      setNewCollection('');
+      await loadCollections();
+    } catch (err) {
+      alert(err.message || 'Failed to create collection');
+    }
+  }
+
+  async function handleRenameCollection(collection) {
+    const name = prompt('Rename collection', collection.name);
+    if (!name || name.trim() === collection.name) return;
+
+    try {
+      await users.renameBookmarkCollection(collection.id, name.trim());
+      await Promise.all([loadCollections(), loadBookmarks()]);
+    } catch (err) {
+      alert(err.message || 'Failed to rename collection');
+    }
+  }
+
+  async function handleDeleteCollection(collection) {
+    if (!confirm(`Delete "${collection.name}"? Its bookmarks will be kept as unsorted.`)) return;
+
+    try {
+      await users.deleteBookmarkCollection(collection.id);
+      if (filters.collectionId === collection.id) {
+        setFilters((prev) => ({ ...prev, collectionId: '' }));
+      } else {
+        await loadBookmarks();
+      }
+      await loadCollections();
+    } catch (err) {
+      alert(err.message || 'Failed to delete collection');
+    }
+  }
+
+  async function handleMove(bookmark, collectionId) {
+    try {
+      const data = await users.updateBookmark(bookmark.id, { collectionId: collectionId || null });
+      setBookmarks((prev) => prev.map((b) => (b.id === bookmark.id ? data.bookmark : b)));
+      await loadCollections();
+    } catch (err) {
+      alert(err.message || 'Failed to move bookmark');
+    }
+  }
+
+  async function handleSaveNote(bookmark) {
+    try {
+      const data = await users.updateBookmark(bookmark.id, { note: noteDraft.trim() || null });
+      setBookmarks((prev) => prev.map((b) => (b.id === bookmark.id ? data.bookmark : b)));
+      setEditingNoteId(null);
+    } catch (err) {
+      alert(err.message || 'Failed to save note');
+    }
+  }
+
+  async function handleRemove(bookmark) {
+    try {
+      await users.deleteBookmark(bookmark.id);
+      setBookmarks((prev) => prev.filter((b) => b.id !== bookmark.id));
+      await loadCollections();
+    } catch (err) {
+      alert(err.message || 'Failed to remove bookmark');
+    }
+  }
+
+  function handleLogout() {
+    auth.logout();
+    setUser(null);
+    router.push('/login');
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-900">
+      <Navbar currentModule="Hub" user={user} onLogout={handleLogout} />
+
+      <div className="max-w-6xl mx-auto px-4 py-8 grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Collections Sidebar */}
+        <aside className="bg-gray-800 rounded-lg p-4 border border-gray-700 h-fit">
+          <h2 className="text-white font-semibold mb-3">Collections</h2>
+          <div className="space-y-1 mb-4">
+            {[
+              { id: '', name: 'All bookmarks' },
+              { id: 'none', name: 'Unsorted' },
+            ].map((option) => (
+              <button
+                key={option.id || 'all'}
+                onClick={() => setFilters((prev) => ({ ...prev, collectionId: option.id }))}
+                className={`block w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                  filters.collectionId === option.id
+                    ? 'bg-teal-600/30 text-white'
+                    : 'text-gray-300 hover:bg-gray-700'
+                }`}
+              >
+                {option.name}
+              </button>
+            ))}
+            {collections.map((collection) => (
+              <div
+                key={collection.id}
+                className={`group flex items-center justify-between px-3 py-2 rounded-lg text-sm transition-colors ${
+                  filters.collectionId === collection.id
+                    ? 'bg-teal-600/30 text-white'
+                    : 'text-gray-300 hover:bg-gray-700'
+                }`}
+              >
+                <button
+                  onClick={() => setFilters((prev) => ({ ...prev, collectionId: collection.id }))}
+                  className="flex-1 text-left truncate"
+                >
+                  {collection.name}
+                  <span className="ml-2 text-gray-500 text-xs">{collection._count.bookmarks}</span>
+                </button>
+                <div className="hidden group-hover:flex items-center space-x-2 text-xs">
+                  <button
+                    onClick={() => handleRenameCollection(collection)}
+                    className="text-gray-400 hover:text-blue-400"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => handleDeleteCollection(collection)}
+                    className="text-gray-400 hover:text-red-400"
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <form onSubmit={handleCreateCollection} className="flex space-x-2">
+            <input
+              type="text"
+              value={newCollection}
+              onChange={(e) => setNewCollection(e.target.value)}
+              placeholder="New collection"
+              maxLength={60}
+              className="flex-1 min-w-0 bg-gray-900 text-white px-3 py-2 rounded-lg border border-gray-700 focus:outline-none focus:ring-2 focus:ring-teal-500 text-sm"
+            />
+            <button
+              type="submit"
+              className="px-3 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors text-sm"
+            >
+              Add
+            </button>
+          </form>
+        </aside>
+
+        {/* Bookmarks */}
+        <main className="lg:col-span-3">
+          <div className="flex items-center justify-between mb-4">
+            <h1 className="text-2xl font-bold text-white">Bookmarks</h1>
+            <select
+              value={filters.type}
+              onChange={(e) => setFilters((prev) => ({ ...prev, type: e.target.value }))}
+              className="bg-gray-800 text-white px-3 py-2 rounded-lg border border-gray-700 focus:outline-none focus:ring-2 focus:ring-teal-500 text-sm"
+            >
+              <option value="">All types</option>
+              {Object.entries(TYPE_LABELS).map(([type, { label }]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {error && <ErrorMessage message={error} onRetry={loadBookmarks} />}
+
+          {loading ? (
+            <LoadingSpinner size="lg" text="Loading bookmarks..." />
+          ) : bookmarks.length === 0 ? (
+            <div className="bg-gray-800 rounded-lg p-12 text-center border border-gray-700">
+              <div className="text-6xl mb-4">☆</div>
+              <h3 className="text-white text-xl font-semibold mb-2">No bookmarks here</h3>
+              <p className="text-gray-400">
+                Save posts, threads, resources, projects and messages to find them later
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {bookmarks.map((bookmark) => {
+                const { icon } = TYPE_LABELS[bookmark.targetType];
+                const details = bookmark.item && describeItem(bookmark.targetType, bookmark.item);
+
+                return (
+                  <div
+                    key={bookmark.id}
+                    className="bg-gray-800 border border-gray-700 rounded-lg p-4"
+                  >
+                    <div className="flex items-start justify-between">
+                      <div className="flex-1 min-w-0 pr-4">
+                        {details ? (
+                          <Link
+                            href={details.href}
+                            className="text-white hover:text-teal-400 transition-colors line-clamp-2"
+                          >
+                            <span className="mr-2">{icon}</span>
+                            {details.title}
+                          </Link>
+                        ) : (
+                          <p className="text-gray-500 italic">
+                            <span className="mr-2">{icon}</span>
+                            This item is no longer available
+                          </p>
+                        )}
+                        <p className="text-gray-500 text-xs mt-1">
+                          {details?.meta && `${details.meta} · `}
+                          {bookmark.item?.author &&
+                            `${bookmark.item.author.firstName} ${bookmark.item.author.lastName} · `}
+                          {bookmark.item?.uploader &&
+                            `${bookmark.item.uploader.firstName} ${bookmark.item.uploader.lastName} · `}
+                          Saved {new Date(bookmark.createdAt).toLocaleDateString()}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-3">
+                        <select
+                          value={bookmark.collection?.id || ''}
+                          onChange={(e) => handleMove(bookmark, e.target.value)}
+                          className="bg-gray-900 text-gray-300 px-2 py-1 rounded border border-gray-700 text-xs"
+                        >
+                          <option value="">Unsorted</option>
+                          {collections.map((collection) => (
+                            <option key={collection.id} value={collection.id}>
+                              {collection.name}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => handleRemove(bookmark)}
+                          className="text-gray-400 hover:text-red-400 text-sm transition-colors"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+
+                    {editingNoteId === bookmark.id ? (
+                      <div className="mt-3">
+                        <textarea
+                          value={noteDraft}
+                          onChange={(e) => setNoteDraft(e.target.value)}
+                          rows={2}
+                          maxLength={1000}
+                          className="w-full bg-gray-900 text-white px-3 py-2 rounded-lg border border-gray-700 focus:outline-none focus:ring-2 focus:ring-teal-500 text-sm"
+                        />
+                        <div className="flex justify-end space-x-3 mt-2 text-sm">
+                          <button
+                            onClick={() => setEditingNoteId(null)}
+                            className="text-gray-400 hover:text-white transition-colors"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            onClick={() => handleSaveNote(bookmark)}
+                            className="text-teal-400 hover:text-teal-300 transition-colors"
+                          >
+                            Save note
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <button
+                        onClick={() => {
+                          setEditingNoteId(bookmark.id);
+                          setNoteDraft(bookmark.note || '');
+                        }}
+                        className="mt-2 text-left text-sm text-gray-400 hover:text-teal-400 transition-colors"
+                      >
+                        {bookmark.note ? `📝 ${bookmark.note}` : '+ Add note'}
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+
+              {nextCursor && (
+                <div className="text-center pt-2">
+                  <button
+                    onClick={loadMore}
+                    disabled={loadingMore}
+                    className="px-6 py-2 bg-gray-800 text-gray-300 rounded-lg border border-gray-700 hover:border-teal-500 transition-colors text-sm disabled:opacity-60"
+                  >
+                    {loadingMore ? 'Loading...' : 'Load more'}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </main>
+      </div>
+    </div>
+  );
+}
+
+Bookmarks.propTypes = {
+  user: PropTypes.shape({
+    id: PropTypes.string,
+    firstName: PropTypes.string,
+    lastName: PropTypes.string,
+    email: PropTypes.string,
+  }),
+  setUser: PropTypes.func.isRequired,
+};
+
+export default Bookmarks;
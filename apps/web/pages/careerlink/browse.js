@@ -216,6 +216,18 @@ function BrowseStudents({ user, setUser }) {
                     <div className="flex items-center space-x-4 text-sm text-gray-400">
                       <span>🚀 {student._count.projects} projects</span>
                       <span>👥 {student._count.connections} connections</span>
+                      {student.endorsements.count > 0 && (
+                        <span
+                          title={
+                            student.endorsements.facultyCount > 0
+                              ? `${student.endorsements.facultyCount} from faculty`
+                              : undefined
+                          }
+                        >
+                          {student.endorsements.facultyCount > 0 ? '🎓' : '⭐'}{' '}
+                          {student.endorsements.count} endorsements
+                        </span>
+                      )}
                     </div>
                   </div>
 
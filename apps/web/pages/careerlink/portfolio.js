@@ -4,8 +4,15 @@ import PropTypes from 'prop-types';
 import Navbar from '../../components/Navbar';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import ErrorMessage from '../../components/ErrorMessage';
+import PortfolioEntries from '../../components/PortfolioEntries';
+import ResumeGenerator from '../../components/ResumeGenerator';
+import PortfolioImportExport from '../../components/PortfolioImportExport';
+import PortfolioSharing from '../../components/PortfolioSharing';
+import SkillEndorsements from '../../components/SkillEndorsements';
 import { careerlink, auth } from '../../lib/api';
 
+const ENTRY_SECTIONS = ['experience', 'education', 'certifications', 'awards'];
+
 function Portfolio({ user, setUser }) {
   const [portfolio, setPortfolio] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -15,8 +22,6 @@ function Portfolio({ user, setUser }) {
   const [formData, setFormData] = useState({
     headline: '',
     summary: '',
-    experience: '',
-    education: '',
     resumeUrl: '',
     linkedin: '',
     github: '',
@@ -41,14 +46,6 @@ function Portfolio({ user, setUser }) {
         setFormData({
           headline: data.portfolio.headline || '',
           summary: data.portfolio.summary || '',
-          experience:
-            Array.isArray(data.portfolio.experience) && data.portfolio.experience.length > 0
-              ? data.portfolio.experience[0]?.description || ''
-              : '',
-          education:
-            Array.isArray(data.portfolio.education) && data.portfolio.education.length > 0
-              ? data.portfolio.education[0]?.description || ''
-              : '',
           resumeUrl: data.portfolio.resumeUrl || '',
           linkedin: data.portfolio.linkedin || '',
           github: data.portfolio.github || '',
@@ -63,6 +60,12 @@ function Portfolio({ user, setUser }) {
     }
   }
 
+  // Entries save on their own, so refresh them without resetting the profile form
+  async function reloadEntries() {
+    const data = await careerlink.getPortfolio(user.id);
+    setPortfolio(data.portfolio);
+  }
+
   async function handleSave(e) {
     e.preventDefault();
     setSaving(true);
@@ -72,8 +75,6 @@ function Portfolio({ user, setUser }) {
       const payload = {
         headline: formData.headline || undefined,
         summary: formData.summary || undefined,
-        experience: formData.experience ? [{ description: formData.experience }] : [],
-        education: formData.education ? [{ description: formData.education }] : [],
         resumeUrl: formData.resumeUrl || '',
         linkedin: formData.linkedin || '',
         github: formData.github || '',
@@ -158,30 +159,6 @@ function Portfolio({ user, setUser }) {
                     className="w-full bg-gray-700 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
                   />
                 </div>
-
-                <div>
-                  <label className="block text-gray-300 mb-2">Experience</label>
-                  <textarea
-                    name="experience"
-                    value={formData.experience}
-                    onChange={handleChange}
-                    placeholder="Describe your work experience..."
-                    className="w-full bg-gray-700 text-white rounded-lg p-4 focus:outline-none focus:ring-2 focus:ring-teal-500"
-                    rows="4"
-                  />
-                </div>
-
-                <div>
-                  <label className="block text-gray-300 mb-2">Education</label>
-                  <textarea
-                    name="education"
-                    value={formData.education}
-                    onChange={handleChange}
-                    placeholder="Describe your educational background..."
-                    className="w-full bg-gray-700 text-white rounded-lg p-4 focus:outline-none focus:ring-2 focus:ring-teal-500"
-                    rows="3"
-                  />
-                </div>
               </div>
             </div>
 
@@ -284,37 +261,11 @@ function Portfolio({ user, setUser }) {
               </div>
             </div>
 
-            {/* Experience */}
-            {portfolio.experience &&
-              Array.isArray(portfolio.experience) &&
-              portfolio.experience.length > 0 && (
-                <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
-                  <h2 className="text-xl font-semibold text-white mb-4">Experience</h2>
-                  <div className="space-y-3">
-                    {portfolio.experience.map((exp, i) => (
-                      <p key={i} className="text-gray-300 whitespace-pre-wrap leading-relaxed">
-                        {exp.description || JSON.stringify(exp)}
-                      </p>
-                    ))}
-                  </div>
-                </div>
-              )}
+            {ENTRY_SECTIONS.map((section) => (
+              <PortfolioEntries key={section} section={section} entries={portfolio[section]} />
+            ))}
 
-            {/* Education */}
-            {portfolio.education &&
-              Array.isArray(portfolio.education) &&
-              portfolio.education.length > 0 && (
-                <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
-                  <h2 className="text-xl font-semibold text-white mb-4">Education</h2>
-                  <div className="space-y-3">
-                    {portfolio.education.map((edu, i) => (
-                      <p key={i} className="text-gray-300 whitespace-pre-wrap leading-relaxed">
-                        {edu.description || JSON.stringify(edu)}
-                      </p>
-                    ))}
-                  </div>
-                </div>
-              )}
+            <SkillEndorsements userId={user.id} />
 
             {/* Links */}
             {(portfolio.resumeUrl ||
@@ -371,6 +322,10 @@ function Portfolio({ user, setUser }) {
                 </div>
               </div>
             )}
+
+            <PortfolioSharing />
+            <ResumeGenerator />
+            <PortfolioImportExport onImported={loadPortfolio} />
           </div>
         ) : (
           <div className="bg-gray-800 rounded-lg p-12 text-center border border-gray-700">
@@ -387,6 +342,26 @@ function Portfolio({ user, setUser }) {
             </button>
           </div>
         )}
+
+        {!loading && !editing && !portfolio && (
+          <div className="mt-6">
+            <PortfolioImportExport onImported={loadPortfolio} />
+          </div>
+        )}
+
+        {editing && portfolio && (
+          <div className="space-y-6 mt-6">
+            {ENTRY_SECTIONS.map((section) => (
+              <PortfolioEntries
+                key={section}
+                section={section}
+                entries={portfolio[section]}
+                editable
+                onChange={reloadEntries}
+              />
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
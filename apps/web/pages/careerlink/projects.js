@@ -3,10 +3,12 @@ import PropTypes from 'prop-types';
 import Navbar from '../../components/Navbar';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import ErrorMessage from '../../components/ErrorMessage';
-import { careerlink, auth } from '../../lib/api';
+import BookmarkButton from '../../components/BookmarkButton';
+import { careerlink, users, auth } from '../../lib/api';
 
 function Projects({ user, setUser }) {
   const [projects, setProjects] = useState([]);
+  const [bookmarks, setBookmarks] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showForm, setShowForm] = useState(false);
@@ -30,7 +32,13 @@ function Projects({ user, setUser }) {
     try {
       setError(null);
       const data = await careerlink.getProjects();
-      setProjects(data.projects.filter((p) => p.authorId === user.id));
+      const ownProjects = data.projects.filter((p) => p.authorId === user.id);
+      setProjects(ownProjects);
+      const marks = await users.lookupBookmarks(
+        'PROJECT',
+        ownProjects.map((p) => p.id)
+      );
+      setBookmarks(marks.bookmarks);
     } catch (err) {
       console.error('Failed to load projects:', err);
       setError(err.message || 'Failed to load projects. Please try again.');
@@ -263,7 +271,18 @@ function Projects({ user, setUser }) {
                 className="bg-gray-800 border border-gray-700 rounded-lg overflow-hidden hover:border-teal-500 transition-all"
               >
                 <div className="p-6">
-                  <h3 className="text-white font-semibold text-lg mb-2">{project.title}</h3>
+                  <div className="flex items-start justify-between mb-2">
+                    <h3 className="text-white font-semibold text-lg">{project.title}</h3>
+                    <BookmarkButton
+                      targetType="PROJECT"
+                      targetId={project.id}
+                      bookmark={bookmarks[project.id] || null}
+                      onChange={(bookmark) =>
+                        setBookmarks((prev) => ({ ...prev, [project.id]: bookmark }))
+                      }
+                      compact
+                    />
+                  </div>
                   <p className="text-gray-400 text-sm mb-4 line-clamp-3">{project.description}</p>
 
                   <div className="flex flex-wrap gap-2 mb-4">
@@ -4,13 +4,19 @@ import PropTypes from 'prop-types';
 import Navbar from '../../../components/Navbar';
 import LoadingSpinner from '../../../components/LoadingSpinner';
 import ErrorMessage from '../../../components/ErrorMessage';
-import { collabspace, auth } from '../../../lib/api';
+import BookmarkButton from '../../../components/BookmarkButton';
+import ReportButton from '../../../components/ReportButton';
+import { collabspace, users, auth } from '../../../lib/api';
 
 function CoursePage({ user, setUser }) {
   const router = useRouter();
   const { id } = router.query;
   const [course, setCourse] = useState(null);
   const [threads, setThreads] = useState([]);
+  const [resources, setResources] = useState([]);
+  const [deadlines, setDeadlines] = useState([]);
+  const [deadlineForm, setDeadlineForm] = useState({ title: '', dueAt: '' });
+  const [bookmarks, setBookmarks] = useState({ THREAD: {}, RESOURCE: {} });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showThreadForm, setShowThreadForm] = useState(false);
@@ -29,13 +35,18 @@ function CoursePage({ user, setUser }) {
   async function loadCourseData() {
     try {
       setError(null);
-      const [coursesData, threadsData] = await Promise.all([
+      const [coursesData, threadsData, resourcesData, deadlinesData] = await Promise.all([
         collabspace.getCourses(),
         collabspace.getThreads(id),
+        collabspace.getResources(id),
+        collabspace.getDeadlines(id),
       ]);
       const foundCourse = coursesData.courses.find((c) => c.id === id);
       setCourse(foundCourse);
       setThreads(threadsData.threads);
+      setResources(resourcesData.resources);
+      setDeadlines(deadlinesData.deadlines);
+      loadBookmarks(threadsData.threads, resourcesData.resources);
     } catch (err) {
       console.error('Failed to load course data:', err);
       setError(err.message || 'Failed to load course data. Please try again.');
@@ -44,6 +55,56 @@ function CoursePage({ user, setUser }) {
     }
   }
 
+  async function loadBookmarks(threadList, resourceList) {
+    try {
+      const [threadMarks, resourceMarks] = await Promise.all([
+        users.lookupBookmarks(
+          'THREAD',
+          threadList.map((t) => t.id)
+        ),
+        users.lookupBookmarks(
+          'RESOURCE',
+          resourceList.map((r) => r.id)
+        ),
+      ]);
+      setBookmarks({ THREAD: threadMarks.bookmarks, RESOURCE: resourceMarks.bookmarks });
+    } catch (err) {
+      console.error('Failed to load bookmarks:', err);
+    }
+  }
+
+  function handleBookmarkChange(type, itemId, bookmark) {
+    setBookmarks((prev) => ({ ...prev, [type]: { ...prev[type], [itemId]: bookmark } }));
+  }
+
+  async function handleAddDeadline(e) {
+    e.preventDefault();
+    try {
+      await collabspace.createDeadline(id, {
+        title: deadlineForm.title,
+        dueAt: new Date(deadlineForm.dueAt).toISOString(),
+      });
+      setDeadlineForm({ title: '', dueAt: '' });
+      const data = await collabspace.getDeadlines(id);
+      setDeadlines(data.deadlines);
+    } catch (err) {
+      console.error('Failed to add deadline:', err);
+      setError(err.message || 'Failed to add deadline');
+    }
+  }
+
+  async function handleDeleteDeadline(deadlineId) {
+    try {
+      await collabspace.deleteDeadline(deadlineId);
+      setDeadlines((prev) => prev.filter((d) => d.id !== deadlineId));
+    } catch (err) {
+      console.error('Failed to delete deadline:', err);
+      setError(err.message || 'Failed to delete deadline');
+    }
+  }
+
+  const canManageDeadlines = ['FACULTY', 'MODERATOR', 'ADMIN'].includes(user?.role);
+
   async function handleCreateThread(e) {
     e.preventDefault();
     setCreating(true);
@@ -121,6 +182,67 @@ function CoursePage({ user, setUser }) {
               </div>
             )}
 
+            {/* Deadlines */}
+            {(deadlines.length > 0 || canManageDeadlines) && (
+              <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
+                <h2 className="text-xl font-semibold text-white mb-4">Upcoming Deadlines</h2>
+                {deadlines.length === 0 ? (
+                  <p className="text-gray-500 text-sm">No upcoming deadlines</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {deadlines.map((deadline) => (
+                      <li key={deadline.id} className="flex items-center justify-between text-sm">
+                        <span className="text-white">{deadline.title}</span>
+                        <span className="flex items-center space-x-4">
+                          <span className="text-teal-400">
+                            {new Date(deadline.dueAt).toLocaleString('en-US', {
+                              month: 'short',
+                              day: 'numeric',
+                              hour: 'numeric',
+                              minute: '2-digit',
+                            })}
+                          </span>
+                          {canManageDeadlines && (
+                            <button
+                              onClick={() => handleDeleteDeadline(deadline.id)}
+                              className="text-gray-500 hover:text-red-400 transition-colors"
+                            >
+                              ✕
+                            </button>
+                          )}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {canManageDeadlines && (
+                  <form onSubmit={handleAddDeadline} className="flex space-x-2 mt-4">
+                    <input
+                      type="text"
+                      value={deadlineForm.title}
+                      onChange={(e) => setDeadlineForm({ ...deadlineForm, title: e.target.value })}
+                      placeholder="Assignment, exam..."
+                      required
+                      className="flex-1 bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500 text-sm"
+                    />
+                    <input
+                      type="datetime-local"
+                      value={deadlineForm.dueAt}
+                      onChange={(e) => setDeadlineForm({ ...deadlineForm, dueAt: e.target.value })}
+                      required
+                      className="bg-gray-700 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500 text-sm"
+                    />
+                    <button
+                      type="submit"
+                      className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors text-sm"
+                    >
+                      Add
+                    </button>
+                  </form>
+                )}
+              </div>
+            )}
+
             {/* New Thread Form */}
             {showThreadForm && (
               <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
@@ -207,12 +329,25 @@ function CoursePage({ user, setUser }) {
                         <h3 className="text-white font-semibold text-lg flex-1 pr-4">
                           {thread.title}
                         </h3>
-                        <span className="text-gray-400 text-sm whitespace-nowrap">
-                          {new Date(thread.createdAt).toLocaleDateString('en-US', {
-                            month: 'short',
-                            day: 'numeric',
-                          })}
-                        </span>
+                        <div className="flex items-center space-x-3">
+                          <span className="text-gray-400 text-sm whitespace-nowrap">
+                            {new Date(thread.createdAt).toLocaleDateString('en-US', {
+                              month: 'short',
+                              day: 'numeric',
+                            })}
+                          </span>
+                          <div onClick={(e) => e.stopPropagation()}>
+                            <BookmarkButton
+                              targetType="THREAD"
+                              targetId={thread.id}
+                              bookmark={bookmarks.THREAD[thread.id] || null}
+                              onChange={(bookmark) =>
+                                handleBookmarkChange('THREAD', thread.id, bookmark)
+                              }
+                              compact
+                            />
+                          </div>
+                        </div>
                       </div>
 
                       <p className="text-gray-400 text-sm mb-4 line-clamp-2">{thread.content}</p>
@@ -237,6 +372,52 @@ function CoursePage({ user, setUser }) {
                 </div>
               )}
             </div>
+
+            {/* Resources List */}
+            {resources.length > 0 && (
+              <div className="mt-8">
+                <h2 className="text-2xl font-bold text-white mb-4">Resources</h2>
+                <div className="space-y-3">
+                  {resources.map((resource) => (
+                    <div
+                      key={resource.id}
+                      className="bg-gray-800 border border-gray-700 rounded-lg p-4 flex items-start justify-between"
+                    >
+                      <div className="flex-1 pr-4">
+                        <a
+                          href={resource.fileUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-white font-semibold hover:text-teal-400 transition-colors"
+                        >
+                          {resource.title}
+                        </a>
+                        {resource.description && (
+                          <p className="text-gray-400 text-sm mt-1">{resource.description}</p>
+                        )}
+                        <p className="text-gray-500 text-xs mt-2">
+                          {resource.fileType} · {resource.uploader.firstName}{' '}
+                          {resource.uploader.lastName} · ▲ {resource.voteCount}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-3">
+                        <BookmarkButton
+                          targetType="RESOURCE"
+                          targetId={resource.id}
+                          bookmark={bookmarks.RESOURCE[resource.id] || null}
+                          onChange={(bookmark) =>
+                            handleBookmarkChange('RESOURCE', resource.id, bookmark)
+                          }
+                        />
+                        {user && resource.uploader.id !== user.id && (
+                          <ReportButton targetType="RESOURCE" targetId={resource.id} compact />
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </>
         )}
       </div>
@@ -246,6 +427,7 @@ function CoursePage({ user, setUser }) {
 
 CoursePage.propTypes = {
   user: PropTypes.shape({
+    role: PropTypes.string,
     firstName: PropTypes.string,
     lastName: PropTypes.string,
     email: PropTypes.string,
@@ -5,6 +5,7 @@ import PropTypes from 'prop-types';
 import Navbar from '../../../components/Navbar';
 import LoadingSpinner from '../../../components/LoadingSpinner';
 import ErrorMessage from '../../../components/ErrorMessage';
+import StudyGroupSessions from '../../../components/StudyGroupSessions';
 import { collabspace, auth } from '../../../lib/api';
 
 function StudyGroupDetail({ user, setUser }) {
@@ -455,6 +456,16 @@ function StudyGroupDetail({ user, setUser }) {
               )}
             </div>
 
+            {studyGroup.schedule && (
+              <div>
+                <h3 className="text-white font-semibold mb-2">Upcoming Sessions</h3>
+                <StudyGroupSessions
+                  studyGroupId={studyGroup.id}
+                  isAdmin={studyGroup.membershipRole === 'admin'}
+                />
+              </div>
+            )}
+
             <div>
               <h3 className="text-white font-semibold mb-2">Location</h3>
               {studyGroup.location ? (
@@ -23,6 +23,17 @@ function CreateStudyGroup({ user, setUser }) {
     meetingDays: [],
     location: '',
   });
+  const [repeats, setRepeats] = useState(false);
+  const [schedule, setSchedule] = useState({
+    startDate: '',
+    startTime: '18:00',
+    durationMinutes: 60,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    frequency: 'WEEKLY',
+    interval: 1,
+    until: '',
+    exdates: '',
+  });
   const router = useRouter();
 
   const weekDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
@@ -53,6 +64,11 @@ function CreateStudyGroup({ user, setUser }) {
     }));
   }
 
+  function handleScheduleChange(e) {
+    const { name, value } = e.target;
+    setSchedule((prev) => ({ ...prev, [name]: value }));
+  }
+
   function handleDayToggle(day) {
     setFormData((prev) => ({
       ...prev,
@@ -77,6 +93,19 @@ function CreateStudyGroup({ user, setUser }) {
         maxMembers: parseInt(formData.maxMembers),
         courseId: formData.courseId || null,
         cohort: formData.cohort || null,
+        schedule: repeats
+          ? {
+              ...schedule,
+              durationMinutes: parseInt(schedule.durationMinutes),
+              interval: parseInt(schedule.interval),
+              byDay: formData.meetingDays,
+              until: schedule.until || null,
+              exdates: schedule.exdates
+                .split(',')
+                .map((d) => d.trim())
+                .filter(Boolean),
+            }
+          : undefined,
       };
 
       const data = await collabspace.createStudyGroup(payload);
@@ -266,6 +295,11 @@ function CreateStudyGroup({ user, setUser }) {
                   placeholder="e.g., Mondays 6:00 PM - 8:00 PM"
                   className="w-full bg-gray-700 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
                 />
+                {repeats && (
+                  <p className="text-gray-400 text-sm mt-1">
+                    Leave blank to describe the recurring schedule automatically
+                  </p>
+                )}
               </div>
 
               <div>
@@ -288,6 +322,116 @@ function CreateStudyGroup({ user, setUser }) {
                 </div>
               </div>
 
+              <div className="flex items-center space-x-3">
+                <input
+                  type="checkbox"
+                  id="repeats"
+                  checked={repeats}
+                  onChange={(e) => setRepeats(e.target.checked)}
+                  className="w-5 h-5 bg-gray-700 rounded border-gray-600 text-teal-600 focus:ring-2 focus:ring-teal-500"
+                />
+                <label htmlFor="repeats" className="text-gray-300">
+                  Repeat on a schedule (members get upcoming sessions and can check in)
+                </label>
+              </div>
+
+              {repeats && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-gray-300 mb-2">First Session *</label>
+                    <input
+                      type="date"
+                      name="startDate"
+                      value={schedule.startDate}
+                      onChange={handleScheduleChange}
+                      className="w-full bg-gray-700 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-gray-300 mb-2">Start Time *</label>
+                    <input
+                      type="time"
+                      name="startTime"
+                      value={schedule.startTime}
+                      onChange={handleScheduleChange}
+                      className="w-full bg-gray-700 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-gray-300 mb-2">Length (minutes)</label>
+                    <input
+                      type="number"
+                      name="durationMinutes"
+                      value={schedule.durationMinutes}
+                      onChange={handleScheduleChange}
+                      min="5"
+                      max="720"
+                      className="w-full bg-gray-700 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-gray-300 mb-2">Time Zone</label>
+                    <input
+                      type="text"
+                      name="timezone"
+                      value={schedule.timezone}
+                      onChange={handleScheduleChange}
+                      placeholder="e.g., America/New_York"
+                      className="w-full bg-gray-700 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-gray-300 mb-2">Repeats</label>
+                    <div className="flex space-x-2">
+                      <span className="text-gray-300 py-3">Every</span>
+                      <input
+                        type="number"
+                        name="interval"
+                        value={schedule.interval}
+                        onChange={handleScheduleChange}
+                        min="1"
+                        max="52"
+                        className="w-20 bg-gray-700 text-white px-3 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+                      />
+                      <select
+                        name="frequency"
+                        value={schedule.frequency}
+                        onChange={handleScheduleChange}
+                        className="flex-1 bg-gray-700 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+                      >
+                        <option value="WEEKLY">week(s) on the meeting days</option>
+                        <option value="DAILY">day(s)</option>
+                      </select>
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-gray-300 mb-2">Ends On (Optional)</label>
+                    <input
+                      type="date"
+                      name="until"
+                      value={schedule.until}
+                      onChange={handleScheduleChange}
+                      className="w-full bg-gray-700 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+                    />
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-gray-300 mb-2">Skip Dates (comma-separated)</label>
+                    <input
+                      type="text"
+                      name="exdates"
+                      value={schedule.exdates}
+                      onChange={handleScheduleChange}
+                      placeholder="e.g., 2025-11-26, 2025-12-24"
+                      className="w-full bg-gray-700 text-white px-4 py-3 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+                    />
+                  </div>
+                </div>
+              )}
+
               <div>
                 <label className="block text-gray-300 mb-2">Location</label>
                 <input
@@ -5,13 +5,18 @@ import PropTypes from 'prop-types';
 import Navbar from '../../../components/Navbar';
 import LoadingSpinner from '../../../components/LoadingSpinner';
 import ErrorMessage from '../../../components/ErrorMessage';
-import { collabspace, auth } from '../../../lib/api';
+import ReactionBar from '../../../components/ReactionBar';
+import RevisionHistory from '../../../components/RevisionHistory';
+import BookmarkButton from '../../../components/BookmarkButton';
+import ReportButton from '../../../components/ReportButton';
+import { collabspace, hub, auth } from '../../../lib/api';
 
 function ThreadPage({ user, setUser }) {
   const router = useRouter();
   const { id } = router.query;
   const [thread, setThread] = useState(null);
   const [replies, setReplies] = useState([]);
+  const [reactionSet, setReactionSet] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [replyContent, setReplyContent] = useState('');
@@ -19,6 +24,12 @@ function ThreadPage({ user, setUser }) {
   const [editingReplyId, setEditingReplyId] = useState(null);
   const [editContent, setEditContent] = useState('');
   const [saving, setSaving] = useState(false);
+  const [editingThread, setEditingThread] = useState(false);
+  const [threadDraft, setThreadDraft] = useState({ title: '', content: '' });
+  const [historyLoader, setHistoryLoader] = useState(null);
+
+  const canModerate = ['MODERATOR', 'ADMIN'].includes(user?.role);
+  const canViewHistory = (item) => item.editedAt && (item.author.id === user?.id || canModerate);
 
   useEffect(() => {
     if (user && id) {
@@ -26,6 +37,15 @@ function ThreadPage({ user, setUser }) {
     }
   }, [user, id]);
 
+  useEffect(() => {
+    if (user) {
+      hub
+        .getReactions()
+        .then((data) => setReactionSet(data.reactions))
+        .catch((err) => console.error('Failed to load reactions:', err));
+    }
+  }, [user]);
+
   async function loadThreadData() {
     try {
       setError(null);
@@ -89,6 +109,47 @@ function ThreadPage({ user, setUser }) {
     }
   }
 
+  async function handleReactToReply(replyId, type) {
+    try {
+      const data = await collabspace.reactToReply(replyId, type);
+      setReplies((prev) =>
+        prev.map((reply) =>
+          reply.id === replyId ? { ...reply, reactions: data.reactions } : reply
+        )
+      );
+    } catch (err) {
+      console.error('Failed to react to reply:', err);
+      setError(err.message || 'Failed to react to reply. Please try again.');
+    }
+  }
+
+  function startEditingThread() {
+    setThreadDraft({ title: thread.title, content: thread.content });
+    setEditingThread(true);
+  }
+
+  async function handleEditThread(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      await collabspace.updateThread(id, threadDraft);
+      setEditingThread(false);
+      await loadThreadData();
+    } catch (err) {
+      console.error('Failed to edit thread:', err);
+      setError(err.message || 'Failed to edit thread. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function showHistory(load) {
+    // Wrapped so React stores the loader instead of calling it as an updater
+    setHistoryLoader(() => load);
+  }
+
   function startEditingReply(reply) {
     setEditingReplyId(reply.id);
     setEditContent(reply.content);
@@ -151,14 +212,28 @@ function ThreadPage({ user, setUser }) {
             <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-8">
               <div className="flex items-start justify-between mb-4">
                 <h1 className="text-2xl font-bold text-white flex-1">{thread.title}</h1>
-                {user && thread.author.id === user.id && (
-                  <button
-                    onClick={handleDeleteThread}
-                    className="text-gray-400 hover:text-red-400 text-sm transition-colors"
-                  >
-                    Delete Thread
-                  </button>
-                )}
+                <div className="flex items-center space-x-4">
+                  {user && <BookmarkButton targetType="THREAD" targetId={thread.id} />}
+                  {user && thread.author.id !== user.id && (
+                    <ReportButton targetType="THREAD" targetId={thread.id} />
+                  )}
+                  {user && thread.author.id === user.id && !editingThread && (
+                    <>
+                      <button
+                        onClick={startEditingThread}
+                        className="text-gray-400 hover:text-blue-400 text-sm transition-colors"
+                      >
+                        Edit Thread
+                      </button>
+                      <button
+                        onClick={handleDeleteThread}
+                        className="text-gray-400 hover:text-red-400 text-sm transition-colors"
+                      >
+                        Delete Thread
+                      </button>
+                    </>
+                  )}
+                </div>
               </div>
 
               <div className="flex items-center space-x-3 mb-4">
@@ -181,11 +256,59 @@ function ThreadPage({ user, setUser }) {
                       hour: '2-digit',
                       minute: '2-digit',
                     })}
+                    {thread.editedAt &&
+                      (canViewHistory(thread) ? (
+                        <button
+                          onClick={() => showHistory(() => collabspace.getThreadRevisions(id))}
+                          className="ml-2 text-gray-500 hover:text-teal-400 underline transition-colors"
+                        >
+                          edited
+                        </button>
+                      ) : (
+                        <span className="ml-2 text-gray-500">edited</span>
+                      ))}
                   </p>
                 </div>
               </div>
 
-              <p className="text-gray-300 leading-relaxed whitespace-pre-wrap">{thread.content}</p>
+              {editingThread ? (
+                <form onSubmit={handleEditThread}>
+                  <input
+                    type="text"
+                    value={threadDraft.title}
+                    onChange={(e) => setThreadDraft({ ...threadDraft, title: e.target.value })}
+                    className="w-full bg-gray-700 text-white rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-teal-500 mb-3"
+                    required
+                  />
+                  <textarea
+                    value={threadDraft.content}
+                    onChange={(e) => setThreadDraft({ ...threadDraft, content: e.target.value })}
+                    className="w-full bg-gray-700 text-white rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-teal-500 mb-3"
+                    rows="6"
+                    required
+                  />
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => setEditingThread(false)}
+                      className="px-4 py-2 text-gray-400 hover:text-white transition-colors"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={saving || !threadDraft.title.trim() || !threadDraft.content.trim()}
+                      className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {saving ? 'Saving...' : 'Save'}
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <p className="text-gray-300 leading-relaxed whitespace-pre-wrap">
+                  {thread.content}
+                </p>
+              )}
             </div>
 
             {/* Reply Form */}
@@ -252,6 +375,19 @@ function ThreadPage({ user, setUser }) {
                                   hour: '2-digit',
                                   minute: '2-digit',
                                 })}
+                                {reply.editedAt &&
+                                  (canViewHistory(reply) ? (
+                                    <button
+                                      onClick={() =>
+                                        showHistory(() => collabspace.getReplyRevisions(reply.id))
+                                      }
+                                      className="ml-2 text-gray-500 hover:text-teal-400 underline transition-colors"
+                                    >
+                                      edited
+                                    </button>
+                                  ) : (
+                                    <span className="ml-2 text-gray-500">edited</span>
+                                  ))}
                               </p>
                             </div>
 
@@ -286,6 +422,28 @@ function ThreadPage({ user, setUser }) {
                                   {reply.content}
                                 </p>
 
+                                {reactionSet.length > 0 && (
+                                  <div className="mt-2">
+                                    <ReactionBar
+                                      reactions={reply.reactions}
+                                      reactionSet={reactionSet}
+                                      onReact={(type) => handleReactToReply(reply.id, type)}
+                                      compact
+                                    />
+                                  </div>
+                                )}
+
+                                {user && !isAuthor && (
+                                  <div className="mt-2">
+                                    <ReportButton
+                                      targetType="THREAD_REPLY"
+                                      targetId={reply.id}
+                                      label="Report reply"
+                                      compact
+                                    />
+                                  </div>
+                                )}
+
                                 {isAuthor && (
                                   <div className="flex items-center space-x-4 text-xs mt-2">
                                     <button
@@ -315,6 +473,10 @@ function ThreadPage({ user, setUser }) {
           </>
         )}
       </div>
+
+      {historyLoader && (
+        <RevisionHistory loadRevisions={historyLoader} onClose={() => setHistoryLoader(null)} />
+      )}
     </div>
   );
 }
@@ -324,6 +486,7 @@ ThreadPage.propTypes = {
     firstName: PropTypes.string,
     lastName: PropTypes.string,
     email: PropTypes.string,
+    role: PropTypes.string,
   }),
   setUser: PropTypes.func.isRequired,
 };
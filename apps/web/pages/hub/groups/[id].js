@@ -0,0 +1,415 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import PropTypes from 'prop-types';
+import Navbar from '../../../components/Navbar';
+import LoadingSpinner from '../../../components/LoadingSpinner';
+import ErrorMessage from '../../../components/ErrorMessage';
+import GroupAdminPanel from '../../../components/GroupAdminPanel';
+import GroupPosts from '../../../components/GroupPosts';
+import { hub, auth } from '../../../lib/api';
+
+// Matches the server's group role order
+const ROLE_RANK = { MEMBER: 1, MODERATOR: 2, ADMIN: 3 };
+
+const ROLE_LABELS = { ADMIN: 'Admin', MODERATOR: 'Moderator', MEMBER: 'Member' };
+
+const POSTING_POLICY_LABELS = {
+  EVERYONE: 'Anyone can post',
+  MODERATORS: 'Moderators and admins post',
+  ADMINS: 'Only admins post (announcements)',
+};
+
+// Group permissions returned by the server as myPermissions
+const GROUP_PERMISSIONS = {
+  MEMBERS_MANAGE: 'group:members:manage',
+  POST_PIN: 'group:post:pin',
+  POST_REMOVE: 'group:post:remove',
+  MEMBER_MUTE: 'group:member:mute',
+  SETTINGS_EDIT: 'group:settings:edit',
+  LOG_VIEW: 'group:log:view',
+};
+
+const MUTE_DURATIONS = { 1: '1 hour', 24: '1 day', 168: '1 week' };
+
+function isMuted(member) {
+  return Boolean(member.mutedUntil && new Date(member.mutedUntil) > new Date());
+}
+
+function GroupDetail({ user, setUser }) {
+  const [group, setGroup] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [requestMessage, setRequestMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+  const router = useRouter();
+  const { id } = router.query;
+
+  useEffect(() => {
+    if (id && user) {
+      loadGroup();
+    }
+  }, [id, user]);
+
+  async function loadGroup() {
+    try {
+      setError(null);
+      const data = await hub.getGroup(id);
+      setGroup(data.group);
+      if (!data.group.isPrivate || data.group.isMember) {
+        await loadMembers();
+      } else {
+        setMembers([]);
+      }
+    } catch (err) {
+      console.error('Failed to load group:', err);
+      setError(err.message || 'Failed to load group');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadMembers(cursor) {
+    const data = await hub.getGroupMembers(id, { cursor, limit: 50 });
+    setMembers((prev) => (cursor ? [...prev, ...data.members] : data.members));
+    setNextCursor(data.nextCursor);
+  }
+
+  async function runAction(action) {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await loadGroup();
+    } catch (err) {
+      console.error('Group action failed:', err);
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleJoin(e) {
+    e.preventDefault();
+    runAction(async () => {
+      await hub.joinGroup(id, requestMessage.trim() || undefined);
+      setRequestMessage('');
+    });
+  }
+
+  function handleLeave() {
+    if (!confirm('Are you sure you want to leave this group?')) return;
+    runAction(() => hub.leaveGroup(id));
+  }
+
+  function handleRemove(member, ban) {
+    const name = `${member.user.firstName} ${member.user.lastName}`;
+    if (ban) {
+      const reason = prompt(`Ban ${name} from this group? Optionally give a reason:`);
+      if (reason === null) return;
+      runAction(() =>
+        hub.removeGroupMember(id, member.userId, { ban: true, reason: reason || undefined })
+      );
+    } else {
+      if (!confirm(`Remove ${name} from this group?`)) return;
+      runAction(() => hub.removeGroupMember(id, member.userId));
+    }
+  }
+
+  function handleMute(member) {
+    const choice = prompt(
+      `Mute ${member.user.firstName} for how many hours? (${Object.entries(MUTE_DURATIONS)
+        .map(([hours, label]) => `${hours} = ${label}`)
+        .join(', ')})`,
+      '24'
+    );
+    if (choice === null) return;
+    const hours = parseInt(choice, 10);
+    if (!Number.isInteger(hours) || hours < 1) {
+      setError('Enter a number of hours');
+      return;
+    }
+    runAction(() => hub.muteGroupMember(id, member.userId, { hours }));
+  }
+
+  function handleLogout() {
+    auth.logout();
+    setUser(null);
+    router.push('/login');
+  }
+
+  if (!user) return null;
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-900">
+        <Navbar currentModule="Hub" user={user} onLogout={handleLogout} />
+        <div className="max-w-4xl mx-auto px-4 py-8">
+          <LoadingSpinner size="lg" text="Loading group..." />
+        </div>
+      </div>
+    );
+  }
+
+  if (!group) {
+    return (
+      <div className="min-h-screen bg-gray-900">
+        <Navbar currentModule="Hub" user={user} onLogout={handleLogout} />
+        <div className="max-w-4xl mx-auto px-4 py-8">
+          <ErrorMessage message={error || 'Group not found'} />
+        </div>
+      </div>
+    );
+  }
+
+  const can = (permission) => group.myPermissions.includes(permission);
+  const isAdmin = group.myRole === 'ADMIN';
+  // Platform moderators get group permissions without a group role
+  const outranks = (member) =>
+    !group.myRole || (ROLE_RANK[group.myRole] || 0) > ROLE_RANK[member.role];
+
+  return (
+    <div className="min-h-screen bg-gray-900">
+      <Navbar currentModule="Hub" user={user} onLogout={handleLogout} />
+
+      <div className="max-w-4xl mx-auto px-4 py-8 space-y-6">
+        <button
+          onClick={() => router.push('/hub')}
+          className="text-gray-400 hover:text-white text-sm transition-colors"
+        >
+          ← Back to Hub
+        </button>
+
+        {error && <ErrorMessage message={error} />}
+
+        {/* Group Header */}
+        <div className="bg-gray-800 rounded-lg p-8 border border-gray-700">
+          <div className="flex items-start justify-between">
+            <div>
+              <div className="flex items-center space-x-3 mb-2">
+                <h1 className="text-3xl font-bold text-white">{group.name}</h1>
+                {group.isPrivate && (
+                  <span className="px-2 py-1 bg-gray-700 text-gray-300 text-xs rounded">
+                    🔒 Private
+                  </span>
+                )}
+              </div>
+              {group.description && <p className="text-gray-300 mb-4">{group.description}</p>}
+              {can(GROUP_PERMISSIONS.SETTINGS_EDIT) ? (
+                <select
+                  value={group.postingPolicy}
+                  onChange={(e) =>
+                    runAction(() => hub.updateGroupSettings(id, { postingPolicy: e.target.value }))
+                  }
+                  disabled={busy}
+                  aria-label="Who can post"
+                  className="bg-gray-700 text-white px-3 py-1 rounded text-sm mb-3 focus:outline-none focus:ring-2 focus:ring-teal-500"
+                >
+                  {Object.entries(POSTING_POLICY_LABELS).map(([policy, label]) => (
+                    <option key={policy} value={policy}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                group.postingPolicy !== 'EVERYONE' && (
+                  <p className="text-gray-400 text-sm mb-2">
+                    📢 {POSTING_POLICY_LABELS[group.postingPolicy]}
+                  </p>
+                )
+              )}
+              <p className="text-gray-400 text-sm">
+                {group._count.members} members · {group._count.posts} posts · {group._count.events}{' '}
+                events
+              </p>
+            </div>
+
+            {group.isMember && (
+              <div className="text-right">
+                <p className="text-teal-400 text-sm mb-2">{ROLE_LABELS[group.myRole]}</p>
+                <button
+                  onClick={handleLeave}
+                  disabled={busy}
+                  className="px-4 py-2 bg-gray-700 text-gray-300 rounded-lg text-sm hover:bg-red-600 hover:text-white transition-colors disabled:opacity-50"
+                >
+                  Leave Group
+                </button>
+              </div>
+            )}
+          </div>
+
+          {group.mutedUntil && (
+            <p className="mt-4 text-yellow-400 text-sm">
+              You are muted in this group until {new Date(group.mutedUntil).toLocaleString()}.
+            </p>
+          )}
+
+          {!group.isMember && (
+            <div className="mt-6">
+              {group.isBanned ? (
+                <p className="text-red-400 text-sm">You are banned from this group.</p>
+              ) : group.pendingRequest ? (
+                <div className="flex items-center space-x-4">
+                  <p className="text-gray-300 text-sm">
+                    Your request to join is waiting for an admin.
+                  </p>
+                  <button
+                    onClick={() => runAction(() => hub.cancelJoinRequest(id))}
+                    disabled={busy}
+                    className="text-gray-400 hover:text-red-400 text-sm transition-colors"
+                  >
+                    Withdraw
+                  </button>
+                </div>
+              ) : (
+                <form onSubmit={handleJoin} className="flex items-center space-x-3">
+                  {group.isPrivate && (
+                    <input
+                      type="text"
+                      value={requestMessage}
+                      onChange={(e) => setRequestMessage(e.target.value)}
+                      maxLength={500}
+                      placeholder="Add a note for the admins (optional)"
+                      className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-teal-500"
+                    />
+                  )}
+                  <button
+                    type="submit"
+                    disabled={busy}
+                    className="px-6 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors disabled:opacity-50"
+                  >
+                    {group.isPrivate ? 'Request to Join' : 'Join Group'}
+                  </button>
+                </form>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Members */}
+        <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+          <h2 className="text-xl font-semibold text-white mb-4">Members</h2>
+          {group.isPrivate && !group.isMember ? (
+            <p className="text-gray-400 text-sm">Only members can see who is in this group.</p>
+          ) : (
+            <div className="space-y-3">
+              {members.map((member) => {
+                const actionable = member.userId !== user.id && outranks(member);
+                return (
+                  <div key={member.id} className="flex items-center justify-between">
+                    <Link href={`/hub/users/${member.user.id}`}>
+                      <div className="cursor-pointer">
+                        <p className="text-white hover:text-teal-400 transition-colors">
+                          {member.user.firstName} {member.user.lastName}
+                        </p>
+                        <p className="text-gray-400 text-sm">@{member.user.username}</p>
+                      </div>
+                    </Link>
+                    <div className="flex items-center space-x-3 text-sm">
+                      {isMuted(member) && <span className="text-yellow-400 text-xs">Muted</span>}
+                      {isAdmin ? (
+                        <select
+                          value={member.role}
+                          onChange={(e) =>
+                            runAction(() =>
+                              hub.updateGroupMemberRole(id, member.userId, e.target.value)
+                            )
+                          }
+                          disabled={busy}
+                          aria-label={`Role for ${member.user.username}`}
+                          className="bg-gray-700 text-white px-2 py-1 rounded focus:outline-none focus:ring-2 focus:ring-teal-500"
+                        >
+                          {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                            <option key={role} value={role}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        member.role !== 'MEMBER' && (
+                          <span className="px-2 py-1 bg-purple-600/20 text-purple-400 text-xs rounded">
+                            {ROLE_LABELS[member.role]}
+                          </span>
+                        )
+                      )}
+                      {actionable && can(GROUP_PERMISSIONS.MEMBER_MUTE) && (
+                        <button
+                          onClick={() =>
+                            isMuted(member)
+                              ? runAction(() => hub.unmuteGroupMember(id, member.userId))
+                              : handleMute(member)
+                          }
+                          className="text-gray-400 hover:text-yellow-400 transition-colors"
+                        >
+                          {isMuted(member) ? 'Unmute' : 'Mute'}
+                        </button>
+                      )}
+                      {actionable && can(GROUP_PERMISSIONS.MEMBERS_MANAGE) && (
+                        <>
+                          <button
+                            onClick={() => handleRemove(member, false)}
+                            className="text-gray-400 hover:text-red-400 transition-colors"
+                          >
+                            Remove
+                          </button>
+                          <button
+                            onClick={() => handleRemove(member, true)}
+                            className="text-gray-400 hover:text-red-400 transition-colors"
+                          >
+                            Ban
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+              {nextCursor && (
+                <button
+                  onClick={() => loadMembers(nextCursor)}
+                  className="text-teal-400 hover:text-teal-300 text-sm transition-colors"
+                >
+                  Show more members
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Posts */}
+        {(!group.isPrivate || group.isMember) && (
+          <div>
+            <h2 className="text-xl font-semibold text-white mb-4">Posts</h2>
+            <GroupPosts
+              groupId={group.id}
+              currentUserId={user.id}
+              canPin={can(GROUP_PERMISSIONS.POST_PIN)}
+              canRemove={can(GROUP_PERMISSIONS.POST_REMOVE)}
+            />
+          </div>
+        )}
+
+        {can(GROUP_PERMISSIONS.MEMBERS_MANAGE) && (
+          <GroupAdminPanel
+            groupId={group.id}
+            canViewLog={can(GROUP_PERMISSIONS.LOG_VIEW)}
+            onMembersChanged={loadGroup}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+GroupDetail.propTypes = {
+  user: PropTypes.shape({
+    id: PropTypes.string,
+    firstName: PropTypes.string,
+    lastName: PropTypes.string,
+  }),
+  setUser: PropTypes.func.isRequired,
+};
+
+export default GroupDetail;
@@ -0,0 +1,116 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import PropTypes from 'prop-types';
+import Navbar from '../../../../components/Navbar';
+import LoadingSpinner from '../../../../components/LoadingSpinner';
+import ErrorMessage from '../../../../components/ErrorMessage';
+import { hub, auth } from '../../../../lib/api';
+
+function GroupInvite({ user, setUser }) {
+  const [invite, setInvite] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+  const { code } = router.query;
+
+  useEffect(() => {
+    if (code && user) {
+      loadInvite();
+    }
+  }, [code, user]);
+
+  async function loadInvite() {
+    try {
+      setError(null);
+      const data = await hub.getGroupInvite(code);
+      setInvite(data.invite);
+    } catch (err) {
+      console.error('Failed to load invite:', err);
+      setError(err.message || 'Failed to load invite');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleAccept() {
+    setJoining(true);
+    setError(null);
+    try {
+      const data = await hub.acceptGroupInvite(code);
+      router.push(`/hub/groups/${data.groupId}`);
+    } catch (err) {
+      console.error('Failed to accept invite:', err);
+      setError(err.message || 'Failed to accept invite');
+      setJoining(false);
+    }
+  }
+
+  function handleLogout() {
+    auth.logout();
+    setUser(null);
+    router.push('/login');
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-900">
+      <Navbar currentModule="Hub" user={user} onLogout={handleLogout} />
+
+      <div className="max-w-lg mx-auto px-4 py-16">
+        {loading ? (
+          <LoadingSpinner size="lg" text="Loading invite..." />
+        ) : !invite ? (
+          <ErrorMessage message={error || 'Invite not found'} />
+        ) : (
+          <div className="bg-gray-800 rounded-lg p-8 border border-gray-700 text-center">
+            <p className="text-gray-400 text-sm mb-2">
+              {invite.invitedBy.firstName} {invite.invitedBy.lastName} invited you to join
+            </p>
+            <h1 className="text-3xl font-bold text-white mb-2">{invite.group.name}</h1>
+            {invite.group.description && (
+              <p className="text-gray-300 mb-4">{invite.group.description}</p>
+            )}
+            <p className="text-gray-400 text-sm mb-6">
+              {invite.group.isPrivate ? '🔒 Private group' : 'Public group'} ·{' '}
+              {invite.group._count.members} members
+            </p>
+
+            {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+            {invite.isMember ? (
+              <button
+                onClick={() => router.push(`/hub/groups/${invite.group.id}`)}
+                className="px-6 py-3 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors"
+              >
+                You&apos;re a member. Open Group
+              </button>
+            ) : invite.error ? (
+              <p className="text-red-400">{invite.error}</p>
+            ) : (
+              <button
+                onClick={handleAccept}
+                disabled={joining}
+                className="px-6 py-3 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors disabled:opacity-50"
+              >
+                {joining ? 'Joining...' : 'Accept Invite'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+GroupInvite.propTypes = {
+  user: PropTypes.shape({
+    id: PropTypes.string,
+    firstName: PropTypes.string,
+    lastName: PropTypes.string,
+  }),
+  setUser: PropTypes.func.isRequired,
+};
+
+export default GroupInvite;
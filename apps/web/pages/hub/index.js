@@ -8,9 +8,36 @@ import LoadingSpinner from '../../components/LoadingSpinner';
 import ErrorMessage from '../../components/ErrorMessage';
 import { hub, auth } from '../../lib/api';
 
+const FEED_TABS = [
+  { mode: 'ranked', label: 'For You' },
+  { mode: 'following', label: 'Following' },
+  { mode: 'top', label: 'Top' },
+  { mode: 'latest', label: 'Latest' },
+];
+
+const AUDIENCE_OPTIONS = [
+  { value: 'PUBLIC', label: 'Everyone' },
+  { value: 'CONNECTIONS', label: 'Connections' },
+  { value: 'GROUP', label: 'Group members' },
+  { value: 'PRIVATE', label: 'Only me' },
+];
+
+const MAX_ATTACHMENTS = 4;
+const MAX_POLL_OPTIONS = 10;
+const EMPTY_POLL = { options: ['', ''], multiChoice: false, anonymous: false, closesAt: '' };
+
 function Home({ user, setUser }) {
   const [posts, setPosts] = useState([]);
+  const [feedMode, setFeedMode] = useState('ranked');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [newPost, setNewPost] = useState('');
+  const [audience, setAudience] = useState('PUBLIC');
+  const [audienceGroupId, setAudienceGroupId] = useState('');
+  const [myGroups, setMyGroups] = useState([]);
+  const [reactionSet, setReactionSet] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  const [poll, setPoll] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [creating, setCreating] = useState(false);
@@ -23,13 +50,39 @@ function Home({ user, setUser }) {
     if (user) {
       loadPosts();
     }
+  }, [user, feedMode]);
+
+  useEffect(() => {
+    if (user) {
+      loadMyGroups();
+      loadReactionSet();
+    }
   }, [user]);
 
+  async function loadMyGroups() {
+    try {
+      const data = await hub.getGroups({ member: true, limit: 100 });
+      setMyGroups(data.groups);
+    } catch (err) {
+      console.error('Failed to load groups:', err);
+    }
+  }
+
+  async function loadReactionSet() {
+    try {
+      const data = await hub.getReactions();
+      setReactionSet(data.reactions);
+    } catch (err) {
+      console.error('Failed to load reactions:', err);
+    }
+  }
+
   async function loadPosts() {
     try {
       setError(null);
-      const data = await hub.getPosts();
+      const data = await hub.getPosts({ mode: feedMode });
       setPosts(data.posts);
+      setNextCursor(data.nextCursor);
     } catch (err) {
       console.error('Failed to load posts:', err);
       setError(err.message || 'Failed to load posts. Please try again.');
@@ -38,14 +91,79 @@ function Home({ user, setUser }) {
     }
   }
 
+  async function loadMorePosts() {
+    if (!nextCursor) return;
+
+    try {
+      setLoadingMore(true);
+      const data = await hub.getPosts({ mode: feedMode, cursor: nextCursor });
+      setPosts((prev) => [...prev, ...data.posts]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to load more posts:', err);
+      setError(err.message || 'Failed to load more posts. Please try again.');
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  function handleAttachmentSelect(e) {
+    const selected = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    const combined = [...attachments, ...selected];
+    if (combined.length > MAX_ATTACHMENTS) {
+      setError(`You can attach up to ${MAX_ATTACHMENTS} files per post.`);
+    }
+    setAttachments(combined.slice(0, MAX_ATTACHMENTS));
+  }
+
+  function removeAttachment(index) {
+    setAttachments((prev) => prev.filter((_, i) => i !== index));
+  }
+
+  function updatePollOption(index, value) {
+    setPoll((prev) => ({
+      ...prev,
+      options: prev.options.map((option, i) => (i === index ? value : option)),
+    }));
+  }
+
+  function buildPollPayload() {
+    if (!poll) return undefined;
+    return {
+      options: poll.options.map((option) => option.trim()).filter(Boolean),
+      multiChoice: poll.multiChoice,
+      anonymous: poll.anonymous,
+      closesAt: poll.closesAt ? new Date(poll.closesAt).toISOString() : undefined,
+    };
+  }
+
   async function createPost(e) {
     e.preventDefault();
     if (!newPost.trim()) return;
+    if (audience === 'GROUP' && !audienceGroupId) {
+      setError('Choose a group for a group-only post.');
+      return;
+    }
+    const pollPayload = buildPollPayload();
+    if (pollPayload && pollPayload.options.length < 2) {
+      setError('A poll needs at least two options.');
+      return;
+    }
 
     try {
       setCreating(true);
-      await hub.createPost({ content: newPost });
+      await hub.createPost({
+        content: newPost,
+        visibility: audience,
+        groupId: audience === 'GROUP' ? audienceGroupId : undefined,
+        attachments,
+        poll: pollPayload,
+      });
       setNewPost('');
+      setAttachments([]);
+      setPoll(null);
       await loadPosts();
     } catch (err) {
       console.error('Failed to create post:', err);
@@ -55,13 +173,38 @@ function Home({ user, setUser }) {
     }
   }
 
-  async function handleLike(postId) {
+  async function handleReact(postId, type) {
     try {
-      await hub.likePost(postId);
-      await loadPosts();
+      const data = await hub.reactToPost(postId, type);
+      setPosts((prev) =>
+        prev.map((post) => (post.id === postId ? { ...post, reactions: data.reactions } : post))
+      );
     } catch (err) {
-      console.error('Failed to like post:', err);
-      setError(err.message || 'Failed to like post. Please try again.');
+      console.error('Failed to react to post:', err);
+      setError(err.message || 'Failed to react to post. Please try again.');
+    }
+  }
+
+  async function handleEditPost(postId, content) {
+    try {
+      const data = await hub.updatePost(postId, content);
+      setPosts((prev) => prev.map((post) => (post.id === postId ? data.post : post)));
+    } catch (err) {
+      console.error('Failed to edit post:', err);
+      setError(err.message || 'Failed to edit post. Please try again.');
+      throw err;
+    }
+  }
+
+  async function handleVote(postId, optionIds) {
+    try {
+      const data = await hub.votePoll(postId, optionIds);
+      setPosts((prev) =>
+        prev.map((post) => (post.id === postId ? { ...post, poll: data.poll } : post))
+      );
+    } catch (err) {
+      console.error('Failed to vote:', err);
+      setError(err.message || 'Failed to vote. Please try again.');
     }
   }
 
@@ -142,7 +285,134 @@ function Home({ user, setUser }) {
               className="w-full bg-gray-700 text-white rounded-lg p-4 focus:outline-none focus:ring-2 focus:ring-teal-500"
               rows="3"
             />
-            <div className="mt-4 flex justify-end">
+            {attachments.length > 0 && (
+              <div className="mt-3 flex flex-wrap gap-2">
+                {attachments.map((file, index) => (
+                  <span
+                    key={`${file.name}-${index}`}
+                    className="flex items-center space-x-2 bg-gray-700 text-gray-200 text-sm rounded-lg px-3 py-1"
+                  >
+                    <span className="truncate max-w-[12rem]">{file.name}</span>
+                    <button
+                      type="button"
+                      onClick={() => removeAttachment(index)}
+                      aria-label={`Remove ${file.name}`}
+                      className="text-gray-400 hover:text-red-400"
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            {poll && (
+              <div className="mt-3 space-y-2">
+                {poll.options.map((option, index) => (
+                  <input
+                    key={index}
+                    type="text"
+                    value={option}
+                    onChange={(e) => updatePollOption(index, e.target.value)}
+                    placeholder={`Option ${index + 1}`}
+                    maxLength={200}
+                    className="w-full bg-gray-700 text-white text-sm rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-teal-500"
+                  />
+                ))}
+                <div className="flex flex-wrap items-center gap-4 text-sm text-gray-300">
+                  {poll.options.length < MAX_POLL_OPTIONS && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setPoll((prev) => ({ ...prev, options: [...prev.options, ''] }))
+                      }
+                      className="text-teal-400 hover:text-teal-300"
+                    >
+                      + Add option
+                    </button>
+                  )}
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={poll.multiChoice}
+                      onChange={(e) =>
+                        setPoll((prev) => ({ ...prev, multiChoice: e.target.checked }))
+                      }
+                      className="accent-teal-500"
+                    />
+                    <span>Multiple choice</span>
+                  </label>
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={poll.anonymous}
+                      onChange={(e) =>
+                        setPoll((prev) => ({ ...prev, anonymous: e.target.checked }))
+                      }
+                      className="accent-teal-500"
+                    />
+                    <span>Anonymous</span>
+                  </label>
+                  <label className="flex items-center space-x-2">
+                    <span>Closes</span>
+                    <input
+                      type="datetime-local"
+                      value={poll.closesAt}
+                      onChange={(e) => setPoll((prev) => ({ ...prev, closesAt: e.target.value }))}
+                      className="bg-gray-700 text-gray-200 rounded px-2 py-1"
+                    />
+                  </label>
+                </div>
+              </div>
+            )}
+            <div className="mt-4 flex items-center justify-between">
+              <div className="flex items-center space-x-2">
+                <button
+                  type="button"
+                  onClick={() => setPoll((prev) => (prev ? null : EMPTY_POLL))}
+                  className={`text-sm rounded-lg px-3 py-2 transition-colors ${
+                    poll ? 'bg-teal-600 text-white' : 'bg-gray-700 text-gray-200 hover:bg-gray-600'
+                  }`}
+                >
+                  📊 Poll
+                </button>
+                <label className="cursor-pointer bg-gray-700 text-gray-200 text-sm rounded-lg px-3 py-2 hover:bg-gray-600 transition-colors">
+                  📎 Attach
+                  <input
+                    type="file"
+                    accept="image/jpeg,image/png,image/gif,image/webp,application/pdf"
+                    multiple
+                    onChange={handleAttachmentSelect}
+                    className="hidden"
+                  />
+                </label>
+                <select
+                  value={audience}
+                  onChange={(e) => setAudience(e.target.value)}
+                  aria-label="Audience"
+                  className="bg-gray-700 text-gray-200 text-sm rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-teal-500"
+                >
+                  {AUDIENCE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {audience === 'GROUP' && (
+                  <select
+                    value={audienceGroupId}
+                    onChange={(e) => setAudienceGroupId(e.target.value)}
+                    aria-label="Group"
+                    className="bg-gray-700 text-gray-200 text-sm rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-teal-500"
+                  >
+                    <option value="">Select a group</option>
+                    {myGroups.map((group) => (
+                      <option key={group.id} value={group.id}>
+                        {group.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
               <button
                 type="submit"
                 disabled={creating}
@@ -154,6 +424,23 @@ function Home({ user, setUser }) {
           </form>
         </div>
 
+        {/* Feed Mode Tabs */}
+        <div className="flex space-x-2 mb-6">
+          {FEED_TABS.map((tab) => (
+            <button
+              key={tab.mode}
+              onClick={() => setFeedMode(tab.mode)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                feedMode === tab.mode
+                  ? 'bg-teal-600 text-white'
+                  : 'bg-gray-800 text-gray-400 hover:text-white border border-gray-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
         {/* Error Display */}
         {error && (
           <div className="mb-6">
@@ -176,10 +463,14 @@ function Home({ user, setUser }) {
               <div key={post.id}>
                 <PostCard
                   post={post}
-                  onLike={handleLike}
+                  reactionSet={reactionSet}
+                  onReact={handleReact}
                   onComment={handleCommentClick}
+                  onEdit={handleEditPost}
                   onDelete={handleDeletePost}
+                  onVote={handleVote}
                   currentUserId={user.id}
+                  canModerate={['MODERATOR', 'ADMIN'].includes(user.role)}
                 />
 
                 {/* Expanded Comment Section */}
@@ -192,6 +483,7 @@ function Home({ user, setUser }) {
                       <CommentSection
                         postId={post.id}
                         comments={comments[post.id] || []}
+                        reactionSet={reactionSet}
                         onCommentAdded={handleCommentAdded}
                         onCommentsUpdated={refreshPostComments}
                       />
@@ -200,6 +492,18 @@ function Home({ user, setUser }) {
                 )}
               </div>
             ))}
+
+            {nextCursor && (
+              <div className="flex justify-center">
+                <button
+                  onClick={loadMorePosts}
+                  disabled={loadingMore}
+                  className="px-6 py-2 bg-gray-800 text-gray-300 rounded-lg border border-gray-700 hover:text-white hover:border-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loadingMore ? 'Loading...' : 'Load more'}
+                </button>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -212,6 +516,7 @@ Home.propTypes = {
     firstName: PropTypes.string,
     lastName: PropTypes.string,
     email: PropTypes.string,
+    role: PropTypes.string,
   }),
   setUser: PropTypes.func.isRequired,
 };
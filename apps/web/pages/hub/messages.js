@@ -0,0 +1,663 @@
+import { useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/router';
+import PropTypes from 'prop-types';
+import io from 'socket.io-client';
+import Navbar from '../../components/Navbar';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import MessageBubble from '../../components/MessageBubble';
+import { hub, search, auth } from '../../lib/api';
+
+// Senders can delete a message for everyone this long after sending (matches the server)
+const DELETE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_ATTACHMENTS = 4;
+
+function formatTime(dateString) {
+  const date = new Date(dateString);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function messagePreview(message) {
+  if (message.deletedAt) return 'Message deleted';
+  return message.content || '📎 Attachment';
+}
+
+function Messages({ user, setUser }) {
+  const [conversations, setConversations] = useState([]);
+  const [listCursor, setListCursor] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [historyCursor, setHistoryCursor] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [typing, setTyping] = useState({});
+  const [showNew, setShowNew] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [recipients, setRecipients] = useState([]);
+  const [groupTitle, setGroupTitle] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+  const currentRef = useRef(null);
+  const conversationsRef = useRef([]);
+  const socketRef = useRef(null);
+  const typingTimeoutRef = useRef(null);
+  const messagesEndRef = useRef(null);
+
+  useEffect(() => {
+    if (!user) return;
+
+    loadConversations();
+    const socket = connectSocket();
+
+    return () => {
+      socket?.disconnect();
+    };
+  }, [user]);
+
+  useEffect(() => {
+    const { conversation } = router.query;
+    if (user && conversation && conversation !== current?.id) {
+      openConversation(conversation);
+    }
+  }, [user, router.query.conversation]);
+
+  useEffect(() => {
+    currentRef.current = current;
+  }, [current]);
+
+  useEffect(() => {
+    conversationsRef.current = conversations;
+  }, [conversations]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length]);
+
+  async function loadConversations(cursor) {
+    try {
+      const data = await hub.getConversations({ cursor });
+      setConversations((prev) => (cursor ? [...prev, ...data.conversations] : data.conversations));
+      setListCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to load conversations:', err);
+      setError(err.message || 'Failed to load conversations');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function connectSocket() {
+    const token = localStorage.getItem('maestro_token');
+    if (!token) return null;
+
+    const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+    const socket = io(apiUrl, { auth: { token } });
+
+    socket.on('message:receive', handleIncoming);
+
+    socket.on('message:read', ({ conversationId, userId, lastReadAt }) => {
+      if (userId === user.id) {
+        updateConversation(conversationId, { unreadCount: 0 });
+      }
+      if (currentRef.current?.id === conversationId) {
+        setCurrent((prev) => ({
+          ...prev,
+          participants: prev.participants.map((p) =>
+            p.userId === userId ? { ...p, lastReadAt } : p
+          ),
+        }));
+      }
+    });
+
+    socket.on('message:updated', (message) => {
+      replaceMessage(message.conversationId, message.id, message);
+    });
+
+    socket.on('message:deleted', ({ conversationId, messageId, deletedAt }) => {
+      replaceMessage(conversationId, messageId, { content: null, attachments: [], deletedAt });
+    });
+
+    socket.on('message:typing', ({ conversationId, senderName, isTyping }) => {
+      setTyping((prev) => ({ ...prev, [conversationId]: isTyping ? senderName : null }));
+    });
+
+    // Suspended or banned while connected: the server drops the socket
+    socket.on('account:moderated', ({ error }) => {
+      window.alert(error);
+      handleLogout();
+    });
+
+    socketRef.current = socket;
+    return socket;
+  }
+
+  function updateConversation(conversationId, changes) {
+    setConversations((prev) =>
+      prev.map((c) => (c.id === conversationId ? { ...c, ...changes } : c))
+    );
+  }
+
+  function replaceMessage(conversationId, messageId, changes) {
+    if (currentRef.current?.id === conversationId) {
+      setMessages((prev) =>
+        prev.map((m) => {
+          if (m.id === messageId) return { ...m, ...changes };
+          // Keep reply quotes in step with the original
+          if (m.replyTo?.id === messageId && changes.deletedAt) {
+            return { ...m, replyTo: { ...m.replyTo, snippet: null, deleted: true } };
+          }
+          return m;
+        })
+      );
+    }
+    setConversations((prev) =>
+      prev.map((c) =>
+        c.lastMessage?.id === messageId
+          ? { ...c, lastMessage: { ...c.lastMessage, ...changes } }
+          : c
+      )
+    );
+  }
+
+  function handleIncoming(message) {
+    const isOpen = currentRef.current?.id === message.conversationId;
+    const isMine = message.senderId === user.id;
+
+    if (isOpen) {
+      setMessages((prev) => (prev.some((m) => m.id === message.id) ? prev : [...prev, message]));
+      if (!isMine) {
+        hub.markConversationRead(message.conversationId, message.id).catch((err) => {
+          console.error('Failed to mark conversation read:', err);
+        });
+      }
+    }
+
+    setTyping((prev) => ({ ...prev, [message.conversationId]: null }));
+
+    if (!conversationsRef.current.some((c) => c.id === message.conversationId)) {
+      // A conversation someone else just started
+      loadConversations();
+      return;
+    }
+
+    setConversations((prev) => {
+      const existing = prev.find((c) => c.id === message.conversationId);
+      const updated = {
+        ...existing,
+        lastMessage: message,
+        lastMessageAt: message.createdAt,
+        unreadCount: isOpen || isMine ? 0 : existing.unreadCount + 1,
+      };
+      return [updated, ...prev.filter((c) => c.id !== message.conversationId)];
+    });
+  }
+
+  async function openConversation(conversationId) {
+    try {
+      setError(null);
+      const [conversationData, messageData] = await Promise.all([
+        hub.getConversation(conversationId),
+        hub.getConversationMessages(conversationId),
+      ]);
+      setCurrent(conversationData.conversation);
+      setMessages([...messageData.messages].reverse());
+      setHistoryCursor(messageData.nextCursor);
+      setDraft('');
+      setReplyTo(null);
+      setFiles([]);
+
+      if (conversationData.conversation.unreadCount > 0) {
+        await hub.markConversationRead(conversationId);
+      }
+      updateConversation(conversationId, { unreadCount: 0 });
+    } catch (err) {
+      console.error('Failed to open conversation:', err);
+      setError(err.message || 'Failed to open conversation');
+    }
+  }
+
+  function selectConversation(conversationId) {
+    router.push(`/hub/messages?conversation=${conversationId}`, undefined, { shallow: true });
+  }
+
+  async function loadOlder() {
+    try {
+      const data = await hub.getConversationMessages(current.id, { cursor: historyCursor });
+      setMessages((prev) => [...[...data.messages].reverse(), ...prev]);
+      setHistoryCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Failed to load older messages:', err);
+      setError(err.message || 'Failed to load older messages');
+    }
+  }
+
+  async function handleSend(e) {
+    e.preventDefault();
+    const content = draft.trim();
+    if (!content && files.length === 0) return;
+
+    setSending(true);
+    try {
+      setError(null);
+      const data = await hub.sendConversationMessage(current.id, {
+        content,
+        replyToId: replyTo?.id,
+        attachments: files,
+      });
+      setDraft('');
+      setReplyTo(null);
+      setFiles([]);
+      handleIncoming(data.message);
+    } catch (err) {
+      console.error('Failed to send message:', err);
+      setError(err.message || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  }
+
+  function handleFilesChange(e) {
+    const chosen = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length + chosen.length > MAX_ATTACHMENTS) {
+      setError(`A message can have at most ${MAX_ATTACHMENTS} attachments`);
+      return;
+    }
+    setFiles([...files, ...chosen]);
+  }
+
+  async function handleEdit(messageId, content) {
+    const data = await hub.editMessage(current.id, messageId, content);
+    replaceMessage(current.id, messageId, data.message);
+  }
+
+  async function handleDelete(messageId) {
+    if (!confirm('Delete this message for everyone?')) return;
+    try {
+      const data = await hub.deleteMessage(current.id, messageId);
+      replaceMessage(current.id, messageId, {
+        content: null,
+        attachments: [],
+        deletedAt: data.deletedAt,
+      });
+    } catch (err) {
+      console.error('Failed to delete message:', err);
+      setError(err.message || 'Failed to delete message');
+    }
+  }
+
+  function handleDraftChange(e) {
+    setDraft(e.target.value);
+    const socket = socketRef.current;
+    if (!socket || !current) return;
+
+    // Announce typing once per burst of keystrokes
+    if (!typingTimeoutRef.current) {
+      socket.emit('message:typing', { conversationId: current.id, isTyping: true });
+    }
+    clearTimeout(typingTimeoutRef.current);
+    typingTimeoutRef.current = setTimeout(() => {
+      typingTimeoutRef.current = null;
+      socket.emit('message:typing', { conversationId: current.id, isTyping: false });
+    }, 2000);
+  }
+
+  async function handleSearch(e) {
+    const query = e.target.value;
+    setSearchQuery(query);
+    if (query.trim().length < 2) {
+      setSearchResults([]);
+      return;
+    }
+    try {
+      const data = await search.globalSearch(query.trim(), 'users');
+      setSearchResults(data.results.users.filter((u) => u.id !== user.id));
+    } catch (err) {
+      console.error('Failed to search users:', err);
+    }
+  }
+
+  function addRecipient(person) {
+    if (!recipients.some((r) => r.id === person.id)) {
+      setRecipients([...recipients, person]);
+    }
+    setSearchQuery('');
+    setSearchResults([]);
+  }
+
+  async function handleStart(e) {
+    e.preventDefault();
+    try {
+      setError(null);
+      const data = await hub.startConversation(
+        recipients.map((r) => r.id),
+        recipients.length > 1 && groupTitle.trim() ? groupTitle.trim() : undefined
+      );
+      setShowNew(false);
+      setRecipients([]);
+      setGroupTitle('');
+      await loadConversations();
+      selectConversation(data.conversation.id);
+    } catch (err) {
+      console.error('Failed to start conversation:', err);
+      setError(err.message || 'Failed to start conversation');
+    }
+  }
+
+  function seenBy(message) {
+    return current.participants
+      .filter(
+        (p) =>
+          p.userId !== user.id &&
+          p.lastReadAt &&
+          new Date(p.lastReadAt) >= new Date(message.createdAt)
+      )
+      .map((p) => p.user.firstName);
+  }
+
+  function handleLogout() {
+    auth.logout();
+    setUser(null);
+    router.push('/login');
+  }
+
+  if (!user) return null;
+
+  const lastOwnMessage = [...messages].reverse().find((m) => m.senderId === user.id);
+  const readers = current && lastOwnMessage ? seenBy(lastOwnMessage) : [];
+
+  return (
+    <div className="min-h-screen bg-gray-900">
+      <Navbar currentModule="Hub" user={user} onLogout={handleLogout} />
+
+      <div className="max-w-6xl mx-auto px-4 py-8">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-3xl font-bold text-white">Messages</h1>
+          <button
+            onClick={() => setShowNew(!showNew)}
+            className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors"
+          >
+            {showNew ? 'Cancel' : 'New Message'}
+          </button>
+        </div>
+
+        {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+        {/* New Conversation */}
+        {showNew && (
+          <form
+            onSubmit={handleStart}
+            className="bg-gray-800 rounded-lg p-6 border border-gray-700 mb-6 space-y-3"
+          >
+            <div className="flex flex-wrap gap-2">
+              {recipients.map((r) => (
+                <span
+                  key={r.id}
+                  className="px-3 py-1 bg-teal-600/20 text-teal-400 rounded-full text-sm"
+                >
+                  {r.firstName} {r.lastName}
+                  <button
+                    type="button"
+                    onClick={() => setRecipients(recipients.filter((x) => x.id !== r.id))}
+                    aria-label={`Remove ${r.firstName}`}
+                    className="ml-2 text-gray-400 hover:text-red-400"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+            <div className="relative">
+              <input
+                type="text"
+                value={searchQuery}
+                onChange={handleSearch}
+                placeholder="Search people by name or username"
+                className="w-full bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+              />
+              {searchResults.length > 0 && (
+                <div className="absolute z-10 mt-1 w-full bg-gray-700 rounded-lg border border-gray-600 overflow-hidden">
+                  {searchResults.map((person) => (
+                    <button
+                      key={person.id}
+                      type="button"
+                      onClick={() => addRecipient(person)}
+                      className="block w-full text-left px-4 py-2 text-white hover:bg-gray-600 transition-colors"
+                    >
+                      {person.firstName} {person.lastName}{' '}
+                      <span className="text-gray-400 text-sm">@{person.username}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+            {recipients.length > 1 && (
+              <input
+                type="text"
+                value={groupTitle}
+                onChange={(e) => setGroupTitle(e.target.value)}
+                maxLength={100}
+                placeholder="Group name (optional)"
+                className="w-full bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+              />
+            )}
+            <button
+              type="submit"
+              disabled={recipients.length === 0}
+              className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors disabled:opacity-50"
+            >
+              Start Conversation
+            </button>
+          </form>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {/* Conversation List */}
+          <div className="bg-gray-800 rounded-lg border border-gray-700 overflow-hidden">
+            {loading ? (
+              <div className="p-6">
+                <LoadingSpinner size="md" text="Loading conversations..." />
+              </div>
+            ) : conversations.length === 0 ? (
+              <p className="text-gray-400 text-sm p-6">No conversations yet</p>
+            ) : (
+              <div className="divide-y divide-gray-700">
+                {conversations.map((conversation) => (
+                  <button
+                    key={conversation.id}
+                    onClick={() => selectConversation(conversation.id)}
+                    className={`block w-full text-left px-4 py-3 transition-colors ${
+                      current?.id === conversation.id ? 'bg-gray-700' : 'hover:bg-gray-700/50'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span
+                        className={`truncate ${
+                          conversation.unreadCount > 0
+                            ? 'text-white font-semibold'
+                            : 'text-gray-200'
+                        }`}
+                      >
+                        {conversation.isGroup && '👥 '}
+                        {conversation.displayTitle}
+                      </span>
+                      {conversation.unreadCount > 0 && (
+                        <span className="ml-2 bg-teal-600 text-white text-xs rounded-full px-2 py-0.5">
+                          {conversation.unreadCount}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-gray-400 text-sm truncate">
+                      {typing[conversation.id]
+                        ? `${typing[conversation.id]} is typing...`
+                        : conversation.lastMessage
+                          ? `${conversation.lastMessage.senderId === user.id ? 'You: ' : ''}${messagePreview(conversation.lastMessage)}`
+                          : 'No messages yet'}
+                    </p>
+                    {conversation.lastMessage && (
+                      <p className="text-gray-500 text-xs">
+                        {formatTime(conversation.lastMessage.createdAt)}
+                      </p>
+                    )}
+                  </button>
+                ))}
+                {listCursor && (
+                  <button
+                    onClick={() => loadConversations(listCursor)}
+                    className="block w-full px-4 py-3 text-teal-400 hover:text-teal-300 text-sm transition-colors"
+                  >
+                    Load more
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Conversation */}
+          <div className="md:col-span-2 bg-gray-800 rounded-lg border border-gray-700 flex flex-col h-[70vh]">
+            {!current ? (
+              <div className="flex-1 flex items-center justify-center">
+                <p className="text-gray-400">Select a conversation</p>
+              </div>
+            ) : (
+              <>
+                <div className="px-6 py-4 border-b border-gray-700">
+                  <h2 className="text-xl font-semibold text-white">{current.displayTitle}</h2>
+                  {current.isGroup && (
+                    <p className="text-gray-400 text-sm">
+                      {current.participants.map((p) => p.user.firstName).join(', ')}
+                    </p>
+                  )}
+                </div>
+
+                <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3">
+                  {historyCursor && (
+                    <div className="flex justify-center">
+                      <button
+                        onClick={loadOlder}
+                        className="text-teal-400 hover:text-teal-300 text-sm transition-colors"
+                      >
+                        Load older messages
+                      </button>
+                    </div>
+                  )}
+                  {messages.map((message) => {
+                    const mine = message.senderId === user.id;
+                    return (
+                      <MessageBubble
+                        key={message.id}
+                        message={message}
+                        mine={mine}
+                        showSender={!mine && current.isGroup}
+                        timeLabel={formatTime(message.createdAt)}
+                        canDelete={Date.now() - new Date(message.createdAt) <= DELETE_WINDOW_MS}
+                        onReply={setReplyTo}
+                        onEdit={handleEdit}
+                        onDelete={handleDelete}
+                      />
+                    );
+                  })}
+                  {lastOwnMessage && readers.length > 0 && (
+                    <p className="text-gray-500 text-xs text-right">
+                      {current.isGroup ? `Seen by ${readers.join(', ')}` : 'Seen'}
+                    </p>
+                  )}
+                  {typing[current.id] && (
+                    <p className="text-gray-400 text-sm italic">
+                      {typing[current.id]} is typing...
+                    </p>
+                  )}
+                  <div ref={messagesEndRef} />
+                </div>
+
+                <form onSubmit={handleSend} className="px-6 py-4 border-t border-gray-700">
+                  {replyTo && (
+                    <div className="flex items-center justify-between text-sm text-gray-300 border-l-2 border-teal-500 pl-3 mb-3">
+                      <span className="truncate">
+                        Replying to {replyTo.sender.firstName}:{' '}
+                        <span className="text-gray-400">{messagePreview(replyTo)}</span>
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => setReplyTo(null)}
+                        aria-label="Cancel reply"
+                        className="ml-3 text-gray-400 hover:text-red-400"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  )}
+                  {files.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mb-3">
+                      {files.map((file, index) => (
+                        <span
+                          key={`${file.name}-${index}`}
+                          className="px-3 py-1 bg-gray-700 text-gray-200 rounded-full text-sm"
+                        >
+                          📎 {file.name}
+                          <button
+                            type="button"
+                            onClick={() => setFiles(files.filter((_, i) => i !== index))}
+                            aria-label={`Remove ${file.name}`}
+                            className="ml-2 text-gray-400 hover:text-red-400"
+                          >
+                            ×
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex">
+                    <label className="px-3 py-2 text-gray-400 hover:text-teal-400 cursor-pointer transition-colors">
+                      📎
+                      <input
+                        type="file"
+                        multiple
+                        accept="image/jpeg,image/png,image/gif,image/webp,application/pdf"
+                        onChange={handleFilesChange}
+                        className="hidden"
+                        aria-label="Attach files"
+                      />
+                    </label>
+                    <input
+                      type="text"
+                      value={draft}
+                      onChange={handleDraftChange}
+                      maxLength={4000}
+                      placeholder="Write a message..."
+                      className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500"
+                    />
+                    <button
+                      type="submit"
+                      disabled={sending || (!draft.trim() && files.length === 0)}
+                      className="ml-3 px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors disabled:opacity-50"
+                    >
+                      {sending ? 'Sending...' : 'Send'}
+                    </button>
+                  </div>
+                </form>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+Messages.propTypes = {
+  user: PropTypes.shape({
+    id: PropTypes.string,
+    firstName: PropTypes.string,
+    lastName: PropTypes.string,
+  }),
+  setUser: PropTypes.func.isRequired,
+};
+
+export default Messages;
@@ -4,6 +4,8 @@ import PropTypes from 'prop-types';
 import Navbar from '../../../components/Navbar';
 import PostCard from '../../../components/PostCard';
 import CommentSection from '../../../components/CommentSection';
+import BookmarkButton from '../../../components/BookmarkButton';
+import ReportButton from '../../../components/ReportButton';
 import LoadingSpinner from '../../../components/LoadingSpinner';
 import ErrorMessage from '../../../components/ErrorMessage';
 import { hub, auth } from '../../../lib/api';
@@ -11,6 +13,7 @@ import { hub, auth } from '../../../lib/api';
 function PostDetail({ user, setUser }) {
   const [post, setPost] = useState(null);
   const [comments, setComments] = useState([]);
+  const [reactionSet, setReactionSet] = useState([]);
   const [loading, setLoading] = useState(true);
   const [loadingComments, setLoadingComments] = useState(false);
   const [error, setError] = useState(null);
@@ -24,6 +27,15 @@ function PostDetail({ user, setUser }) {
     }
   }, [id, user]);
 
+  useEffect(() => {
+    if (user) {
+      hub
+        .getReactions()
+        .then((data) => setReactionSet(data.reactions))
+        .catch((err) => console.error('Failed to load reactions:', err));
+    }
+  }, [user]);
+
   async function loadPost() {
     try {
       setError(null);
@@ -49,13 +61,34 @@ function PostDetail({ user, setUser }) {
     }
   }
 
-  async function handleLike(postId) {
+  async function handleReact(postId, type) {
     try {
-      await hub.likePost(postId);
-      await loadPost();
+      const data = await hub.reactToPost(postId, type);
+      setPost((prev) => ({ ...prev, reactions: data.reactions }));
     } catch (err) {
-      console.error('Failed to like post:', err);
-      setError(err.message || 'Failed to like post');
+      console.error('Failed to react to post:', err);
+      setError(err.message || 'Failed to react to post');
+    }
+  }
+
+  async function handleEditPost(postId, content) {
+    try {
+      const data = await hub.updatePost(postId, content);
+      setPost(data.post);
+    } catch (err) {
+      console.error('Failed to edit post:', err);
+      setError(err.message || 'Failed to edit post');
+      throw err;
+    }
+  }
+
+  async function handleVote(postId, optionIds) {
+    try {
+      const data = await hub.votePoll(postId, optionIds);
+      setPost((prev) => ({ ...prev, poll: data.poll }));
+    } catch (err) {
+      console.error('Failed to vote:', err);
+      setError(err.message || 'Failed to vote');
     }
   }
 
@@ -127,20 +160,30 @@ function PostDetail({ user, setUser }) {
 
       <div className="max-w-4xl mx-auto px-4 py-8">
         {/* Back Button */}
-        <button
-          onClick={() => router.push('/hub')}
-          className="text-gray-400 hover:text-white mb-4 text-sm transition-colors"
-        >
-          ← Back to Hub
-        </button>
+        <div className="flex items-center justify-between mb-4">
+          <button
+            onClick={() => router.push('/hub')}
+            className="text-gray-400 hover:text-white text-sm transition-colors"
+          >
+            ← Back to Hub
+          </button>
+          <div className="flex items-center space-x-4">
+            {post.author.id !== user.id && <ReportButton targetType="POST" targetId={post.id} />}
+            <BookmarkButton targetType="POST" targetId={post.id} />
+          </div>
+        </div>
 
         {/* Post */}
         <div className="mb-6">
           <PostCard
             post={post}
-            onLike={handleLike}
+            reactionSet={reactionSet}
+            onReact={handleReact}
+            onEdit={handleEditPost}
             onDelete={handleDeletePost}
+            onVote={handleVote}
             currentUserId={user.id}
+            canModerate={['MODERATOR', 'ADMIN'].includes(user.role)}
           />
         </div>
 
@@ -155,7 +198,9 @@ function PostDetail({ user, setUser }) {
             <CommentSection
               postId={post.id}
               comments={comments}
+              reactionSet={reactionSet}
               onCommentAdded={handleCommentAdded}
+              onCommentsUpdated={loadComments}
             />
           )}
         </div>
@@ -170,6 +215,7 @@ PostDetail.propTypes = {
     firstName: PropTypes.string,
     lastName: PropTypes.string,
     email: PropTypes.string,
+    role: PropTypes.string,
   }),
   setUser: PropTypes.func.isRequired,
 };
@@ -4,10 +4,13 @@ import PropTypes from 'prop-types';
 import Navbar from '../../../components/Navbar';
 import LoadingSpinner from '../../../components/LoadingSpinner';
 import ErrorMessage from '../../../components/ErrorMessage';
-import { users, auth } from '../../../lib/api';
+import ReportButton from '../../../components/ReportButton';
+import SkillEndorsements from '../../../components/SkillEndorsements';
+import { users, hub, auth } from '../../../lib/api';
 
 function UserProfile({ user: currentUser, setUser }) {
   const [profile, setProfile] = useState(null);
+  const [relationship, setRelationship] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const router = useRouter();
@@ -24,6 +27,7 @@ function UserProfile({ user: currentUser, setUser }) {
       setError(null);
       const data = await users.getProfile(id);
       setProfile(data.user);
+      setRelationship(data.relationship);
     } catch (err) {
       console.error('Failed to load profile:', err);
       setError(err.message || 'Failed to load profile');
@@ -32,6 +36,52 @@ function UserProfile({ user: currentUser, setUser }) {
     }
   }
 
+  async function handleMessage() {
+    try {
+      const data = await hub.startConversation([profile.id]);
+      router.push(`/hub/messages?conversation=${data.conversation.id}`);
+    } catch (err) {
+      console.error('Failed to start conversation:', err);
+      setError(err.message || 'Failed to start conversation');
+    }
+  }
+
+  async function handleToggleBlock() {
+    if (
+      !relationship.blocking &&
+      !confirm(
+        `Block ${profile.firstName}? Neither of you will be able to message, comment on or react to the other, and any connection between you is removed.`
+      )
+    ) {
+      return;
+    }
+    try {
+      if (relationship.blocking) {
+        await users.unblockUser(profile.id);
+      } else {
+        await users.blockUser(profile.id);
+      }
+      setRelationship((prev) => ({ ...prev, blocking: !prev.blocking }));
+    } catch (err) {
+      console.error('Failed to update block:', err);
+      setError(err.message || 'Failed to update block');
+    }
+  }
+
+  async function handleToggleMute() {
+    try {
+      if (relationship.muting) {
+        await users.unmuteUser(profile.id);
+      } else {
+        await users.muteUser(profile.id);
+      }
+      setRelationship((prev) => ({ ...prev, muting: !prev.muting }));
+    } catch (err) {
+      console.error('Failed to update mute:', err);
+      setError(err.message || 'Failed to update mute');
+    }
+  }
+
   function handleLogout() {
     auth.logout();
     setUser(null);
@@ -94,6 +144,31 @@ function UserProfile({ user: currentUser, setUser }) {
 
             {/* Profile Info */}
             <div className="flex-1">
+              {profile.id !== currentUser.id && relationship && (
+                <div className="float-right flex items-center space-x-2">
+                  {!relationship.blocking && !relationship.blockedBy && (
+                    <button
+                      onClick={handleMessage}
+                      className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors"
+                    >
+                      Message
+                    </button>
+                  )}
+                  <button
+                    onClick={handleToggleMute}
+                    className="px-3 py-2 text-sm text-gray-300 border border-gray-600 rounded-lg hover:bg-gray-700 transition-colors"
+                  >
+                    {relationship.muting ? 'Unmute' : 'Mute'}
+                  </button>
+                  <button
+                    onClick={handleToggleBlock}
+                    className="px-3 py-2 text-sm text-red-400 border border-red-500/40 rounded-lg hover:bg-red-500/10 transition-colors"
+                  >
+                    {relationship.blocking ? 'Unblock' : 'Block'}
+                  </button>
+                  <ReportButton targetType="USER" targetId={profile.id} label="Report user" />
+                </div>
+              )}
               <h1 className="text-3xl font-bold text-white mb-2">
                 {profile.firstName} {profile.lastName}
               </h1>
@@ -152,23 +227,7 @@ function UserProfile({ user: currentUser, setUser }) {
           </div>
 
           {/* Skills */}
-          <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
-            <h2 className="text-xl font-semibold text-white mb-4">Skills</h2>
-            {profile.skills && profile.skills.length > 0 ? (
-              <div className="flex flex-wrap gap-2">
-                {profile.skills.map((skill, idx) => (
-                  <span
-                    key={idx}
-                    className="px-3 py-1 bg-teal-600/20 text-teal-400 rounded-full text-sm"
-                  >
-                    {skill}
-                  </span>
-                ))}
-              </div>
-            ) : (
-              <p className="text-gray-400 text-sm">No skills listed</p>
-            )}
-          </div>
+          <SkillEndorsements userId={profile.id} />
 
           {/* Interests */}
           <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
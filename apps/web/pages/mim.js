@@ -5,8 +5,11 @@
 
 import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
-import { mim } from '../lib/api';
+import { mim, hub, users, auth } from '../lib/api';
 import io from 'socket.io-client';
+import ReactionBar from '../components/ReactionBar';
+import BookmarkButton from '../components/BookmarkButton';
+import ReportButton from '../components/ReportButton';
 
 // This page requires authentication and real-time data
 export async function getServerSideProps() {
@@ -15,11 +18,12 @@ export async function getServerSideProps() {
   };
 }
 
-export default function MIM({ user, setUser: _setUser }) {
+export default function MIM({ user, setUser }) {
   const router = useRouter();
   const [rooms, setRooms] = useState([]);
   const [currentRoom, setCurrentRoom] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [bookmarks, setBookmarks] = useState({});
   const [messageInput, setMessageInput] = useState('');
   const [usersInRoom, setUsersInRoom] = useState([]);
   const [socket, setSocket] = useState(null);
@@ -27,6 +31,7 @@ export default function MIM({ user, setUser: _setUser }) {
   const [showCreateRoom, setShowCreateRoom] = useState(false);
   const [typingUsers, setTypingUsers] = useState(new Set());
   const [connectionStatus, setConnectionStatus] = useState('connecting');
+  const [reactionSet, setReactionSet] = useState([]);
   const messagesEndRef = useRef(null);
   const typingTimeoutRef = useRef(null);
   const currentRoomRef = useRef(null);
@@ -39,6 +44,7 @@ export default function MIM({ user, setUser: _setUser }) {
     }
 
     loadRooms();
+    loadReactionSet();
     initializeSocket();
 
     return () => {
@@ -87,6 +93,15 @@ export default function MIM({ user, setUser: _setUser }) {
     }
   }
 
+  async function loadReactionSet() {
+    try {
+      const data = await hub.getReactions();
+      setReactionSet(data.reactions);
+    } catch (error) {
+      console.error('Failed to load reactions:', error);
+    }
+  }
+
   function initializeSocket() {
     const token = localStorage.getItem('maestro_token');
     if (!token) return;
@@ -108,6 +123,14 @@ export default function MIM({ user, setUser: _setUser }) {
       setConnectionStatus('disconnected');
     });
 
+    // Suspended or banned while connected: the server drops the socket
+    newSocket.on('account:moderated', ({ error }) => {
+      window.alert(error);
+      auth.logout();
+      setUser(null);
+      router.push('/login');
+    });
+
     newSocket.on('chatroom:message', (message) => {
       setMessages((prev) => [...prev, message]);
       // Play notification sound
@@ -142,6 +165,17 @@ export default function MIM({ user, setUser: _setUser }) {
       setMessages((prev) => prev.filter((m) => m.id !== messageId));
     });
 
+    // Broadcast counts don't know who "me" is, so keep our own selections
+    newSocket.on('chatroom:reaction', ({ messageId, reactions }) => {
+      setMessages((prev) =>
+        prev.map((m) =>
+          m.id === messageId
+            ? { ...m, reactions: { ...reactions, mine: m.reactions?.mine || [] } }
+            : m
+        )
+      );
+    });
+
     setSocket(newSocket);
   }
 
@@ -192,6 +226,7 @@ export default function MIM({ user, setUser: _setUser }) {
       // Load messages
       const data = await mim.getMessages(room.id);
       setMessages(data.messages);
+      loadBookmarks(data.messages);
 
       // Join via socket
       if (socket) {
@@ -206,6 +241,7 @@ export default function MIM({ user, setUser: _setUser }) {
             await mim.joinRoom(room.id, password);
             const data = await mim.getMessages(room.id);
             setMessages(data.messages);
+            loadBookmarks(data.messages);
             if (socket) {
               socket.emit('chatroom:join', { roomId: room.id });
             }
@@ -282,6 +318,29 @@ export default function MIM({ user, setUser: _setUser }) {
     }
   }
 
+  async function loadBookmarks(messageList) {
+    try {
+      const data = await users.lookupBookmarks(
+        'CHAT_MESSAGE',
+        messageList.map((m) => m.id)
+      );
+      setBookmarks(data.bookmarks);
+    } catch (error) {
+      console.error('Failed to load bookmarks:', error);
+    }
+  }
+
+  async function reactToMessage(messageId, type) {
+    try {
+      const data = await mim.reactToMessage(messageId, type);
+      setMessages((prev) =>
+        prev.map((m) => (m.id === messageId ? { ...m, reactions: data.reactions } : m))
+      );
+    } catch (error) {
+      console.error('Failed to react to message:', error);
+    }
+  }
+
   function formatTime(date) {
     const d = new Date(date);
     return d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
@@ -482,6 +541,33 @@ export default function MIM({ user, setUser: _setUser }) {
                               </button>
                             )}
                           </div>
+
+                          <div className="mt-1 px-1 flex items-center space-x-2">
+                            {reactionSet.length > 0 && (
+                              <ReactionBar
+                                reactions={message.reactions}
+                                reactionSet={reactionSet}
+                                onReact={(type) => reactToMessage(message.id, type)}
+                                compact
+                              />
+                            )}
+                            <BookmarkButton
+                              targetType="CHAT_MESSAGE"
+                              targetId={message.id}
+                              bookmark={bookmarks[message.id] || null}
+                              onChange={(bookmark) =>
+                                setBookmarks((prev) => ({ ...prev, [message.id]: bookmark }))
+                              }
+                              compact
+                            />
+                            {!isOwnMessage && (
+                              <ReportButton
+                                targetType="CHAT_MESSAGE"
+                                targetId={message.id}
+                                compact
+                              />
+                            )}
+                          </div>
                         </div>
                       </div>
                     );
@@ -0,0 +1,212 @@
+import { useEffect } from 'react';
+import Head from 'next/head';
+import PropTypes from 'prop-types';
+import PortfolioEntries from '../../components/PortfolioEntries';
+import { publicPortfolios } from '../../lib/api';
+
+const ENTRY_SECTIONS = ['experience', 'education', 'certifications', 'awards'];
+
+const CONTACT_LINKS = [
+  { field: 'linkedin', icon: '💼', label: 'LinkedIn Profile' },
+  { field: 'github', icon: '💻', label: 'GitHub Profile' },
+  { field: 'website', icon: '🌐', label: 'Portfolio Website' },
+];
+
+function initials(name) {
+  return name
+    .split(' ')
+    .map((part) => part[0])
+    .join('')
+    .slice(0, 2);
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Public portfolio page - shareable with people outside Maestroverse
+ * Rendered on the server so link previews get the OpenGraph tags. Pages that
+ * aren't public open only through the owner's share link (?token=).
+ */
+function PublicPortfolio({ portfolio, access, token = null, pageUrl = null }) {
+  useEffect(() => {
+    // Counted from the browser so link preview bots don't add views
+    publicPortfolios
+      .recordView(portfolio.slug, { token: token || undefined, referrer: document.referrer })
+      .catch((err) => console.error('Failed to record portfolio view:', err));
+  }, [portfolio.slug, token]);
+
+  const title = portfolio.headline ? `${portfolio.name} – ${portfolio.headline}` : portfolio.name;
+  const description = truncate(
+    portfolio.summary || portfolio.headline || `${portfolio.name}'s portfolio on Maestroverse`,
+    200
+  );
+  const image = /^https?:\/\//i.test(portfolio.photoUrl || '') ? portfolio.photoUrl : null;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
+      <Head>
+        <title>{`${title} | Maestroverse`}</title>
+        <meta name="description" content={description} />
+        <meta property="og:type" content="profile" />
+        <meta property="og:site_name" content="Maestroverse" />
+        <meta property="og:title" content={title} />
+        <meta property="og:description" content={description} />
+        {pageUrl && <meta property="og:url" content={pageUrl} />}
+        {pageUrl && <link rel="canonical" href={pageUrl} />}
+        {image && <meta property="og:image" content={image} />}
+        <meta name="twitter:card" content="summary" />
+        {access === 'shareLink' && <meta name="robots" content="noindex" />}
+      </Head>
+
+      <div className="max-w-4xl mx-auto px-4 py-10 space-y-6">
+        <div className="bg-gray-800 rounded-lg p-8 border border-gray-700">
+          <div className="flex items-start space-x-6">
+            <div className="w-24 h-24 bg-gradient-to-br from-teal-400 to-cyan-500 rounded-full flex items-center justify-center text-white font-bold text-3xl shadow-lg shrink-0">
+              {initials(portfolio.name)}
+            </div>
+            <div className="flex-1">
+              <h1 className="text-2xl font-bold text-white mb-1">{portfolio.name}</h1>
+              {portfolio.major && <p className="text-gray-400 mb-4">{portfolio.major}</p>}
+              {portfolio.headline && (
+                <p className="text-xl text-teal-400 font-semibold mb-2">{portfolio.headline}</p>
+              )}
+              {portfolio.summary && (
+                <p className="text-gray-300 leading-relaxed whitespace-pre-wrap">
+                  {portfolio.summary}
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {portfolio.contact && (
+          <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+            <h2 className="text-xl font-semibold text-white mb-4">Contact</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <a
+                href={`mailto:${portfolio.contact.email}`}
+                className="flex items-center space-x-3 text-teal-400 hover:text-teal-300 transition-colors"
+              >
+                <span className="text-2xl">✉️</span>
+                <span>{portfolio.contact.email}</span>
+              </a>
+              {CONTACT_LINKS.filter(({ field }) => portfolio.contact[field]).map(
+                ({ field, icon, label }) => (
+                  <a
+                    key={field}
+                    href={portfolio.contact[field]}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center space-x-3 text-teal-400 hover:text-teal-300 transition-colors"
+                  >
+                    <span className="text-2xl">{icon}</span>
+                    <span>{label}</span>
+                  </a>
+                )
+              )}
+            </div>
+          </div>
+        )}
+
+        {ENTRY_SECTIONS.filter((section) => portfolio[section]).map((section) => (
+          <PortfolioEntries key={section} section={section} entries={portfolio[section]} />
+        ))}
+
+        {portfolio.skills?.length > 0 && (
+          <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+            <h2 className="text-xl font-semibold text-white mb-4">Skills</h2>
+            <div className="flex flex-wrap gap-2">
+              {portfolio.skills.map((skill) => (
+                <span
+                  key={skill}
+                  className="px-3 py-1 bg-teal-600/20 text-teal-400 rounded-full text-sm"
+                >
+                  {skill}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {portfolio.projects?.length > 0 && (
+          <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+            <h2 className="text-xl font-semibold text-white mb-4">Projects</h2>
+            <ul className="space-y-4">
+              {portfolio.projects.map((project) => (
+                <li key={project.id}>
+                  <p className="text-white font-medium">{project.title}</p>
+                  {project.technologies.length > 0 && (
+                    <p className="text-gray-500 text-sm">{project.technologies.join(', ')}</p>
+                  )}
+                  <p className="text-gray-300 text-sm mt-1 whitespace-pre-wrap leading-relaxed">
+                    {project.description}
+                  </p>
+                  {project.projectUrl && (
+                    <a
+                      href={project.projectUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-sm text-teal-400 hover:text-teal-300"
+                    >
+                      View project
+                    </a>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <p className="text-center text-gray-500 text-sm">
+          Portfolio hosted on{' '}
+          <span className="bg-gradient-to-r from-teal-400 to-cyan-500 bg-clip-text text-transparent font-semibold">
+            Maestroverse
+          </span>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+PublicPortfolio.propTypes = {
+  portfolio: PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    photoUrl: PropTypes.string,
+    major: PropTypes.string,
+    headline: PropTypes.string,
+    summary: PropTypes.string,
+    contact: PropTypes.object,
+    skills: PropTypes.arrayOf(PropTypes.string),
+    projects: PropTypes.array,
+  }).isRequired,
+  access: PropTypes.oneOf(['public', 'shareLink']).isRequired,
+  token: PropTypes.string,
+  pageUrl: PropTypes.string,
+};
+
+export async function getServerSideProps({ params, query, req, res }) {
+  const token = typeof query.token === 'string' ? query.token : null;
+
+  let data;
+  try {
+    data = await publicPortfolios.get(params.slug, token || undefined);
+  } catch {
+    return { notFound: true };
+  }
+
+  if (data.access === 'shareLink') {
+    res.setHeader('Cache-Control', 'no-store');
+  }
+
+  // Only public pages get a canonical URL; share links shouldn't be spread further
+  const protocol = req.headers['x-forwarded-proto']?.split(',')[0] || 'http';
+  const pageUrl =
+    data.access === 'public' ? `${protocol}://${req.headers.host}/p/${data.portfolio.slug}` : null;
+
+  return { props: { portfolio: data.portfolio, access: data.access, token, pageUrl } };
+}
+
+export default PublicPortfolio;
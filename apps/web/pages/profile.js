@@ -4,7 +4,8 @@ import PropTypes from 'prop-types';
 import Navbar from '../components/Navbar';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ErrorMessage from '../components/ErrorMessage';
-import { users, auth } from '../lib/api';
+import BlockedUsersPanel from '../components/BlockedUsersPanel';
+import { users, calendar, auth } from '../lib/api';
 
 const YEAR_LABELS = {
   1: 'Freshman',
@@ -34,14 +35,38 @@ function Profile({ user, setUser }) {
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [feedUrl, setFeedUrl] = useState(null);
   const router = useRouter();
 
   useEffect(() => {
     if (user) {
       loadProfile();
+      loadCalendarFeed();
     }
   }, [user]);
 
+  async function loadCalendarFeed() {
+    try {
+      const data = await calendar.getFeed();
+      setFeedUrl(data.feedUrl);
+    } catch (err) {
+      console.error('Failed to load calendar feed:', err);
+    }
+  }
+
+  async function handleResetFeed() {
+    if (!confirm('Reset your calendar link? Calendars subscribed to the old link stop updating.')) {
+      return;
+    }
+    try {
+      const data = await calendar.resetFeed();
+      setFeedUrl(data.feedUrl);
+    } catch (err) {
+      console.error('Failed to reset calendar feed:', err);
+      setError(err.message || 'Failed to reset calendar link');
+    }
+  }
+
   async function loadProfile() {
     try {
       setError(null);
@@ -418,6 +443,45 @@ function Profile({ user, setUser }) {
                 </p>
               )}
             </div>
+
+            <div className="cyber-card space-y-4 border border-cyber-border/80 p-6">
+              <div>
+                <h2 className="text-lg font-semibold text-white">Calendar Feed</h2>
+                <p className="text-xs uppercase tracking-[0.3em] text-gray-500">Subscribe</p>
+              </div>
+              <p className="text-xs text-gray-500">
+                Events you RSVP&apos;d to, your study group meetings and course deadlines. Add this
+                link to Google Calendar, Apple Calendar or Outlook. Keep it private.
+              </p>
+              {feedUrl && (
+                <input
+                  type="text"
+                  readOnly
+                  value={feedUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="w-full rounded-lg border border-cyber-border/70 bg-black/40 px-3 py-2 text-xs text-gray-300"
+                />
+              )}
+              <div className="flex items-center gap-4 text-xs">
+                <button
+                  type="button"
+                  onClick={() => navigator.clipboard?.writeText(feedUrl)}
+                  disabled={!feedUrl}
+                  className="text-cyber-blue transition hover:text-cyber-pink disabled:opacity-50"
+                >
+                  Copy link
+                </button>
+                <button
+                  type="button"
+                  onClick={handleResetFeed}
+                  className="text-gray-500 transition hover:text-red-400"
+                >
+                  Reset link
+                </button>
+              </div>
+            </div>
+
+            <BlockedUsersPanel />
           </div>
 
           <div className="space-y-6 lg:col-span-2">
@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "PostVisibility" AS ENUM ('PUBLIC', 'CONNECTIONS', 'GROUP', 'PRIVATE');
+
+-- AlterTable
+ALTER TABLE "Post" ADD COLUMN     "visibility" "PostVisibility" NOT NULL DEFAULT 'PUBLIC';
+
+-- CreateIndex
+CREATE INDEX "Post_visibility_idx" ON "Post"("visibility");
@@ -0,0 +1,134 @@
+-- CreateEnum
+CREATE TYPE "ContentSource" AS ENUM ('POST', 'COMMENT', 'THREAD', 'THREAD_REPLY', 'GROUP_MESSAGE', 'CHAT_MESSAGE');
+
+-- CreateTable
+CREATE TABLE "Mention" (
+    "id" TEXT NOT NULL,
+    "sourceType" "ContentSource" NOT NULL,
+    "userId" TEXT NOT NULL,
+    "authorId" TEXT NOT NULL,
+    "postId" TEXT,
+    "commentId" TEXT,
+    "threadId" TEXT,
+    "threadReplyId" TEXT,
+    "groupMessageId" TEXT,
+    "chatMessageId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Mention_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Hashtag" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Hashtag_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "HashtagLink" (
+    "id" TEXT NOT NULL,
+    "hashtagId" TEXT NOT NULL,
+    "sourceType" "ContentSource" NOT NULL,
+    "postId" TEXT,
+    "commentId" TEXT,
+    "threadId" TEXT,
+    "threadReplyId" TEXT,
+    "groupMessageId" TEXT,
+    "chatMessageId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "HashtagLink_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Mention_userId_idx" ON "Mention"("userId");
+
+-- CreateIndex
+CREATE INDEX "Mention_postId_idx" ON "Mention"("postId");
+
+-- CreateIndex
+CREATE INDEX "Mention_commentId_idx" ON "Mention"("commentId");
+
+-- CreateIndex
+CREATE INDEX "Mention_threadId_idx" ON "Mention"("threadId");
+
+-- CreateIndex
+CREATE INDEX "Mention_threadReplyId_idx" ON "Mention"("threadReplyId");
+
+-- CreateIndex
+CREATE INDEX "Mention_groupMessageId_idx" ON "Mention"("groupMessageId");
+
+-- CreateIndex
+CREATE INDEX "Mention_chatMessageId_idx" ON "Mention"("chatMessageId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Hashtag_name_key" ON "Hashtag"("name");
+
+-- CreateIndex
+CREATE INDEX "HashtagLink_hashtagId_sourceType_idx" ON "HashtagLink"("hashtagId", "sourceType");
+
+-- CreateIndex
+CREATE INDEX "HashtagLink_postId_idx" ON "HashtagLink"("postId");
+
+-- CreateIndex
+CREATE INDEX "HashtagLink_commentId_idx" ON "HashtagLink"("commentId");
+
+-- CreateIndex
+CREATE INDEX "HashtagLink_threadId_idx" ON "HashtagLink"("threadId");
+
+-- CreateIndex
+CREATE INDEX "HashtagLink_threadReplyId_idx" ON "HashtagLink"("threadReplyId");
+
+-- CreateIndex
+CREATE INDEX "HashtagLink_groupMessageId_idx" ON "HashtagLink"("groupMessageId");
+
+-- CreateIndex
+CREATE INDEX "HashtagLink_chatMessageId_idx" ON "HashtagLink"("chatMessageId");
+
+-- AddForeignKey
+ALTER TABLE "Mention" ADD CONSTRAINT "Mention_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Mention" ADD CONSTRAINT "Mention_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Mention" ADD CONSTRAINT "Mention_postId_fkey" FOREIGN KEY ("postId") REFERENCES "Post"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Mention" ADD CONSTRAINT "Mention_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "Comment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Mention" ADD CONSTRAINT "Mention_threadId_fkey" FOREIGN KEY ("threadId") REFERENCES "Thread"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Mention" ADD CONSTRAINT "Mention_threadReplyId_fkey" FOREIGN KEY ("threadReplyId") REFERENCES "ThreadReply"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Mention" ADD CONSTRAINT "Mention_groupMessageId_fkey" FOREIGN KEY ("groupMessageId") REFERENCES "GroupMessage"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Mention" ADD CONSTRAINT "Mention_chatMessageId_fkey" FOREIGN KEY ("chatMessageId") REFERENCES "ChatMessage"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HashtagLink" ADD CONSTRAINT "HashtagLink_hashtagId_fkey" FOREIGN KEY ("hashtagId") REFERENCES "Hashtag"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HashtagLink" ADD CONSTRAINT "HashtagLink_postId_fkey" FOREIGN KEY ("postId") REFERENCES "Post"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HashtagLink" ADD CONSTRAINT "HashtagLink_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "Comment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HashtagLink" ADD CONSTRAINT "HashtagLink_threadId_fkey" FOREIGN KEY ("threadId") REFERENCES "Thread"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HashtagLink" ADD CONSTRAINT "HashtagLink_threadReplyId_fkey" FOREIGN KEY ("threadReplyId") REFERENCES "ThreadReply"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HashtagLink" ADD CONSTRAINT "HashtagLink_groupMessageId_fkey" FOREIGN KEY ("groupMessageId") REFERENCES "GroupMessage"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HashtagLink" ADD CONSTRAINT "HashtagLink_chatMessageId_fkey" FOREIGN KEY ("chatMessageId") REFERENCES "ChatMessage"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- Backfill: legacy media links point anywhere, not at uploaded files, so they
+-- can't become attachments. They're appended to the post's content instead,
+-- one per line, so no post loses them (legacyMediaContent() in
+-- utils/postAttachments.js states the same rule).
+UPDATE "Post" p
+SET "content" = p."content" || E'\n\n' || m."urls"
+FROM (
+    SELECT "id", string_agg(url, E'\n' ORDER BY ordinality) AS "urls"
+    FROM "Post"
+    CROSS JOIN LATERAL unnest("mediaUrls") WITH ORDINALITY AS u(url, ordinality)
+    WHERE btrim(url) <> ''
+    GROUP BY "id"
+) m
+WHERE p."id" = m."id";
+
+-- AlterTable
+ALTER TABLE "Post" DROP COLUMN "mediaUrls";
+
+-- CreateTable
+CREATE TABLE "PostAttachment" (
+    "id" TEXT NOT NULL,
+    "postId" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "originalName" TEXT NOT NULL,
+    "mimetype" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PostAttachment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PostAttachment_postId_idx" ON "PostAttachment"("postId");
+
+-- AddForeignKey
+ALTER TABLE "PostAttachment" ADD CONSTRAINT "PostAttachment_postId_fkey" FOREIGN KEY ("postId") REFERENCES "Post"("id") ON DELETE CASCADE ON UPDATE CASCADE;
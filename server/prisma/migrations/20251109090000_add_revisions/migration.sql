@@ -0,0 +1,57 @@
+-- AlterTable
+ALTER TABLE "Post" ADD COLUMN     "editedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Comment" ADD COLUMN     "editedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Thread" ADD COLUMN     "editedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "ThreadReply" ADD COLUMN     "editedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "Revision" (
+    "id" TEXT NOT NULL,
+    "sourceType" "ContentSource" NOT NULL,
+    "title" TEXT,
+    "content" TEXT NOT NULL,
+    "editorId" TEXT NOT NULL,
+    "postId" TEXT,
+    "commentId" TEXT,
+    "threadId" TEXT,
+    "threadReplyId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Revision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Revision_editorId_idx" ON "Revision"("editorId");
+
+-- CreateIndex
+CREATE INDEX "Revision_postId_idx" ON "Revision"("postId");
+
+-- CreateIndex
+CREATE INDEX "Revision_commentId_idx" ON "Revision"("commentId");
+
+-- CreateIndex
+CREATE INDEX "Revision_threadId_idx" ON "Revision"("threadId");
+
+-- CreateIndex
+CREATE INDEX "Revision_threadReplyId_idx" ON "Revision"("threadReplyId");
+
+-- AddForeignKey
+ALTER TABLE "Revision" ADD CONSTRAINT "Revision_editorId_fkey" FOREIGN KEY ("editorId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Revision" ADD CONSTRAINT "Revision_postId_fkey" FOREIGN KEY ("postId") REFERENCES "Post"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Revision" ADD CONSTRAINT "Revision_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "Comment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Revision" ADD CONSTRAINT "Revision_threadId_fkey" FOREIGN KEY ("threadId") REFERENCES "Thread"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Revision" ADD CONSTRAINT "Revision_threadReplyId_fkey" FOREIGN KEY ("threadReplyId") REFERENCES "ThreadReply"("id") ON DELETE CASCADE ON UPDATE CASCADE;
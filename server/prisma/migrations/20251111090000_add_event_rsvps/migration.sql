@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "RsvpStatus" AS ENUM ('GOING', 'WAITLISTED', 'INTERESTED', 'NOT_GOING');
+
+-- AlterTable
+ALTER TABLE "Event" ADD COLUMN     "capacity" INTEGER;
+
+-- CreateTable
+CREATE TABLE "EventRsvp" (
+    "id" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "status" "RsvpStatus" NOT NULL,
+    "waitlistedAt" TIMESTAMP(3),
+    "remindedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "EventRsvp_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "EventRsvp_eventId_status_waitlistedAt_idx" ON "EventRsvp"("eventId", "status", "waitlistedAt");
+
+-- CreateIndex
+CREATE INDEX "EventRsvp_userId_idx" ON "EventRsvp"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EventRsvp_eventId_userId_key" ON "EventRsvp"("eventId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "EventRsvp" ADD CONSTRAINT "EventRsvp_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EventRsvp" ADD CONSTRAINT "EventRsvp_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
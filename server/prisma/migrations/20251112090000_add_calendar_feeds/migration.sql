@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "calendarToken" TEXT;
+
+-- CreateTable
+CREATE TABLE "CourseDeadline" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "dueAt" TIMESTAMP(3) NOT NULL,
+    "courseId" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CourseDeadline_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_calendarToken_key" ON "User"("calendarToken");
+
+-- CreateIndex
+CREATE INDEX "CourseDeadline_courseId_dueAt_idx" ON "CourseDeadline"("courseId", "dueAt");
+
+-- CreateIndex
+CREATE INDEX "CourseDeadline_createdById_idx" ON "CourseDeadline"("createdById");
+
+-- AddForeignKey
+ALTER TABLE "CourseDeadline" ADD CONSTRAINT "CourseDeadline_courseId_fkey" FOREIGN KEY ("courseId") REFERENCES "Course"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CourseDeadline" ADD CONSTRAINT "CourseDeadline_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "SessionStatus" AS ENUM ('SCHEDULED', 'MOVED', 'CANCELLED');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'STUDY_GROUP';
+
+-- AlterTable
+ALTER TABLE "StudyGroup" ADD COLUMN     "scheduleDuration" INTEGER,
+ADD COLUMN     "scheduleExdates" TEXT[],
+ADD COLUMN     "scheduleRule" TEXT,
+ADD COLUMN     "scheduleStart" TIMESTAMP(3),
+ADD COLUMN     "scheduleTimezone" TEXT;
+
+-- CreateTable
+CREATE TABLE "StudyGroupSession" (
+    "id" TEXT NOT NULL,
+    "studyGroupId" TEXT NOT NULL,
+    "originalStart" TIMESTAMP(3) NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "status" "SessionStatus" NOT NULL DEFAULT 'SCHEDULED',
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StudyGroupSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StudyGroupAttendance" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "checkedInAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StudyGroupAttendance_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StudyGroupSession_studyGroupId_startsAt_idx" ON "StudyGroupSession"("studyGroupId", "startsAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StudyGroupSession_studyGroupId_originalStart_key" ON "StudyGroupSession"("studyGroupId", "originalStart");
+
+-- CreateIndex
+CREATE INDEX "StudyGroupAttendance_userId_idx" ON "StudyGroupAttendance"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StudyGroupAttendance_sessionId_userId_key" ON "StudyGroupAttendance"("sessionId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "StudyGroupSession" ADD CONSTRAINT "StudyGroupSession_studyGroupId_fkey" FOREIGN KEY ("studyGroupId") REFERENCES "StudyGroup"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudyGroupAttendance" ADD CONSTRAINT "StudyGroupAttendance_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "StudyGroupSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudyGroupAttendance" ADD CONSTRAINT "StudyGroupAttendance_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "GroupPostingPolicy" AS ENUM ('EVERYONE', 'MODERATORS', 'ADMINS');
+
+-- CreateEnum
+CREATE TYPE "GroupModerationAction" AS ENUM ('PIN_POST', 'UNPIN_POST', 'REMOVE_POST', 'REMOVE_COMMENT', 'MUTE_MEMBER', 'UNMUTE_MEMBER', 'REMOVE_MEMBER', 'BAN_MEMBER', 'UNBAN_MEMBER', 'CHANGE_ROLE', 'UPDATE_SETTINGS');
+
+-- AlterTable
+ALTER TABLE "Group" ADD COLUMN     "postingPolicy" "GroupPostingPolicy" NOT NULL DEFAULT 'EVERYONE';
+
+-- AlterTable
+ALTER TABLE "GroupMember" ADD COLUMN     "mutedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Post" ADD COLUMN     "pinnedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "GroupModerationLog" (
+    "id" TEXT NOT NULL,
+    "groupId" TEXT NOT NULL,
+    "actorId" TEXT NOT NULL,
+    "action" "GroupModerationAction" NOT NULL,
+    "targetUserId" TEXT,
+    "subjectId" TEXT,
+    "details" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GroupModerationLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GroupModerationLog_groupId_createdAt_idx" ON "GroupModerationLog"("groupId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "GroupModerationLog_actorId_idx" ON "GroupModerationLog"("actorId");
+
+-- CreateIndex
+CREATE INDEX "GroupModerationLog_targetUserId_idx" ON "GroupModerationLog"("targetUserId");
+
+-- AddForeignKey
+ALTER TABLE "GroupModerationLog" ADD CONSTRAINT "GroupModerationLog_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GroupModerationLog" ADD CONSTRAINT "GroupModerationLog_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GroupModerationLog" ADD CONSTRAINT "GroupModerationLog_targetUserId_fkey" FOREIGN KEY ("targetUserId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,98 @@
+-- CreateTable
+CREATE TABLE "Conversation" (
+    "id" TEXT NOT NULL,
+    "title" TEXT,
+    "isGroup" BOOLEAN NOT NULL DEFAULT false,
+    "directKey" TEXT,
+    "lastMessageAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Conversation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ConversationParticipant" (
+    "id" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "lastReadAt" TIMESTAMP(3),
+    "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConversationParticipant_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "conversationId" TEXT;
+
+-- Backfill: one direct conversation per pair of users who have exchanged messages.
+-- The key matches directKey() in utils/directMessages.js (sorted IDs joined by ':').
+UPDATE "Message"
+SET "conversationId" = md5(
+    LEAST("senderId" COLLATE "C", "receiverId" COLLATE "C") || ':' ||
+    GREATEST("senderId" COLLATE "C", "receiverId" COLLATE "C")
+);
+
+INSERT INTO "Conversation" ("id", "isGroup", "directKey", "lastMessageAt", "createdAt", "updatedAt")
+SELECT
+    "conversationId",
+    false,
+    MIN(LEAST("senderId" COLLATE "C", "receiverId" COLLATE "C") || ':' ||
+        GREATEST("senderId" COLLATE "C", "receiverId" COLLATE "C")),
+    MAX("createdAt"),
+    MIN("createdAt"),
+    MAX("createdAt")
+FROM "Message"
+GROUP BY "conversationId";
+
+-- isRead was never maintained, so existing history starts out read
+INSERT INTO "ConversationParticipant" ("id", "conversationId", "userId", "lastReadAt", "joinedAt")
+SELECT
+    md5(m."conversationId" || ':' || p."userId"),
+    m."conversationId",
+    p."userId",
+    MAX(m."createdAt"),
+    MIN(m."createdAt")
+FROM "Message" m
+CROSS JOIN LATERAL (VALUES (m."senderId"), (m."receiverId")) AS p("userId")
+GROUP BY m."conversationId", p."userId";
+
+-- AlterTable
+ALTER TABLE "Message" ALTER COLUMN "conversationId" SET NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "Message" DROP CONSTRAINT "Message_receiverId_fkey";
+
+-- DropIndex
+DROP INDEX "Message_receiverId_idx";
+
+-- DropIndex
+DROP INDEX "Message_createdAt_idx";
+
+-- AlterTable
+ALTER TABLE "Message" DROP COLUMN "isRead",
+DROP COLUMN "receiverId";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Conversation_directKey_key" ON "Conversation"("directKey");
+
+-- CreateIndex
+CREATE INDEX "Conversation_lastMessageAt_idx" ON "Conversation"("lastMessageAt");
+
+-- CreateIndex
+CREATE INDEX "ConversationParticipant_userId_idx" ON "ConversationParticipant"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConversationParticipant_conversationId_userId_key" ON "ConversationParticipant"("conversationId", "userId");
+
+-- CreateIndex
+CREATE INDEX "Message_conversationId_createdAt_idx" ON "Message"("conversationId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ConversationParticipant" ADD CONSTRAINT "ConversationParticipant_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationParticipant" ADD CONSTRAINT "ConversationParticipant_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
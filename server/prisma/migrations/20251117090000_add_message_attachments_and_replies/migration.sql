@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "editedAt" TIMESTAMP(3),
+ADD COLUMN     "replyToId" TEXT;
+
+-- CreateTable
+CREATE TABLE "MessageAttachment" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "originalName" TEXT NOT NULL,
+    "mimetype" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MessageAttachment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Message_replyToId_idx" ON "Message"("replyToId");
+
+-- CreateIndex
+CREATE INDEX "MessageAttachment_messageId_idx" ON "MessageAttachment"("messageId");
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_replyToId_fkey" FOREIGN KEY ("replyToId") REFERENCES "Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MessageAttachment" ADD CONSTRAINT "MessageAttachment_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,57 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'MODERATION';
+
+-- CreateEnum
+CREATE TYPE "ReportTarget" AS ENUM ('POST', 'COMMENT', 'THREAD', 'THREAD_REPLY', 'RESOURCE', 'PROJECT', 'CHAT_MESSAGE', 'USER');
+
+-- CreateEnum
+CREATE TYPE "ReportReason" AS ENUM ('SPAM', 'HARASSMENT', 'HATE_SPEECH', 'VIOLENCE', 'SEXUAL_CONTENT', 'MISINFORMATION', 'ACADEMIC_DISHONESTY', 'IMPERSONATION', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "ReportStatus" AS ENUM ('OPEN', 'ACTIONED', 'DISMISSED');
+
+-- CreateEnum
+CREATE TYPE "ReportAction" AS ENUM ('CONTENT_REMOVED', 'USER_SUSPENDED', 'USER_BANNED');
+
+-- CreateTable
+CREATE TABLE "Report" (
+    "id" TEXT NOT NULL,
+    "reporterId" TEXT NOT NULL,
+    "targetType" "ReportTarget" NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "targetUserId" TEXT,
+    "reason" "ReportReason" NOT NULL,
+    "details" TEXT,
+    "snapshot" TEXT,
+    "link" TEXT,
+    "status" "ReportStatus" NOT NULL DEFAULT 'OPEN',
+    "action" "ReportAction",
+    "resolutionNote" TEXT,
+    "resolvedById" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Report_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Report_status_createdAt_idx" ON "Report"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Report_targetType_targetId_idx" ON "Report"("targetType", "targetId");
+
+-- CreateIndex
+CREATE INDEX "Report_targetUserId_idx" ON "Report"("targetUserId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Report_reporterId_targetType_targetId_key" ON "Report"("reporterId", "targetType", "targetId");
+
+-- AddForeignKey
+ALTER TABLE "Report" ADD CONSTRAINT "Report_reporterId_fkey" FOREIGN KEY ("reporterId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Report" ADD CONSTRAINT "Report_targetUserId_fkey" FOREIGN KEY ("targetUserId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Report" ADD CONSTRAINT "Report_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,156 @@
+-- CreateEnum
+CREATE TYPE "PortfolioEntryVisibility" AS ENUM ('PUBLIC', 'CONNECTIONS', 'PRIVATE');
+
+-- CreateTable
+CREATE TABLE "Experience" (
+    "id" TEXT NOT NULL,
+    "portfolioId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "company" TEXT NOT NULL,
+    "location" TEXT,
+    "description" TEXT,
+    "startDate" TIMESTAMP(3),
+    "endDate" TIMESTAMP(3),
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "visibility" "PortfolioEntryVisibility" NOT NULL DEFAULT 'PUBLIC',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Experience_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Education" (
+    "id" TEXT NOT NULL,
+    "portfolioId" TEXT NOT NULL,
+    "institution" TEXT NOT NULL,
+    "degree" TEXT,
+    "fieldOfStudy" TEXT,
+    "description" TEXT,
+    "startDate" TIMESTAMP(3),
+    "endDate" TIMESTAMP(3),
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "visibility" "PortfolioEntryVisibility" NOT NULL DEFAULT 'PUBLIC',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Education_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Certification" (
+    "id" TEXT NOT NULL,
+    "portfolioId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "issuer" TEXT NOT NULL,
+    "credentialId" TEXT,
+    "credentialUrl" TEXT,
+    "issuedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "visibility" "PortfolioEntryVisibility" NOT NULL DEFAULT 'PUBLIC',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Certification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Award" (
+    "id" TEXT NOT NULL,
+    "portfolioId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "issuer" TEXT,
+    "description" TEXT,
+    "awardedAt" TIMESTAMP(3),
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "visibility" "PortfolioEntryVisibility" NOT NULL DEFAULT 'PUBLIC',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Award_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Experience_portfolioId_position_idx" ON "Experience"("portfolioId", "position");
+
+-- CreateIndex
+CREATE INDEX "Education_portfolioId_position_idx" ON "Education"("portfolioId", "position");
+
+-- CreateIndex
+CREATE INDEX "Certification_portfolioId_position_idx" ON "Certification"("portfolioId", "position");
+
+-- CreateIndex
+CREATE INDEX "Award_portfolioId_position_idx" ON "Award"("portfolioId", "position");
+
+-- AddForeignKey
+ALTER TABLE "Experience" ADD CONSTRAINT "Experience_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Education" ADD CONSTRAINT "Education_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Certification" ADD CONSTRAINT "Certification_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Award" ADD CONSTRAINT "Award_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Convert the free-form Json[] entries. Dates are kept when they start with
+-- a valid YYYY-MM (anything else, e.g. "Present" or "2023-13", becomes NULL).
+-- The old portfolio editor only stored a description, so missing names fall
+-- back to an empty string for the owner to fill in. Entries that aren't
+-- objects (e.g. a bare string) are kept as their text in the description;
+-- only null and empty ones are dropped.
+CREATE FUNCTION "pg_temp"."portfolio_entry_date"(value TEXT) RETURNS TIMESTAMP(3) AS $$
+BEGIN
+    IF value ~ '^\d{4}-(0[1-9]|1[0-2])' THEN
+        RETURN to_date(left(value, 7), 'YYYY-MM')::TIMESTAMP(3);
+    END IF;
+    RETURN NULL;
+EXCEPTION WHEN others THEN
+    RETURN NULL;
+END
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE FUNCTION "pg_temp"."portfolio_entry_description"(value JSONB) RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN jsonb_typeof(value) = 'object' THEN NULLIF(value->>'description', '')
+        ELSE NULLIF(value #>> '{}', '')
+    END
+$$ LANGUAGE SQL IMMUTABLE;
+
+INSERT INTO "Experience" ("id", "portfolioId", "title", "company", "location", "description", "startDate", "endDate", "position", "updatedAt")
+SELECT
+    gen_random_uuid()::TEXT,
+    p."id",
+    COALESCE(NULLIF(e.value->>'title', ''), NULLIF(e.value->>'position', ''), ''),
+    COALESCE(NULLIF(e.value->>'company', ''), NULLIF(e.value->>'organization', ''), ''),
+    NULLIF(e.value->>'location', ''),
+    "pg_temp"."portfolio_entry_description"(e.value),
+    "pg_temp"."portfolio_entry_date"(e.value->>'startDate'),
+    "pg_temp"."portfolio_entry_date"(e.value->>'endDate'),
+    (e.ordinality - 1)::INTEGER,
+    CURRENT_TIMESTAMP
+FROM "Portfolio" p
+CROSS JOIN LATERAL unnest(p."experience") WITH ORDINALITY AS e(value, ordinality)
+WHERE jsonb_typeof(e.value) = 'object' OR "pg_temp"."portfolio_entry_description"(e.value) IS NOT NULL;
+
+INSERT INTO "Education" ("id", "portfolioId", "institution", "degree", "fieldOfStudy", "description", "startDate", "endDate", "position", "updatedAt")
+SELECT
+    gen_random_uuid()::TEXT,
+    p."id",
+    COALESCE(NULLIF(e.value->>'institution', ''), NULLIF(e.value->>'school', ''), ''),
+    NULLIF(e.value->>'degree', ''),
+    COALESCE(NULLIF(e.value->>'fieldOfStudy', ''), NULLIF(e.value->>'major', '')),
+    "pg_temp"."portfolio_entry_description"(e.value),
+    "pg_temp"."portfolio_entry_date"(e.value->>'startDate'),
+    "pg_temp"."portfolio_entry_date"(e.value->>'endDate'),
+    (e.ordinality - 1)::INTEGER,
+    CURRENT_TIMESTAMP
+FROM "Portfolio" p
+CROSS JOIN LATERAL unnest(p."education") WITH ORDINALITY AS e(value, ordinality)
+WHERE jsonb_typeof(e.value) = 'object' OR "pg_temp"."portfolio_entry_description"(e.value) IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Portfolio" DROP COLUMN "experience",
+DROP COLUMN "education";
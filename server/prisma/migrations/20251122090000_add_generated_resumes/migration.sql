@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Portfolio" ADD COLUMN     "resumeFile" TEXT,
+ADD COLUMN     "resumeGeneratedAt" TIMESTAMP(3),
+ADD COLUMN     "resumeTemplate" TEXT;
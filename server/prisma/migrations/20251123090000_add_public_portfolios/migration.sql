@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "Portfolio" ADD COLUMN     "isPublic" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "publicSections" TEXT[] DEFAULT ARRAY['experience', 'education', 'certifications', 'awards', 'skills', 'projects']::TEXT[],
+ADD COLUMN     "publicSlug" TEXT,
+ADD COLUMN     "shareToken" TEXT,
+ADD COLUMN     "shareTokenExpiresAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "PortfolioView" (
+    "id" TEXT NOT NULL,
+    "portfolioId" TEXT NOT NULL,
+    "referrer" TEXT,
+    "viaShareLink" BOOLEAN NOT NULL DEFAULT false,
+    "visitorKey" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PortfolioView_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Portfolio_publicSlug_key" ON "Portfolio"("publicSlug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Portfolio_shareToken_key" ON "Portfolio"("shareToken");
+
+-- CreateIndex
+CREATE INDEX "PortfolioView_portfolioId_createdAt_idx" ON "PortfolioView"("portfolioId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PortfolioView_portfolioId_visitorKey_createdAt_idx" ON "PortfolioView"("portfolioId", "visitorKey", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PortfolioView" ADD CONSTRAINT "PortfolioView_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'ENDORSEMENT';
+
+-- CreateTable
+CREATE TABLE "SkillEndorsement" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "endorserId" TEXT NOT NULL,
+    "skill" TEXT NOT NULL,
+    "byFaculty" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SkillEndorsement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SkillEndorsement_userId_endorserId_skill_key" ON "SkillEndorsement"("userId", "endorserId", "skill");
+
+-- CreateIndex
+CREATE INDEX "SkillEndorsement_userId_skill_idx" ON "SkillEndorsement"("userId", "skill");
+
+-- CreateIndex
+CREATE INDEX "SkillEndorsement_endorserId_idx" ON "SkillEndorsement"("endorserId");
+
+-- AddForeignKey
+ALTER TABLE "SkillEndorsement" ADD CONSTRAINT "SkillEndorsement_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SkillEndorsement" ADD CONSTRAINT "SkillEndorsement_endorserId_fkey" FOREIGN KEY ("endorserId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "GroupMute" (
+    "id" TEXT NOT NULL,
+    "groupId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "mutedUntil" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GroupMute_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GroupMute_userId_idx" ON "GroupMute"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GroupMute_groupId_userId_key" ON "GroupMute"("groupId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "GroupMute" ADD CONSTRAINT "GroupMute_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GroupMute" ADD CONSTRAINT "GroupMute_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: mutes still in effect move off the membership rows
+INSERT INTO "GroupMute" ("id", "groupId", "userId", "mutedUntil")
+SELECT gen_random_uuid()::TEXT, "groupId", "userId", "mutedUntil"
+FROM "GroupMember"
+WHERE "mutedUntil" > CURRENT_TIMESTAMP;
+
+-- AlterTable
+ALTER TABLE "GroupMember" DROP COLUMN "mutedUntil";
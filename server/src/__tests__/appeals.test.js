@@ -0,0 +1,127 @@
+/**
+ * Appeals Test Suite
+ *
+ * Tests for appealing suspensions and bans and reviewing appeals
+ * Run with: npm test or node --test src/__tests__/appeals.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  isAppealable,
+  appealUrl,
+  isActionInEffect,
+  appealError,
+  appealReviewError,
+  describeAction,
+} from '../utils/appeals/rules.js';
+
+const now = new Date('2025-11-20T12:00:00Z');
+const later = new Date('2025-11-21T12:00:00Z');
+
+const suspension = { id: 'a1', type: 'SUSPEND', expiresAt: later, appeal: null };
+const ban = { id: 'a2', type: 'BAN', expiresAt: null, appeal: null };
+const suspended = { status: 'SUSPENDED', suspendedUntil: later };
+const banned = { status: 'BANNED', suspendedUntil: null };
+
+describe('Appeals Tests', () => {
+  describe('Appeal Links', () => {
+    it('should only offer appeals for suspensions and bans', () => {
+      assert.strictEqual(isAppealable(suspension), true);
+      assert.strictEqual(isAppealable(ban), true);
+      assert.strictEqual(isAppealable({ type: 'RESTORE' }), false);
+    });
+
+    it('should link to the appeal page with the token', () => {
+      assert.match(appealUrl('tok123'), /\/appeal\?token=tok123$/);
+    });
+  });
+
+  describe('Actions In Effect', () => {
+    it('should hold while the user is still locked out by the latest action', () => {
+      assert.strictEqual(isActionInEffect(suspension, suspended, 'a1', now), true);
+      assert.strictEqual(isActionInEffect(ban, banned, 'a2', now), true);
+    });
+
+    it('should end when a later action replaces it', () => {
+      assert.strictEqual(isActionInEffect(suspension, banned, 'a2', now), false);
+    });
+
+    it('should end when the user is restored or the suspension runs out', () => {
+      assert.strictEqual(
+        isActionInEffect(ban, { status: 'ACTIVE', suspendedUntil: null }, 'a2', now),
+        false
+      );
+      assert.strictEqual(isActionInEffect(suspension, suspended, 'a1', later), false);
+    });
+  });
+
+  describe('Filing', () => {
+    it('should accept an appeal against the decision in effect', () => {
+      assert.strictEqual(
+        appealError({ action: suspension, user: suspended, latestActionId: 'a1', now }),
+        null
+      );
+    });
+
+    it('should reject unknown links and restores', () => {
+      assert.strictEqual(appealError({ action: null, user: suspended, now }).status, 404);
+      assert.strictEqual(
+        appealError({ action: { id: 'a3', type: 'RESTORE' }, user: suspended, now }).status,
+        404
+      );
+    });
+
+    it('should allow one appeal per decision', () => {
+      const appealed = { ...ban, appeal: { id: 'x', status: 'PENDING' } };
+      assert.strictEqual(
+        appealError({ action: appealed, user: banned, latestActionId: 'a2', now }).status,
+        409
+      );
+    });
+
+    it('should reject decisions no longer in effect', () => {
+      assert.strictEqual(
+        appealError({ action: suspension, user: suspended, latestActionId: 'a9', now }).status,
+        400
+      );
+    });
+  });
+
+  describe('Review', () => {
+    const pending = { status: 'PENDING', action: ban };
+
+    it('should only decide pending appeals', () => {
+      const decided = { status: 'UPHELD', action: ban };
+      assert.strictEqual(
+        appealReviewError(decided, { decision: 'UPHOLD', canOverturnBans: true }).status,
+        409
+      );
+    });
+
+    it('should leave overturning bans to admins', () => {
+      assert.strictEqual(
+        appealReviewError(pending, { decision: 'OVERTURN', canOverturnBans: false }).status,
+        403
+      );
+      assert.strictEqual(
+        appealReviewError(pending, { decision: 'UPHOLD', canOverturnBans: false }),
+        null
+      );
+      assert.strictEqual(
+        appealReviewError(
+          { status: 'PENDING', action: suspension },
+          { decision: 'OVERTURN', canOverturnBans: false }
+        ),
+        null
+      );
+    });
+  });
+
+  describe('Summaries', () => {
+    it('should describe suspensions with their end and bans as permanent', () => {
+      assert.match(describeAction(suspension), /suspended until 2025-11-21T12:00:00.000Z/);
+      assert.match(describeAction(ban), /permanently banned/);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Blocking Test Suite
+ *
+ * Tests for user block and mute rules
+ * Run with: npm test or node --test src/__tests__/blocking.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  blockedUserIds,
+  blocksBetweenWhere,
+  notifiableIds,
+  hiddenAuthorIds,
+  presentRelationship,
+  relationTargetError,
+} from '../utils/blocks/rules.js';
+
+describe('Blocking Tests', () => {
+  describe('Blocked Users', () => {
+    it('should collect the other side of blocks in both directions', () => {
+      const blocks = [
+        { blockerId: 'me', blockedId: 'troll' },
+        { blockerId: 'ex', blockedId: 'me' },
+      ];
+      assert.deepStrictEqual([...blockedUserIds(blocks, 'me')], ['troll', 'ex']);
+    });
+
+    it('should match blocks either way', () => {
+      assert.deepStrictEqual(blocksBetweenWhere('me', ['you']), {
+        OR: [
+          { blockerId: 'me', blockedId: { in: ['you'] } },
+          { blockedId: 'me', blockerId: { in: ['you'] } },
+        ],
+      });
+      assert.deepStrictEqual(blocksBetweenWhere('me'), {
+        OR: [{ blockerId: 'me' }, { blockedId: 'me' }],
+      });
+    });
+  });
+
+  describe('Notifications', () => {
+    it('should skip recipients who are blocked with or muting the actor', () => {
+      const recipients = notifiableIds(['a', 'b', 'c'], {
+        blockedIds: new Set(['a']),
+        mutedByIds: new Set(['c']),
+      });
+      assert.deepStrictEqual(recipients, ['b']);
+    });
+  });
+
+  describe('Hidden Authors', () => {
+    it('should combine blocked and muted users without duplicates', () => {
+      const context = { blockedIds: new Set(['a', 'b']), mutedIds: new Set(['b', 'c']) };
+      assert.deepStrictEqual(hiddenAuthorIds(context), ['a', 'b', 'c']);
+    });
+
+    it('should handle contexts without blocks or mutes', () => {
+      assert.deepStrictEqual(hiddenAuthorIds({}), []);
+    });
+  });
+
+  describe('Relationships', () => {
+    it('should tell blocking apart from being blocked', () => {
+      assert.deepStrictEqual(
+        presentRelationship('me', [{ blockerId: 'me', blockedId: 'you' }], null),
+        { blocking: true, blockedBy: false, muting: false }
+      );
+      assert.deepStrictEqual(
+        presentRelationship('me', [{ blockerId: 'you', blockedId: 'me' }], { id: 'm1' }),
+        { blocking: false, blockedBy: true, muting: true }
+      );
+    });
+
+    it('should reject missing users and yourself', () => {
+      assert.strictEqual(relationTargetError('me', null).status, 404);
+      assert.strictEqual(relationTargetError('me', { id: 'me' }).status, 400);
+      assert.strictEqual(relationTargetError('me', { id: 'you' }), null);
+    });
+  });
+});
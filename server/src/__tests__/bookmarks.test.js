@@ -0,0 +1,231 @@
+/**
+ * Bookmarks Test Suite
+ *
+ * Tests for presenting bookmarks the owner can still read, plus target
+ * lookups, deletes and concurrent saves against a migrated database
+ * (DATABASE_URL; those are skipped without one)
+ * Run with: npm test or node --test src/__tests__/bookmarks.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { BOOKMARK_FIELDS, presentBookmark, findBookmarkTarget } from '../utils/bookmarks.js';
+
+const author = { id: 'u2', username: 'ada', firstName: 'Ada', lastName: 'Park' };
+
+function viewer(userId) {
+  return { userId, connectionIds: new Set(), groupIds: new Set(), blockedIds: new Set() };
+}
+
+function bookmark(targetType, item, extra = {}) {
+  return {
+    id: 'b1',
+    targetType,
+    [BOOKMARK_FIELDS[targetType]]: 'item1',
+    note: null,
+    collection: null,
+    createdAt: new Date('2025-11-10T00:00:00Z'),
+    updatedAt: new Date('2025-11-10T00:00:00Z'),
+    post: null,
+    thread: null,
+    resource: null,
+    project: null,
+    chatMessage: null,
+    [{ POST: 'post', PROJECT: 'project', CHAT_MESSAGE: 'chatMessage' }[targetType]]: item,
+    ...extra,
+  };
+}
+
+describe('Bookmarks Tests', () => {
+  describe('Presenting', () => {
+    it('should return readable items with their target ID', () => {
+      const post = {
+        id: 'item1',
+        content: 'Hello',
+        authorId: 'u2',
+        groupId: null,
+        visibility: 'PUBLIC',
+        author,
+        group: null,
+      };
+      const presented = presentBookmark(bookmark('POST', post), viewer('u1'));
+
+      assert.strictEqual(presented.targetType, 'POST');
+      assert.strictEqual(presented.targetId, 'item1');
+      assert.strictEqual(presented.item, post);
+    });
+
+    it('should hide items the owner can no longer read', () => {
+      const privatePost = {
+        id: 'item1',
+        authorId: 'u2',
+        groupId: null,
+        visibility: 'PRIVATE',
+        author,
+        group: null,
+      };
+      assert.strictEqual(presentBookmark(bookmark('POST', privatePost), viewer('u1')).item, null);
+      assert.ok(presentBookmark(bookmark('POST', privatePost), viewer('u2')).item);
+
+      const hiddenProject = { id: 'item1', authorId: 'u2', isPublic: false, author };
+      assert.strictEqual(
+        presentBookmark(bookmark('PROJECT', hiddenProject), viewer('u1')).item,
+        null
+      );
+    });
+
+    it('should check private chat room membership and drop it from the item', () => {
+      const message = (members) => ({
+        id: 'item1',
+        content: 'Hi',
+        author,
+        room: { id: 'r1', name: 'Study', type: 'PRIVATE', members },
+      });
+
+      assert.strictEqual(
+        presentBookmark(bookmark('CHAT_MESSAGE', message([])), viewer('u1')).item,
+        null
+      );
+      const presented = presentBookmark(
+        bookmark('CHAT_MESSAGE', message([{ userId: 'u1' }])),
+        viewer('u1')
+      );
+      assert.deepStrictEqual(presented.item.room, { id: 'r1', name: 'Study', type: 'PRIVATE' });
+    });
+
+    it('should keep bookmarks whose item is gone', () => {
+      const presented = presentBookmark(bookmark('PROJECT', null), viewer('u1'));
+      assert.strictEqual(presented.targetId, 'item1');
+      assert.strictEqual(presented.item, null);
+    });
+  });
+
+  describe('Storage', { skip: !process.env.DATABASE_URL && 'DATABASE_URL is not set' }, () => {
+    let prisma;
+    let server;
+    let baseUrl;
+    let owner;
+    let other;
+    let token;
+
+    before(async () => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'bookmarks-test-secret';
+
+      const [
+        { default: express },
+        { PrismaClient },
+        { default: userRoutes },
+        { generateAccessToken },
+      ] = await Promise.all([
+        import('express'),
+        import('@prisma/client'),
+        import('../routes/users.js'),
+        import('../utils/tokens.js'),
+      ]);
+      prisma = new PrismaClient();
+
+      const suffix = Date.now().toString(36);
+      [owner, other] = await Promise.all(
+        ['owner', 'other'].map((name) =>
+          prisma.user.create({
+            data: {
+              email: `bookmark-${name}-${suffix}@test.local`,
+              username: `bookmark-${name}-${suffix}`,
+              password: 'not-a-real-hash',
+              firstName: 'Bookmark',
+              lastName: name,
+            },
+          })
+        )
+      );
+      token = generateAccessToken(owner.id);
+
+      const app = express();
+      app.use(express.json());
+      app.use('/api/users', userRoutes);
+      server = app.listen(0);
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/users`;
+    });
+
+    after(async () => {
+      server?.close();
+      if (prisma) {
+        await prisma.user.deleteMany({ where: { id: { in: [owner?.id, other?.id] } } });
+        await prisma.$disconnect();
+      }
+    });
+
+    function createProject(data) {
+      return prisma.project.create({
+        data: { title: 'Robot', description: 'A robot', authorId: other.id, ...data },
+      });
+    }
+
+    it('should only find targets the viewer can read', async () => {
+      const [shown, hidden, privatePost] = await Promise.all([
+        createProject({ isPublic: true }),
+        createProject({ isPublic: false }),
+        prisma.post.create({
+          data: { content: 'Diary', authorId: other.id, visibility: 'PRIVATE' },
+        }),
+      ]);
+      const context = viewer(owner.id);
+
+      assert.strictEqual((await findBookmarkTarget('PROJECT', shown.id, context)).id, shown.id);
+      assert.strictEqual(await findBookmarkTarget('PROJECT', hidden.id, context), null);
+      assert.strictEqual(await findBookmarkTarget('POST', privatePost.id, context), null);
+      assert.strictEqual(await findBookmarkTarget('POST', 'missing', context), null);
+      assert.ok(await findBookmarkTarget('POST', privatePost.id, viewer(other.id)));
+    });
+
+    it('should delete bookmarks with their item', async () => {
+      const project = await createProject({ isPublic: true });
+      const saved = await prisma.bookmark.create({
+        data: { userId: owner.id, targetType: 'PROJECT', projectId: project.id },
+      });
+
+      await prisma.project.delete({ where: { id: project.id } });
+
+      assert.strictEqual(await prisma.bookmark.findUnique({ where: { id: saved.id } }), null);
+    });
+
+    it('should keep bookmarks when their collection is deleted', async () => {
+      const project = await createProject({ isPublic: true });
+      const collection = await prisma.bookmarkCollection.create({
+        data: { name: 'Inspiration', userId: owner.id },
+      });
+      const saved = await prisma.bookmark.create({
+        data: {
+          userId: owner.id,
+          targetType: 'PROJECT',
+          projectId: project.id,
+          collectionId: collection.id,
+        },
+      });
+
+      await prisma.bookmarkCollection.delete({ where: { id: collection.id } });
+
+      const kept = await prisma.bookmark.findUnique({ where: { id: saved.id } });
+      assert.ok(kept);
+      assert.strictEqual(kept.collectionId, null);
+    });
+
+    it('should answer concurrent saves of one item with 201 and 409', async () => {
+      const project = await createProject({ isPublic: true });
+      const save = () =>
+        fetch(`${baseUrl}/bookmarks`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ targetType: 'PROJECT', targetId: project.id }),
+        });
+
+      const responses = await Promise.all([save(), save()]);
+
+      assert.deepStrictEqual(responses.map((res) => res.status).sort(), [201, 409]);
+      assert.strictEqual(
+        await prisma.bookmark.count({ where: { userId: owner.id, projectId: project.id } }),
+        1
+      );
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Content Parser Test Suite
+ *
+ * Tests for @mention and #hashtag extraction
+ * Run with: npm test or node --test src/__tests__/contentParser.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  extractMentions,
+  extractHashtags,
+  normalizeHashtag,
+  parseContent,
+  MAX_MENTIONS,
+} from '../utils/contentParser.js';
+
+describe('Content Parser Tests', () => {
+  describe('Mentions', () => {
+    it('should extract usernames', () => {
+      assert.deepStrictEqual(extractMentions('@alice and @bob_smith, study later?'), [
+        'alice',
+        'bob_smith',
+      ]);
+    });
+
+    it('should drop trailing punctuation', () => {
+      assert.deepStrictEqual(extractMentions('Thanks @carol.'), ['carol']);
+      assert.deepStrictEqual(extractMentions('ping @jane.doe!'), ['jane.doe']);
+    });
+
+    it('should ignore email addresses', () => {
+      assert.deepStrictEqual(extractMentions('Email alice@maestro.edu'), []);
+    });
+
+    it('should deduplicate and cap mentions', () => {
+      assert.deepStrictEqual(extractMentions('@a1 @a1 @a1'), ['a1']);
+
+      const many = Array.from({ length: MAX_MENTIONS + 5 }, (_, i) => `@user${i}`).join(' ');
+      assert.strictEqual(extractMentions(many).length, MAX_MENTIONS);
+    });
+  });
+
+  describe('Hashtags', () => {
+    it('should extract lowercase tags', () => {
+      assert.deepStrictEqual(extractHashtags('Loving #React and #react_hooks'), [
+        'react',
+        'react_hooks',
+      ]);
+    });
+
+    it('should ignore numbers, anchors and HTML entities', () => {
+      assert.deepStrictEqual(extractHashtags('Fixed issue #42'), []);
+      assert.deepStrictEqual(extractHashtags('see https://maestro.edu/page#section'), []);
+      assert.deepStrictEqual(extractHashtags('caf&#233;'), []);
+    });
+
+    it('should normalize tags from URLs', () => {
+      assert.strictEqual(normalizeHashtag('CS101'), 'cs101');
+      assert.strictEqual(normalizeHashtag('#finals'), 'finals');
+      assert.strictEqual(normalizeHashtag('2024'), null);
+      assert.strictEqual(normalizeHashtag('no spaces'), null);
+    });
+  });
+
+  describe('Combined Parsing', () => {
+    it('should return mentions and hashtags together', () => {
+      assert.deepStrictEqual(parseContent('@alice notes for #midterm'), {
+        mentions: ['alice'],
+        hashtags: ['midterm'],
+      });
+    });
+
+    it('should handle empty content', () => {
+      assert.deepStrictEqual(parseContent(''), { mentions: [], hashtags: [] });
+      assert.deepStrictEqual(parseContent(undefined), { mentions: [], hashtags: [] });
+    });
+  });
+});
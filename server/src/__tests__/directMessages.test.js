@@ -0,0 +1,172 @@
+/**
+ * Direct Messages Test Suite
+ *
+ * Tests for Hub conversation participants, message edits, deletes and replies,
+ * read cursors and titles
+ * Run with: npm test or node --test src/__tests__/directMessages.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  MAX_CONVERSATION_PARTICIPANTS,
+  MAX_MESSAGE_LENGTH,
+  MESSAGE_DELETE_WINDOW_MINUTES,
+  directKey,
+  normalizeParticipants,
+  messageContentError,
+  messageEditError,
+  messageDeleteError,
+  quoteSnippet,
+  unreadWhere,
+  advanceReadCursor,
+  isCaughtUp,
+  conversationTitle,
+  presentConversation,
+} from '../utils/conversations/rules.js';
+
+describe('Direct Messages Tests', () => {
+  describe('Participants', () => {
+    it('should key one-to-one conversations the same from either side', () => {
+      assert.strictEqual(directKey('user-b', 'user-a'), 'user-a:user-b');
+      assert.strictEqual(directKey('user-a', 'user-b'), directKey('user-b', 'user-a'));
+    });
+
+    it('should drop duplicates and the creator', () => {
+      const result = normalizeParticipants('me', ['you', 'me', 'you', 'them']);
+      assert.deepStrictEqual(result, { userIds: ['you', 'them'] });
+    });
+
+    it('should reject conversations with nobody else', () => {
+      assert.ok(normalizeParticipants('me', []).error);
+      assert.ok(normalizeParticipants('me', ['me']).error);
+    });
+
+    it('should cap group conversations', () => {
+      const full = Array.from({ length: MAX_CONVERSATION_PARTICIPANTS - 1 }, (_, i) => `u${i}`);
+      assert.ok(normalizeParticipants('me', full).userIds);
+      assert.ok(normalizeParticipants('me', [...full, 'one-more']).error);
+    });
+  });
+
+  describe('Message Content', () => {
+    it('should reject empty and oversized messages', () => {
+      assert.strictEqual(messageContentError('hello'), null);
+      assert.ok(messageContentError('   '));
+      assert.ok(messageContentError(undefined));
+      assert.ok(messageContentError('x'.repeat(MAX_MESSAGE_LENGTH + 1)));
+    });
+
+    it('should allow attachments without text', () => {
+      assert.strictEqual(messageContentError('', 1), null);
+      assert.strictEqual(messageContentError(undefined, 2), null);
+      assert.ok(messageContentError({ text: 'hi' }, 1));
+    });
+  });
+
+  describe('Edits and Deletes', () => {
+    const sentAt = new Date('2025-11-17T12:00:00Z');
+    const message = { senderId: 'me', createdAt: sentAt, deletedAt: null };
+
+    it('should only let senders edit their messages', () => {
+      assert.strictEqual(messageEditError(message, 'me'), null);
+      assert.ok(messageEditError(message, 'you'));
+      assert.ok(messageEditError({ ...message, deletedAt: sentAt }, 'me'));
+    });
+
+    it('should only delete for everyone within the window', () => {
+      const withinWindow = new Date(sentAt.getTime() + MESSAGE_DELETE_WINDOW_MINUTES * 60000);
+      const afterWindow = new Date(withinWindow.getTime() + 1000);
+
+      assert.strictEqual(messageDeleteError(message, 'me', withinWindow), null);
+      assert.match(messageDeleteError(message, 'me', afterWindow), /within 60 minutes/);
+      assert.ok(messageDeleteError(message, 'you', sentAt));
+    });
+  });
+
+  describe('Replies', () => {
+    it('should quote a short snippet of the original', () => {
+      assert.strictEqual(
+        quoteSnippet({ content: ' see\n\nyou  there ', deletedAt: null }),
+        'see you there'
+      );
+      const snippet = quoteSnippet({ content: 'x'.repeat(300), deletedAt: null });
+      assert.strictEqual(snippet.length, 100);
+      assert.ok(snippet.endsWith('…'));
+    });
+
+    it('should quote attachments and hide deleted originals', () => {
+      assert.strictEqual(
+        quoteSnippet({ content: '', deletedAt: null, attachments: [{}] }),
+        'Attachment'
+      );
+      assert.strictEqual(quoteSnippet({ content: '', deletedAt: new Date() }), null);
+    });
+  });
+
+  describe('Read Cursors', () => {
+    const lastReadAt = new Date('2025-11-16T10:00:00Z');
+
+    it('should only count other people’s messages after the cursor as unread', () => {
+      const where = unreadWhere({ conversationId: 'c1', userId: 'me', lastReadAt });
+      assert.deepStrictEqual(where, {
+        conversationId: 'c1',
+        senderId: { not: 'me' },
+        createdAt: { gt: lastReadAt },
+      });
+    });
+
+    it('should count everything from others when nothing has been read', () => {
+      const where = unreadWhere({ conversationId: 'c1', userId: 'me', lastReadAt: null });
+      assert.strictEqual(where.createdAt, undefined);
+    });
+
+    it('should never move the cursor back', () => {
+      const earlier = new Date('2025-11-16T09:00:00Z');
+      const later = new Date('2025-11-16T11:00:00Z');
+      assert.strictEqual(advanceReadCursor(lastReadAt, earlier).getTime(), lastReadAt.getTime());
+      assert.strictEqual(advanceReadCursor(lastReadAt, later).getTime(), later.getTime());
+      assert.strictEqual(advanceReadCursor(null, earlier).getTime(), earlier.getTime());
+    });
+
+    it('should only notify participants who were caught up', () => {
+      assert.ok(isCaughtUp({ lastReadAt }, lastReadAt));
+      assert.ok(isCaughtUp({ lastReadAt: null }, lastReadAt));
+      assert.ok(!isCaughtUp({ lastReadAt }, new Date('2025-11-16T10:05:00Z')));
+    });
+  });
+
+  describe('Titles', () => {
+    const participants = [
+      { user: { id: 'me', firstName: 'Ada', lastName: 'Lovelace' } },
+      { user: { id: 'u2', firstName: 'Grace', lastName: 'Hopper' } },
+      { user: { id: 'u3', firstName: 'Alan', lastName: 'Turing' } },
+    ];
+
+    it('should prefer an explicit title', () => {
+      assert.strictEqual(
+        conversationTitle({ title: 'Study crew', participants }, 'me'),
+        'Study crew'
+      );
+    });
+
+    it('should name untitled conversations after the other participants', () => {
+      const direct = { title: null, participants: participants.slice(0, 2) };
+      assert.strictEqual(conversationTitle(direct, 'me'), 'Grace Hopper');
+      assert.strictEqual(conversationTitle({ title: null, participants }, 'me'), 'Grace, Alan');
+    });
+
+    it('should present the latest message and unread count', () => {
+      const latest = { id: 'm1', content: 'hi' };
+      const presented = presentConversation(
+        { id: 'c1', title: null, participants, messages: [latest] },
+        'u2',
+        3
+      );
+      assert.strictEqual(presented.displayTitle, 'Ada, Alan');
+      assert.strictEqual(presented.lastMessage, latest);
+      assert.strictEqual(presented.unreadCount, 3);
+      assert.strictEqual(presented.messages, undefined);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Endorsements Test Suite
+ *
+ * Tests for skill endorsement weighting, summaries, skill list edits and
+ * browse ranking
+ * Run with: npm test or node --test src/__tests__/endorsements.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  FACULTY_ENDORSEMENT_WEIGHT,
+  endorsementWeight,
+  findListedSkill,
+  endorsedSkillChanges,
+  summarizeEndorsements,
+  endorsementScores,
+  rankByEndorsements,
+} from '../utils/endorsements/rules.js';
+
+const student = { id: 's1', firstName: 'Sam', lastName: 'Lee' };
+const faculty = { id: 'f1', firstName: 'Dr', lastName: 'Ng' };
+const peer = { id: 's2', firstName: 'Ada', lastName: 'Park' };
+
+describe('Endorsements Tests', () => {
+  describe('Weights', () => {
+    it('should weight faculty endorsements more', () => {
+      assert.strictEqual(endorsementWeight({ byFaculty: false }), 1);
+      assert.strictEqual(endorsementWeight({ byFaculty: true }), FACULTY_ENDORSEMENT_WEIGHT);
+      assert.ok(FACULTY_ENDORSEMENT_WEIGHT > 1);
+    });
+  });
+
+  describe('Listed Skills', () => {
+    it('should match skills case-insensitively and return the listed spelling', () => {
+      assert.strictEqual(findListedSkill(['Python', 'SQL'], ' python '), 'Python');
+      assert.strictEqual(findListedSkill(['Python'], 'Go'), null);
+    });
+
+    it('should drop endorsements of removed skills and follow re-spelled ones', () => {
+      assert.deepStrictEqual(endorsedSkillChanges(['python', 'Go', 'SQL'], ['Python', 'SQL']), {
+        removed: ['Go'],
+        renamed: [{ from: 'python', to: 'Python' }],
+      });
+      assert.deepStrictEqual(endorsedSkillChanges([], ['Python']), { removed: [], renamed: [] });
+    });
+  });
+
+  describe('Summaries', () => {
+    const endorsements = [
+      { skill: 'Python', byFaculty: false, createdAt: '2025-11-01', endorser: student },
+      { skill: 'Python', byFaculty: true, createdAt: '2025-10-01', endorser: faculty },
+      { skill: 'Python', byFaculty: false, createdAt: '2025-11-05', endorser: peer },
+      { skill: 'SQL', byFaculty: false, createdAt: '2025-11-02', endorser: peer },
+    ];
+
+    it('should summarize every listed skill in order', () => {
+      const summary = summarizeEndorsements(['SQL', 'Python', 'Go'], endorsements, 's2');
+      assert.deepStrictEqual(
+        summary.map(({ skill, count, score, facultyCount }) => ({
+          skill,
+          count,
+          score,
+          facultyCount,
+        })),
+        [
+          { skill: 'SQL', count: 1, score: 1, facultyCount: 0 },
+          { skill: 'Python', count: 3, score: 2 + FACULTY_ENDORSEMENT_WEIGHT, facultyCount: 1 },
+          { skill: 'Go', count: 0, score: 0, facultyCount: 0 },
+        ]
+      );
+    });
+
+    it('should list faculty endorsers first, then the newest', () => {
+      const [python] = summarizeEndorsements(['Python'], endorsements, 's2');
+      assert.deepStrictEqual(
+        python.endorsers.map((endorser) => [endorser.id, endorser.isFaculty]),
+        [
+          ['f1', true],
+          ['s2', false],
+          ['s1', false],
+        ]
+      );
+    });
+
+    it("should flag the viewer's own endorsements", () => {
+      const [python, sql] = summarizeEndorsements(['Python', 'SQL'], endorsements, 's1');
+      assert.strictEqual(python.endorsedByViewer, true);
+      assert.strictEqual(sql.endorsedByViewer, false);
+    });
+  });
+
+  describe('Ranking', () => {
+    const scores = endorsementScores([
+      { userId: 'a', byFaculty: false, _count: { _all: 4 } },
+      { userId: 'b', byFaculty: false, _count: { _all: 1 } },
+      { userId: 'b', byFaculty: true, _count: { _all: 2 } },
+    ]);
+
+    it('should total endorsements with faculty weighting', () => {
+      assert.deepStrictEqual(scores.get('a'), { count: 4, facultyCount: 0, score: 4 });
+      assert.deepStrictEqual(scores.get('b'), {
+        count: 3,
+        facultyCount: 2,
+        score: 1 + 2 * FACULTY_ENDORSEMENT_WEIGHT,
+      });
+    });
+
+    it('should rank by score and keep the order of ties', () => {
+      const ranked = rankByEndorsements(
+        [{ id: 'x' }, { id: 'a' }, { id: 'y' }, { id: 'b' }],
+        scores
+      );
+      assert.deepStrictEqual(
+        ranked.map((user) => user.id),
+        ['b', 'a', 'x', 'y']
+      );
+    });
+  });
+});
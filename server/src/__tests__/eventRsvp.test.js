@@ -0,0 +1,149 @@
+/**
+ * Event RSVP Test Suite
+ *
+ * Tests for capacity, waitlist placement and attendee exports
+ * Run with: npm test or node --test src/__tests__/eventRsvp.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  DEFAULT_REMINDER_MINUTES,
+  parseReminderMinutes,
+  openSeats,
+  resolveRsvpStatus,
+  countRsvps,
+  presentEvent,
+  attendeesToCsv,
+  visibleEventsWhere,
+  canViewEvent,
+} from '../utils/events/rules.js';
+
+describe('Event RSVP Tests', () => {
+  describe('Capacity', () => {
+    it('should treat a missing capacity as unlimited', () => {
+      assert.strictEqual(openSeats(null, 500), Infinity);
+      assert.strictEqual(openSeats(10, 4), 6);
+      assert.strictEqual(openSeats(10, 12), 0);
+    });
+
+    it('should waitlist attendees when the event is full', () => {
+      assert.strictEqual(resolveRsvpStatus('GOING', { capacity: 2, goingCount: 1 }), 'GOING');
+      assert.strictEqual(resolveRsvpStatus('GOING', { capacity: 2, goingCount: 2 }), 'WAITLISTED');
+      assert.strictEqual(resolveRsvpStatus('GOING', { capacity: null, goingCount: 99 }), 'GOING');
+    });
+
+    it('should keep an existing place when answering going again', () => {
+      const full = { capacity: 1, goingCount: 1 };
+      assert.strictEqual(resolveRsvpStatus('GOING', { ...full, currentStatus: 'GOING' }), 'GOING');
+      assert.strictEqual(
+        resolveRsvpStatus('GOING', { ...full, currentStatus: 'WAITLISTED' }),
+        'WAITLISTED'
+      );
+      assert.strictEqual(
+        resolveRsvpStatus('GOING', { ...full, currentStatus: 'INTERESTED' }),
+        'WAITLISTED'
+      );
+    });
+
+    it('should store other choices as-is', () => {
+      const full = { capacity: 1, goingCount: 1, currentStatus: 'GOING' };
+      assert.strictEqual(resolveRsvpStatus('INTERESTED', full), 'INTERESTED');
+      assert.strictEqual(resolveRsvpStatus('NOT_GOING', full), 'NOT_GOING');
+    });
+  });
+
+  describe('Reminders', () => {
+    it('should parse the reminder lead time', () => {
+      assert.strictEqual(parseReminderMinutes('30'), 30);
+      assert.strictEqual(parseReminderMinutes(undefined), DEFAULT_REMINDER_MINUTES);
+      assert.strictEqual(parseReminderMinutes('0'), DEFAULT_REMINDER_MINUTES);
+      assert.strictEqual(parseReminderMinutes('soon'), DEFAULT_REMINDER_MINUTES);
+    });
+  });
+
+  describe('Presentation', () => {
+    it('should count RSVPs by status', () => {
+      assert.deepStrictEqual(
+        countRsvps([
+          { status: 'GOING', _count: 3 },
+          { status: 'WAITLISTED', _count: 1 },
+        ]),
+        { GOING: 3, WAITLISTED: 1, INTERESTED: 0, NOT_GOING: 0 }
+      );
+    });
+
+    it('should expose going count, spots left and the viewer RSVP', () => {
+      const event = presentEvent({
+        id: 'e1',
+        capacity: 5,
+        _count: { rsvps: 3 },
+        rsvps: [{ status: 'GOING' }],
+      });
+      assert.deepStrictEqual(event, {
+        id: 'e1',
+        capacity: 5,
+        goingCount: 3,
+        spotsLeft: 2,
+        myRsvp: 'GOING',
+      });
+
+      const open = presentEvent({ id: 'e2', capacity: null, _count: { rsvps: 8 }, rsvps: [] });
+      assert.strictEqual(open.spotsLeft, null);
+      assert.strictEqual(open.myRsvp, null);
+    });
+  });
+
+  describe('Attendee Export', () => {
+    it('should write a CSV with escaped fields', () => {
+      const csv = attendeesToCsv([
+        {
+          status: 'GOING',
+          updatedAt: '2025-11-01T10:00:00.000Z',
+          user: { username: 'ada', firstName: 'Ada', lastName: 'Lovelace, Countess' },
+        },
+        {
+          status: 'WAITLISTED',
+          updatedAt: '2025-11-02T10:00:00.000Z',
+          user: { username: 'eve', firstName: '=HYPERLINK("x")', lastName: 'Doe' },
+        },
+      ]);
+
+      assert.strictEqual(
+        csv,
+        [
+          'status,username,firstName,lastName,respondedAt',
+          'GOING,ada,Ada,"Lovelace, Countess",2025-11-01T10:00:00.000Z',
+          `WAITLISTED,eve,"'=HYPERLINK(""x"")",Doe,2025-11-02T10:00:00.000Z`,
+          '',
+        ].join('\n')
+      );
+    });
+  });
+
+  describe('Private Groups', () => {
+    const context = { userId: 'u1', groupIds: new Set(['g1']) };
+    const event = (groupId, isPrivate) => ({
+      organizerId: 'u2',
+      groupId,
+      group: groupId ? { isPrivate } : null,
+    });
+
+    it('should show private group events to members and organizers only', () => {
+      assert.ok(canViewEvent(event(null), context));
+      assert.ok(canViewEvent(event('g2', false), context));
+      assert.ok(canViewEvent(event('g1', true), context));
+      assert.ok(!canViewEvent(event('g2', true), context));
+      assert.ok(canViewEvent({ ...event('g2', true), organizerId: 'u1' }, context));
+    });
+
+    it('should build the matching list filter', () => {
+      assert.deepStrictEqual(visibleEventsWhere(context).OR, [
+        { organizerId: 'u1' },
+        { groupId: null },
+        { group: { isPrivate: false } },
+        { groupId: { in: ['g1'] } },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Events Test Suite
+ *
+ * Tests that concurrent RSVPs can't oversell an event. Needs a migrated
+ * database (DATABASE_URL) and is skipped without one.
+ * Run with: npm test or node --test src/__tests__/events.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+describe('Events Tests', { skip: !process.env.DATABASE_URL && 'DATABASE_URL is not set' }, () => {
+  let prisma;
+  let setRsvp;
+  let users;
+  let event;
+
+  before(async () => {
+    const { PrismaClient } = await import('@prisma/client');
+    ({ setRsvp } = await import('../utils/events/store.js'));
+    prisma = new PrismaClient();
+
+    const suffix = Date.now().toString(36);
+    users = await Promise.all(
+      ['organizer', 'first', 'second'].map((name) =>
+        prisma.user.create({
+          data: {
+            email: `rsvp-${name}-${suffix}@test.local`,
+            username: `rsvp-${name}-${suffix}`,
+            password: 'not-a-real-hash',
+            firstName: 'Rsvp',
+            lastName: name,
+          },
+        })
+      )
+    );
+    event = await prisma.event.create({
+      data: {
+        title: 'One seat left',
+        description: 'Concurrency test',
+        startDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        capacity: 1,
+        organizerId: users[0].id,
+      },
+    });
+  });
+
+  after(async () => {
+    if (prisma) {
+      await prisma.user.deleteMany({ where: { id: { in: users.map((user) => user.id) } } });
+      await prisma.$disconnect();
+    }
+  });
+
+  it('should give the last place to only one of two parallel RSVPs', async () => {
+    const results = await Promise.all(
+      users.slice(1).map((user) => setRsvp({ eventId: event.id, userId: user.id, choice: 'GOING' }))
+    );
+
+    assert.deepStrictEqual(results.map((result) => result.rsvp.status).sort(), [
+      'GOING',
+      'WAITLISTED',
+    ]);
+    assert.strictEqual(
+      await prisma.eventRsvp.count({ where: { eventId: event.id, status: 'GOING' } }),
+      1
+    );
+  });
+});
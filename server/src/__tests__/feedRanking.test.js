@@ -0,0 +1,196 @@
+/**
+ * Feed Ranking Test Suite
+ *
+ * Tests for Hub feed scoring and ordering
+ * Run with: npm test or node --test src/__tests__/feedRanking.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  recencyDecay,
+  engagementVelocity,
+  authorAffinity,
+  scorePost,
+  scoreTopPost,
+  rankPosts,
+  rankedPageIds,
+  inRankedOrder,
+  followingWhere,
+  CANDIDATE_SELECT,
+  FEED_WEIGHTS,
+} from '../utils/feedRanking.js';
+
+const NOW = new Date('2025-01-15T12:00:00Z');
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+const context = {
+  userId: 'viewer',
+  connectionIds: new Set(['friend']),
+  groupIds: new Set(['chess-club']),
+};
+
+function makePost(overrides = {}) {
+  return {
+    id: 'post',
+    authorId: 'stranger',
+    groupId: null,
+    createdAt: hoursAgo(1),
+    _count: { reactions: 0, comments: 0 },
+    ...overrides,
+  };
+}
+
+describe('Feed Ranking Tests', () => {
+  describe('Recency Decay', () => {
+    it('should halve every 24 hours', () => {
+      assert.strictEqual(recencyDecay(0), 1);
+      assert.strictEqual(recencyDecay(24), 0.5);
+      assert.strictEqual(recencyDecay(48), 0.25);
+    });
+
+    it('should not exceed 1 for future timestamps', () => {
+      assert.strictEqual(recencyDecay(-5), 1);
+    });
+  });
+
+  describe('Engagement Velocity', () => {
+    it('should weight comments above reactions', () => {
+      const reactions = engagementVelocity({ reactions: 2, comments: 0 }, 2);
+      const comments = engagementVelocity({ reactions: 0, comments: 2 }, 2);
+      assert.ok(comments > reactions);
+    });
+
+    it('should floor age at one hour', () => {
+      assert.strictEqual(engagementVelocity({ reactions: 3, comments: 0 }, 0), 3);
+    });
+  });
+
+  describe('Author Affinity', () => {
+    it('should boost connections and shared groups', () => {
+      assert.strictEqual(authorAffinity(makePost(), context), 0);
+      assert.ok(authorAffinity(makePost({ authorId: 'friend' }), context) > 0);
+      assert.ok(authorAffinity(makePost({ groupId: 'chess-club' }), context) > 0);
+    });
+
+    it('should stack connection and group affinity', () => {
+      const both = authorAffinity(makePost({ authorId: 'friend', groupId: 'chess-club' }), context);
+      const connectionOnly = authorAffinity(makePost({ authorId: 'friend' }), context);
+      assert.ok(both > connectionOnly);
+    });
+  });
+
+  describe('Post Scoring', () => {
+    it('should rank a connection above a stranger at equal age', () => {
+      const friendPost = makePost({ authorId: 'friend' });
+      const strangerPost = makePost();
+      assert.ok(scorePost(friendPost, context, NOW) > scorePost(strangerPost, context, NOW));
+    });
+
+    it('should rank a fresh post above a stale one', () => {
+      const fresh = makePost({ createdAt: hoursAgo(1) });
+      const stale = makePost({ createdAt: hoursAgo(72) });
+      assert.ok(scorePost(fresh, context, NOW) > scorePost(stale, context, NOW));
+    });
+
+    it('should let a fast-moving stranger post outrank a quiet connection post', () => {
+      const viral = makePost({ _count: { reactions: 40, comments: 20 }, createdAt: hoursAgo(2) });
+      const quiet = makePost({ authorId: 'friend', createdAt: hoursAgo(30) });
+      assert.ok(scorePost(viral, context, NOW) > scorePost(quiet, context, NOW));
+    });
+
+    it('should score from interaction counts', () => {
+      const post = makePost({ _count: { reactions: 3, comments: 2 }, createdAt: hoursAgo(2) });
+      const velocity = (3 + 2 * FEED_WEIGHTS.COMMENT) / 2;
+
+      assert.strictEqual(scoreTopPost(post, NOW), velocity);
+      assert.strictEqual(
+        scorePost(post, context, NOW),
+        recencyDecay(2) + FEED_WEIGHTS.VELOCITY * Math.log1p(velocity)
+      );
+    });
+
+    it('should ignore loaded relations and treat missing counts as zero', () => {
+      const counted = makePost({ _count: { reactions: 1, comments: 0 } });
+      const loaded = { ...counted, reactions: [{ id: 'r1' }, { id: 'r2' }], comments: [{}] };
+      assert.strictEqual(scorePost(loaded, context, NOW), scorePost(counted, context, NOW));
+
+      const uncounted = makePost({ _count: undefined });
+      assert.strictEqual(scoreTopPost(uncounted, NOW), 0);
+      assert.strictEqual(scorePost(uncounted, context, NOW), recencyDecay(1));
+    });
+
+    it('should ignore affinity in top mode', () => {
+      const friendPost = makePost({ authorId: 'friend' });
+      const strangerPost = makePost();
+      assert.strictEqual(scoreTopPost(friendPost, NOW), scoreTopPost(strangerPost, NOW));
+    });
+  });
+
+  describe('Ranking', () => {
+    it('should order by score and break ties by recency', () => {
+      const older = makePost({ id: 'older', createdAt: hoursAgo(5) });
+      const newer = makePost({ id: 'newer', createdAt: hoursAgo(1) });
+      const ranked = rankPosts([older, newer], () => 1);
+      assert.deepStrictEqual(
+        ranked.map((p) => p.id),
+        ['newer', 'older']
+      );
+    });
+
+    it('should not mutate the input array', () => {
+      const posts = [makePost({ id: 'a' }), makePost({ id: 'b' })];
+      rankPosts(posts, (p) => (p.id === 'b' ? 2 : 1));
+      assert.strictEqual(posts[0].id, 'a');
+    });
+  });
+
+  describe('Page Loading', () => {
+    it('should load candidates with only the fields scoring reads', () => {
+      assert.deepStrictEqual(Object.keys(CANDIDATE_SELECT).sort(), [
+        '_count',
+        'authorId',
+        'createdAt',
+        'groupId',
+        'id',
+      ]);
+      assert.deepStrictEqual(CANDIDATE_SELECT._count, {
+        select: { comments: true, reactions: true },
+      });
+    });
+
+    it('should pick the IDs of the requested page only', () => {
+      const ranked = ['a', 'b', 'c', 'd', 'e'].map((id) => makePost({ id }));
+      assert.deepStrictEqual(rankedPageIds(ranked, 0, 2), ['a', 'b']);
+      assert.deepStrictEqual(rankedPageIds(ranked, 2, 2), ['c', 'd']);
+      assert.deepStrictEqual(rankedPageIds(ranked, 4, 2), ['e']);
+      assert.deepStrictEqual(rankedPageIds(ranked, 6, 2), []);
+    });
+
+    it('should put loaded posts back in ranked order', () => {
+      const loaded = [{ id: 'c' }, { id: 'a' }, { id: 'b' }];
+      assert.deepStrictEqual(
+        inRankedOrder(['b', 'c', 'a'], loaded).map((p) => p.id),
+        ['b', 'c', 'a']
+      );
+    });
+
+    it('should skip posts deleted since ranking', () => {
+      assert.deepStrictEqual(
+        inRankedOrder(['a', 'gone', 'b'], [{ id: 'b' }, { id: 'a' }]).map((p) => p.id),
+        ['a', 'b']
+      );
+    });
+  });
+
+  describe('Following Filter', () => {
+    it('should include own posts, connections and groups', () => {
+      const where = followingWhere(context);
+      assert.deepStrictEqual(where.OR, [
+        { authorId: 'viewer' },
+        { authorId: { in: ['friend'] } },
+        { groupId: { in: ['chess-club'] } },
+      ]);
+    });
+  });
+});
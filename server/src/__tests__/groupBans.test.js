@@ -0,0 +1,114 @@
+/**
+ * Group Bans Test Suite
+ *
+ * Route tests that users banned from a public group can't post or comment
+ * in it. Needs a migrated database (DATABASE_URL) and is skipped without one.
+ * Run with: npm test or node --test src/__tests__/groupBans.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+describe(
+  'Group Bans Tests',
+  { skip: !process.env.DATABASE_URL && 'DATABASE_URL is not set' },
+  () => {
+    let prisma;
+    let server;
+    let baseUrl;
+    let users;
+    let group;
+    let post;
+    let token;
+
+    before(async () => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'group-bans-test-secret';
+
+      const [
+        { default: express },
+        { PrismaClient },
+        { default: hubRoutes },
+        { generateAccessToken },
+      ] = await Promise.all([
+        import('express'),
+        import('@prisma/client'),
+        import('../routes/hub.js'),
+        import('../utils/tokens.js'),
+      ]);
+      prisma = new PrismaClient();
+
+      const suffix = Date.now().toString(36);
+      users = await Promise.all(
+        ['owner', 'banned'].map((name) =>
+          prisma.user.create({
+            data: {
+              email: `group-ban-${name}-${suffix}@test.local`,
+              username: `group-ban-${name}-${suffix}`,
+              password: 'not-a-real-hash',
+              firstName: 'Ban',
+              lastName: name,
+            },
+          })
+        )
+      );
+      const [owner, banned] = users;
+
+      group = await prisma.group.create({
+        data: {
+          name: `Ban test ${suffix}`,
+          description: 'Public group',
+          members: { create: { userId: owner.id, role: 'ADMIN' } },
+          bans: { create: { userId: banned.id, bannedById: owner.id } },
+        },
+      });
+      post = await prisma.post.create({
+        data: { content: 'Welcome', authorId: owner.id, groupId: group.id },
+      });
+      token = generateAccessToken(banned.id);
+
+      const app = express();
+      app.use(express.json());
+      app.use('/api/hub', hubRoutes);
+      server = app.listen(0);
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/hub`;
+    });
+
+    after(async () => {
+      server?.close();
+      if (prisma) {
+        // Deleting the users takes their posts with them, which frees the group
+        await prisma.user.deleteMany({ where: { id: { in: users.map((user) => user.id) } } });
+        await prisma.group.deleteMany({ where: { id: group?.id } });
+        await prisma.$disconnect();
+      }
+    });
+
+    function send(path, body) {
+      return fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(body),
+      });
+    }
+
+    it('should stop a banned user posting in the group', async () => {
+      const res = await send('/posts', {
+        content: 'Still here',
+        groupId: group.id,
+        visibility: 'PUBLIC',
+      });
+
+      assert.strictEqual(res.status, 403);
+      assert.deepStrictEqual(await res.json(), { error: 'You are banned from this group' });
+      assert.strictEqual(await prisma.post.count({ where: { groupId: group.id } }), 1);
+    });
+
+    it("should stop a banned user commenting on the group's posts", async () => {
+      const res = await send(`/posts/${post.id}/comments`, { content: 'Still here' });
+
+      assert.strictEqual(res.status, 403);
+      assert.deepStrictEqual(await res.json(), { error: 'You are banned from this group' });
+      assert.strictEqual(await prisma.comment.count({ where: { postId: post.id } }), 0);
+    });
+  }
+);
@@ -0,0 +1,65 @@
+/**
+ * Group Membership Test Suite
+ *
+ * Tests for Hub group role changes and invite links
+ * Run with: npm test or node --test src/__tests__/groupMembership.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  DEFAULT_INVITE_HOURS,
+  roleChangeError,
+  inviteExpiresAt,
+  inviteError,
+} from '../utils/groupMembership.js';
+
+describe('Group Membership Tests', () => {
+  describe('Role Changes', () => {
+    it('should only allow admins to change roles', () => {
+      const change = { targetRole: 'MEMBER', newRole: 'MODERATOR', adminCount: 1 };
+      assert.strictEqual(roleChangeError({ ...change, actorRole: 'ADMIN' }), null);
+      assert.ok(roleChangeError({ ...change, actorRole: 'MODERATOR' }));
+      assert.ok(roleChangeError({ ...change, actorRole: 'ADMIN', newRole: 'OWNER' }));
+    });
+
+    it('should keep at least one admin', () => {
+      const demote = { actorRole: 'ADMIN', targetRole: 'ADMIN', newRole: 'MEMBER' };
+      assert.ok(roleChangeError({ ...demote, adminCount: 1 }));
+      assert.strictEqual(roleChangeError({ ...demote, adminCount: 2 }), null);
+    });
+  });
+
+  describe('Invites', () => {
+    const now = new Date('2025-11-14T12:00:00Z');
+
+    it('should expire after a week by default', () => {
+      assert.strictEqual(
+        inviteExpiresAt(undefined, now).getTime() - now.getTime(),
+        DEFAULT_INVITE_HOURS * 60 * 60 * 1000
+      );
+    });
+
+    it('should explain why an invite cannot be used', () => {
+      const invite = { expiresAt: inviteExpiresAt(24, now), maxUses: 2, uses: 0, inviteeId: null };
+
+      assert.strictEqual(inviteError(invite, { userId: 'u1', now }), null);
+      assert.strictEqual(
+        inviteError(invite, { userId: 'u1', now: inviteExpiresAt(25, now) }),
+        'This invite has expired'
+      );
+      assert.strictEqual(
+        inviteError({ ...invite, uses: 2 }, { userId: 'u1', now }),
+        'This invite has been used up'
+      );
+      assert.strictEqual(
+        inviteError({ ...invite, inviteeId: 'u2' }, { userId: 'u1', now }),
+        'This invite is for someone else'
+      );
+      assert.strictEqual(
+        inviteError({ ...invite, expiresAt: null, maxUses: null, uses: 40 }, { userId: 'u1', now }),
+        null
+      );
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Group Moderation Test Suite
+ *
+ * Tests for Hub group posting rules, mutes and moderation log excerpts
+ * Run with: npm test or node --test src/__tests__/groupModeration.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  muteEndsAt,
+  isMuted,
+  commentingError,
+  postingError,
+  logExcerpt,
+} from '../utils/groupModeration.js';
+
+const now = new Date('2025-11-15T12:00:00Z');
+
+describe('Group Moderation Tests', () => {
+  describe('Mutes', () => {
+    it('should mute users until the mute runs out', () => {
+      const mute = { mutedUntil: muteEndsAt(24, now) };
+
+      assert.strictEqual(mute.mutedUntil.toISOString(), '2025-11-16T12:00:00.000Z');
+      assert.ok(isMuted(mute, now));
+      assert.ok(!isMuted(mute, new Date('2025-11-16T12:00:00Z')));
+      assert.ok(!isMuted(null, now));
+    });
+
+    it('should stop muted users from commenting', () => {
+      const mute = { mutedUntil: muteEndsAt(2, now) };
+      assert.match(commentingError(mute, now), /muted in this group until 2025-11-15T14:00/);
+      assert.strictEqual(commentingError(null, now), null);
+    });
+  });
+
+  describe('Posting Rules', () => {
+    const member = { role: 'MEMBER' };
+    const moderator = { role: 'MODERATOR' };
+    const admin = { role: 'ADMIN' };
+
+    it('should let anyone post under the default policy', () => {
+      assert.strictEqual(postingError('EVERYONE', member, null, now), null);
+      assert.strictEqual(postingError('EVERYONE', null, null, now), null);
+    });
+
+    it('should restrict announcement groups by role', () => {
+      assert.ok(postingError('MODERATORS', member, null, now));
+      assert.strictEqual(postingError('MODERATORS', moderator, null, now), null);
+      assert.strictEqual(
+        postingError('ADMINS', moderator, null, now),
+        'Only group admins can post here'
+      );
+      assert.strictEqual(postingError('ADMINS', admin, null, now), null);
+      assert.ok(postingError('ADMINS', null, null, now));
+    });
+
+    it('should block muted users whatever their role', () => {
+      const mute = { mutedUntil: muteEndsAt(1, now) };
+      assert.ok(postingError('EVERYONE', admin, mute, now));
+    });
+
+    it('should keep a mute after the user leaves the group', () => {
+      const mute = { mutedUntil: muteEndsAt(1, now) };
+      assert.match(postingError('EVERYONE', null, mute, now), /muted in this group/);
+    });
+  });
+
+  describe('Log Excerpts', () => {
+    it('should flatten and shorten removed content', () => {
+      assert.strictEqual(logExcerpt('  spam\n\nspam  '), 'spam spam');
+      const excerpt = logExcerpt('x'.repeat(300));
+      assert.strictEqual(excerpt.length, 120);
+      assert.ok(excerpt.endsWith('…'));
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * iCalendar Test Suite
+ *
+ * Tests for calendar serialization and study group meeting schedules
+ * Run with: npm test or node --test src/__tests__/ical.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  escapeText,
+  foldLine,
+  formatUtc,
+  buildCalendar,
+  parseMeetingTime,
+  studyGroupEntry,
+  hubEventEntry,
+} from '../utils/ical.js';
+
+describe('iCalendar Tests', () => {
+  describe('Formatting', () => {
+    it('should escape text values', () => {
+      assert.strictEqual(escapeText('Room 1; bring a, b\nand c'), 'Room 1\\; bring a\\, b\\nand c');
+    });
+
+    it('should format UTC date-times', () => {
+      assert.strictEqual(formatUtc(new Date('2025-11-12T18:05:09.123Z')), '20251112T180509Z');
+    });
+
+    it('should fold long lines at 75 octets without splitting characters', () => {
+      const line = `SUMMARY:${'é'.repeat(60)}`;
+      const folded = foldLine(line).split('\r\n');
+
+      assert.ok(folded.length > 1);
+      folded.forEach((part, index) => {
+        assert.ok(Buffer.byteLength(part) <= 75);
+        if (index > 0) assert.ok(part.startsWith(' '));
+      });
+      assert.strictEqual(folded.map((part, i) => (i ? part.slice(1) : part)).join(''), line);
+    });
+
+    it('should build a calendar with CRLF line endings', () => {
+      const body = buildCalendar({
+        name: 'Test',
+        now: new Date('2025-11-01T00:00:00Z'),
+        events: [
+          hubEventEntry({
+            id: 'e1',
+            title: 'Hackathon',
+            description: 'Bring a laptop',
+            location: 'Library',
+            startDate: '2025-11-15T17:00:00Z',
+            endDate: '2025-11-15T21:00:00Z',
+          }),
+        ],
+      });
+
+      assert.ok(body.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+      assert.ok(body.endsWith('END:VCALENDAR\r\n'));
+      assert.ok(body.includes('UID:event-e1@maestroverse\r\n'));
+      assert.ok(body.includes('DTSTART:20251115T170000Z\r\nDTEND:20251115T210000Z\r\n'));
+      assert.ok(body.includes('STATUS:CONFIRMED'));
+    });
+
+    it('should mark waitlisted and interested events as tentative', () => {
+      const event = { id: 'e1', title: 'Talk', description: '', startDate: '2025-11-15T17:00:00Z' };
+      const waitlisted = hubEventEntry(event, { rsvpStatus: 'WAITLISTED' });
+
+      assert.strictEqual(waitlisted.summary, '[Waitlist] Talk');
+      assert.strictEqual(waitlisted.status, 'TENTATIVE');
+      assert.strictEqual(hubEventEntry(event, { rsvpStatus: 'INTERESTED' }).status, 'TENTATIVE');
+    });
+  });
+
+  describe('Study Group Schedules', () => {
+    it('should read days and times from free text', () => {
+      assert.deepStrictEqual(parseMeetingTime('Wednesdays 6 PM'), {
+        byDay: ['WE'],
+        startMinutes: 18 * 60,
+        durationMinutes: 60,
+      });
+      assert.deepStrictEqual(parseMeetingTime('6:00 PM - 8:30 PM', ['Tuesday', 'Thursday']), {
+        byDay: ['TU', 'TH'],
+        startMinutes: 18 * 60,
+        durationMinutes: 150,
+      });
+    });
+
+    it('should share a single am/pm across a range', () => {
+      assert.strictEqual(parseMeetingTime('6 - 8 pm', ['Mon']).startMinutes, 18 * 60);
+      assert.strictEqual(parseMeetingTime('11am to 1pm', ['Sat']).durationMinutes, 120);
+    });
+
+    it('should ignore text without a day or a time', () => {
+      assert.strictEqual(parseMeetingTime('Room 12', ['Monday']), null);
+      assert.strictEqual(parseMeetingTime('6 PM'), null);
+      assert.strictEqual(parseMeetingTime(null, ['Monday']), null);
+    });
+
+    it('should emit a weekly floating-time series', () => {
+      const entry = studyGroupEntry(
+        { id: 'g1', name: 'Algo Crew', meetingTime: 'Wednesdays 6 PM', meetingDays: [] },
+        { from: new Date('2025-11-10T12:00:00Z') }
+      );
+
+      assert.deepStrictEqual(entry.start, { local: '20251112T180000' });
+      assert.deepStrictEqual(entry.end, { local: '20251112T190000' });
+      assert.strictEqual(entry.rrule, 'FREQ=WEEKLY;BYDAY=WE');
+    });
+  });
+});
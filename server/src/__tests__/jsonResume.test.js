@@ -0,0 +1,208 @@
+/**
+ * JSON Resume Test Suite
+ *
+ * Tests for mapping portfolios to and from JSON Resume and previewing imports
+ * Run with: npm test or node --test src/__tests__/jsonResume.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseResumeDate,
+  fromJsonResume,
+  toJsonResume,
+  planImport,
+  changedValues,
+} from '../utils/jsonResume/mapping.js';
+
+const resume = {
+  basics: {
+    label: 'Data Engineer',
+    url: 'https://ada.dev',
+    summary: 'Builds pipelines',
+    profiles: [
+      { network: 'GitHub', url: 'https://github.com/ada' },
+      { network: 'Twitter', url: 'https://twitter.com/ada' },
+    ],
+  },
+  work: [
+    {
+      name: 'Tech Corp',
+      position: 'Intern',
+      startDate: '2024-06',
+      summary: 'Data team',
+      highlights: ['Cut costs', 'Shipped ETL'],
+    },
+    { name: 'Nowhere Inc' },
+  ],
+  education: [{ institution: 'Maestro University', studyType: 'BSc', area: 'CS', score: '3.8' }],
+  certificates: [{ name: 'Cloud Practitioner', issuer: 'AWS', date: '2024-01-15' }],
+  skills: [{ name: 'Python' }, { name: 'sql' }],
+  projects: [{ name: 'Campus Map', description: 'Map', url: 'not a url', keywords: ['React'] }],
+};
+
+describe('JSON Resume Tests', () => {
+  describe('Dates', () => {
+    it('should accept years, months and days', () => {
+      assert.strictEqual(parseResumeDate('2024').toISOString(), '2024-01-01T00:00:00.000Z');
+      assert.strictEqual(parseResumeDate('2024-06').toISOString(), '2024-06-01T00:00:00.000Z');
+      assert.strictEqual(parseResumeDate('2024-06-15').toISOString(), '2024-06-15T00:00:00.000Z');
+    });
+
+    it('should ignore missing and unparseable dates', () => {
+      assert.strictEqual(parseResumeDate(undefined), null);
+      assert.strictEqual(parseResumeDate('Present'), null);
+      assert.strictEqual(parseResumeDate('2024-13'), null);
+    });
+  });
+
+  describe('Import Mapping', () => {
+    const incoming = fromJsonResume(resume);
+
+    it('should map basics to the profile', () => {
+      assert.deepStrictEqual(incoming.profile, {
+        headline: 'Data Engineer',
+        summary: 'Builds pipelines',
+        website: 'https://ada.dev',
+        linkedin: null,
+        github: 'https://github.com/ada',
+      });
+    });
+
+    it('should fold highlights into descriptions', () => {
+      assert.strictEqual(
+        incoming.experience[0].description,
+        'Data team\n- Cut costs\n- Shipped ETL'
+      );
+      assert.strictEqual(incoming.education[0].description, 'Score: 3.8');
+    });
+
+    it('should drop links that are not http(s) URLs', () => {
+      assert.strictEqual(incoming.projects[0].projectUrl, null);
+      assert.deepStrictEqual(incoming.projects[0].technologies, ['React']);
+    });
+  });
+
+  describe('Export', () => {
+    it('should round-trip through JSON Resume', () => {
+      const exported = toJsonResume({
+        user: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@maestro.edu', skills: ['Go'] },
+        portfolio: {
+          headline: 'Data Engineer',
+          github: 'https://github.com/ada',
+          experience: [
+            {
+              title: 'Intern',
+              company: 'Tech Corp',
+              startDate: new Date('2024-06-01'),
+              endDate: null,
+            },
+          ],
+        },
+        projects: [],
+      });
+
+      assert.strictEqual(exported.basics.name, 'Ada Lovelace');
+      assert.deepStrictEqual(exported.basics.profiles, [
+        { network: 'GitHub', url: 'https://github.com/ada' },
+      ]);
+      assert.deepStrictEqual(exported.work, [
+        { name: 'Tech Corp', position: 'Intern', startDate: '2024-06' },
+      ]);
+      assert.strictEqual(exported.projects, undefined);
+
+      const reimported = fromJsonResume(exported);
+      assert.strictEqual(
+        reimported.experience[0].startDate.toISOString(),
+        '2024-06-01T00:00:00.000Z'
+      );
+      assert.deepStrictEqual(reimported.skills, ['Go']);
+    });
+  });
+
+  describe('Import Plan', () => {
+    const current = {
+      portfolio: {
+        headline: 'Student',
+        github: 'https://github.com/ada',
+        experience: [
+          {
+            id: 'e1',
+            title: 'intern',
+            company: 'TECH CORP',
+            location: 'Remote',
+            description: null,
+            startDate: new Date('2024-06-01'),
+            endDate: null,
+          },
+        ],
+        education: [],
+        certifications: [],
+        awards: [],
+      },
+      skills: ['SQL'],
+      projects: [],
+    };
+    const plan = planImport(current, fromJsonResume(resume));
+
+    it('should list changed profile fields only', () => {
+      assert.deepStrictEqual(
+        plan.profile.map((change) => change.field),
+        ['headline', 'summary', 'website']
+      );
+      assert.strictEqual(plan.profile[0].from, 'Student');
+    });
+
+    it('should add only new skills', () => {
+      assert.deepStrictEqual(plan.skills.added, ['Python']);
+    });
+
+    it('should update matching entries without clearing their other fields', () => {
+      const { updated, added, skipped } = plan.sections.experience;
+      assert.strictEqual(added.length, 0);
+      assert.strictEqual(updated.length, 1);
+      assert.strictEqual(updated[0].id, 'e1');
+      assert.deepStrictEqual(Object.keys(updated[0].changes), ['description']);
+      assert.deepStrictEqual(changedValues(updated[0].changes), {
+        description: 'Data team\n- Cut costs\n- Shipped ETL',
+      });
+      assert.strictEqual(skipped.length, 1);
+      assert.match(skipped[0].reason, /title/);
+    });
+
+    it('should add new entries and projects', () => {
+      assert.strictEqual(plan.sections.education.added.length, 1);
+      assert.strictEqual(plan.sections.certifications.added.length, 1);
+      assert.strictEqual(plan.sections.projects.added[0].title, 'Campus Map');
+    });
+
+    it('should count entries that would not change', () => {
+      const again = planImport(
+        { ...current, portfolio: { ...current.portfolio, experience: [] } },
+        { ...fromJsonResume({}), experience: [] }
+      );
+      assert.strictEqual(again.sections.experience.unchanged, 0);
+
+      const same = planImport(current, {
+        ...fromJsonResume({}),
+        experience: [{ title: 'Intern', company: 'Tech Corp', location: null }],
+      });
+      assert.strictEqual(same.sections.experience.unchanged, 1);
+    });
+
+    it('should skip entries whose dates would end up out of order', () => {
+      const later = planImport(current, {
+        ...fromJsonResume({}),
+        experience: [
+          {
+            title: 'Intern',
+            company: 'Tech Corp',
+            startDate: null,
+            endDate: new Date('2020-01-01'),
+          },
+        ],
+      });
+      assert.strictEqual(later.sections.experience.skipped.length, 1);
+    });
+  });
+});
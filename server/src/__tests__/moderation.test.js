@@ -0,0 +1,65 @@
+/**
+ * Moderation Test Suite
+ *
+ * Tests for account suspension and ban rules
+ * Run with: npm test or node --test src/__tests__/moderation.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { accountBlock, isSuspensionLapsed } from '../utils/moderation/rules.js';
+
+const now = new Date('2025-11-20T12:00:00Z');
+
+describe('Moderation Tests', () => {
+  describe('Account Blocks', () => {
+    it('should let active accounts through', () => {
+      assert.strictEqual(accountBlock({ status: 'ACTIVE', suspendedUntil: null }, now), null);
+    });
+
+    it('should lock banned accounts out', () => {
+      const block = accountBlock({ status: 'BANNED', suspendedUntil: null }, now);
+      assert.strictEqual(block.code, 'ACCOUNT_BANNED');
+    });
+
+    it('should lock suspended accounts out until the suspension ends', () => {
+      const block = accountBlock(
+        { status: 'SUSPENDED', suspendedUntil: new Date('2025-11-21T12:00:00Z') },
+        now
+      );
+      assert.strictEqual(block.code, 'ACCOUNT_SUSPENDED');
+      assert.strictEqual(block.suspendedUntil, '2025-11-21T12:00:00.000Z');
+      assert.match(block.error, /suspended until 2025-11-21/);
+    });
+
+    it('should accept suspension ends serialized as strings', () => {
+      const block = accountBlock(
+        { status: 'SUSPENDED', suspendedUntil: '2025-11-21T12:00:00.000Z' },
+        now
+      );
+      assert.strictEqual(block.code, 'ACCOUNT_SUSPENDED');
+    });
+  });
+
+  describe('Lapsed Suspensions', () => {
+    it('should lift suspensions that have ended', () => {
+      const user = { status: 'SUSPENDED', suspendedUntil: new Date('2025-11-20T11:59:00Z') };
+      assert.strictEqual(isSuspensionLapsed(user, now), true);
+      assert.strictEqual(accountBlock(user, now), null);
+    });
+
+    it('should treat suspensions without an end as lapsed', () => {
+      assert.strictEqual(
+        isSuspensionLapsed({ status: 'SUSPENDED', suspendedUntil: null }, now),
+        true
+      );
+    });
+
+    it('should never lift bans', () => {
+      assert.strictEqual(
+        isSuspensionLapsed({ status: 'BANNED', suspendedUntil: null }, now),
+        false
+      );
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Cursor Pagination Test Suite
+ *
+ * Tests for the shared keyset pagination helper
+ * Run with: npm test or node --test src/__tests__/pagination.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  encodeCursor,
+  decodeCursor,
+  cursorFor,
+  parsePagination,
+  keysetWhere,
+  paginate,
+  buildPage,
+  isOffsetCursor,
+  MAX_PAGE_SIZE,
+} from '../utils/pagination.js';
+
+const rows = [
+  { id: 'c', createdAt: new Date('2025-01-03T00:00:00Z') },
+  { id: 'b', createdAt: new Date('2025-01-02T00:00:00Z') },
+  { id: 'a', createdAt: new Date('2025-01-01T00:00:00Z') },
+];
+
+/**
+ * Minimal stand-in for a Prisma delegate that records the query it receives
+ */
+function fakeDelegate(result) {
+  const calls = [];
+  return {
+    calls,
+    async findMany(args) {
+      calls.push(args);
+      return result;
+    },
+  };
+}
+
+describe('Cursor Pagination Tests', () => {
+  describe('Cursor Encoding', () => {
+    it('should round-trip payloads', () => {
+      const payload = { v: '2025-01-01T00:00:00.000Z', t: 'date', id: 'abc', d: 'next' };
+      assert.deepStrictEqual(decodeCursor(encodeCursor(payload)), payload);
+    });
+
+    it('should reject malformed cursors', () => {
+      assert.strictEqual(decodeCursor('not-a-cursor'), null);
+      assert.strictEqual(decodeCursor(encodeCursor([1, 2])), null);
+    });
+
+    it('should serialize dates with a type tag', () => {
+      const decoded = decodeCursor(cursorFor(rows[0], 'createdAt', 'next'));
+      assert.deepStrictEqual(decoded, {
+        v: '2025-01-03T00:00:00.000Z',
+        t: 'date',
+        id: 'c',
+        d: 'next',
+      });
+    });
+  });
+
+  describe('Query Parameters', () => {
+    it('should apply defaults', () => {
+      assert.deepStrictEqual(parsePagination({}), { cursor: null, limit: 20 });
+      assert.deepStrictEqual(parsePagination({}, { defaultLimit: 50 }), {
+        cursor: null,
+        limit: 50,
+      });
+    });
+
+    it('should clamp limit to the maximum', () => {
+      assert.strictEqual(parsePagination({ limit: '5000' }).limit, MAX_PAGE_SIZE);
+    });
+
+    it('should report invalid input', () => {
+      assert.ok(parsePagination({ limit: '0' }).error);
+      assert.ok(parsePagination({ limit: 'abc' }).error);
+      assert.ok(parsePagination({ cursor: '%%%' }).error);
+      assert.ok(parsePagination({ limit: '5abc' }).error);
+      assert.ok(parsePagination({ limit: '2.5' }).error);
+    });
+
+    it('should accept cursors made by cursorFor', () => {
+      const cursor = cursorFor(rows[0], 'createdAt', 'prev');
+      assert.deepStrictEqual(parsePagination({ cursor }).cursor, decodeCursor(cursor));
+      const named = cursorFor({ id: 'x', name: 'Chess Club' }, 'name', 'next');
+      assert.strictEqual(parsePagination({ cursor: named }).error, undefined);
+      const counted = cursorFor({ id: 'x', voteCount: 3 }, 'voteCount', 'next');
+      assert.strictEqual(parsePagination({ cursor: counted }).error, undefined);
+    });
+
+    it('should reject cursors with the wrong shape', () => {
+      const valid = { v: '2025-01-01T00:00:00.000Z', t: 'date', id: 'x', d: 'next' };
+      for (const payload of [
+        { ...valid, v: 'garbage' },
+        { ...valid, id: undefined },
+        { ...valid, id: 7 },
+        { ...valid, d: 'sideways' },
+        { ...valid, t: 'number' },
+        { v: { lt: 1 }, id: 'x', d: 'next' },
+        { v: null, id: 'x', d: 'next' },
+        {},
+      ]) {
+        assert.strictEqual(
+          parsePagination({ cursor: encodeCursor(payload) }).error,
+          'Invalid cursor',
+          JSON.stringify(payload)
+        );
+      }
+    });
+
+    it('should validate cursors with a custom check', () => {
+      const options = { validateCursor: isOffsetCursor };
+      const at = '2025-01-01T00:00:00.000Z';
+      assert.deepStrictEqual(parsePagination({ cursor: encodeCursor({ at, o: 20 }) }, options), {
+        cursor: { at, o: 20 },
+        limit: 20,
+      });
+      for (const payload of [{ at: 'x', o: 0 }, { at, o: -1 }, { at, o: 1.5 }, { at }]) {
+        assert.ok(parsePagination({ cursor: encodeCursor(payload) }, options).error);
+      }
+    });
+  });
+
+  describe('Keyset Conditions', () => {
+    const cursor = { v: '2025-01-02T00:00:00.000Z', t: 'date', id: 'b', d: 'next' };
+
+    it('should walk toward older rows in a desc list', () => {
+      const where = keysetWhere(cursor, 'createdAt', 'desc');
+      assert.deepStrictEqual(where.OR[0], { createdAt: { lt: new Date(cursor.v) } });
+      assert.deepStrictEqual(where.OR[1], { createdAt: new Date(cursor.v), id: { lt: 'b' } });
+    });
+
+    it('should flip the comparison when walking back', () => {
+      const where = keysetWhere({ ...cursor, d: 'prev' }, 'createdAt', 'desc');
+      assert.deepStrictEqual(where.OR[0], { createdAt: { gt: new Date(cursor.v) } });
+    });
+
+    it('should compare non-date fields as-is', () => {
+      const where = keysetWhere({ v: 'CS101', id: 'x', d: 'next' }, 'code', 'asc');
+      assert.deepStrictEqual(where.OR[0], { code: { gt: 'CS101' } });
+    });
+  });
+
+  describe('Page Building', () => {
+    it('should detect a further page from the extra row', () => {
+      const page = buildPage(rows, { limit: 2, direction: 'next' });
+      assert.deepStrictEqual(
+        page.items.map((r) => r.id),
+        ['c', 'b']
+      );
+      assert.strictEqual(decodeCursor(page.nextCursor).id, 'b');
+      assert.strictEqual(decodeCursor(page.prevCursor).id, 'c');
+    });
+
+    it('should return no next cursor on the last page', () => {
+      const page = buildPage(rows, { limit: 5, direction: 'next' });
+      assert.strictEqual(page.nextCursor, null);
+    });
+
+    it('should restore list order for backward pages', () => {
+      const backward = [...rows].reverse(); // queried oldest first
+      const page = buildPage(backward, { limit: 2, direction: 'prev' });
+      assert.deepStrictEqual(
+        page.items.map((r) => r.id),
+        ['b', 'a']
+      );
+      assert.ok(page.prevCursor);
+      assert.ok(page.nextCursor);
+    });
+
+    it('should handle empty results', () => {
+      assert.deepStrictEqual(buildPage([], { limit: 10 }), {
+        items: [],
+        nextCursor: null,
+        prevCursor: null,
+      });
+    });
+  });
+
+  describe('paginate()', () => {
+    it('should over-fetch by one and order by sort field then id', async () => {
+      const delegate = fakeDelegate(rows);
+      await paginate(delegate, { where: { postId: 'p' }, limit: 2 });
+
+      const [args] = delegate.calls;
+      assert.strictEqual(args.take, 3);
+      assert.deepStrictEqual(args.where, { postId: 'p' });
+      assert.deepStrictEqual(args.orderBy, [{ createdAt: 'desc' }, { id: 'desc' }]);
+    });
+
+    it('should combine the base filter with the keyset condition', async () => {
+      const delegate = fakeDelegate([]);
+      const cursor = decodeCursor(cursorFor(rows[1], 'createdAt', 'prev'));
+      await paginate(delegate, { where: { postId: 'p' }, cursor, limit: 2 });
+
+      const [args] = delegate.calls;
+      assert.deepStrictEqual(args.where.AND[0], { postId: 'p' });
+      assert.deepStrictEqual(args.orderBy, [{ createdAt: 'asc' }, { id: 'asc' }]);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Poll Test Suite
+ *
+ * Tests for poll ballots and result tallies
+ * Run with: npm test or node --test src/__tests__/polls.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { isPollClosed, validateBallot, tallyPoll } from '../utils/polls.js';
+
+const NOW = new Date('2025-03-01T12:00:00Z');
+
+function makePoll(overrides = {}) {
+  return {
+    id: 'poll',
+    multiChoice: false,
+    anonymous: false,
+    closesAt: null,
+    options: [
+      { id: 'pizza', text: 'Pizza' },
+      { id: 'tacos', text: 'Tacos' },
+      { id: 'sushi', text: 'Sushi' },
+    ],
+    votes: [],
+    ...overrides,
+  };
+}
+
+const vote = (userId, optionId) => ({
+  userId,
+  optionId,
+  user: { id: userId, username: userId, firstName: userId, lastName: 'Test' },
+});
+
+describe('Poll Tests', () => {
+  describe('Closing', () => {
+    it('should stay open without a close time', () => {
+      assert.strictEqual(isPollClosed(makePoll(), NOW), false);
+    });
+
+    it('should close once the close time passes', () => {
+      assert.strictEqual(isPollClosed(makePoll({ closesAt: '2025-03-01T11:59:00Z' }), NOW), true);
+      assert.strictEqual(isPollClosed(makePoll({ closesAt: '2025-03-02T00:00:00Z' }), NOW), false);
+    });
+  });
+
+  describe('Ballot Validation', () => {
+    it('should accept a single choice', () => {
+      const result = validateBallot(makePoll(), ['pizza'], NOW);
+      assert.deepStrictEqual(result, { valid: true, optionIds: ['pizza'] });
+    });
+
+    it('should reject multiple choices on single-choice polls', () => {
+      assert.strictEqual(validateBallot(makePoll(), ['pizza', 'tacos'], NOW).valid, false);
+    });
+
+    it('should accept and deduplicate multiple choices on multi-choice polls', () => {
+      const result = validateBallot(
+        makePoll({ multiChoice: true }),
+        ['pizza', 'tacos', 'pizza'],
+        NOW
+      );
+      assert.deepStrictEqual(result.optionIds, ['pizza', 'tacos']);
+    });
+
+    it('should reject unknown options, empty ballots and closed polls', () => {
+      assert.strictEqual(validateBallot(makePoll(), ['burgers'], NOW).valid, false);
+      assert.strictEqual(validateBallot(makePoll(), [], NOW).valid, false);
+      assert.strictEqual(
+        validateBallot(makePoll({ closesAt: '2025-01-01T00:00:00Z' }), ['pizza'], NOW).error,
+        'This poll is closed'
+      );
+    });
+  });
+
+  describe('Tallies', () => {
+    it('should count votes and percentages per option', () => {
+      const poll = makePoll({
+        votes: [vote('a', 'pizza'), vote('b', 'pizza'), vote('c', 'tacos'), vote('d', 'pizza')],
+      });
+      const result = tallyPoll(poll, null, NOW);
+
+      assert.strictEqual(result.totalVotes, 4);
+      assert.deepStrictEqual(
+        result.options.map((o) => [o.id, o.votes, o.percentage]),
+        [
+          ['pizza', 3, 75],
+          ['tacos', 1, 25],
+          ['sushi', 0, 0],
+        ]
+      );
+    });
+
+    it('should compute multi-choice percentages against voters', () => {
+      const poll = makePoll({
+        multiChoice: true,
+        votes: [vote('a', 'pizza'), vote('a', 'tacos'), vote('b', 'pizza')],
+      });
+      const result = tallyPoll(poll, null, NOW);
+
+      assert.strictEqual(result.totalVoters, 2);
+      assert.strictEqual(result.options[0].percentage, 100);
+      assert.strictEqual(result.options[1].percentage, 50);
+    });
+
+    it('should list voters only on public polls', () => {
+      const votes = [vote('a', 'pizza')];
+      assert.strictEqual(tallyPoll(makePoll({ votes }), null, NOW).options[0].voters.length, 1);
+      assert.strictEqual(
+        tallyPoll(makePoll({ votes, anonymous: true }), null, NOW).options[0].voters,
+        undefined
+      );
+    });
+
+    it('should include the viewer selections only when a viewer is given', () => {
+      const poll = makePoll({ votes: [vote('viewer', 'sushi'), vote('other', 'pizza')] });
+      assert.deepStrictEqual(tallyPoll(poll, 'viewer', NOW).myVotes, ['sushi']);
+      assert.strictEqual(tallyPoll(poll, null, NOW).myVotes, undefined);
+    });
+  });
+});
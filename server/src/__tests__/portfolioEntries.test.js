@@ -0,0 +1,86 @@
+/**
+ * Portfolio Entries Test Suite
+ *
+ * Tests for typed portfolio entry dates, visibility and ordering
+ * Run with: npm test or node --test src/__tests__/portfolioEntries.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  PORTFOLIO_SECTIONS,
+  dateRangeError,
+  visibleEntryLevels,
+  portfolioEntriesInclude,
+  reorderError,
+} from '../utils/portfolioEntries.js';
+
+describe('Portfolio Entries Tests', () => {
+  describe('Date Ranges', () => {
+    it('should accept ranges in order and open-ended ranges', () => {
+      assert.strictEqual(
+        dateRangeError('experience', { startDate: '2023-06', endDate: '2023-08' }),
+        null
+      );
+      assert.strictEqual(
+        dateRangeError('experience', { startDate: '2023-06', endDate: null }),
+        null
+      );
+      assert.strictEqual(dateRangeError('education', {}), null);
+    });
+
+    it('should reject an end before the start', () => {
+      assert.ok(dateRangeError('education', { startDate: '2025-05', endDate: '2021-09' }));
+      assert.match(
+        dateRangeError('certifications', {
+          issuedAt: new Date('2024-01-01'),
+          expiresAt: new Date('2023-01-01'),
+        }),
+        /expiresAt/
+      );
+    });
+
+    it('should not check sections with a single date', () => {
+      assert.strictEqual(dateRangeError('awards', { awardedAt: '2024-01' }), null);
+    });
+  });
+
+  describe('Visibility', () => {
+    it('should show owners everything', () => {
+      assert.deepStrictEqual(visibleEntryLevels({ isOwner: true }), [
+        'PUBLIC',
+        'CONNECTIONS',
+        'PRIVATE',
+      ]);
+    });
+
+    it('should show connections-only entries to connections', () => {
+      assert.deepStrictEqual(visibleEntryLevels({ isOwner: false, isConnection: true }), [
+        'PUBLIC',
+        'CONNECTIONS',
+      ]);
+      assert.deepStrictEqual(visibleEntryLevels({ isOwner: false, isConnection: false }), [
+        'PUBLIC',
+      ]);
+    });
+
+    it('should filter and order every section', () => {
+      const include = portfolioEntriesInclude(['PUBLIC']);
+      assert.deepStrictEqual(Object.keys(include), Object.keys(PORTFOLIO_SECTIONS));
+      assert.deepStrictEqual(include.awards.where, { visibility: { in: ['PUBLIC'] } });
+      assert.deepStrictEqual(include.awards.orderBy[0], { position: 'asc' });
+    });
+  });
+
+  describe('Ordering', () => {
+    it('should accept a permutation of the section', () => {
+      assert.strictEqual(reorderError(['b', 'a', 'c'], ['a', 'b', 'c']), null);
+    });
+
+    it('should reject duplicates, missing and unknown entries', () => {
+      assert.ok(reorderError(['a', 'a', 'b'], ['a', 'b', 'c']));
+      assert.ok(reorderError(['a', 'b'], ['a', 'b', 'c']));
+      assert.ok(reorderError(['a', 'b', 'x'], ['a', 'b', 'c']));
+    });
+  });
+});
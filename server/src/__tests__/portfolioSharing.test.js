@@ -0,0 +1,173 @@
+/**
+ * Portfolio Sharing Test Suite
+ *
+ * Tests for public portfolio slugs, share links, what public pages show and
+ * view analytics keys
+ * Run with: npm test or node --test src/__tests__/portfolioSharing.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  DEFAULT_PUBLIC_SECTIONS,
+  slugError,
+  suggestSlug,
+  publicAccess,
+  shareLinkExpiry,
+  publicPortfolioView,
+  referrerHost,
+  visitorKey,
+} from '../utils/publicPortfolios/rules.js';
+
+const now = new Date('2025-11-23T12:00:00Z');
+
+describe('Portfolio Sharing Tests', () => {
+  describe('Slugs', () => {
+    it('should accept lowercase words separated by single hyphens', () => {
+      assert.strictEqual(slugError('ada-lovelace'), null);
+      assert.strictEqual(slugError('ada2'), null);
+    });
+
+    it('should reject malformed, short and reserved slugs', () => {
+      assert.ok(slugError('ab'));
+      assert.ok(slugError('a'.repeat(41)));
+      assert.ok(slugError('Ada'));
+      assert.ok(slugError('-ada'));
+      assert.ok(slugError('ada--lovelace'));
+      assert.ok(slugError('ada_lovelace'));
+      assert.match(slugError('admin'), /reserved/);
+    });
+
+    it('should suggest a slug from the user name', () => {
+      assert.strictEqual(
+        suggestSlug({ firstName: 'Zoë', lastName: "O'Brien", username: 'zob' }),
+        'zoe-o-brien'
+      );
+    });
+
+    it('should fall back to the username when the name has no usable letters', () => {
+      assert.strictEqual(
+        suggestSlug({ firstName: '李', lastName: '', username: 'li_wei' }),
+        'li-wei'
+      );
+    });
+  });
+
+  describe('Access', () => {
+    const portfolio = {
+      publicSlug: 'ada',
+      isPublic: false,
+      shareToken: 'secret-token',
+      shareTokenExpiresAt: new Date('2025-12-01T00:00:00Z'),
+    };
+
+    it('should open public pages to everyone', () => {
+      assert.strictEqual(publicAccess({ ...portfolio, isPublic: true }, undefined, now), 'public');
+    });
+
+    it('should open private pages to unexpired share tokens only', () => {
+      assert.strictEqual(publicAccess(portfolio, 'secret-token', now), 'shareLink');
+      assert.strictEqual(publicAccess(portfolio, 'secret-tokeN', now), null);
+      assert.strictEqual(publicAccess(portfolio, 'secret', now), null);
+      assert.strictEqual(publicAccess(portfolio, undefined, now), null);
+      assert.strictEqual(
+        publicAccess(portfolio, 'secret-token', new Date('2025-12-01T00:00:00Z')),
+        null
+      );
+      assert.strictEqual(
+        publicAccess({ ...portfolio, shareTokenExpiresAt: null }, 'secret-token', now),
+        'shareLink'
+      );
+    });
+
+    it('should not open pages without a slug', () => {
+      assert.strictEqual(publicAccess({ ...portfolio, publicSlug: null, isPublic: true }), null);
+    });
+
+    it('should compute share link expiry', () => {
+      assert.strictEqual(shareLinkExpiry(7, now).toISOString(), '2025-11-30T12:00:00.000Z');
+      assert.strictEqual(shareLinkExpiry(null, now), null);
+    });
+  });
+
+  describe('Public View', () => {
+    const user = {
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@maestro.edu',
+      photoUrl: null,
+      major: 'Computer Science',
+      skills: ['Python'],
+    };
+    const portfolio = {
+      publicSlug: 'ada',
+      headline: 'Data Engineer',
+      website: 'https://ada.dev',
+      publicSections: DEFAULT_PUBLIC_SECTIONS,
+      experience: [
+        {
+          id: 'e1',
+          portfolioId: 'p1',
+          title: 'Intern',
+          company: 'Tech Corp',
+          position: 0,
+          visibility: 'PUBLIC',
+        },
+      ],
+    };
+    const projects = [{ id: 'pr1', title: 'Campus Map', description: 'Map', technologies: [] }];
+
+    it('should hide contact details by default', () => {
+      const view = publicPortfolioView({ user, portfolio, projects });
+      assert.strictEqual(view.name, 'Ada Lovelace');
+      assert.strictEqual(view.contact, undefined);
+      assert.deepStrictEqual(view.skills, ['Python']);
+      assert.strictEqual(view.projects[0].title, 'Campus Map');
+    });
+
+    it('should strip internal entry fields', () => {
+      const view = publicPortfolioView({ user, portfolio, projects });
+      assert.deepStrictEqual(view.experience, [
+        { id: 'e1', title: 'Intern', company: 'Tech Corp' },
+      ]);
+    });
+
+    it('should only include the chosen sections', () => {
+      const view = publicPortfolioView({
+        user,
+        portfolio: { ...portfolio, publicSections: ['projects', 'contact'] },
+        projects,
+      });
+      assert.deepStrictEqual(view.sections, ['contact', 'projects']);
+      assert.strictEqual(view.contact.email, 'ada@maestro.edu');
+      assert.strictEqual(view.experience, undefined);
+      assert.strictEqual(view.skills, undefined);
+    });
+  });
+
+  describe('Views', () => {
+    it('should keep only the referring host', () => {
+      assert.strictEqual(
+        referrerHost('https://www.LinkedIn.com/in/someone?x=1', 'maestro.edu'),
+        'linkedin.com'
+      );
+      assert.strictEqual(referrerHost('https://maestro.edu/careerlink', 'maestro.edu'), null);
+      assert.strictEqual(referrerHost('android-app://com.slack'), null);
+      assert.strictEqual(referrerHost(''), null);
+      assert.strictEqual(referrerHost(undefined), null);
+    });
+
+    it('should key visitors without exposing their IP address', () => {
+      const key = visitorKey({ portfolioId: 'p1', ip: '203.0.113.5', userAgent: 'Firefox' });
+      assert.match(key, /^[0-9a-f]{32}$/);
+      assert.strictEqual(
+        key,
+        visitorKey({ portfolioId: 'p1', ip: '203.0.113.5', userAgent: 'Firefox' })
+      );
+      assert.notStrictEqual(
+        key,
+        visitorKey({ portfolioId: 'p2', ip: '203.0.113.5', userAgent: 'Firefox' })
+      );
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Post Attachments Test Suite
+ *
+ * Tests for post upload rules, signed attachment URLs and the legacy media
+ * link backfill
+ * Run with: npm test or node --test src/__tests__/postAttachments.test.js
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import {
+  POST_ATTACHMENT_CATEGORY,
+  MAX_POST_ATTACHMENTS,
+  toFileList,
+  attachmentsError,
+  legacyMediaContent,
+  presentPost,
+} from '../utils/postAttachments.js';
+import { verifySignedUrl } from '../utils/signedUrls.js';
+
+function upload(name, mimetype, size = 1024) {
+  return { name, mimetype, size };
+}
+
+describe('Post Attachments Tests', () => {
+  describe('Upload Rules', () => {
+    it('should accept images and PDFs', () => {
+      assert.strictEqual(
+        attachmentsError([
+          upload('photo.jpg', 'image/jpeg'),
+          upload('diagram.png', 'image/png'),
+          upload('notes.pdf', 'application/pdf'),
+        ]),
+        null
+      );
+      assert.strictEqual(attachmentsError([]), null);
+    });
+
+    it('should reject other file types', () => {
+      assert.strictEqual(
+        attachmentsError([upload('notes.txt', 'text/plain')]),
+        'notes.txt: File type text/plain not allowed'
+      );
+      assert.match(
+        attachmentsError([upload('photo.exe', 'image/png')]),
+        /extension does not match/
+      );
+    });
+
+    it('should reject oversized files', () => {
+      assert.match(
+        attachmentsError([upload('huge.png', 'image/png', 6 * 1024 * 1024)]),
+        /^huge\.png: File size exceeds/
+      );
+    });
+
+    it('should limit how many files a post can have', () => {
+      const files = Array.from({ length: MAX_POST_ATTACHMENTS + 1 }, (_, i) =>
+        upload(`photo${i}.png`, 'image/png')
+      );
+      assert.strictEqual(
+        attachmentsError(files),
+        `A post can have at most ${MAX_POST_ATTACHMENTS} attachments`
+      );
+      assert.strictEqual(attachmentsError(files.slice(1)), null);
+    });
+
+    it('should normalize single and missing upload fields', () => {
+      const file = upload('photo.png', 'image/png');
+      assert.deepStrictEqual(toFileList(undefined), []);
+      assert.deepStrictEqual(toFileList(file), [file]);
+      assert.deepStrictEqual(toFileList([file, file]), [file, file]);
+    });
+  });
+
+  describe('Presenting', () => {
+    before(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'post-attachments-test-secret';
+    });
+
+    it('should replace filenames with signed URLs', () => {
+      const post = presentPost({
+        id: 'p1',
+        content: 'Look',
+        attachments: [
+          {
+            id: 'a1',
+            postId: 'p1',
+            filename: 'abc123.png',
+            originalName: 'diagram.png',
+            mimetype: 'image/png',
+            size: 2048,
+            position: 0,
+          },
+        ],
+      });
+
+      const [attachment] = post.attachments;
+      assert.deepStrictEqual(Object.keys(attachment).sort(), [
+        'id',
+        'mimetype',
+        'originalName',
+        'size',
+        'url',
+      ]);
+      const token = attachment.url.split('/api/files/serve/')[1];
+      const decoded = verifySignedUrl(token);
+      assert.strictEqual(decoded.filename, 'abc123.png');
+      assert.strictEqual(decoded.category, POST_ATTACHMENT_CATEGORY);
+    });
+
+    it('should leave posts without attachments alone', () => {
+      const post = { id: 'p1', content: 'Plain' };
+      assert.strictEqual(presentPost(post), post);
+      assert.strictEqual(presentPost(null), null);
+    });
+  });
+
+  describe('Legacy Media Links', () => {
+    it('should append old media links to the content, one per line', () => {
+      assert.strictEqual(
+        legacyMediaContent('Trip photos', ['https://a.test/1.jpg', 'https://a.test/2.jpg']),
+        'Trip photos\n\nhttps://a.test/1.jpg\nhttps://a.test/2.jpg'
+      );
+    });
+
+    it('should skip blank links and leave posts without links unchanged', () => {
+      assert.strictEqual(
+        legacyMediaContent('Hi', ['', '  ', 'https://a.test/x']),
+        'Hi\n\nhttps://a.test/x'
+      );
+      assert.strictEqual(legacyMediaContent('Hi', []), 'Hi');
+      assert.strictEqual(legacyMediaContent('Hi', null), 'Hi');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Post Visibility Test Suite
+ *
+ * Tests for Hub post audience rules
+ * Run with: npm test or node --test src/__tests__/postVisibility.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { canViewPost, visiblePostsWhere } from '../utils/postVisibility.js';
+
+const context = {
+  userId: 'viewer',
+  connectionIds: new Set(['friend']),
+  groupIds: new Set(['chess-club']),
+};
+
+function makePost(overrides = {}) {
+  return {
+    id: 'post',
+    authorId: 'stranger',
+    groupId: null,
+    group: null,
+    visibility: 'PUBLIC',
+    ...overrides,
+  };
+}
+
+const privateGroup = (id) => ({ groupId: id, group: { id, isPrivate: true } });
+const publicGroup = (id) => ({ groupId: id, group: { id, isPrivate: false } });
+
+describe('Post Visibility Tests', () => {
+  describe('Audience', () => {
+    it('should show public posts to everyone', () => {
+      assert.strictEqual(canViewPost(makePost(), context), true);
+    });
+
+    it('should limit connection posts to accepted connections', () => {
+      assert.strictEqual(
+        canViewPost(makePost({ authorId: 'friend', visibility: 'CONNECTIONS' }), context),
+        true
+      );
+      assert.strictEqual(canViewPost(makePost({ visibility: 'CONNECTIONS' }), context), false);
+    });
+
+    it('should limit group posts to members', () => {
+      const member = makePost({ visibility: 'GROUP', ...publicGroup('chess-club') });
+      const outsider = makePost({ visibility: 'GROUP', ...publicGroup('debate') });
+      assert.strictEqual(canViewPost(member, context), true);
+      assert.strictEqual(canViewPost(outsider, context), false);
+    });
+
+    it('should hide private posts from everyone but the author', () => {
+      assert.strictEqual(
+        canViewPost(makePost({ authorId: 'friend', visibility: 'PRIVATE' }), context),
+        false
+      );
+      assert.strictEqual(
+        canViewPost(makePost({ authorId: 'viewer', visibility: 'PRIVATE' }), context),
+        true
+      );
+    });
+  });
+
+  describe('Private Groups', () => {
+    it('should hide public posts in private groups from non-members', () => {
+      assert.strictEqual(canViewPost(makePost(privateGroup('debate')), context), false);
+      assert.strictEqual(canViewPost(makePost(privateGroup('chess-club')), context), true);
+    });
+
+    it('should require both connection and membership for connection posts', () => {
+      const post = makePost({
+        authorId: 'friend',
+        visibility: 'CONNECTIONS',
+        ...privateGroup('debate'),
+      });
+      assert.strictEqual(canViewPost(post, context), false);
+    });
+
+    it('should let authors see their own posts in groups they left', () => {
+      const post = makePost({ authorId: 'viewer', visibility: 'GROUP', ...privateGroup('debate') });
+      assert.strictEqual(canViewPost(post, context), true);
+    });
+  });
+
+  describe('Query Filter', () => {
+    it('should always include the viewer own posts', () => {
+      const where = visiblePostsWhere(context);
+      assert.deepStrictEqual(where.OR[0], { authorId: 'viewer' });
+    });
+
+    it('should gate private groups by membership', () => {
+      const [groupGate] = visiblePostsWhere(context).OR[1].AND;
+      assert.deepStrictEqual(groupGate.OR, [
+        { groupId: null },
+        { group: { isPrivate: false } },
+        { groupId: { in: ['chess-club'] } },
+      ]);
+    });
+
+    it('should never match private posts from other authors', () => {
+      const [, audience] = visiblePostsWhere(context).OR[1].AND;
+      assert.ok(audience.OR.every((clause) => clause.visibility !== 'PRIVATE'));
+    });
+
+    it('should skip blocked and muted authors only when there are any', () => {
+      assert.strictEqual(visiblePostsWhere(context).authorId, undefined);
+
+      const where = visiblePostsWhere({
+        ...context,
+        blockedIds: new Set(['troll']),
+        mutedIds: new Set(['loud', 'troll']),
+      });
+      assert.deepStrictEqual(where.authorId, { notIn: ['troll', 'loud'] });
+    });
+  });
+
+  describe('Blocks and Mutes', () => {
+    const relations = { ...context, blockedIds: new Set(['friend']), mutedIds: new Set(['loud']) };
+
+    it('should hide posts by users blocked either way', () => {
+      assert.strictEqual(canViewPost(makePost({ authorId: 'friend' }), relations), false);
+    });
+
+    it('should keep muted authors readable by link', () => {
+      assert.strictEqual(canViewPost(makePost({ authorId: 'loud' }), relations), true);
+    });
+  });
+});
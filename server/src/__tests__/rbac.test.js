@@ -17,6 +17,10 @@ import {
   isAdmin,
   ownsResource,
   canAccessResource,
+  GROUP_PERMISSIONS,
+  hasGroupPermission,
+  canModerateGroup,
+  canModerateMember,
 } from '../middleware/rbac.js';
 
 describe('RBAC Middleware Tests', () => {
@@ -48,6 +52,8 @@ describe('RBAC Middleware Tests', () => {
       assert.strictEqual(hasPermission(ROLES.MODERATOR, PERMISSIONS.USER_SUSPEND), true);
       assert.strictEqual(hasPermission(ROLES.MODERATOR, PERMISSIONS.POST_MODERATE), true);
       assert.strictEqual(hasPermission(ROLES.MODERATOR, PERMISSIONS.COMMENT_DELETE_ANY), true);
+      assert.strictEqual(hasPermission(ROLES.MODERATOR, PERMISSIONS.REPORT_REVIEW), true);
+      assert.strictEqual(hasPermission(ROLES.MODERATOR, PERMISSIONS.APPEAL_REVIEW), true);
     });
 
     it('should not grant admin permissions to moderator', () => {
@@ -183,6 +189,8 @@ describe('RBAC Middleware Tests', () => {
         PERMISSIONS.USER_BAN,
         PERMISSIONS.USER_SUSPEND,
         PERMISSIONS.POST_DELETE_ANY,
+        PERMISSIONS.REPORT_REVIEW,
+        PERMISSIONS.APPEAL_REVIEW,
         PERMISSIONS.SYSTEM_CONFIG,
       ];
 
@@ -196,6 +204,40 @@ describe('RBAC Middleware Tests', () => {
     });
   });
 
+  describe('Group Permissions', () => {
+    const student = { id: 'user123', role: ROLES.STUDENT };
+    const platformModerator = { id: 'user456', role: ROLES.MODERATOR };
+
+    it('should grant group powers by group role', () => {
+      assert.strictEqual(hasGroupPermission('ADMIN', GROUP_PERMISSIONS.SETTINGS_EDIT), true);
+      assert.strictEqual(hasGroupPermission('MODERATOR', GROUP_PERMISSIONS.POST_PIN), true);
+      assert.strictEqual(hasGroupPermission('MODERATOR', GROUP_PERMISSIONS.SETTINGS_EDIT), false);
+      assert.strictEqual(hasGroupPermission('MEMBER', GROUP_PERMISSIONS.POST_REMOVE), false);
+      assert.strictEqual(hasGroupPermission(null, GROUP_PERMISSIONS.LOG_VIEW), false);
+    });
+
+    it('should let platform moderators override in any group', () => {
+      const remove = GROUP_PERMISSIONS.POST_REMOVE;
+      assert.strictEqual(canModerateGroup(student, { role: 'MODERATOR' }, remove), true);
+      assert.strictEqual(canModerateGroup(student, { role: 'MEMBER' }, remove), false);
+      assert.strictEqual(canModerateGroup(student, null, remove), false);
+      assert.strictEqual(canModerateGroup(platformModerator, null, remove), true);
+    });
+
+    it('should only act on members of a lower group role', () => {
+      const mute = GROUP_PERMISSIONS.MEMBER_MUTE;
+      const moderator = { role: 'MODERATOR' };
+      const admin = { role: 'ADMIN' };
+
+      assert.strictEqual(canModerateMember(student, moderator, { role: 'MEMBER' }, mute), true);
+      assert.strictEqual(canModerateMember(student, moderator, moderator, mute), false);
+      assert.strictEqual(canModerateMember(student, admin, moderator, mute), true);
+      assert.strictEqual(canModerateMember(student, admin, admin, mute), false);
+      assert.strictEqual(canModerateMember(student, null, { role: 'MEMBER' }, mute), false);
+      assert.strictEqual(canModerateMember(platformModerator, null, admin, mute), true);
+    });
+  });
+
   describe('Middleware Request Simulation', () => {
     it('should simulate requireRole middleware behavior', () => {
       const adminUser = { role: ROLES.ADMIN };
@@ -0,0 +1,79 @@
+/**
+ * Reaction Set Test Suite
+ *
+ * Tests for reaction set configuration and reaction summaries
+ * Run with: npm test or node --test src/__tests__/reactionSet.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  DEFAULT_REACTIONS,
+  parseReactionSet,
+  isReactionType,
+  summarizeReactions,
+} from '../utils/reactionSet.js';
+
+describe('Reaction Set Tests', () => {
+  describe('Configuration', () => {
+    it('should fall back to the default set', () => {
+      assert.deepStrictEqual(parseReactionSet(undefined), DEFAULT_REACTIONS);
+      assert.deepStrictEqual(parseReactionSet('  '), DEFAULT_REACTIONS);
+      assert.deepStrictEqual(parseReactionSet('nonsense'), DEFAULT_REACTIONS);
+    });
+
+    it('should parse type:emoji pairs in order', () => {
+      assert.deepStrictEqual(parseReactionSet('like:👍, fire:🔥,Clap:👏'), {
+        like: '👍',
+        fire: '🔥',
+        clap: '👏',
+      });
+    });
+
+    it('should always keep like for the legacy endpoint', () => {
+      assert.deepStrictEqual(Object.keys(parseReactionSet('fire:🔥')), ['like', 'fire']);
+    });
+
+    it('should skip invalid types and duplicates', () => {
+      assert.deepStrictEqual(parseReactionSet('like:👍,bad type:❌,like:💙,fire:'), {
+        like: '👍',
+      });
+    });
+
+    it('should check membership', () => {
+      assert.strictEqual(isReactionType('love', DEFAULT_REACTIONS), true);
+      assert.strictEqual(isReactionType('toString', DEFAULT_REACTIONS), false);
+      assert.strictEqual(isReactionType('fire', DEFAULT_REACTIONS), false);
+    });
+  });
+
+  describe('Summaries', () => {
+    const rows = [
+      { type: 'like', userId: 'a' },
+      { type: 'love', userId: 'a' },
+      { type: 'like', userId: 'b' },
+      { type: 'retired', userId: 'c' },
+    ];
+
+    it('should count reactions per type in set order', () => {
+      const summary = summarizeReactions(rows, null, DEFAULT_REACTIONS);
+      assert.deepStrictEqual(summary, { counts: { like: 2, love: 1 }, total: 3 });
+    });
+
+    it('should list the viewer reactions when a viewer is given', () => {
+      assert.deepStrictEqual(summarizeReactions(rows, 'a', DEFAULT_REACTIONS).mine, [
+        'like',
+        'love',
+      ]);
+      assert.deepStrictEqual(summarizeReactions(rows, 'z', DEFAULT_REACTIONS).mine, []);
+    });
+
+    it('should handle items without reactions', () => {
+      assert.deepStrictEqual(summarizeReactions([], 'a', DEFAULT_REACTIONS), {
+        counts: {},
+        total: 0,
+        mine: [],
+      });
+    });
+  });
+});
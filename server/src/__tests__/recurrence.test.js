@@ -0,0 +1,236 @@
+/**
+ * Recurrence Test Suite
+ *
+ * Tests for study group schedules: validation, time zones, expansion and overrides
+ * Run with: npm test or node --test src/__tests__/recurrence.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseRule,
+  formatRule,
+  parseScheduleInput,
+  presentSchedule,
+  describeSchedule,
+  groupSchedule,
+  sameSchedule,
+  fromLocal,
+  expandOccurrences,
+  findOccurrence,
+  applySessionOverrides,
+} from '../utils/recurrence.js';
+
+const weekly = {
+  startDate: '2025-10-27',
+  startTime: '18:00',
+  durationMinutes: 90,
+  timezone: 'America/New_York',
+  byDay: ['Monday', 'Wednesday'],
+};
+
+const isoStarts = (occurrences) => occurrences.map((o) => o.startsAt.toISOString());
+
+describe('Recurrence Tests', () => {
+  describe('Rules', () => {
+    it('should round-trip RRULE strings', () => {
+      const rule = parseRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20260501');
+      assert.deepStrictEqual(rule, {
+        freq: 'WEEKLY',
+        interval: 2,
+        byDay: ['MO', 'WE'],
+        until: '2026-05-01',
+        count: null,
+      });
+      assert.strictEqual(formatRule(rule), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20260501');
+    });
+
+    it('should reject unsupported rules', () => {
+      assert.strictEqual(parseRule('FREQ=YEARLY'), null);
+      assert.strictEqual(parseRule('FREQ=WEEKLY;BYDAY=XX'), null);
+      assert.strictEqual(parseRule('FREQ=DAILY;COUNT=0'), null);
+      assert.strictEqual(parseRule(null), null);
+    });
+  });
+
+  describe('Schedule Input', () => {
+    it('should store the first session as an instant in the group time zone', () => {
+      const { data } = parseScheduleInput(weekly);
+
+      assert.strictEqual(data.scheduleStart.toISOString(), '2025-10-27T22:00:00.000Z');
+      assert.strictEqual(data.scheduleRule, 'FREQ=WEEKLY;BYDAY=MO,WE');
+      assert.strictEqual(data.scheduleTimezone, 'America/New_York');
+      assert.deepStrictEqual(presentSchedule(data), {
+        ...weekly,
+        byDay: ['MO', 'WE'],
+        frequency: 'WEEKLY',
+        interval: 1,
+        until: null,
+        count: null,
+        exdates: [],
+      });
+      assert.strictEqual(
+        describeSchedule(data),
+        'Every week on MO, WE at 18:00 (America/New_York)'
+      );
+    });
+
+    it('should default weekly schedules to the start weekday', () => {
+      const { data } = parseScheduleInput({ ...weekly, byDay: undefined });
+      assert.strictEqual(data.scheduleRule, 'FREQ=WEEKLY;BYDAY=MO');
+    });
+
+    it('should clear the schedule with null', () => {
+      const { data } = parseScheduleInput(null);
+      assert.strictEqual(data.scheduleRule, null);
+      assert.strictEqual(groupSchedule(data), null);
+    });
+
+    it('should reject invalid input', () => {
+      assert.ok(parseScheduleInput({ ...weekly, startDate: '2025-02-30' }).error);
+      assert.ok(parseScheduleInput({ ...weekly, startTime: '6pm' }).error);
+      assert.ok(parseScheduleInput({ ...weekly, timezone: 'Mars/Olympus' }).error);
+      assert.ok(parseScheduleInput({ ...weekly, durationMinutes: 0 }).error);
+      assert.ok(parseScheduleInput({ ...weekly, until: '2025-10-01' }).error);
+      assert.ok(parseScheduleInput({ ...weekly, until: '2026-01-01', count: 3 }).error);
+      assert.ok(parseScheduleInput({ ...weekly, interval: 99 }).error);
+    });
+
+    it('should compare schedules', () => {
+      const { data } = parseScheduleInput(weekly);
+      assert.ok(sameSchedule(data, { ...data, scheduleStart: new Date(data.scheduleStart) }));
+      assert.ok(!sameSchedule(data, { ...data, scheduleExdates: ['2025-11-05'] }));
+    });
+  });
+
+  describe('Time Zones', () => {
+    it('should convert wall-clock times across daylight saving changes', () => {
+      assert.strictEqual(
+        fromLocal('2025-07-01', 18 * 60, 'America/New_York').toISOString(),
+        '2025-07-01T22:00:00.000Z'
+      );
+      assert.strictEqual(
+        fromLocal('2025-12-01', 18 * 60, 'America/New_York').toISOString(),
+        '2025-12-01T23:00:00.000Z'
+      );
+      // 2:30 AM does not exist on the spring-forward day
+      assert.strictEqual(
+        fromLocal('2025-03-09', 150, 'America/New_York').toISOString(),
+        '2025-03-09T07:30:00.000Z'
+      );
+    });
+  });
+
+  describe('Occurrences', () => {
+    const schedule = groupSchedule(parseScheduleInput({ ...weekly, exdates: ['2025-11-05'] }).data);
+    const window = { from: new Date('2025-10-01'), to: new Date('2025-11-13') };
+
+    it('should keep local meeting time after clocks change', () => {
+      assert.deepStrictEqual(isoStarts(expandOccurrences(schedule, window)), [
+        '2025-10-27T22:00:00.000Z',
+        '2025-10-29T22:00:00.000Z',
+        '2025-11-03T23:00:00.000Z',
+        '2025-11-10T23:00:00.000Z',
+        '2025-11-12T23:00:00.000Z',
+      ]);
+    });
+
+    it('should honour interval, count and limit', () => {
+      const daily = groupSchedule(
+        parseScheduleInput({
+          ...weekly,
+          timezone: 'UTC',
+          frequency: 'DAILY',
+          interval: 3,
+          count: 3,
+        }).data
+      );
+      assert.deepStrictEqual(
+        isoStarts(expandOccurrences(daily, { from: window.from, to: new Date('2026-01-01') })),
+        ['2025-10-27T18:00:00.000Z', '2025-10-30T18:00:00.000Z', '2025-11-02T18:00:00.000Z']
+      );
+      assert.strictEqual(expandOccurrences(schedule, { ...window, limit: 2 }).length, 2);
+    });
+
+    it('should include a session that is still in progress', () => {
+      const [current] = expandOccurrences(schedule, {
+        from: new Date('2025-10-27T23:00:00Z'),
+        to: new Date('2025-11-01T00:00:00Z'),
+      });
+      assert.strictEqual(current.startsAt.toISOString(), '2025-10-27T22:00:00.000Z');
+    });
+
+    it('should find occurrences by their start', () => {
+      assert.ok(findOccurrence(schedule, '2025-11-03T23:00:00.000Z'));
+      assert.strictEqual(findOccurrence(schedule, '2025-11-03T22:00:00.000Z'), null);
+      assert.strictEqual(findOccurrence(schedule, '2025-11-05T23:00:00.000Z'), null);
+      assert.strictEqual(findOccurrence(schedule, 'not-a-date'), null);
+    });
+  });
+
+  describe('Session Overrides', () => {
+    const occurrences = [
+      { startsAt: new Date('2025-11-03T23:00:00Z'), endsAt: new Date('2025-11-04T00:30:00Z') },
+      { startsAt: new Date('2025-11-10T23:00:00Z'), endsAt: new Date('2025-11-11T00:30:00Z') },
+    ];
+    const window = { from: new Date('2025-11-01'), to: new Date('2025-11-20') };
+
+    it('should apply moves and cancellations by original start', () => {
+      const merged = applySessionOverrides(
+        occurrences,
+        [
+          {
+            originalStart: '2025-11-03T23:00:00.000Z',
+            startsAt: '2025-11-13T23:00:00.000Z',
+            endsAt: '2025-11-14T00:30:00.000Z',
+            status: 'MOVED',
+            note: 'Room change',
+          },
+          {
+            originalStart: '2025-11-10T23:00:00.000Z',
+            startsAt: '2025-11-10T23:00:00.000Z',
+            endsAt: '2025-11-11T00:30:00.000Z',
+            status: 'CANCELLED',
+            note: null,
+          },
+        ],
+        window
+      );
+
+      assert.deepStrictEqual(
+        merged.map(({ id, status }) => [id, status]),
+        [
+          ['2025-11-10T23:00:00.000Z', 'CANCELLED'],
+          ['2025-11-03T23:00:00.000Z', 'MOVED'],
+        ]
+      );
+      assert.strictEqual(merged[1].startsAt.toISOString(), '2025-11-13T23:00:00.000Z');
+    });
+
+    it('should add sessions moved into the window and drop ones moved out', () => {
+      const merged = applySessionOverrides(
+        occurrences.slice(0, 1),
+        [
+          {
+            originalStart: '2025-10-27T23:00:00.000Z',
+            startsAt: '2025-11-05T23:00:00.000Z',
+            endsAt: '2025-11-06T00:30:00.000Z',
+            status: 'MOVED',
+          },
+          {
+            originalStart: '2025-11-03T23:00:00.000Z',
+            startsAt: '2025-12-01T23:00:00.000Z',
+            endsAt: '2025-12-02T00:30:00.000Z',
+            status: 'MOVED',
+          },
+        ],
+        window
+      );
+
+      assert.deepStrictEqual(
+        merged.map((o) => o.id),
+        ['2025-10-27T23:00:00.000Z']
+      );
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Reports Test Suite
+ *
+ * Tests for content report validation, snapshots, the moderator queue filter
+ * and reporter feedback
+ * Run with: npm test or node --test src/__tests__/reports.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  REPORT_TARGET_TYPES,
+  REPORT_TARGET_LABELS,
+  reportDetailsError,
+  reportTargetError,
+  reportSnapshot,
+  reportQueueWhere,
+  resolutionMessage,
+} from '../utils/reports/rules.js';
+
+describe('Reports Tests', () => {
+  describe('Filing', () => {
+    it('should require details for "Other"', () => {
+      assert.strictEqual(reportDetailsError({ reason: 'SPAM' }), null);
+      assert.ok(reportDetailsError({ reason: 'OTHER' }));
+      assert.ok(reportDetailsError({ reason: 'OTHER', details: '   ' }));
+      assert.strictEqual(reportDetailsError({ reason: 'OTHER', details: 'Stolen work' }), null);
+    });
+
+    it('should reject missing targets and your own content', () => {
+      assert.strictEqual(reportTargetError('me', null).status, 404);
+      assert.strictEqual(reportTargetError('me', { ownerId: 'me' }).status, 400);
+      assert.strictEqual(reportTargetError('me', { ownerId: 'you' }), null);
+    });
+
+    it('should label every target type', () => {
+      assert.ok(REPORT_TARGET_TYPES.every((type) => REPORT_TARGET_LABELS[type]));
+    });
+  });
+
+  describe('Snapshots', () => {
+    it('should flatten whitespace and cap the excerpt', () => {
+      assert.strictEqual(reportSnapshot(' buy\n\nnow  '), 'buy now');
+      const snapshot = reportSnapshot('x'.repeat(1000));
+      assert.strictEqual(snapshot.length, 280);
+      assert.ok(snapshot.endsWith('…'));
+    });
+
+    it('should keep nothing for empty content', () => {
+      assert.strictEqual(reportSnapshot(''), null);
+      assert.strictEqual(reportSnapshot(null), null);
+    });
+  });
+
+  describe('Queue', () => {
+    it('should default to open reports', () => {
+      assert.deepStrictEqual(reportQueueWhere(), { status: 'OPEN' });
+    });
+
+    it('should filter by status and target type', () => {
+      assert.deepStrictEqual(reportQueueWhere({ status: 'DISMISSED', targetType: 'POST' }), {
+        status: 'DISMISSED',
+        targetType: 'POST',
+      });
+    });
+  });
+
+  describe('Reporter Feedback', () => {
+    it('should tell reporters whether action was taken', () => {
+      assert.match(resolutionMessage('COMMENT', 'ACTIONED'), /reporting a comment.*took action/);
+      assert.match(resolutionMessage('USER', 'DISMISSED'), /doesn't break/);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Resumes Test Suite
+ *
+ * Tests for resume content, date formatting, PDF rendering and text exports
+ * Run with: npm test or node --test src/__tests__/resumes.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  RESUME_TEMPLATES,
+  formatResumeMonth,
+  formatResumeRange,
+  buildResumeContent,
+  resumeToText,
+  resumeToMarkdown,
+} from '../utils/resumeContent.js';
+import { renderResumePdf } from '../utils/resumePdf.js';
+
+const user = {
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@maestro.edu',
+  skills: ['Python', 'SQL'],
+};
+
+const portfolio = {
+  headline: 'Computer Science Student',
+  summary: 'Interested in data systems.',
+  website: 'https://ada.dev',
+  experience: [
+    {
+      title: 'Software Engineering Intern',
+      company: 'Tech Corp',
+      location: 'Remote',
+      startDate: new Date('2024-06-01'),
+      endDate: null,
+      description: 'Built internal tools',
+    },
+  ],
+  education: [],
+  certifications: [
+    {
+      name: 'Cloud Practitioner',
+      issuer: 'AWS',
+      credentialId: 'ABC123',
+      issuedAt: new Date('2024-01-01'),
+      expiresAt: null,
+    },
+  ],
+  awards: [],
+};
+
+const projects = [
+  {
+    title: 'Campus Map',
+    description: 'Interactive map',
+    projectUrl: 'https://example.com',
+    technologies: ['React', 'Leaflet'],
+  },
+];
+
+describe('Resumes Tests', () => {
+  describe('Dates', () => {
+    it('should format months and ranges', () => {
+      assert.strictEqual(formatResumeMonth('2023-06-01T00:00:00Z'), 'Jun 2023');
+      assert.strictEqual(formatResumeRange('2023-06-01', '2023-08-01'), 'Jun 2023 – Aug 2023');
+      assert.strictEqual(formatResumeRange('2023-06-01', null), 'Jun 2023 – Present');
+      assert.strictEqual(formatResumeRange(null, null), '');
+    });
+  });
+
+  describe('Content', () => {
+    const content = buildResumeContent({ user, portfolio, projects });
+
+    it('should head the resume with the name, headline and contact links', () => {
+      assert.strictEqual(content.name, 'Ada Lovelace');
+      assert.strictEqual(content.headline, 'Computer Science Student');
+      assert.deepStrictEqual(content.contact, ['ada@maestro.edu', 'https://ada.dev']);
+    });
+
+    it('should drop empty sections and keep the order', () => {
+      assert.deepStrictEqual(
+        content.sections.map((section) => section.title),
+        ['Experience', 'Projects', 'Certifications', 'Skills']
+      );
+    });
+
+    it('should describe entries', () => {
+      const [job] = content.sections[0].items;
+      assert.strictEqual(job.subtitle, 'Tech Corp · Remote');
+      assert.strictEqual(job.dates, 'Jun 2024 – Present');
+
+      const [project] = content.sections[1].items;
+      assert.strictEqual(project.subtitle, 'React, Leaflet');
+      assert.strictEqual(project.link, 'https://example.com');
+
+      assert.strictEqual(content.sections[3].text, 'Python, SQL');
+    });
+
+    it('should work without a portfolio', () => {
+      const bare = buildResumeContent({
+        user: { ...user, skills: [] },
+        portfolio: {},
+        projects: [],
+      });
+      assert.deepStrictEqual(bare.sections, []);
+      assert.deepStrictEqual(bare.contact, ['ada@maestro.edu']);
+    });
+  });
+
+  describe('Text Exports', () => {
+    const content = buildResumeContent({ user, portfolio, projects });
+
+    it('should export plain text with uppercase section headings', () => {
+      const text = resumeToText(content);
+      assert.ok(text.startsWith('Ada Lovelace\nComputer Science Student\n'));
+      assert.match(
+        text,
+        /\nEXPERIENCE\n\nSoftware Engineering Intern \(Jun 2024 – Present\)\nTech Corp/
+      );
+    });
+
+    it('should export Markdown', () => {
+      const markdown = resumeToMarkdown(content);
+      assert.ok(markdown.startsWith('# Ada Lovelace\n'));
+      assert.match(
+        markdown,
+        /## Projects\n\n\*\*Campus Map\*\* {2}\n_React, Leaflet_ {2}\n<https:\/\/example.com>/
+      );
+      assert.match(markdown, /## Skills\n\nPython, SQL\n$/);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should render a PDF in every template', async () => {
+      const content = buildResumeContent({ user, portfolio, projects });
+      for (const template of Object.keys(RESUME_TEMPLATES)) {
+        const pdf = await renderResumePdf(content, template);
+        assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+      }
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Revision History Test Suite
+ *
+ * Tests for text diffs and edit timelines
+ * Run with: npm test or node --test src/__tests__/revisionHistory.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { diffText, buildRevisionHistory } from '../utils/revisionHistory.js';
+
+/**
+ * Rebuild one side of a diff
+ */
+function apply(parts, side) {
+  const skip = side === 'before' ? 'insert' : 'delete';
+  return parts
+    .filter((part) => part.type !== skip)
+    .map((part) => part.value)
+    .join('');
+}
+
+describe('Revision History Tests', () => {
+  describe('Text Diffs', () => {
+    it('should mark changed words', () => {
+      assert.deepStrictEqual(diffText('meet at noon', 'meet at two'), [
+        { type: 'equal', value: 'meet at ' },
+        { type: 'delete', value: 'noon' },
+        { type: 'insert', value: 'two' },
+      ]);
+    });
+
+    it('should round-trip both versions', () => {
+      const before = 'Study group moved to Room 204.\nBring notes.';
+      const after = 'Study group moved to Room 310 (library).\nBring notes and snacks.';
+      const parts = diffText(before, after);
+
+      assert.strictEqual(apply(parts, 'before'), before);
+      assert.strictEqual(apply(parts, 'after'), after);
+    });
+
+    it('should handle unchanged and empty text', () => {
+      assert.deepStrictEqual(diffText('same', 'same'), [{ type: 'equal', value: 'same' }]);
+      assert.deepStrictEqual(diffText('', ''), []);
+      assert.deepStrictEqual(diffText('', 'new'), [{ type: 'insert', value: 'new' }]);
+    });
+
+    it('should fall back to line diffs for long texts', () => {
+      const before = Array.from({ length: 2000 }, (_, i) => `word${i}`).join(' ');
+      const after = `${before}\nappended`;
+      const parts = diffText(before, after);
+
+      assert.strictEqual(apply(parts, 'after'), after);
+      assert.strictEqual(parts[parts.length - 1].type, 'insert');
+    });
+  });
+
+  describe('Timelines', () => {
+    const author = { id: 'author', firstName: 'Ada' };
+    const moderator = { id: 'mod', firstName: 'Mo' };
+
+    it('should order versions oldest first with the live item last', () => {
+      const item = { content: 'v3', createdAt: 't0', author };
+      const revisions = [
+        { content: 'v1', createdAt: 't1', editor: author },
+        { content: 'v2', createdAt: 't2', editor: moderator },
+      ];
+      const history = buildRevisionHistory(item, revisions);
+
+      assert.deepStrictEqual(
+        history.map((v) => [v.version, v.content, v.createdAt, v.editor.id, v.current]),
+        [
+          [1, 'v1', 't0', 'author', false],
+          [2, 'v2', 't1', 'author', false],
+          [3, 'v3', 't2', 'mod', true],
+        ]
+      );
+      assert.strictEqual(history[0].diff, null);
+      assert.deepStrictEqual(apply(history[2].diff, 'before'), 'v2');
+    });
+
+    it('should diff titles only when they change', () => {
+      const item = { title: 'Final title', content: 'body', createdAt: 't0' };
+      const revisions = [{ title: 'Draft title', content: 'body', createdAt: 't1' }];
+      const history = buildRevisionHistory(item, revisions);
+
+      assert.strictEqual(history[1].title, 'Final title');
+      assert.strictEqual(apply(history[1].titleDiff, 'before'), 'Draft title');
+      assert.strictEqual(history[0].titleDiff, undefined);
+    });
+
+    it('should return a single version for unedited items', () => {
+      const history = buildRevisionHistory({ content: 'only', createdAt: 't0' });
+      assert.strictEqual(history.length, 1);
+      assert.strictEqual(history[0].current, true);
+    });
+  });
+});
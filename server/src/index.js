@@ -20,6 +20,10 @@ import searchRoutes from './routes/search.js';
 import adminRoutes from './routes/admin.js';
 import mimRoutes from './routes/mim.js';
 import filesRoutes from './routes/files.js';
+import calendarRoutes from './routes/calendar.js';
+import reportRoutes from './routes/reports.js';
+import appealRoutes from './routes/appeals.js';
+import publicPortfolioRoutes from './routes/publicPortfolios.js';
 import { apiRateLimiter } from './middleware/rateLimiter.js';
 
 // OAuth configuration
@@ -32,6 +36,9 @@ import { initializeWebSocket } from './websocket/index.js';
 // File upload utilities
 import { ensureUploadDirectories } from './middleware/fileUpload.js';
 
+// Background jobs
+import { startEventReminders } from './utils/events/store.js';
+
 // Load environment variables
 dotenv.config();
 
@@ -60,6 +67,9 @@ const io = new Server(httpServer, {
   },
 });
 
+// Expose Socket.IO to route handlers via req.app.get('io')
+app.set('io', io);
+
 // Middleware
 const corsOptions = {
   origin: (origin, callback) => {
@@ -158,6 +168,10 @@ app.use('/api/mim', mimRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/files', filesRoutes); // Secure file serving with signed URLs
+app.use('/api/calendar', calendarRoutes); // iCalendar feeds (token-authenticated)
+app.use('/api/reports', reportRoutes);
+app.use('/api/appeals', appealRoutes); // Suspension and ban appeals (token-authenticated)
+app.use('/api/portfolios', publicPortfolioRoutes); // Public portfolio pages (no login)
 
 // 404 handler
 app.use((req, res) => {
@@ -179,6 +193,9 @@ initializePassport();
 // Initialize WebSocket
 initializeWebSocket(io);
 
+// Send event reminders before events start
+startEventReminders(io);
+
 // Initialize secure upload directories
 await ensureUploadDirectories();
 
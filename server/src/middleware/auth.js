@@ -1,5 +1,6 @@
 import { PrismaClient } from '@prisma/client';
 import { verifyAccessToken, extractTokens } from '../utils/tokens.js';
+import { accountBlock, isSuspensionLapsed } from '../utils/moderation/rules.js';
 
 const prisma = new PrismaClient();
 
@@ -44,17 +45,12 @@ export const authenticate = async (req, res, next) => {
     }
 
     // Moderation checks
-    if (user.status === 'BANNED') {
-      return res.status(403).json({ error: 'This account has been permanently banned.' });
+    const block = accountBlock(user);
+    if (block) {
+      return res.status(403).json({ error: block.error, code: block.code });
     }
 
-    if (user.status === 'SUSPENDED') {
-      if (user.suspendedUntil && user.suspendedUntil > new Date()) {
-        return res.status(403).json({
-          error: `Account suspended until ${user.suspendedUntil.toISOString()}`,
-        });
-      }
-
+    if (isSuspensionLapsed(user)) {
       // Suspension expired – automatically restore the account
       await prisma.user.update({
         where: { id: user.id },
@@ -102,19 +98,7 @@ export const optionalAuth = async (req, res, next) => {
           },
         });
 
-        if (user) {
-          if (user.status === 'BANNED') {
-            return next();
-          }
-
-          if (
-            user.status === 'SUSPENDED' &&
-            user.suspendedUntil &&
-            user.suspendedUntil > new Date()
-          ) {
-            return next();
-          }
-
+        if (user && !accountBlock(user)) {
           req.user = user;
         }
       }
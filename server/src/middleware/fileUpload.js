@@ -82,6 +82,8 @@ export async function ensureUploadDirectories() {
     path.join(UPLOAD_DIR, 'photos'),
     path.join(UPLOAD_DIR, 'documents'),
     path.join(UPLOAD_DIR, 'resources'),
+    path.join(UPLOAD_DIR, 'posts'),
+    path.join(UPLOAD_DIR, 'messages'),
   ];
 
   for (const dir of directories) {
@@ -137,7 +139,7 @@ export function validateFile(file, options = {}) {
 /**
  * Securely save uploaded file
  * @param {Object} file - File object from express-fileupload
- * @param {string} category - File category (photos, documents, resources)
+ * @param {string} category - File category (photos, documents, resources, posts, messages)
  * @param {Object} options - Save options
  * @returns {Promise<Object>} Saved file info { filename, filepath, originalName, mimetype, size }
  */
@@ -36,6 +36,16 @@ const RATE_LIMITS = {
     windowMinutes: 10,
     message: 'Too many verification attempts. Please try again later.',
   },
+  appeal: {
+    maxAttempts: 5,
+    windowMinutes: 60,
+    message: 'Too many appeal attempts. Please try again later.',
+  },
+  resume: {
+    maxAttempts: 10,
+    windowMinutes: 10,
+    message: 'Too many resume generations. Please try again later.',
+  },
   api: {
     maxAttempts: 100,
     windowMinutes: 1,
@@ -277,6 +287,8 @@ export const loginRateLimiter = rateLimiter('login');
 export const registerRateLimiter = rateLimiter('register');
 export const passwordResetRateLimiter = rateLimiter('passwordReset');
 export const emailVerificationRateLimiter = rateLimiter('emailVerification');
+export const appealRateLimiter = rateLimiter('appeal');
+export const resumeRateLimiter = rateLimiter('resume', { trackByUser: true });
 export const apiRateLimiter = rateLimiter('api');
 
 /**
@@ -5,6 +5,7 @@
  * - Role hierarchy enforcement
  * - Permission-based access control
  * - Resource ownership verification
+ * - Group-scoped roles for Hub groups
  * - Flexible authorization rules
  */
 
@@ -50,6 +51,8 @@ export const PERMISSIONS = {
   POST_DELETE_ANY: 'post:delete:any',
   COMMENT_MODERATE: 'comment:moderate',
   COMMENT_DELETE_ANY: 'comment:delete:any',
+  REPORT_REVIEW: 'report:review',
+  APPEAL_REVIEW: 'appeal:review',
 
   // Group management
   GROUP_CREATE: 'group:create',
@@ -81,6 +84,8 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.POST_DELETE_ANY,
     PERMISSIONS.COMMENT_MODERATE,
     PERMISSIONS.COMMENT_DELETE_ANY,
+    PERMISSIONS.REPORT_REVIEW,
+    PERMISSIONS.APPEAL_REVIEW,
     PERMISSIONS.GROUP_CREATE,
     PERMISSIONS.GROUP_MANAGE,
     PERMISSIONS.ADMIN_PANEL_ACCESS,
@@ -97,6 +102,8 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.POST_DELETE_ANY,
     PERMISSIONS.COMMENT_MODERATE,
     PERMISSIONS.COMMENT_DELETE_ANY,
+    PERMISSIONS.REPORT_REVIEW,
+    PERMISSIONS.APPEAL_REVIEW,
     PERMISSIONS.GROUP_CREATE,
     PERMISSIONS.GROUP_MANAGE,
     PERMISSIONS.GROUP_DELETE_ANY,
@@ -108,6 +115,46 @@ const ROLE_PERMISSIONS = {
   ],
 };
 
+/**
+ * Group-scoped permissions, granted by a member's GroupRole within one Hub group
+ */
+export const GROUP_PERMISSIONS = {
+  MEMBERS_MANAGE: 'group:members:manage',
+  POST_PIN: 'group:post:pin',
+  POST_REMOVE: 'group:post:remove',
+  COMMENT_REMOVE: 'group:comment:remove',
+  MEMBER_MUTE: 'group:member:mute',
+  SETTINGS_EDIT: 'group:settings:edit',
+  LOG_VIEW: 'group:log:view',
+};
+
+/**
+ * Group role hierarchy levels (higher number = more permissions)
+ */
+const GROUP_ROLE_HIERARCHY = {
+  MEMBER: 1,
+  MODERATOR: 2,
+  ADMIN: 3,
+};
+
+/**
+ * GroupRole-to-permissions mapping
+ */
+const GROUP_ROLE_PERMISSIONS = {
+  MEMBER: [],
+
+  MODERATOR: [
+    GROUP_PERMISSIONS.MEMBERS_MANAGE,
+    GROUP_PERMISSIONS.POST_PIN,
+    GROUP_PERMISSIONS.POST_REMOVE,
+    GROUP_PERMISSIONS.COMMENT_REMOVE,
+    GROUP_PERMISSIONS.MEMBER_MUTE,
+    GROUP_PERMISSIONS.LOG_VIEW,
+  ],
+
+  ADMIN: Object.values(GROUP_PERMISSIONS),
+};
+
 /**
  * Check if a role has a specific permission
  */
@@ -353,12 +400,108 @@ export function canAccessResource(user, resource, ownerField = 'userId') {
   return ownsResource(user, resource, ownerField) || canModerate(user);
 }
 
+/**
+ * Check if a group role has a group permission
+ * @param {string|null} groupRole - Member's GroupRole (null if not a member)
+ * @param {string} permission - One of GROUP_PERMISSIONS
+ */
+export function hasGroupPermission(groupRole, permission) {
+  const permissions = GROUP_ROLE_PERMISSIONS[groupRole] || [];
+  return permissions.includes(permission);
+}
+
+/**
+ * Utility: Check if user can act in a group
+ * Platform moderators keep override rights in every group through POST_DELETE_ANY.
+ * @param {Object} user - Authenticated user
+ * @param {Object|null} membership - User's GroupMember row in the group
+ * @param {string} permission - One of GROUP_PERMISSIONS
+ */
+export function canModerateGroup(user, membership, permission) {
+  return (
+    hasGroupPermission(membership?.role, permission) ||
+    hasPermission(user.role, PERMISSIONS.POST_DELETE_ANY)
+  );
+}
+
+/**
+ * Utility: Check if user can act on another member of a group (remove, ban or mute)
+ * Group moderators act on members and group admins on moderators too; admins
+ * are demoted before they can be acted on. Platform moderators override.
+ * @param {Object} user - Authenticated user
+ * @param {Object|null} membership - User's GroupMember row
+ * @param {Object} target - Target's GroupMember row
+ * @param {string} permission - One of GROUP_PERMISSIONS
+ */
+export function canModerateMember(user, membership, target, permission) {
+  if (hasPermission(user.role, PERMISSIONS.POST_DELETE_ANY)) {
+    return true;
+  }
+  return (
+    hasGroupPermission(membership?.role, permission) &&
+    GROUP_ROLE_HIERARCHY[membership.role] > GROUP_ROLE_HIERARCHY[target.role]
+  );
+}
+
+/**
+ * Middleware: Require a group permission in the group named by a route param
+ * Sets req.group and req.groupMembership (null for platform moderators who aren't members)
+ * Usage: requireGroupPermission(GROUP_PERMISSIONS.POST_PIN)
+ */
+export function requireGroupPermission(permission, groupIdParam = 'id') {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+      });
+    }
+
+    try {
+      const groupId = req.params[groupIdParam];
+      const [group, membership] = await Promise.all([
+        prisma.group.findUnique({ where: { id: groupId } }),
+        prisma.groupMember.findUnique({
+          where: { groupId_userId: { groupId, userId: req.user.id } },
+        }),
+      ]);
+
+      if (!group) {
+        return res.status(404).json({
+          error: 'Group not found',
+          code: 'NOT_FOUND',
+        });
+      }
+
+      if (!canModerateGroup(req.user, membership, permission)) {
+        return res.status(403).json({
+          error: 'Insufficient group permissions',
+          code: 'FORBIDDEN',
+          required: permission,
+          current: membership?.role ?? null,
+        });
+      }
+
+      req.group = group;
+      req.groupMembership = membership;
+      next();
+    } catch (error) {
+      console.error('[RBAC] Group permission check error:', error);
+      res.status(500).json({
+        error: 'Failed to verify group permissions',
+        code: 'INTERNAL_ERROR',
+      });
+    }
+  };
+}
+
 /**
  * Export all for easy importing
  */
 export default {
   ROLES,
   PERMISSIONS,
+  GROUP_PERMISSIONS,
   hasPermission,
   hasRoleLevel,
   getRolePermissions,
@@ -374,4 +517,8 @@ export default {
   isAdmin,
   ownsResource,
   canAccessResource,
+  hasGroupPermission,
+  canModerateGroup,
+  canModerateMember,
+  requireGroupPermission,
 };
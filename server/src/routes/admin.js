@@ -2,7 +2,34 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { z } from 'zod';
 import { authenticate } from '../middleware/auth.js';
-import { PERMISSIONS, requireModerator, requirePermission } from '../middleware/rbac.js';
+import {
+  PERMISSIONS,
+  hasPermission,
+  requireModerator,
+  requirePermission,
+} from '../middleware/rbac.js';
+import { parsePagination, paginate } from '../utils/pagination.js';
+import {
+  REPORT_STATUSES,
+  REPORT_TARGET_TYPES,
+  REPORT_TARGET_LABELS,
+  reportQueueWhere,
+} from '../utils/reports/rules.js';
+import { removeReportTarget, resolveTargetReports } from '../utils/reports/store.js';
+import { enforceAccountBlock } from '../utils/moderation/enforcement.js';
+import {
+  APPEAL_STATUSES,
+  APPEAL_DECISIONS,
+  appealReviewError,
+  isActionInEffect,
+} from '../utils/appeals/rules.js';
+import {
+  moderationActionSelect,
+  recordModerationAction,
+  findLatestActionId,
+} from '../utils/appeals/store.js';
+import { sendAppealDecisionEmail } from '../utils/email.js';
+import { emitNotification } from '../websocket/index.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -24,12 +51,68 @@ const userSummarySelect = {
 const suspendSchema = z.object({
   durationMinutes: z.number().int().positive(),
   reason: z.string().max(500).optional(),
+  reportId: z.string().optional(),
 });
 
 const banSchema = z.object({
   reason: z.string().max(500).optional(),
+  reportId: z.string().optional(),
 });
 
+const resolveReportSchema = z.object({
+  note: z.string().max(500).optional(),
+});
+
+const reviewAppealSchema = z.object({
+  decision: z.enum(Object.keys(APPEAL_DECISIONS)),
+  note: z.string().max(500).optional(),
+});
+
+const reportUserSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+};
+
+/**
+ * Load an open report, or send the error response
+ * @param {string} reportId - Report ID
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Report, or null after responding
+ */
+async function loadOpenReport(reportId, res) {
+  const report = await prisma.report.findUnique({ where: { id: reportId } });
+  if (!report) {
+    res.status(404).json({ error: 'Report not found' });
+    return null;
+  }
+  if (report.status !== 'OPEN') {
+    res.status(409).json({ error: 'This report has already been resolved' });
+    return null;
+  }
+  return report;
+}
+
+/**
+ * Check a report linked to a suspension or ban is open and about the user
+ * @returns {Promise<Object|null|false>} Report, null if none was linked, or false after responding
+ */
+async function loadLinkedReport(reportId, userId, res) {
+  if (!reportId) {
+    return null;
+  }
+  const report = await loadOpenReport(reportId, res);
+  if (!report) {
+    return false;
+  }
+  if (report.targetUserId !== userId) {
+    res.status(400).json({ error: 'This report is not about this user' });
+    return false;
+  }
+  return report;
+}
+
 const roleSchema = z.object({
   role: z.enum(['STUDENT', 'FACULTY', 'MODERATOR', 'ADMIN']),
 });
@@ -52,6 +135,9 @@ router.get('/users', authenticate, requireModerator, async (req, res) => {
 /**
  * POST /api/admin/users/:id/suspend
  * Suspend user - Moderators can suspend (temporary)
+ * Ends the user's logins and disconnects their live sockets straight away,
+ * records the action and emails the user the reason and an appeal link.
+ * Pass `reportId` to resolve the open reports it belongs to as actioned.
  */
 router.post(
   '/users/:id/suspend',
@@ -70,6 +156,9 @@ router.post(
     const suspendedUntil = new Date(Date.now() + parsed.data.durationMinutes * 60000);
 
     try {
+      const report = await loadLinkedReport(parsed.data.reportId, req.params.id, res);
+      if (report === false) return;
+
       const user = await prisma.user.update({
         where: { id: req.params.id },
         data: {
@@ -80,6 +169,26 @@ router.post(
         select: userSummarySelect,
       });
 
+      const io = req.app.get('io');
+      await enforceAccountBlock(io, user);
+      await recordModerationAction(user, {
+        type: 'SUSPEND',
+        moderatorId: req.user.id,
+        reason: parsed.data.reason,
+        durationMinutes: parsed.data.durationMinutes,
+        expiresAt: suspendedUntil,
+        reportId: report?.id,
+      });
+
+      if (report) {
+        await resolveTargetReports(io, report, {
+          status: 'ACTIONED',
+          action: 'USER_SUSPENDED',
+          moderatorId: req.user.id,
+          note: parsed.data.reason,
+        });
+      }
+
       res.json({
         message: `User suspended until ${suspendedUntil.toISOString()}`,
         user,
@@ -97,6 +206,9 @@ router.post(
 /**
  * POST /api/admin/users/:id/ban
  * Ban user permanently - Admins only (permanent action)
+ * Ends the user's logins and disconnects their live sockets straight away,
+ * records the action and emails the user the reason and an appeal link.
+ * Pass `reportId` to resolve the open reports it belongs to as actioned.
  */
 router.post(
   '/users/:id/ban',
@@ -113,6 +225,9 @@ router.post(
     }
 
     try {
+      const report = await loadLinkedReport(parsed.data.reportId, req.params.id, res);
+      if (report === false) return;
+
       const user = await prisma.user.update({
         where: { id: req.params.id },
         data: {
@@ -123,6 +238,24 @@ router.post(
         select: userSummarySelect,
       });
 
+      const io = req.app.get('io');
+      await enforceAccountBlock(io, user);
+      await recordModerationAction(user, {
+        type: 'BAN',
+        moderatorId: req.user.id,
+        reason: parsed.data.reason,
+        reportId: report?.id,
+      });
+
+      if (report) {
+        await resolveTargetReports(io, report, {
+          status: 'ACTIONED',
+          action: 'USER_BANNED',
+          moderatorId: req.user.id,
+          note: parsed.data.reason,
+        });
+      }
+
       res.json({ message: 'User has been banned', user });
     } catch (error) {
       if (error.code === 'P2025') {
@@ -137,6 +270,7 @@ router.post(
 /**
  * POST /api/admin/users/:id/restore
  * Restore suspended/banned user - Moderators can restore
+ * Pending appeals from the user are closed as overturned.
  */
 router.post('/users/:id/restore', authenticate, requireModerator, async (req, res) => {
   try {
@@ -150,6 +284,12 @@ router.post('/users/:id/restore', authenticate, requireModerator, async (req, re
       select: userSummarySelect,
     });
 
+    await recordModerationAction(user, { type: 'RESTORE', moderatorId: req.user.id });
+    await prisma.appeal.updateMany({
+      where: { userId: user.id, status: 'PENDING' },
+      data: { status: 'OVERTURNED', reviewerId: req.user.id, reviewedAt: new Date() },
+    });
+
     res.json({ message: 'User restored to active status', user });
   } catch (error) {
     if (error.code === 'P2025') {
@@ -160,6 +300,35 @@ router.post('/users/:id/restore', authenticate, requireModerator, async (req, re
   }
 });
 
+/**
+ * GET /api/admin/users/:id/actions
+ * Moderation history of a user, newest first - Moderators and Admins
+ * Query: cursor, limit
+ */
+router.get('/users/:id/actions', authenticate, requireModerator, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const page = await paginate(prisma.moderationAction, {
+      where: { userId: req.params.id },
+      select: moderationActionSelect,
+      ...pagination,
+    });
+
+    res.json({
+      actions: page.items,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
+  } catch (error) {
+    console.error('Get moderation history error:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation history' });
+  }
+});
+
 /**
  * POST /api/admin/users/:id/role
  * Change user role - Admins only (sensitive operation)
@@ -222,4 +391,311 @@ router.delete(
   }
 );
 
+// ========== REPORTS ==========
+
+/**
+ * GET /api/admin/reports
+ * Moderator queue of user reports - Moderators and Admins
+ * Query: status (OPEN, ACTIONED or DISMISSED; default OPEN), targetType, cursor, limit
+ * Open reports are oldest first; resolved ones newest first.
+ */
+router.get(
+  '/reports',
+  authenticate,
+  requirePermission(PERMISSIONS.REPORT_REVIEW),
+  async (req, res) => {
+    try {
+      const { status = 'OPEN', targetType } = req.query;
+      if (!REPORT_STATUSES.includes(status)) {
+        return res
+          .status(400)
+          .json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+      }
+      if (targetType && !REPORT_TARGET_TYPES.includes(targetType)) {
+        return res
+          .status(400)
+          .json({ error: `targetType must be one of: ${REPORT_TARGET_TYPES.join(', ')}` });
+      }
+
+      const pagination = parsePagination(req.query);
+      if (pagination.error) {
+        return res.status(400).json({ error: pagination.error });
+      }
+
+      const [page, statusCounts] = await Promise.all([
+        paginate(prisma.report, {
+          where: reportQueueWhere({ status, targetType }),
+          include: {
+            reporter: { select: reportUserSelect },
+            targetUser: {
+              select: { ...reportUserSelect, status: true, suspendedUntil: true },
+            },
+            resolvedBy: { select: reportUserSelect },
+          },
+          order: status === 'OPEN' ? 'asc' : 'desc',
+          ...pagination,
+        }),
+        prisma.report.groupBy({ by: ['status'], _count: { _all: true } }),
+      ]);
+
+      // How many open reports each target has, so repeat offenders stand out
+      const targetCounts = await prisma.report.groupBy({
+        by: ['targetType', 'targetId'],
+        where: {
+          status: 'OPEN',
+          targetId: { in: [...new Set(page.items.map((r) => r.targetId))] },
+        },
+        _count: { _all: true },
+      });
+      const openCounts = new Map(
+        targetCounts.map((c) => [`${c.targetType}:${c.targetId}`, c._count._all])
+      );
+
+      res.json({
+        reports: page.items.map((report) => ({
+          ...report,
+          openReportCount: openCounts.get(`${report.targetType}:${report.targetId}`) || 0,
+        })),
+        counts: Object.fromEntries(
+          REPORT_STATUSES.map((s) => [
+            s,
+            statusCounts.find((c) => c.status === s)?._count._all || 0,
+          ])
+        ),
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      });
+    } catch (error) {
+      console.error('Get reports error:', error);
+      res.status(500).json({ error: 'Failed to fetch reports' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/reports/:id/remove-content
+ * Delete the reported content and resolve its open reports as actioned - Moderators and Admins
+ * Body: { note? }
+ */
+router.post(
+  '/reports/:id/remove-content',
+  authenticate,
+  requirePermission(PERMISSIONS.REPORT_REVIEW),
+  async (req, res) => {
+    try {
+      const { note } = resolveReportSchema.parse(req.body);
+
+      const report = await loadOpenReport(req.params.id, res);
+      if (!report) return;
+
+      if (report.targetType === 'USER') {
+        return res.status(400).json({ error: 'Suspend or ban the user instead' });
+      }
+
+      const io = req.app.get('io');
+      const removed = await removeReportTarget(report.targetType, report.targetId);
+
+      const resolved = await resolveTargetReports(io, report, {
+        status: 'ACTIONED',
+        action: 'CONTENT_REMOVED',
+        moderatorId: req.user.id,
+        note,
+      });
+
+      if (removed && report.targetUserId) {
+        const notification = await prisma.notification.create({
+          data: {
+            type: 'MODERATION',
+            message: `A moderator removed your ${REPORT_TARGET_LABELS[report.targetType]} for breaking the community guidelines`,
+            userId: report.targetUserId,
+          },
+        });
+        if (io) {
+          emitNotification(io, report.targetUserId, notification);
+        }
+      }
+
+      res.json({
+        message: removed ? 'Content removed' : 'Content was already gone',
+        removed,
+        resolved,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: error.errors });
+      }
+      console.error('Remove reported content error:', error);
+      res.status(500).json({ error: 'Failed to remove content' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/reports/:id/dismiss
+ * Dismiss a report (and the other open reports on the same target) - Moderators and Admins
+ * Body: { note? }
+ */
+router.post(
+  '/reports/:id/dismiss',
+  authenticate,
+  requirePermission(PERMISSIONS.REPORT_REVIEW),
+  async (req, res) => {
+    try {
+      const { note } = resolveReportSchema.parse(req.body);
+
+      const report = await loadOpenReport(req.params.id, res);
+      if (!report) return;
+
+      const resolved = await resolveTargetReports(req.app.get('io'), report, {
+        status: 'DISMISSED',
+        moderatorId: req.user.id,
+        note,
+      });
+
+      res.json({ message: 'Report dismissed', resolved });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: error.errors });
+      }
+      console.error('Dismiss report error:', error);
+      res.status(500).json({ error: 'Failed to dismiss report' });
+    }
+  }
+);
+
+// ========== APPEALS ==========
+
+/**
+ * GET /api/admin/appeals
+ * Appeals against suspensions and bans - Moderators and Admins
+ * Query: status (PENDING, UPHELD or OVERTURNED; default PENDING), cursor, limit
+ * Pending appeals are oldest first; decided ones newest first.
+ */
+router.get(
+  '/appeals',
+  authenticate,
+  requirePermission(PERMISSIONS.APPEAL_REVIEW),
+  async (req, res) => {
+    try {
+      const { status = 'PENDING' } = req.query;
+      if (!APPEAL_STATUSES.includes(status)) {
+        return res
+          .status(400)
+          .json({ error: `status must be one of: ${APPEAL_STATUSES.join(', ')}` });
+      }
+
+      const pagination = parsePagination(req.query);
+      if (pagination.error) {
+        return res.status(400).json({ error: pagination.error });
+      }
+
+      const page = await paginate(prisma.appeal, {
+        where: { status },
+        include: {
+          user: { select: { ...reportUserSelect, status: true, suspendedUntil: true } },
+          reviewer: { select: reportUserSelect },
+          action: {
+            select: {
+              id: true,
+              type: true,
+              reason: true,
+              durationMinutes: true,
+              expiresAt: true,
+              reportId: true,
+              createdAt: true,
+              moderator: { select: reportUserSelect },
+            },
+          },
+        },
+        order: status === 'PENDING' ? 'asc' : 'desc',
+        ...pagination,
+      });
+
+      res.json({ appeals: page.items, nextCursor: page.nextCursor, prevCursor: page.prevCursor });
+    } catch (error) {
+      console.error('Get appeals error:', error);
+      res.status(500).json({ error: 'Failed to fetch appeals' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/appeals/:id/review
+ * Uphold or overturn an appeal - Moderators and Admins (only admins overturn bans)
+ * Body: { decision: 'UPHOLD' | 'OVERTURN', note? }
+ * Overturning restores the account if the appealed decision is still in effect.
+ * The user is emailed the outcome.
+ */
+router.post(
+  '/appeals/:id/review',
+  authenticate,
+  requirePermission(PERMISSIONS.APPEAL_REVIEW),
+  async (req, res) => {
+    try {
+      const { decision, note } = reviewAppealSchema.parse(req.body);
+
+      const appeal = await prisma.appeal.findUnique({
+        where: { id: req.params.id },
+        include: {
+          action: true,
+          user: { select: { id: true, email: true, status: true, suspendedUntil: true } },
+        },
+      });
+      if (!appeal) {
+        return res.status(404).json({ error: 'Appeal not found' });
+      }
+
+      const reviewErr = appealReviewError(appeal, {
+        decision,
+        canOverturnBans: hasPermission(req.user.role, PERMISSIONS.USER_BAN),
+      });
+      if (reviewErr) {
+        return res.status(reviewErr.status).json({ error: reviewErr.error });
+      }
+
+      const overturned = decision === 'OVERTURN';
+      const latestActionId = await findLatestActionId(appeal.userId);
+      const restore = overturned && isActionInEffect(appeal.action, appeal.user, latestActionId);
+
+      const updated = await prisma.appeal.update({
+        where: { id: appeal.id },
+        data: {
+          status: APPEAL_DECISIONS[decision],
+          reviewerId: req.user.id,
+          reviewNote: note || null,
+          reviewedAt: new Date(),
+        },
+      });
+
+      if (restore) {
+        await prisma.user.update({
+          where: { id: appeal.userId },
+          data: { status: 'ACTIVE', suspendedUntil: null, moderationNote: null },
+        });
+        await recordModerationAction(appeal.user, {
+          type: 'RESTORE',
+          moderatorId: req.user.id,
+          reason: note || 'Appeal overturned',
+        });
+      }
+
+      sendAppealDecisionEmail(appeal.user.email, { overturned, restored: restore, note }).catch(
+        (error) => console.error('Appeal decision email error:', error)
+      );
+
+      res.json({
+        message: overturned ? 'Appeal overturned' : 'Appeal upheld',
+        appeal: updated,
+        restored: restore,
+      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: error.errors });
+      }
+      console.error('Review appeal error:', error);
+      res.status(500).json({ error: 'Failed to review appeal' });
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,88 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { z } from 'zod';
+import { appealRateLimiter } from '../middleware/rateLimiter.js';
+import { appealError, describeAction, MAX_APPEAL_LENGTH } from '../utils/appeals/rules.js';
+import { findAppealContext } from '../utils/appeals/store.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Appeals come from suspended and banned users, who can't log in, so these
+// routes are authenticated by the token in the emailed appeal link.
+
+const createAppealSchema = z.object({
+  message: z.string().trim().min(1).max(MAX_APPEAL_LENGTH),
+});
+
+/**
+ * GET /api/appeals/:token
+ * Get the decision behind an appeal link and any appeal already filed
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const context = await findAppealContext(req.params.token);
+    if (!context) {
+      return res.status(404).json({ error: 'Appeal link not found' });
+    }
+
+    const { action } = context;
+    res.json({
+      action: {
+        type: action.type,
+        summary: describeAction(action),
+        reason: action.reason,
+        expiresAt: action.expiresAt,
+        createdAt: action.createdAt,
+      },
+      appeal: action.appeal,
+      canAppeal: appealError(context) === null,
+    });
+  } catch (error) {
+    console.error('Get appeal error:', error);
+    res.status(500).json({ error: 'Failed to fetch appeal' });
+  }
+});
+
+/**
+ * POST /api/appeals/:token
+ * Appeal a suspension or ban that's still in effect (once per decision)
+ * Body: { message }
+ */
+router.post('/:token', appealRateLimiter, async (req, res) => {
+  try {
+    const { message } = createAppealSchema.parse(req.body);
+
+    const context = await findAppealContext(req.params.token);
+    if (!context) {
+      return res.status(404).json({ error: 'Appeal link not found' });
+    }
+
+    const appealErr = appealError(context);
+    if (appealErr) {
+      return res.status(appealErr.status).json({ error: appealErr.error });
+    }
+
+    const appeal = await prisma.appeal.create({
+      data: {
+        actionId: context.action.id,
+        userId: context.user.id,
+        message,
+      },
+      select: { id: true, status: true, createdAt: true },
+    });
+
+    res.status(201).json({ appeal, message: 'Your appeal has been sent to the moderators' });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'You have already appealed this decision' });
+    }
+    console.error('Create appeal error:', error);
+    res.status(500).json({ error: 'Failed to submit appeal' });
+  }
+});
+
+export default router;
@@ -0,0 +1,104 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticate } from '../middleware/auth.js';
+import { buildCalendar, hubEventEntry } from '../utils/ical.js';
+import { calendarFeedUrl, getCalendarToken, loadCalendarEntries } from '../utils/calendar.js';
+import { canViewEvent } from '../utils/events/rules.js';
+import { accountBlock } from '../utils/moderation/rules.js';
+import { loadViewerContext } from '../utils/viewerContext.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * Send an iCalendar body
+ */
+function sendCalendar(res, body, filename) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(body);
+}
+
+/**
+ * GET /api/calendar/feed
+ * Get the current user's calendar subscription URL
+ */
+router.get('/feed', authenticate, async (req, res) => {
+  try {
+    const token = await getCalendarToken(req.user.id);
+    res.json({ feedUrl: calendarFeedUrl(token) });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to get calendar feed' });
+  }
+});
+
+/**
+ * POST /api/calendar/feed/reset
+ * Replace the subscription URL (the old one stops working)
+ */
+router.post('/feed/reset', authenticate, async (req, res) => {
+  try {
+    const token = await getCalendarToken(req.user.id, { reset: true });
+    res.json({ feedUrl: calendarFeedUrl(token) });
+  } catch (error) {
+    console.error('Reset calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to reset calendar feed' });
+  }
+});
+
+/**
+ * GET /api/calendar/events/:id.ics
+ * Download a single Hub event
+ */
+router.get('/events/:id.ics', authenticate, async (req, res) => {
+  try {
+    const event = await prisma.event.findUnique({
+      where: { id: req.params.id },
+      include: { group: { select: { isPrivate: true } } },
+    });
+    if (!event || !canViewEvent(event, await loadViewerContext(req.user.id))) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const rsvp = await prisma.eventRsvp.findUnique({
+      where: { eventId_userId: { eventId: event.id, userId: req.user.id } },
+      select: { status: true },
+    });
+
+    const body = buildCalendar({
+      name: event.title,
+      events: [hubEventEntry(event, { rsvpStatus: rsvp?.status })],
+    });
+    sendCalendar(res, body, `event-${event.id}.ics`);
+  } catch (error) {
+    console.error('Download event calendar error:', error);
+    res.status(500).json({ error: 'Failed to build event calendar' });
+  }
+});
+
+/**
+ * GET /api/calendar/:token.ics
+ * Personal calendar feed for calendar apps (the token is the credential)
+ */
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { calendarToken: req.params.token },
+      select: { id: true, firstName: true, status: true, suspendedUntil: true },
+    });
+    if (!user || accountBlock(user)) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const events = await loadCalendarEntries(user.id);
+    sendCalendar(res, buildCalendar({ name: `Maestroverse (${user.firstName})`, events }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+export default router;
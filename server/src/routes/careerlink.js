@@ -2,10 +2,68 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticate } from '../middleware/auth.js';
 import { z } from 'zod';
+import { BLOCKED_ERROR, isBlockedBetween, canNotifyUser } from '../utils/blocks/store.js';
+import {
+  ENTRY_VISIBILITY,
+  PORTFOLIO_SECTIONS,
+  MAX_ENTRIES_PER_SECTION,
+  dateRangeError,
+  visibleEntryLevels,
+  portfolioEntriesInclude,
+  reorderError,
+} from '../utils/portfolioEntries.js';
+import {
+  RESUME_TEMPLATES,
+  DEFAULT_RESUME_TEMPLATE,
+  buildResumeContent,
+  resumeToText,
+  resumeToMarkdown,
+} from '../utils/resumeContent.js';
+import { generateResume, resumeDetails, loadResumeSources } from '../utils/resumes.js';
+import { fromJsonResume, toJsonResume, planImport } from '../utils/jsonResume/mapping.js';
+import { loadImportContext, applyImportPlan } from '../utils/jsonResume/store.js';
+import {
+  PUBLIC_SECTIONS,
+  MAX_SLUG_LENGTH,
+  MAX_SHARE_LINK_DAYS,
+  slugError,
+  suggestSlug,
+} from '../utils/publicPortfolios/rules.js';
+import {
+  sharingDetails,
+  createShareLink,
+  portfolioViewStats,
+} from '../utils/publicPortfolios/store.js';
+import {
+  findListedSkill,
+  summarizeEndorsements,
+  rankByEndorsements,
+} from '../utils/endorsements/rules.js';
+import { loadEndorsements, loadEndorsementScores } from '../utils/endorsements/store.js';
+import { resumeRateLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * Whether two users have an accepted connection
+ * @param {string} userId - One user
+ * @param {string} otherUserId - The other user
+ * @returns {Promise<boolean>}
+ */
+async function areConnected(userId, otherUserId) {
+  const count = await prisma.connection.count({
+    where: {
+      status: 'ACCEPTED',
+      OR: [
+        { requesterId: userId, addresseeId: otherUserId },
+        { requesterId: otherUserId, addresseeId: userId },
+      ],
+    },
+  });
+  return count > 0;
+}
+
 // ========== PORTFOLIOS ==========
 
 const updatePortfolioSchema = z.object({
@@ -14,56 +72,375 @@ const updatePortfolioSchema = z.object({
   website: z.string().url().optional().or(z.literal('')),
   linkedin: z.string().url().optional().or(z.literal('')),
   github: z.string().url().optional().or(z.literal('')),
-  experience: z.array(z.any()).optional(),
-  education: z.array(z.any()).optional(),
+});
+
+const portfolioUserSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  photoUrl: true,
+  major: true,
+  year: true,
+  skills: true,
+};
+
+// Export, import and sharing are registered before the /portfolio/:userId and
+// /portfolio/:section routes so their paths aren't taken as IDs.
+
+const exportPortfolioSchema = z.object({
+  format: z.enum(['jsonresume', 'text', 'markdown']).optional().default('jsonresume'),
+});
+
+const resumeString = (max) => z.string().max(max).optional().nullable();
+const resumeList = (item, max) => z.array(item).max(max).optional();
+const resumeHighlights = resumeList(z.string().max(1000), 50);
+
+// JSON Resume document (https://jsonresume.org/schema); only the parts that are imported
+const jsonResumeSchema = z.object({
+  basics: z
+    .object({
+      label: resumeString(200),
+      url: resumeString(500),
+      summary: resumeString(5000),
+      profiles: resumeList(z.object({ network: resumeString(100), url: resumeString(500) }), 20),
+    })
+    .optional(),
+  work: resumeList(
+    z.object({
+      name: resumeString(200),
+      position: resumeString(200),
+      location: resumeString(200),
+      summary: resumeString(5000),
+      highlights: resumeHighlights,
+      startDate: resumeString(30),
+      endDate: resumeString(30),
+    }),
+    MAX_ENTRIES_PER_SECTION
+  ),
+  education: resumeList(
+    z.object({
+      institution: resumeString(200),
+      studyType: resumeString(200),
+      area: resumeString(200),
+      score: resumeString(50),
+      courses: resumeList(z.string().max(200), 50),
+      startDate: resumeString(30),
+      endDate: resumeString(30),
+    }),
+    MAX_ENTRIES_PER_SECTION
+  ),
+  certificates: resumeList(
+    z.object({
+      name: resumeString(200),
+      issuer: resumeString(200),
+      url: resumeString(500),
+      date: resumeString(30),
+    }),
+    MAX_ENTRIES_PER_SECTION
+  ),
+  awards: resumeList(
+    z.object({
+      title: resumeString(200),
+      awarder: resumeString(200),
+      summary: resumeString(5000),
+      date: resumeString(30),
+    }),
+    MAX_ENTRIES_PER_SECTION
+  ),
+  skills: resumeList(z.object({ name: resumeString(100) }), 100),
+  projects: resumeList(
+    z.object({
+      name: resumeString(200),
+      description: resumeString(5000),
+      highlights: resumeHighlights,
+      url: resumeString(500),
+      keywords: resumeList(z.string().max(100), 50),
+    }),
+    MAX_ENTRIES_PER_SECTION
+  ),
+});
+
+const importPortfolioSchema = z.object({ resume: jsonResumeSchema });
+
+/**
+ * Compare a JSON Resume import with the current user's portfolio
+ * @param {string} userId - Current user's ID
+ * @param {Object} body - Request body { resume }
+ * @returns {Promise<Object>} { context, plan }
+ */
+async function planPortfolioImport(userId, body) {
+  const { resume } = importPortfolioSchema.parse(body);
+  const context = await loadImportContext(userId);
+  return { context, plan: planImport(context, fromJsonResume(resume)) };
+}
+
+/**
+ * GET /api/careerlink/portfolio/export
+ * Export the current user's portfolio
+ * Query: format - jsonresume (default; everything), text or markdown (the resume content)
+ */
+router.get('/portfolio/export', authenticate, async (req, res) => {
+  try {
+    const { format } = exportPortfolioSchema.parse(req.query);
+
+    if (format === 'jsonresume') {
+      const sources = await loadResumeSources(req.user.id, { includePrivate: true });
+      return res.json(toJsonResume(sources));
+    }
+
+    const content = buildResumeContent(await loadResumeSources(req.user.id));
+    if (format === 'markdown') {
+      return res.type('text/markdown').send(resumeToMarkdown(content));
+    }
+    res.type('text/plain').send(resumeToText(content));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Export portfolio error:', error);
+    res.status(500).json({ error: 'Failed to export portfolio' });
+  }
+});
+
+/**
+ * POST /api/careerlink/portfolio/import/preview
+ * Show what importing a JSON Resume would change, without changing anything
+ * Body: { resume }
+ */
+router.post('/portfolio/import/preview', authenticate, async (req, res) => {
+  try {
+    const { plan } = await planPortfolioImport(req.user.id, req.body);
+    res.json({ plan });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Preview portfolio import error:', error);
+    res.status(500).json({ error: 'Failed to preview import' });
+  }
+});
+
+/**
+ * POST /api/careerlink/portfolio/import
+ * Import a JSON Resume into the current user's portfolio (see the preview endpoint)
+ * Body: { resume }
+ */
+router.post('/portfolio/import', authenticate, async (req, res) => {
+  try {
+    const { context, plan } = await planPortfolioImport(req.user.id, req.body);
+
+    const full = Object.keys(PORTFOLIO_SECTIONS).find(
+      (section) =>
+        (context.portfolio[section]?.length || 0) + plan.sections[section].added.length >
+        MAX_ENTRIES_PER_SECTION
+    );
+    if (full) {
+      return res.status(400).json({
+        error: `Importing would put more than ${MAX_ENTRIES_PER_SECTION} entries in ${full}`,
+      });
+    }
+
+    await applyImportPlan(req.user.id, context, plan);
+
+    res.json({ plan, message: 'Resume imported' });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Import portfolio error:', error);
+    res.status(500).json({ error: 'Failed to import resume' });
+  }
+});
+
+const updateSharingSchema = z.object({
+  slug: z.string().trim().toLowerCase().max(MAX_SLUG_LENGTH).optional(),
+  isPublic: z.boolean().optional(),
+  sections: z.array(z.enum(PUBLIC_SECTIONS)).optional(),
+});
+
+const shareLinkSchema = z.object({
+  expiresInDays: z.number().int().min(1).max(MAX_SHARE_LINK_DAYS).nullable().optional(),
+});
+
+const viewStatsSchema = z.object({
+  days: z.coerce.number().int().min(1).max(365).optional().default(30),
+});
+
+/**
+ * GET /api/careerlink/portfolio/sharing
+ * Get the current user's public page settings
+ */
+router.get('/portfolio/sharing', authenticate, async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findUnique({ where: { userId: req.user.id } });
+
+    res.json({
+      sharing: sharingDetails(portfolio),
+      suggestedSlug: portfolio?.publicSlug ? null : suggestSlug(req.user),
+      sections: PUBLIC_SECTIONS,
+    });
+  } catch (error) {
+    console.error('Get portfolio sharing error:', error);
+    res.status(500).json({ error: 'Failed to fetch sharing settings' });
+  }
+});
+
+/**
+ * PUT /api/careerlink/portfolio/sharing
+ * Update the current user's public page
+ * Body: { slug?, isPublic?, sections? }
+ */
+router.put('/portfolio/sharing', authenticate, async (req, res) => {
+  try {
+    const { slug, isPublic, sections } = updateSharingSchema.parse(req.body);
+
+    if (slug !== undefined) {
+      const error = slugError(slug);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+    }
+
+    const current = await prisma.portfolio.findUnique({
+      where: { userId: req.user.id },
+      select: { publicSlug: true },
+    });
+    if (isPublic && !(slug ?? current?.publicSlug)) {
+      return res.status(400).json({ error: 'Choose a slug before making your portfolio public' });
+    }
+
+    const data = {
+      ...(slug !== undefined && { publicSlug: slug }),
+      ...(isPublic !== undefined && { isPublic }),
+      ...(sections && { publicSections: PUBLIC_SECTIONS.filter((s) => sections.includes(s)) }),
+    };
+    const portfolio = await prisma.portfolio.upsert({
+      where: { userId: req.user.id },
+      create: { userId: req.user.id, ...data },
+      update: data,
+    });
+
+    res.json({ sharing: sharingDetails(portfolio) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'This slug is already taken' });
+    }
+    console.error('Update portfolio sharing error:', error);
+    res.status(500).json({ error: 'Failed to update sharing settings' });
+  }
+});
+
+/**
+ * POST /api/careerlink/portfolio/sharing/link
+ * Create a share link for the current user's public page, replacing any
+ * earlier one; it works while the page isn't public
+ * Body: { expiresInDays? } (no expiry if omitted)
+ */
+router.post('/portfolio/sharing/link', authenticate, async (req, res) => {
+  try {
+    const { expiresInDays } = shareLinkSchema.parse(req.body);
+
+    const current = await prisma.portfolio.findUnique({
+      where: { userId: req.user.id },
+      select: { publicSlug: true },
+    });
+    if (!current?.publicSlug) {
+      return res.status(400).json({ error: 'Choose a slug before creating a share link' });
+    }
+
+    const portfolio = await createShareLink(req.user.id, expiresInDays ?? null);
+    res.status(201).json({ sharing: sharingDetails(portfolio) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Create share link error:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+/**
+ * DELETE /api/careerlink/portfolio/sharing/link
+ * Revoke the current user's share link
+ */
+router.delete('/portfolio/sharing/link', authenticate, async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.update({
+      where: { userId: req.user.id },
+      data: { shareToken: null, shareTokenExpiresAt: null },
+    });
+
+    res.json({ sharing: sharingDetails(portfolio) });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+/**
+ * GET /api/careerlink/portfolio/sharing/views
+ * View analytics for the current user's public page
+ * Query: days - period for the recent counts and referrers (default 30)
+ */
+router.get('/portfolio/sharing/views', authenticate, async (req, res) => {
+  try {
+    const { days } = viewStatsSchema.parse(req.query);
+
+    const portfolio = await prisma.portfolio.findUnique({
+      where: { userId: req.user.id },
+      select: { id: true },
+    });
+    if (!portfolio) {
+      return res.json({ views: { total: 0, days, recent: 0, viaShareLink: 0, referrers: [] } });
+    }
+
+    res.json({ views: await portfolioViewStats(portfolio.id, days) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Get portfolio views error:', error);
+    res.status(500).json({ error: 'Failed to fetch portfolio views' });
+  }
 });
 
 /**
  * GET /api/careerlink/portfolio/:userId
- * Get user's portfolio
+ * Get user's portfolio, with the entries the viewer is allowed to see
  */
 router.get('/portfolio/:userId', authenticate, async (req, res) => {
   try {
+    const { userId } = req.params;
+    const isOwner = userId === req.user.id;
+    const isConnection = !isOwner && (await areConnected(req.user.id, userId));
+
+    const include = {
+      user: { select: portfolioUserSelect },
+      ...portfolioEntriesInclude(visibleEntryLevels({ isOwner, isConnection })),
+    };
+    // The stored resume file is only reachable through GET /resume's signed
+    // URL, and the share link only through GET /portfolio/sharing
+    const omit = { resumeFile: true, shareToken: true, shareTokenExpiresAt: true };
+
     const portfolio = await prisma.portfolio.findUnique({
-      where: { userId: req.params.userId },
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            photoUrl: true,
-            major: true,
-            year: true,
-            skills: true,
-          },
-        },
-      },
+      where: { userId },
+      include,
+      omit,
     });
 
     if (!portfolio) {
       // Create empty portfolio if doesn't exist
       const newPortfolio = await prisma.portfolio.create({
-        data: {
-          userId: req.params.userId,
-          experience: [],
-          education: [],
-        },
-        include: {
-          user: {
-            select: {
-              id: true,
-              username: true,
-              firstName: true,
-              lastName: true,
-              photoUrl: true,
-              major: true,
-              year: true,
-              skills: true,
-            },
-          },
-        },
+        data: { userId },
+        include,
+        omit,
       });
       return res.json({ portfolio: newPortfolio });
     }
@@ -78,32 +455,18 @@ router.get('/portfolio/:userId', authenticate, async (req, res) => {
 /**
  * PUT /api/careerlink/portfolio
  * Update current user's portfolio
+ * Experience, education, certifications and awards have their own endpoints below.
  */
 router.put('/portfolio', authenticate, async (req, res) => {
   try {
     const data = updatePortfolioSchema.parse(req.body);
 
-    // Find or create portfolio
-    let portfolio = await prisma.portfolio.findUnique({
+    const portfolio = await prisma.portfolio.upsert({
       where: { userId: req.user.id },
+      create: { userId: req.user.id, ...data },
+      update: data,
     });
 
-    if (!portfolio) {
-      portfolio = await prisma.portfolio.create({
-        data: {
-          userId: req.user.id,
-          ...data,
-          experience: data.experience || [],
-          education: data.education || [],
-        },
-      });
-    } else {
-      portfolio = await prisma.portfolio.update({
-        where: { userId: req.user.id },
-        data,
-      });
-    }
-
     res.json({ portfolio });
   } catch (error) {
     if (error instanceof z.ZodError) {
@@ -114,6 +477,287 @@ router.put('/portfolio', authenticate, async (req, res) => {
   }
 });
 
+// ========== PORTFOLIO ENTRIES ==========
+
+const entryText = (max) => z.string().trim().max(max).nullable().optional();
+const entryDate = z.coerce.date().nullable().optional();
+const entryVisibility = z.enum(ENTRY_VISIBILITY).optional();
+
+const entrySchemas = {
+  experience: z.object({
+    title: z.string().trim().min(1).max(200),
+    company: z.string().trim().min(1).max(200),
+    location: entryText(200),
+    description: entryText(5000),
+    startDate: entryDate,
+    endDate: entryDate,
+    visibility: entryVisibility,
+  }),
+  education: z.object({
+    institution: z.string().trim().min(1).max(200),
+    degree: entryText(200),
+    fieldOfStudy: entryText(200),
+    description: entryText(5000),
+    startDate: entryDate,
+    endDate: entryDate,
+    visibility: entryVisibility,
+  }),
+  certifications: z.object({
+    name: z.string().trim().min(1).max(200),
+    issuer: z.string().trim().min(1).max(200),
+    credentialId: entryText(200),
+    credentialUrl: z
+      .string()
+      .url()
+      .or(z.literal(''))
+      .nullable()
+      .optional()
+      .transform((url) => (url === '' ? null : url)),
+    issuedAt: entryDate,
+    expiresAt: entryDate,
+    visibility: entryVisibility,
+  }),
+  awards: z.object({
+    title: z.string().trim().min(1).max(200),
+    issuer: entryText(200),
+    description: entryText(5000),
+    awardedAt: entryDate,
+    visibility: entryVisibility,
+  }),
+};
+
+const reorderEntriesSchema = z.object({
+  ids: z.array(z.string()).max(MAX_ENTRIES_PER_SECTION),
+});
+
+/**
+ * Load one of the current user's portfolio entries
+ * @param {string} section - Section name
+ * @param {string} id - Entry ID
+ * @param {string} userId - Current user's ID
+ * @returns {Promise<Object|null>} The entry, or null if it isn't theirs
+ */
+async function findOwnEntry(section, id, userId) {
+  const entry = await prisma[PORTFOLIO_SECTIONS[section].model].findUnique({
+    where: { id },
+    include: { portfolio: { select: { userId: true } } },
+  });
+  return entry?.portfolio.userId === userId ? entry : null;
+}
+
+/**
+ * POST /api/careerlink/portfolio/:section
+ * Add an entry to the end of a section of the current user's portfolio
+ * Sections: experience, education, certifications, awards
+ */
+router.post('/portfolio/:section', authenticate, async (req, res) => {
+  try {
+    const { section } = req.params;
+    const config = PORTFOLIO_SECTIONS[section];
+    if (!config) {
+      return res.status(404).json({ error: 'Unknown portfolio section' });
+    }
+
+    const data = entrySchemas[section].parse(req.body);
+    const rangeError = dateRangeError(section, data);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const portfolio = await prisma.portfolio.upsert({
+      where: { userId: req.user.id },
+      create: { userId: req.user.id },
+      update: {},
+      select: { id: true },
+    });
+
+    const model = prisma[config.model];
+    const { _count, _max } = await model.aggregate({
+      where: { portfolioId: portfolio.id },
+      _count: true,
+      _max: { position: true },
+    });
+    if (_count >= MAX_ENTRIES_PER_SECTION) {
+      return res
+        .status(400)
+        .json({ error: `A section can have at most ${MAX_ENTRIES_PER_SECTION} entries` });
+    }
+
+    const entry = await model.create({
+      data: {
+        ...data,
+        portfolioId: portfolio.id,
+        position: (_max.position ?? -1) + 1,
+      },
+    });
+
+    res.status(201).json({ entry });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Create portfolio entry error:', error);
+    res.status(500).json({ error: 'Failed to add portfolio entry' });
+  }
+});
+
+/**
+ * PUT /api/careerlink/portfolio/:section/order
+ * Reorder a section of the current user's portfolio
+ * Body: { ids } - every entry ID in the section, in the new order
+ */
+router.put('/portfolio/:section/order', authenticate, async (req, res) => {
+  try {
+    const { section } = req.params;
+    const config = PORTFOLIO_SECTIONS[section];
+    if (!config) {
+      return res.status(404).json({ error: 'Unknown portfolio section' });
+    }
+
+    const { ids } = reorderEntriesSchema.parse(req.body);
+    const model = prisma[config.model];
+    const existing = await model.findMany({
+      where: { portfolio: { userId: req.user.id } },
+      select: { id: true },
+    });
+
+    const orderError = reorderError(
+      ids,
+      existing.map((entry) => entry.id)
+    );
+    if (orderError) {
+      return res.status(400).json({ error: orderError });
+    }
+
+    await prisma.$transaction(
+      ids.map((id, position) => model.update({ where: { id }, data: { position } }))
+    );
+
+    res.json({ message: `${config.label} order updated` });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Reorder portfolio entries error:', error);
+    res.status(500).json({ error: 'Failed to reorder portfolio entries' });
+  }
+});
+
+/**
+ * PUT /api/careerlink/portfolio/:section/:id
+ * Update an entry in the current user's portfolio
+ */
+router.put('/portfolio/:section/:id', authenticate, async (req, res) => {
+  try {
+    const { section, id } = req.params;
+    const config = PORTFOLIO_SECTIONS[section];
+    if (!config) {
+      return res.status(404).json({ error: 'Unknown portfolio section' });
+    }
+
+    const data = entrySchemas[section].partial().parse(req.body);
+
+    const existing = await findOwnEntry(section, id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: `${config.label} entry not found` });
+    }
+
+    const rangeError = dateRangeError(section, { ...existing, ...data });
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const entry = await prisma[config.model].update({
+      where: { id },
+      data,
+    });
+
+    res.json({ entry });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Update portfolio entry error:', error);
+    res.status(500).json({ error: 'Failed to update portfolio entry' });
+  }
+});
+
+/**
+ * DELETE /api/careerlink/portfolio/:section/:id
+ * Remove an entry from the current user's portfolio
+ */
+router.delete('/portfolio/:section/:id', authenticate, async (req, res) => {
+  try {
+    const { section, id } = req.params;
+    const config = PORTFOLIO_SECTIONS[section];
+    if (!config) {
+      return res.status(404).json({ error: 'Unknown portfolio section' });
+    }
+
+    const existing = await findOwnEntry(section, id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: `${config.label} entry not found` });
+    }
+
+    await prisma[config.model].delete({ where: { id } });
+
+    res.json({ message: `${config.label} entry deleted` });
+  } catch (error) {
+    console.error('Delete portfolio entry error:', error);
+    res.status(500).json({ error: 'Failed to delete portfolio entry' });
+  }
+});
+
+// ========== RESUMES ==========
+
+const generateResumeSchema = z.object({
+  template: z.enum(Object.keys(RESUME_TEMPLATES)).optional().default(DEFAULT_RESUME_TEMPLATE),
+});
+
+const resumeTemplates = Object.entries(RESUME_TEMPLATES).map(([id, template]) => ({
+  id,
+  label: template.label,
+}));
+
+/**
+ * GET /api/careerlink/resume
+ * Get the current user's generated resume (with a fresh download URL) and the templates
+ */
+router.get('/resume', authenticate, async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findUnique({
+      where: { userId: req.user.id },
+      select: { resumeFile: true, resumeTemplate: true, resumeGeneratedAt: true },
+    });
+
+    res.json({ resume: resumeDetails(portfolio, req.user.id), templates: resumeTemplates });
+  } catch (error) {
+    console.error('Get resume error:', error);
+    res.status(500).json({ error: 'Failed to fetch resume' });
+  }
+});
+
+/**
+ * POST /api/careerlink/resume
+ * Generate (or regenerate) the current user's PDF resume
+ * Body: { template? }
+ */
+router.post('/resume', authenticate, resumeRateLimiter, async (req, res) => {
+  try {
+    const { template } = generateResumeSchema.parse(req.body);
+
+    const portfolio = await generateResume(req.user.id, template);
+
+    res.status(201).json({ resume: resumeDetails(portfolio, req.user.id) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Generate resume error:', error);
+    res.status(500).json({ error: 'Failed to generate resume' });
+  }
+});
+
 // ========== PROJECTS ==========
 
 /**
@@ -307,6 +951,10 @@ router.post('/connections/:userId', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Cannot connect with yourself' });
     }
 
+    if (await isBlockedBetween(req.user.id, addresseeId)) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
     // Check if connection already exists
     const existing = await prisma.connection.findFirst({
       where: {
@@ -329,15 +977,17 @@ router.post('/connections/:userId', authenticate, async (req, res) => {
       },
     });
 
-    // Create notification
-    await prisma.notification.create({
-      data: {
-        type: 'CONNECTION',
-        message: `${req.user.firstName} ${req.user.lastName} sent you a connection request`,
-        link: `/careerlink/connections`,
-        userId: addresseeId,
-      },
-    });
+    // Create notification (skipped if the addressee muted the requester)
+    if (await canNotifyUser(req.user.id, addresseeId)) {
+      await prisma.notification.create({
+        data: {
+          type: 'CONNECTION',
+          message: `${req.user.firstName} ${req.user.lastName} sent you a connection request`,
+          link: `/careerlink/connections`,
+          userId: addresseeId,
+        },
+      });
+    }
 
     res.status(201).json({ connection });
   } catch (error) {
@@ -372,40 +1022,185 @@ router.put('/connections/:id/accept', authenticate, async (req, res) => {
   }
 });
 
+// ========== ENDORSEMENTS ==========
+
+const endorseSchema = z.object({
+  skill: z.string().trim().min(1).max(100),
+});
+
+/**
+ * GET /api/careerlink/endorsements/:userId
+ * Get the endorsements of each of a user's skills, with who gave them
+ */
+router.get('/endorsements/:userId', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.userId },
+      select: { id: true, skills: true },
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [endorsements, canEndorse] = await Promise.all([
+      loadEndorsements(user.id),
+      user.id !== req.user.id && areConnected(req.user.id, user.id),
+    ]);
+
+    res.json({
+      skills: summarizeEndorsements(user.skills, endorsements, req.user.id),
+      canEndorse,
+    });
+  } catch (error) {
+    console.error('Get endorsements error:', error);
+    res.status(500).json({ error: 'Failed to fetch endorsements' });
+  }
+});
+
+/**
+ * POST /api/careerlink/endorsements/:userId
+ * Endorse one of a connection's skills
+ * Body: { skill }
+ */
+router.post('/endorsements/:userId', authenticate, async (req, res) => {
+  try {
+    const { skill } = endorseSchema.parse(req.body);
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot endorse your own skills' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, skills: true },
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await areConnected(req.user.id, userId))) {
+      return res.status(403).json({ error: 'You can only endorse your connections' });
+    }
+
+    const listed = findListedSkill(user.skills, skill);
+    if (!listed) {
+      return res.status(400).json({ error: 'This user does not list that skill' });
+    }
+
+    const endorsement = await prisma.skillEndorsement.create({
+      data: {
+        userId,
+        endorserId: req.user.id,
+        skill: listed,
+        byFaculty: req.user.role === 'FACULTY',
+      },
+    });
+
+    if (await canNotifyUser(req.user.id, userId)) {
+      await prisma.notification.create({
+        data: {
+          type: 'ENDORSEMENT',
+          message: `${req.user.firstName} ${req.user.lastName} endorsed your ${listed} skill`,
+          link: '/profile',
+          userId,
+        },
+      });
+    }
+
+    res.status(201).json({ endorsement });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'You already endorsed this skill' });
+    }
+    console.error('Endorse skill error:', error);
+    res.status(500).json({ error: 'Failed to endorse skill' });
+  }
+});
+
+/**
+ * DELETE /api/careerlink/endorsements/:userId/:skill
+ * Withdraw your endorsement of one of a user's skills
+ */
+router.delete('/endorsements/:userId/:skill', authenticate, async (req, res) => {
+  try {
+    const { count } = await prisma.skillEndorsement.deleteMany({
+      where: {
+        userId: req.params.userId,
+        endorserId: req.user.id,
+        skill: { equals: req.params.skill, mode: 'insensitive' },
+      },
+    });
+    if (count === 0) {
+      return res.status(404).json({ error: 'Endorsement not found' });
+    }
+
+    res.json({ message: 'Endorsement withdrawn' });
+  } catch (error) {
+    console.error('Withdraw endorsement error:', error);
+    res.status(500).json({ error: 'Failed to withdraw endorsement' });
+  }
+});
+
+// ========== BROWSE ==========
+
+const BROWSE_LIMIT = 50;
+
 /**
  * GET /api/careerlink/browse
- * Browse students by filters
+ * Browse students by filters, most endorsed first (endorsements of the
+ * filtered skills when filtering by skills; faculty endorsements count more)
  */
 router.get('/browse', authenticate, async (req, res) => {
   try {
     const { major, year, skills } = req.query;
+    const skillList = skills ? skills.split(',') : undefined;
 
     const where = {};
     if (major) where.major = major;
     if (year) where.year = parseInt(year);
-    if (skills) where.skills = { hasSome: skills.split(',') };
+    if (skillList) where.skills = { hasSome: skillList };
 
-    const students = await prisma.user.findMany({
-      where,
-      select: {
-        id: true,
-        username: true,
-        firstName: true,
-        lastName: true,
-        photoUrl: true,
-        bio: true,
-        major: true,
-        year: true,
-        skills: true,
-        _count: {
-          select: {
-            projects: true,
-            connections: true,
-          },
+    const select = {
+      id: true,
+      username: true,
+      firstName: true,
+      lastName: true,
+      photoUrl: true,
+      bio: true,
+      major: true,
+      year: true,
+      skills: true,
+      _count: {
+        select: {
+          projects: true,
+          connections: true,
         },
       },
-      take: 50,
-    });
+    };
+
+    // The most endorsed students first, then fill up with the rest
+    const scores = await loadEndorsementScores(where, skillList);
+    const endorsedIds = [...scores.keys()]
+      .sort((a, b) => scores.get(b).score - scores.get(a).score)
+      .slice(0, BROWSE_LIMIT);
+    const [endorsed, others] = await Promise.all([
+      endorsedIds.length > 0
+        ? prisma.user.findMany({ where: { id: { in: endorsedIds } }, select })
+        : [],
+      prisma.user.findMany({
+        where: { ...where, id: { notIn: endorsedIds } },
+        select,
+        take: BROWSE_LIMIT - endorsedIds.length,
+      }),
+    ]);
+
+    const students = rankByEndorsements([...endorsed, ...others], scores).map((student) => ({
+      ...student,
+      endorsements: scores.get(student.id) || { count: 0, facultyCount: 0, score: 0 },
+    }));
 
     res.json({ students });
   } catch (error) {
@@ -1,20 +1,75 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticate } from '../middleware/auth.js';
+import { parsePagination, paginate } from '../utils/pagination.js';
+import { syncContentLinks } from '../utils/contentLinks.js';
+import { isReactionType, withReactionSummary } from '../utils/reactionSet.js';
+import { reactionInclude, toggleReaction } from '../utils/reactions.js';
+import { archiveRevision, loadRevisionHistory } from '../utils/revisions.js';
+import { ROLES, canAccessResource, requireRoleLevel } from '../middleware/rbac.js';
+import {
+  describeSchedule,
+  findOccurrence,
+  formatOccurrence,
+  groupSchedule,
+  parseScheduleInput,
+  presentSchedule,
+  sameSchedule,
+} from '../utils/recurrence.js';
+import {
+  CHECK_IN_OPENS_MINUTES,
+  clearUpcomingSessions,
+  loadOccurrences,
+  notifyGroupMembers,
+  studyGroupLink,
+} from '../utils/studyGroups.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * Keep only users who belong to a study group (used to filter mention notifications)
+ */
+async function filterStudyGroupMembers(studyGroupId, userIds) {
+  const members = await prisma.studyGroupMember.findMany({
+    where: { studyGroupId, userId: { in: userIds } },
+    select: { userId: true },
+  });
+  return members.map((m) => m.userId);
+}
+
+/**
+ * Find a study group and the current user's membership in it
+ */
+async function findGroupMembership(studyGroupId, userId) {
+  const studyGroup = await prisma.studyGroup.findUnique({ where: { id: studyGroupId } });
+  const membership = studyGroup
+    ? await prisma.studyGroupMember.findUnique({
+        where: { studyGroupId_userId: { studyGroupId, userId } },
+      })
+    : null;
+  return { studyGroup, membership };
+}
+
 // ========== COURSES ==========
 
 /**
  * GET /api/collabspace/courses
  * Get all courses
+ * Query: cursor, limit (by course code)
  */
 router.get('/courses', authenticate, async (req, res) => {
   try {
-    const courses = await prisma.course.findMany({
-      orderBy: { code: 'asc' },
+    // Course lists feed pickers, so the default page is larger than usual
+    const pagination = parsePagination(req.query, { defaultLimit: 100 });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const page = await paginate(prisma.course, {
+      sortField: 'code',
+      order: 'asc',
+      ...pagination,
       include: {
         _count: {
           select: {
@@ -26,7 +81,7 @@ router.get('/courses', authenticate, async (req, res) => {
       },
     });
 
-    res.json({ courses });
+    res.json({ courses: page.items, nextCursor: page.nextCursor, prevCursor: page.prevCursor });
   } catch (error) {
     console.error('Get courses error:', error);
     res.status(500).json({ error: 'Failed to fetch courses' });
@@ -59,34 +114,57 @@ router.post('/courses', authenticate, async (req, res) => {
 
 // ========== THREADS (FORUMS) ==========
 
+const threadListInclude = {
+  author: {
+    select: {
+      id: true,
+      username: true,
+      firstName: true,
+      lastName: true,
+      photoUrl: true,
+    },
+  },
+  _count: {
+    select: {
+      replies: true,
+    },
+  },
+};
+
 /**
  * GET /api/collabspace/courses/:courseId/threads
  * Get course threads
+ * Query: cursor, limit (pinned threads lead the first page, then newest first)
  */
 router.get('/courses/:courseId/threads', authenticate, async (req, res) => {
   try {
-    const threads = await prisma.thread.findMany({
-      where: { courseId: req.params.courseId },
-      orderBy: [{ isPinned: 'desc' }, { createdAt: 'desc' }],
-      include: {
-        author: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            photoUrl: true,
-          },
-        },
-        _count: {
-          select: {
-            replies: true,
-          },
-        },
-      },
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const { courseId } = req.params;
+
+    // Pinned threads are few and sit outside the cursor sequence
+    const pinned = pagination.cursor
+      ? []
+      : await prisma.thread.findMany({
+          where: { courseId, isPinned: true },
+          orderBy: { createdAt: 'desc' },
+          include: threadListInclude,
+        });
+
+    const page = await paginate(prisma.thread, {
+      where: { courseId, isPinned: false },
+      include: threadListInclude,
+      ...pagination,
     });
 
-    res.json({ threads });
+    res.json({
+      threads: [...pinned, ...page.items],
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
   } catch (error) {
     console.error('Get threads error:', error);
     res.status(500).json({ error: 'Failed to fetch threads' });
@@ -121,6 +199,14 @@ router.post('/threads', authenticate, async (req, res) => {
       },
     });
 
+    await syncContentLinks(req.app.get('io'), {
+      sourceType: 'THREAD',
+      sourceId: thread.id,
+      author: req.user,
+      text: `${title}\n${content}`,
+      link: `/collabspace/threads/${thread.id}`,
+    });
+
     res.status(201).json({ thread });
   } catch (error) {
     console.error('Create thread error:', error);
@@ -159,6 +245,7 @@ router.get('/threads/:id', authenticate, async (req, res) => {
                 photoUrl: true,
               },
             },
+            reactions: reactionInclude,
           },
         },
       },
@@ -174,13 +261,116 @@ router.get('/threads/:id', authenticate, async (req, res) => {
       data: { views: { increment: 1 } },
     });
 
-    res.json({ thread });
+    res.json({
+      thread: {
+        ...thread,
+        replies: thread.replies.map((reply) => withReactionSummary(reply, req.user.id)),
+      },
+    });
   } catch (error) {
     console.error('Get thread error:', error);
     res.status(500).json({ error: 'Failed to fetch thread' });
   }
 });
 
+/**
+ * PUT /api/collabspace/threads/:id
+ * Edit a thread's title and/or content (author only); the previous version is kept as a revision
+ */
+router.put('/threads/:id', authenticate, async (req, res) => {
+  try {
+    const threadId = req.params.id;
+
+    const thread = await prisma.thread.findUnique({
+      where: { id: threadId },
+    });
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    if (thread.authorId !== req.user.id) {
+      return res.status(403).json({ error: 'You can only edit your own threads' });
+    }
+
+    const title = req.body.title ?? thread.title;
+    const content = req.body.content ?? thread.content;
+
+    if (!title || !content) {
+      return res.status(400).json({ error: 'Title and content are required' });
+    }
+
+    const changed = title !== thread.title || content !== thread.content;
+
+    const update = prisma.thread.update({
+      where: { id: threadId },
+      data: changed ? { title, content, editedAt: new Date() } : {},
+      include: {
+        author: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true,
+            photoUrl: true,
+          },
+        },
+      },
+    });
+
+    const results = await prisma.$transaction(
+      changed
+        ? [archiveRevision({ sourceType: 'THREAD', item: thread, editorId: req.user.id }), update]
+        : [update]
+    );
+
+    if (changed) {
+      await syncContentLinks(req.app.get('io'), {
+        sourceType: 'THREAD',
+        sourceId: threadId,
+        author: req.user,
+        text: `${title}\n${content}`,
+        link: `/collabspace/threads/${threadId}`,
+      });
+    }
+
+    res.json({ thread: results[results.length - 1] });
+  } catch (error) {
+    console.error('Edit thread error:', error);
+    res.status(500).json({ error: 'Failed to edit thread' });
+  }
+});
+
+/**
+ * GET /api/collabspace/threads/:id/revisions
+ * Get a thread's edit history with diffs (author or moderator)
+ */
+router.get('/threads/:id/revisions', authenticate, async (req, res) => {
+  try {
+    const thread = await prisma.thread.findUnique({
+      where: { id: req.params.id },
+      include: {
+        author: { select: { id: true, username: true, firstName: true, lastName: true } },
+      },
+    });
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    if (!canAccessResource(req.user, thread, 'authorId')) {
+      return res
+        .status(403)
+        .json({ error: 'Only the author or a moderator can view edit history' });
+    }
+
+    res.json({ revisions: await loadRevisionHistory('THREAD', thread) });
+  } catch (error) {
+    console.error('Get thread revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch edit history' });
+  }
+});
+
 /**
  * DELETE /api/collabspace/threads/:id
  * Delete a thread (author only)
@@ -240,6 +430,14 @@ router.post('/threads/:id/replies', authenticate, async (req, res) => {
       },
     });
 
+    await syncContentLinks(req.app.get('io'), {
+      sourceType: 'THREAD_REPLY',
+      sourceId: reply.id,
+      author: req.user,
+      text: content,
+      link: `/collabspace/threads/${reply.threadId}`,
+    });
+
     res.status(201).json({ reply });
   } catch (error) {
     console.error('Create reply error:', error);
@@ -273,9 +471,11 @@ router.put('/replies/:id', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'You can only edit your own replies' });
     }
 
-    const updatedReply = await prisma.threadReply.update({
+    const contentChanged = content !== reply.content;
+
+    const update = prisma.threadReply.update({
       where: { id: replyId },
-      data: { content },
+      data: contentChanged ? { content, editedAt: new Date() } : {},
       include: {
         author: {
           select: {
@@ -289,6 +489,24 @@ router.put('/replies/:id', authenticate, async (req, res) => {
       },
     });
 
+    const results = await prisma.$transaction(
+      contentChanged
+        ? [
+            archiveRevision({ sourceType: 'THREAD_REPLY', item: reply, editorId: req.user.id }),
+            update,
+          ]
+        : [update]
+    );
+    const updatedReply = results[results.length - 1];
+
+    await syncContentLinks(req.app.get('io'), {
+      sourceType: 'THREAD_REPLY',
+      sourceId: replyId,
+      author: req.user,
+      text: content,
+      link: `/collabspace/threads/${reply.threadId}`,
+    });
+
     res.json({ reply: updatedReply });
   } catch (error) {
     console.error('Edit reply error:', error);
@@ -328,16 +546,88 @@ router.delete('/replies/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/collabspace/replies/:id/revisions
+ * Get a thread reply's edit history with diffs (author or moderator)
+ */
+router.get('/replies/:id/revisions', authenticate, async (req, res) => {
+  try {
+    const reply = await prisma.threadReply.findUnique({
+      where: { id: req.params.id },
+      include: {
+        author: { select: { id: true, username: true, firstName: true, lastName: true } },
+      },
+    });
+
+    if (!reply) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    if (!canAccessResource(req.user, reply, 'authorId')) {
+      return res
+        .status(403)
+        .json({ error: 'Only the author or a moderator can view edit history' });
+    }
+
+    res.json({ revisions: await loadRevisionHistory('THREAD_REPLY', reply) });
+  } catch (error) {
+    console.error('Get reply revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch edit history' });
+  }
+});
+
+/**
+ * POST /api/collabspace/replies/:id/reactions
+ * Toggle an emoji reaction on a thread reply
+ * Body: { type }
+ */
+router.post('/replies/:id/reactions', authenticate, async (req, res) => {
+  try {
+    const { type } = req.body;
+
+    if (!isReactionType(type)) {
+      return res.status(400).json({ error: 'Unknown reaction' });
+    }
+
+    const reply = await prisma.threadReply.findUnique({
+      where: { id: req.params.id },
+      select: { id: true },
+    });
+
+    if (!reply) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    const { reacted, reactions } = await toggleReaction({
+      targetType: 'THREAD_REPLY',
+      targetId: reply.id,
+      userId: req.user.id,
+      type,
+    });
+
+    res.json({ reacted, reactions });
+  } catch (error) {
+    console.error('Reply reaction error:', error);
+    res.status(500).json({ error: 'Failed to react to reply' });
+  }
+});
+
 // ========== STUDY GROUPS ==========
 
 /**
  * GET /api/collabspace/study-groups
  * Browse/discover all study groups with filtering
+ * Query: courseId, cohort, search, tags, cursor, limit (newest first)
  */
 router.get('/study-groups', authenticate, async (req, res) => {
   try {
     const { courseId, cohort, search, tags } = req.query;
 
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
     const where = { isPublic: true };
 
     if (courseId) where.courseId = courseId;
@@ -353,9 +643,9 @@ router.get('/study-groups', authenticate, async (req, res) => {
       where.tags = { hasSome: tagArray };
     }
 
-    const studyGroups = await prisma.studyGroup.findMany({
+    const page = await paginate(prisma.studyGroup, {
       where,
-      orderBy: { createdAt: 'desc' },
+      ...pagination,
       include: {
         course: {
           select: {
@@ -394,13 +684,17 @@ router.get('/study-groups', authenticate, async (req, res) => {
     });
 
     // Add isMember flag for current user
-    const groupsWithMembership = studyGroups.map((group) => ({
+    const groupsWithMembership = page.items.map((group) => ({
       ...group,
       isMember: group.members.some((m) => m.userId === req.user.id),
       isFull: group.members.length >= group.maxMembers,
     }));
 
-    res.json({ studyGroups: groupsWithMembership });
+    res.json({
+      studyGroups: groupsWithMembership,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
   } catch (error) {
     console.error('Get study groups error:', error);
     res.status(500).json({ error: 'Failed to fetch study groups' });
@@ -410,11 +704,19 @@ router.get('/study-groups', authenticate, async (req, res) => {
 /**
  * GET /api/collabspace/study-groups/my-groups
  * Get current user's study groups
+ * Query: cursor, limit (most recently joined first)
  */
 router.get('/study-groups/my-groups', authenticate, async (req, res) => {
   try {
-    const memberships = await prisma.studyGroupMember.findMany({
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const page = await paginate(prisma.studyGroupMember, {
       where: { userId: req.user.id },
+      sortField: 'joinedAt',
+      ...pagination,
       include: {
         studyGroup: {
           include: {
@@ -447,13 +749,13 @@ router.get('/study-groups/my-groups', authenticate, async (req, res) => {
       },
     });
 
-    const studyGroups = memberships.map((m) => ({
+    const studyGroups = page.items.map((m) => ({
       ...m.studyGroup,
       membershipRole: m.role,
       joinedAt: m.joinedAt,
     }));
 
-    res.json({ studyGroups });
+    res.json({ studyGroups, nextCursor: page.nextCursor, prevCursor: page.prevCursor });
   } catch (error) {
     console.error('Get my groups error:', error);
     res.status(500).json({ error: 'Failed to fetch your study groups' });
@@ -512,6 +814,7 @@ router.get('/study-groups/:id', authenticate, async (req, res) => {
     res.json({
       studyGroup: {
         ...studyGroup,
+        schedule: presentSchedule(studyGroup),
         isMember: !!membership,
         membershipRole: membership?.role,
         isFull: studyGroup.members.length >= studyGroup.maxMembers,
@@ -526,6 +829,8 @@ router.get('/study-groups/:id', authenticate, async (req, res) => {
 /**
  * POST /api/collabspace/study-groups
  * Create a study group
+ * Body may include schedule: { startDate, startTime, durationMinutes, timezone, frequency,
+ * interval, byDay, until | count, exdates } for recurring meetings
  */
 router.post('/study-groups', authenticate, async (req, res) => {
   try {
@@ -540,8 +845,14 @@ router.post('/study-groups', authenticate, async (req, res) => {
       meetingTime,
       meetingDays,
       location,
+      schedule,
     } = req.body;
 
+    const parsedSchedule = schedule ? parseScheduleInput(schedule) : { data: {} };
+    if (parsedSchedule.error) {
+      return res.status(400).json({ error: parsedSchedule.error });
+    }
+
     const studyGroup = await prisma.studyGroup.create({
       data: {
         name,
@@ -552,9 +863,10 @@ router.post('/study-groups', authenticate, async (req, res) => {
         tags: tags || [],
         maxMembers: maxMembers || 10,
         isPublic: isPublic !== false,
-        meetingTime,
+        meetingTime: meetingTime || describeSchedule(parsedSchedule.data),
         meetingDays: meetingDays || [],
         location,
+        ...parsedSchedule.data,
         members: {
           create: {
             userId: req.user.id,
@@ -578,7 +890,7 @@ router.post('/study-groups', authenticate, async (req, res) => {
       },
     });
 
-    res.status(201).json({ studyGroup });
+    res.status(201).json({ studyGroup: { ...studyGroup, schedule: presentSchedule(studyGroup) } });
   } catch (error) {
     console.error('Create study group error:', error);
     res.status(500).json({ error: 'Failed to create study group' });
@@ -588,6 +900,7 @@ router.post('/study-groups', authenticate, async (req, res) => {
 /**
  * PUT /api/collabspace/study-groups/:id
  * Update study group (admin only)
+ * schedule: null removes the recurring schedule; changing it notifies members
  */
 router.put('/study-groups/:id', authenticate, async (req, res) => {
   try {
@@ -617,8 +930,25 @@ router.put('/study-groups/:id', authenticate, async (req, res) => {
       meetingTime,
       meetingDays,
       location,
+      schedule,
     } = req.body;
 
+    const parsedSchedule = schedule !== undefined ? parseScheduleInput(schedule) : { data: {} };
+    if (parsedSchedule.error) {
+      return res.status(400).json({ error: parsedSchedule.error });
+    }
+
+    const existing = await prisma.studyGroup.findUnique({ where: { id } });
+    const scheduleChanged = schedule !== undefined && !sameSchedule(existing, parsedSchedule.data);
+
+    // Keep a generated meeting time in step with the schedule
+    const generatedMeetingTime =
+      schedule !== undefined &&
+      meetingTime === undefined &&
+      (!existing.meetingTime || existing.meetingTime === describeSchedule(existing))
+        ? describeSchedule(parsedSchedule.data)
+        : undefined;
+
     const studyGroup = await prisma.studyGroup.update({
       where: { id },
       data: {
@@ -628,19 +958,294 @@ router.put('/study-groups/:id', authenticate, async (req, res) => {
         tags,
         maxMembers,
         isPublic,
-        meetingTime,
+        meetingTime: meetingTime ?? generatedMeetingTime,
         meetingDays,
         location,
+        ...parsedSchedule.data,
       },
     });
 
-    res.json({ studyGroup });
+    if (scheduleChanged) {
+      await clearUpcomingSessions(id);
+      await notifyGroupMembers(req.app.get('io'), id, {
+        message: studyGroup.scheduleRule
+          ? `${studyGroup.name} has a new meeting schedule: ${describeSchedule(studyGroup)}`
+          : `${studyGroup.name} no longer has a recurring meeting schedule`,
+        link: studyGroupLink(id),
+        excludeUserId: req.user.id,
+      });
+    }
+
+    res.json({ studyGroup: { ...studyGroup, schedule: presentSchedule(studyGroup) } });
   } catch (error) {
     console.error('Update study group error:', error);
     res.status(500).json({ error: 'Failed to update study group' });
   }
 });
 
+/**
+ * GET /api/collabspace/study-groups/:id/occurrences
+ * Upcoming sessions of a group's recurring schedule, including moved and cancelled ones
+ * Query: from, to (ISO dates; default now to 60 days out), limit (default 10, max 100)
+ */
+router.get('/study-groups/:id/occurrences', authenticate, async (req, res) => {
+  try {
+    const { studyGroup, membership } = await findGroupMembership(req.params.id, req.user.id);
+    if (!studyGroup || (!studyGroup.isPublic && !membership)) {
+      return res.status(404).json({ error: 'Study group not found' });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + 60 * 24 * 60 * 60 * 1000);
+    const limit = req.query.limit ? Number(req.query.limit) : 10;
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    }
+    if (to - from > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: 'Date range cannot exceed one year' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'limit must be between 1 and 100' });
+    }
+
+    const occurrences = await loadOccurrences(
+      studyGroup,
+      { from, to, limit },
+      { userId: req.user.id }
+    );
+
+    res.json({
+      schedule: presentSchedule(studyGroup),
+      occurrences,
+    });
+  } catch (error) {
+    console.error('Get study group occurrences error:', error);
+    res.status(500).json({ error: 'Failed to fetch study group sessions' });
+  }
+});
+
+/**
+ * PUT /api/collabspace/study-groups/:id/occurrences/:occurrenceId
+ * Move, cancel or restore one session (admin only); members are notified
+ * occurrenceId is the session's originally scheduled start (ISO)
+ * Body: { status: 'MOVED' | 'CANCELLED' | 'SCHEDULED', startsAt?, endsAt?, note? }
+ */
+router.put('/study-groups/:id/occurrences/:occurrenceId', authenticate, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const { studyGroup, membership } = await findGroupMembership(req.params.id, req.user.id);
+    if (!studyGroup) {
+      return res.status(404).json({ error: 'Study group not found' });
+    }
+    if (!membership || membership.role !== 'admin') {
+      return res.status(403).json({ error: 'Only group admins can change sessions' });
+    }
+
+    if (!['MOVED', 'CANCELLED', 'SCHEDULED'].includes(status)) {
+      return res.status(400).json({ error: 'status must be MOVED, CANCELLED or SCHEDULED' });
+    }
+
+    const schedule = groupSchedule(studyGroup);
+    const occurrence = schedule && findOccurrence(schedule, req.params.occurrenceId);
+    if (!occurrence) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (occurrence.endsAt <= new Date()) {
+      return res.status(400).json({ error: 'This session has already taken place' });
+    }
+
+    let { startsAt, endsAt } = occurrence;
+    if (status === 'MOVED') {
+      startsAt = new Date(req.body.startsAt);
+      endsAt = req.body.endsAt
+        ? new Date(req.body.endsAt)
+        : new Date(startsAt.getTime() + schedule.durationMinutes * 60 * 1000);
+      if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+        return res.status(400).json({ error: 'A valid startsAt is required to move a session' });
+      }
+      if (endsAt <= startsAt) {
+        return res.status(400).json({ error: 'endsAt must be after startsAt' });
+      }
+    }
+
+    const data = { startsAt, endsAt, status, note: note || null };
+    const session = await prisma.studyGroupSession.upsert({
+      where: {
+        studyGroupId_originalStart: {
+          studyGroupId: studyGroup.id,
+          originalStart: occurrence.startsAt,
+        },
+      },
+      create: { ...data, studyGroupId: studyGroup.id, originalStart: occurrence.startsAt },
+      update: data,
+    });
+
+    const when = formatOccurrence(occurrence.startsAt, schedule.timeZone);
+    const messages = {
+      MOVED: `${studyGroup.name}: the ${when} session moved to ${formatOccurrence(startsAt, schedule.timeZone)}`,
+      CANCELLED: `${studyGroup.name}: the ${when} session is cancelled`,
+      SCHEDULED: `${studyGroup.name}: the ${when} session is back on`,
+    };
+    await notifyGroupMembers(req.app.get('io'), studyGroup.id, {
+      message: note ? `${messages[status]} (${note})` : messages[status],
+      link: studyGroupLink(studyGroup.id),
+      excludeUserId: req.user.id,
+    });
+
+    res.json({ session });
+  } catch (error) {
+    console.error('Update study group session error:', error);
+    res.status(500).json({ error: 'Failed to update session' });
+  }
+});
+
+/**
+ * POST /api/collabspace/study-groups/:id/occurrences/:occurrenceId/check-in
+ * Check in to a session (members only, from shortly before it starts until it ends)
+ */
+router.post(
+  '/study-groups/:id/occurrences/:occurrenceId/check-in',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { studyGroup, membership } = await findGroupMembership(req.params.id, req.user.id);
+      if (!studyGroup) {
+        return res.status(404).json({ error: 'Study group not found' });
+      }
+      if (!membership) {
+        return res.status(403).json({ error: 'Must be a member to check in' });
+      }
+
+      const schedule = groupSchedule(studyGroup);
+      const occurrence = schedule && findOccurrence(schedule, req.params.occurrenceId);
+      if (!occurrence) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const existing = await prisma.studyGroupSession.findUnique({
+        where: {
+          studyGroupId_originalStart: {
+            studyGroupId: studyGroup.id,
+            originalStart: occurrence.startsAt,
+          },
+        },
+      });
+      if (existing?.status === 'CANCELLED') {
+        return res.status(400).json({ error: 'This session was cancelled' });
+      }
+
+      const startsAt = existing?.startsAt || occurrence.startsAt;
+      const endsAt = existing?.endsAt || occurrence.endsAt;
+      const now = new Date();
+      if (now < new Date(startsAt.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000)) {
+        return res.status(400).json({
+          error: `Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before the session starts`,
+        });
+      }
+      if (now > endsAt) {
+        return res.status(400).json({ error: 'This session has ended' });
+      }
+
+      const session =
+        existing ||
+        (await prisma.studyGroupSession.upsert({
+          where: {
+            studyGroupId_originalStart: {
+              studyGroupId: studyGroup.id,
+              originalStart: occurrence.startsAt,
+            },
+          },
+          create: {
+            studyGroupId: studyGroup.id,
+            originalStart: occurrence.startsAt,
+            startsAt,
+            endsAt,
+          },
+          update: {},
+        }));
+
+      const attendance = await prisma.studyGroupAttendance.upsert({
+        where: { sessionId_userId: { sessionId: session.id, userId: req.user.id } },
+        create: { sessionId: session.id, userId: req.user.id },
+        update: {},
+      });
+
+      res.json({ checkedIn: true, checkedInAt: attendance.checkedInAt });
+    } catch (error) {
+      console.error('Study group check-in error:', error);
+      res.status(500).json({ error: 'Failed to check in' });
+    }
+  }
+);
+
+/**
+ * GET /api/collabspace/study-groups/:id/occurrences/:occurrenceId/attendance
+ * Members who checked in to a session (admin only)
+ */
+router.get(
+  '/study-groups/:id/occurrences/:occurrenceId/attendance',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { studyGroup, membership } = await findGroupMembership(req.params.id, req.user.id);
+      if (!studyGroup) {
+        return res.status(404).json({ error: 'Study group not found' });
+      }
+      if (!membership || membership.role !== 'admin') {
+        return res.status(403).json({ error: 'Only group admins can view attendance' });
+      }
+
+      const originalStart = new Date(req.params.occurrenceId);
+      if (Number.isNaN(originalStart.getTime())) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      // Past sessions stay readable even if the schedule has since changed
+      const session = await prisma.studyGroupSession.findUnique({
+        where: {
+          studyGroupId_originalStart: { studyGroupId: studyGroup.id, originalStart },
+        },
+        include: {
+          attendance: {
+            include: {
+              user: {
+                select: {
+                  id: true,
+                  username: true,
+                  firstName: true,
+                  lastName: true,
+                  photoUrl: true,
+                },
+              },
+            },
+            orderBy: { checkedInAt: 'asc' },
+          },
+        },
+      });
+
+      if (!session) {
+        const schedule = groupSchedule(studyGroup);
+        if (!schedule || !findOccurrence(schedule, originalStart)) {
+          return res.status(404).json({ error: 'Session not found' });
+        }
+        return res.json({ session: null, attendees: [] });
+      }
+
+      const { attendance, ...sessionFields } = session;
+      res.json({
+        session: sessionFields,
+        attendees: attendance.map(({ user, checkedInAt }) => ({ ...user, checkedInAt })),
+      });
+    } catch (error) {
+      console.error('Get study group attendance error:', error);
+      res.status(500).json({ error: 'Failed to fetch attendance' });
+    }
+  }
+);
+
 /**
  * POST /api/collabspace/study-groups/:id/join
  * Join a study group
@@ -751,11 +1356,17 @@ router.post('/study-groups/:id/leave', authenticate, async (req, res) => {
 /**
  * GET /api/collabspace/study-groups/:id/messages
  * Get study group messages
+ * Query: cursor, limit (nextCursor walks back to older messages)
  */
 router.get('/study-groups/:id/messages', authenticate, async (req, res) => {
   try {
     const studyGroupId = req.params.id;
 
+    const pagination = parsePagination(req.query, { defaultLimit: 100 });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
     // Check if user is a member
     const membership = await prisma.studyGroupMember.findUnique({
       where: {
@@ -770,10 +1381,9 @@ router.get('/study-groups/:id/messages', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Must be a member to view messages' });
     }
 
-    const messages = await prisma.groupMessage.findMany({
+    const page = await paginate(prisma.groupMessage, {
       where: { studyGroupId },
-      orderBy: { createdAt: 'asc' },
-      take: 100, // Last 100 messages
+      ...pagination,
       include: {
         author: {
           select: {
@@ -787,7 +1397,12 @@ router.get('/study-groups/:id/messages', authenticate, async (req, res) => {
       },
     });
 
-    res.json({ messages });
+    // Pages are fetched newest first; return them oldest first for display
+    res.json({
+      messages: [...page.items].reverse(),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
   } catch (error) {
     console.error('Get messages error:', error);
     res.status(500).json({ error: 'Failed to fetch messages' });
@@ -836,6 +1451,15 @@ router.post('/study-groups/:id/messages', authenticate, async (req, res) => {
       },
     });
 
+    await syncContentLinks(req.app.get('io'), {
+      sourceType: 'GROUP_MESSAGE',
+      sourceId: message.id,
+      author: req.user,
+      text: content,
+      link: `/collabspace/study-groups/${studyGroupId}`,
+      canNotify: (userIds) => filterStudyGroupMembers(studyGroupId, userIds),
+    });
+
     res.status(201).json({ message });
   } catch (error) {
     console.error('Send message error:', error);
@@ -885,6 +1509,15 @@ router.put('/messages/:id', authenticate, async (req, res) => {
       },
     });
 
+    await syncContentLinks(req.app.get('io'), {
+      sourceType: 'GROUP_MESSAGE',
+      sourceId: messageId,
+      author: req.user,
+      text: content,
+      link: `/collabspace/study-groups/${message.studyGroupId}`,
+      canNotify: (userIds) => filterStudyGroupMembers(message.studyGroupId, userIds),
+    });
+
     res.json({ message: updatedMessage });
   } catch (error) {
     console.error('Edit message error:', error);
@@ -929,12 +1562,19 @@ router.delete('/messages/:id', authenticate, async (req, res) => {
 /**
  * GET /api/collabspace/courses/:courseId/resources
  * Get course resources
+ * Query: cursor, limit (highest voted first)
  */
 router.get('/courses/:courseId/resources', authenticate, async (req, res) => {
   try {
-    const resources = await prisma.resource.findMany({
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const page = await paginate(prisma.resource, {
       where: { courseId: req.params.courseId },
-      orderBy: { voteCount: 'desc' },
+      sortField: 'voteCount',
+      ...pagination,
       include: {
         uploader: {
           select: {
@@ -951,7 +1591,11 @@ router.get('/courses/:courseId/resources', authenticate, async (req, res) => {
       },
     });
 
-    res.json({ resources });
+    res.json({
+      resources: page.items,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
   } catch (error) {
     console.error('Get resources error:', error);
     res.status(500).json({ error: 'Failed to fetch resources' });
@@ -1067,4 +1711,148 @@ router.post('/resources/:id/vote', authenticate, async (req, res) => {
   }
 });
 
+// ========== COURSE DEADLINES ==========
+
+/**
+ * Validate deadline fields by hand, as the other CollabSpace routes do
+ * @returns {Object} { data } or { error }
+ */
+function parseDeadlineInput(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.title !== undefined || !partial) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      return { error: 'Title is required' };
+    }
+    data.title = body.title.trim();
+  }
+
+  if (body.dueAt !== undefined || !partial) {
+    const dueAt = new Date(body.dueAt);
+    if (!body.dueAt || Number.isNaN(dueAt.getTime())) {
+      return { error: 'A valid dueAt date is required' };
+    }
+    data.dueAt = dueAt;
+  }
+
+  if (body.description !== undefined) {
+    data.description = body.description || null;
+  }
+
+  return { data };
+}
+
+/**
+ * GET /api/collabspace/courses/:courseId/deadlines
+ * Get a course's deadlines
+ * Query: past=true to include deadlines that have passed
+ */
+router.get('/courses/:courseId/deadlines', authenticate, async (req, res) => {
+  try {
+    const deadlines = await prisma.courseDeadline.findMany({
+      where: {
+        courseId: req.params.courseId,
+        ...(req.query.past !== 'true' && { dueAt: { gte: new Date() } }),
+      },
+      orderBy: { dueAt: 'asc' },
+    });
+
+    res.json({ deadlines });
+  } catch (error) {
+    console.error('Get deadlines error:', error);
+    res.status(500).json({ error: 'Failed to fetch deadlines' });
+  }
+});
+
+/**
+ * POST /api/collabspace/courses/:courseId/deadlines
+ * Add a course deadline (faculty and above)
+ */
+router.post(
+  '/courses/:courseId/deadlines',
+  authenticate,
+  requireRoleLevel(ROLES.FACULTY),
+  async (req, res) => {
+    try {
+      const { data, error } = parseDeadlineInput(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const course = await prisma.course.findUnique({
+        where: { id: req.params.courseId },
+        select: { id: true },
+      });
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      const deadline = await prisma.courseDeadline.create({
+        data: { ...data, courseId: course.id, createdById: req.user.id },
+      });
+
+      res.status(201).json({ deadline });
+    } catch (error) {
+      console.error('Create deadline error:', error);
+      res.status(500).json({ error: 'Failed to create deadline' });
+    }
+  }
+);
+
+/**
+ * PUT /api/collabspace/deadlines/:id
+ * Update a course deadline (creator or moderator)
+ */
+router.put('/deadlines/:id', authenticate, async (req, res) => {
+  try {
+    const { data, error } = parseDeadlineInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await prisma.courseDeadline.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Deadline not found' });
+    }
+
+    if (!canAccessResource(req.user, existing, 'createdById')) {
+      return res.status(403).json({ error: 'Not authorized to edit this deadline' });
+    }
+
+    const deadline = await prisma.courseDeadline.update({
+      where: { id: existing.id },
+      data,
+    });
+
+    res.json({ deadline });
+  } catch (error) {
+    console.error('Update deadline error:', error);
+    res.status(500).json({ error: 'Failed to update deadline' });
+  }
+});
+
+/**
+ * DELETE /api/collabspace/deadlines/:id
+ * Remove a course deadline (creator or moderator)
+ */
+router.delete('/deadlines/:id', authenticate, async (req, res) => {
+  try {
+    const existing = await prisma.courseDeadline.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Deadline not found' });
+    }
+
+    if (!canAccessResource(req.user, existing, 'createdById')) {
+      return res.status(403).json({ error: 'Not authorized to delete this deadline' });
+    }
+
+    await prisma.courseDeadline.delete({ where: { id: existing.id } });
+
+    res.json({ message: 'Deadline deleted' });
+  } catch (error) {
+    console.error('Delete deadline error:', error);
+    res.status(500).json({ error: 'Failed to delete deadline' });
+  }
+});
+
 export default router;
@@ -2,57 +2,345 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticate } from '../middleware/auth.js';
 import { z } from 'zod';
+import { nanoid } from 'nanoid';
+import {
+  FEED_MODES,
+  CANDIDATE_POOL_SIZE,
+  CANDIDATE_SELECT,
+  followingWhere,
+  candidateWindowStart,
+  scorePost,
+  scoreTopPost,
+  rankPosts,
+  rankedPageIds,
+  inRankedOrder,
+} from '../utils/feedRanking.js';
+import {
+  parsePagination,
+  paginate,
+  encodeCursor,
+  isKeysetCursor,
+  isOffsetCursor,
+} from '../utils/pagination.js';
+import { POST_VISIBILITY, visiblePostsWhere, canViewPost } from '../utils/postVisibility.js';
+import { loadViewerContext } from '../utils/viewerContext.js';
+import { syncContentLinks } from '../utils/contentLinks.js';
+import { normalizeHashtag } from '../utils/contentParser.js';
+import { validateFile, saveUploadedFile, deleteUploadedFile } from '../middleware/fileUpload.js';
+import {
+  POST_ATTACHMENT_CATEGORY,
+  POST_ATTACHMENT_TYPES,
+  toFileList,
+  attachmentsError,
+  presentPost,
+} from '../utils/postAttachments.js';
+import { MIN_POLL_OPTIONS, MAX_POLL_OPTIONS, validateBallot, tallyPoll } from '../utils/polls.js';
+import { REACTIONS, isReactionType, withReactionSummary } from '../utils/reactionSet.js';
+import { reactionInclude, toggleReaction } from '../utils/reactions.js';
+import { archiveRevision, loadRevisionHistory } from '../utils/revisions.js';
+import {
+  RSVP_CHOICES,
+  countRsvps,
+  presentEvent,
+  attendeesToCsv,
+  visibleEventsWhere,
+  canViewEvent,
+} from '../utils/events/rules.js';
+import {
+  eventLink,
+  findAttendeeIds,
+  notifyEventUsers,
+  promoteWaitlist,
+  setRsvp,
+} from '../utils/events/store.js';
+import {
+  GROUP_ROLES,
+  MAX_INVITE_HOURS,
+  MAX_INVITE_USES,
+  roleChangeError,
+  inviteExpiresAt,
+  inviteError,
+} from '../utils/groupMembership.js';
+import {
+  groupLink,
+  inviteUrl,
+  findMembership,
+  findGroupMute,
+  findGroupBan,
+  withMutes,
+  findGroupManagerIds,
+  addGroupMember,
+  notifyGroupUsers,
+  recordGroupAction,
+} from '../utils/groups.js';
+import {
+  POSTING_POLICIES,
+  MAX_MUTE_HOURS,
+  MAX_PINNED_POSTS,
+  muteEndsAt,
+  isMuted,
+  commentingError,
+  postingError,
+  logExcerpt,
+} from '../utils/groupModeration.js';
+import {
+  GROUP_PERMISSIONS,
+  canAccessResource,
+  canModerateGroup,
+  canModerateMember,
+  requireGroupPermission,
+} from '../middleware/rbac.js';
+import {
+  MAX_MESSAGE_LENGTH,
+  MAX_CONVERSATION_TITLE_LENGTH,
+  MESSAGE_ATTACHMENT_CATEGORY,
+  MESSAGE_ATTACHMENT_TYPES,
+  MAX_MESSAGE_ATTACHMENTS,
+  normalizeParticipants,
+  messageContentError,
+  messageEditError,
+  messageDeleteError,
+  unreadWhere,
+  presentConversation,
+} from '../utils/conversations/rules.js';
+import {
+  participantUserSelect,
+  conversationInclude,
+  messageInclude,
+  presentMessage,
+  findConversationForUser,
+  isConversationBlocked,
+  findConversationMessage,
+  findOrCreateDirectConversation,
+  createGroupConversation,
+  sendConversationMessage,
+  editConversationMessage,
+  deleteConversationMessage,
+  markConversationRead,
+  countUnread,
+} from '../utils/conversations/store.js';
+import {
+  BLOCKED_ERROR,
+  isBlockedBetween,
+  findBlockedAmong,
+  canNotifyUser,
+} from '../utils/blocks/store.js';
+import { broadcastPostEvent } from '../websocket/index.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
 // ========== POSTS ==========
 
-const createPostSchema = z.object({
-  content: z.string().min(1),
-  mediaUrls: z.array(z.string()).optional(),
-  groupId: z.string().optional(),
+const pollSchema = z.object({
+  options: z
+    .array(z.string().trim().min(1).max(200))
+    .min(MIN_POLL_OPTIONS)
+    .max(MAX_POLL_OPTIONS)
+    .refine((options) => new Set(options.map((o) => o.toLowerCase())).size === options.length, {
+      message: 'Poll options must be unique',
+    }),
+  multiChoice: z.boolean().default(false),
+  anonymous: z.boolean().default(false),
+  closesAt: z.coerce
+    .date()
+    .refine((date) => date > new Date(), { message: 'closesAt must be in the future' })
+    .optional(),
 });
 
+/**
+ * Multipart bodies carry the poll as a JSON string
+ */
+function parseJsonField(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value; // Left as-is so zod reports it as invalid
+  }
+}
+
+const createPostSchema = z
+  .object({
+    content: z.string().min(1),
+    groupId: z.string().optional(),
+    visibility: z.enum(POST_VISIBILITY).default('PUBLIC'),
+    poll: z.preprocess(parseJsonField, pollSchema.optional()),
+  })
+  .refine((data) => data.visibility !== 'GROUP' || data.groupId, {
+    message: 'Group-only posts require a groupId',
+    path: ['groupId'],
+  });
+
+const pollInclude = {
+  options: {
+    orderBy: { position: 'asc' },
+  },
+  votes: {
+    select: {
+      optionId: true,
+      userId: true,
+      user: {
+        select: {
+          id: true,
+          username: true,
+          firstName: true,
+          lastName: true,
+        },
+      },
+    },
+  },
+};
+
+const postInclude = {
+  author: {
+    select: {
+      id: true,
+      username: true,
+      firstName: true,
+      lastName: true,
+      photoUrl: true,
+    },
+  },
+  group: {
+    select: {
+      id: true,
+      name: true,
+      isPrivate: true,
+    },
+  },
+  attachments: {
+    orderBy: { position: 'asc' },
+  },
+  poll: {
+    include: pollInclude,
+  },
+  reactions: reactionInclude,
+  _count: {
+    select: {
+      comments: true,
+      reactions: true,
+    },
+  },
+};
+
+/**
+ * Shape a post for the viewer: signed attachment URLs, poll results and reactions
+ * @param {Object} post - Post loaded with postInclude
+ * @param {string} viewerId - Viewer's user ID
+ * @returns {Object} Post safe to send to the viewer
+ */
+function presentPostFor(post, viewerId) {
+  const presented = withReactionSummary(presentPost(post), viewerId);
+  return presented.poll ? { ...presented, poll: tallyPoll(presented.poll, viewerId) } : presented;
+}
+
+/**
+ * Find a post only if the viewer is allowed to read it
+ * Hidden posts are indistinguishable from missing ones so their existence isn't leaked.
+ * @param {string} postId - Post ID
+ * @param {string} userId - Viewer's user ID
+ * @param {Object} [include] - Prisma include (must select group.isPrivate)
+ * @returns {Promise<Object|null>} Post or null
+ */
+async function findVisiblePost(
+  postId,
+  userId,
+  include = { group: { select: { isPrivate: true } } }
+) {
+  const [post, context] = await Promise.all([
+    prisma.post.findUnique({ where: { id: postId }, include }),
+    loadViewerContext(userId),
+  ]);
+
+  return post && canViewPost(post, context) ? post : null;
+}
+
+/**
+ * Keep only the users allowed to read a post (used to filter mention notifications)
+ * @param {Object} post - Post with authorId, groupId, visibility and group.isPrivate
+ * @param {string[]} userIds - Candidate user IDs
+ * @returns {Promise<string[]>} Permitted user IDs
+ */
+async function filterPostViewers(post, userIds) {
+  const contexts = await Promise.all(userIds.map((id) => loadViewerContext(id)));
+  return userIds.filter((id, i) => canViewPost(post, contexts[i]));
+}
+
 /**
  * GET /api/hub/posts
  * Get feed posts
+ * Query: mode=ranked|latest|top|following (default: ranked), cursor, limit
  */
 router.get('/posts', authenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { mode = 'ranked' } = req.query;
 
-    const posts = await prisma.post.findMany({
-      take: parseInt(limit),
-      skip: parseInt(skip),
-      orderBy: { createdAt: 'desc' },
-      include: {
-        author: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            photoUrl: true,
-          },
-        },
-        group: {
-          select: {
-            id: true,
-            name: true,
-          },
-        },
-        _count: {
-          select: {
-            comments: true,
-            likes: true,
-          },
-        },
+    if (!FEED_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${FEED_MODES.join(', ')}` });
+    }
+
+    const keyset = mode === 'latest' || mode === 'following';
+    const pagination = parsePagination(req.query, {
+      validateCursor: keyset ? isKeysetCursor : isOffsetCursor,
+    });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const context = await loadViewerContext(req.user.id);
+    const visible = visiblePostsWhere(context);
+
+    if (keyset) {
+      const where = mode === 'following' ? { AND: [visible, followingWhere(context)] } : visible;
+
+      const page = await paginate(prisma.post, { where, include: postInclude, ...pagination });
+
+      return res.json({
+        posts: page.items.map((post) => presentPostFor(post, req.user.id)),
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+        mode,
+      });
+    }
+
+    // Ranked and top modes score a bounded pool of recent posts in memory.
+    // Their cursors pin the ranking time so later pages exclude newer posts
+    // and keep the same decay reference instead of shifting under the reader.
+    const { cursor, limit } = pagination;
+    const rankedAt = cursor ? new Date(cursor.at) : new Date();
+    const offset = cursor ? cursor.o : 0;
+
+    const candidates = await prisma.post.findMany({
+      where: {
+        AND: [visible, { createdAt: { gte: candidateWindowStart(rankedAt), lte: rankedAt } }],
       },
+      take: CANDIDATE_POOL_SIZE,
+      orderBy: { createdAt: 'desc' },
+      select: CANDIDATE_SELECT,
+    });
+
+    let scoreFn;
+    if (mode === 'top') {
+      scoreFn = (post) => scoreTopPost(post, rankedAt);
+    } else {
+      scoreFn = (post) => scorePost(post, context, rankedAt);
+    }
+
+    const ranked = rankPosts(candidates, scoreFn);
+    const pageIds = rankedPageIds(ranked, offset, limit);
+    const posts = await prisma.post.findMany({
+      where: { id: { in: pageIds } },
+      include: postInclude,
     });
+    const at = rankedAt.toISOString();
 
-    res.json({ posts });
+    res.json({
+      posts: inRankedOrder(pageIds, posts).map((post) => presentPostFor(post, req.user.id)),
+      nextCursor: offset + limit < ranked.length ? encodeCursor({ at, o: offset + limit }) : null,
+      prevCursor: offset > 0 ? encodeCursor({ at, o: Math.max(offset - limit, 0) }) : null,
+      mode,
+    });
   } catch (error) {
     console.error('Get posts error:', error);
     res.status(500).json({ error: 'Failed to fetch posts' });
@@ -62,33 +350,108 @@ router.get('/posts', authenticate, async (req, res) => {
 /**
  * POST /api/hub/posts
  * Create a new post
+ * Accepts JSON or multipart/form-data with up to 4 `attachments` (images or PDF, 5MB each)
+ * Include `poll: { options, multiChoice?, anonymous?, closesAt? }` to create a poll post
  */
 router.post('/posts', authenticate, async (req, res) => {
+  let savedFiles = [];
+
   try {
     const data = createPostSchema.parse(req.body);
 
+    const files = toFileList(req.files?.attachments);
+    const filesError = attachmentsError(files);
+    if (filesError) {
+      return res.status(400).json({ error: filesError });
+    }
+
+    if (data.groupId) {
+      const [group, membership, mute, ban] = await Promise.all([
+        prisma.group.findUnique({
+          where: { id: data.groupId },
+          select: { isPrivate: true, postingPolicy: true },
+        }),
+        findMembership(data.groupId, req.user.id),
+        findGroupMute(data.groupId, req.user.id),
+        findGroupBan(data.groupId, req.user.id),
+      ]);
+
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      if (ban) {
+        return res.status(403).json({ error: 'You are banned from this group' });
+      }
+
+      // Posting into a private group or to a group-only audience requires membership
+      if ((group.isPrivate || data.visibility === 'GROUP') && !membership) {
+        return res.status(403).json({ error: 'You must be a member of this group to post here' });
+      }
+
+      const blocked = postingError(group.postingPolicy, membership, mute);
+      if (blocked) {
+        return res.status(403).json({ error: blocked });
+      }
+    }
+
+    for (const file of files) {
+      savedFiles.push(
+        await saveUploadedFile(file, POST_ATTACHMENT_CATEGORY, {
+          allowedTypes: POST_ATTACHMENT_TYPES,
+        })
+      );
+    }
+
     const post = await prisma.post.create({
       data: {
         content: data.content,
-        mediaUrls: data.mediaUrls || [],
         authorId: req.user.id,
         groupId: data.groupId,
-      },
-      include: {
-        author: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            photoUrl: true,
+        visibility: data.visibility,
+        type: data.poll ? 'POLL' : 'TEXT',
+        ...(data.poll && {
+          poll: {
+            create: {
+              multiChoice: data.poll.multiChoice,
+              anonymous: data.poll.anonymous,
+              closesAt: data.poll.closesAt,
+              options: {
+                create: data.poll.options.map((text, position) => ({ text, position })),
+              },
+            },
           },
+        }),
+        attachments: {
+          create: savedFiles.map((file, position) => ({
+            filename: file.filename,
+            originalName: file.originalName,
+            mimetype: file.mimetype,
+            size: file.size,
+            position,
+          })),
         },
       },
+      include: postInclude,
+    });
+    savedFiles = [];
+
+    await syncContentLinks(req.app.get('io'), {
+      sourceType: 'POST',
+      sourceId: post.id,
+      author: req.user,
+      text: post.content,
+      link: `/hub/posts/${post.id}`,
+      canNotify: (userIds) => filterPostViewers(post, userIds),
     });
 
-    res.status(201).json({ post });
+    res.status(201).json({ post: presentPostFor(post, req.user.id) });
   } catch (error) {
+    // Don't leave orphaned files behind if the post wasn't created
+    await Promise.allSettled(
+      savedFiles.map((file) => deleteUploadedFile(file.filename, POST_ATTACHMENT_CATEGORY))
+    );
+
     if (error instanceof z.ZodError) {
       return res.status(400).json({ error: error.errors });
     }
@@ -103,55 +466,35 @@ router.post('/posts', authenticate, async (req, res) => {
  */
 router.get('/posts/:id', authenticate, async (req, res) => {
   try {
-    const post = await prisma.post.findUnique({
-      where: { id: req.params.id },
-      include: {
-        author: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            photoUrl: true,
-          },
-        },
-        group: {
-          select: {
-            id: true,
-            name: true,
-          },
-        },
-        _count: {
-          select: {
-            comments: true,
-            likes: true,
-          },
-        },
-      },
-    });
+    const post = await findVisiblePost(req.params.id, req.user.id, postInclude);
 
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    res.json({ post });
+    res.json({ post: presentPostFor(post, req.user.id) });
   } catch (error) {
     console.error('Get post error:', error);
     res.status(500).json({ error: 'Failed to fetch post' });
   }
 });
 
+const editPostSchema = z.object({
+  content: z.string().min(1),
+});
+
 /**
- * DELETE /api/hub/posts/:id
- * Delete a post (author only)
+ * PUT /api/hub/posts/:id
+ * Edit a post's text (author only); the previous version is kept as a revision
  */
-router.delete('/posts/:id', authenticate, async (req, res) => {
+router.put('/posts/:id', authenticate, async (req, res) => {
   try {
+    const { content } = editPostSchema.parse(req.body);
     const postId = req.params.id;
 
-    // Check if post exists and user is the author
     const post = await prisma.post.findUnique({
       where: { id: postId },
+      include: { group: { select: { isPrivate: true } } },
     });
 
     if (!post) {
@@ -159,189 +502,472 @@ router.delete('/posts/:id', authenticate, async (req, res) => {
     }
 
     if (post.authorId !== req.user.id) {
-      return res.status(403).json({ error: 'You can only delete your own posts' });
+      return res.status(403).json({ error: 'You can only edit your own posts' });
+    }
+
+    if (content !== post.content) {
+      await prisma.$transaction([
+        archiveRevision({ sourceType: 'POST', item: post, editorId: req.user.id }),
+        prisma.post.update({
+          where: { id: postId },
+          data: { content, editedAt: new Date() },
+        }),
+      ]);
+
+      await syncContentLinks(req.app.get('io'), {
+        sourceType: 'POST',
+        sourceId: postId,
+        author: req.user,
+        text: content,
+        link: `/hub/posts/${postId}`,
+        canNotify: (userIds) => filterPostViewers(post, userIds),
+      });
     }
 
-    await prisma.post.delete({
+    const updatedPost = await prisma.post.findUnique({
       where: { id: postId },
+      include: postInclude,
     });
 
-    res.json({ message: 'Post deleted successfully' });
+    res.json({ post: presentPostFor(updatedPost, req.user.id) });
   } catch (error) {
-    console.error('Delete post error:', error);
-    res.status(500).json({ error: 'Failed to delete post' });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Edit post error:', error);
+    res.status(500).json({ error: 'Failed to edit post' });
   }
 });
 
 /**
- * POST /api/hub/posts/:id/like
- * Like/unlike a post
+ * Check who may read an item's edit history
+ * Authors and moderators only; viewers who can't read the post get a 404 so its
+ * existence isn't leaked.
+ * @param {Object} req - Express request
+ * @param {Object} item - Post or comment with authorId
+ * @param {Object} post - Parent post with authorId, groupId, visibility and group.isPrivate
+ * @returns {Promise<number|null>} HTTP status to reject with, or null when allowed
  */
-router.post('/posts/:id/like', authenticate, async (req, res) => {
-  try {
-    const postId = req.params.id;
+async function historyAccessError(req, item, post) {
+  if (canAccessResource(req.user, item, 'authorId')) {
+    return null;
+  }
 
-    // Check if already liked
-    const existingLike = await prisma.like.findUnique({
-      where: {
-        postId_userId: {
-          postId,
-          userId: req.user.id,
-        },
+  const context = await loadViewerContext(req.user.id);
+  return canViewPost(post, context) ? 403 : 404;
+}
+
+/**
+ * GET /api/hub/posts/:id/revisions
+ * Get a post's edit history with diffs (author or moderator)
+ */
+router.get('/posts/:id/revisions', authenticate, async (req, res) => {
+  try {
+    const post = await prisma.post.findUnique({
+      where: { id: req.params.id },
+      include: {
+        group: { select: { isPrivate: true } },
+        author: { select: { id: true, username: true, firstName: true, lastName: true } },
       },
     });
 
-    if (existingLike) {
-      // Unlike
-      await prisma.like.delete({
-        where: { id: existingLike.id },
-      });
-      res.json({ liked: false });
-    } else {
-      // Like
-      await prisma.like.create({
-        data: {
-          postId,
-          userId: req.user.id,
-        },
-      });
-
-      // Create notification for post author
-      const post = await prisma.post.findUnique({
-        where: { id: postId },
-        select: { authorId: true },
-      });
-
-      if (post.authorId !== req.user.id) {
-        await prisma.notification.create({
-          data: {
-            type: 'LIKE',
-            message: `${req.user.firstName} ${req.user.lastName} liked your post`,
-            link: `/hub/posts/${postId}`,
-            userId: post.authorId,
-          },
-        });
-      }
-
-      res.json({ liked: true });
+    const denied = post ? await historyAccessError(req, post, post) : 404;
+    if (denied === 404) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (denied) {
+      return res
+        .status(403)
+        .json({ error: 'Only the author or a moderator can view edit history' });
     }
+
+    res.json({ revisions: await loadRevisionHistory('POST', post) });
   } catch (error) {
-    console.error('Like post error:', error);
-    res.status(500).json({ error: 'Failed to like post' });
+    console.error('Get post revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch edit history' });
   }
 });
 
 /**
- * POST /api/hub/posts/:id/comments
- * Add comment to post (or reply to comment)
+ * DELETE /api/hub/posts/:id
+ * Delete a post (author, or a moderator of the post's group)
+ * Body: { reason? } recorded in the group's moderation log
  */
-router.post('/posts/:id/comments', authenticate, async (req, res) => {
+router.delete('/posts/:id', authenticate, async (req, res) => {
   try {
-    const { content, parentId } = req.body;
     const postId = req.params.id;
 
-    if (!content) {
-      return res.status(400).json({ error: 'Content is required' });
-    }
-
-    const comment = await prisma.comment.create({
-      data: {
-        content,
-        postId,
-        authorId: req.user.id,
-        parentId: parentId || null,
-      },
+    // Check if post exists and user is the author
+    const post = await prisma.post.findUnique({
+      where: { id: postId },
       include: {
-        author: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            photoUrl: true,
-          },
-        },
-        _count: {
-          select: {
-            replies: true,
-          },
-        },
+        attachments: { select: { filename: true } },
+        group: { select: { name: true } },
       },
     });
 
-    // Create notification
-    if (parentId) {
-      // Reply to a comment - notify the comment author
-      const parentComment = await prisma.comment.findUnique({
-        where: { id: parentId },
-        select: { authorId: true },
-      });
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
 
-      if (parentComment && parentComment.authorId !== req.user.id) {
-        await prisma.notification.create({
-          data: {
-            type: 'COMMENT',
-            message: `${req.user.firstName} ${req.user.lastName} replied to your comment`,
-            link: `/hub/posts/${postId}`,
-            userId: parentComment.authorId,
-          },
-        });
+    const isAuthor = post.authorId === req.user.id;
+    if (!isAuthor) {
+      const membership = post.groupId ? await findMembership(post.groupId, req.user.id) : null;
+      if (!post.groupId || !canModerateGroup(req.user, membership, GROUP_PERMISSIONS.POST_REMOVE)) {
+        return res.status(403).json({ error: 'You can only delete your own posts' });
       }
-    } else {
-      // Top-level comment - notify the post author
-      const post = await prisma.post.findUnique({
-        where: { id: postId },
-        select: { authorId: true },
-      });
+    }
 
-      if (post && post.authorId !== req.user.id) {
-        await prisma.notification.create({
-          data: {
-            type: 'COMMENT',
-            message: `${req.user.firstName} ${req.user.lastName} commented on your post`,
-            link: `/hub/posts/${postId}`,
-            userId: post.authorId,
+    await prisma.$transaction(async (tx) => {
+      await tx.post.delete({ where: { id: postId } });
+      if (!isAuthor) {
+        await recordGroupAction(
+          {
+            groupId: post.groupId,
+            actorId: req.user.id,
+            action: 'REMOVE_POST',
+            targetUserId: post.authorId,
+            subjectId: post.id,
+            details: req.body?.reason || logExcerpt(post.content),
           },
-        });
+          tx
+        );
       }
+    });
+
+    if (!isAuthor) {
+      await notifyGroupUsers(req.app.get('io'), [post.authorId], {
+        message: `A moderator removed your post in ${post.group.name}`,
+        link: groupLink(post.groupId),
+      });
     }
 
-    res.status(201).json({ comment });
+    // Attachment rows cascade; remove the stored files as well
+    await Promise.allSettled(
+      post.attachments.map((a) => deleteUploadedFile(a.filename, POST_ATTACHMENT_CATEGORY))
+    );
+
+    res.json({ message: 'Post deleted successfully' });
   } catch (error) {
-    console.error('Create comment error:', error);
-    res.status(500).json({ error: 'Failed to create comment' });
+    console.error('Delete post error:', error);
+    res.status(500).json({ error: 'Failed to delete post' });
   }
 });
 
 /**
- * PUT /api/hub/comments/:id
- * Edit a comment (author only)
+ * GET /api/hub/reactions
+ * Get the configured reaction set
  */
-router.put('/comments/:id', authenticate, async (req, res) => {
-  try {
-    const { content } = req.body;
-    const commentId = req.params.id;
+router.get('/reactions', authenticate, (req, res) => {
+  res.json({
+    reactions: Object.entries(REACTIONS).map(([type, emoji]) => ({ type, emoji })),
+  });
+});
 
-    if (!content) {
-      return res.status(400).json({ error: 'Content is required' });
-    }
+const reactionSchema = z.object({
+  type: z.string().refine((type) => isReactionType(type), { message: 'Unknown reaction' }),
+});
 
-    // Check if comment exists and user is the author
-    const comment = await prisma.comment.findUnique({
-      where: { id: commentId },
+/**
+ * Toggle a reaction on a visible post, notify the author and push the new counts
+ * @param {Object} req - Express request (uses req.user and the io instance)
+ * @param {Object} post - Post loaded via findVisiblePost
+ * @param {string} type - Reaction type
+ * @returns {Promise<Object>} toggleReaction result
+ */
+async function reactToPost(req, post, type) {
+  const result = await toggleReaction({
+    targetType: 'POST',
+    targetId: post.id,
+    userId: req.user.id,
+    type,
+  });
+
+  if (
+    result.reacted &&
+    post.authorId !== req.user.id &&
+    (await canNotifyUser(req.user.id, post.authorId))
+  ) {
+    await prisma.notification.create({
+      data: {
+        type: 'LIKE',
+        message:
+          type === 'like'
+            ? `${req.user.firstName} ${req.user.lastName} liked your post`
+            : `${req.user.firstName} ${req.user.lastName} reacted ${REACTIONS[type]} to your post`,
+        link: `/hub/posts/${post.id}`,
+        userId: post.authorId,
+      },
     });
+  }
 
-    if (!comment) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
+  const io = req.app.get('io');
+  if (io) {
+    await broadcastPostEvent(io, post, 'reaction:update', {
+      targetType: 'POST',
+      targetId: post.id,
+      reactions: result.summary,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * POST /api/hub/posts/:id/reactions
+ * Toggle an emoji reaction on a post
+ * Body: { type }
+ */
+router.post('/posts/:id/reactions', authenticate, async (req, res) => {
+  try {
+    const { type } = reactionSchema.parse(req.body);
+
+    const post = await findVisiblePost(req.params.id, req.user.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const { reacted, reactions } = await reactToPost(req, post, type);
+    res.json({ reacted, reactions });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Post reaction error:', error);
+    res.status(500).json({ error: 'Failed to react to post' });
+  }
+});
+
+/**
+ * POST /api/hub/posts/:id/like
+ * Like/unlike a post (alias for the "like" reaction)
+ */
+router.post('/posts/:id/like', authenticate, async (req, res) => {
+  try {
+    const post = await findVisiblePost(req.params.id, req.user.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const { reacted, reactions } = await reactToPost(req, post, 'like');
+    res.json({ liked: reacted, reactions });
+  } catch (error) {
+    console.error('Like post error:', error);
+    res.status(500).json({ error: 'Failed to like post' });
+  }
+});
+
+const voteSchema = z.object({
+  optionIds: z.array(z.string()).min(1),
+});
+
+/**
+ * POST /api/hub/posts/:id/poll/vote
+ * Vote in a poll; voting again replaces the previous ballot
+ * Body: { optionIds: string[] }
+ */
+router.post('/posts/:id/poll/vote', authenticate, async (req, res) => {
+  try {
+    const { optionIds } = voteSchema.parse(req.body);
+
+    const post = await findVisiblePost(req.params.id, req.user.id, {
+      group: { select: { isPrivate: true } },
+      poll: { include: { options: true } },
+    });
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (!post.poll) {
+      return res.status(400).json({ error: 'This post is not a poll' });
+    }
+
+    const ballot = validateBallot(post.poll, optionIds);
+    if (!ballot.valid) {
+      return res.status(400).json({ error: ballot.error });
+    }
+
+    await prisma.$transaction([
+      prisma.pollVote.deleteMany({ where: { pollId: post.poll.id, userId: req.user.id } }),
+      prisma.pollVote.createMany({
+        data: ballot.optionIds.map((optionId) => ({
+          pollId: post.poll.id,
+          optionId,
+          userId: req.user.id,
+        })),
+      }),
+    ]);
+
+    const poll = await prisma.poll.findUnique({
+      where: { id: post.poll.id },
+      include: pollInclude,
+    });
+
+    // Push live tallies (without per-viewer selections) to everyone who can see the post
+    const io = req.app.get('io');
+    if (io) {
+      await broadcastPostEvent(io, post, 'poll:update', { postId: post.id, poll: tallyPoll(poll) });
+    }
+
+    res.json({ poll: tallyPoll(poll, req.user.id) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Poll vote error:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+});
+
+/**
+ * POST /api/hub/posts/:id/comments
+ * Add comment to post (or reply to comment)
+ */
+router.post('/posts/:id/comments', authenticate, async (req, res) => {
+  try {
+    const { content, parentId } = req.body;
+    const postId = req.params.id;
+
+    if (!content) {
+      return res.status(400).json({ error: 'Content is required' });
+    }
+
+    const post = await findVisiblePost(postId, req.user.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (post.groupId) {
+      const [mute, ban] = await Promise.all([
+        findGroupMute(post.groupId, req.user.id),
+        findGroupBan(post.groupId, req.user.id),
+      ]);
+      if (ban) {
+        return res.status(403).json({ error: 'You are banned from this group' });
+      }
+      const blocked = commentingError(mute);
+      if (blocked) {
+        return res.status(403).json({ error: blocked });
+      }
+    }
+
+    const parentComment = parentId
+      ? await prisma.comment.findFirst({
+          where: { id: parentId, postId },
+          select: { authorId: true },
+        })
+      : null;
+    if (parentId && !parentComment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (parentComment && (await isBlockedBetween(req.user.id, parentComment.authorId))) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
+    const comment = await prisma.comment.create({
+      data: {
+        content,
+        postId,
+        authorId: req.user.id,
+        parentId: parentId || null,
+      },
+      include: {
+        author: {
+          select: {
+            id: true,
+            username: true,
+            firstName: true,
+            lastName: true,
+            photoUrl: true,
+          },
+        },
+        reactions: reactionInclude,
+        _count: {
+          select: {
+            replies: true,
+          },
+        },
+      },
+    });
+
+    await syncContentLinks(req.app.get('io'), {
+      sourceType: 'COMMENT',
+      sourceId: comment.id,
+      author: req.user,
+      text: content,
+      link: `/hub/posts/${postId}`,
+      canNotify: (userIds) => filterPostViewers(post, userIds),
+    });
+
+    // Create notification
+    if (parentComment) {
+      // Reply to a comment - notify the comment author
+      if (
+        parentComment.authorId !== req.user.id &&
+        (await canNotifyUser(req.user.id, parentComment.authorId))
+      ) {
+        await prisma.notification.create({
+          data: {
+            type: 'COMMENT',
+            message: `${req.user.firstName} ${req.user.lastName} replied to your comment`,
+            link: `/hub/posts/${postId}`,
+            userId: parentComment.authorId,
+          },
+        });
+      }
+    } else {
+      // Top-level comment - notify the post author
+      if (post.authorId !== req.user.id && (await canNotifyUser(req.user.id, post.authorId))) {
+        await prisma.notification.create({
+          data: {
+            type: 'COMMENT',
+            message: `${req.user.firstName} ${req.user.lastName} commented on your post`,
+            link: `/hub/posts/${postId}`,
+            userId: post.authorId,
+          },
+        });
+      }
+    }
+
+    res.status(201).json({ comment: withReactionSummary(comment, req.user.id) });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+/**
+ * PUT /api/hub/comments/:id
+ * Edit a comment (author only)
+ */
+router.put('/comments/:id', authenticate, async (req, res) => {
+  try {
+    const { content } = req.body;
+    const commentId = req.params.id;
+
+    if (!content) {
+      return res.status(400).json({ error: 'Content is required' });
+    }
+
+    // Check if comment exists and user is the author
+    const comment = await prisma.comment.findUnique({
+      where: { id: commentId },
+    });
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
 
     if (comment.authorId !== req.user.id) {
       return res.status(403).json({ error: 'You can only edit your own comments' });
     }
 
-    const updatedComment = await prisma.comment.update({
+    const contentChanged = content !== comment.content;
+
+    const update = prisma.comment.update({
       where: { id: commentId },
-      data: { content },
+      data: contentChanged ? { content, editedAt: new Date() } : {},
       include: {
         author: {
           select: {
@@ -352,6 +978,7 @@ router.put('/comments/:id', authenticate, async (req, res) => {
             photoUrl: true,
           },
         },
+        reactions: reactionInclude,
         _count: {
           select: {
             replies: true,
@@ -360,7 +987,29 @@ router.put('/comments/:id', authenticate, async (req, res) => {
       },
     });
 
-    res.json({ comment: updatedComment });
+    // Keep the previous wording for moderation disputes
+    const results = await prisma.$transaction(
+      contentChanged
+        ? [archiveRevision({ sourceType: 'COMMENT', item: comment, editorId: req.user.id }), update]
+        : [update]
+    );
+    const updatedComment = results[results.length - 1];
+
+    const post = await prisma.post.findUnique({
+      where: { id: comment.postId },
+      include: { group: { select: { isPrivate: true } } },
+    });
+
+    await syncContentLinks(req.app.get('io'), {
+      sourceType: 'COMMENT',
+      sourceId: commentId,
+      author: req.user,
+      text: content,
+      link: `/hub/posts/${comment.postId}`,
+      canNotify: (userIds) => filterPostViewers(post, userIds),
+    });
+
+    res.json({ comment: withReactionSummary(updatedComment, req.user.id) });
   } catch (error) {
     console.error('Edit comment error:', error);
     res.status(500).json({ error: 'Failed to edit comment' });
@@ -369,7 +1018,8 @@ router.put('/comments/:id', authenticate, async (req, res) => {
 
 /**
  * DELETE /api/hub/comments/:id
- * Delete a comment (author only)
+ * Delete a comment (author, or a moderator of the post's group)
+ * Body: { reason? } recorded in the group's moderation log
  */
 router.delete('/comments/:id', authenticate, async (req, res) => {
   try {
@@ -378,18 +1028,37 @@ router.delete('/comments/:id', authenticate, async (req, res) => {
     // Check if comment exists and user is the author
     const comment = await prisma.comment.findUnique({
       where: { id: commentId },
+      include: { post: { select: { groupId: true } } },
     });
 
     if (!comment) {
       return res.status(404).json({ error: 'Comment not found' });
     }
 
-    if (comment.authorId !== req.user.id) {
-      return res.status(403).json({ error: 'You can only delete your own comments' });
+    const { groupId } = comment.post;
+    const isAuthor = comment.authorId === req.user.id;
+    if (!isAuthor) {
+      const membership = groupId ? await findMembership(groupId, req.user.id) : null;
+      if (!groupId || !canModerateGroup(req.user, membership, GROUP_PERMISSIONS.COMMENT_REMOVE)) {
+        return res.status(403).json({ error: 'You can only delete your own comments' });
+      }
     }
 
-    await prisma.comment.delete({
-      where: { id: commentId },
+    await prisma.$transaction(async (tx) => {
+      await tx.comment.delete({ where: { id: commentId } });
+      if (!isAuthor) {
+        await recordGroupAction(
+          {
+            groupId,
+            actorId: req.user.id,
+            action: 'REMOVE_COMMENT',
+            targetUserId: comment.authorId,
+            subjectId: comment.id,
+            details: req.body?.reason || logExcerpt(comment.content),
+          },
+          tx
+        );
+      }
     });
 
     res.json({ message: 'Comment deleted successfully' });
@@ -399,19 +1068,110 @@ router.delete('/comments/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/hub/comments/:id/revisions
+ * Get a comment's edit history with diffs (author or moderator)
+ */
+router.get('/comments/:id/revisions', authenticate, async (req, res) => {
+  try {
+    const comment = await prisma.comment.findUnique({
+      where: { id: req.params.id },
+      include: {
+        author: { select: { id: true, username: true, firstName: true, lastName: true } },
+        post: { include: { group: { select: { isPrivate: true } } } },
+      },
+    });
+
+    const denied = comment ? await historyAccessError(req, comment, comment.post) : 404;
+    if (denied === 404) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (denied) {
+      return res
+        .status(403)
+        .json({ error: 'Only the author or a moderator can view edit history' });
+    }
+
+    res.json({ revisions: await loadRevisionHistory('COMMENT', comment) });
+  } catch (error) {
+    console.error('Get comment revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch edit history' });
+  }
+});
+
+/**
+ * POST /api/hub/comments/:id/reactions
+ * Toggle an emoji reaction on a comment
+ * Body: { type }
+ */
+router.post('/comments/:id/reactions', authenticate, async (req, res) => {
+  try {
+    const { type } = reactionSchema.parse(req.body);
+
+    const comment = await prisma.comment.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, postId: true, authorId: true },
+    });
+
+    // Comments are only reachable through a post the viewer can read
+    const post = comment && (await findVisiblePost(comment.postId, req.user.id));
+    if (!post) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (await isBlockedBetween(req.user.id, comment.authorId)) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
+    const { reacted, reactions } = await toggleReaction({
+      targetType: 'COMMENT',
+      targetId: comment.id,
+      userId: req.user.id,
+      type,
+    });
+
+    res.json({ reacted, reactions });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Comment reaction error:', error);
+    res.status(500).json({ error: 'Failed to react to comment' });
+  }
+});
+
 /**
  * GET /api/hub/posts/:id/comments
  * Get post comments with nested replies
+ * Query: cursor, limit (paginates top-level comments, oldest first)
  */
 router.get('/posts/:id/comments', authenticate, async (req, res) => {
   try {
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const [post, { blockedIds }] = await Promise.all([
+      findVisiblePost(req.params.id, req.user.id),
+      loadViewerContext(req.user.id),
+    ]);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // Comments by users blocked with the viewer are left out
+    const notBlocked = blockedIds.size > 0 ? { authorId: { notIn: [...blockedIds] } } : {};
+
     // Get only top-level comments (parentId is null) with their replies
-    const comments = await prisma.comment.findMany({
+    const page = await paginate(prisma.comment, {
       where: {
         postId: req.params.id,
         parentId: null, // Only top-level comments
+        ...notBlocked,
       },
-      orderBy: { createdAt: 'asc' },
+      order: 'asc',
+      ...pagination,
       include: {
         author: {
           select: {
@@ -423,6 +1183,7 @@ router.get('/posts/:id/comments', authenticate, async (req, res) => {
           },
         },
         replies: {
+          where: notBlocked,
           orderBy: { createdAt: 'asc' },
           include: {
             author: {
@@ -434,6 +1195,7 @@ router.get('/posts/:id/comments', authenticate, async (req, res) => {
                 photoUrl: true,
               },
             },
+            reactions: reactionInclude,
             _count: {
               select: {
                 replies: true,
@@ -441,6 +1203,7 @@ router.get('/posts/:id/comments', authenticate, async (req, res) => {
             },
           },
         },
+        reactions: reactionInclude,
         _count: {
           select: {
             replies: true,
@@ -449,22 +1212,80 @@ router.get('/posts/:id/comments', authenticate, async (req, res) => {
       },
     });
 
-    res.json({ comments });
+    res.json({
+      comments: page.items.map((comment) => ({
+        ...withReactionSummary(comment, req.user.id),
+        replies: comment.replies.map((reply) => withReactionSummary(reply, req.user.id)),
+      })),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
   } catch (error) {
     console.error('Get comments error:', error);
     res.status(500).json({ error: 'Failed to fetch comments' });
   }
 });
 
+// ========== TAGS ==========
+
+/**
+ * GET /api/hub/tags/:tag
+ * Get posts tagged with a hashtag (newest first, visibility rules apply)
+ * Query: cursor, limit
+ */
+router.get('/tags/:tag', authenticate, async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ error: 'Invalid hashtag' });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const context = await loadViewerContext(req.user.id);
+
+    const page = await paginate(prisma.post, {
+      where: {
+        AND: [{ hashtags: { some: { hashtag: { name: tag } } } }, visiblePostsWhere(context)],
+      },
+      include: postInclude,
+      ...pagination,
+    });
+
+    res.json({
+      tag,
+      posts: page.items.map((post) => presentPostFor(post, req.user.id)),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
+  } catch (error) {
+    console.error('Get tag feed error:', error);
+    res.status(500).json({ error: 'Failed to fetch tagged posts' });
+  }
+});
+
 // ========== GROUPS ==========
 
 /**
  * GET /api/hub/groups
  * Get all groups
+ * Query: member=true (only groups the viewer belongs to), cursor, limit (alphabetical by name)
  */
 router.get('/groups', authenticate, async (req, res) => {
   try {
-    const groups = await prisma.group.findMany({
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    // member=true limits the list to groups the viewer has joined
+    const where = req.query.member === 'true' ? { members: { some: { userId: req.user.id } } } : {};
+
+    const page = await paginate(prisma.group, {
+      where,
       include: {
         _count: {
           select: {
@@ -473,10 +1294,12 @@ router.get('/groups', authenticate, async (req, res) => {
           },
         },
       },
-      orderBy: { name: 'asc' },
+      sortField: 'name',
+      order: 'asc',
+      ...pagination,
     });
 
-    res.json({ groups });
+    res.json({ groups: page.items, nextCursor: page.nextCursor, prevCursor: page.prevCursor });
   } catch (error) {
     console.error('Get groups error:', error);
     res.status(500).json({ error: 'Failed to fetch groups' });
@@ -513,201 +1336,1831 @@ router.post('/groups', authenticate, async (req, res) => {
   }
 });
 
+const joinRequestSchema = z.object({
+  message: z.string().trim().max(500).optional(),
+});
+
+const inviteSchema = z.object({
+  expiresInHours: z.number().positive().max(MAX_INVITE_HOURS).optional(),
+  maxUses: z.number().int().min(1).max(MAX_INVITE_USES).nullable().optional(),
+  userId: z.string().optional(),
+});
+
+const memberRoleSchema = z.object({
+  role: z.enum(GROUP_ROLES),
+});
+
+const removeMemberSchema = z.object({
+  ban: z.boolean().optional(),
+  reason: z.string().trim().max(500).optional(),
+});
+
+const memberUserSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  photoUrl: true,
+};
+
 /**
- * POST /api/hub/groups/:id/join
- * Join a group
+ * Load a group with the viewer's membership for the routes below
+ * @returns {Promise<Object>} { group, membership } (group null if not found)
  */
-router.post('/groups/:id/join', authenticate, async (req, res) => {
-  try {
-    const groupId = req.params.id;
+async function loadGroupForUser(groupId, userId) {
+  const [group, membership] = await Promise.all([
+    prisma.group.findUnique({ where: { id: groupId } }),
+    findMembership(groupId, userId),
+  ]);
+  return { group, membership };
+}
 
-    // Check if already a member
-    const existingMember = await prisma.groupMember.findUnique({
-      where: {
-        groupId_userId: {
-          groupId,
-          userId: req.user.id,
+/**
+ * GET /api/hub/groups/invites/:code
+ * Preview an invite link
+ */
+router.get('/groups/invites/:code', authenticate, async (req, res) => {
+  try {
+    const invite = await prisma.groupInvite.findUnique({
+      where: { code: req.params.code },
+      include: {
+        group: {
+          select: {
+            id: true,
+            name: true,
+            description: true,
+            imageUrl: true,
+            isPrivate: true,
+            _count: { select: { members: true } },
+          },
         },
+        createdBy: { select: memberUserSelect },
+      },
+    });
+
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    const membership = await findMembership(invite.groupId, req.user.id);
+
+    res.json({
+      invite: {
+        group: invite.group,
+        invitedBy: invite.createdBy,
+        expiresAt: invite.expiresAt,
+        isMember: Boolean(membership),
+        error: inviteError(invite, { userId: req.user.id }),
       },
     });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+});
+
+/**
+ * POST /api/hub/groups/invites/:code/accept
+ * Join a group through an invite link
+ */
+router.post('/groups/invites/:code/accept', authenticate, async (req, res) => {
+  try {
+    const invite = await prisma.groupInvite.findUnique({ where: { code: req.params.code } });
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
 
-    if (existingMember) {
+    const reason = inviteError(invite, { userId: req.user.id });
+    if (reason) {
+      return res.status(410).json({ error: reason });
+    }
+
+    const [membership, ban] = await Promise.all([
+      findMembership(invite.groupId, req.user.id),
+      findGroupBan(invite.groupId, req.user.id),
+    ]);
+    if (membership) {
       return res.status(400).json({ error: 'Already a member of this group' });
     }
+    if (ban) {
+      return res.status(403).json({ error: 'You are banned from this group' });
+    }
 
-    await prisma.groupMember.create({
-      data: {
-        groupId,
-        userId: req.user.id,
+    await prisma.$transaction(async (tx) => {
+      // Count the use only if it is still available, so concurrent accepts can't overrun maxUses
+      const claimed = await tx.groupInvite.updateMany({
+        where: {
+          id: invite.id,
+          ...(invite.maxUses !== null && { uses: { lt: invite.maxUses } }),
+        },
+        data: { uses: { increment: 1 } },
+      });
+      if (claimed.count === 0) {
+        throw new Error('INVITE_USED_UP');
+      }
+      await addGroupMember(invite.groupId, req.user.id, tx);
+    });
+
+    res.json({ message: 'Joined group successfully', groupId: invite.groupId });
+  } catch (error) {
+    if (error.message === 'INVITE_USED_UP') {
+      return res.status(410).json({ error: 'This invite has been used up' });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Already a member of this group' });
+    }
+    console.error('Accept invite error:', error);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+/**
+ * GET /api/hub/groups/:id
+ * Get a group with the viewer's membership status and group permissions
+ */
+router.get('/groups/:id', authenticate, async (req, res) => {
+  try {
+    const [group, membership, mute, request, ban] = await Promise.all([
+      prisma.group.findUnique({
+        where: { id: req.params.id },
+        include: { _count: { select: { members: true, posts: true, events: true } } },
+      }),
+      findMembership(req.params.id, req.user.id),
+      findGroupMute(req.params.id, req.user.id),
+      prisma.groupJoinRequest.findUnique({
+        where: { groupId_userId: { groupId: req.params.id, userId: req.user.id } },
+        select: { id: true, createdAt: true },
+      }),
+      prisma.groupBan.findUnique({
+        where: { groupId_userId: { groupId: req.params.id, userId: req.user.id } },
+        select: { id: true },
+      }),
+    ]);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json({
+      group: {
+        ...group,
+        isMember: Boolean(membership),
+        myRole: membership?.role ?? null,
+        myPermissions: Object.values(GROUP_PERMISSIONS).filter((permission) =>
+          canModerateGroup(req.user, membership, permission)
+        ),
+        mutedUntil: isMuted(mute) ? mute.mutedUntil : null,
+        pendingRequest: request,
+        isBanned: Boolean(ban),
       },
     });
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({ error: 'Failed to fetch group' });
+  }
+});
+
+/**
+ * POST /api/hub/groups/:id/join
+ * Join a public group, or ask to join a private one
+ * Body: { message? } sent to the group's admins with a request
+ */
+router.post('/groups/:id/join', authenticate, async (req, res) => {
+  try {
+    const { message } = joinRequestSchema.parse(req.body);
+    const groupId = req.params.id;
+
+    const { group, membership } = await loadGroupForUser(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (membership) {
+      return res.status(400).json({ error: 'Already a member of this group' });
+    }
+
+    const ban = await findGroupBan(groupId, req.user.id);
+    if (ban) {
+      return res.status(403).json({ error: 'You are banned from this group' });
+    }
+
+    if (!group.isPrivate) {
+      await addGroupMember(groupId, req.user.id);
+      return res.json({ message: 'Joined group successfully' });
+    }
+
+    const existingRequest = await prisma.groupJoinRequest.findUnique({
+      where: { groupId_userId: { groupId, userId: req.user.id } },
+    });
+    if (existingRequest) {
+      return res.status(409).json({ error: 'You already asked to join this group' });
+    }
+
+    const request = await prisma.groupJoinRequest.create({
+      data: { groupId, userId: req.user.id, message },
+    });
+
+    const managerIds = await findGroupManagerIds(groupId);
+    await notifyGroupUsers(req.app.get('io'), managerIds, {
+      message: `${req.user.firstName} ${req.user.lastName} asked to join ${group.name}`,
+      link: groupLink(groupId),
+    });
 
-    res.json({ message: 'Joined group successfully' });
+    res.status(202).json({ message: 'Join request sent', request });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Already a member of this group' });
+    }
     console.error('Join group error:', error);
     res.status(500).json({ error: 'Failed to join group' });
   }
 });
 
-// ========== EVENTS ==========
-
 /**
- * GET /api/hub/events
- * Get upcoming events
+ * DELETE /api/hub/groups/:id/join
+ * Withdraw a pending join request
  */
-router.get('/events', authenticate, async (req, res) => {
+router.delete('/groups/:id/join', authenticate, async (req, res) => {
   try {
-    const events = await prisma.event.findMany({
-      where: {
-        startDate: {
-          gte: new Date(),
-        },
-      },
-      orderBy: { startDate: 'asc' },
-      include: {
-        organizer: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            photoUrl: true,
-          },
-        },
-        group: {
-          select: {
-            id: true,
-            name: true,
-          },
-        },
-      },
+    const { count } = await prisma.groupJoinRequest.deleteMany({
+      where: { groupId: req.params.id, userId: req.user.id },
     });
 
-    res.json({ events });
+    if (count === 0) {
+      return res.status(404).json({ error: 'No pending request for this group' });
+    }
+
+    res.json({ message: 'Join request withdrawn' });
   } catch (error) {
-    console.error('Get events error:', error);
-    res.status(500).json({ error: 'Failed to fetch events' });
+    console.error('Withdraw join request error:', error);
+    res.status(500).json({ error: 'Failed to withdraw join request' });
   }
 });
 
 /**
- * POST /api/hub/events
- * Create an event
+ * POST /api/hub/groups/:id/leave
+ * Leave a group
  */
-router.post('/events', authenticate, async (req, res) => {
+router.post('/groups/:id/leave', authenticate, async (req, res) => {
   try {
-    const { title, description, location, startDate, endDate, groupId } = req.body;
+    const groupId = req.params.id;
 
-    const event = await prisma.event.create({
-      data: {
-        title,
-        description,
-        location,
-        startDate: new Date(startDate),
-        endDate: endDate ? new Date(endDate) : null,
-        organizerId: req.user.id,
-        groupId,
-      },
-      include: {
-        organizer: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-          },
-        },
-      },
-    });
+    const membership = await findMembership(groupId, req.user.id);
+    if (!membership) {
+      return res.status(400).json({ error: 'Not a member of this group' });
+    }
+
+    // The last admin can only leave once nobody else is left to run the group
+    if (membership.role === 'ADMIN') {
+      const [adminCount, memberCount] = await Promise.all([
+        prisma.groupMember.count({ where: { groupId, role: 'ADMIN' } }),
+        prisma.groupMember.count({ where: { groupId } }),
+      ]);
+
+      if (adminCount === 1 && memberCount > 1) {
+        return res.status(400).json({
+          error: 'Cannot leave: You are the only admin. Promote another member to admin first.',
+        });
+      }
+    }
+
+    await prisma.groupMember.delete({ where: { id: membership.id } });
 
-    res.status(201).json({ event });
+    res.json({ message: 'Left group successfully' });
   } catch (error) {
-    console.error('Create event error:', error);
-    res.status(500).json({ error: 'Failed to create event' });
+    console.error('Leave group error:', error);
+    res.status(500).json({ error: 'Failed to leave group' });
   }
 });
 
-// ========== MESSAGES ==========
+/**
+ * GET /api/hub/groups/:id/members
+ * List a group's members (members only for private groups)
+ * Query: cursor, limit (longest-standing members first)
+ */
+router.get('/groups/:id/members', authenticate, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const { group, membership } = await loadGroupForUser(req.params.id, req.user.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    if (group.isPrivate && !membership) {
+      return res.status(403).json({ error: 'Only members can see who is in this group' });
+    }
+
+    const page = await paginate(prisma.groupMember, {
+      where: { groupId: group.id },
+      include: { user: { select: memberUserSelect } },
+      sortField: 'joinedAt',
+      order: 'asc',
+      ...pagination,
+    });
+
+    res.json({
+      members: await withMutes(group.id, page.items),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
+  } catch (error) {
+    console.error('Get group members error:', error);
+    res.status(500).json({ error: 'Failed to fetch group members' });
+  }
+});
 
 /**
- * GET /api/hub/messages
- * Get user's messages
+ * PUT /api/hub/groups/:id/members/:userId/role
+ * Change a member's role (group admins only)
  */
-router.get('/messages', authenticate, async (req, res) => {
+router.put('/groups/:id/members/:userId/role', authenticate, async (req, res) => {
   try {
-    const messages = await prisma.message.findMany({
-      where: {
-        OR: [{ senderId: req.user.id }, { receiverId: req.user.id }],
-      },
-      orderBy: { createdAt: 'desc' },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            photoUrl: true,
-          },
-        },
-        receiver: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            photoUrl: true,
+    const { role } = memberRoleSchema.parse(req.body);
+    const groupId = req.params.id;
+
+    const [{ group, membership: actor }, target] = await Promise.all([
+      loadGroupForUser(groupId, req.user.id),
+      findMembership(groupId, req.params.userId),
+    ]);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const adminCount = await prisma.groupMember.count({ where: { groupId, role: 'ADMIN' } });
+    const changeError = roleChangeError({
+      actorRole: actor?.role ?? null,
+      targetRole: target.role,
+      newRole: role,
+      adminCount,
+    });
+    if (changeError) {
+      return res.status(actor?.role === 'ADMIN' ? 400 : 403).json({ error: changeError });
+    }
+
+    const member = await prisma.$transaction(async (tx) => {
+      const updated = await tx.groupMember.update({
+        where: { id: target.id },
+        data: { role },
+        include: { user: { select: memberUserSelect } },
+      });
+      if (target.role !== role) {
+        await recordGroupAction(
+          {
+            groupId,
+            actorId: req.user.id,
+            action: 'CHANGE_ROLE',
+            targetUserId: target.userId,
+            details: `${target.role} → ${role}`,
           },
-        },
-      },
+          tx
+        );
+      }
+      return updated;
     });
 
-    res.json({ messages });
+    if (target.userId !== req.user.id && target.role !== role) {
+      await notifyGroupUsers(req.app.get('io'), [target.userId], {
+        message: `You are now ${role === 'MEMBER' ? 'a member' : `a ${role.toLowerCase()}`} of ${group.name}`,
+        link: groupLink(groupId),
+      });
+    }
+
+    res.json({ member });
   } catch (error) {
-    console.error('Get messages error:', error);
-    res.status(500).json({ error: 'Failed to fetch messages' });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Change group role error:', error);
+    res.status(500).json({ error: 'Failed to change role' });
   }
 });
 
 /**
- * POST /api/hub/messages
- * Send a message
+ * DELETE /api/hub/groups/:id/members/:userId
+ * Remove a member, optionally banning them from rejoining (admins and moderators)
+ * Body: { ban?, reason? }
  */
-router.post('/messages', authenticate, async (req, res) => {
+router.delete('/groups/:id/members/:userId', authenticate, async (req, res) => {
   try {
-    const { content, receiverId } = req.body;
+    const { ban, reason } = removeMemberSchema.parse(req.body || {});
+    const groupId = req.params.id;
 
-    const message = await prisma.message.create({
-      data: {
-        content,
-        senderId: req.user.id,
-        receiverId,
-      },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            photoUrl: true,
-          },
+    const { group, membership: actor } = await loadGroupForUser(groupId, req.user.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const target = await findMembership(groupId, req.params.userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (
+      target.userId === req.user.id ||
+      !canModerateMember(req.user, actor, target, GROUP_PERMISSIONS.MEMBERS_MANAGE)
+    ) {
+      return res.status(403).json({ error: 'Not authorized to remove this member' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.groupMember.delete({ where: { id: target.id } });
+      if (ban) {
+        await tx.groupBan.upsert({
+          where: { groupId_userId: { groupId, userId: target.userId } },
+          create: { groupId, userId: target.userId, bannedById: req.user.id, reason },
+          update: { bannedById: req.user.id, reason },
+        });
+      }
+      await recordGroupAction(
+        {
+          groupId,
+          actorId: req.user.id,
+          action: ban ? 'BAN_MEMBER' : 'REMOVE_MEMBER',
+          targetUserId: target.userId,
+          details: reason,
         },
-      },
+        tx
+      );
     });
 
-    // Create notification
-    await prisma.notification.create({
-      data: {
-        type: 'MESSAGE',
-        message: `${req.user.firstName} ${req.user.lastName} sent you a message`,
-        link: `/hub/messages/${message.id}`,
-        userId: receiverId,
-      },
+    await notifyGroupUsers(req.app.get('io'), [target.userId], {
+      message: ban ? `You were banned from ${group.name}` : `You were removed from ${group.name}`,
+      link: '/hub',
     });
 
-    res.status(201).json({ message });
+    res.json({ message: ban ? 'Member removed and banned' : 'Member removed' });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Remove group member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+/**
+ * GET /api/hub/groups/:id/requests
+ * Pending join requests (admins and moderators)
+ */
+router.get(
+  '/groups/:id/requests',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.MEMBERS_MANAGE),
+  async (req, res) => {
+    try {
+      const requests = await prisma.groupJoinRequest.findMany({
+        where: { groupId: req.params.id },
+        include: { user: { select: memberUserSelect } },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      res.json({ requests });
+    } catch (error) {
+      console.error('Get join requests error:', error);
+      res.status(500).json({ error: 'Failed to fetch join requests' });
+    }
+  }
+);
+
+/**
+ * POST /api/hub/groups/:id/requests/:requestId/:decision
+ * Approve or reject a join request (admins and moderators)
+ * decision: approve | reject
+ */
+router.post(
+  '/groups/:id/requests/:requestId/:decision',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.MEMBERS_MANAGE),
+  async (req, res) => {
+    try {
+      const { decision } = req.params;
+      if (decision !== 'approve' && decision !== 'reject') {
+        return res.status(404).json({ error: 'Not found' });
+      }
+
+      const { group } = req;
+
+      const request = await prisma.groupJoinRequest.findUnique({
+        where: { id: req.params.requestId },
+      });
+      if (!request || request.groupId !== group.id) {
+        return res.status(404).json({ error: 'Join request not found' });
+      }
+
+      if (decision === 'approve') {
+        await prisma.$transaction((tx) => addGroupMember(group.id, request.userId, tx));
+      } else {
+        await prisma.groupJoinRequest.delete({ where: { id: request.id } });
+      }
+
+      await notifyGroupUsers(req.app.get('io'), [request.userId], {
+        message:
+          decision === 'approve'
+            ? `Your request to join ${group.name} was approved`
+            : `Your request to join ${group.name} was declined`,
+        link: decision === 'approve' ? groupLink(group.id) : '/hub',
+      });
+
+      res.json({ message: decision === 'approve' ? 'Request approved' : 'Request rejected' });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(400).json({ error: 'Already a member of this group' });
+      }
+      console.error('Review join request error:', error);
+      res.status(500).json({ error: 'Failed to review join request' });
+    }
+  }
+);
+
+/**
+ * GET /api/hub/groups/:id/bans
+ * Users banned from a group (admins and moderators)
+ */
+router.get(
+  '/groups/:id/bans',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.MEMBERS_MANAGE),
+  async (req, res) => {
+    try {
+      const bans = await prisma.groupBan.findMany({
+        where: { groupId: req.params.id },
+        include: {
+          user: { select: memberUserSelect },
+          bannedBy: { select: memberUserSelect },
+        },
+        orderBy: { createdAt: 'desc' },
+      });
+
+      res.json({ bans });
+    } catch (error) {
+      console.error('Get group bans error:', error);
+      res.status(500).json({ error: 'Failed to fetch bans' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/hub/groups/:id/bans/:userId
+ * Lift a ban (admins and moderators)
+ */
+router.delete(
+  '/groups/:id/bans/:userId',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.MEMBERS_MANAGE),
+  async (req, res) => {
+    try {
+      const { count } = await prisma.groupBan.deleteMany({
+        where: { groupId: req.params.id, userId: req.params.userId },
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Ban not found' });
+      }
+
+      await recordGroupAction({
+        groupId: req.params.id,
+        actorId: req.user.id,
+        action: 'UNBAN_MEMBER',
+        targetUserId: req.params.userId,
+      });
+
+      res.json({ message: 'Ban lifted' });
+    } catch (error) {
+      console.error('Lift group ban error:', error);
+      res.status(500).json({ error: 'Failed to lift ban' });
+    }
+  }
+);
+
+/**
+ * GET /api/hub/groups/:id/invites
+ * Active invite links (admins and moderators)
+ */
+router.get(
+  '/groups/:id/invites',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.MEMBERS_MANAGE),
+  async (req, res) => {
+    try {
+      const invites = await prisma.groupInvite.findMany({
+        where: {
+          groupId: req.params.id,
+          OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+        },
+        include: {
+          createdBy: { select: memberUserSelect },
+          invitee: { select: memberUserSelect },
+        },
+        orderBy: { createdAt: 'desc' },
+      });
+
+      res.json({ invites: invites.map((invite) => ({ ...invite, url: inviteUrl(invite.code) })) });
+    } catch (error) {
+      console.error('Get group invites error:', error);
+      res.status(500).json({ error: 'Failed to fetch invites' });
+    }
+  }
+);
+
+/**
+ * POST /api/hub/groups/:id/invites
+ * Create an invite link (admins and moderators)
+ * Body: { expiresInHours? (default one week), maxUses?, userId? to invite one person }
+ */
+router.post(
+  '/groups/:id/invites',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.MEMBERS_MANAGE),
+  async (req, res) => {
+    try {
+      const { expiresInHours, maxUses, userId } = inviteSchema.parse(req.body);
+
+      const { group } = req;
+
+      if (userId) {
+        const invitee = await prisma.user.findUnique({
+          where: { id: userId },
+          select: { id: true },
+        });
+        if (!invitee) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (await findMembership(group.id, userId)) {
+          return res.status(400).json({ error: 'User is already a member of this group' });
+        }
+      }
+
+      const invite = await prisma.groupInvite.create({
+        data: {
+          groupId: group.id,
+          code: nanoid(24),
+          createdById: req.user.id,
+          inviteeId: userId || null,
+          expiresAt: inviteExpiresAt(expiresInHours),
+          maxUses: userId ? 1 : (maxUses ?? null),
+        },
+      });
+
+      if (userId) {
+        await notifyGroupUsers(req.app.get('io'), [userId], {
+          type: 'GROUP_INVITE',
+          message: `${req.user.firstName} ${req.user.lastName} invited you to join ${group.name}`,
+          link: `/hub/groups/invite/${invite.code}`,
+        });
+      }
+
+      res.status(201).json({ invite: { ...invite, url: inviteUrl(invite.code) } });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: error.errors });
+      }
+      console.error('Create group invite error:', error);
+      res.status(500).json({ error: 'Failed to create invite' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/hub/groups/:id/invites/:inviteId
+ * Revoke an invite link (admins and moderators)
+ */
+router.delete(
+  '/groups/:id/invites/:inviteId',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.MEMBERS_MANAGE),
+  async (req, res) => {
+    try {
+      const { count } = await prisma.groupInvite.deleteMany({
+        where: { id: req.params.inviteId, groupId: req.params.id },
+      });
+      if (count === 0) {
+        return res.status(404).json({ error: 'Invite not found' });
+      }
+
+      res.json({ message: 'Invite revoked' });
+    } catch (error) {
+      console.error('Revoke group invite error:', error);
+      res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+  }
+);
+
+const muteSchema = z.object({
+  hours: z.number().int().min(1).max(MAX_MUTE_HOURS),
+  reason: z.string().trim().max(500).optional(),
+});
+
+const groupSettingsSchema = z.object({
+  postingPolicy: z.enum(POSTING_POLICIES),
+});
+
+/**
+ * GET /api/hub/groups/:id/posts
+ * A group's posts, pinned posts first (members only for private groups)
+ * Query: cursor, limit (pinned posts come with the first page)
+ */
+router.get('/groups/:id/posts', authenticate, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const { group, membership } = await loadGroupForUser(req.params.id, req.user.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    if (group.isPrivate && !membership) {
+      return res.status(403).json({ error: 'Only members can see posts in this group' });
+    }
+
+    const visible = visiblePostsWhere(await loadViewerContext(req.user.id));
+    const inGroup = { AND: [visible, { groupId: group.id }] };
+
+    const [pinned, page] = await Promise.all([
+      pagination.cursor
+        ? []
+        : prisma.post.findMany({
+            where: { AND: [inGroup, { pinnedAt: { not: null } }] },
+            orderBy: { pinnedAt: 'desc' },
+            include: postInclude,
+          }),
+      paginate(prisma.post, {
+        where: { AND: [inGroup, { pinnedAt: null }] },
+        include: postInclude,
+        ...pagination,
+      }),
+    ]);
+
+    res.json({
+      pinned: pinned.map((post) => presentPostFor(post, req.user.id)),
+      posts: page.items.map((post) => presentPostFor(post, req.user.id)),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
+  } catch (error) {
+    console.error('Get group posts error:', error);
+    res.status(500).json({ error: 'Failed to fetch group posts' });
+  }
+});
+
+/**
+ * POST /api/hub/groups/:id/posts/:postId/pin
+ * Pin a post to the top of the group (admins and moderators)
+ */
+router.post(
+  '/groups/:id/posts/:postId/pin',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.POST_PIN),
+  async (req, res) => {
+    try {
+      const post = await prisma.post.findUnique({ where: { id: req.params.postId } });
+      if (!post || post.groupId !== req.group.id) {
+        return res.status(404).json({ error: 'Post not found in this group' });
+      }
+      if (post.pinnedAt) {
+        return res.status(400).json({ error: 'Post is already pinned' });
+      }
+
+      const pinnedCount = await prisma.post.count({
+        where: { groupId: req.group.id, pinnedAt: { not: null } },
+      });
+      if (pinnedCount >= MAX_PINNED_POSTS) {
+        return res
+          .status(400)
+          .json({ error: `A group can have at most ${MAX_PINNED_POSTS} pinned posts` });
+      }
+
+      const updated = await prisma.$transaction(async (tx) => {
+        await recordGroupAction(
+          {
+            groupId: req.group.id,
+            actorId: req.user.id,
+            action: 'PIN_POST',
+            targetUserId: post.authorId,
+            subjectId: post.id,
+            details: logExcerpt(post.content),
+          },
+          tx
+        );
+        return tx.post.update({
+          where: { id: post.id },
+          data: { pinnedAt: new Date() },
+          include: postInclude,
+        });
+      });
+
+      res.json({ post: presentPostFor(updated, req.user.id) });
+    } catch (error) {
+      console.error('Pin group post error:', error);
+      res.status(500).json({ error: 'Failed to pin post' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/hub/groups/:id/posts/:postId/pin
+ * Unpin a post (admins and moderators)
+ */
+router.delete(
+  '/groups/:id/posts/:postId/pin',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.POST_PIN),
+  async (req, res) => {
+    try {
+      const post = await prisma.post.findUnique({ where: { id: req.params.postId } });
+      if (!post || post.groupId !== req.group.id) {
+        return res.status(404).json({ error: 'Post not found in this group' });
+      }
+      if (!post.pinnedAt) {
+        return res.status(400).json({ error: 'Post is not pinned' });
+      }
+
+      await prisma.$transaction(async (tx) => {
+        await tx.post.update({ where: { id: post.id }, data: { pinnedAt: null } });
+        await recordGroupAction(
+          {
+            groupId: req.group.id,
+            actorId: req.user.id,
+            action: 'UNPIN_POST',
+            targetUserId: post.authorId,
+            subjectId: post.id,
+            details: logExcerpt(post.content),
+          },
+          tx
+        );
+      });
+
+      res.json({ message: 'Post unpinned' });
+    } catch (error) {
+      console.error('Unpin group post error:', error);
+      res.status(500).json({ error: 'Failed to unpin post' });
+    }
+  }
+);
+
+/**
+ * PUT /api/hub/groups/:id/members/:userId/mute
+ * Mute a member so they can't post or comment for a while (admins and moderators)
+ * Body: { hours, reason? }
+ */
+router.put(
+  '/groups/:id/members/:userId/mute',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.MEMBER_MUTE),
+  async (req, res) => {
+    try {
+      const { hours, reason } = muteSchema.parse(req.body);
+
+      const target = await findMembership(req.group.id, req.params.userId);
+      if (!target) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      if (
+        target.userId === req.user.id ||
+        !canModerateMember(req.user, req.groupMembership, target, GROUP_PERMISSIONS.MEMBER_MUTE)
+      ) {
+        return res.status(403).json({ error: 'Not authorized to mute this member' });
+      }
+
+      const mutedUntil = muteEndsAt(hours);
+      await prisma.$transaction(async (tx) => {
+        await recordGroupAction(
+          {
+            groupId: req.group.id,
+            actorId: req.user.id,
+            action: 'MUTE_MEMBER',
+            targetUserId: target.userId,
+            details: reason ? `${hours}h: ${reason}` : `${hours}h`,
+          },
+          tx
+        );
+        await tx.groupMute.upsert({
+          where: { groupId_userId: { groupId: req.group.id, userId: target.userId } },
+          create: { groupId: req.group.id, userId: target.userId, mutedUntil },
+          update: { mutedUntil },
+        });
+      });
+      const member = await prisma.groupMember.findUnique({
+        where: { id: target.id },
+        include: { user: { select: memberUserSelect } },
+      });
+
+      await notifyGroupUsers(req.app.get('io'), [target.userId], {
+        message: `You were muted in ${req.group.name} until ${mutedUntil.toUTCString()}`,
+        link: groupLink(req.group.id),
+      });
+
+      res.json({ member: member && { ...member, mutedUntil } });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: error.errors });
+      }
+      console.error('Mute group member error:', error);
+      res.status(500).json({ error: 'Failed to mute member' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/hub/groups/:id/members/:userId/mute
+ * Lift a mute early (admins and moderators), including for users who have
+ * since left the group
+ */
+router.delete(
+  '/groups/:id/members/:userId/mute',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.MEMBER_MUTE),
+  async (req, res) => {
+    try {
+      const mute = await findGroupMute(req.group.id, req.params.userId);
+      if (!isMuted(mute)) {
+        return res.status(404).json({ error: 'Member is not muted' });
+      }
+
+      await prisma.$transaction(async (tx) => {
+        await recordGroupAction(
+          {
+            groupId: req.group.id,
+            actorId: req.user.id,
+            action: 'UNMUTE_MEMBER',
+            targetUserId: mute.userId,
+          },
+          tx
+        );
+        await tx.groupMute.delete({ where: { id: mute.id } });
+      });
+      const member = await prisma.groupMember.findUnique({
+        where: { groupId_userId: { groupId: req.group.id, userId: mute.userId } },
+        include: { user: { select: memberUserSelect } },
+      });
+
+      res.json({ member: member && { ...member, mutedUntil: null } });
+    } catch (error) {
+      console.error('Unmute group member error:', error);
+      res.status(500).json({ error: 'Failed to unmute member' });
+    }
+  }
+);
+
+/**
+ * PUT /api/hub/groups/:id/settings
+ * Update a group's posting rules (group admins)
+ * Body: { postingPolicy: EVERYONE | MODERATORS | ADMINS }
+ */
+router.put(
+  '/groups/:id/settings',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.SETTINGS_EDIT),
+  async (req, res) => {
+    try {
+      const { postingPolicy } = groupSettingsSchema.parse(req.body);
+
+      const group = await prisma.$transaction(async (tx) => {
+        if (postingPolicy !== req.group.postingPolicy) {
+          await recordGroupAction(
+            {
+              groupId: req.group.id,
+              actorId: req.user.id,
+              action: 'UPDATE_SETTINGS',
+              details: `Posting: ${req.group.postingPolicy} → ${postingPolicy}`,
+            },
+            tx
+          );
+        }
+        return tx.group.update({ where: { id: req.group.id }, data: { postingPolicy } });
+      });
+
+      res.json({ group });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return res.status(400).json({ error: error.errors });
+      }
+      console.error('Update group settings error:', error);
+      res.status(500).json({ error: 'Failed to update group settings' });
+    }
+  }
+);
+
+/**
+ * GET /api/hub/groups/:id/moderation-log
+ * Moderation actions taken in the group (admins and moderators)
+ * Query: cursor, limit (newest first)
+ */
+router.get(
+  '/groups/:id/moderation-log',
+  authenticate,
+  requireGroupPermission(GROUP_PERMISSIONS.LOG_VIEW),
+  async (req, res) => {
+    try {
+      const pagination = parsePagination(req.query);
+      if (pagination.error) {
+        return res.status(400).json({ error: pagination.error });
+      }
+
+      const page = await paginate(prisma.groupModerationLog, {
+        where: { groupId: req.group.id },
+        include: {
+          actor: { select: memberUserSelect },
+          targetUser: { select: memberUserSelect },
+        },
+        ...pagination,
+      });
+
+      res.json({ entries: page.items, nextCursor: page.nextCursor, prevCursor: page.prevCursor });
+    } catch (error) {
+      console.error('Get group moderation log error:', error);
+      res.status(500).json({ error: 'Failed to fetch moderation log' });
+    }
+  }
+);
+
+// ========== EVENTS ==========
+
+const eventFields = {
+  title: z.string().trim().min(1).max(200),
+  description: z.string().min(1),
+  location: z.string().max(300).nullable().optional(),
+  startDate: z.coerce.date(),
+  endDate: z.coerce.date().nullable().optional(),
+  capacity: z.number().int().positive().nullable().optional(),
+};
+
+const endsAfterStart = [
+  (data) => !data.endDate || !data.startDate || data.endDate >= data.startDate,
+  { message: 'endDate must be after startDate', path: ['endDate'] },
+];
+
+const createEventSchema = z
+  .object({ ...eventFields, groupId: z.string().optional() })
+  .refine(...endsAfterStart);
+
+const updateEventSchema = z
+  .object(eventFields)
+  .partial()
+  .refine(...endsAfterStart);
+
+const rsvpSchema = z.object({
+  status: z.enum(RSVP_CHOICES),
+});
+
+const organizerSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  photoUrl: true,
+};
+
+/**
+ * Event include with the going count and the viewer's RSVP (see presentEvent)
+ */
+function eventInclude(userId) {
+  return {
+    organizer: { select: organizerSelect },
+    group: {
+      select: {
+        id: true,
+        name: true,
+        isPrivate: true,
+      },
+    },
+    _count: { select: { rsvps: { where: { status: 'GOING' } } } },
+    rsvps: { where: { userId }, select: { status: true } },
+  };
+}
+
+/**
+ * GET /api/hub/events
+ * Get upcoming events (private group events only for members)
+ * Query: cursor, limit (soonest first)
+ */
+router.get('/events', authenticate, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const context = await loadViewerContext(req.user.id);
+
+    const page = await paginate(prisma.event, {
+      where: {
+        AND: [{ startDate: { gte: new Date() } }, visibleEventsWhere(context)],
+      },
+      sortField: 'startDate',
+      order: 'asc',
+      ...pagination,
+      include: eventInclude(req.user.id),
+    });
+
+    res.json({
+      events: page.items.map(presentEvent),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({ error: 'Failed to fetch events' });
+  }
+});
+
+/**
+ * POST /api/hub/events
+ * Create an event (group events follow the group's posting rules)
+ */
+router.post('/events', authenticate, async (req, res) => {
+  try {
+    const data = createEventSchema.parse(req.body);
+
+    if (data.groupId) {
+      const { group, membership } = await loadGroupForUser(data.groupId, req.user.id);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+      if (group.isPrivate && !membership) {
+        return res.status(403).json({ error: 'Only members can add events to this group' });
+      }
+      const [mute, ban] = await Promise.all([
+        findGroupMute(data.groupId, req.user.id),
+        findGroupBan(data.groupId, req.user.id),
+      ]);
+      if (ban) {
+        return res.status(403).json({ error: 'You are banned from this group' });
+      }
+      const blocked = postingError(group.postingPolicy, membership, mute);
+      if (blocked) {
+        return res.status(403).json({ error: blocked });
+      }
+    }
+
+    const event = await prisma.event.create({
+      data: {
+        ...data,
+        organizerId: req.user.id,
+      },
+      include: eventInclude(req.user.id),
+    });
+
+    res.status(201).json({ event: presentEvent(event) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Create event error:', error);
+    res.status(500).json({ error: 'Failed to create event' });
+  }
+});
+
+/**
+ * GET /api/hub/events/:id
+ * Get an event with RSVP counts
+ */
+router.get('/events/:id', authenticate, async (req, res) => {
+  try {
+    const event = await prisma.event.findUnique({
+      where: { id: req.params.id },
+      include: eventInclude(req.user.id),
+    });
+
+    if (!event || !canViewEvent(event, await loadViewerContext(req.user.id))) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const groups = await prisma.eventRsvp.groupBy({
+      by: ['status'],
+      where: { eventId: event.id },
+      _count: true,
+    });
+
+    res.json({ event: { ...presentEvent(event), rsvpCounts: countRsvps(groups) } });
+  } catch (error) {
+    console.error('Get event error:', error);
+    res.status(500).json({ error: 'Failed to fetch event' });
+  }
+});
+
+/**
+ * PUT /api/hub/events/:id
+ * Update an event (organizer or moderator)
+ * Raising the capacity promotes waitlisted attendees; lowering it below the
+ * current going count keeps everyone already going.
+ */
+router.put('/events/:id', authenticate, async (req, res) => {
+  try {
+    const data = updateEventSchema.parse(req.body);
+
+    const existing = await prisma.event.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (!canAccessResource(req.user, existing, 'organizerId')) {
+      return res.status(403).json({ error: 'Not authorized to edit this event' });
+    }
+
+    const merged = { ...existing, ...data };
+    if (merged.endDate && merged.endDate < merged.startDate) {
+      return res.status(400).json({ error: 'endDate must be after startDate' });
+    }
+
+    const moved =
+      data.startDate !== undefined && data.startDate.getTime() !== existing.startDate.getTime();
+
+    const [, promoted] = await prisma.$transaction(async (tx) => {
+      const updated = await tx.event.update({ where: { id: existing.id }, data });
+      if (moved) {
+        // Attendees get a fresh reminder for the new time
+        await tx.eventRsvp.updateMany({
+          where: { eventId: existing.id, remindedAt: { not: null } },
+          data: { remindedAt: null },
+        });
+      }
+      return [updated, await promoteWaitlist(updated, tx)];
+    });
+
+    const io = req.app.get('io');
+    const changed =
+      moved ||
+      (data.endDate !== undefined && data.endDate?.getTime() !== existing.endDate?.getTime()) ||
+      (data.location !== undefined && data.location !== existing.location);
+    if (changed) {
+      const attendeeIds = await findAttendeeIds(existing.id, req.user.id);
+      await notifyEventUsers(
+        io,
+        attendeeIds.filter((id) => !promoted.includes(id)),
+        {
+          message: `"${merged.title}" has new details. Check the time and place`,
+          link: eventLink(existing),
+        }
+      );
+    }
+    await notifyEventUsers(io, promoted, {
+      message: `A spot opened up: you're now going to "${merged.title}"`,
+      link: eventLink(existing),
+    });
+
+    const event = await prisma.event.findUnique({
+      where: { id: existing.id },
+      include: eventInclude(req.user.id),
+    });
+
+    res.json({ event: presentEvent(event) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Update event error:', error);
+    res.status(500).json({ error: 'Failed to update event' });
+  }
+});
+
+/**
+ * DELETE /api/hub/events/:id
+ * Cancel an event (organizer or moderator); attendees are notified
+ */
+router.delete('/events/:id', authenticate, async (req, res) => {
+  try {
+    const event = await prisma.event.findUnique({ where: { id: req.params.id } });
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (!canAccessResource(req.user, event, 'organizerId')) {
+      return res.status(403).json({ error: 'Not authorized to cancel this event' });
+    }
+
+    const attendeeIds = await findAttendeeIds(event.id, req.user.id);
+
+    await prisma.event.delete({ where: { id: event.id } });
+
+    await notifyEventUsers(req.app.get('io'), attendeeIds, {
+      message: `"${event.title}" has been cancelled`,
+      link: '/hub',
+    });
+
+    res.json({ message: 'Event cancelled' });
+  } catch (error) {
+    console.error('Cancel event error:', error);
+    res.status(500).json({ error: 'Failed to cancel event' });
+  }
+});
+
+/**
+ * POST /api/hub/events/:id/rsvp
+ * RSVP to an event (GOING, INTERESTED or NOT_GOING)
+ * Going to a full event puts you on the waitlist.
+ */
+router.post('/events/:id/rsvp', authenticate, async (req, res) => {
+  try {
+    const { status } = rsvpSchema.parse(req.body);
+
+    const existing = await prisma.event.findUnique({
+      where: { id: req.params.id },
+      select: { organizerId: true, groupId: true, group: { select: { isPrivate: true } } },
+    });
+    if (!existing || !canViewEvent(existing, await loadViewerContext(req.user.id))) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const result = await setRsvp({ eventId: req.params.id, userId: req.user.id, choice: status });
+    if (!result) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    await notifyEventUsers(req.app.get('io'), result.promoted, {
+      message: `A spot opened up: you're now going to "${result.event.title}"`,
+      link: eventLink(result.event),
+    });
+
+    const event = await prisma.event.findUnique({
+      where: { id: req.params.id },
+      include: eventInclude(req.user.id),
+    });
+
+    res.json({ status: result.rsvp.status, event: presentEvent(event) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('RSVP error:', error);
+    res.status(500).json({ error: 'Failed to save RSVP' });
+  }
+});
+
+/**
+ * GET /api/hub/events/:id/attendees
+ * List or export an event's attendees (organizer only)
+ * Query: status (defaults to everyone who responded), format=csv for a download
+ */
+router.get('/events/:id/attendees', authenticate, async (req, res) => {
+  try {
+    const { status, format } = req.query;
+    if (status && !['GOING', 'WAITLISTED', 'INTERESTED', 'NOT_GOING'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid RSVP status' });
+    }
+
+    const event = await prisma.event.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, title: true, organizerId: true },
+    });
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (event.organizerId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the organizer can view attendees' });
+    }
+
+    const rsvps = await prisma.eventRsvp.findMany({
+      where: { eventId: event.id, ...(status && { status }) },
+      orderBy: [{ status: 'asc' }, { waitlistedAt: 'asc' }, { createdAt: 'asc' }],
+      select: {
+        status: true,
+        waitlistedAt: true,
+        updatedAt: true,
+        user: { select: organizerSelect },
+      },
+    });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="event-${event.id}-attendees.csv"`
+      );
+      return res.send(attendeesToCsv(rsvps));
+    }
+
+    res.json({ attendees: rsvps });
+  } catch (error) {
+    console.error('Get event attendees error:', error);
+    res.status(500).json({ error: 'Failed to fetch attendees' });
+  }
+});
+
+// ========== MESSAGES ==========
+
+const createConversationSchema = z.object({
+  userIds: z.array(z.string()).min(1),
+  title: z.string().trim().max(MAX_CONVERSATION_TITLE_LENGTH).optional(),
+});
+
+const messageSchema = z.object({
+  content: z.string().trim().max(MAX_MESSAGE_LENGTH).default(''),
+  replyToId: z.string().optional(),
+});
+
+const directMessageSchema = messageSchema.extend({
+  receiverId: z.string(),
+});
+
+const editMessageSchema = z.object({
+  content: z.string().trim().min(1).max(MAX_MESSAGE_LENGTH),
+});
+
+const readSchema = z.object({
+  messageId: z.string().optional(),
+});
+
+const conversationListInclude = {
+  ...conversationInclude,
+  messages: {
+    orderBy: { createdAt: 'desc' },
+    take: 1,
+    include: {
+      sender: { select: participantUserSelect },
+      attachments: { select: { id: true } },
+    },
+  },
+};
+
+/**
+ * Send a message from a request, with optional reply and `attachments` files
+ * Shared by the conversation and direct send routes.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} conversation - Conversation with participants
+ * @param {Object} data - { content, replyToId? } parsed from the body
+ */
+async function sendMessageFromRequest(req, res, conversation, data) {
+  const savedFiles = [];
+
+  try {
+    if (await isConversationBlocked(conversation, req.user.id)) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
+    const files = toFileList(req.files?.attachments);
+    if (files.length > MAX_MESSAGE_ATTACHMENTS) {
+      return res
+        .status(400)
+        .json({ error: `A message can have at most ${MAX_MESSAGE_ATTACHMENTS} attachments` });
+    }
+
+    const contentError = messageContentError(data.content, files.length);
+    if (contentError) {
+      return res.status(400).json({ error: contentError });
+    }
+
+    for (const file of files) {
+      const validation = validateFile(file, { allowedTypes: MESSAGE_ATTACHMENT_TYPES });
+      if (!validation.valid) {
+        return res.status(400).json({ error: `${file.name}: ${validation.error}` });
+      }
+    }
+
+    if (data.replyToId) {
+      const replyTo = await findConversationMessage(conversation.id, data.replyToId);
+      if (!replyTo) {
+        return res
+          .status(400)
+          .json({ error: 'The message you are replying to is not in this conversation' });
+      }
+    }
+
+    for (const file of files) {
+      savedFiles.push(
+        await saveUploadedFile(file, MESSAGE_ATTACHMENT_CATEGORY, {
+          allowedTypes: MESSAGE_ATTACHMENT_TYPES,
+        })
+      );
+    }
+
+    const message = await sendConversationMessage(req.app.get('io'), conversation, req.user, {
+      content: data.content,
+      replyToId: data.replyToId,
+      attachments: savedFiles,
+    });
+
+    res.status(201).json({ message });
+  } catch (error) {
+    // Don't leave orphaned files behind if the message wasn't created
+    await Promise.allSettled(
+      savedFiles.map((file) => deleteUploadedFile(file.filename, MESSAGE_ATTACHMENT_CATEGORY))
+    );
+
+    console.error('Send message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+}
+
+/**
+ * GET /api/hub/conversations
+ * Get the user's conversations with their latest message and unread counts
+ * Query: cursor, limit (most recently active first)
+ */
+router.get('/conversations', authenticate, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const page = await paginate(prisma.conversation, {
+      where: { participants: { some: { userId: req.user.id } } },
+      include: conversationListInclude,
+      sortField: 'lastMessageAt',
+      ...pagination,
+    });
+
+    const unread = await countUnread(page.items, req.user.id);
+
+    res.json({
+      conversations: page.items.map((conversation) =>
+        presentConversation(conversation, req.user.id, unread.get(conversation.id))
+      ),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+/**
+ * GET /api/hub/conversations/unread-count
+ * Get the total number of unread messages across the user's conversations
+ */
+router.get('/conversations/unread-count', authenticate, async (req, res) => {
+  try {
+    const participants = await prisma.conversationParticipant.findMany({
+      where: { userId: req.user.id },
+    });
+
+    const counts = await Promise.all(
+      participants.map((participant) => prisma.message.count({ where: unreadWhere(participant) }))
+    );
+
+    res.json({ count: counts.reduce((sum, n) => sum + n, 0) });
+  } catch (error) {
+    console.error('Get unread message count error:', error);
+    res.status(500).json({ error: 'Failed to fetch unread count' });
+  }
+});
+
+/**
+ * POST /api/hub/conversations
+ * Start a conversation
+ * With one other user this returns your existing one-to-one conversation if there is one.
+ */
+router.post('/conversations', authenticate, async (req, res) => {
+  try {
+    const data = createConversationSchema.parse(req.body);
+
+    const participants = normalizeParticipants(req.user.id, data.userIds);
+    if (participants.error) {
+      return res.status(400).json({ error: participants.error });
+    }
+
+    const found = await prisma.user.count({ where: { id: { in: participants.userIds } } });
+    if (found !== participants.userIds.length) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if ((await findBlockedAmong(req.user.id, participants.userIds)).size > 0) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
+    const conversation =
+      participants.userIds.length === 1
+        ? await findOrCreateDirectConversation(req.user.id, participants.userIds[0])
+        : await createGroupConversation(req.user.id, participants.userIds, data.title);
+
+    res.status(201).json({ conversation: presentConversation(conversation, req.user.id) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Create conversation error:', error);
+    res.status(500).json({ error: 'Failed to start conversation' });
+  }
+});
+
+/**
+ * GET /api/hub/conversations/:id
+ * Get a conversation you take part in
+ */
+router.get('/conversations/:id', authenticate, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const unread = await countUnread([conversation], req.user.id);
+
+    res.json({
+      conversation: presentConversation(conversation, req.user.id, unread.get(conversation.id)),
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+/**
+ * GET /api/hub/conversations/:id/messages
+ * Get a conversation's message history
+ * Query: cursor, limit (newest first)
+ */
+router.get('/conversations/:id/messages', authenticate, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const conversation = await findConversationForUser(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const page = await paginate(prisma.message, {
+      where: { conversationId: conversation.id },
+      include: messageInclude,
+      ...pagination,
+    });
+
+    res.json({
+      messages: page.items.map(presentMessage),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+/**
+ * POST /api/hub/conversations/:id/messages
+ * Send a message to a conversation
+ * Accepts JSON or multipart/form-data with up to 4 `attachments` (images or PDF, 5MB each).
+ * Include `replyToId` to quote an earlier message.
+ */
+router.post('/conversations/:id/messages', authenticate, async (req, res) => {
+  try {
+    const data = messageSchema.parse(req.body);
+
+    const conversation = await findConversationForUser(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await sendMessageFromRequest(req, res, conversation, data);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Send message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+/**
+ * PUT /api/hub/conversations/:id/messages/:messageId
+ * Edit one of your messages
+ */
+router.put('/conversations/:id/messages/:messageId', authenticate, async (req, res) => {
+  try {
+    const { content } = editMessageSchema.parse(req.body);
+
+    const conversation = await findConversationForUser(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const existing = await findConversationMessage(conversation.id, req.params.messageId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const editError = messageEditError(existing, req.user.id);
+    if (editError) {
+      return res.status(403).json({ error: editError });
+    }
+
+    const message = await editConversationMessage(
+      req.app.get('io'),
+      conversation,
+      existing,
+      content
+    );
+
+    res.json({ message });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Edit message error:', error);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+});
+
+/**
+ * DELETE /api/hub/conversations/:id/messages/:messageId
+ * Delete one of your messages for everyone (within an hour of sending)
+ */
+router.delete('/conversations/:id/messages/:messageId', authenticate, async (req, res) => {
+  try {
+    const conversation = await findConversationForUser(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const existing = await findConversationMessage(conversation.id, req.params.messageId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const deleteError = messageDeleteError(existing, req.user.id);
+    if (deleteError) {
+      return res.status(403).json({ error: deleteError });
+    }
+
+    const deleted = await deleteConversationMessage(req.app.get('io'), conversation, existing);
+
+    res.json(deleted);
+  } catch (error) {
+    console.error('Delete message error:', error);
+    res.status(500).json({ error: 'Failed to delete message' });
+  }
+});
+
+/**
+ * POST /api/hub/conversations/:id/read
+ * Mark a conversation as read up to a message (the latest one by default)
+ */
+router.post('/conversations/:id/read', authenticate, async (req, res) => {
+  try {
+    const { messageId } = readSchema.parse(req.body);
+
+    const conversation = await findConversationForUser(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const participant = await markConversationRead(
+      req.app.get('io'),
+      conversation,
+      req.user.id,
+      messageId
+    );
+    if (!participant) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json({ conversationId: conversation.id, lastReadAt: participant.lastReadAt });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ error: 'Failed to mark conversation as read' });
+  }
+});
+
+/**
+ * POST /api/hub/messages
+ * Send a direct message to a user (in your one-to-one conversation with them)
+ * Takes the same content, replyToId and attachments as sending to a conversation.
+ */
+router.post('/messages', authenticate, async (req, res) => {
+  try {
+    const { receiverId, ...data } = directMessageSchema.parse(req.body);
+
+    if (receiverId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot message yourself' });
+    }
+
+    const receiver = await prisma.user.findUnique({
+      where: { id: receiverId },
+      select: { id: true },
+    });
+    if (!receiver) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (await isBlockedBetween(req.user.id, receiverId)) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
+    const conversation = await findOrCreateDirectConversation(req.user.id, receiverId);
+    await sendMessageFromRequest(req, res, conversation, data);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
     console.error('Send message error:', error);
     res.status(500).json({ error: 'Failed to send message' });
   }
@@ -7,6 +7,10 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
 import { authenticate } from '../middleware/auth.js';
+import { parsePagination, paginate } from '../utils/pagination.js';
+import { isReactionType, withReactionSummary } from '../utils/reactionSet.js';
+import { reactionInclude, toggleReaction } from '../utils/reactions.js';
+import { BLOCKED_ERROR, isBlockedBetween, canNotifyUser } from '../utils/blocks/store.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -14,13 +18,21 @@ const prisma = new PrismaClient();
 /**
  * GET /api/mim/rooms
  * Get all accessible rooms for current user
+ * Query: cursor, limit (oldest room first, so the lobby leads)
  */
 router.get('/rooms', authenticate, async (req, res) => {
   try {
     const userId = req.user.id;
 
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
     // Get public rooms + private rooms user is a member of
-    const rooms = await prisma.chatRoom.findMany({
+    const page = await paginate(prisma.chatRoom, {
+      order: 'asc',
+      ...pagination,
       where: {
         isActive: true,
         OR: [
@@ -61,12 +73,9 @@ router.get('/rooms', authenticate, async (req, res) => {
           },
         },
       },
-      orderBy: {
-        createdAt: 'asc',
-      },
     });
 
-    res.json({ rooms });
+    res.json({ rooms: page.items, nextCursor: page.nextCursor, prevCursor: page.prevCursor });
   } catch (error) {
     console.error('Get rooms error:', error);
     res.status(500).json({ error: 'Failed to fetch rooms' });
@@ -358,6 +367,10 @@ router.post('/rooms/:id/invite', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (await isBlockedBetween(userId, inviteeId)) {
+      return res.status(403).json({ error: BLOCKED_ERROR });
+    }
+
     // Check if already a member
     const existingMembership = await prisma.chatRoomMember.findUnique({
       where: {
@@ -391,15 +404,17 @@ router.post('/rooms/:id/invite', authenticate, async (req, res) => {
       },
     });
 
-    // Create notification
-    await prisma.notification.create({
-      data: {
-        userId: inviteeId,
-        type: 'GROUP_INVITE',
-        message: `${req.user.firstName} ${req.user.lastName} invited you to join ${room.name}`,
-        link: `/mim?room=${roomId}`,
-      },
-    });
+    // Create notification (skipped if the invitee muted the inviter)
+    if (await canNotifyUser(userId, inviteeId)) {
+      await prisma.notification.create({
+        data: {
+          userId: inviteeId,
+          type: 'GROUP_INVITE',
+          message: `${req.user.firstName} ${req.user.lastName} invited you to join ${room.name}`,
+          link: `/mim?room=${roomId}`,
+        },
+      });
+    }
 
     res.json({ membership, message: 'User invited successfully' });
   } catch (error) {
@@ -411,13 +426,17 @@ router.post('/rooms/:id/invite', authenticate, async (req, res) => {
 /**
  * GET /api/mim/rooms/:id/messages
  * Get messages for a room
+ * Query: cursor, limit (nextCursor walks back to older messages)
  */
 router.get('/rooms/:id/messages', authenticate, async (req, res) => {
   try {
     const roomId = req.params.id;
     const userId = req.user.id;
-    const limit = parseInt(req.query.limit) || 100;
-    const before = req.query.before; // Cursor for pagination
+
+    const pagination = parsePagination(req.query, { defaultLimit: 100 });
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
 
     // Check room access
     const room = await prisma.chatRoom.findUnique({
@@ -441,14 +460,10 @@ router.get('/rooms/:id/messages', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Get messages
-    const where = { roomId };
-    if (before) {
-      where.createdAt = { lt: new Date(before) };
-    }
-
-    const messages = await prisma.chatMessage.findMany({
-      where,
+    // Get messages, newest first
+    const page = await paginate(prisma.chatMessage, {
+      where: { roomId },
+      ...pagination,
       include: {
         author: {
           select: {
@@ -459,17 +474,16 @@ router.get('/rooms/:id/messages', authenticate, async (req, res) => {
             photoUrl: true,
           },
         },
+        reactions: reactionInclude,
       },
-      orderBy: {
-        createdAt: 'desc',
-      },
-      take: limit,
     });
 
     // Reverse to show oldest first
-    messages.reverse();
-
-    res.json({ messages });
+    res.json({
+      messages: [...page.items].reverse().map((message) => withReactionSummary(message, userId)),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
   } catch (error) {
     console.error('Get messages error:', error);
     res.status(500).json({ error: 'Failed to fetch messages' });
@@ -562,4 +576,66 @@ router.delete('/messages/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/mim/messages/:id/reactions
+ * Toggle an emoji reaction on a chat message
+ * Body: { type }
+ */
+router.post('/messages/:id/reactions', authenticate, async (req, res) => {
+  try {
+    const { type } = req.body;
+    const userId = req.user.id;
+
+    if (!isReactionType(type)) {
+      return res.status(400).json({ error: 'Unknown reaction' });
+    }
+
+    const message = await prisma.chatMessage.findUnique({
+      where: { id: req.params.id },
+      include: {
+        room: {
+          include: {
+            members: {
+              where: { userId },
+            },
+          },
+        },
+      },
+    });
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // Same access rules as reading the room's messages
+    const isMember = message.room.members.length > 0;
+    const isAdmin = req.user.role === 'ADMIN';
+
+    if (message.room.type === 'PRIVATE' && !isMember && !isAdmin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { reacted, reactions, summary } = await toggleReaction({
+      targetType: 'CHAT_MESSAGE',
+      targetId: message.id,
+      userId,
+      type,
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`chatroom:${message.roomId}`).emit('chatroom:reaction', {
+        roomId: message.roomId,
+        messageId: message.id,
+        reactions: summary,
+      });
+    }
+
+    res.json({ reacted, reactions });
+  } catch (error) {
+    console.error('Message reaction error:', error);
+    res.status(500).json({ error: 'Failed to react to message' });
+  }
+});
+
 export default router;
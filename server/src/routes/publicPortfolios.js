@@ -0,0 +1,107 @@
+import express from 'express';
+import { z } from 'zod';
+import { optionalAuth } from '../middleware/auth.js';
+import { accountBlock } from '../utils/moderation/rules.js';
+import {
+  publicAccess,
+  publicPortfolioView,
+  referrerHost,
+  visitorKey,
+} from '../utils/publicPortfolios/rules.js';
+import { loadPublicPortfolio, recordPortfolioView } from '../utils/publicPortfolios/store.js';
+
+const router = express.Router();
+
+// Public portfolio pages are for people without an account (recruiters and
+// the like), so these routes don't require logging in. Pages that aren't
+// public are only reachable with the owner's share token.
+
+const recordViewSchema = z.object({
+  token: z.string().max(100).optional(),
+  referrer: z.string().max(2000).optional(),
+});
+
+/**
+ * Find a portfolio page the request may see
+ * @returns {Promise<Object|null>} { portfolio, access } or null if not found
+ */
+async function findPublicPortfolio(slug, token) {
+  const portfolio = await loadPublicPortfolio(slug.toLowerCase());
+  if (!portfolio || accountBlock(portfolio.user)) {
+    return null;
+  }
+  const access = publicAccess(portfolio, token);
+  return access ? { portfolio, access } : null;
+}
+
+/**
+ * GET /api/portfolios/:slug
+ * Get a public portfolio page
+ * Query: token - share token, for pages that aren't public
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const token = typeof req.query.token === 'string' ? req.query.token : undefined;
+    const found = await findPublicPortfolio(req.params.slug, token);
+    if (!found) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { portfolio, access } = found;
+    if (access === 'shareLink') {
+      // Share links are private; keep them out of caches and search engines
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('X-Robots-Tag', 'noindex');
+    }
+
+    const { user, ...rest } = portfolio;
+    res.json({
+      portfolio: publicPortfolioView({ user, portfolio: rest, projects: user.projects }),
+      access,
+    });
+  } catch (error) {
+    console.error('Get public portfolio error:', error);
+    res.status(500).json({ error: 'Failed to fetch portfolio' });
+  }
+});
+
+/**
+ * POST /api/portfolios/:slug/views
+ * Record a visit to a public portfolio page (sent by the page once it loads,
+ * so link previews aren't counted). Visits by the owner aren't recorded.
+ * Body: { token?, referrer? }
+ */
+router.post('/:slug/views', optionalAuth, async (req, res) => {
+  try {
+    const { token, referrer } = recordViewSchema.parse(req.body);
+
+    const found = await findPublicPortfolio(req.params.slug, token);
+    if (!found) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { portfolio, access } = found;
+    if (req.user?.id !== portfolio.userId) {
+      const ownHost = process.env.FRONTEND_URL ? new URL(process.env.FRONTEND_URL).hostname : null;
+      await recordPortfolioView(portfolio.id, {
+        referrer: referrerHost(referrer, ownHost),
+        viaShareLink: access === 'shareLink',
+        visitorKey: visitorKey({
+          portfolioId: portfolio.id,
+          ip: req.ip,
+          userAgent: req.get('user-agent'),
+        }),
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Record portfolio view error:', error);
+    res.status(500).json({ error: 'Failed to record view' });
+  }
+});
+
+export default router;
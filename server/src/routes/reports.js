@@ -0,0 +1,119 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { z } from 'zod';
+import { authenticate } from '../middleware/auth.js';
+import { parsePagination, paginate } from '../utils/pagination.js';
+import { loadViewerContext } from '../utils/viewerContext.js';
+import {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  MAX_REPORT_DETAILS_LENGTH,
+  reportDetailsError,
+  reportTargetError,
+  reportSnapshot,
+} from '../utils/reports/rules.js';
+import { findReportTarget } from '../utils/reports/store.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const createReportSchema = z.object({
+  targetType: z.enum(REPORT_TARGET_TYPES),
+  targetId: z.string().min(1),
+  reason: z.enum(REPORT_REASONS),
+  details: z.string().trim().max(MAX_REPORT_DETAILS_LENGTH).optional(),
+});
+
+/**
+ * POST /api/reports
+ * Report content or a user to the moderators
+ * Body: { targetType, targetId, reason, details? } (details are required for OTHER)
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const data = createReportSchema.parse(req.body);
+
+    const detailsError = reportDetailsError(data);
+    if (detailsError) {
+      return res.status(400).json({ error: detailsError });
+    }
+
+    const context = await loadViewerContext(req.user.id);
+    const target = await findReportTarget(data.targetType, data.targetId, context);
+
+    const targetError = reportTargetError(req.user.id, target);
+    if (targetError) {
+      return res.status(targetError.status).json({ error: targetError.error });
+    }
+
+    const report = await prisma.report.create({
+      data: {
+        reporterId: req.user.id,
+        targetType: data.targetType,
+        targetId: data.targetId,
+        targetUserId: target.ownerId,
+        reason: data.reason,
+        details: data.details || null,
+        snapshot: reportSnapshot(target.text),
+        link: target.link,
+      },
+      select: {
+        id: true,
+        targetType: true,
+        targetId: true,
+        reason: true,
+        status: true,
+        createdAt: true,
+      },
+    });
+
+    res.status(201).json({ report, message: 'Thanks, a moderator will review your report' });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'You have already reported this' });
+    }
+    console.error('Create report error:', error);
+    res.status(500).json({ error: 'Failed to submit report' });
+  }
+});
+
+/**
+ * GET /api/reports
+ * Get the reports you've filed and how they were resolved
+ * Query: cursor, limit (newest first)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const page = await paginate(prisma.report, {
+      where: { reporterId: req.user.id },
+      select: {
+        id: true,
+        targetType: true,
+        targetId: true,
+        reason: true,
+        details: true,
+        snapshot: true,
+        link: true,
+        status: true,
+        resolvedAt: true,
+        createdAt: true,
+      },
+      ...pagination,
+    });
+
+    res.json({ reports: page.items, nextCursor: page.nextCursor, prevCursor: page.prevCursor });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ error: 'Failed to fetch reports' });
+  }
+});
+
+export default router;
@@ -1,6 +1,9 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticate } from '../middleware/auth.js';
+import { visiblePostsWhere } from '../utils/postVisibility.js';
+import { loadViewerContext } from '../utils/viewerContext.js';
+import { presentPost } from '../utils/postAttachments.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -18,11 +21,16 @@ router.get('/', authenticate, async (req, res) => {
     }
 
     const results = {};
+    const context = await loadViewerContext(req.user.id);
+
+    // Users blocked with the viewer (either way) never show up
+    const blockedIds = [...context.blockedIds];
 
     // Search users
     if (!type || type === 'users') {
       results.users = await prisma.user.findMany({
         where: {
+          id: { notIn: blockedIds },
           OR: [
             { username: { contains: q, mode: 'insensitive' } },
             { firstName: { contains: q, mode: 'insensitive' } },
@@ -45,9 +53,9 @@ router.get('/', authenticate, async (req, res) => {
 
     // Search posts
     if (!type || type === 'posts') {
-      results.posts = await prisma.post.findMany({
+      const posts = await prisma.post.findMany({
         where: {
-          content: { contains: q, mode: 'insensitive' },
+          AND: [{ content: { contains: q, mode: 'insensitive' } }, visiblePostsWhere(context)],
         },
         include: {
           author: {
@@ -59,9 +67,11 @@ router.get('/', authenticate, async (req, res) => {
               photoUrl: true,
             },
           },
+          attachments: { orderBy: { position: 'asc' } },
         },
         take: 10,
       });
+      results.posts = posts.map(presentPost);
     }
 
     // Search groups
@@ -109,6 +119,7 @@ router.get('/', authenticate, async (req, res) => {
       results.projects = await prisma.project.findMany({
         where: {
           isPublic: true,
+          authorId: { notIn: blockedIds },
           OR: [
             { title: { contains: q, mode: 'insensitive' } },
             { description: { contains: q, mode: 'insensitive' } },
@@ -141,6 +152,8 @@ router.get('/', authenticate, async (req, res) => {
  */
 router.get('/analytics', authenticate, async (req, res) => {
   try {
+    const context = await loadViewerContext(req.user.id);
+
     const [
       totalUsers,
       totalPosts,
@@ -186,15 +199,16 @@ router.get('/analytics', authenticate, async (req, res) => {
         take: 10,
       }),
 
-      // Trending posts (most likes in last 24 hours)
+      // Trending posts (most reactions in last 24 hours)
       prisma.post.findMany({
         where: {
-          createdAt: {
-            gte: new Date(Date.now() - 24 * 60 * 60 * 1000),
-          },
+          AND: [
+            { createdAt: { gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } },
+            visiblePostsWhere(context),
+          ],
         },
         orderBy: {
-          likes: {
+          reactions: {
             _count: 'desc',
           },
         },
@@ -209,7 +223,7 @@ router.get('/analytics', authenticate, async (req, res) => {
           },
           _count: {
             select: {
-              likes: true,
+              reactions: true,
               comments: true,
             },
           },
@@ -4,6 +4,21 @@ import { authenticate } from '../middleware/auth.js';
 import { z } from 'zod';
 import { imageUploadMiddleware } from '../middleware/fileUpload.js';
 import { createPublicSignedUrl } from '../utils/signedUrls.js';
+import { parsePagination, paginate } from '../utils/pagination.js';
+import { loadViewerContext } from '../utils/viewerContext.js';
+import {
+  BOOKMARK_FIELDS,
+  BOOKMARK_TYPES,
+  bookmarkInclude,
+  findBookmarkTarget,
+  presentBookmark,
+} from '../utils/bookmarks.js';
+import {
+  blocksBetweenWhere,
+  presentRelationship,
+  relationTargetError,
+} from '../utils/blocks/rules.js';
+import { syncEndorsedSkills } from '../utils/endorsements/store.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -20,19 +35,40 @@ const updateProfileSchema = z.object({
   photoUrl: z.string().optional(),
 });
 
+const createBookmarkSchema = z.object({
+  targetType: z.enum(BOOKMARK_TYPES),
+  targetId: z.string().min(1),
+  collectionId: z.string().nullable().optional(),
+  note: z.string().max(1000).nullable().optional(),
+});
+
+const updateBookmarkSchema = z.object({
+  collectionId: z.string().nullable().optional(),
+  note: z.string().max(1000).nullable().optional(),
+});
+
+const collectionSchema = z.object({
+  name: z.string().trim().min(1).max(60),
+});
+
 // ========== NOTIFICATIONS ==========
 // Note: Specific routes must come BEFORE parameterized routes like /:id
 
 /**
  * GET /api/users/notifications
  * Get current user's notifications
+ * Query: cursor, limit (newest first)
  */
 router.get('/notifications', authenticate, async (req, res) => {
   try {
-    const notifications = await prisma.notification.findMany({
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const page = await paginate(prisma.notification, {
       where: { userId: req.user.id },
-      orderBy: { createdAt: 'desc' },
-      take: 20,
+      ...pagination,
     });
 
     const unreadCount = await prisma.notification.count({
@@ -42,7 +78,12 @@ router.get('/notifications', authenticate, async (req, res) => {
       },
     });
 
-    res.json({ notifications, unreadCount });
+    res.json({
+      notifications: page.items,
+      unreadCount,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
   } catch (error) {
     console.error('Get notifications error:', error);
     res.status(500).json({ error: 'Failed to fetch notifications' });
@@ -100,11 +141,466 @@ router.put('/notifications/:id/read', authenticate, async (req, res) => {
   }
 });
 
+// ========== BOOKMARKS ==========
+
+/**
+ * Check that a collection ID (if given) belongs to the user
+ * @returns {Promise<boolean>}
+ */
+async function ownsCollection(userId, collectionId) {
+  if (!collectionId) {
+    return true;
+  }
+  const collection = await prisma.bookmarkCollection.findUnique({
+    where: { id: collectionId },
+    select: { userId: true },
+  });
+  return collection?.userId === userId;
+}
+
+/**
+ * GET /api/users/bookmarks
+ * Get current user's bookmarks
+ * Query: type, collectionId ('none' for unsorted), cursor, limit (newest first)
+ */
+router.get('/bookmarks', authenticate, async (req, res) => {
+  try {
+    const { type, collectionId } = req.query;
+    if (type && !BOOKMARK_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid bookmark type' });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ error: pagination.error });
+    }
+
+    const where = { userId: req.user.id };
+    if (type) where.targetType = type;
+    if (collectionId) where.collectionId = collectionId === 'none' ? null : collectionId;
+
+    const [page, context] = await Promise.all([
+      paginate(prisma.bookmark, {
+        where,
+        include: bookmarkInclude(req.user.id),
+        ...pagination,
+      }),
+      loadViewerContext(req.user.id),
+    ]);
+
+    res.json({
+      bookmarks: page.items.map((bookmark) => presentBookmark(bookmark, context)),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({ error: 'Failed to fetch bookmarks' });
+  }
+});
+
+/**
+ * GET /api/users/bookmarks/lookup
+ * Check which items the current user has bookmarked
+ * Query: type, ids (comma-separated item IDs)
+ */
+router.get('/bookmarks/lookup', authenticate, async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (!BOOKMARK_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid bookmark type' });
+    }
+
+    const ids = String(req.query.ids || '')
+      .split(',')
+      .filter(Boolean)
+      .slice(0, 100);
+    const field = BOOKMARK_FIELDS[type];
+
+    const bookmarks = ids.length
+      ? await prisma.bookmark.findMany({
+          where: { userId: req.user.id, [field]: { in: ids } },
+          select: { id: true, collectionId: true, note: true, [field]: true },
+        })
+      : [];
+
+    res.json({
+      bookmarks: Object.fromEntries(
+        bookmarks.map((b) => [b[field], { id: b.id, collectionId: b.collectionId, note: b.note }])
+      ),
+    });
+  } catch (error) {
+    console.error('Lookup bookmarks error:', error);
+    res.status(500).json({ error: 'Failed to look up bookmarks' });
+  }
+});
+
+/**
+ * POST /api/users/bookmarks
+ * Bookmark a post, thread, resource, project or chat message
+ */
+router.post('/bookmarks', authenticate, async (req, res) => {
+  try {
+    const { targetType, targetId, collectionId, note } = createBookmarkSchema.parse(req.body);
+
+    const context = await loadViewerContext(req.user.id);
+    const item = await findBookmarkTarget(targetType, targetId, context);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (!(await ownsCollection(req.user.id, collectionId))) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const field = BOOKMARK_FIELDS[targetType];
+    const existing = await prisma.bookmark.findUnique({
+      where: { [`${field}_userId`]: { [field]: targetId, userId: req.user.id } },
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'Already bookmarked', bookmarkId: existing.id });
+    }
+
+    const bookmark = await prisma.bookmark.create({
+      data: {
+        userId: req.user.id,
+        targetType,
+        [field]: targetId,
+        collectionId: collectionId || null,
+        note: note || null,
+      },
+      include: bookmarkInclude(req.user.id),
+    });
+
+    res.status(201).json({ bookmark: presentBookmark(bookmark, context) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Already bookmarked' });
+    }
+    console.error('Create bookmark error:', error);
+    res.status(500).json({ error: 'Failed to create bookmark' });
+  }
+});
+
+/**
+ * GET /api/users/bookmarks/collections
+ * Get current user's bookmark collections with item counts
+ */
+router.get('/bookmarks/collections', authenticate, async (req, res) => {
+  try {
+    const collections = await prisma.bookmarkCollection.findMany({
+      where: { userId: req.user.id },
+      include: { _count: { select: { bookmarks: true } } },
+      orderBy: { name: 'asc' },
+    });
+
+    res.json({ collections });
+  } catch (error) {
+    console.error('Get bookmark collections error:', error);
+    res.status(500).json({ error: 'Failed to fetch collections' });
+  }
+});
+
+/**
+ * POST /api/users/bookmarks/collections
+ * Create a named bookmark collection
+ */
+router.post('/bookmarks/collections', authenticate, async (req, res) => {
+  try {
+    const { name } = collectionSchema.parse(req.body);
+
+    const collection = await prisma.bookmarkCollection.create({
+      data: { name, userId: req.user.id },
+      include: { _count: { select: { bookmarks: true } } },
+    });
+
+    res.status(201).json({ collection });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A collection with this name already exists' });
+    }
+    console.error('Create bookmark collection error:', error);
+    res.status(500).json({ error: 'Failed to create collection' });
+  }
+});
+
+/**
+ * PUT /api/users/bookmarks/collections/:id
+ * Rename a bookmark collection
+ */
+router.put('/bookmarks/collections/:id', authenticate, async (req, res) => {
+  try {
+    const { name } = collectionSchema.parse(req.body);
+
+    if (!(await ownsCollection(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const collection = await prisma.bookmarkCollection.update({
+      where: { id: req.params.id },
+      data: { name },
+      include: { _count: { select: { bookmarks: true } } },
+    });
+
+    res.json({ collection });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A collection with this name already exists' });
+    }
+    console.error('Rename bookmark collection error:', error);
+    res.status(500).json({ error: 'Failed to rename collection' });
+  }
+});
+
+/**
+ * DELETE /api/users/bookmarks/collections/:id
+ * Delete a collection; its bookmarks are kept as unsorted
+ */
+router.delete('/bookmarks/collections/:id', authenticate, async (req, res) => {
+  try {
+    if (!(await ownsCollection(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    await prisma.bookmarkCollection.delete({ where: { id: req.params.id } });
+
+    res.json({ message: 'Collection deleted' });
+  } catch (error) {
+    console.error('Delete bookmark collection error:', error);
+    res.status(500).json({ error: 'Failed to delete collection' });
+  }
+});
+
+/**
+ * PUT /api/users/bookmarks/:id
+ * Move a bookmark to another collection or change its note
+ */
+router.put('/bookmarks/:id', authenticate, async (req, res) => {
+  try {
+    const data = updateBookmarkSchema.parse(req.body);
+
+    const bookmark = await prisma.bookmark.findUnique({
+      where: { id: req.params.id },
+      select: { userId: true },
+    });
+    if (!bookmark || bookmark.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Bookmark not found' });
+    }
+
+    if (!(await ownsCollection(req.user.id, data.collectionId))) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const [updated, context] = await Promise.all([
+      prisma.bookmark.update({
+        where: { id: req.params.id },
+        data: {
+          ...(data.collectionId !== undefined && { collectionId: data.collectionId || null }),
+          ...(data.note !== undefined && { note: data.note || null }),
+        },
+        include: bookmarkInclude(req.user.id),
+      }),
+      loadViewerContext(req.user.id),
+    ]);
+
+    res.json({ bookmark: presentBookmark(updated, context) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors });
+    }
+    console.error('Update bookmark error:', error);
+    res.status(500).json({ error: 'Failed to update bookmark' });
+  }
+});
+
+/**
+ * DELETE /api/users/bookmarks/:id
+ * Remove a bookmark
+ */
+router.delete('/bookmarks/:id', authenticate, async (req, res) => {
+  try {
+    const result = await prisma.bookmark.deleteMany({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Bookmark not found' });
+    }
+
+    res.json({ message: 'Bookmark removed' });
+  } catch (error) {
+    console.error('Delete bookmark error:', error);
+    res.status(500).json({ error: 'Failed to remove bookmark' });
+  }
+});
+
+// ========== BLOCKS & MUTES ==========
+
+const relationUserSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  photoUrl: true,
+};
+
+/**
+ * Load the target of a block or mute request, or send the error response
+ * @returns {Promise<Object|null>} Target user, or null after responding
+ */
+async function loadRelationTarget(req, res) {
+  const target = await prisma.user.findUnique({
+    where: { id: req.params.id },
+    select: { id: true },
+  });
+  const targetError = relationTargetError(req.user.id, target);
+  if (targetError) {
+    res.status(targetError.status).json({ error: targetError.error });
+    return null;
+  }
+  return target;
+}
+
+/**
+ * GET /api/users/blocks
+ * Get the users you've blocked and muted
+ */
+router.get('/blocks', authenticate, async (req, res) => {
+  try {
+    const [blocks, mutes] = await Promise.all([
+      prisma.userBlock.findMany({
+        where: { blockerId: req.user.id },
+        include: { blocked: { select: relationUserSelect } },
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.userMute.findMany({
+        where: { muterId: req.user.id },
+        include: { muted: { select: relationUserSelect } },
+        orderBy: { createdAt: 'desc' },
+      }),
+    ]);
+
+    res.json({
+      blocked: blocks.map((b) => ({ user: b.blocked, createdAt: b.createdAt })),
+      muted: mutes.map((m) => ({ user: m.muted, createdAt: m.createdAt })),
+    });
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    res.status(500).json({ error: 'Failed to fetch blocked users' });
+  }
+});
+
+/**
+ * POST /api/users/:id/block
+ * Block a user
+ * Blocking also removes any connection, pending request or skill endorsements between you.
+ */
+router.post('/:id/block', authenticate, async (req, res) => {
+  try {
+    const target = await loadRelationTarget(req, res);
+    if (!target) return;
+
+    const block = await prisma.$transaction(async (tx) => {
+      await tx.connection.deleteMany({
+        where: {
+          OR: [
+            { requesterId: req.user.id, addresseeId: target.id },
+            { requesterId: target.id, addresseeId: req.user.id },
+          ],
+        },
+      });
+      await tx.skillEndorsement.deleteMany({
+        where: {
+          OR: [
+            { userId: req.user.id, endorserId: target.id },
+            { userId: target.id, endorserId: req.user.id },
+          ],
+        },
+      });
+      return tx.userBlock.upsert({
+        where: { blockerId_blockedId: { blockerId: req.user.id, blockedId: target.id } },
+        update: {},
+        create: { blockerId: req.user.id, blockedId: target.id },
+      });
+    });
+
+    res.status(201).json({ block });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+/**
+ * DELETE /api/users/:id/block
+ * Unblock a user
+ */
+router.delete('/:id/block', authenticate, async (req, res) => {
+  try {
+    await prisma.userBlock.deleteMany({
+      where: { blockerId: req.user.id, blockedId: req.params.id },
+    });
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+/**
+ * POST /api/users/:id/mute
+ * Mute a user: hide their posts from your feed and search, and stop their notifications
+ */
+router.post('/:id/mute', authenticate, async (req, res) => {
+  try {
+    const target = await loadRelationTarget(req, res);
+    if (!target) return;
+
+    const mute = await prisma.userMute.upsert({
+      where: { muterId_mutedId: { muterId: req.user.id, mutedId: target.id } },
+      update: {},
+      create: { muterId: req.user.id, mutedId: target.id },
+    });
+
+    res.status(201).json({ mute });
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({ error: 'Failed to mute user' });
+  }
+});
+
+/**
+ * DELETE /api/users/:id/mute
+ * Unmute a user
+ */
+router.delete('/:id/mute', authenticate, async (req, res) => {
+  try {
+    await prisma.userMute.deleteMany({
+      where: { muterId: req.user.id, mutedId: req.params.id },
+    });
+
+    res.json({ message: 'User unmuted' });
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({ error: 'Failed to unmute user' });
+  }
+});
+
 // ========== PROFILE ROUTES ==========
 
 /**
  * PUT /api/users/profile
  * Update current user's profile
+ * Removing a skill removes its endorsements.
  */
 router.put('/profile', authenticate, async (req, res) => {
   try {
@@ -130,6 +626,10 @@ router.put('/profile', authenticate, async (req, res) => {
       },
     });
 
+    if (data.skills) {
+      await syncEndorsedSkills(req.user.id, data.skills);
+    }
+
     res.json({ user: updatedUser });
   } catch (error) {
     if (error instanceof z.ZodError) {
@@ -185,7 +685,7 @@ router.post('/upload-photo', authenticate, imageUploadMiddleware, async (req, re
 
 /**
  * GET /api/users/:id
- * Get user profile by ID
+ * Get user profile by ID, with whether you block, are blocked by or mute them
  * Note: This MUST come last because :id will match any path segment
  */
 router.get('/:id', authenticate, async (req, res) => {
@@ -219,7 +719,17 @@ router.get('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user });
+    const [blocks, mute] = await Promise.all([
+      prisma.userBlock.findMany({
+        where: blocksBetweenWhere(req.user.id, [user.id]),
+        select: { blockerId: true, blockedId: true },
+      }),
+      prisma.userMute.findUnique({
+        where: { muterId_mutedId: { muterId: req.user.id, mutedId: user.id } },
+      }),
+    ]);
+
+    res.json({ user, relationship: presentRelationship(req.user.id, blocks, mute) });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ error: 'Failed to fetch user' });
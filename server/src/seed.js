@@ -245,24 +245,28 @@ async function main() {
           userId: user.id,
           headline: `${user.major} Student`,
           summary: `Passionate ${user.major} student at Maestro University`,
-          experience: [
-            {
-              title: 'Software Engineering Intern',
-              company: 'Tech Corp',
-              startDate: '2023-06',
-              endDate: '2023-08',
-              description: 'Worked on web applications',
-            },
-          ],
-          education: [
-            {
-              degree: 'Bachelor of Science',
-              institution: 'Maestro University',
-              startDate: '2021-09',
-              endDate: '2025-05',
-              major: user.major,
-            },
-          ],
+          experience: {
+            create: [
+              {
+                title: 'Software Engineering Intern',
+                company: 'Tech Corp',
+                startDate: new Date('2023-06-01'),
+                endDate: new Date('2023-08-01'),
+                description: 'Worked on web applications',
+              },
+            ],
+          },
+          education: {
+            create: [
+              {
+                institution: 'Maestro University',
+                degree: 'Bachelor of Science',
+                fieldOfStudy: user.major,
+                startDate: new Date('2021-09-01'),
+                endDate: new Date('2025-05-01'),
+              },
+            ],
+          },
         },
       })
     )
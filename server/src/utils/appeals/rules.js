@@ -0,0 +1,110 @@
+/**
+ * Appeals Utility
+ *
+ * Rules for the moderation history and appeals. Every suspension, ban and
+ * restore is recorded as a ModerationAction. A suspended or banned user can
+ * appeal the action that locked them out, once, from the link in the email
+ * they were sent; moderators uphold or overturn the appeal, and overturning
+ * restores the account.
+ */
+
+export const APPEAL_STATUSES = ['PENDING', 'UPHELD', 'OVERTURNED'];
+
+export const APPEAL_DECISIONS = {
+  UPHOLD: 'UPHELD',
+  OVERTURN: 'OVERTURNED',
+};
+
+export const MAX_APPEAL_LENGTH = 2000;
+
+// Actions a user can appeal
+const APPEALABLE_TYPES = ['SUSPEND', 'BAN'];
+
+/**
+ * Whether a moderation action can be appealed at all
+ * @param {Object} action - ModerationAction
+ * @returns {boolean}
+ */
+export function isAppealable(action) {
+  return APPEALABLE_TYPES.includes(action.type);
+}
+
+/**
+ * Link a locked-out user follows to appeal
+ * @param {string} token - ModerationAction appeal token
+ * @returns {string} Absolute URL
+ */
+export function appealUrl(token) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3005'}/appeal?token=${token}`;
+}
+
+/**
+ * Whether an action is the one currently locking its user out
+ * A later suspension, ban or restore replaces it; a suspension also ends on its own.
+ * @param {Object} action - ModerationAction
+ * @param {Object} user - { status, suspendedUntil }
+ * @param {string|null} latestActionId - ID of the user's most recent action
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function isActionInEffect(action, user, latestActionId, now = new Date()) {
+  if (action.id !== latestActionId) {
+    return false;
+  }
+  if (action.type === 'BAN') {
+    return user.status === 'BANNED';
+  }
+  return (
+    user.status === 'SUSPENDED' && !!user.suspendedUntil && new Date(user.suspendedUntil) > now
+  );
+}
+
+/**
+ * Why an appeal can't be filed
+ * @param {Object} state - { action, user, latestActionId, now? } where action includes appeal
+ * @returns {Object|null} { status, error }, or null if allowed
+ */
+export function appealError({ action, user, latestActionId, now = new Date() }) {
+  if (!action || !isAppealable(action)) {
+    return { status: 404, error: 'Appeal link not found' };
+  }
+  if (action.appeal) {
+    return { status: 409, error: 'You have already appealed this decision' };
+  }
+  if (!isActionInEffect(action, user, latestActionId, now)) {
+    return { status: 400, error: 'This decision is no longer in effect' };
+  }
+  return null;
+}
+
+/**
+ * Why a moderator can't decide an appeal
+ * @param {Object} appeal - Appeal with action
+ * @param {Object} options - { canOverturnBans, decision }
+ * @returns {Object|null} { status, error }, or null if allowed
+ */
+export function appealReviewError(appeal, { canOverturnBans, decision }) {
+  if (appeal.status !== 'PENDING') {
+    return { status: 409, error: 'This appeal has already been decided' };
+  }
+  if (decision === 'OVERTURN' && appeal.action.type === 'BAN' && !canOverturnBans) {
+    return { status: 403, error: 'Only admins can overturn a ban' };
+  }
+  return null;
+}
+
+/**
+ * Plain-language summary of an action for emails and the appeal page
+ * @param {Object} action - { type, expiresAt }
+ * @returns {string}
+ */
+export function describeAction(action) {
+  switch (action.type) {
+    case 'BAN':
+      return 'Your Maestroverse account has been permanently banned.';
+    case 'SUSPEND':
+      return `Your Maestroverse account has been suspended until ${new Date(action.expiresAt).toISOString()}.`;
+    default:
+      return 'Your Maestroverse account has been restored.';
+  }
+}
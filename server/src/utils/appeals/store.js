@@ -0,0 +1,100 @@
+/**
+ * Moderation Actions Utility
+ *
+ * Storage side of the moderation history and appeals: recording
+ * suspensions, bans and restores (emailing the user an appeal link), and
+ * loading an action from its appeal token.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { nanoid } from 'nanoid';
+import { isAppealable, appealUrl, describeAction } from './rules.js';
+import { sendModerationEmail } from '../email.js';
+
+const prisma = new PrismaClient();
+
+// Moderation history entry; the appeal token stays with the user it was emailed to
+export const moderationActionSelect = {
+  id: true,
+  type: true,
+  reason: true,
+  durationMinutes: true,
+  expiresAt: true,
+  reportId: true,
+  createdAt: true,
+  moderator: { select: { id: true, username: true, firstName: true, lastName: true } },
+  appeal: { select: { id: true, status: true, createdAt: true, reviewedAt: true } },
+};
+
+/**
+ * Record a suspension, ban or restore
+ * Suspended and banned users are emailed the reason and a link to appeal;
+ * the email is sent in the background so a mail outage can't block moderation.
+ * @param {Object} user - Moderated user { id, email }
+ * @param {Object} details - { type, moderatorId, reason?, durationMinutes?, expiresAt?, reportId? }
+ * @returns {Promise<Object>} ModerationAction
+ */
+export async function recordModerationAction(user, details) {
+  const action = await prisma.moderationAction.create({
+    data: {
+      userId: user.id,
+      moderatorId: details.moderatorId,
+      type: details.type,
+      reason: details.reason || null,
+      durationMinutes: details.durationMinutes || null,
+      expiresAt: details.expiresAt || null,
+      reportId: details.reportId || null,
+      appealToken: isAppealable(details) ? nanoid(48) : null,
+    },
+  });
+
+  if (action.appealToken) {
+    sendModerationEmail(user.email, {
+      summary: describeAction(action),
+      reason: action.reason,
+      appealUrl: appealUrl(action.appealToken),
+    }).catch((error) => console.error('Moderation email error:', error));
+  }
+
+  return action;
+}
+
+/**
+ * ID of a user's most recent moderation action
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>}
+ */
+export async function findLatestActionId(userId) {
+  const latest = await prisma.moderationAction.findFirst({
+    where: { userId },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    select: { id: true },
+  });
+  return latest?.id || null;
+}
+
+/**
+ * Load the action behind an appeal link, with what appealError needs
+ * @param {string} token - Appeal token
+ * @returns {Promise<Object|null>} { action, user, latestActionId }, or null if the link is unknown
+ */
+export async function findAppealContext(token) {
+  const action = await prisma.moderationAction.findUnique({
+    where: { appealToken: token },
+    include: {
+      appeal: {
+        select: { id: true, status: true, reviewNote: true, createdAt: true, reviewedAt: true },
+      },
+      user: { select: { id: true, status: true, suspendedUntil: true } },
+    },
+  });
+  if (!action) {
+    return null;
+  }
+
+  return {
+    action,
+    user: action.user,
+    latestActionId: await findLatestActionId(action.userId),
+  };
+}
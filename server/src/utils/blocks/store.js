@@ -0,0 +1,98 @@
+/**
+ * User Blocks Utility
+ *
+ * Lookups behind block and mute enforcement across the Hub, CareerLink and
+ * MIM.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { blockedUserIds, blocksBetweenWhere, notifiableIds } from './rules.js';
+
+const prisma = new PrismaClient();
+
+export const BLOCKED_ERROR = 'You cannot interact with this user';
+
+/**
+ * Whether either user has blocked the other
+ * @param {string} userId - One user
+ * @param {string} otherUserId - The other user
+ * @returns {Promise<boolean>}
+ */
+export async function isBlockedBetween(userId, otherUserId) {
+  if (userId === otherUserId) {
+    return false;
+  }
+  const block = await prisma.userBlock.findFirst({
+    where: blocksBetweenWhere(userId, [otherUserId]),
+    select: { id: true },
+  });
+  return Boolean(block);
+}
+
+/**
+ * Which of some users are blocked with a user, in either direction
+ * @param {string} userId - User on one side
+ * @param {string[]} userIds - Users to check
+ * @returns {Promise<Set<string>>}
+ */
+export async function findBlockedAmong(userId, userIds) {
+  if (userIds.length === 0) {
+    return new Set();
+  }
+  const blocks = await prisma.userBlock.findMany({
+    where: blocksBetweenWhere(userId, userIds),
+    select: { blockerId: true, blockedId: true },
+  });
+  return blockedUserIds(blocks, userId);
+}
+
+/**
+ * Keep only the recipients who should get notifications from an actor
+ * Drops anyone blocked with the actor either way and anyone muting the actor.
+ * @param {string} actorId - User causing the notification
+ * @param {string[]} userIds - Candidate recipients
+ * @returns {Promise<string[]>}
+ */
+export async function notifiableUserIds(actorId, userIds) {
+  if (userIds.length === 0) {
+    return [];
+  }
+  const [blockedIds, mutes] = await Promise.all([
+    findBlockedAmong(actorId, userIds),
+    prisma.userMute.findMany({
+      where: { mutedId: actorId, muterId: { in: userIds } },
+      select: { muterId: true },
+    }),
+  ]);
+  return notifiableIds(userIds, {
+    blockedIds,
+    mutedByIds: new Set(mutes.map((m) => m.muterId)),
+  });
+}
+
+/**
+ * Whether a user should get a notification from an actor
+ * @param {string} actorId - User causing the notification
+ * @param {string} userId - Recipient
+ * @returns {Promise<boolean>}
+ */
+export async function canNotifyUser(actorId, userId) {
+  return (await notifiableUserIds(actorId, [userId])).length > 0;
+}
+
+/**
+ * Users who shouldn't get live updates about an author's posts
+ * Anyone blocked with the author either way, plus anyone muting the author.
+ * @param {string} authorId - Post author
+ * @returns {Promise<string[]>}
+ */
+export async function findHiddenAudience(authorId) {
+  const [blocks, mutes] = await Promise.all([
+    prisma.userBlock.findMany({
+      where: blocksBetweenWhere(authorId),
+      select: { blockerId: true, blockedId: true },
+    }),
+    prisma.userMute.findMany({ where: { mutedId: authorId }, select: { muterId: true } }),
+  ]);
+  return [...new Set([...blockedUserIds(blocks, authorId), ...mutes.map((m) => m.muterId)])];
+}
@@ -0,0 +1,185 @@
+/**
+ * Bookmarks Utility
+ *
+ * Saved items across modules: Hub posts, CollabSpace threads and resources,
+ * CareerLink projects and MIM chat messages. Each bookmark points at its item
+ * through a nullable foreign key (deleting the item deletes the bookmark), and
+ * items the user can no longer read are returned with `item: null`.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { canViewPost } from './postVisibility.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Bookmark column used for each BookmarkTarget value
+ */
+export const BOOKMARK_FIELDS = {
+  POST: 'postId',
+  THREAD: 'threadId',
+  RESOURCE: 'resourceId',
+  PROJECT: 'projectId',
+  CHAT_MESSAGE: 'chatMessageId',
+};
+
+export const BOOKMARK_TYPES = Object.keys(BOOKMARK_FIELDS);
+
+// Relation name on Bookmark (and Prisma model delegate) for each target type
+const TARGET_RELATIONS = {
+  POST: 'post',
+  THREAD: 'thread',
+  RESOURCE: 'resource',
+  PROJECT: 'project',
+  CHAT_MESSAGE: 'chatMessage',
+};
+
+const authorSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+};
+
+/**
+ * Item fields loaded for each target type
+ * @param {string} userId - Viewer (chat room membership is viewer-specific)
+ * @returns {Object} Prisma selects keyed by target type
+ */
+function targetSelects(userId) {
+  return {
+    POST: {
+      id: true,
+      content: true,
+      authorId: true,
+      groupId: true,
+      visibility: true,
+      createdAt: true,
+      author: { select: authorSelect },
+      group: { select: { id: true, name: true, isPrivate: true } },
+    },
+    THREAD: {
+      id: true,
+      title: true,
+      createdAt: true,
+      author: { select: authorSelect },
+      course: { select: { id: true, code: true, name: true } },
+    },
+    RESOURCE: {
+      id: true,
+      title: true,
+      fileType: true,
+      createdAt: true,
+      uploader: { select: authorSelect },
+      course: { select: { id: true, code: true, name: true } },
+    },
+    PROJECT: {
+      id: true,
+      title: true,
+      description: true,
+      authorId: true,
+      isPublic: true,
+      createdAt: true,
+      author: { select: authorSelect },
+    },
+    CHAT_MESSAGE: {
+      id: true,
+      content: true,
+      createdAt: true,
+      author: { select: authorSelect },
+      room: {
+        select: {
+          id: true,
+          name: true,
+          type: true,
+          members: { where: { userId }, select: { userId: true } },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Prisma include for bookmarks with their collection and item
+ * @param {string} userId - Viewer's user ID
+ * @returns {Object} Prisma include
+ */
+export function bookmarkInclude(userId) {
+  const selects = targetSelects(userId);
+  return {
+    collection: { select: { id: true, name: true } },
+    ...Object.fromEntries(
+      BOOKMARK_TYPES.map((type) => [TARGET_RELATIONS[type], { select: selects[type] }])
+    ),
+  };
+}
+
+/**
+ * Whether the viewer may still read a bookmarked item
+ * @param {string} type - BookmarkTarget value
+ * @param {Object} item - Item loaded with targetSelects
+ * @param {Object} context - Viewer context from loadViewerContext
+ * @returns {boolean}
+ */
+function canAccessTarget(type, item, context) {
+  switch (type) {
+    case 'POST':
+      return canViewPost(item, context);
+    case 'PROJECT':
+      return item.isPublic || item.authorId === context.userId;
+    case 'CHAT_MESSAGE':
+      return item.room.type !== 'PRIVATE' || item.room.members.length > 0;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Find an item to bookmark, only if the viewer can read it
+ * @param {string} type - BookmarkTarget value
+ * @param {string} targetId - Item ID
+ * @param {Object} context - Viewer context from loadViewerContext
+ * @returns {Promise<Object|null>} Item or null
+ */
+export async function findBookmarkTarget(type, targetId, context) {
+  const item = await prisma[TARGET_RELATIONS[type]].findUnique({
+    where: { id: targetId },
+    select: targetSelects(context.userId)[type],
+  });
+
+  return item && canAccessTarget(type, item, context) ? item : null;
+}
+
+/**
+ * Shape a bookmark for its owner
+ * @param {Object} bookmark - Bookmark loaded with bookmarkInclude
+ * @param {Object} context - Viewer context from loadViewerContext
+ * @returns {Object} { id, targetType, targetId, note, collection, createdAt, updatedAt, item }
+ */
+export function presentBookmark(bookmark, context) {
+  const type = bookmark.targetType;
+  const item = bookmark[TARGET_RELATIONS[type]];
+
+  let presentedItem = null;
+  if (item && canAccessTarget(type, item, context)) {
+    presentedItem = item;
+    if (type === 'CHAT_MESSAGE') {
+      // Drop the viewer's membership row used for the access check
+      presentedItem = {
+        ...item,
+        room: { id: item.room.id, name: item.room.name, type: item.room.type },
+      };
+    }
+  }
+
+  return {
+    id: bookmark.id,
+    targetType: type,
+    targetId: bookmark[BOOKMARK_FIELDS[type]],
+    note: bookmark.note,
+    collection: bookmark.collection,
+    createdAt: bookmark.createdAt,
+    updatedAt: bookmark.updatedAt,
+    item: presentedItem,
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Calendar Utility
+ *
+ * Personal calendar feed tokens and the entries that go into a user's feed:
+ * Hub events they organize or RSVP'd to, their study groups' meetings,
+ * and deadlines for the courses those groups belong to.
+ */
+
+import { nanoid } from 'nanoid';
+import { PrismaClient } from '@prisma/client';
+import { ATTENDING_STATUSES, visibleEventsWhere } from './events/rules.js';
+import { groupSchedule } from './recurrence.js';
+import { loadOccurrences } from './studyGroups.js';
+import { loadViewerContext } from './viewerContext.js';
+import { deadlineEntry, hubEventEntry, studyGroupEntry, studyGroupSessionEntry } from './ical.js';
+
+const prisma = new PrismaClient();
+
+// Past items kept in feeds so recent entries don't vanish from calendars
+const FEED_HISTORY_DAYS = 30;
+// How far ahead scheduled study group sessions are listed
+const FEED_SESSION_DAYS = 180;
+
+/**
+ * Web app link for a feed entry
+ */
+function appUrl(path) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3005'}${path}`;
+}
+
+/**
+ * Subscription URL for a feed token
+ * @param {string} token - User's calendar token
+ * @returns {string} Public .ics URL
+ */
+export function calendarFeedUrl(token) {
+  return `${process.env.API_URL || 'http://localhost:3001'}/api/calendar/${token}.ics`;
+}
+
+/**
+ * Get a user's feed token, creating it on first use
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { reset: true } to replace the token (old URLs stop working)
+ * @returns {Promise<string>} Token
+ */
+export async function getCalendarToken(userId, { reset = false } = {}) {
+  if (!reset) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { calendarToken: true },
+    });
+    if (user?.calendarToken) {
+      return user.calendarToken;
+    }
+  }
+
+  const token = nanoid(48);
+  await prisma.user.update({ where: { id: userId }, data: { calendarToken: token } });
+  return token;
+}
+
+/**
+ * Build every calendar entry for a user's feed
+ * @param {string} userId - Feed owner
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object[]>} Entries for buildCalendar
+ */
+export async function loadCalendarEntries(userId, now = new Date()) {
+  const since = new Date(now.getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const context = await loadViewerContext(userId);
+
+  const [rsvps, organized, memberships] = await Promise.all([
+    // RSVPs to private group events drop out once the user leaves the group
+    prisma.eventRsvp.findMany({
+      where: {
+        userId,
+        status: { in: ATTENDING_STATUSES },
+        event: { AND: [{ startDate: { gte: since } }, visibleEventsWhere(context)] },
+      },
+      include: { event: true },
+    }),
+    prisma.event.findMany({
+      where: { organizerId: userId, startDate: { gte: since } },
+    }),
+    prisma.studyGroupMember.findMany({
+      where: { userId },
+      include: { studyGroup: { include: { course: { select: { id: true, code: true } } } } },
+    }),
+  ]);
+
+  const courseIds = [...new Set(memberships.map((m) => m.studyGroup.courseId).filter(Boolean))];
+  const deadlines = courseIds.length
+    ? await prisma.courseDeadline.findMany({
+        where: { courseId: { in: courseIds }, dueAt: { gte: since } },
+        include: { course: { select: { id: true, code: true } } },
+      })
+    : [];
+
+  const entries = new Map();
+  for (const event of organized) {
+    entries.set(event.id, hubEventEntry(event));
+  }
+  for (const rsvp of rsvps) {
+    if (!entries.has(rsvp.event.id)) {
+      entries.set(rsvp.event.id, hubEventEntry(rsvp.event, { rsvpStatus: rsvp.status }));
+    }
+  }
+
+  const until = new Date(now.getTime() + FEED_SESSION_DAYS * 24 * 60 * 60 * 1000);
+  const meetings = (
+    await Promise.all(
+      memberships.map(async ({ studyGroup }) => {
+        const url = appUrl(`/collabspace/study-groups/${studyGroup.id}`);
+        if (!groupSchedule(studyGroup)) {
+          return [studyGroupEntry(studyGroup, { from: studyGroup.createdAt, url })];
+        }
+        const occurrences = await loadOccurrences(studyGroup, { from: since, to: until });
+        return occurrences.map((occurrence) =>
+          studyGroupSessionEntry(studyGroup, occurrence, { url })
+        );
+      })
+    )
+  )
+    .flat()
+    .filter(Boolean);
+
+  return [
+    ...entries.values(),
+    ...meetings,
+    ...deadlines.map((deadline) =>
+      deadlineEntry(deadline, { url: appUrl(`/collabspace/courses/${deadline.courseId}`) })
+    ),
+  ];
+}
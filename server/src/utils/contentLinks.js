@@ -0,0 +1,123 @@
+/**
+ * Content Links Utility
+ *
+ * Persists @mentions and #hashtags parsed from user content and sends
+ * MENTION notifications. Call after creating or editing a post, comment,
+ * thread, thread reply, study group message or chat message; links for the
+ * source are replaced, and only users newly mentioned by the edit are notified.
+ * Users blocked with the author, or muting them, are never notified.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { parseContent } from './contentParser.js';
+import { emitNotification } from '../websocket/index.js';
+import { notifiableUserIds } from './blocks/store.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Link column used for each ContentSource value
+ */
+export const SOURCE_FIELDS = {
+  POST: 'postId',
+  COMMENT: 'commentId',
+  THREAD: 'threadId',
+  THREAD_REPLY: 'threadReplyId',
+  GROUP_MESSAGE: 'groupMessageId',
+  CHAT_MESSAGE: 'chatMessageId',
+};
+
+const SOURCE_LABELS = {
+  POST: 'a post',
+  COMMENT: 'a comment',
+  THREAD: 'a thread',
+  THREAD_REPLY: 'a thread reply',
+  GROUP_MESSAGE: 'a study group message',
+  CHAT_MESSAGE: 'a chat message',
+};
+
+/**
+ * Replace the mentions and hashtags stored for a piece of content
+ * @param {Object} io - Socket.IO server (notifications are still stored without it)
+ * @param {Object} options - Sync options
+ * @param {string} options.sourceType - ContentSource value (POST, COMMENT, ...)
+ * @param {string} options.sourceId - ID of the post/comment/etc.
+ * @param {Object} options.author - { id, firstName, lastName }
+ * @param {string} options.text - Content to parse
+ * @param {string} [options.link] - Notification link
+ * @param {Function} [options.canNotify] - async (userIds) => userIds allowed to see the content
+ * @returns {Promise<Object>} { mentionedUserIds, hashtags }
+ */
+export async function syncContentLinks(
+  io,
+  { sourceType, sourceId, author, text, link = null, canNotify = null }
+) {
+  try {
+    const field = SOURCE_FIELDS[sourceType];
+    const { mentions, hashtags } = parseContent(text);
+
+    const [users, previous] = await Promise.all([
+      mentions.length > 0
+        ? prisma.user.findMany({ where: { username: { in: mentions } }, select: { id: true } })
+        : [],
+      prisma.mention.findMany({ where: { [field]: sourceId }, select: { userId: true } }),
+    ]);
+
+    // Mentioning yourself is allowed but never stored or notified
+    const mentionedUserIds = users.map((u) => u.id).filter((id) => id !== author.id);
+    const previousIds = new Set(previous.map((m) => m.userId));
+
+    const tags = await Promise.all(
+      hashtags.map((name) =>
+        prisma.hashtag.upsert({ where: { name }, update: {}, create: { name } })
+      )
+    );
+
+    await prisma.$transaction([
+      prisma.mention.deleteMany({ where: { [field]: sourceId } }),
+      prisma.mention.createMany({
+        data: mentionedUserIds.map((userId) => ({
+          sourceType,
+          [field]: sourceId,
+          userId,
+          authorId: author.id,
+        })),
+      }),
+      prisma.hashtagLink.deleteMany({ where: { [field]: sourceId } }),
+      prisma.hashtagLink.createMany({
+        data: tags.map((tag) => ({ hashtagId: tag.id, sourceType, [field]: sourceId })),
+      }),
+    ]);
+
+    let recipients = await notifiableUserIds(
+      author.id,
+      mentionedUserIds.filter((id) => !previousIds.has(id))
+    );
+    if (canNotify && recipients.length > 0) {
+      recipients = await canNotify(recipients);
+    }
+
+    await Promise.all(
+      recipients.map(async (userId) => {
+        const notification = await prisma.notification.create({
+          data: {
+            type: 'MENTION',
+            message: `${author.firstName} ${author.lastName} mentioned you in ${SOURCE_LABELS[sourceType]}`,
+            link,
+            userId,
+          },
+        });
+
+        if (io) {
+          emitNotification(io, userId, notification);
+        }
+      })
+    );
+
+    return { mentionedUserIds, hashtags };
+  } catch (error) {
+    // Never let link extraction fail the write that triggered it
+    console.error('Content link sync error:', error);
+    return { mentionedUserIds: [], hashtags: [] };
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Content Parser Utility
+ *
+ * Extracts @mentions and #hashtags from user-written text (posts, comments,
+ * thread replies, chat messages).
+ * - Mentions keep the username as typed; usernames are matched exactly
+ * - Hashtags are lowercased so #React and #react share a feed
+ * - Email addresses and URL fragments are not treated as mentions/hashtags
+ */
+
+export const MAX_MENTIONS = 20; // Cap on users notified from a single piece of content
+export const MAX_HASHTAGS = 20;
+export const MAX_HASHTAG_LENGTH = 50;
+
+// Must start the text or follow a non-word character, so "bob@maestro.edu" and "page#anchor" don't match
+const MENTION_PATTERN = /(?:^|[^\w@.])@([A-Za-z0-9_][A-Za-z0-9_.-]*)/g;
+const HASHTAG_PATTERN = /(?:^|[^\w#&/])#([A-Za-z0-9_]+)/g;
+
+/**
+ * Collect unique capture-group matches in order of first appearance
+ */
+function collect(text, pattern, normalize, limit) {
+  const found = new Set();
+
+  for (const match of String(text || '').matchAll(pattern)) {
+    const value = normalize(match[1]);
+    if (value) {
+      found.add(value);
+    }
+    if (found.size >= limit) break;
+  }
+
+  return [...found];
+}
+
+/**
+ * Extract mentioned usernames
+ * @param {string} text - Content to scan
+ * @returns {string[]} Unique usernames without the leading @
+ */
+export function extractMentions(text) {
+  // Trailing dots and dashes are sentence punctuation, not part of the username
+  return collect(text, MENTION_PATTERN, (name) => name.replace(/[.-]+$/, ''), MAX_MENTIONS);
+}
+
+/**
+ * Normalize a single hashtag (e.g. from a URL parameter)
+ * @param {string} tag - Tag with or without the leading #
+ * @returns {string|null} Lowercase tag or null if it isn't a valid hashtag
+ */
+export function normalizeHashtag(tag) {
+  const value = String(tag || '').replace(/^#/, '');
+
+  // Pure numbers ("#1", "issue #42") aren't topics
+  if (!/^[A-Za-z0-9_]+$/.test(value) || !/[A-Za-z]/.test(value)) return null;
+  if (value.length > MAX_HASHTAG_LENGTH) return null;
+
+  return value.toLowerCase();
+}
+
+/**
+ * Extract hashtags
+ * @param {string} text - Content to scan
+ * @returns {string[]} Unique lowercase tags without the leading #
+ */
+export function extractHashtags(text) {
+  return collect(text, HASHTAG_PATTERN, normalizeHashtag, MAX_HASHTAGS);
+}
+
+/**
+ * Parse mentions and hashtags in one pass
+ * @param {string} text - Content to scan
+ * @returns {Object} { mentions: string[], hashtags: string[] }
+ */
+export function parseContent(text) {
+  return {
+    mentions: extractMentions(text),
+    hashtags: extractHashtags(text),
+  };
+}
@@ -0,0 +1,204 @@
+/**
+ * Direct Messages Utility
+ *
+ * Rules for Hub conversations: one-to-one conversations are unique per pair
+ * of users, group conversations are capped at a small size, and each
+ * participant's read cursor (lastReadAt) decides which messages are unread.
+ * Senders can edit their messages at any time, but can only delete them for
+ * everyone shortly after sending.
+ */
+
+export const MAX_MESSAGE_LENGTH = 4000;
+export const MAX_CONVERSATION_PARTICIPANTS = 10;
+export const MAX_CONVERSATION_TITLE_LENGTH = 100;
+export const MESSAGE_DELETE_WINDOW_MINUTES = 60;
+
+export const MESSAGE_ATTACHMENT_CATEGORY = 'messages';
+export const MAX_MESSAGE_ATTACHMENTS = 4;
+export const MESSAGE_ATTACHMENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+];
+
+// Replies quote the original message up to this length
+const QUOTE_LENGTH = 100;
+
+/**
+ * Stable key identifying the one-to-one conversation between two users
+ * @param {string} userId - One participant
+ * @param {string} otherUserId - The other participant
+ * @returns {string}
+ */
+export function directKey(userId, otherUserId) {
+  return [userId, otherUserId].sort().join(':');
+}
+
+/**
+ * Validate the people a user wants to start a conversation with
+ * @param {string} creatorId - User starting the conversation
+ * @param {string[]} userIds - Other participants
+ * @returns {Object} { userIds } without duplicates or the creator, or { error }
+ */
+export function normalizeParticipants(creatorId, userIds) {
+  const others = [...new Set(userIds)].filter((id) => id !== creatorId);
+
+  if (others.length === 0) {
+    return { error: 'Choose at least one other person' };
+  }
+  if (others.length + 1 > MAX_CONVERSATION_PARTICIPANTS) {
+    return {
+      error: `Conversations can have at most ${MAX_CONVERSATION_PARTICIPANTS} participants`,
+    };
+  }
+  return { userIds: others };
+}
+
+/**
+ * Why a message can't be sent as-is
+ * Messages with attachments may leave the text empty.
+ * @param {*} content - Message content from the client
+ * @param {number} [attachmentCount] - Files sent with the message
+ * @returns {string|null} Error message, or null if valid
+ */
+export function messageContentError(content, attachmentCount = 0) {
+  if (content !== undefined && typeof content !== 'string') {
+    return 'Message content must be text';
+  }
+  if (!content?.trim() && attachmentCount === 0) {
+    return 'Message cannot be empty';
+  }
+  if (content && content.length > MAX_MESSAGE_LENGTH) {
+    return `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Why a user can't edit a message
+ * @param {Object} message - Message with senderId and deletedAt
+ * @param {string} userId - Editing user
+ * @returns {string|null} Error message, or null if allowed
+ */
+export function messageEditError(message, userId) {
+  if (message.senderId !== userId) {
+    return 'You can only edit your own messages';
+  }
+  if (message.deletedAt) {
+    return 'This message was deleted';
+  }
+  return null;
+}
+
+/**
+ * Why a user can't delete a message for everyone
+ * @param {Object} message - Message with senderId, createdAt and deletedAt
+ * @param {string} userId - Deleting user
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} Error message, or null if allowed
+ */
+export function messageDeleteError(message, userId, now = new Date()) {
+  const editError = messageEditError(message, userId);
+  if (editError) {
+    return editError;
+  }
+  const windowEnds = new Date(message.createdAt).getTime() + MESSAGE_DELETE_WINDOW_MINUTES * 60000;
+  if (now.getTime() > windowEnds) {
+    return `Messages can only be deleted within ${MESSAGE_DELETE_WINDOW_MINUTES} minutes of sending`;
+  }
+  return null;
+}
+
+/**
+ * Quoted snippet of the message a reply points to
+ * @param {Object} message - Message with content, deletedAt and optionally attachments
+ * @returns {string|null} Snippet, or null if the message was deleted
+ */
+export function quoteSnippet(message) {
+  if (message.deletedAt) {
+    return null;
+  }
+  const flat = message.content.replace(/\s+/g, ' ').trim();
+  if (!flat) {
+    return message.attachments?.length ? 'Attachment' : '';
+  }
+  return flat.length > QUOTE_LENGTH ? `${flat.slice(0, QUOTE_LENGTH - 1)}…` : flat;
+}
+
+/**
+ * Prisma filter for the messages a participant hasn't read yet
+ * Your own messages never count as unread.
+ * @param {Object} participant - ConversationParticipant with conversationId, userId, lastReadAt
+ * @returns {Object} Prisma where clause for Message
+ */
+export function unreadWhere(participant) {
+  return {
+    conversationId: participant.conversationId,
+    senderId: { not: participant.userId },
+    ...(participant.lastReadAt && { createdAt: { gt: participant.lastReadAt } }),
+  };
+}
+
+/**
+ * Move a read cursor forward
+ * Read receipts can arrive out of order, so the cursor never moves back.
+ * @param {Date|null} current - Participant's current lastReadAt
+ * @param {Date} readAt - Time of the latest message just read
+ * @returns {Date}
+ */
+export function advanceReadCursor(current, readAt) {
+  return current && new Date(current) > new Date(readAt) ? new Date(current) : new Date(readAt);
+}
+
+/**
+ * Whether a participant had read everything before a new message arrived
+ * Only the first unread message in a row sends a notification.
+ * @param {Object} participant - ConversationParticipant with lastReadAt
+ * @param {Date} lastMessageAt - Conversation's lastMessageAt before the new message
+ */
+export function isCaughtUp(participant, lastMessageAt) {
+  return !participant.lastReadAt || new Date(participant.lastReadAt) >= new Date(lastMessageAt);
+}
+
+/**
+ * Title to show a viewer for a conversation
+ * Untitled conversations are named after the other participants.
+ * @param {Object} conversation - Conversation with title and participants[].user
+ * @param {string} viewerId - Viewing user's ID
+ * @returns {string}
+ */
+export function conversationTitle(conversation, viewerId) {
+  if (conversation.title) {
+    return conversation.title;
+  }
+  const others = conversation.participants
+    .map((p) => p.user)
+    .filter((user) => user.id !== viewerId);
+
+  if (others.length === 0) {
+    return 'Just you';
+  }
+  if (others.length === 1) {
+    return `${others[0].firstName} ${others[0].lastName}`;
+  }
+  return others.map((user) => user.firstName).join(', ');
+}
+
+/**
+ * Shape a conversation for a viewer
+ * @param {Object} conversation - Conversation with participants[].user and its latest messages[0]
+ * @param {string} viewerId - Viewing user's ID
+ * @param {number} unreadCount - Messages the viewer hasn't read
+ * @returns {Object} Conversation with displayTitle, lastMessage and unreadCount
+ */
+export function presentConversation(conversation, viewerId, unreadCount = 0) {
+  const { messages, ...rest } = conversation;
+  return {
+    ...rest,
+    displayTitle: conversationTitle(conversation, viewerId),
+    lastMessage: messages?.[0] || null,
+    unreadCount,
+  };
+}
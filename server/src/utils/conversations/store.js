@@ -0,0 +1,382 @@
+/**
+ * Conversations Utility
+ *
+ * Storage and live delivery for Hub direct messages: finding or starting
+ * conversations, sending, editing and deleting messages, read cursors and
+ * unread counts. Message attachments are stored privately in the `messages`
+ * upload category and served through signed URLs. A block between the two
+ * people in a one-to-one conversation stops either of them from sending to
+ * it; group conversations stay open, but blocked and muting participants
+ * aren't notified.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import {
+  MESSAGE_ATTACHMENT_CATEGORY,
+  directKey,
+  unreadWhere,
+  advanceReadCursor,
+  isCaughtUp,
+  quoteSnippet,
+} from './rules.js';
+import { generateViewUrl } from '../signedUrls.js';
+import { deleteUploadedFile } from '../../middleware/fileUpload.js';
+import { emitNotification } from '../../websocket/index.js';
+import { isBlockedBetween, notifiableUserIds } from '../blocks/store.js';
+
+const prisma = new PrismaClient();
+
+export const participantUserSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  photoUrl: true,
+};
+
+export const conversationInclude = {
+  participants: {
+    include: { user: { select: participantUserSelect } },
+    orderBy: { joinedAt: 'asc' },
+  },
+};
+
+export const messageInclude = {
+  sender: { select: participantUserSelect },
+  attachments: { orderBy: { position: 'asc' } },
+  replyTo: {
+    select: {
+      id: true,
+      content: true,
+      senderId: true,
+      deletedAt: true,
+      sender: { select: { id: true, firstName: true, lastName: true } },
+      attachments: { select: { id: true } },
+    },
+  },
+};
+
+/**
+ * Shape a message for clients
+ * Attachment filenames become signed URLs, replies carry a quoted snippet of
+ * the original, and deleted messages keep only their place in the history.
+ * @param {Object} message - Message loaded with messageInclude
+ * @returns {Object}
+ */
+export function presentMessage(message) {
+  const { replyTo, attachments = [], ...rest } = message;
+
+  return {
+    ...rest,
+    content: message.deletedAt ? null : message.content,
+    attachments: attachments.map((attachment) => ({
+      id: attachment.id,
+      url: generateViewUrl(attachment.filename, MESSAGE_ATTACHMENT_CATEGORY),
+      originalName: attachment.originalName,
+      mimetype: attachment.mimetype,
+      size: attachment.size,
+    })),
+    replyTo: replyTo
+      ? {
+          id: replyTo.id,
+          senderId: replyTo.senderId,
+          sender: replyTo.sender,
+          snippet: quoteSnippet(replyTo),
+          deleted: Boolean(replyTo.deletedAt),
+        }
+      : null,
+  };
+}
+
+/**
+ * Notification link for a conversation
+ */
+export function conversationLink(conversationId) {
+  return `/hub/messages?conversation=${conversationId}`;
+}
+
+/**
+ * Load a conversation if the user takes part in it
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Conversation with participants, or null
+ */
+export function findConversationForUser(conversationId, userId) {
+  return prisma.conversation.findFirst({
+    where: { id: conversationId, participants: { some: { userId } } },
+    include: conversationInclude,
+  });
+}
+
+/**
+ * Find the one-to-one conversation between two users, starting it if needed
+ * @param {string} userId - One participant
+ * @param {string} otherUserId - The other participant
+ * @returns {Promise<Object>} Conversation with participants
+ */
+export function findOrCreateDirectConversation(userId, otherUserId) {
+  const key = directKey(userId, otherUserId);
+  return prisma.conversation.upsert({
+    where: { directKey: key },
+    update: {},
+    create: {
+      directKey: key,
+      participants: { create: [{ userId }, { userId: otherUserId }] },
+    },
+    include: conversationInclude,
+  });
+}
+
+/**
+ * Start a group conversation
+ * @param {string} creatorId - User starting it
+ * @param {string[]} userIds - Other participants (already validated)
+ * @param {string} [title] - Optional title
+ * @returns {Promise<Object>} Conversation with participants
+ */
+export function createGroupConversation(creatorId, userIds, title) {
+  const now = new Date();
+  return prisma.conversation.create({
+    data: {
+      title: title || null,
+      isGroup: true,
+      participants: {
+        // The creator has nothing to catch up on
+        create: [{ userId: creatorId, lastReadAt: now }, ...userIds.map((userId) => ({ userId }))],
+      },
+    },
+    include: conversationInclude,
+  });
+}
+
+/**
+ * Whether a block stops a user from sending to a conversation
+ * Only one-to-one conversations are closed by a block.
+ * @param {Object} conversation - Conversation with isGroup and participants
+ * @param {string} userId - Sending user
+ * @returns {Promise<boolean>}
+ */
+export async function isConversationBlocked(conversation, userId) {
+  if (conversation.isGroup) {
+    return false;
+  }
+  const other = conversation.participants.find((p) => p.userId !== userId);
+  return Boolean(other) && isBlockedBetween(userId, other.userId);
+}
+
+/**
+ * Find a message in a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object|null>} Message with attachments, or null
+ */
+export function findConversationMessage(conversationId, messageId) {
+  return prisma.message.findFirst({
+    where: { id: messageId, conversationId },
+    include: { attachments: true },
+  });
+}
+
+/**
+ * Emit a conversation event to every participant's sockets
+ */
+function emitToParticipants(io, conversation, event, data) {
+  if (io) {
+    io.to(conversation.participants.map((p) => `user:${p.userId}`)).emit(event, data);
+  }
+}
+
+/**
+ * Send a message to a conversation
+ * Delivers `message:receive` to every participant's sockets and notifies the
+ * others, once per run of unread messages, unless they've blocked or muted the sender.
+ * @param {Object|null} io - Socket.IO server for live delivery
+ * @param {Object} conversation - Conversation with participants and lastMessageAt
+ * @param {Object} sender - Sending user (id, firstName, lastName)
+ * @param {Object} data - { content, replyToId?, attachments? } (already validated;
+ *   attachments are saved upload infos)
+ * @returns {Promise<Object>} Presented message
+ */
+export async function sendConversationMessage(io, conversation, sender, data) {
+  const { content, replyToId, attachments = [] } = data;
+
+  const created = await prisma.$transaction(async (tx) => {
+    const message = await tx.message.create({
+      data: {
+        conversationId: conversation.id,
+        senderId: sender.id,
+        content,
+        replyToId,
+        attachments: {
+          create: attachments.map((file, position) => ({
+            filename: file.filename,
+            originalName: file.originalName,
+            mimetype: file.mimetype,
+            size: file.size,
+            position,
+          })),
+        },
+      },
+      include: messageInclude,
+    });
+
+    await tx.conversation.update({
+      where: { id: conversation.id },
+      data: { lastMessageAt: message.createdAt },
+    });
+
+    // Sending a message means you've read the conversation up to it
+    await tx.conversationParticipant.update({
+      where: { conversationId_userId: { conversationId: conversation.id, userId: sender.id } },
+      data: { lastReadAt: message.createdAt },
+    });
+
+    return message;
+  });
+
+  const message = presentMessage(created);
+  emitToParticipants(io, conversation, 'message:receive', message);
+
+  // The message is saved by now, so a failed notification mustn't fail the send
+  await notifyMessageRecipients(io, conversation, sender).catch((error) =>
+    console.error('Message notification error:', error)
+  );
+
+  return message;
+}
+
+/**
+ * Notify the other participants of a new message
+ * Only those who were caught up are notified, so a run of unread messages
+ * notifies once.
+ */
+async function notifyMessageRecipients(io, conversation, sender) {
+  const recipients = await notifiableUserIds(
+    sender.id,
+    conversation.participants
+      .filter((p) => p.userId !== sender.id && isCaughtUp(p, conversation.lastMessageAt))
+      .map((p) => p.userId)
+  );
+
+  await Promise.all(
+    recipients.map(async (userId) => {
+      const notification = await prisma.notification.create({
+        data: {
+          type: 'MESSAGE',
+          message: `${sender.firstName} ${sender.lastName} sent you a message`,
+          link: conversationLink(conversation.id),
+          userId,
+        },
+      });
+
+      if (io) {
+        emitNotification(io, userId, notification);
+      }
+    })
+  );
+}
+
+/**
+ * Edit a message's text and tell the conversation (`message:updated`)
+ * @param {Object|null} io - Socket.IO server for live delivery
+ * @param {Object} conversation - Conversation with participants
+ * @param {Object} message - Message being edited (already checked)
+ * @param {string} content - New content (already validated)
+ * @returns {Promise<Object>} Presented message
+ */
+export async function editConversationMessage(io, conversation, message, content) {
+  const updated = await prisma.message.update({
+    where: { id: message.id },
+    data: { content, editedAt: new Date() },
+    include: messageInclude,
+  });
+
+  const presented = presentMessage(updated);
+  emitToParticipants(io, conversation, 'message:updated', presented);
+  return presented;
+}
+
+/**
+ * Delete a message for everyone and tell the conversation (`message:deleted`)
+ * The row stays as a placeholder so replies and read cursors keep their place;
+ * its text and attachments are removed.
+ * @param {Object|null} io - Socket.IO server for live delivery
+ * @param {Object} conversation - Conversation with participants
+ * @param {Object} message - Message with attachments (already checked)
+ * @returns {Promise<Object>} { conversationId, messageId, deletedAt }
+ */
+export async function deleteConversationMessage(io, conversation, message) {
+  const deleted = await prisma.$transaction(async (tx) => {
+    await tx.messageAttachment.deleteMany({ where: { messageId: message.id } });
+    return tx.message.update({
+      where: { id: message.id },
+      data: { content: '', deletedAt: new Date() },
+    });
+  });
+
+  await Promise.allSettled(
+    message.attachments.map((a) => deleteUploadedFile(a.filename, MESSAGE_ATTACHMENT_CATEGORY))
+  );
+
+  const event = {
+    conversationId: conversation.id,
+    messageId: message.id,
+    deletedAt: deleted.deletedAt,
+  };
+  emitToParticipants(io, conversation, 'message:deleted', event);
+  return event;
+}
+
+/**
+ * Move a participant's read cursor and tell the conversation
+ * Emits `message:read` with { conversationId, userId, lastReadAt } to every participant.
+ * @param {Object|null} io - Socket.IO server for live delivery
+ * @param {Object} conversation - Conversation with participants and lastMessageAt
+ * @param {string} userId - Reader
+ * @param {string} [messageId] - Last message read (defaults to the latest message)
+ * @returns {Promise<Object|null>} Updated ConversationParticipant, or null if the message isn't in the conversation
+ */
+export async function markConversationRead(io, conversation, userId, messageId) {
+  let readAt = conversation.lastMessageAt;
+
+  if (messageId) {
+    const message = await prisma.message.findFirst({
+      where: { id: messageId, conversationId: conversation.id },
+      select: { createdAt: true },
+    });
+    if (!message) {
+      return null;
+    }
+    readAt = message.createdAt;
+  }
+
+  const current = conversation.participants.find((p) => p.userId === userId);
+  const participant = await prisma.conversationParticipant.update({
+    where: { conversationId_userId: { conversationId: conversation.id, userId } },
+    data: { lastReadAt: advanceReadCursor(current?.lastReadAt, readAt) },
+  });
+
+  emitToParticipants(io, conversation, 'message:read', {
+    conversationId: conversation.id,
+    userId,
+    lastReadAt: participant.lastReadAt,
+  });
+
+  return participant;
+}
+
+/**
+ * Count a user's unread messages in each conversation
+ * @param {Object[]} conversations - Conversations with participants
+ * @param {string} userId - Viewing user's ID
+ * @returns {Promise<Map<string, number>>} conversationId -> unread count
+ */
+export async function countUnread(conversations, userId) {
+  const counts = await Promise.all(
+    conversations.map((conversation) => {
+      const participant = conversation.participants.find((p) => p.userId === userId);
+      return participant ? prisma.message.count({ where: unreadWhere(participant) }) : 0;
+    })
+  );
+  return new Map(conversations.map((conversation, i) => [conversation.id, counts[i]]));
+}
@@ -302,3 +302,170 @@ export async function sendSecurityAlert(userEmail, alertType, details) {
     return { success: false, error: error.message };
   }
 }
+
+/**
+ * Escape text a moderator typed before putting it in an HTML email
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Send suspension or ban notice with the reason and appeal link
+ * @param {string} userEmail - Recipient
+ * @param {Object} notice - { summary, reason?, appealUrl }
+ */
+export async function sendModerationEmail(userEmail, { summary, reason, appealUrl }) {
+  const transport = await getTransporter();
+
+  const reasonText = reason || 'No reason was given.';
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || '"Maestroverse" <noreply@maestroverse.edu>',
+    to: userEmail,
+    subject: 'Your Maestroverse Account Status',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .button {
+            display: inline-block;
+            padding: 12px 24px;
+            background-color: #14b8a6;
+            color: white;
+            text-decoration: none;
+            border-radius: 6px;
+            margin: 20px 0;
+          }
+          .details { background-color: #f3f4f6; padding: 12px; margin: 20px 0; }
+          .footer { margin-top: 30px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h2>Account Status Update</h2>
+          <p>${escapeHtml(summary)}</p>
+
+          <div class="details">
+            <p><strong>Reason:</strong> ${escapeHtml(reasonText)}</p>
+          </div>
+
+          <p>If you believe this was a mistake, you can ask a moderator to review it.</p>
+
+          <a href="${appealUrl}" class="button">Appeal This Decision</a>
+
+          <p>Or copy and paste this link into your browser:</p>
+          <p style="word-break: break-all; color: #666;">${appealUrl}</p>
+
+          <div class="footer">
+            <p>&copy; 2025 Maestro University. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Account Status Update
+
+      ${summary}
+
+      Reason: ${reasonText}
+
+      If you believe this was a mistake, you can ask a moderator to review it.
+
+      Appeal link: ${appealUrl}
+
+      © 2025 Maestro University. All rights reserved.
+    `,
+  };
+
+  try {
+    const info = await transport.sendMail(mailOptions);
+
+    // In development with Ethereal, log the preview URL
+    if (process.env.NODE_ENV !== 'production' && !process.env.SMTP_HOST) {
+      console.log('[EMAIL] Preview URL: %s', nodemailer.getTestMessageUrl(info));
+    }
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('[EMAIL] Failed to send moderation email:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send the outcome of an appeal
+ * @param {string} userEmail - Recipient
+ * @param {Object} decision - { overturned, restored, note? }
+ *   restored is true when overturning lifted a decision that was still in effect
+ */
+export async function sendAppealDecisionEmail(userEmail, { overturned, restored, note }) {
+  const transport = await getTransporter();
+
+  let outcome = 'A moderator reviewed your appeal and upheld the decision.';
+  if (overturned) {
+    outcome = restored
+      ? 'A moderator reviewed your appeal and overturned the decision. Your account has been restored and you can log in again.'
+      : "A moderator reviewed your appeal and overturned the decision. It had already ended or been replaced by a later one, so your account's current status hasn't changed.";
+  }
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || '"Maestroverse" <noreply@maestroverse.edu>',
+    to: userEmail,
+    subject: 'Your Maestroverse Appeal',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .details { background-color: #f3f4f6; padding: 12px; margin: 20px 0; }
+          .footer { margin-top: 30px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h2>Appeal Decision</h2>
+          <p>${outcome}</p>
+
+          ${note ? `<div class="details"><p><strong>Moderator note:</strong> ${escapeHtml(note)}</p></div>` : ''}
+
+          <div class="footer">
+            <p>&copy; 2025 Maestro University. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+      Appeal Decision
+
+      ${outcome}
+      ${note ? `\n      Moderator note: ${note}\n` : ''}
+      © 2025 Maestro University. All rights reserved.
+    `,
+  };
+
+  try {
+    const info = await transport.sendMail(mailOptions);
+
+    // In development with Ethereal, log the preview URL
+    if (process.env.NODE_ENV !== 'production' && !process.env.SMTP_HOST) {
+      console.log('[EMAIL] Preview URL: %s', nodemailer.getTestMessageUrl(info));
+    }
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('[EMAIL] Failed to send appeal decision email:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Endorsements Utility
+ *
+ * Rules for skill endorsements. Accepted connections can endorse skills a
+ * user lists about themselves. Endorsements by faculty carry more weight and
+ * are badged. The weighted score ranks students in CareerLink browse.
+ */
+
+// How much a faculty endorsement counts for compared to anyone else's
+export const FACULTY_ENDORSEMENT_WEIGHT = 3;
+
+/**
+ * How much an endorsement counts for
+ * @param {Object} endorsement - { byFaculty }
+ * @returns {number}
+ */
+export function endorsementWeight({ byFaculty }) {
+  return byFaculty ? FACULTY_ENDORSEMENT_WEIGHT : 1;
+}
+
+/**
+ * A skill as spelled in a user's list
+ * @param {string[]} skills - User's skills
+ * @param {string} skill - Skill to look for (any case)
+ * @returns {string|null} Listed spelling, or null if the user doesn't list it
+ */
+export function findListedSkill(skills, skill) {
+  const key = skill.trim().toLowerCase();
+  return skills.find((listed) => listed.trim().toLowerCase() === key) || null;
+}
+
+/**
+ * How endorsements have to change after a user edits their skills
+ * Skills that are gone lose their endorsements; skills that were re-spelled
+ * (e.g. "python" to "Python") keep them under the new spelling.
+ * @param {string[]} endorsedSkills - Distinct skills the user has endorsements for
+ * @param {string[]} skills - User's new skills
+ * @returns {Object} { removed: string[], renamed: [{ from, to }] }
+ */
+export function endorsedSkillChanges(endorsedSkills, skills) {
+  const removed = [];
+  const renamed = [];
+  for (const skill of endorsedSkills) {
+    const listed = findListedSkill(skills, skill);
+    if (!listed) {
+      removed.push(skill);
+    } else if (listed !== skill) {
+      renamed.push({ from: skill, to: listed });
+    }
+  }
+  return { removed, renamed };
+}
+
+/**
+ * Endorsements of each of a user's skills, in the order they list them
+ * Endorsers are listed faculty first, then newest first.
+ * @param {string[]} skills - User's skills
+ * @param {Object[]} endorsements - { skill, byFaculty, createdAt, endorser }
+ * @param {string} viewerId - Current user's ID
+ * @returns {Object[]} [{ skill, count, score, facultyCount, endorsedByViewer, endorsers }]
+ */
+export function summarizeEndorsements(skills, endorsements, viewerId) {
+  return skills.map((skill) => {
+    const key = skill.toLowerCase();
+    const matching = endorsements
+      .filter((endorsement) => endorsement.skill.toLowerCase() === key)
+      .sort(
+        (a, b) =>
+          Number(b.byFaculty) - Number(a.byFaculty) ||
+          new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
+      );
+
+    return {
+      skill,
+      count: matching.length,
+      score: matching.reduce((sum, endorsement) => sum + endorsementWeight(endorsement), 0),
+      facultyCount: matching.filter((endorsement) => endorsement.byFaculty).length,
+      endorsedByViewer: matching.some((endorsement) => endorsement.endorser.id === viewerId),
+      endorsers: matching.map((endorsement) => ({
+        ...endorsement.endorser,
+        isFaculty: endorsement.byFaculty,
+      })),
+    };
+  });
+}
+
+/**
+ * Endorsement totals per user
+ * @param {Object[]} groups - Prisma groupBy rows over [userId, byFaculty] with _count._all
+ * @returns {Map<string, Object>} userId -> { count, facultyCount, score }
+ */
+export function endorsementScores(groups) {
+  const scores = new Map();
+  for (const { userId, byFaculty, _count } of groups) {
+    const totals = scores.get(userId) || { count: 0, facultyCount: 0, score: 0 };
+    totals.count += _count._all;
+    totals.score += _count._all * endorsementWeight({ byFaculty });
+    if (byFaculty) {
+      totals.facultyCount += _count._all;
+    }
+    scores.set(userId, totals);
+  }
+  return scores;
+}
+
+/**
+ * Order users by endorsement score, highest first
+ * Users with equal scores keep their order.
+ * @param {Object[]} users - Users with an `id`
+ * @param {Map<string, Object>} scores - Output of endorsementScores
+ * @returns {Object[]} New array
+ */
+export function rankByEndorsements(users, scores) {
+  return users
+    .map((user, index) => ({ user, index, score: scores.get(user.id)?.score || 0 }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ user }) => user);
+}
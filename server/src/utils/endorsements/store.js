@@ -0,0 +1,73 @@
+/**
+ * Skill Endorsements Utility
+ *
+ * Storage side of skill endorsements: loading them, keeping them in step
+ * with a user's skills list, and totals for ranking.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { endorsedSkillChanges, endorsementScores } from './rules.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Load a user's endorsements with who gave them
+ * @param {string} userId - Endorsed user's ID
+ * @returns {Promise<Object[]>} { skill, byFaculty, createdAt, endorser }
+ */
+export async function loadEndorsements(userId) {
+  return prisma.skillEndorsement.findMany({
+    where: { userId },
+    select: {
+      skill: true,
+      byFaculty: true,
+      createdAt: true,
+      endorser: {
+        select: { id: true, username: true, firstName: true, lastName: true, photoUrl: true },
+      },
+    },
+  });
+}
+
+/**
+ * Bring a user's endorsements in line with their edited skills list
+ * @param {string} userId - User ID
+ * @param {string[]} skills - User's new skills
+ * @returns {Promise<void>}
+ */
+export async function syncEndorsedSkills(userId, skills) {
+  const endorsed = await prisma.skillEndorsement.findMany({
+    where: { userId },
+    distinct: ['skill'],
+    select: { skill: true },
+  });
+  const { removed, renamed } = endorsedSkillChanges(
+    endorsed.map((endorsement) => endorsement.skill),
+    skills
+  );
+  if (removed.length === 0 && renamed.length === 0) {
+    return;
+  }
+
+  await prisma.$transaction([
+    prisma.skillEndorsement.deleteMany({ where: { userId, skill: { in: removed } } }),
+    ...renamed.map(({ from, to }) =>
+      prisma.skillEndorsement.updateMany({ where: { userId, skill: from }, data: { skill: to } })
+    ),
+  ]);
+}
+
+/**
+ * Endorsement totals for the users matching a filter
+ * @param {Object} userWhere - Prisma where clause for User
+ * @param {string[]} [skills] - Only count endorsements of these skills
+ * @returns {Promise<Map<string, Object>>} userId -> { count, facultyCount, score }
+ */
+export async function loadEndorsementScores(userWhere, skills) {
+  const groups = await prisma.skillEndorsement.groupBy({
+    by: ['userId', 'byFaculty'],
+    where: { user: userWhere, ...(skills && { skill: { in: skills } }) },
+    _count: { _all: true },
+  });
+  return endorsementScores(groups);
+}
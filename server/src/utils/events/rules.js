@@ -0,0 +1,148 @@
+/**
+ * Event RSVP Utility
+ *
+ * RSVP rules for Hub events: capacity and waitlist placement, reminder
+ * timing, the organizer's attendee export and the private group gate.
+ * Attendees who ask to go to a full event are waitlisted and promoted in the
+ * order they joined the list.
+ */
+
+export const RSVP_CHOICES = ['GOING', 'INTERESTED', 'NOT_GOING'];
+
+// Statuses that count as attending for reminders and change notices
+export const ATTENDING_STATUSES = ['GOING', 'WAITLISTED', 'INTERESTED'];
+
+export const DEFAULT_REMINDER_MINUTES = 60;
+
+/**
+ * Parse EVENT_REMINDER_MINUTES
+ * @param {string} [value] - Minutes before startDate to send reminders
+ * @returns {number} Positive whole minutes (default 60)
+ */
+export function parseReminderMinutes(value) {
+  const minutes = Number.parseInt(value, 10);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_REMINDER_MINUTES;
+}
+
+/**
+ * Number of free places at an event
+ * @param {number|null} capacity - Event capacity (null for unlimited)
+ * @param {number} goingCount - Attendees currently going
+ * @returns {number} Free places (Infinity when unlimited)
+ */
+export function openSeats(capacity, goingCount) {
+  if (capacity === null || capacity === undefined) {
+    return Infinity;
+  }
+  return Math.max(0, capacity - goingCount);
+}
+
+/**
+ * Decide the stored status for an RSVP
+ * Attendees already going or waitlisted keep their place when they answer
+ * "going" again.
+ * @param {string} choice - One of RSVP_CHOICES
+ * @param {Object} state - { capacity, goingCount, currentStatus? }
+ * @returns {string} RsvpStatus value
+ */
+export function resolveRsvpStatus(choice, { capacity, goingCount, currentStatus = null }) {
+  if (choice !== 'GOING') {
+    return choice;
+  }
+  if (currentStatus === 'GOING' || currentStatus === 'WAITLISTED') {
+    return currentStatus;
+  }
+  return openSeats(capacity, goingCount) > 0 ? 'GOING' : 'WAITLISTED';
+}
+
+/**
+ * Count RSVPs by status
+ * @param {Object[]} groups - Rows from groupBy({ by: ['status'], _count: true })
+ * @returns {Object} { GOING, WAITLISTED, INTERESTED, NOT_GOING }
+ */
+export function countRsvps(groups) {
+  const counts = { GOING: 0, WAITLISTED: 0, INTERESTED: 0, NOT_GOING: 0 };
+  for (const group of groups) {
+    counts[group.status] = group._count;
+  }
+  return counts;
+}
+
+/**
+ * Quote a CSV field, neutralising spreadsheet formulas
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the organizer's attendee export
+ * @param {Object[]} rsvps - RSVPs with user ({ username, firstName, lastName }), status, updatedAt
+ * @returns {string} CSV with a header row
+ */
+export function attendeesToCsv(rsvps) {
+  const rows = [['status', 'username', 'firstName', 'lastName', 'respondedAt']];
+  for (const rsvp of rsvps) {
+    rows.push([
+      rsvp.status,
+      rsvp.user.username,
+      rsvp.user.firstName,
+      rsvp.user.lastName,
+      new Date(rsvp.updatedAt).toISOString(),
+    ]);
+  }
+  return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Shape an event for a viewer
+ * @param {Object} event - Event loaded with `_count.rsvps` (going only) and the viewer's `rsvps`
+ * @returns {Object} Event with goingCount, spotsLeft (null when unlimited) and myRsvp
+ */
+export function presentEvent(event) {
+  const { _count, rsvps, ...rest } = event;
+  const goingCount = _count?.rsvps ?? 0;
+  const seats = openSeats(event.capacity, goingCount);
+
+  return {
+    ...rest,
+    goingCount,
+    spotsLeft: Number.isFinite(seats) ? seats : null,
+    myRsvp: rsvps?.[0]?.status ?? null,
+  };
+}
+
+/**
+ * Prisma `where` clause for events the viewer may see
+ * Events in a private group are only visible to its members (and the organizer).
+ * @param {Object} context - Viewer context { userId, groupIds: Set }
+ * @returns {Object} Prisma where clause
+ */
+export function visibleEventsWhere(context) {
+  return {
+    OR: [
+      { organizerId: context.userId },
+      { groupId: null },
+      { group: { isPrivate: false } },
+      { groupId: { in: [...context.groupIds] } },
+    ],
+  };
+}
+
+/**
+ * Check whether the viewer may see a single event
+ * @param {Object} event - Event with organizerId, groupId and group.isPrivate
+ * @param {Object} context - Viewer context { userId, groupIds: Set }
+ * @returns {boolean}
+ */
+export function canViewEvent(event, context) {
+  return (
+    event.organizerId === context.userId ||
+    !event.group?.isPrivate ||
+    context.groupIds.has(event.groupId)
+  );
+}
@@ -0,0 +1,223 @@
+/**
+ * Events Utility
+ *
+ * RSVP storage, waitlist promotion, attendee notifications and the reminder
+ * job for Hub events.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ATTENDING_STATUSES, openSeats, parseReminderMinutes, resolveRsvpStatus } from './rules.js';
+import { emitNotification } from '../../websocket/index.js';
+
+const prisma = new PrismaClient();
+
+// How often the reminder job looks for events starting soon
+const REMINDER_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Notification link for an event
+ */
+export function eventLink(event) {
+  return `/hub/events/${event.id}`;
+}
+
+/**
+ * Notify users about an event
+ * @param {Object|null} io - Socket.IO server for live delivery
+ * @param {string[]} userIds - Recipients
+ * @param {Object} notice - { message, link }
+ */
+export async function notifyEventUsers(io, userIds, { message, link }) {
+  await Promise.all(
+    userIds.map(async (userId) => {
+      const notification = await prisma.notification.create({
+        data: {
+          type: 'EVENT',
+          message,
+          link,
+          userId,
+        },
+      });
+
+      if (io) {
+        emitNotification(io, userId, notification);
+      }
+    })
+  );
+}
+
+/**
+ * IDs of users attending (going, waitlisted or interested) an event
+ * @param {string} eventId - Event ID
+ * @param {string} [excludeUserId] - User to leave out (usually the organizer)
+ * @returns {Promise<string[]>}
+ */
+export async function findAttendeeIds(eventId, excludeUserId) {
+  const rsvps = await prisma.eventRsvp.findMany({
+    where: {
+      eventId,
+      status: { in: ATTENDING_STATUSES },
+      ...(excludeUserId && { userId: { not: excludeUserId } }),
+    },
+    select: { userId: true },
+  });
+  return rsvps.map((rsvp) => rsvp.userId);
+}
+
+/**
+ * Lock an event's row until the transaction ends
+ * Placing an RSVP counts the free places before filling one, so concurrent
+ * RSVPs have to take turns or the last place can be handed out twice.
+ * @param {Object} tx - Transaction client
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} { id, title, capacity } or null if the event doesn't exist
+ */
+async function lockEvent(tx, eventId) {
+  const [event] = await tx.$queryRaw`
+    SELECT id, title, capacity FROM "Event" WHERE id = ${eventId} FOR UPDATE
+  `;
+  return event || null;
+}
+
+/**
+ * Move waitlisted attendees into free places, longest waiting first
+ * @param {Object} event - Event ({ id, capacity })
+ * @param {Object} tx - Transaction client
+ * @returns {Promise<string[]>} IDs of promoted users
+ */
+export async function promoteWaitlist(event, tx) {
+  await lockEvent(tx, event.id);
+
+  const goingCount = await tx.eventRsvp.count({ where: { eventId: event.id, status: 'GOING' } });
+  const seats = openSeats(event.capacity, goingCount);
+  if (seats === 0) {
+    return [];
+  }
+
+  const waitlisted = await tx.eventRsvp.findMany({
+    where: { eventId: event.id, status: 'WAITLISTED' },
+    orderBy: [{ waitlistedAt: 'asc' }, { id: 'asc' }],
+    ...(Number.isFinite(seats) && { take: seats }),
+    select: { id: true, userId: true },
+  });
+  if (waitlisted.length === 0) {
+    return [];
+  }
+
+  await tx.eventRsvp.updateMany({
+    where: { id: { in: waitlisted.map((rsvp) => rsvp.id) } },
+    data: { status: 'GOING', waitlistedAt: null },
+  });
+
+  return waitlisted.map((rsvp) => rsvp.userId);
+}
+
+/**
+ * Record a user's RSVP, waitlisting them if the event is full
+ * @param {Object} options - RSVP options
+ * @param {string} options.eventId - Event ID
+ * @param {string} options.userId - Responding user
+ * @param {string} options.choice - One of RSVP_CHOICES
+ * @returns {Promise<Object|null>} { event, rsvp, promoted } or null if the event doesn't exist
+ */
+export async function setRsvp({ eventId, userId, choice }) {
+  return prisma.$transaction(async (tx) => {
+    const event = await lockEvent(tx, eventId);
+    if (!event) {
+      return null;
+    }
+
+    const [current, goingCount] = await Promise.all([
+      tx.eventRsvp.findUnique({ where: { eventId_userId: { eventId, userId } } }),
+      tx.eventRsvp.count({ where: { eventId, status: 'GOING' } }),
+    ]);
+
+    const status = resolveRsvpStatus(choice, {
+      capacity: event.capacity,
+      goingCount,
+      currentStatus: current?.status,
+    });
+
+    const data = { status, waitlistedAt: status === 'WAITLISTED' ? new Date() : null };
+    const rsvp =
+      current?.status === status
+        ? current
+        : await tx.eventRsvp.upsert({
+            where: { eventId_userId: { eventId, userId } },
+            create: { eventId, userId, ...data },
+            update: data,
+          });
+
+    // A freed place goes to the next person on the waitlist
+    const promoted =
+      current?.status === 'GOING' && status !== 'GOING' ? await promoteWaitlist(event, tx) : [];
+
+    return { event, rsvp, promoted };
+  });
+}
+
+/**
+ * Send reminders for events starting within the lead time
+ * Each RSVP is reminded once; moving an event clears remindedAt.
+ * @param {Object} options - Job options
+ * @param {Object|null} [options.io] - Socket.IO server for live delivery
+ * @param {number} options.leadMinutes - Minutes before startDate
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<number>} Reminders sent
+ */
+export async function sendDueEventReminders({ io = null, leadMinutes, now = new Date() }) {
+  const rsvps = await prisma.eventRsvp.findMany({
+    where: {
+      status: { in: ['GOING', 'INTERESTED'] },
+      remindedAt: null,
+      event: {
+        startDate: { gt: now, lte: new Date(now.getTime() + leadMinutes * 60 * 1000) },
+      },
+    },
+    select: {
+      id: true,
+      userId: true,
+      event: { select: { id: true, title: true, startDate: true } },
+    },
+    take: 500,
+  });
+  if (rsvps.length === 0) {
+    return 0;
+  }
+
+  // Mark first so a slow notification pass can't send duplicates next tick
+  await prisma.eventRsvp.updateMany({
+    where: { id: { in: rsvps.map((rsvp) => rsvp.id) } },
+    data: { remindedAt: now },
+  });
+
+  await Promise.all(
+    rsvps.map((rsvp) => {
+      const minutes = Math.max(1, Math.round((rsvp.event.startDate - now) / 60000));
+      return notifyEventUsers(io, [rsvp.userId], {
+        message: `Reminder: "${rsvp.event.title}" starts in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+        link: eventLink(rsvp.event),
+      });
+    })
+  );
+
+  return rsvps.length;
+}
+
+/**
+ * Start the periodic reminder job (EVENT_REMINDER_MINUTES, default 60)
+ * @param {Object} io - Socket.IO server
+ * @returns {Object} Interval handle
+ */
+export function startEventReminders(io) {
+  const leadMinutes = parseReminderMinutes(process.env.EVENT_REMINDER_MINUTES);
+
+  const timer = setInterval(() => {
+    sendDueEventReminders({ io, leadMinutes }).catch((error) => {
+      console.error('Event reminder error:', error);
+    });
+  }, REMINDER_INTERVAL_MS);
+  timer.unref();
+
+  return timer;
+}
@@ -0,0 +1,171 @@
+/**
+ * Feed Ranking Utility
+ *
+ * Scores Hub posts for a personalized feed using:
+ * - Author affinity (accepted connections, shared group membership)
+ * - Recency decay (exponential, configurable half-life)
+ * - Engagement velocity (reactions and comments per hour since posting)
+ */
+
+/**
+ * Supported feed modes
+ * - ranked: personalized score (default)
+ * - latest: reverse-chronological, everyone
+ * - top: highest engagement velocity in the recent window
+ * - following: reverse-chronological, connections and groups only
+ */
+export const FEED_MODES = ['ranked', 'latest', 'top', 'following'];
+
+// Ranking configuration
+export const FEED_WEIGHTS = {
+  CONNECTION: 3, // Post author is an accepted connection
+  SHARED_GROUP: 2, // Post was made in a group the viewer belongs to
+  OWN_POST: 0.5, // Viewer's own posts stay visible but don't dominate
+  COMMENT: 2, // A comment counts as two reactions for velocity
+  VELOCITY: 1.5, // Weight of the log-scaled velocity term
+};
+
+const RECENCY_HALF_LIFE_HOURS = 24;
+export const CANDIDATE_WINDOW_DAYS = 14; // Only recent posts are ranked
+export const CANDIDATE_POOL_SIZE = 500; // Upper bound on posts scored per request
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fields loaded for each candidate: just what scoring reads. Only the page
+// shown is loaded with its full relations.
+export const CANDIDATE_SELECT = {
+  id: true,
+  createdAt: true,
+  authorId: true,
+  groupId: true,
+  _count: { select: { comments: true, reactions: true } },
+};
+
+/**
+ * Exponential recency decay
+ * @param {number} ageHours - Post age in hours
+ * @returns {number} Value in (0, 1], halving every RECENCY_HALF_LIFE_HOURS
+ */
+export function recencyDecay(ageHours) {
+  return Math.pow(0.5, Math.max(ageHours, 0) / RECENCY_HALF_LIFE_HOURS);
+}
+
+/**
+ * Engagement velocity - weighted interactions per hour since posting
+ * @param {Object} counts - { reactions, comments }
+ * @param {number} ageHours - Post age in hours
+ * @returns {number} Interactions per hour
+ */
+export function engagementVelocity(counts, ageHours) {
+  const interactions = (counts.reactions || 0) + (counts.comments || 0) * FEED_WEIGHTS.COMMENT;
+  // Floor the age at one hour so brand-new posts don't get infinite velocity
+  return interactions / Math.max(ageHours, 1);
+}
+
+/**
+ * Author/group affinity between the viewer and a post
+ * @param {Object} post - Post with authorId and groupId
+ * @param {Object} context - Viewer context { userId, connectionIds: Set, groupIds: Set }
+ * @returns {number} Affinity bonus (0 for strangers)
+ */
+export function authorAffinity(post, context) {
+  let affinity = 0;
+
+  if (post.authorId === context.userId) {
+    affinity += FEED_WEIGHTS.OWN_POST;
+  } else if (context.connectionIds.has(post.authorId)) {
+    affinity += FEED_WEIGHTS.CONNECTION;
+  }
+
+  if (post.groupId && context.groupIds.has(post.groupId)) {
+    affinity += FEED_WEIGHTS.SHARED_GROUP;
+  }
+
+  return affinity;
+}
+
+/**
+ * Score a single post for the viewer
+ * @param {Object} post - Post including createdAt, authorId, groupId and _count
+ * @param {Object} context - Viewer context { userId, connectionIds: Set, groupIds: Set }
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {number} Feed score, higher ranks first
+ */
+export function scorePost(post, context, now = new Date()) {
+  const ageHours = (now.getTime() - new Date(post.createdAt).getTime()) / HOUR_MS;
+  const velocity = engagementVelocity(post._count || {}, ageHours);
+
+  return (
+    recencyDecay(ageHours) * (1 + authorAffinity(post, context)) +
+    FEED_WEIGHTS.VELOCITY * Math.log1p(velocity)
+  );
+}
+
+/**
+ * Score used by the `top` mode - engagement only, no personalization
+ */
+export function scoreTopPost(post, now = new Date()) {
+  const ageHours = (now.getTime() - new Date(post.createdAt).getTime()) / HOUR_MS;
+  return engagementVelocity(post._count || {}, ageHours);
+}
+
+/**
+ * Sort posts by descending score, breaking ties by recency
+ * @param {Array} posts - Posts to rank (not mutated)
+ * @param {Function} scoreFn - post => number
+ * @returns {Array} New array, highest score first
+ */
+export function rankPosts(posts, scoreFn) {
+  return posts
+    .map((post) => ({ post, score: scoreFn(post) }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        new Date(b.post.createdAt).getTime() - new Date(a.post.createdAt).getTime()
+    )
+    .map(({ post }) => post);
+}
+
+/**
+ * IDs of one page of ranked candidates
+ * @param {Array} ranked - Candidates in ranked order
+ * @param {number} offset - Position of the page's first post
+ * @param {number} limit - Page size
+ * @returns {string[]} Post IDs to load in full
+ */
+export function rankedPageIds(ranked, offset, limit) {
+  return ranked.slice(offset, offset + limit).map((post) => post.id);
+}
+
+/**
+ * Put loaded posts back in ranked order
+ * Posts deleted since ranking are skipped.
+ * @param {string[]} ids - Post IDs in ranked order
+ * @param {Array} posts - Loaded posts, in any order
+ * @returns {Array} Posts in the order of `ids`
+ */
+export function inRankedOrder(ids, posts) {
+  const postsById = new Map(posts.map((post) => [post.id, post]));
+  return ids.filter((id) => postsById.has(id)).map((id) => postsById.get(id));
+}
+
+/**
+ * Prisma `where` clause for the `following` mode
+ * @param {Object} context - Viewer context { userId, connectionIds: Set, groupIds: Set }
+ */
+export function followingWhere(context) {
+  return {
+    OR: [
+      { authorId: context.userId },
+      { authorId: { in: [...context.connectionIds] } },
+      { groupId: { in: [...context.groupIds] } },
+    ],
+  };
+}
+
+/**
+ * Start of the candidate window for ranked and top modes
+ */
+export function candidateWindowStart(now = new Date()) {
+  return new Date(now.getTime() - CANDIDATE_WINDOW_DAYS * 24 * HOUR_MS);
+}
@@ -0,0 +1,62 @@
+/**
+ * Group Membership Utility
+ *
+ * Membership rules for Hub groups: which role changes are allowed and when
+ * an invite link can still be used. Public groups can be joined directly;
+ * private groups need an approved request or an invite. What each group role
+ * may do is defined in middleware/rbac.js.
+ */
+
+export const GROUP_ROLES = ['ADMIN', 'MODERATOR', 'MEMBER'];
+
+export const DEFAULT_INVITE_HOURS = 7 * 24;
+export const MAX_INVITE_HOURS = 30 * 24;
+export const MAX_INVITE_USES = 500;
+
+/**
+ * Check a role change
+ * Only admins change roles, and a group always keeps at least one admin.
+ * @param {Object} change - { actorRole, targetRole, newRole, adminCount }
+ * @returns {string|null} Error message, or null if allowed
+ */
+export function roleChangeError({ actorRole, targetRole, newRole, adminCount }) {
+  if (!GROUP_ROLES.includes(newRole)) {
+    return `Role must be one of: ${GROUP_ROLES.join(', ')}`;
+  }
+  if (actorRole !== 'ADMIN') {
+    return 'Only group admins can change roles';
+  }
+  if (targetRole === 'ADMIN' && newRole !== 'ADMIN' && adminCount <= 1) {
+    return 'A group needs at least one admin. Promote another member first.';
+  }
+  return null;
+}
+
+/**
+ * Expiry time for a new invite
+ * @param {number} [hours] - Hours the invite stays valid (default one week)
+ * @param {Date} [now] - Reference time
+ * @returns {Date}
+ */
+export function inviteExpiresAt(hours = DEFAULT_INVITE_HOURS, now = new Date()) {
+  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+}
+
+/**
+ * Why an invite can't be used right now
+ * @param {Object} invite - GroupInvite
+ * @param {Object} options - { userId, now? }
+ * @returns {string|null} Error message, or null if the invite is usable
+ */
+export function inviteError(invite, { userId, now = new Date() }) {
+  if (invite.expiresAt && new Date(invite.expiresAt) <= now) {
+    return 'This invite has expired';
+  }
+  if (invite.maxUses !== null && invite.maxUses !== undefined && invite.uses >= invite.maxUses) {
+    return 'This invite has been used up';
+  }
+  if (invite.inviteeId && invite.inviteeId !== userId) {
+    return 'This invite is for someone else';
+  }
+  return null;
+}
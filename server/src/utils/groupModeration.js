@@ -0,0 +1,86 @@
+/**
+ * Group Moderation Utility
+ *
+ * Posting rules and mutes for Hub groups. A group's posting policy limits who
+ * may post there (for example admins-only announcement groups), and muted
+ * users can't post or comment until their mute runs out. Mutes are stored
+ * apart from membership, so leaving the group doesn't lift them.
+ */
+
+export const POSTING_POLICIES = ['EVERYONE', 'MODERATORS', 'ADMINS'];
+
+// Roles allowed to post under each restricted policy
+const POLICY_ROLES = {
+  MODERATORS: ['MODERATOR', 'ADMIN'],
+  ADMINS: ['ADMIN'],
+};
+
+export const MAX_MUTE_HOURS = 30 * 24;
+export const MAX_PINNED_POSTS = 3;
+
+// Removed content is quoted in the moderation log up to this length
+const LOG_EXCERPT_LENGTH = 120;
+
+/**
+ * When a new mute ends
+ * @param {number} hours - Mute duration in hours
+ * @param {Date} [now] - Reference time
+ * @returns {Date}
+ */
+export function muteEndsAt(hours, now = new Date()) {
+  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+}
+
+/**
+ * Whether a mute is in effect
+ * @param {Object|null} mute - GroupMute with mutedUntil (null if never muted)
+ * @param {Date} [now] - Reference time
+ */
+export function isMuted(mute, now = new Date()) {
+  return Boolean(mute?.mutedUntil && new Date(mute.mutedUntil) > now);
+}
+
+/**
+ * Why a user can't comment in a group right now
+ * @param {Object|null} mute - User's GroupMute, member or not
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} Error message, or null if allowed
+ */
+export function commentingError(mute, now = new Date()) {
+  if (isMuted(mute, now)) {
+    return `You are muted in this group until ${new Date(mute.mutedUntil).toISOString()}`;
+  }
+  return null;
+}
+
+/**
+ * Why a user can't post in a group right now
+ * @param {string} policy - Group's posting policy
+ * @param {Object|null} membership - Author's GroupMember (null if not a member)
+ * @param {Object|null} mute - Author's GroupMute, member or not
+ * @param {Date} [now] - Reference time
+ * @returns {string|null} Error message, or null if allowed
+ */
+export function postingError(policy, membership, mute, now = new Date()) {
+  const muted = commentingError(mute, now);
+  if (muted) {
+    return muted;
+  }
+  const allowed = POLICY_ROLES[policy];
+  if (allowed && !allowed.includes(membership?.role)) {
+    return policy === 'ADMINS'
+      ? 'Only group admins can post here'
+      : 'Only group admins and moderators can post here';
+  }
+  return null;
+}
+
+/**
+ * Short quote of removed content for the moderation log
+ * @param {string} text - Post or comment content
+ * @returns {string}
+ */
+export function logExcerpt(text) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > LOG_EXCERPT_LENGTH ? `${flat.slice(0, LOG_EXCERPT_LENGTH - 1)}…` : flat;
+}
@@ -0,0 +1,138 @@
+/**
+ * Groups Utility
+ *
+ * Membership lookups, joins, notifications and the moderation log for Hub
+ * groups. Group role permissions live in middleware/rbac.js.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { emitNotification } from '../websocket/index.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Notification link for a group
+ */
+export function groupLink(groupId) {
+  return `/hub/groups/${groupId}`;
+}
+
+/**
+ * Shareable URL for an invite code
+ */
+export function inviteUrl(code) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3005'}/hub/groups/invite/${code}`;
+}
+
+/**
+ * A user's membership in a group
+ * @returns {Promise<Object|null>} GroupMember or null
+ */
+export function findMembership(groupId, userId) {
+  return prisma.groupMember.findUnique({
+    where: { groupId_userId: { groupId, userId } },
+  });
+}
+
+/**
+ * A user's mute in a group, whether or not they're still a member
+ * @returns {Promise<Object|null>} GroupMute or null
+ */
+export function findGroupMute(groupId, userId) {
+  return prisma.groupMute.findUnique({
+    where: { groupId_userId: { groupId, userId } },
+  });
+}
+
+/**
+ * A user's ban from a group
+ * @returns {Promise<Object|null>} GroupBan or null
+ */
+export function findGroupBan(groupId, userId) {
+  return prisma.groupBan.findUnique({
+    where: { groupId_userId: { groupId, userId } },
+  });
+}
+
+/**
+ * Give group members the end of their mute, if they're muted
+ * @param {string} groupId - Group ID
+ * @param {Object[]} members - GroupMember rows
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object[]>} Members with mutedUntil (null if not muted)
+ */
+export async function withMutes(groupId, members, now = new Date()) {
+  const mutes = await prisma.groupMute.findMany({
+    where: {
+      groupId,
+      userId: { in: members.map((member) => member.userId) },
+      mutedUntil: { gt: now },
+    },
+    select: { userId: true, mutedUntil: true },
+  });
+  const mutedUntil = new Map(mutes.map((mute) => [mute.userId, mute.mutedUntil]));
+  return members.map((member) => ({
+    ...member,
+    mutedUntil: mutedUntil.get(member.userId) ?? null,
+  }));
+}
+
+/**
+ * IDs of a group's admins and moderators
+ * @param {string} groupId - Group ID
+ * @returns {Promise<string[]>}
+ */
+export async function findGroupManagerIds(groupId) {
+  const managers = await prisma.groupMember.findMany({
+    where: { groupId, role: { in: ['ADMIN', 'MODERATOR'] } },
+    select: { userId: true },
+  });
+  return managers.map((m) => m.userId);
+}
+
+/**
+ * Add a user to a group, clearing any pending join request
+ * @param {string} groupId - Group ID
+ * @param {string} userId - New member
+ * @param {Object} [tx] - Transaction client
+ * @returns {Promise<Object>} GroupMember
+ */
+export async function addGroupMember(groupId, userId, tx = prisma) {
+  await tx.groupJoinRequest.deleteMany({ where: { groupId, userId } });
+  return tx.groupMember.create({ data: { groupId, userId } });
+}
+
+/**
+ * Send group notifications
+ * @param {Object|null} io - Socket.IO server for live delivery
+ * @param {string[]} userIds - Recipients
+ * @param {Object} notice - { message, link, type? } (type defaults to GROUP)
+ */
+export async function notifyGroupUsers(io, userIds, { message, link, type = 'GROUP' }) {
+  await Promise.all(
+    userIds.map(async (userId) => {
+      const notification = await prisma.notification.create({
+        data: {
+          type,
+          message,
+          link,
+          userId,
+        },
+      });
+
+      if (io) {
+        emitNotification(io, userId, notification);
+      }
+    })
+  );
+}
+
+/**
+ * Add an entry to a group's moderation log
+ * @param {Object} entry - { groupId, actorId, action, targetUserId?, subjectId?, details? }
+ * @param {Object} [tx] - Transaction client
+ * @returns {Promise<Object>} GroupModerationLog
+ */
+export function recordGroupAction(entry, tx = prisma) {
+  return tx.groupModerationLog.create({ data: entry });
+}
@@ -0,0 +1,275 @@
+/**
+ * iCalendar Utility
+ *
+ * Builds RFC 5545 calendars for personal feeds and single-event downloads:
+ * Hub events, study group meetings and course deadlines. Groups with a
+ * structured schedule get one entry per session; older groups only have free
+ * text ("Wednesdays 6 PM"), so their meetings are emitted as weekly
+ * floating-time events that calendar apps show in the viewer's local zone.
+ */
+
+const CRLF = '\r\n';
+const PRODID = '-//Maestroverse//Calendar//EN';
+const DEFAULT_MEETING_MINUTES = 60;
+
+const DAY_CODES = {
+  sun: 'SU',
+  mon: 'MO',
+  tue: 'TU',
+  wed: 'WE',
+  thu: 'TH',
+  fri: 'FR',
+  sat: 'SA',
+};
+const DAY_ORDER = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Escape a TEXT property value
+ */
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ */
+export function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const length = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    if (size + length > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+}
+
+/**
+ * Format a Date as a UTC DATE-TIME (20251112T180000Z)
+ */
+export function formatUtc(date) {
+  return new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a DATE-TIME value: Dates become UTC, { local } values stay floating
+ */
+function formatDateValue(value) {
+  return value instanceof Date ? formatUtc(value) : value.local;
+}
+
+/**
+ * Serialize calendar entries
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @param {Object[]} options.events - Entries: { uid, summary, start, end?, rrule?,
+ *   description?, location?, url?, status? }. start/end are Dates or { local } floating times.
+ * @param {Date} [options.now] - DTSTAMP (injectable for tests)
+ * @returns {string} text/calendar body
+ */
+export function buildCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${formatUtc(now)}`);
+    lines.push(`DTSTART:${formatDateValue(event.start)}`);
+    if (event.end) lines.push(`DTEND:${formatDateValue(event.end)}`);
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+// "6", "6:30", "6pm", "6:30 p.m."
+const TIME = String.raw`(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?m\.?)?`;
+const RANGE_PATTERN = new RegExp(String.raw`\b${TIME}\s*(?:-|–|to)\s*${TIME}(?![\w:])`, 'i');
+const TIME_PATTERN = new RegExp(String.raw`\b${TIME}(?![\w:])`, 'gi');
+
+/**
+ * Convert an hour, optional minutes and optional a/p to minutes after midnight
+ */
+function toMinutes(hourText, minuteText, meridiem) {
+  let hour = Number(hourText);
+  const minute = minuteText ? Number(minuteText) : 0;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+  return hour * 60 + minute;
+}
+
+/**
+ * Read a weekly schedule from a study group's free-text meeting fields
+ * @param {string|null} meetingTime - e.g. "Mondays 6:00 PM - 8:00 PM"
+ * @param {string[]} [meetingDays] - e.g. ['Monday', 'Wednesday']
+ * @returns {Object|null} { byDay, startMinutes, durationMinutes } or null if no day/time is given
+ */
+export function parseMeetingTime(meetingTime, meetingDays = []) {
+  if (!meetingTime) {
+    return null;
+  }
+
+  const dayWords = meetingDays.length > 0 ? meetingDays : meetingTime.split(/[^a-z]+/i);
+  const byDay = DAY_ORDER.filter((code) =>
+    dayWords.some((word) => DAY_CODES[word.slice(0, 3).toLowerCase()] === code)
+  );
+  if (byDay.length === 0) {
+    return null;
+  }
+
+  // A bare number ("Room 12") is not a time without minutes or am/pm
+  const looksLikeTime = (minutes, meridiem) => Boolean(minutes || meridiem);
+
+  let startMinutes = null;
+  let endMinutes = null;
+  const range = meetingTime.match(RANGE_PATTERN);
+  if (range && (looksLikeTime(range[2], range[3]) || looksLikeTime(range[5], range[6]))) {
+    // "6 - 8 PM" and "6 PM - 8" share the one am/pm given
+    startMinutes = toMinutes(range[1], range[2], range[3] || range[6]);
+    endMinutes = toMinutes(range[4], range[5], range[6] || range[3]);
+  } else {
+    const single = [...meetingTime.matchAll(TIME_PATTERN)].find((m) => looksLikeTime(m[2], m[3]));
+    if (single) {
+      startMinutes = toMinutes(single[1], single[2], single[3]);
+    }
+  }
+
+  if (startMinutes === null) {
+    return null;
+  }
+
+  const durationMinutes =
+    endMinutes !== null && endMinutes > startMinutes
+      ? endMinutes - startMinutes
+      : DEFAULT_MEETING_MINUTES;
+
+  return { byDay, startMinutes, durationMinutes };
+}
+
+/**
+ * Floating local DATE-TIME for a calendar day plus minutes
+ */
+function localDateTime(day, minutes) {
+  const date = new Date(day.getTime() + minutes * 60 * 1000);
+  return { local: formatUtc(date).slice(0, -1) };
+}
+
+/**
+ * Calendar entry for a study group's weekly meeting, read from free text
+ * @param {Object} group - StudyGroup with meetingTime, meetingDays, location, course?
+ * @param {Object} options - { from: Date to start the series, url? }
+ * @returns {Object|null} Entry for buildCalendar, or null without a readable schedule
+ */
+export function studyGroupEntry(group, { from, url }) {
+  const schedule = parseMeetingTime(group.meetingTime, group.meetingDays);
+  if (!schedule) {
+    return null;
+  }
+
+  // First meeting day on or after `from`
+  let day = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  while (!schedule.byDay.includes(DAY_ORDER[day.getUTCDay()])) {
+    day = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  return {
+    uid: `studygroup-${group.id}@maestroverse`,
+    summary: group.course ? `${group.name} (${group.course.code})` : group.name,
+    description: [group.description, `Meets ${group.meetingTime}`].filter(Boolean).join('\n\n'),
+    location: group.location,
+    start: localDateTime(day, schedule.startMinutes),
+    end: localDateTime(day, schedule.startMinutes + schedule.durationMinutes),
+    rrule: `FREQ=WEEKLY;BYDAY=${schedule.byDay.join(',')}`,
+    url,
+  };
+}
+
+/**
+ * Calendar entry for one session of a study group's structured schedule
+ * @param {Object} group - StudyGroup with name, description, location, course?
+ * @param {Object} occurrence - From loadOccurrences ({ id, startsAt, endsAt, status, note })
+ * @param {Object} [options] - { url }
+ * @returns {Object} Entry for buildCalendar
+ */
+export function studyGroupSessionEntry(group, occurrence, { url } = {}) {
+  return {
+    uid: `studygroup-${group.id}-${formatUtc(occurrence.id)}@maestroverse`,
+    summary: group.course ? `${group.name} (${group.course.code})` : group.name,
+    description: [group.description, occurrence.note].filter(Boolean).join('\n\n'),
+    location: group.location,
+    start: new Date(occurrence.startsAt),
+    end: new Date(occurrence.endsAt),
+    status: occurrence.status === 'CANCELLED' ? 'CANCELLED' : 'CONFIRMED',
+    url,
+  };
+}
+
+/**
+ * Calendar entry for a Hub event
+ * @param {Object} event - Event with title, description, location, startDate, endDate?
+ * @param {Object} [options] - { rsvpStatus, url }
+ * @returns {Object} Entry for buildCalendar
+ */
+export function hubEventEntry(event, { rsvpStatus, url } = {}) {
+  return {
+    uid: `event-${event.id}@maestroverse`,
+    summary: rsvpStatus === 'WAITLISTED' ? `[Waitlist] ${event.title}` : event.title,
+    description: event.description,
+    location: event.location,
+    start: new Date(event.startDate),
+    end: event.endDate ? new Date(event.endDate) : null,
+    status: rsvpStatus === 'GOING' || !rsvpStatus ? 'CONFIRMED' : 'TENTATIVE',
+    url,
+  };
+}
+
+/**
+ * Calendar entry for a course deadline
+ * @param {Object} deadline - CourseDeadline with course ({ code })
+ * @param {Object} [options] - { url }
+ * @returns {Object} Entry for buildCalendar
+ */
+export function deadlineEntry(deadline, { url } = {}) {
+  return {
+    uid: `deadline-${deadline.id}@maestroverse`,
+    summary: `${deadline.course.code}: ${deadline.title}`,
+    description: deadline.description,
+    start: new Date(deadline.dueAt),
+    url,
+  };
+}
@@ -0,0 +1,325 @@
+/**
+ * JSON Resume Utility
+ *
+ * Maps CareerLink portfolios to and from the JSON Resume format
+ * (https://jsonresume.org/schema). Imports merge into what's there: profile
+ * fields are overwritten when the import has a value, skills are added,
+ * and entries and projects are matched by their names (see ENTRY_KEYS) —
+ * matches have their other fields updated, the rest are added. Nothing is
+ * deleted. planImport works out the diff so it can be previewed before it's
+ * applied.
+ */
+
+import { dateRangeError } from '../portfolioEntries.js';
+
+export const JSON_RESUME_SCHEMA_URL =
+  'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// Sections an import can add to, with the fields that identify an entry
+export const ENTRY_KEYS = {
+  experience: ['title', 'company'],
+  education: ['institution', 'degree'],
+  certifications: ['name', 'issuer'],
+  awards: ['title'],
+  projects: ['title'],
+};
+
+const PROFILE_FIELDS = ['headline', 'summary', 'website', 'linkedin', 'github'];
+
+// Fields an entry needs to be imported
+const REQUIRED_FIELDS = {
+  experience: ['title', 'company'],
+  education: ['institution'],
+  certifications: ['name', 'issuer'],
+  awards: ['title'],
+  projects: ['title'],
+};
+
+/**
+ * Parse a JSON Resume date (YYYY, YYYY-MM or YYYY-MM-DD)
+ * @param {string} value - Date string
+ * @returns {Date|null} UTC date, or null if missing or unparseable
+ */
+export function parseResumeDate(value) {
+  const match = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/.exec(value?.trim() || '');
+  if (!match) {
+    return null;
+  }
+  const [, year, month = '01', day = '01'] = match;
+  const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Dates are kept to the month, so exports use YYYY-MM
+function formatResumeDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 7) : undefined;
+}
+
+function text(value) {
+  return value?.trim() || null;
+}
+
+function httpUrl(value) {
+  return /^https?:\/\/\S+$/i.test(value?.trim() || '') ? value.trim() : null;
+}
+
+// Summary followed by highlights as a bulleted list
+function describe(summary, highlights = []) {
+  const bullets = highlights.map((item) => item.trim()).filter(Boolean);
+  return text([summary?.trim(), ...bullets.map((item) => `- ${item}`)].filter(Boolean).join('\n'));
+}
+
+function profileUrl(profiles, network) {
+  const profile = profiles.find((p) => p.network?.trim().toLowerCase() === network);
+  return httpUrl(profile?.url);
+}
+
+// Drop empty values so exports only carry what's filled in
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) =>
+        value !== null &&
+        value !== undefined &&
+        value !== '' &&
+        !(Array.isArray(value) && value.length === 0)
+    )
+  );
+}
+
+/**
+ * Map a JSON Resume document to portfolio data
+ * @param {Object} resume - JSON Resume document (already validated for shape)
+ * @returns {Object} { profile, skills, experience, education, certifications, awards, projects }
+ */
+export function fromJsonResume(resume) {
+  const basics = resume.basics || {};
+  const profiles = basics.profiles || [];
+
+  return {
+    profile: {
+      headline: text(basics.label),
+      summary: text(basics.summary),
+      website: httpUrl(basics.url),
+      linkedin: profileUrl(profiles, 'linkedin'),
+      github: profileUrl(profiles, 'github'),
+    },
+    skills: (resume.skills || []).map((skill) => text(skill.name)).filter(Boolean),
+    experience: (resume.work || []).map((work) => ({
+      title: text(work.position),
+      company: text(work.name),
+      location: text(work.location),
+      description: describe(work.summary, work.highlights),
+      startDate: parseResumeDate(work.startDate),
+      endDate: parseResumeDate(work.endDate),
+    })),
+    education: (resume.education || []).map((education) => ({
+      institution: text(education.institution),
+      degree: text(education.studyType),
+      fieldOfStudy: text(education.area),
+      description: text(
+        [
+          education.score && `Score: ${education.score}`,
+          education.courses?.length && `Courses: ${education.courses.join(', ')}`,
+        ]
+          .filter(Boolean)
+          .join('\n')
+      ),
+      startDate: parseResumeDate(education.startDate),
+      endDate: parseResumeDate(education.endDate),
+    })),
+    certifications: (resume.certificates || []).map((certificate) => ({
+      name: text(certificate.name),
+      issuer: text(certificate.issuer),
+      credentialUrl: httpUrl(certificate.url),
+      issuedAt: parseResumeDate(certificate.date),
+    })),
+    awards: (resume.awards || []).map((award) => ({
+      title: text(award.title),
+      issuer: text(award.awarder),
+      description: text(award.summary),
+      awardedAt: parseResumeDate(award.date),
+    })),
+    projects: (resume.projects || []).map((project) => ({
+      title: text(project.name),
+      description: describe(project.description, project.highlights) || '',
+      projectUrl: httpUrl(project.url),
+      technologies: (project.keywords || []).map((keyword) => keyword.trim()).filter(Boolean),
+    })),
+  };
+}
+
+/**
+ * Map a portfolio to a JSON Resume document
+ * @param {Object} data - { user, portfolio, projects }; portfolio with its entries in order
+ * @returns {Object} JSON Resume document
+ */
+export function toJsonResume({ user, portfolio, projects }) {
+  const profiles = [
+    portfolio.linkedin && { network: 'LinkedIn', url: portfolio.linkedin },
+    portfolio.github && { network: 'GitHub', url: portfolio.github },
+  ].filter(Boolean);
+
+  return compact({
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics: compact({
+      name: `${user.firstName} ${user.lastName}`,
+      label: portfolio.headline,
+      email: user.email,
+      url: portfolio.website,
+      summary: portfolio.summary,
+      profiles,
+    }),
+    work: (portfolio.experience || []).map((entry) =>
+      compact({
+        name: entry.company,
+        position: entry.title,
+        location: entry.location,
+        summary: entry.description,
+        startDate: formatResumeDate(entry.startDate),
+        endDate: formatResumeDate(entry.endDate),
+      })
+    ),
+    education: (portfolio.education || []).map((entry) =>
+      compact({
+        institution: entry.institution,
+        studyType: entry.degree,
+        area: entry.fieldOfStudy,
+        startDate: formatResumeDate(entry.startDate),
+        endDate: formatResumeDate(entry.endDate),
+      })
+    ),
+    certificates: (portfolio.certifications || []).map((entry) =>
+      compact({
+        name: entry.name,
+        issuer: entry.issuer,
+        date: formatResumeDate(entry.issuedAt),
+        url: entry.credentialUrl,
+      })
+    ),
+    awards: (portfolio.awards || []).map((entry) =>
+      compact({
+        title: entry.title,
+        awarder: entry.issuer,
+        summary: entry.description,
+        date: formatResumeDate(entry.awardedAt),
+      })
+    ),
+    skills: (user.skills || []).map((name) => ({ name })),
+    projects: projects.map((project) =>
+      compact({
+        name: project.title,
+        description: project.description,
+        url: project.projectUrl,
+        keywords: project.technologies,
+      })
+    ),
+  });
+}
+
+function entryKey(section, entry) {
+  return ENTRY_KEYS[section].map((field) => entry[field]?.trim().toLowerCase() || '').join('|');
+}
+
+function comparable(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return Array.isArray(value) ? JSON.stringify(value) : value;
+}
+
+// Fields the import would change on an existing entry. Empty imported values
+// keep what's there, and the fields it was matched on are left as they are.
+function changedFields(section, current, incoming) {
+  const changes = {};
+  for (const [field, value] of Object.entries(incoming)) {
+    if (ENTRY_KEYS[section].includes(field)) {
+      continue;
+    }
+    const empty = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    if (!empty && comparable(value) !== comparable(current[field] ?? null)) {
+      changes[field] = { from: current[field] ?? null, to: value };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Prisma update data for a planned update
+ * @param {Object} changes - `changes` of an updated entry in planImport's output
+ * @returns {Object} { field: newValue }
+ */
+export function changedValues(changes) {
+  return Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]));
+}
+
+function skipReason(section, entry) {
+  const missing = REQUIRED_FIELDS[section].filter((field) => !entry[field]);
+  if (missing.length > 0) {
+    return `Missing ${missing.join(', ')}`;
+  }
+  return dateRangeError(section, entry);
+}
+
+/**
+ * Work out what importing would change
+ * @param {Object} current - { portfolio (with entries), skills: string[], projects }
+ * @param {Object} incoming - Output of fromJsonResume
+ * @returns {Object} { profile: [{ field, from, to }], skills: { added },
+ *   sections: { [section]: { added: [entry], updated: [{ id, title, changes }],
+ *   unchanged, skipped: [{ entry, reason }] } } }
+ */
+export function planImport(current, incoming) {
+  const profile = PROFILE_FIELDS.filter(
+    (field) => incoming.profile[field] && incoming.profile[field] !== current.portfolio[field]
+  ).map((field) => ({
+    field,
+    from: current.portfolio[field] ?? null,
+    to: incoming.profile[field],
+  }));
+
+  const knownSkills = new Set(current.skills.map((skill) => skill.toLowerCase()));
+  const addedSkills = [];
+  for (const skill of incoming.skills) {
+    if (!knownSkills.has(skill.toLowerCase())) {
+      knownSkills.add(skill.toLowerCase());
+      addedSkills.push(skill);
+    }
+  }
+
+  const sections = {};
+  for (const section of Object.keys(ENTRY_KEYS)) {
+    const existing = section === 'projects' ? current.projects : current.portfolio[section] || [];
+    const byKey = new Map(existing.map((entry) => [entryKey(section, entry), entry]));
+    const plan = { added: [], updated: [], unchanged: 0, skipped: [] };
+
+    for (const entry of incoming[section]) {
+      const reason = skipReason(section, entry);
+      if (reason) {
+        plan.skipped.push({ entry, reason });
+        continue;
+      }
+
+      const key = entryKey(section, entry);
+      const match = byKey.get(key);
+      if (!match) {
+        plan.added.push(entry);
+        // A resume listing the same entry twice only adds it once
+        byKey.set(key, entry);
+      } else if (match.id) {
+        const changes = changedFields(section, match, entry);
+        const rangeError = dateRangeError(section, { ...match, ...changedValues(changes) });
+        if (rangeError) {
+          plan.skipped.push({ entry, reason: rangeError });
+        } else if (Object.keys(changes).length > 0) {
+          plan.updated.push({ id: match.id, title: match[ENTRY_KEYS[section][0]], changes });
+        } else {
+          plan.unchanged += 1;
+        }
+      }
+    }
+    sections[section] = plan;
+  }
+
+  return { profile, skills: { added: addedSkills }, sections };
+}
@@ -0,0 +1,95 @@
+/**
+ * Portfolio Import Utility
+ *
+ * Storage side of JSON Resume imports: loading what an import is compared
+ * against and applying a plan from planImport in one transaction.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import {
+  ENTRY_VISIBILITY,
+  PORTFOLIO_SECTIONS,
+  portfolioEntriesInclude,
+} from '../portfolioEntries.js';
+import { changedValues } from './mapping.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Load a user's portfolio (every entry), skills and projects
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { portfolio (empty object if none), skills, projects }
+ */
+export async function loadImportContext(userId) {
+  const [portfolio, user, projects] = await Promise.all([
+    prisma.portfolio.findUnique({
+      where: { userId },
+      include: portfolioEntriesInclude(ENTRY_VISIBILITY),
+    }),
+    prisma.user.findUnique({ where: { id: userId }, select: { skills: true } }),
+    prisma.project.findMany({
+      where: { authorId: userId },
+      select: { id: true, title: true, description: true, projectUrl: true, technologies: true },
+    }),
+  ]);
+
+  return { portfolio: portfolio || {}, skills: user?.skills || [], projects };
+}
+
+/**
+ * Apply an import plan
+ * Added entries go to the end of their section, visible to everyone;
+ * added projects are public.
+ * @param {string} userId - User ID
+ * @param {Object} context - Output of loadImportContext the plan was made against
+ * @param {Object} plan - Output of planImport
+ * @returns {Promise<void>}
+ */
+export async function applyImportPlan(userId, context, plan) {
+  const profile = Object.fromEntries(plan.profile.map((change) => [change.field, change.to]));
+
+  const entries = {};
+  const updates = [];
+  for (const section of Object.keys(PORTFOLIO_SECTIONS)) {
+    const { added, updated } = plan.sections[section];
+    const last = Math.max(-1, ...(context.portfolio[section] || []).map((e) => e.position));
+    if (added.length > 0) {
+      entries[section] = {
+        create: added.map((entry, index) => ({ ...entry, position: last + 1 + index })),
+      };
+    }
+    for (const { id, changes } of updated) {
+      updates.push(
+        prisma[PORTFOLIO_SECTIONS[section].model].update({
+          where: { id },
+          data: changedValues(changes),
+        })
+      );
+    }
+  }
+
+  const { added: addedProjects, updated: updatedProjects } = plan.sections.projects;
+
+  await prisma.$transaction([
+    prisma.portfolio.upsert({
+      where: { userId },
+      create: { userId, ...profile, ...entries },
+      update: { ...profile, ...entries },
+    }),
+    ...updates,
+    ...addedProjects.map((project) =>
+      prisma.project.create({ data: { ...project, authorId: userId, isPublic: true } })
+    ),
+    ...updatedProjects.map(({ id, changes }) =>
+      prisma.project.update({ where: { id }, data: changedValues(changes) })
+    ),
+    ...(plan.skills.added.length > 0
+      ? [
+          prisma.user.update({
+            where: { id: userId },
+            data: { skills: { push: plan.skills.added } },
+          }),
+        ]
+      : []),
+  ]);
+}
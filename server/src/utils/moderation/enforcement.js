@@ -0,0 +1,80 @@
+/**
+ * Moderation Enforcement
+ *
+ * Makes suspensions and bans take effect at once: loading an account's
+ * status (lifting lapsed suspensions), and locking a moderated user out by
+ * revoking their refresh tokens and sessions and disconnecting their live
+ * sockets.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { accountBlock, isSuspensionLapsed } from './rules.js';
+import { revokeAllUserTokens } from '../tokens.js';
+import { revokeAllUserSessions } from '../session.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Load whether an account may be used, lifting a lapsed suspension
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { code, error, suspendedUntil? }, null if usable,
+ *   or a USER_NOT_FOUND block if the account is gone
+ */
+export async function loadAccountBlock(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { status: true, suspendedUntil: true },
+  });
+
+  if (!user) {
+    return { code: 'USER_NOT_FOUND', error: 'User not found' };
+  }
+
+  if (isSuspensionLapsed(user)) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { status: 'ACTIVE', suspendedUntil: null },
+    });
+    return null;
+  }
+
+  return accountBlock(user);
+}
+
+/**
+ * Disconnect every live socket of a user, telling them why first
+ * @param {Object|null} io - Socket.IO server
+ * @param {string} userId - User ID
+ * @param {Object} block - { code, error, suspendedUntil? } from accountBlock
+ */
+export function disconnectUser(io, userId, block) {
+  if (!io) {
+    return;
+  }
+  const room = `user:${userId}`;
+  io.to(room).emit('account:moderated', block);
+  io.in(room).disconnectSockets(true);
+}
+
+/**
+ * Lock a just-suspended or banned user out everywhere
+ * Access tokens are short-lived and `authenticate` rechecks status on each
+ * request, so revoking refresh tokens and sessions ends every login.
+ * @param {Object|null} io - Socket.IO server
+ * @param {Object} user - { id, status, suspendedUntil } after the update
+ * @returns {Promise<Object>} { tokensRevoked, sessionsRevoked }
+ */
+export async function enforceAccountBlock(io, user) {
+  const block = accountBlock(user);
+  if (!block) {
+    return { tokensRevoked: 0, sessionsRevoked: 0 };
+  }
+
+  const [tokensRevoked, sessionsRevoked] = await Promise.all([
+    revokeAllUserTokens(user.id),
+    revokeAllUserSessions(user.id),
+  ]);
+  disconnectUser(io, user.id, block);
+
+  return { tokensRevoked, sessionsRevoked };
+}
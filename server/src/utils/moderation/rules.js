@@ -0,0 +1,42 @@
+/**
+ * Moderation Utility
+ *
+ * Rules for what a suspended or banned account can do. A ban locks the
+ * account until a moderator restores it; a suspension locks it until
+ * `suspendedUntil`, after which it is lifted the next time the user shows up.
+ * The same rules apply to HTTP requests, token refresh and sockets.
+ */
+
+/**
+ * Whether a suspension has run out and should be lifted
+ * Suspensions without an end date count as lapsed.
+ * @param {Object} user - { status, suspendedUntil }
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function isSuspensionLapsed(user, now = new Date()) {
+  return (
+    user.status === 'SUSPENDED' && (!user.suspendedUntil || new Date(user.suspendedUntil) <= now)
+  );
+}
+
+/**
+ * Why an account is locked out
+ * @param {Object} user - { status, suspendedUntil }
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} { code, error, suspendedUntil? }, or null if the account may be used
+ */
+export function accountBlock(user, now = new Date()) {
+  if (user.status === 'BANNED') {
+    return { code: 'ACCOUNT_BANNED', error: 'This account has been permanently banned.' };
+  }
+  if (user.status === 'SUSPENDED' && !isSuspensionLapsed(user, now)) {
+    const suspendedUntil = new Date(user.suspendedUntil).toISOString();
+    return {
+      code: 'ACCOUNT_SUSPENDED',
+      error: `Account suspended until ${suspendedUntil}`,
+      suspendedUntil,
+    };
+  }
+  return null;
+}
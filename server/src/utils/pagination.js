@@ -0,0 +1,210 @@
+/**
+ * Cursor Pagination Utility
+ *
+ * Keyset pagination over a (sortField, id) pair with opaque cursors.
+ * Unlike page/limit offsets, cursors stay stable while new rows are inserted,
+ * so lists never skip or duplicate items as content streams in.
+ *
+ * Usage:
+ *   const pagination = parsePagination(req.query);
+ *   if (pagination.error) return res.status(400).json({ error: pagination.error });
+ *   const page = await paginate(prisma.post, { where, include, ...pagination });
+ *   res.json({ posts: page.items, nextCursor: page.nextCursor, prevCursor: page.prevCursor });
+ */
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const CURSOR_DIRECTIONS = ['next', 'prev'];
+
+/**
+ * Encode a cursor payload as an opaque URL-safe string
+ * @param {Object} payload - JSON-serializable cursor data
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor string
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object|null} Cursor payload or null if malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a string parses as a date
+ */
+function isDateString(value) {
+  return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Check a decoded cursor has the shape cursorFor() produces
+ * @param {Object} payload - Decoded cursor
+ * @returns {boolean}
+ */
+export function isKeysetCursor({ v, t, id, d }) {
+  if (typeof id !== 'string' || !CURSOR_DIRECTIONS.includes(d)) {
+    return false;
+  }
+  if (t === 'date') {
+    return isDateString(v);
+  }
+  return t === undefined && (typeof v === 'string' || Number.isFinite(v));
+}
+
+/**
+ * Check a decoded cursor pins a ranking time and an offset into it ({ at, o })
+ * Used by lists ranked in memory rather than walked by key.
+ * @param {Object} payload - Decoded cursor
+ * @returns {boolean}
+ */
+export function isOffsetCursor({ at, o }) {
+  return isDateString(at) && Number.isInteger(o) && o >= 0;
+}
+
+/**
+ * Build a keyset cursor pointing at an item
+ * @param {Object} item - Row containing the sort field and id
+ * @param {string} sortField - Field the list is ordered by
+ * @param {string} direction - 'next' (continue past item) or 'prev' (go back before item)
+ * @returns {string} Opaque cursor
+ */
+export function cursorFor(item, sortField, direction) {
+  const value = item[sortField];
+  return encodeCursor({
+    v: value instanceof Date ? value.toISOString() : value,
+    t: value instanceof Date ? 'date' : undefined,
+    id: item.id,
+    d: direction,
+  });
+}
+
+/**
+ * Parse `cursor` and `limit` query parameters
+ * @param {Object} query - Express req.query
+ * @param {Object} options - { defaultLimit, maxLimit, validateCursor }
+ *   validateCursor checks the decoded cursor's shape (default: isKeysetCursor)
+ * @returns {Object} { cursor, limit } or { error } for invalid input
+ */
+export function parsePagination(query, options = {}) {
+  const {
+    defaultLimit = DEFAULT_PAGE_SIZE,
+    maxLimit = MAX_PAGE_SIZE,
+    validateCursor = isKeysetCursor,
+  } = options;
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    limit = Math.min(limit, maxLimit);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || !validateCursor(cursor)) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { cursor, limit };
+}
+
+/**
+ * Build the keyset condition selecting rows beyond a cursor
+ * @param {Object} cursor - Decoded cursor { v, t, id, d }
+ * @param {string} sortField - Field the list is ordered by
+ * @param {string} order - List order, 'asc' or 'desc'
+ * @returns {Object} Prisma where clause
+ */
+export function keysetWhere(cursor, sortField, order) {
+  const value = cursor.t === 'date' ? new Date(cursor.v) : cursor.v;
+  // Walking forward in a desc list means smaller keys; walking back flips it
+  const forward = cursor.d !== 'prev';
+  const op = (order === 'desc') === forward ? 'lt' : 'gt';
+
+  return {
+    OR: [{ [sortField]: { [op]: value } }, { [sortField]: value, id: { [op]: cursor.id } }],
+  };
+}
+
+/**
+ * Fetch one page of rows with cursor pagination
+ * @param {Object} delegate - Prisma model delegate (e.g. prisma.post)
+ * @param {Object} options - Query options
+ * @param {Object} [options.where] - Base filter
+ * @param {Object} [options.include] - Prisma include
+ * @param {Object} [options.select] - Prisma select (must contain id and sortField)
+ * @param {string} [options.sortField='createdAt'] - Field to order by
+ * @param {string} [options.order='desc'] - 'asc' or 'desc'
+ * @param {Object|null} [options.cursor] - Decoded cursor from parsePagination
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<Object>} { items, nextCursor, prevCursor }
+ */
+export async function paginate(delegate, options = {}) {
+  const {
+    where = {},
+    include,
+    select,
+    sortField = 'createdAt',
+    order = 'desc',
+    cursor = null,
+    limit = DEFAULT_PAGE_SIZE,
+  } = options;
+
+  const direction = cursor?.d === 'prev' ? 'prev' : 'next';
+  // Backward pages are fetched in reverse order, then flipped back
+  const queryOrder = direction === 'prev' ? (order === 'desc' ? 'asc' : 'desc') : order;
+
+  const rows = await delegate.findMany({
+    where: cursor ? { AND: [where, keysetWhere(cursor, sortField, order)] } : where,
+    ...(include && { include }),
+    ...(select && { select }),
+    orderBy: [{ [sortField]: queryOrder }, { id: queryOrder }],
+    take: limit + 1, // One extra row tells us whether another page exists
+  });
+
+  return buildPage(rows, { limit, direction, sortField });
+}
+
+/**
+ * Trim an over-fetched result set and compute neighbouring cursors
+ * @param {Array} rows - Rows in query order (limit + 1 max)
+ * @param {Object} options - { limit, direction, sortField }
+ * @returns {Object} { items, nextCursor, prevCursor }
+ */
+export function buildPage(rows, { limit, direction = 'next', sortField = 'createdAt' }) {
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+
+  if (direction === 'prev') {
+    items.reverse();
+  }
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  // The cursor on the side we came from is always returned so clients can
+  // poll for rows inserted since (e.g. new posts above the top of a feed)
+  const moreForward = direction === 'next' ? hasMore : true;
+  const moreBackward = direction === 'prev' ? hasMore : true;
+
+  return {
+    items,
+    nextCursor: last && moreForward ? cursorFor(last, sortField, 'next') : null,
+    prevCursor: first && moreBackward ? cursorFor(first, sortField, 'prev') : null,
+  };
+}
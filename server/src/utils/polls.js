@@ -0,0 +1,90 @@
+/**
+ * Poll Utility
+ *
+ * Vote validation and result tallies for Hub poll posts.
+ * Anonymous polls still record who voted (to stop double voting), but voter
+ * identities are never included in tallies.
+ */
+
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 10;
+
+/**
+ * Whether a poll has stopped accepting votes
+ * @param {Object} poll - Poll with optional closesAt
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {boolean}
+ */
+export function isPollClosed(poll, now = new Date()) {
+  return Boolean(poll.closesAt) && new Date(poll.closesAt).getTime() <= now.getTime();
+}
+
+/**
+ * Check a ballot against the poll rules
+ * @param {Object} poll - Poll with options, multiChoice and closesAt
+ * @param {string[]} optionIds - Selected option IDs
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Object} { valid: boolean, error?: string, optionIds?: string[] }
+ */
+export function validateBallot(poll, optionIds, now = new Date()) {
+  if (isPollClosed(poll, now)) {
+    return { valid: false, error: 'This poll is closed' };
+  }
+
+  const selected = [...new Set(optionIds)];
+  if (selected.length === 0) {
+    return { valid: false, error: 'Select at least one option' };
+  }
+
+  if (!poll.multiChoice && selected.length > 1) {
+    return { valid: false, error: 'This poll only allows one choice' };
+  }
+
+  const known = new Set(poll.options.map((option) => option.id));
+  if (!selected.every((id) => known.has(id))) {
+    return { valid: false, error: 'Unknown poll option' };
+  }
+
+  return { valid: true, optionIds: selected };
+}
+
+/**
+ * Build poll results for a viewer
+ * @param {Object} poll - Poll with options and votes ({ optionId, userId, user? })
+ * @param {string|null} [viewerId] - Viewer's user ID; null for broadcasts
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Object} Poll results safe to send to clients
+ */
+export function tallyPoll(poll, viewerId = null, now = new Date()) {
+  const votes = poll.votes || [];
+  const totalVotes = votes.length;
+  const totalVoters = new Set(votes.map((vote) => vote.userId)).size;
+
+  const options = poll.options.map((option) => {
+    const optionVotes = votes.filter((vote) => vote.optionId === option.id);
+    return {
+      id: option.id,
+      text: option.text,
+      votes: optionVotes.length,
+      // Multi-choice percentages are relative to voters, so they can sum past 100
+      percentage: totalVoters > 0 ? Math.round((optionVotes.length / totalVoters) * 100) : 0,
+      ...(!poll.anonymous && {
+        voters: optionVotes.filter((vote) => vote.user).map((vote) => vote.user),
+      }),
+    };
+  });
+
+  return {
+    id: poll.id,
+    multiChoice: poll.multiChoice,
+    anonymous: poll.anonymous,
+    closesAt: poll.closesAt,
+    isClosed: isPollClosed(poll, now),
+    totalVotes,
+    totalVoters,
+    options,
+    ...(viewerId && {
+      myVotes: votes.filter((vote) => vote.userId === viewerId).map((vote) => vote.optionId),
+    }),
+  };
+}
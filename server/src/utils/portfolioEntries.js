@@ -0,0 +1,90 @@
+/**
+ * Portfolio Entries Utility
+ *
+ * Rules for the typed CareerLink portfolio sections: experience, education,
+ * certifications and awards. Entries are shown in their `position` order and
+ * each carries its own visibility:
+ *   - PUBLIC: everyone who can see the portfolio
+ *   - CONNECTIONS: the owner's accepted connections
+ *   - PRIVATE: the owner only
+ */
+
+export const ENTRY_VISIBILITY = ['PUBLIC', 'CONNECTIONS', 'PRIVATE'];
+
+// URL section name -> Prisma model, plus the date pair that must be in order
+export const PORTFOLIO_SECTIONS = {
+  experience: { model: 'experience', label: 'Experience', dates: ['startDate', 'endDate'] },
+  education: { model: 'education', label: 'Education', dates: ['startDate', 'endDate'] },
+  certifications: {
+    model: 'certification',
+    label: 'Certification',
+    dates: ['issuedAt', 'expiresAt'],
+  },
+  awards: { model: 'award', label: 'Award', dates: null },
+};
+
+export const MAX_ENTRIES_PER_SECTION = 50;
+
+/**
+ * Why an entry's dates are out of order
+ * @param {string} section - Section name
+ * @param {Object} entry - Entry fields (Date, ISO string or null)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function dateRangeError(section, entry) {
+  const dates = PORTFOLIO_SECTIONS[section]?.dates;
+  if (!dates) {
+    return null;
+  }
+
+  const [startField, endField] = dates;
+  const start = entry[startField];
+  const end = entry[endField];
+  if (!start || !end) {
+    return null;
+  }
+  return new Date(end) < new Date(start) ? `${endField} must not be before ${startField}` : null;
+}
+
+/**
+ * Visibility levels a viewer may see on someone's portfolio
+ * @param {Object} viewer - { isOwner, isConnection }
+ * @returns {string[]}
+ */
+export function visibleEntryLevels({ isOwner, isConnection }) {
+  if (isOwner) {
+    return ENTRY_VISIBILITY;
+  }
+  return isConnection ? ['PUBLIC', 'CONNECTIONS'] : ['PUBLIC'];
+}
+
+/**
+ * Prisma include for every portfolio section, in display order
+ * @param {string[]} levels - Visibility levels to include (see visibleEntryLevels)
+ * @returns {Object} Prisma include keyed by section name
+ */
+export function portfolioEntriesInclude(levels) {
+  const query = {
+    where: { visibility: { in: levels } },
+    orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+  };
+  return Object.fromEntries(Object.keys(PORTFOLIO_SECTIONS).map((section) => [section, query]));
+}
+
+/**
+ * Why a reorder request can't be applied
+ * The new order must list every entry in the section exactly once.
+ * @param {string[]} ids - Entry IDs in their new order
+ * @param {string[]} existingIds - IDs of the entries in the section
+ * @returns {string|null} Error message, or null if valid
+ */
+export function reorderError(ids, existingIds) {
+  const unique = new Set(ids);
+  if (unique.size !== ids.length) {
+    return 'Each entry can only appear once';
+  }
+  if (ids.length !== existingIds.length || existingIds.some((id) => !unique.has(id))) {
+    return 'The new order must include every entry in the section';
+  }
+  return null;
+}
@@ -0,0 +1,81 @@
+/**
+ * Post Attachment Utility
+ *
+ * Helpers for Hub post media. Files are stored privately in the `posts`
+ * upload category and only the filename is persisted; every read returns a
+ * freshly signed view URL instead of a permanent link.
+ */
+
+import { validateFile } from '../middleware/fileUpload.js';
+import { generateViewUrl } from './signedUrls.js';
+
+export const POST_ATTACHMENT_CATEGORY = 'posts';
+export const MAX_POST_ATTACHMENTS = 4;
+export const POST_ATTACHMENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+];
+
+/**
+ * Normalize an express-fileupload field to an array
+ * @param {Object|Object[]|undefined} field - req.files[field]
+ * @returns {Object[]} Uploaded files
+ */
+export function toFileList(field) {
+  if (!field) return [];
+  return Array.isArray(field) ? field : [field];
+}
+
+/**
+ * Why a set of uploads can't be attached to a post
+ * @param {Object[]} files - Uploaded files (see toFileList)
+ * @returns {string|null} Error message, or null if every file is acceptable
+ */
+export function attachmentsError(files) {
+  if (files.length > MAX_POST_ATTACHMENTS) {
+    return `A post can have at most ${MAX_POST_ATTACHMENTS} attachments`;
+  }
+  for (const file of files) {
+    const validation = validateFile(file, { allowedTypes: POST_ATTACHMENT_TYPES });
+    if (!validation.valid) {
+      return `${file.name}: ${validation.error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Content of a post from before attachments, with its old media links
+ * appended one per line. The add_post_attachments migration applies the
+ * same rule in SQL, since the links aren't uploaded files.
+ * @param {string} content - Post content
+ * @param {string[]|null} mediaUrls - Legacy Post.mediaUrls
+ * @returns {string}
+ */
+export function legacyMediaContent(content, mediaUrls) {
+  const urls = (mediaUrls || []).filter((url) => url.trim() !== '');
+  return urls.length > 0 ? `${content}\n\n${urls.join('\n')}` : content;
+}
+
+/**
+ * Replace stored attachment filenames with signed URLs
+ * @param {Object} post - Post, optionally including `attachments`
+ * @returns {Object} Post safe to send to clients
+ */
+export function presentPost(post) {
+  if (!post?.attachments) return post;
+
+  return {
+    ...post,
+    attachments: post.attachments.map((attachment) => ({
+      id: attachment.id,
+      url: generateViewUrl(attachment.filename, POST_ATTACHMENT_CATEGORY),
+      originalName: attachment.originalName,
+      mimetype: attachment.mimetype,
+      size: attachment.size,
+    })),
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Post Visibility Utility
+ *
+ * Decides which Hub posts a viewer may read. Two rules stack:
+ * - Group gate: posts in a private group are only readable by its members
+ * - Audience: the post's visibility setting
+ *   - PUBLIC: everyone who passes the group gate
+ *   - CONNECTIONS: the author's accepted connections
+ *   - GROUP: members of the post's group
+ *   - PRIVATE: the author only
+ * Authors can always read their own posts. Posts by users blocked with the
+ * viewer (either way) are hidden everywhere; listings also skip authors the
+ * viewer has muted, though their posts stay readable by link.
+ */
+
+import { hiddenAuthorIds } from './blocks/rules.js';
+
+export const POST_VISIBILITY = ['PUBLIC', 'CONNECTIONS', 'GROUP', 'PRIVATE'];
+
+/**
+ * Prisma `where` clause matching posts the viewer may read
+ * @param {Object} context - Viewer context { userId, connectionIds: Set, groupIds: Set,
+ *   blockedIds?: Set, mutedIds?: Set }
+ * @returns {Object} Prisma where clause
+ */
+export function visiblePostsWhere(context) {
+  const groupIds = [...context.groupIds];
+  const hidden = hiddenAuthorIds(context);
+
+  return {
+    ...(hidden.length > 0 && { authorId: { notIn: hidden } }),
+    OR: [
+      { authorId: context.userId },
+      {
+        AND: [
+          {
+            OR: [{ groupId: null }, { group: { isPrivate: false } }, { groupId: { in: groupIds } }],
+          },
+          {
+            OR: [
+              { visibility: 'PUBLIC' },
+              { visibility: 'CONNECTIONS', authorId: { in: [...context.connectionIds] } },
+              { visibility: 'GROUP', groupId: { in: groupIds } },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Check whether the viewer may read a single post
+ * @param {Object} post - Post with authorId, groupId, visibility and group.isPrivate
+ * @param {Object} context - Viewer context { userId, connectionIds: Set, groupIds: Set,
+ *   blockedIds?: Set }
+ * @returns {boolean}
+ */
+export function canViewPost(post, context) {
+  if (post.authorId === context.userId) {
+    return true;
+  }
+  if (context.blockedIds?.has(post.authorId)) {
+    return false;
+  }
+
+  const isMember = Boolean(post.groupId) && context.groupIds.has(post.groupId);
+  if (post.group?.isPrivate && !isMember) {
+    return false;
+  }
+
+  switch (post.visibility) {
+    case 'PUBLIC':
+      return true;
+    case 'CONNECTIONS':
+      return context.connectionIds.has(post.authorId);
+    case 'GROUP':
+      return isMember;
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Portfolio Sharing Utility
+ *
+ * Rules for public portfolio pages at /p/:slug. A page is open to everyone
+ * once the owner makes it public, or to anyone holding the owner's share
+ * link until it expires. Owners pick which sections the page shows; only
+ * PUBLIC entries and public projects ever appear on it.
+ */
+
+import crypto from 'crypto';
+import { PORTFOLIO_SECTIONS } from '../portfolioEntries.js';
+
+// Sections a public page can show; name, headline and summary are always shown
+export const PUBLIC_SECTIONS = [
+  'contact',
+  'experience',
+  'education',
+  'certifications',
+  'awards',
+  'skills',
+  'projects',
+];
+
+// Contact details (email and links) stay hidden until the owner opts in
+export const DEFAULT_PUBLIC_SECTIONS = PUBLIC_SECTIONS.filter((section) => section !== 'contact');
+
+export const MIN_SLUG_LENGTH = 3;
+export const MAX_SLUG_LENGTH = 40;
+export const MAX_SHARE_LINK_DAYS = 90;
+
+// Reloads by the same visitor within this window count as one view
+export const VIEW_DEDUPE_MINUTES = 30;
+
+// Slugs that read like official pages
+const RESERVED_SLUGS = new Set(['admin', 'api', 'help', 'maestroverse', 'settings', 'support']);
+
+// Fields of an entry that only matter inside the app
+const INTERNAL_ENTRY_FIELDS = ['portfolioId', 'position', 'visibility', 'createdAt', 'updatedAt'];
+
+/**
+ * Why a slug can't be used
+ * @param {string} slug - Requested slug
+ * @returns {string|null} Error message, or null if valid
+ */
+export function slugError(slug) {
+  if (slug.length < MIN_SLUG_LENGTH || slug.length > MAX_SLUG_LENGTH) {
+    return `Slug must be ${MIN_SLUG_LENGTH}-${MAX_SLUG_LENGTH} characters`;
+  }
+  if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+    return 'Slug may only contain lowercase letters, numbers and single hyphens between them';
+  }
+  if (RESERVED_SLUGS.has(slug)) {
+    return 'This slug is reserved';
+  }
+  return null;
+}
+
+/**
+ * Slug to offer a user who hasn't picked one
+ * @param {Object} user - { firstName, lastName, username }
+ * @returns {string} Slug built from their name, or their username if that doesn't work
+ */
+export function suggestSlug(user) {
+  const slugify = (value) =>
+    value
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, MAX_SLUG_LENGTH)
+      .replace(/-+$/, '');
+
+  const fromName = slugify(`${user.firstName || ''} ${user.lastName || ''}`);
+  if (!slugError(fromName)) {
+    return fromName;
+  }
+  return slugify(user.username || '');
+}
+
+/**
+ * How a visitor gets to see a portfolio's public page
+ * @param {Object} portfolio - { publicSlug, isPublic, shareToken, shareTokenExpiresAt }
+ * @param {string} [token] - Share token from the link, if any
+ * @param {Date} [now] - Current time
+ * @returns {'public'|'shareLink'|null} null if the page isn't available to them
+ */
+export function publicAccess(portfolio, token, now = new Date()) {
+  if (!portfolio.publicSlug) {
+    return null;
+  }
+  if (portfolio.isPublic) {
+    return 'public';
+  }
+  if (!token || !portfolio.shareToken || token.length !== portfolio.shareToken.length) {
+    return null;
+  }
+  if (!crypto.timingSafeEqual(Buffer.from(token), Buffer.from(portfolio.shareToken))) {
+    return null;
+  }
+  const expiresAt = portfolio.shareTokenExpiresAt;
+  return !expiresAt || new Date(expiresAt) > now ? 'shareLink' : null;
+}
+
+/**
+ * When a new share link expires
+ * @param {number|null} days - Days it stays valid, or null for no expiry
+ * @param {Date} [now] - Current time
+ * @returns {Date|null}
+ */
+export function shareLinkExpiry(days, now = new Date()) {
+  return days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000) : null;
+}
+
+function publicEntry(entry) {
+  const fields = { ...entry };
+  for (const field of INTERNAL_ENTRY_FIELDS) {
+    delete fields[field];
+  }
+  return fields;
+}
+
+/**
+ * What a public page shows
+ * @param {Object} data - { user, portfolio, projects }; portfolio with its PUBLIC
+ *   entries in order, projects public only
+ * @returns {Object} { slug, name, photoUrl, headline, summary, sections, ...chosen sections }
+ */
+export function publicPortfolioView({ user, portfolio, projects }) {
+  const sections = PUBLIC_SECTIONS.filter((section) => portfolio.publicSections.includes(section));
+  const view = {
+    slug: portfolio.publicSlug,
+    name: `${user.firstName} ${user.lastName}`,
+    photoUrl: user.photoUrl || null,
+    major: user.major || null,
+    headline: portfolio.headline || null,
+    summary: portfolio.summary || null,
+    sections,
+  };
+
+  for (const section of sections) {
+    if (section === 'contact') {
+      view.contact = {
+        email: user.email,
+        website: portfolio.website || null,
+        linkedin: portfolio.linkedin || null,
+        github: portfolio.github || null,
+      };
+    } else if (section === 'skills') {
+      view.skills = user.skills || [];
+    } else if (section === 'projects') {
+      view.projects = projects.map((project) => ({
+        id: project.id,
+        title: project.title,
+        description: project.description,
+        projectUrl: project.projectUrl || null,
+        imageUrl: project.imageUrl || null,
+        technologies: project.technologies || [],
+      }));
+    } else if (PORTFOLIO_SECTIONS[section]) {
+      view[section] = (portfolio[section] || []).map(publicEntry);
+    }
+  }
+
+  return view;
+}
+
+/**
+ * Host a visit came from, for view analytics
+ * @param {string} [referrer] - Referring page URL
+ * @param {string} [ownHost] - Host of the web app; visits from it count as direct
+ * @returns {string|null} Host without "www.", or null for direct or unknown visits
+ */
+export function referrerHost(referrer, ownHost) {
+  let url;
+  try {
+    url = new URL(referrer);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  return host === ownHost?.toLowerCase().replace(/^www\./, '') ? null : host;
+}
+
+/**
+ * Anonymous key for telling repeat visits apart
+ * @param {Object} visitor - { portfolioId, ip, userAgent }
+ * @returns {string} Hash that doesn't reveal the IP address
+ */
+export function visitorKey({ portfolioId, ip, userAgent }) {
+  return crypto
+    .createHash('sha256')
+    .update(`${portfolioId}|${ip || ''}|${userAgent || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+}
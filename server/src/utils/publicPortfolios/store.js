@@ -0,0 +1,166 @@
+/**
+ * Public Portfolio Utility
+ *
+ * Storage side of public portfolio pages: share links, loading what a page
+ * shows, and view analytics.
+ */
+
+import { nanoid } from 'nanoid';
+import { PrismaClient } from '@prisma/client';
+import { portfolioEntriesInclude } from '../portfolioEntries.js';
+import { VIEW_DEDUPE_MINUTES, shareLinkExpiry } from './rules.js';
+
+const prisma = new PrismaClient();
+
+// Referring sites listed in view analytics
+const TOP_REFERRERS = 10;
+
+/**
+ * Web app URL of a public portfolio page
+ * @param {string} slug - Portfolio slug
+ * @param {string} [token] - Share token, for a share link
+ * @returns {string}
+ */
+export function publicPortfolioUrl(slug, token) {
+  const url = `${process.env.FRONTEND_URL || 'http://localhost:3005'}/p/${slug}`;
+  return token ? `${url}?token=${token}` : url;
+}
+
+/**
+ * Sharing settings shown to a portfolio's owner
+ * @param {Object} portfolio - Portfolio (or null if the user has none yet)
+ * @param {Date} [now] - Current time
+ * @returns {Object} { slug, isPublic, sections, url, shareLink: { url, expiresAt, expired } | null }
+ */
+export function sharingDetails(portfolio, now = new Date()) {
+  const slug = portfolio?.publicSlug || null;
+  const expiresAt = portfolio?.shareTokenExpiresAt || null;
+
+  return {
+    slug,
+    isPublic: portfolio?.isPublic || false,
+    sections: portfolio?.publicSections || [],
+    url: slug ? publicPortfolioUrl(slug) : null,
+    shareLink:
+      slug && portfolio.shareToken
+        ? {
+            url: publicPortfolioUrl(slug, portfolio.shareToken),
+            expiresAt,
+            expired: Boolean(expiresAt && new Date(expiresAt) <= now),
+          }
+        : null,
+  };
+}
+
+/**
+ * Replace a portfolio's share link (the old one stops working)
+ * @param {string} userId - Owner's user ID
+ * @param {number|null} days - Days the link stays valid, or null for no expiry
+ * @returns {Promise<Object>} Updated portfolio
+ */
+export async function createShareLink(userId, days) {
+  return prisma.portfolio.update({
+    where: { userId },
+    data: { shareToken: nanoid(32), shareTokenExpiresAt: shareLinkExpiry(days) },
+  });
+}
+
+/**
+ * Load a portfolio by slug with what its public page can show
+ * Only PUBLIC entries and public projects are loaded.
+ * @param {string} slug - Portfolio slug
+ * @returns {Promise<Object|null>} Portfolio with `user` (and `user.projects`)
+ */
+export async function loadPublicPortfolio(slug) {
+  return prisma.portfolio.findUnique({
+    where: { publicSlug: slug },
+    include: {
+      ...portfolioEntriesInclude(['PUBLIC']),
+      user: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          email: true,
+          photoUrl: true,
+          major: true,
+          skills: true,
+          status: true,
+          suspendedUntil: true,
+          projects: {
+            where: { isPublic: true },
+            orderBy: { createdAt: 'desc' },
+            select: {
+              id: true,
+              title: true,
+              description: true,
+              imageUrl: true,
+              projectUrl: true,
+              technologies: true,
+            },
+          },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Record a visit to a public page, unless the same visitor was just there
+ * @param {string} portfolioId - Portfolio ID
+ * @param {Object} view - { referrer (host or null), viaShareLink, visitorKey }
+ * @param {Date} [now] - Current time
+ * @returns {Promise<boolean>} Whether the view was recorded
+ */
+export async function recordPortfolioView(portfolioId, view, now = new Date()) {
+  const recent = await prisma.portfolioView.findFirst({
+    where: {
+      portfolioId,
+      visitorKey: view.visitorKey,
+      createdAt: { gte: new Date(now.getTime() - VIEW_DEDUPE_MINUTES * 60 * 1000) },
+    },
+    select: { id: true },
+  });
+  if (recent) {
+    return false;
+  }
+
+  await prisma.portfolioView.create({ data: { portfolioId, ...view } });
+  return true;
+}
+
+/**
+ * View analytics for a portfolio's public page
+ * @param {string} portfolioId - Portfolio ID
+ * @param {number} days - Period the recent counts and referrers cover
+ * @returns {Promise<Object>} { total, days, recent, viaShareLink,
+ *   referrers: [{ host (null for direct visits), views }] }
+ */
+export async function portfolioViewStats(portfolioId, days) {
+  const recentWhere = {
+    portfolioId,
+    createdAt: { gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+  };
+
+  const [total, recent, viaShareLink, referrers] = await Promise.all([
+    prisma.portfolioView.count({ where: { portfolioId } }),
+    prisma.portfolioView.count({ where: recentWhere }),
+    prisma.portfolioView.count({ where: { ...recentWhere, viaShareLink: true } }),
+    prisma.portfolioView.groupBy({
+      by: ['referrer'],
+      where: recentWhere,
+      _count: { _all: true },
+    }),
+  ]);
+
+  return {
+    total,
+    days,
+    recent,
+    viaShareLink,
+    referrers: referrers
+      .map((group) => ({ host: group.referrer, views: group._count._all }))
+      .sort((a, b) => b.views - a.views)
+      .slice(0, TOP_REFERRERS),
+  };
+}
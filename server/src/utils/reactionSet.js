@@ -0,0 +1,99 @@
+/**
+ * Reaction Set Utility
+ *
+ * The emoji reactions users can leave on posts, comments, thread replies and
+ * chat messages, plus the summary returned with every reactable item.
+ *
+ * The set is configurable through REACTION_SET as comma-separated
+ * `type:emoji` pairs (e.g. `like:👍,fire:🔥`). `like` is always kept because
+ * the legacy like endpoint toggles it.
+ */
+
+export const DEFAULT_REACTIONS = {
+  like: '👍',
+  love: '❤️',
+  laugh: '😂',
+  wow: '😮',
+  sad: '😢',
+  celebrate: '🎉',
+};
+
+const REACTION_TYPE_REGEX = /^[a-z][a-z0-9_]{0,29}$/;
+
+/**
+ * Parse a REACTION_SET value
+ * @param {string} [value] - Comma-separated `type:emoji` pairs
+ * @returns {Object} Map of reaction type to emoji, in configured order
+ */
+export function parseReactionSet(value) {
+  if (!value || !value.trim()) {
+    return { ...DEFAULT_REACTIONS };
+  }
+
+  const reactions = {};
+  for (const entry of value.split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator === -1) continue;
+
+    const type = entry.slice(0, separator).trim().toLowerCase();
+    const emoji = entry.slice(separator + 1).trim();
+    if (REACTION_TYPE_REGEX.test(type) && emoji && !reactions[type]) {
+      reactions[type] = emoji;
+    }
+  }
+
+  if (Object.keys(reactions).length === 0) {
+    return { ...DEFAULT_REACTIONS };
+  }
+
+  return reactions.like ? reactions : { like: DEFAULT_REACTIONS.like, ...reactions };
+}
+
+export const REACTIONS = parseReactionSet(process.env.REACTION_SET);
+
+/**
+ * Whether a reaction type is in the configured set
+ * @param {string} type - Reaction type
+ * @param {Object} [reactions] - Reaction set (defaults to the configured one)
+ * @returns {boolean}
+ */
+export function isReactionType(type, reactions = REACTIONS) {
+  return Object.prototype.hasOwnProperty.call(reactions, type);
+}
+
+/**
+ * Summarize reaction rows for a viewer
+ * Types that have since been removed from the set are ignored.
+ * @param {Object[]} rows - Reactions ({ type, userId })
+ * @param {string|null} [viewerId] - Viewer's user ID; null for broadcasts
+ * @param {Object} [reactions] - Reaction set (defaults to the configured one)
+ * @returns {Object} { counts: { [type]: number }, total: number, mine?: string[] }
+ */
+export function summarizeReactions(rows = [], viewerId = null, reactions = REACTIONS) {
+  const known = rows.filter((row) => isReactionType(row.type, reactions));
+
+  const counts = {};
+  for (const type of Object.keys(reactions)) {
+    const count = known.filter((row) => row.type === type).length;
+    if (count > 0) counts[type] = count;
+  }
+
+  return {
+    counts,
+    total: known.length,
+    ...(viewerId && {
+      mine: known.filter((row) => row.userId === viewerId).map((row) => row.type),
+    }),
+  };
+}
+
+/**
+ * Replace an item's raw reaction rows with a summary
+ * @param {Object} item - Post/comment/reply/message, optionally including `reactions`
+ * @param {string|null} [viewerId] - Viewer's user ID; null for broadcasts
+ * @returns {Object} Item safe to send to clients
+ */
+export function withReactionSummary(item, viewerId = null) {
+  if (!item?.reactions) return item;
+  return { ...item, reactions: summarizeReactions(item.reactions, viewerId) };
+}
@@ -0,0 +1,71 @@
+/**
+ * Reactions Utility
+ *
+ * Stores emoji reactions on posts, comments, thread replies and chat messages.
+ * Access checks are left to the routes; this only toggles rows and reloads
+ * the summary for the target.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { summarizeReactions } from './reactionSet.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Reaction column used for each reactable content type
+ */
+export const REACTION_TARGET_FIELDS = {
+  POST: 'postId',
+  COMMENT: 'commentId',
+  THREAD_REPLY: 'threadReplyId',
+  CHAT_MESSAGE: 'chatMessageId',
+};
+
+/**
+ * Prisma include for the rows summarized by withReactionSummary
+ */
+export const reactionInclude = {
+  select: { type: true, userId: true },
+};
+
+/**
+ * Add or remove a user's reaction
+ * @param {Object} options - Toggle options
+ * @param {string} options.targetType - Key of REACTION_TARGET_FIELDS
+ * @param {string} options.targetId - ID of the post/comment/etc.
+ * @param {string} options.userId - Reacting user
+ * @param {string} options.type - Reaction type from the configured set
+ * @returns {Promise<Object>} { reacted, reactions (viewer summary), summary (broadcast summary) }
+ */
+export async function toggleReaction({ targetType, targetId, userId, type }) {
+  const field = REACTION_TARGET_FIELDS[targetType];
+
+  const existing = await prisma.reaction.findFirst({
+    where: { [field]: targetId, userId, type },
+    select: { id: true },
+  });
+
+  if (existing) {
+    await prisma.reaction.deleteMany({ where: { id: existing.id } });
+  } else {
+    try {
+      await prisma.reaction.create({
+        data: { [field]: targetId, userId, type },
+      });
+    } catch (error) {
+      // A concurrent request already added the same reaction
+      if (error.code !== 'P2002') throw error;
+    }
+  }
+
+  const rows = await prisma.reaction.findMany({
+    where: { [field]: targetId },
+    select: reactionInclude.select,
+  });
+
+  return {
+    reacted: !existing,
+    reactions: summarizeReactions(rows, userId),
+    summary: summarizeReactions(rows),
+  };
+}
@@ -0,0 +1,481 @@
+/**
+ * Recurrence Utility
+ *
+ * Structured study group schedules: an RRULE subset (DAILY/WEEKLY with
+ * INTERVAL, BYDAY, UNTIL and COUNT), an IANA time zone, and exception dates.
+ * Occurrences are expanded in the group's local time, so a 6 PM meeting stays
+ * at 6 PM across daylight saving changes.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY'];
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const MAX_INTERVAL = 52;
+export const MAX_COUNT = 500;
+export const MAX_DURATION_MINUTES = 12 * 60;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ========== DATE HELPERS ==========
+
+/**
+ * Whether a string names a time zone Intl knows about
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Days since 1970-01-01 for a YYYY-MM-DD string (null if not a real date)
+ */
+function dayNumber(dateString) {
+  const match = DATE_PATTERN.exec(dateString);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  const time = Date.UTC(year, month - 1, day);
+  // Reject dates that roll over, e.g. 2025-02-30
+  if (new Date(time).getUTCDate() !== day) {
+    return null;
+  }
+  return time / DAY_MS;
+}
+
+function dayString(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// 1970-01-01 was a Thursday
+function weekdayOf(day) {
+  return WEEKDAYS[(((day + 4) % 7) + 7) % 7];
+}
+
+// Weeks start on Monday (RRULE's default WKST)
+function weekStart(day) {
+  return day - ((((day + 3) % 7) + 7) % 7);
+}
+
+/**
+ * Wall-clock date and minutes after midnight of an instant in a time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes }
+ */
+export function toLocal(instant, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  })
+    .formatToParts(new Date(instant))
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// Minutes the zone is ahead of UTC at an instant
+function zoneOffset(time, timeZone) {
+  const local = toLocal(time, timeZone);
+  const wallTime = dayNumber(local.date) * DAY_MS + local.minutes * 60 * 1000;
+  return Math.round((wallTime - Math.floor(time / 60000) * 60000) / 60000);
+}
+
+/**
+ * Instant for a wall-clock date and time in a time zone
+ * Times skipped by a daylight saving jump land just after it.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+export function fromLocal(date, minutes, timeZone) {
+  const wallTime = dayNumber(date) * DAY_MS + minutes * 60 * 1000;
+  const firstGuess = wallTime - zoneOffset(wallTime, timeZone) * 60 * 1000;
+  const secondGuess = wallTime - zoneOffset(firstGuess, timeZone) * 60 * 1000;
+  const local = toLocal(secondGuess, timeZone);
+  if (local.date === date && local.minutes === minutes) {
+    return new Date(secondGuess);
+  }
+  // Inside a daylight saving gap neither guess matches; take the later one
+  return new Date(Math.max(firstGuess, secondGuess));
+}
+
+// ========== RULES ==========
+
+/**
+ * Parse a stored RRULE string
+ * @param {string} rule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20260501"
+ * @returns {Object|null} { freq, interval, byDay, until, count } or null if invalid
+ */
+export function parseRule(rule) {
+  if (typeof rule !== 'string' || !rule) {
+    return null;
+  }
+
+  const fields = Object.fromEntries(
+    rule.split(';').map((part) => {
+      const [key, value = ''] = part.split('=');
+      return [key.toUpperCase(), value.toUpperCase()];
+    })
+  );
+
+  const freq = fields.FREQ;
+  const interval = fields.INTERVAL ? Number(fields.INTERVAL) : 1;
+  const byDay = fields.BYDAY ? fields.BYDAY.split(',') : [];
+  const count = fields.COUNT ? Number(fields.COUNT) : null;
+  const until = fields.UNTIL
+    ? `${fields.UNTIL.slice(0, 4)}-${fields.UNTIL.slice(4, 6)}-${fields.UNTIL.slice(6, 8)}`
+    : null;
+
+  if (
+    !FREQUENCIES.includes(freq) ||
+    !Number.isInteger(interval) ||
+    interval < 1 ||
+    interval > MAX_INTERVAL ||
+    !byDay.every((day) => WEEKDAYS.includes(day)) ||
+    (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)) ||
+    (until !== null && dayNumber(until) === null)
+  ) {
+    return null;
+  }
+
+  return { freq, interval, byDay, until, count };
+}
+
+/**
+ * Serialize a parsed rule back to an RRULE string
+ */
+export function formatRule({ freq, interval = 1, byDay = [], until = null, count = null }) {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+  if (until) parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+  if (count) parts.push(`COUNT=${count}`);
+  return parts.join(';');
+}
+
+/**
+ * Read the structured schedule off a study group
+ * @param {Object} group - StudyGroup row
+ * @returns {Object|null} { start, timeZone, durationMinutes, rule, exdates } or null if unscheduled
+ */
+export function groupSchedule(group) {
+  const rule = parseRule(group.scheduleRule);
+  if (!rule || !group.scheduleStart || !isValidTimeZone(group.scheduleTimezone)) {
+    return null;
+  }
+
+  return {
+    start: new Date(group.scheduleStart),
+    timeZone: group.scheduleTimezone,
+    durationMinutes: group.scheduleDuration,
+    rule,
+    exdates: group.scheduleExdates || [],
+  };
+}
+
+/**
+ * Whether two sets of StudyGroup schedule columns describe the same schedule
+ */
+export function sameSchedule(a, b) {
+  const key = (group) =>
+    JSON.stringify([
+      group.scheduleStart ? new Date(group.scheduleStart).toISOString() : null,
+      group.scheduleTimezone ?? null,
+      group.scheduleDuration ?? null,
+      group.scheduleRule ?? null,
+      group.scheduleExdates ?? [],
+    ]);
+  return key(a) === key(b);
+}
+
+/**
+ * Validate schedule input from the study group form
+ * @param {Object|null} input - { startDate, startTime, durationMinutes, timezone, frequency,
+ *   interval?, byDay?, until?, count?, exdates? }, or null to remove the schedule
+ * @returns {Object} { data } with StudyGroup schedule columns, or { error }
+ */
+export function parseScheduleInput(input) {
+  if (input === null) {
+    return {
+      data: {
+        scheduleStart: null,
+        scheduleTimezone: null,
+        scheduleDuration: null,
+        scheduleRule: null,
+        scheduleExdates: [],
+      },
+    };
+  }
+
+  if (typeof input !== 'object') {
+    return { error: 'Schedule must be an object' };
+  }
+
+  const { startDate, startTime, timezone, interval = 1, until = null, count = null } = input;
+  const frequency = String(input.frequency || 'WEEKLY').toUpperCase();
+  const durationMinutes = Number(input.durationMinutes);
+  const byDay = Array.isArray(input.byDay)
+    ? input.byDay.map((day) => String(day).slice(0, 2).toUpperCase())
+    : [];
+  const exdates = input.exdates || [];
+
+  if (dayNumber(startDate) === null) {
+    return { error: 'Schedule startDate must be a YYYY-MM-DD date' };
+  }
+  if (!TIME_PATTERN.test(startTime || '')) {
+    return { error: 'Schedule startTime must be HH:MM (24-hour)' };
+  }
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 5) {
+    return { error: 'Schedule durationMinutes must be at least 5' };
+  }
+  if (durationMinutes > MAX_DURATION_MINUTES) {
+    return { error: `Schedule durationMinutes cannot exceed ${MAX_DURATION_MINUTES}` };
+  }
+  if (!isValidTimeZone(timezone)) {
+    return { error: 'Schedule timezone must be an IANA time zone, e.g. America/New_York' };
+  }
+  if (!Array.isArray(exdates) || !exdates.every((date) => dayNumber(date) !== null)) {
+    return { error: 'Schedule exdates must be YYYY-MM-DD dates' };
+  }
+  if (until !== null && count !== null) {
+    return { error: 'Schedule can have until or count, not both' };
+  }
+  if (until !== null && (dayNumber(until) === null || dayNumber(until) < dayNumber(startDate))) {
+    return { error: 'Schedule until must be a YYYY-MM-DD date on or after startDate' };
+  }
+
+  const [hours, minutes] = startTime.split(':').map(Number);
+  const startDay = dayNumber(startDate);
+  const ruleFields = {
+    freq: frequency,
+    interval: Number(interval),
+    // Weekly schedules meet on the start date's weekday unless told otherwise
+    byDay: frequency === 'WEEKLY' && byDay.length === 0 ? [weekdayOf(startDay)] : byDay,
+    until,
+    count: count === null ? null : Number(count),
+  };
+  if (frequency === 'DAILY') {
+    ruleFields.byDay = [];
+  }
+
+  const scheduleRule = formatRule(ruleFields);
+  if (!parseRule(scheduleRule)) {
+    return {
+      error: `Schedule needs frequency ${FREQUENCIES.join(' or ')}, interval 1-${MAX_INTERVAL}, byDay from ${WEEKDAYS.join(', ')} and count 1-${MAX_COUNT}`,
+    };
+  }
+
+  return {
+    data: {
+      scheduleStart: fromLocal(startDate, hours * 60 + minutes, timezone),
+      scheduleTimezone: timezone,
+      scheduleDuration: durationMinutes,
+      scheduleRule,
+      scheduleExdates: [...new Set(exdates)].sort(),
+    },
+  };
+}
+
+/**
+ * Schedule in the shape the study group form submits
+ * @param {Object} group - StudyGroup row
+ * @returns {Object|null}
+ */
+export function presentSchedule(group) {
+  const schedule = groupSchedule(group);
+  if (!schedule) {
+    return null;
+  }
+
+  const local = toLocal(schedule.start, schedule.timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    startDate: local.date,
+    startTime: `${pad(Math.floor(local.minutes / 60))}:${pad(local.minutes % 60)}`,
+    durationMinutes: schedule.durationMinutes,
+    timezone: schedule.timeZone,
+    frequency: schedule.rule.freq,
+    interval: schedule.rule.interval,
+    byDay: schedule.rule.byDay,
+    until: schedule.rule.until,
+    count: schedule.rule.count,
+    exdates: schedule.exdates,
+  };
+}
+
+/**
+ * Human-readable summary, used as meetingTime when none is given
+ * e.g. "Every 2 weeks on MO, WE at 18:00 (America/New_York)"
+ */
+export function describeSchedule(group) {
+  const schedule = presentSchedule(group);
+  if (!schedule) {
+    return null;
+  }
+
+  const unit = schedule.frequency === 'DAILY' ? 'day' : 'week';
+  const every = schedule.interval > 1 ? `Every ${schedule.interval} ${unit}s` : `Every ${unit}`;
+  const days = schedule.byDay.length > 0 ? ` on ${schedule.byDay.join(', ')}` : '';
+  return `${every}${days} at ${schedule.startTime} (${schedule.timezone})`;
+}
+
+// ========== OCCURRENCES ==========
+
+function matchesRule(rule, day, startDay) {
+  if (day < startDay) {
+    return false;
+  }
+  if (rule.freq === 'DAILY') {
+    return (day - startDay) % rule.interval === 0;
+  }
+  const weeks = (weekStart(day) - weekStart(startDay)) / 7;
+  return weeks % rule.interval === 0 && rule.byDay.includes(weekdayOf(day));
+}
+
+/**
+ * Expand a schedule into occurrences overlapping a window
+ * COUNT includes skipped exception dates, as in RFC 5545.
+ * @param {Object} schedule - From groupSchedule()
+ * @param {Object} window - { from: Date, to: Date, limit? }
+ * @returns {Object[]} [{ startsAt, endsAt }] in order, exception dates left out
+ */
+export function expandOccurrences(schedule, { from, to, limit = Infinity }) {
+  const { rule, timeZone, durationMinutes } = schedule;
+  const { date: startDate, minutes } = toLocal(schedule.start, timeZone);
+  const startDay = dayNumber(startDate);
+  const exdates = new Set(schedule.exdates);
+  const durationMs = durationMinutes * 60 * 1000;
+
+  const lastDay = Math.min(
+    dayNumber(toLocal(to, timeZone).date) + 1,
+    rule.until ? dayNumber(rule.until) : Infinity
+  );
+  // Without COUNT there is nothing to tally, so start near the window
+  const firstDay = rule.count
+    ? startDay
+    : Math.max(startDay, dayNumber(toLocal(from, timeZone).date) - 1);
+
+  const occurrences = [];
+  let seen = 0;
+  for (let day = firstDay; day <= lastDay && occurrences.length < limit; day++) {
+    if (!matchesRule(rule, day, startDay)) continue;
+
+    seen += 1;
+    if (rule.count && seen > rule.count) break;
+
+    const date = dayString(day);
+    if (exdates.has(date)) continue;
+
+    const startsAt = fromLocal(date, minutes, timeZone);
+    if (startsAt >= to) break;
+
+    const endsAt = new Date(startsAt.getTime() + durationMs);
+    if (endsAt > from) {
+      occurrences.push({ startsAt, endsAt });
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Find the scheduled occurrence that starts at an instant
+ * @returns {Object|null} { startsAt, endsAt }
+ */
+export function findOccurrence(schedule, startsAt) {
+  const time = new Date(startsAt).getTime();
+  if (Number.isNaN(time)) {
+    return null;
+  }
+
+  const [occurrence] = expandOccurrences(schedule, {
+    from: new Date(time),
+    to: new Date(time + 1),
+    limit: 1,
+  });
+  return occurrence && occurrence.startsAt.getTime() === time ? occurrence : null;
+}
+
+/**
+ * Apply per-session overrides (moves and cancellations) to expanded occurrences
+ * Occurrences are identified by their originally scheduled start.
+ * @param {Object[]} occurrences - From expandOccurrences()
+ * @param {Object[]} sessions - StudyGroupSession rows for the window
+ * @param {Object} window - { from, to }
+ * @returns {Object[]} [{ id, originalStart, startsAt, endsAt, status, note, session }] by start time
+ */
+export function applySessionOverrides(occurrences, sessions, { from, to }) {
+  const byOriginal = new Map(
+    sessions.map((session) => [new Date(session.originalStart).toISOString(), session])
+  );
+
+  const merged = occurrences.map(({ startsAt, endsAt }) => {
+    const id = startsAt.toISOString();
+    const session = byOriginal.get(id);
+    byOriginal.delete(id);
+    return session && session.status !== 'SCHEDULED'
+      ? { id, originalStart: startsAt, ...sessionTimes(session), session }
+      : { id, originalStart: startsAt, startsAt, endsAt, status: 'SCHEDULED', note: null, session };
+  });
+
+  // Sessions moved into the window from outside it
+  for (const [id, session] of byOriginal) {
+    if (session.status === 'MOVED') {
+      merged.push({
+        id,
+        originalStart: new Date(session.originalStart),
+        ...sessionTimes(session),
+        session,
+      });
+    }
+  }
+
+  return merged
+    .filter((occurrence) => occurrence.endsAt > from && occurrence.startsAt < to)
+    .sort((a, b) => a.startsAt - b.startsAt);
+}
+
+function sessionTimes(session) {
+  return {
+    startsAt: new Date(session.startsAt),
+    endsAt: new Date(session.endsAt),
+    status: session.status,
+    note: session.note,
+  };
+}
+
+/**
+ * Short local date and time for notifications, e.g. "Mon, Nov 3, 6:00 PM EST"
+ */
+export function formatOccurrence(instant, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  }).format(new Date(instant));
+}
@@ -0,0 +1,117 @@
+/**
+ * Reports Utility
+ *
+ * Rules for user-submitted reports. Students can report content across the
+ * modules (or another user) once per item with a reason category; reports
+ * land in the moderator queue as OPEN and are triaged to ACTIONED or
+ * DISMISSED. Resolving a report resolves every open report on the same
+ * target, and each reporter is told the outcome.
+ */
+
+export const REPORT_TARGET_TYPES = [
+  'POST',
+  'COMMENT',
+  'THREAD',
+  'THREAD_REPLY',
+  'RESOURCE',
+  'PROJECT',
+  'CHAT_MESSAGE',
+  'USER',
+];
+
+export const REPORT_REASONS = [
+  'SPAM',
+  'HARASSMENT',
+  'HATE_SPEECH',
+  'VIOLENCE',
+  'SEXUAL_CONTENT',
+  'MISINFORMATION',
+  'ACADEMIC_DISHONESTY',
+  'IMPERSONATION',
+  'OTHER',
+];
+
+export const REPORT_STATUSES = ['OPEN', 'ACTIONED', 'DISMISSED'];
+
+export const MAX_REPORT_DETAILS_LENGTH = 1000;
+
+// Reported content is quoted in the queue up to this length
+const SNAPSHOT_LENGTH = 280;
+
+export const REPORT_TARGET_LABELS = {
+  POST: 'post',
+  COMMENT: 'comment',
+  THREAD: 'thread',
+  THREAD_REPLY: 'thread reply',
+  RESOURCE: 'resource',
+  PROJECT: 'project',
+  CHAT_MESSAGE: 'chat message',
+  USER: 'user',
+};
+
+/**
+ * Why a report can't be filed as-is
+ * @param {Object} report - { reason, details? }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function reportDetailsError({ reason, details }) {
+  if (reason === 'OTHER' && !details?.trim()) {
+    return 'Tell us what is wrong when choosing "Other"';
+  }
+  return null;
+}
+
+/**
+ * Why a user can't report a target
+ * @param {string} reporterId - Reporting user
+ * @param {Object|null} target - Target from findReportTarget, or null if not found
+ * @returns {Object|null} { status, error }, or null if allowed
+ */
+export function reportTargetError(reporterId, target) {
+  if (!target) {
+    return { status: 404, error: 'Content not found' };
+  }
+  if (target.ownerId === reporterId) {
+    return { status: 400, error: 'You cannot report yourself or your own content' };
+  }
+  return null;
+}
+
+/**
+ * Excerpt of reported content kept with the report
+ * @param {string|null} text - Reported text
+ * @returns {string|null}
+ */
+export function reportSnapshot(text) {
+  if (!text) {
+    return null;
+  }
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > SNAPSHOT_LENGTH ? `${flat.slice(0, SNAPSHOT_LENGTH - 1)}…` : flat;
+}
+
+/**
+ * Prisma filter for the moderator queue
+ * @param {Object} filters - { status?, targetType? } (defaults to open reports)
+ * @returns {Object} Prisma where clause for Report
+ */
+export function reportQueueWhere({ status = 'OPEN', targetType } = {}) {
+  return {
+    status,
+    ...(targetType && { targetType }),
+  };
+}
+
+/**
+ * Notification text telling a reporter how their report was resolved
+ * @param {string} targetType - ReportTarget value
+ * @param {string} status - ACTIONED or DISMISSED
+ * @returns {string}
+ */
+export function resolutionMessage(targetType, status) {
+  const label = REPORT_TARGET_LABELS[targetType];
+  if (status === 'ACTIONED') {
+    return `Thanks for reporting a ${label}. A moderator reviewed it and took action.`;
+  }
+  return `Thanks for reporting a ${label}. A moderator reviewed it and found it doesn't break the community guidelines.`;
+}
@@ -0,0 +1,229 @@
+/**
+ * Report Targets Utility
+ *
+ * Storage side of user reports: loading what was reported (only if the
+ * reporter can see it), removing reported content, and resolving the open
+ * reports on a target with reporter notifications.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { canViewPost } from '../postVisibility.js';
+import { POST_ATTACHMENT_CATEGORY } from '../postAttachments.js';
+import { resolutionMessage } from './rules.js';
+import { deleteUploadedFile } from '../../middleware/fileUpload.js';
+import { emitNotification } from '../../websocket/index.js';
+
+const prisma = new PrismaClient();
+
+const postAccessSelect = {
+  authorId: true,
+  groupId: true,
+  visibility: true,
+  group: { select: { isPrivate: true } },
+};
+
+/**
+ * Load a report target the reporter can see
+ * Blocks are ignored here so blocking someone never stops you reporting them.
+ * @param {string} type - ReportTarget value
+ * @param {string} targetId - ID of the content or user
+ * @param {Object} context - Reporter's viewer context from loadViewerContext
+ * @returns {Promise<Object|null>} { ownerId, text, link }, or null if missing or not visible
+ */
+export async function findReportTarget(type, targetId, context) {
+  const viewer = { ...context, blockedIds: new Set() };
+
+  switch (type) {
+    case 'POST': {
+      const post = await prisma.post.findUnique({
+        where: { id: targetId },
+        select: { ...postAccessSelect, content: true },
+      });
+      return post && canViewPost(post, viewer)
+        ? { ownerId: post.authorId, text: post.content, link: `/hub/posts/${targetId}` }
+        : null;
+    }
+    case 'COMMENT': {
+      const comment = await prisma.comment.findUnique({
+        where: { id: targetId },
+        select: {
+          authorId: true,
+          content: true,
+          postId: true,
+          post: { select: postAccessSelect },
+        },
+      });
+      return comment && canViewPost(comment.post, viewer)
+        ? { ownerId: comment.authorId, text: comment.content, link: `/hub/posts/${comment.postId}` }
+        : null;
+    }
+    case 'THREAD': {
+      const thread = await prisma.thread.findUnique({
+        where: { id: targetId },
+        select: { authorId: true, title: true, content: true },
+      });
+      return (
+        thread && {
+          ownerId: thread.authorId,
+          text: `${thread.title}\n${thread.content}`,
+          link: `/collabspace/threads/${targetId}`,
+        }
+      );
+    }
+    case 'THREAD_REPLY': {
+      const reply = await prisma.threadReply.findUnique({
+        where: { id: targetId },
+        select: { authorId: true, content: true, threadId: true },
+      });
+      return (
+        reply && {
+          ownerId: reply.authorId,
+          text: reply.content,
+          link: `/collabspace/threads/${reply.threadId}`,
+        }
+      );
+    }
+    case 'RESOURCE': {
+      const resource = await prisma.resource.findUnique({
+        where: { id: targetId },
+        select: { uploaderId: true, title: true, description: true, courseId: true },
+      });
+      return (
+        resource && {
+          ownerId: resource.uploaderId,
+          text: [resource.title, resource.description].filter(Boolean).join('\n'),
+          link: `/collabspace/courses/${resource.courseId}`,
+        }
+      );
+    }
+    case 'PROJECT': {
+      const project = await prisma.project.findUnique({
+        where: { id: targetId },
+        select: { authorId: true, title: true, description: true, isPublic: true },
+      });
+      return project && (project.isPublic || project.authorId === context.userId)
+        ? {
+            ownerId: project.authorId,
+            text: `${project.title}\n${project.description}`,
+            link: `/hub/users/${project.authorId}`,
+          }
+        : null;
+    }
+    case 'CHAT_MESSAGE': {
+      const message = await prisma.chatMessage.findUnique({
+        where: { id: targetId },
+        select: {
+          authorId: true,
+          content: true,
+          roomId: true,
+          room: {
+            select: {
+              type: true,
+              members: { where: { userId: context.userId }, select: { userId: true } },
+            },
+          },
+        },
+      });
+      return message && (message.room.type !== 'PRIVATE' || message.room.members.length > 0)
+        ? { ownerId: message.authorId, text: message.content, link: `/mim?room=${message.roomId}` }
+        : null;
+    }
+    case 'USER': {
+      const user = await prisma.user.findUnique({
+        where: { id: targetId },
+        select: { id: true, username: true, firstName: true, lastName: true, bio: true },
+      });
+      return (
+        user && {
+          ownerId: user.id,
+          text: [`${user.firstName} ${user.lastName} (@${user.username})`, user.bio]
+            .filter(Boolean)
+            .join('\n'),
+          link: `/hub/users/${user.id}`,
+        }
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+// Prisma delegate for each removable target type
+const TARGET_DELEGATES = {
+  COMMENT: 'comment',
+  THREAD: 'thread',
+  THREAD_REPLY: 'threadReply',
+  RESOURCE: 'resource',
+  PROJECT: 'project',
+  CHAT_MESSAGE: 'chatMessage',
+};
+
+/**
+ * Delete reported content
+ * Users can't be removed this way; suspend or ban them instead.
+ * @param {string} type - ReportTarget value other than USER
+ * @param {string} targetId - Content ID
+ * @returns {Promise<boolean>} Whether anything was deleted
+ */
+export async function removeReportTarget(type, targetId) {
+  if (type === 'POST') {
+    const post = await prisma.post.findUnique({
+      where: { id: targetId },
+      select: { attachments: { select: { filename: true } } },
+    });
+    if (!post) {
+      return false;
+    }
+    await prisma.post.delete({ where: { id: targetId } });
+
+    // Attachment rows cascade; remove the stored files as well
+    await Promise.allSettled(
+      post.attachments.map((a) => deleteUploadedFile(a.filename, POST_ATTACHMENT_CATEGORY))
+    );
+    return true;
+  }
+
+  const { count } = await prisma[TARGET_DELEGATES[type]].deleteMany({ where: { id: targetId } });
+  return count > 0;
+}
+
+/**
+ * Resolve every open report on a target and tell each reporter
+ * @param {Object|null} io - Socket.IO server for live delivery
+ * @param {Object} target - { targetType, targetId }
+ * @param {Object} resolution - { status, action?, moderatorId, note? }
+ * @returns {Promise<number>} Reports resolved
+ */
+export async function resolveTargetReports(io, { targetType, targetId }, resolution) {
+  const where = { targetType, targetId, status: 'OPEN' };
+  const open = await prisma.report.findMany({ where, select: { reporterId: true } });
+  if (open.length === 0) {
+    return 0;
+  }
+
+  await prisma.report.updateMany({
+    where,
+    data: {
+      status: resolution.status,
+      action: resolution.action || null,
+      resolutionNote: resolution.note || null,
+      resolvedById: resolution.moderatorId,
+      resolvedAt: new Date(),
+    },
+  });
+
+  const message = resolutionMessage(targetType, resolution.status);
+  await Promise.all(
+    [...new Set(open.map((r) => r.reporterId))].map(async (userId) => {
+      const notification = await prisma.notification.create({
+        data: { type: 'MODERATION', message, userId },
+      });
+
+      if (io) {
+        emitNotification(io, userId, notification);
+      }
+    })
+  );
+
+  return open.length;
+}
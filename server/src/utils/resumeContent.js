@@ -0,0 +1,226 @@
+/**
+ * Resume Content Utility
+ *
+ * Turns a CareerLink profile into the sections of a PDF resume and defines
+ * the templates it can be rendered with. A resume is shared beyond its
+ * owner, so PRIVATE portfolio entries and private projects are left out.
+ * Plain-text and Markdown versions for pasting into applications are built
+ * here too.
+ */
+
+// Fonts are the PDF standard fonts, so no font files are needed
+export const RESUME_TEMPLATES = {
+  classic: {
+    label: 'Classic',
+    fonts: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' },
+    sizes: { name: 24, heading: 12, body: 11, small: 10 },
+    accent: '#111111',
+    headerAlign: 'center',
+    uppercaseHeadings: true,
+    rules: true,
+    spacing: 0.6,
+  },
+  modern: {
+    label: 'Modern',
+    fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+    sizes: { name: 26, heading: 13, body: 10, small: 9 },
+    accent: '#0d9488',
+    headerAlign: 'left',
+    uppercaseHeadings: false,
+    rules: false,
+    spacing: 0.7,
+  },
+  compact: {
+    label: 'Compact',
+    fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+    sizes: { name: 18, heading: 10, body: 9, small: 8 },
+    accent: '#374151',
+    headerAlign: 'left',
+    uppercaseHeadings: true,
+    rules: true,
+    spacing: 0.3,
+  },
+};
+
+export const DEFAULT_RESUME_TEMPLATE = 'modern';
+
+// Portfolio entry visibilities that appear on a resume
+export const RESUME_ENTRY_LEVELS = ['PUBLIC', 'CONNECTIONS'];
+
+/**
+ * Format a date as "Jun 2023"
+ * @param {Date|string} date - Date
+ * @returns {string}
+ */
+export function formatResumeMonth(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Format a date range; a start with no end is ongoing
+ * @param {Date|string|null} start - Start date
+ * @param {Date|string|null} end - End date
+ * @returns {string} e.g. "Jun 2023 – Aug 2023", "Jun 2023 – Present", or ''
+ */
+export function formatResumeRange(start, end) {
+  if (!start) {
+    return end ? formatResumeMonth(end) : '';
+  }
+  return `${formatResumeMonth(start)} – ${end ? formatResumeMonth(end) : 'Present'}`;
+}
+
+function joined(parts, separator) {
+  return parts.filter(Boolean).join(separator);
+}
+
+/**
+ * Build the content of a resume
+ * Sections with nothing in them are dropped.
+ * @param {Object} data - { user, portfolio, projects }; portfolio entries already filtered
+ *   to RESUME_ENTRY_LEVELS and in display order
+ * @returns {Object} { name, headline, contact: string[], summary, sections: [{ title,
+ *   items?: [{ title, subtitle, dates, description, link }], text? }] }
+ */
+export function buildResumeContent({ user, portfolio, projects }) {
+  const sections = [
+    {
+      title: 'Experience',
+      items: (portfolio.experience || []).map((entry) => ({
+        title: entry.title,
+        subtitle: joined([entry.company, entry.location], ' · '),
+        dates: formatResumeRange(entry.startDate, entry.endDate),
+        description: entry.description,
+      })),
+    },
+    {
+      title: 'Education',
+      items: (portfolio.education || []).map((entry) => ({
+        title: entry.institution,
+        subtitle: joined([entry.degree, entry.fieldOfStudy], ', '),
+        dates: formatResumeRange(entry.startDate, entry.endDate),
+        description: entry.description,
+      })),
+    },
+    {
+      title: 'Projects',
+      items: projects.map((project) => ({
+        title: project.title,
+        subtitle: project.technologies.join(', '),
+        dates: '',
+        description: project.description,
+        link: project.projectUrl,
+      })),
+    },
+    {
+      title: 'Certifications',
+      items: (portfolio.certifications || []).map((entry) => ({
+        title: entry.name,
+        subtitle: joined(
+          [entry.issuer, entry.credentialId && `Credential ${entry.credentialId}`],
+          ' · '
+        ),
+        dates: joined(
+          [
+            entry.issuedAt && formatResumeMonth(entry.issuedAt),
+            entry.expiresAt && `expires ${formatResumeMonth(entry.expiresAt)}`,
+          ],
+          ', '
+        ),
+        link: entry.credentialUrl,
+      })),
+    },
+    {
+      title: 'Awards',
+      items: (portfolio.awards || []).map((entry) => ({
+        title: entry.title,
+        subtitle: entry.issuer || '',
+        dates: entry.awardedAt ? formatResumeMonth(entry.awardedAt) : '',
+        description: entry.description,
+      })),
+    },
+    { title: 'Skills', text: (user.skills || []).join(', ') },
+  ];
+
+  return {
+    name: `${user.firstName} ${user.lastName}`,
+    headline: portfolio.headline || '',
+    contact: [user.email, portfolio.website, portfolio.linkedin, portfolio.github].filter(Boolean),
+    summary: portfolio.summary || '',
+    sections: sections.filter((section) =>
+      section.items ? section.items.length > 0 : section.text
+    ),
+  };
+}
+
+// Title, dates, subtitle and link as lines, then the description as its own block
+function itemText(item, format) {
+  const lines = [
+    [format.bold(item.title), item.dates && `(${item.dates})`].filter(Boolean).join(' '),
+    item.subtitle && format.italic(item.subtitle),
+    item.link && format.link(item.link),
+  ].filter(Boolean);
+  const heading = lines.join(format.lineBreak);
+  return item.description ? `${heading}${format.descriptionBreak}${item.description}` : heading;
+}
+
+/**
+ * Plain-text version of a resume
+ * @param {Object} content - Output of buildResumeContent
+ * @returns {string}
+ */
+export function resumeToText(content) {
+  const format = {
+    bold: (value) => value,
+    italic: (value) => value,
+    link: (url) => url,
+    lineBreak: '\n',
+    descriptionBreak: '\n',
+  };
+  const blocks = [
+    [content.name, content.headline, content.contact.join(' | ')].filter(Boolean).join('\n'),
+  ];
+  if (content.summary) {
+    blocks.push(`SUMMARY\n\n${content.summary}`);
+  }
+  for (const section of content.sections) {
+    const body = section.text
+      ? [section.text]
+      : section.items.map((item) => itemText(item, format));
+    blocks.push([section.title.toUpperCase(), ...body].join('\n\n'));
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Markdown version of a resume
+ * @param {Object} content - Output of buildResumeContent
+ * @returns {string}
+ */
+export function resumeToMarkdown(content) {
+  const format = {
+    bold: (value) => `**${value}**`,
+    italic: (value) => `_${value}_`,
+    link: (url) => `<${url}>`,
+    lineBreak: '  \n',
+    descriptionBreak: '\n\n',
+  };
+  const blocks = [
+    [`# ${content.name}`, content.headline && `_${content.headline}_`, content.contact.join(' · ')]
+      .filter(Boolean)
+      .join('\n\n'),
+  ];
+  if (content.summary) {
+    blocks.push(`## Summary\n\n${content.summary}`);
+  }
+  for (const section of content.sections) {
+    const body = section.text
+      ? [section.text]
+      : section.items.map((item) => itemText(item, format));
+    blocks.push([`## ${section.title}`, ...body].join('\n\n'));
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
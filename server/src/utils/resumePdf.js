@@ -0,0 +1,150 @@
+/**
+ * Resume PDF Utility
+ *
+ * Lays out resume content (see resumeContent.js) as a US Letter PDF in one
+ * of the resume templates.
+ */
+
+import PDFDocument from 'pdfkit';
+import { RESUME_TEMPLATES } from './resumeContent.js';
+
+const PAGE_MARGIN = 54; // 0.75in
+// Start an entry on a new page rather than leave less than this at the bottom
+const MIN_ENTRY_SPACE = 60;
+
+function writeHeading(doc, template, title, width) {
+  doc.moveDown(template.spacing);
+  doc
+    .font(template.fonts.bold)
+    .fontSize(template.sizes.heading)
+    .fillColor(template.accent)
+    .text(template.uppercaseHeadings ? title.toUpperCase() : title, PAGE_MARGIN, doc.y, {
+      width,
+      characterSpacing: template.uppercaseHeadings ? 1 : 0,
+    });
+
+  if (template.rules) {
+    const y = doc.y + 2;
+    doc
+      .moveTo(PAGE_MARGIN, y)
+      .lineTo(PAGE_MARGIN + width, y)
+      .lineWidth(0.5)
+      .strokeColor(template.accent)
+      .stroke();
+    doc.y = y + 4;
+  } else {
+    doc.moveDown(0.2);
+  }
+  doc.fillColor('black');
+}
+
+function writeItem(doc, template, item, width) {
+  if (doc.y > doc.page.height - PAGE_MARGIN - MIN_ENTRY_SPACE) {
+    doc.addPage();
+  }
+
+  // Title on the left, dates right-aligned on the same line
+  const top = doc.y;
+  doc
+    .font(template.fonts.bold)
+    .fontSize(template.sizes.body)
+    .text(item.title, PAGE_MARGIN, top, { width: item.dates ? width * 0.7 : width });
+  const titleBottom = doc.y;
+  if (item.dates) {
+    doc
+      .font(template.fonts.regular)
+      .fontSize(template.sizes.small)
+      .text(item.dates, PAGE_MARGIN, top, { width, align: 'right' });
+  }
+  doc.y = Math.max(titleBottom, doc.y);
+
+  if (item.subtitle) {
+    doc
+      .font(template.fonts.italic)
+      .fontSize(template.sizes.small)
+      .text(item.subtitle, PAGE_MARGIN, doc.y, { width });
+  }
+  if (item.description) {
+    doc
+      .font(template.fonts.regular)
+      .fontSize(template.sizes.body)
+      .text(item.description, PAGE_MARGIN, doc.y + 2, { width });
+  }
+  if (item.link) {
+    doc
+      .font(template.fonts.regular)
+      .fontSize(template.sizes.small)
+      .fillColor(template.accent)
+      .text(item.link, PAGE_MARGIN, doc.y, { width, link: item.link })
+      .fillColor('black');
+  }
+  doc.moveDown(template.spacing);
+}
+
+/**
+ * Render resume content to a PDF
+ * @param {Object} content - Output of buildResumeContent
+ * @param {string} templateName - Key of RESUME_TEMPLATES
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export function renderResumePdf(content, templateName) {
+  const template = RESUME_TEMPLATES[templateName];
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    info: { Title: `${content.name} - Resume`, Author: content.name },
+  });
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  const done = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc
+    .font(template.fonts.bold)
+    .fontSize(template.sizes.name)
+    .fillColor(template.accent)
+    .text(content.name, { width, align: template.headerAlign });
+  doc.fillColor('black');
+  if (content.headline) {
+    doc
+      .font(template.fonts.regular)
+      .fontSize(template.sizes.heading)
+      .text(content.headline, { width, align: template.headerAlign });
+  }
+  if (content.contact.length > 0) {
+    doc
+      .font(template.fonts.regular)
+      .fontSize(template.sizes.small)
+      .fillColor('#4b5563')
+      .text(content.contact.join('  |  '), { width, align: template.headerAlign })
+      .fillColor('black');
+  }
+
+  if (content.summary) {
+    writeHeading(doc, template, 'Summary', width);
+    doc
+      .font(template.fonts.regular)
+      .fontSize(template.sizes.body)
+      .text(content.summary, PAGE_MARGIN, doc.y, { width });
+  }
+
+  for (const section of content.sections) {
+    writeHeading(doc, template, section.title, width);
+    if (section.text) {
+      doc
+        .font(template.fonts.regular)
+        .fontSize(template.sizes.body)
+        .text(section.text, PAGE_MARGIN, doc.y, { width });
+    }
+    for (const item of section.items || []) {
+      writeItem(doc, template, item, width);
+    }
+  }
+
+  doc.end();
+  return done;
+}
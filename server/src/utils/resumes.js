@@ -0,0 +1,103 @@
+/**
+ * Resumes Utility
+ *
+ * Generates CareerLink resumes and stores them in the private documents
+ * folder. Each portfolio keeps only its latest resume; regenerating replaces
+ * the file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { PrismaClient } from '@prisma/client';
+import {
+  UPLOAD_DIR,
+  ensureUploadDirectories,
+  generateSecureFilename,
+  deleteUploadedFile,
+} from '../middleware/fileUpload.js';
+import { generateDownloadUrl } from './signedUrls.js';
+import { ENTRY_VISIBILITY, portfolioEntriesInclude } from './portfolioEntries.js';
+import { RESUME_ENTRY_LEVELS, buildResumeContent } from './resumeContent.js';
+import { renderResumePdf } from './resumePdf.js';
+
+const prisma = new PrismaClient();
+
+const RESUME_CATEGORY = 'documents';
+
+/**
+ * Where a portfolio's resume stands, with a fresh download link
+ * @param {Object} portfolio - Portfolio with resumeFile, resumeTemplate, resumeGeneratedAt
+ * @param {string} userId - Owner's user ID (bound into the signed URL)
+ * @returns {Object|null} { template, generatedAt, url }, or null if none was generated
+ */
+export function resumeDetails(portfolio, userId) {
+  if (!portfolio?.resumeFile) {
+    return null;
+  }
+  return {
+    template: portfolio.resumeTemplate,
+    generatedAt: portfolio.resumeGeneratedAt,
+    url: generateDownloadUrl(portfolio.resumeFile, RESUME_CATEGORY, userId),
+  };
+}
+
+/**
+ * Load what a resume is built from
+ * @param {string} userId - Owner's user ID
+ * @param {Object} options - { includePrivate } to also load PRIVATE entries and private projects
+ * @returns {Promise<Object>} { user, portfolio (empty object if none), projects }
+ */
+export async function loadResumeSources(userId, { includePrivate = false } = {}) {
+  const [user, portfolio, projects] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { firstName: true, lastName: true, email: true, skills: true },
+    }),
+    prisma.portfolio.findUnique({
+      where: { userId },
+      include: portfolioEntriesInclude(includePrivate ? ENTRY_VISIBILITY : RESUME_ENTRY_LEVELS),
+    }),
+    prisma.project.findMany({
+      where: { authorId: userId, ...(!includePrivate && { isPublic: true }) },
+      orderBy: { createdAt: 'desc' },
+      select: { title: true, description: true, projectUrl: true, technologies: true },
+    }),
+  ]);
+
+  return { user, portfolio: portfolio || {}, projects };
+}
+
+/**
+ * Generate a user's resume from their profile, portfolio and public projects
+ * Replaces any resume generated before.
+ * @param {string} userId - Owner's user ID
+ * @param {string} templateName - Key of RESUME_TEMPLATES
+ * @returns {Promise<Object>} Updated portfolio
+ */
+export async function generateResume(userId, templateName) {
+  const sources = await loadResumeSources(userId);
+  const content = buildResumeContent(sources);
+  const pdf = await renderResumePdf(content, templateName);
+
+  await ensureUploadDirectories();
+  const filename = generateSecureFilename('.pdf');
+  await fs.writeFile(path.join(UPLOAD_DIR, RESUME_CATEGORY, filename), pdf);
+
+  const data = {
+    resumeFile: filename,
+    resumeTemplate: templateName,
+    resumeGeneratedAt: new Date(),
+  };
+  const portfolio = await prisma.portfolio.upsert({
+    where: { userId },
+    create: { userId, ...data },
+    update: data,
+  });
+
+  // deleteUploadedFile logs failures; a leftover file shouldn't fail the request
+  if (sources.portfolio.resumeFile) {
+    deleteUploadedFile(sources.portfolio.resumeFile, RESUME_CATEGORY).catch(() => {});
+  }
+
+  return portfolio;
+}
@@ -0,0 +1,133 @@
+/**
+ * Revision History Utility
+ *
+ * Word-level text diffs and version timelines for edited posts, comments,
+ * threads and thread replies. Each stored revision is a snapshot of the
+ * content *before* an edit, so the live item is always the newest version.
+ */
+
+// Above this many DP cells, diff by line instead of by word
+const MAX_DIFF_CELLS = 2_000_000;
+
+/**
+ * Split text into word and whitespace tokens
+ */
+function wordTokens(text) {
+  return text.split(/(\s+)/).filter(Boolean);
+}
+
+/**
+ * Split text into lines, keeping the line breaks
+ */
+function lineTokens(text) {
+  return text.split(/(?<=\n)/).filter(Boolean);
+}
+
+/**
+ * Longest-common-subsequence diff between two token lists
+ */
+function diffTokens(before, after) {
+  const n = before.length;
+  const m = after.length;
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        before[i] === after[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, value) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      parts.push({ type, value });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      push('equal', before[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push('delete', before[i++]);
+    } else {
+      push('insert', after[j++]);
+    }
+  }
+  while (i < n) push('delete', before[i++]);
+  while (j < m) push('insert', after[j++]);
+
+  return parts;
+}
+
+/**
+ * Diff two versions of a text
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Object[]} Ordered parts: { type: 'equal'|'insert'|'delete', value }
+ */
+export function diffText(before = '', after = '') {
+  if (before === after) {
+    return before ? [{ type: 'equal', value: before }] : [];
+  }
+
+  let tokensBefore = wordTokens(before);
+  let tokensAfter = wordTokens(after);
+
+  if (tokensBefore.length * tokensAfter.length > MAX_DIFF_CELLS) {
+    tokensBefore = lineTokens(before);
+    tokensAfter = lineTokens(after);
+  }
+
+  if (tokensBefore.length * tokensAfter.length > MAX_DIFF_CELLS) {
+    // Too large to diff meaningfully; show a full replacement
+    return [
+      ...(before ? [{ type: 'delete', value: before }] : []),
+      ...(after ? [{ type: 'insert', value: after }] : []),
+    ];
+  }
+
+  return diffTokens(tokensBefore, tokensAfter);
+}
+
+/**
+ * Build the version timeline for an edited item
+ * @param {Object} item - Current item ({ content, title?, createdAt, author? })
+ * @param {Object[]} revisions - Snapshots ({ content, title?, createdAt, editor? }), oldest first
+ * @returns {Object[]} Versions oldest first: { version, title?, content, createdAt,
+ *   editor, current, diff, titleDiff? }. `diff` compares against the previous version.
+ */
+export function buildRevisionHistory(item, revisions = []) {
+  const snapshots = [...revisions.map((r) => ({ title: r.title, content: r.content })), item];
+
+  return snapshots.map((snapshot, index) => {
+    const previous = index > 0 ? snapshots[index - 1] : null;
+    const hasTitle = snapshot.title !== undefined && snapshot.title !== null;
+
+    return {
+      version: index + 1,
+      ...(hasTitle && { title: snapshot.title }),
+      content: snapshot.content,
+      // Version N was written by the edit that archived version N-1
+      createdAt: index === 0 ? item.createdAt : revisions[index - 1].createdAt,
+      editor: index === 0 ? item.author || null : revisions[index - 1].editor || null,
+      current: index === snapshots.length - 1,
+      diff: previous ? diffText(previous.content, snapshot.content) : null,
+      ...(previous &&
+        hasTitle &&
+        previous.title !== snapshot.title && {
+          titleDiff: diffText(previous.title || '', snapshot.title),
+        }),
+    };
+  });
+}
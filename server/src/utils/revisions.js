@@ -0,0 +1,66 @@
+/**
+ * Revisions Utility
+ *
+ * Archives the previous version of a post, comment, thread or thread reply
+ * when it is edited, and loads the version history for authors and
+ * moderators. Access checks are left to the routes.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { buildRevisionHistory } from './revisionHistory.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Revision column used for each editable ContentSource value
+ */
+export const REVISION_FIELDS = {
+  POST: 'postId',
+  COMMENT: 'commentId',
+  THREAD: 'threadId',
+  THREAD_REPLY: 'threadReplyId',
+};
+
+const editorSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+};
+
+/**
+ * Build the query that archives an item's current version
+ * Returns an unawaited Prisma query so it can join the edit's $transaction.
+ * @param {Object} options - Revision options
+ * @param {string} options.sourceType - Key of REVISION_FIELDS
+ * @param {Object} options.item - Item before the edit ({ id, content, title? })
+ * @param {string} options.editorId - User making the edit
+ * @returns {Object} Prisma create query
+ */
+export function archiveRevision({ sourceType, item, editorId }) {
+  return prisma.revision.create({
+    data: {
+      sourceType,
+      [REVISION_FIELDS[sourceType]]: item.id,
+      title: item.title ?? null,
+      content: item.content,
+      editorId,
+    },
+  });
+}
+
+/**
+ * Load the version timeline for an item
+ * @param {string} sourceType - Key of REVISION_FIELDS
+ * @param {Object} item - Current item ({ id, content, title?, createdAt, author? })
+ * @returns {Promise<Object[]>} Versions from buildRevisionHistory, oldest first
+ */
+export async function loadRevisionHistory(sourceType, item) {
+  const revisions = await prisma.revision.findMany({
+    where: { [REVISION_FIELDS[sourceType]]: item.id },
+    orderBy: { createdAt: 'asc' },
+    include: { editor: { select: editorSelect } },
+  });
+
+  return buildRevisionHistory(item, revisions);
+}
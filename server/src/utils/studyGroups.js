@@ -0,0 +1,110 @@
+/**
+ * Study Groups Utility
+ *
+ * Loads scheduled study group sessions with their per-session overrides and
+ * notifies members about schedule changes.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { applySessionOverrides, expandOccurrences, groupSchedule } from './recurrence.js';
+import { emitNotification } from '../websocket/index.js';
+
+const prisma = new PrismaClient();
+
+// Members can check in from shortly before a session until it ends
+export const CHECK_IN_OPENS_MINUTES = 15;
+
+/**
+ * Notification link for a study group
+ */
+export function studyGroupLink(studyGroupId) {
+  return `/collabspace/study-groups/${studyGroupId}`;
+}
+
+/**
+ * Notify every member of a study group
+ * @param {Object|null} io - Socket.IO server for live delivery
+ * @param {string} studyGroupId - Study group ID
+ * @param {Object} notice - { message, link, excludeUserId? }
+ */
+export async function notifyGroupMembers(io, studyGroupId, { message, link, excludeUserId }) {
+  const members = await prisma.studyGroupMember.findMany({
+    where: {
+      studyGroupId,
+      ...(excludeUserId && { userId: { not: excludeUserId } }),
+    },
+    select: { userId: true },
+  });
+
+  await Promise.all(
+    members.map(async ({ userId }) => {
+      const notification = await prisma.notification.create({
+        data: {
+          type: 'STUDY_GROUP',
+          message,
+          link,
+          userId,
+        },
+      });
+
+      if (io) {
+        emitNotification(io, userId, notification);
+      }
+    })
+  );
+}
+
+/**
+ * Sessions of a study group's schedule that overlap a window
+ * @param {Object} group - StudyGroup row
+ * @param {Object} window - { from, to, limit? }
+ * @param {Object} [options] - { userId } to include that user's check-in
+ * @returns {Promise<Object[]>} Occurrences (see applySessionOverrides) with attendeeCount
+ *   and checkedIn; empty when the group has no schedule
+ */
+export async function loadOccurrences(group, { from, to, limit }, { userId } = {}) {
+  const schedule = groupSchedule(group);
+  if (!schedule) {
+    return [];
+  }
+
+  const sessions = await prisma.studyGroupSession.findMany({
+    where: {
+      studyGroupId: group.id,
+      OR: [{ originalStart: { gte: from, lt: to } }, { startsAt: { gte: from, lt: to } }],
+    },
+    include: {
+      _count: { select: { attendance: true } },
+      ...(userId && { attendance: { where: { userId }, select: { id: true } } }),
+    },
+  });
+
+  // Expand a few extra in case some sessions were moved out of the window
+  const expanded = expandOccurrences(schedule, {
+    from,
+    to,
+    limit: (limit || Infinity) + sessions.length,
+  });
+  const occurrences = applySessionOverrides(expanded, sessions, { from, to }).slice(0, limit);
+
+  return occurrences.map(({ session, ...occurrence }) => ({
+    ...occurrence,
+    attendeeCount: session?._count.attendance || 0,
+    checkedIn: Boolean(session?.attendance?.length),
+  }));
+}
+
+/**
+ * Drop upcoming per-session overrides after the recurring schedule changes
+ * Sessions with check-ins are kept for attendance history.
+ * @param {string} studyGroupId - Study group ID
+ */
+export async function clearUpcomingSessions(studyGroupId) {
+  await prisma.studyGroupSession.deleteMany({
+    where: {
+      studyGroupId,
+      originalStart: { gte: new Date() },
+      attendance: { none: {} },
+    },
+  });
+}
@@ -0,0 +1,50 @@
+/**
+ * Viewer Context Utility
+ *
+ * Loads the parts of a user's social graph that feed ranking and post
+ * visibility checks depend on.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { blockedUserIds, blocksBetweenWhere } from './blocks/rules.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Load a user's accepted connections, group memberships, blocks and mutes
+ * @param {string} userId - Viewer's user ID
+ * @returns {Promise<Object>} { userId, connectionIds, groupIds, blockedIds, mutedIds } (all Sets;
+ *   blockedIds covers blocks in either direction)
+ */
+export async function loadViewerContext(userId) {
+  const [connections, memberships, blocks, mutes] = await Promise.all([
+    prisma.connection.findMany({
+      where: {
+        status: 'ACCEPTED',
+        OR: [{ requesterId: userId }, { addresseeId: userId }],
+      },
+      select: { requesterId: true, addresseeId: true },
+    }),
+    prisma.groupMember.findMany({
+      where: { userId },
+      select: { groupId: true },
+    }),
+    prisma.userBlock.findMany({
+      where: blocksBetweenWhere(userId),
+      select: { blockerId: true, blockedId: true },
+    }),
+    prisma.userMute.findMany({
+      where: { muterId: userId },
+      select: { mutedId: true },
+    }),
+  ]);
+
+  const connectionIds = new Set(
+    connections.map((c) => (c.requesterId === userId ? c.addresseeId : c.requesterId))
+  );
+  const groupIds = new Set(memberships.map((m) => m.groupId));
+  const blockedIds = blockedUserIds(blocks, userId);
+  const mutedIds = new Set(mutes.map((m) => m.mutedId));
+
+  return { userId, connectionIds, groupIds, blockedIds, mutedIds };
+}
@@ -1,5 +1,25 @@
 import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
+import { loadViewerContext } from '../utils/viewerContext.js';
+import { syncContentLinks } from '../utils/contentLinks.js';
+import { presentPost } from '../utils/postAttachments.js';
+import { BLOCKED_ERROR, isBlockedBetween, findHiddenAudience } from '../utils/blocks/store.js';
+import {
+  messageContentError,
+  messageEditError,
+  messageDeleteError,
+} from '../utils/conversations/rules.js';
+import {
+  findConversationForUser,
+  isConversationBlocked,
+  findConversationMessage,
+  findOrCreateDirectConversation,
+  sendConversationMessage,
+  editConversationMessage,
+  deleteConversationMessage,
+  markConversationRead,
+} from '../utils/conversations/store.js';
+import { loadAccountBlock, disconnectUser } from '../utils/moderation/enforcement.js';
 
 const prisma = new PrismaClient();
 
@@ -7,6 +27,36 @@ const prisma = new PrismaClient();
 const activeUsers = new Map(); // userId -> socketId
 const userSockets = new Map(); // socketId -> userId
 
+/**
+ * Resolve the user IDs allowed to see a non-public post (or a post in a private group)
+ * Mirrors the rules in utils/postVisibility.js from the author's side.
+ * @param {Object} post - Post with authorId, groupId, visibility and group.isPrivate
+ * @returns {Promise<string[]>} User IDs, always including the author
+ */
+async function restrictedPostAudience(post) {
+  if (post.visibility === 'PRIVATE') {
+    return [post.authorId];
+  }
+
+  let audience = null;
+
+  if (post.visibility === 'CONNECTIONS') {
+    const { connectionIds } = await loadViewerContext(post.authorId);
+    audience = [...connectionIds];
+  }
+
+  if (post.groupId && (post.visibility === 'GROUP' || post.group?.isPrivate)) {
+    const members = await prisma.groupMember.findMany({
+      where: { groupId: post.groupId },
+      select: { userId: true },
+    });
+    const memberIds = members.map((m) => m.userId);
+    audience = audience ? audience.filter((id) => memberIds.includes(id)) : memberIds;
+  }
+
+  return [...new Set([post.authorId, ...(audience || [])])];
+}
+
 /**
  * Initialize WebSocket server with Socket.IO
  */
@@ -21,6 +71,13 @@ export function initializeWebSocket(io) {
       }
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Suspended and banned accounts can't connect
+      const block = await loadAccountBlock(decoded.userId);
+      if (block) {
+        return next(new Error(block.error));
+      }
+
       const user = await prisma.user.findUnique({
         where: { id: decoded.userId },
         select: {
@@ -53,6 +110,22 @@ export function initializeWebSocket(io) {
     // Join user's personal room for notifications
     socket.join(`user:${socket.user.id}`);
 
+    // Recheck the account on every event, so a suspension or ban applied
+    // elsewhere (another server, or one that ran out) takes effect at once
+    socket.use(async (packet, next) => {
+      try {
+        const block = await loadAccountBlock(socket.user.id);
+        if (block) {
+          disconnectUser(io, socket.user.id, block);
+          return;
+        }
+        next();
+      } catch (error) {
+        console.error('Socket moderation check error:', error);
+        socket.emit('error', { message: 'Failed to process request' });
+      }
+    });
+
     // Emit online status to all users
     io.emit('user:online', {
       userId: socket.user.id,
@@ -63,73 +136,173 @@ export function initializeWebSocket(io) {
 
     /**
      * Send direct message
+     * Data: { conversationId, content, replyToId? }, or { receiverId, content, replyToId? }
+     * for your one-to-one conversation with a user. Attachments are sent over REST.
      */
     socket.on('message:send', async (data) => {
       try {
-        const { receiverId, content } = data;
+        const { conversationId, receiverId, content, replyToId } = data;
 
-        // Create message in database
-        const message = await prisma.message.create({
-          data: {
-            content,
-            senderId: socket.user.id,
-            receiverId,
-          },
-          include: {
-            sender: {
-              select: {
-                id: true,
-                username: true,
-                firstName: true,
-                lastName: true,
-                photoUrl: true,
-              },
-            },
-          },
-        });
+        const contentError = messageContentError(content);
+        if (contentError) {
+          socket.emit('error', { message: contentError });
+          return;
+        }
 
-        // Send to receiver if online
-        const receiverSocketId = activeUsers.get(receiverId);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('message:receive', message);
+        let conversation = null;
+        if (conversationId) {
+          conversation = await findConversationForUser(conversationId, socket.user.id);
+        } else if (receiverId && receiverId !== socket.user.id) {
+          const receiver = await prisma.user.findUnique({
+            where: { id: receiverId },
+            select: { id: true },
+          });
+          if (receiver) {
+            if (await isBlockedBetween(socket.user.id, receiverId)) {
+              socket.emit('error', { message: BLOCKED_ERROR });
+              return;
+            }
+            conversation = await findOrCreateDirectConversation(socket.user.id, receiverId);
+          }
         }
 
-        // Send confirmation to sender
-        socket.emit('message:sent', message);
+        if (!conversation) {
+          socket.emit('error', { message: 'Conversation not found' });
+          return;
+        }
 
-        // Create notification
-        await prisma.notification.create({
-          data: {
-            type: 'MESSAGE',
-            message: `${socket.user.firstName} ${socket.user.lastName} sent you a message`,
-            link: `/hub/messages`,
-            userId: receiverId,
-          },
-        });
+        if (await isConversationBlocked(conversation, socket.user.id)) {
+          socket.emit('error', { message: BLOCKED_ERROR });
+          return;
+        }
+
+        if (replyToId && !(await findConversationMessage(conversation.id, replyToId))) {
+          socket.emit('error', {
+            message: 'The message you are replying to is not in this conversation',
+          });
+          return;
+        }
 
-        // Emit notification
-        io.to(`user:${receiverId}`).emit('notification:new', {
-          type: 'MESSAGE',
-          message: `New message from ${socket.user.firstName}`,
+        const message = await sendConversationMessage(io, conversation, socket.user, {
+          content: content.trim(),
+          replyToId,
         });
+
+        // Send confirmation to sender
+        socket.emit('message:sent', message);
       } catch (error) {
         console.error('Message send error:', error);
         socket.emit('error', { message: 'Failed to send message' });
       }
     });
 
+    /**
+     * Edit one of your messages
+     * Data: { messageId, content }
+     */
+    socket.on('message:edit', async (data) => {
+      try {
+        const { messageId, content } = data;
+        const target = await loadOwnMessage(messageId);
+        if (!target) return;
+
+        const editError =
+          messageEditError(target.message, socket.user.id) || messageContentError(content);
+        if (editError) {
+          socket.emit('error', { message: editError });
+          return;
+        }
+
+        await editConversationMessage(io, target.conversation, target.message, content.trim());
+      } catch (error) {
+        console.error('Message edit error:', error);
+        socket.emit('error', { message: 'Failed to edit message' });
+      }
+    });
+
+    /**
+     * Delete one of your messages for everyone
+     * Data: { messageId }
+     */
+    socket.on('message:delete', async (data) => {
+      try {
+        const target = await loadOwnMessage(data.messageId);
+        if (!target) return;
+
+        const deleteError = messageDeleteError(target.message, socket.user.id);
+        if (deleteError) {
+          socket.emit('error', { message: deleteError });
+          return;
+        }
+
+        await deleteConversationMessage(io, target.conversation, target.message);
+      } catch (error) {
+        console.error('Message delete error:', error);
+        socket.emit('error', { message: 'Failed to delete message' });
+      }
+    });
+
+    /**
+     * Load a message and its conversation for editing or deleting
+     * @returns {Promise<Object|null>} { message, conversation }, or null after emitting an error
+     */
+    async function loadOwnMessage(messageId) {
+      const message = await prisma.message.findUnique({
+        where: { id: messageId },
+        include: { attachments: true },
+      });
+      const conversation =
+        message && (await findConversationForUser(message.conversationId, socket.user.id));
+
+      if (!conversation) {
+        socket.emit('error', { message: 'Message not found' });
+        return null;
+      }
+      return { message, conversation };
+    }
+
     /**
      * Typing indicator
      */
-    socket.on('message:typing', (data) => {
-      const { receiverId } = data;
-      const receiverSocketId = activeUsers.get(receiverId);
-
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('message:typing', {
-          senderId: socket.user.id,
-          senderName: socket.user.firstName,
-        });
+    socket.on('message:typing', async (data) => {
+      try {
+        const { conversationId, isTyping = true } = data;
+        const conversation = await findConversationForUser(conversationId, socket.user.id);
+        if (!conversation) return;
+
+        const others = conversation.participants
+          .filter((p) => p.userId !== socket.user.id)
+          .map((p) => `user:${p.userId}`);
+
+        if (others.length > 0) {
+          io.to(others).emit('message:typing', {
+            conversationId,
+            senderId: socket.user.id,
+            senderName: socket.user.firstName,
+            isTyping,
+          });
+        }
+      } catch (error) {
+        console.error('Message typing error:', error);
+      }
+    });
+
+    /**
+     * Mark a conversation as read
+     * Data: { conversationId, messageId? } (defaults to the latest message)
+     */
+    socket.on('message:read', async (data) => {
+      try {
+        const { conversationId, messageId } = data;
+        const conversation = await findConversationForUser(conversationId, socket.user.id);
+        if (!conversation) {
+          socket.emit('error', { message: 'Conversation not found' });
+          return;
+        }
+
+        await markConversationRead(io, conversation, socket.user.id, messageId);
+      } catch (error) {
+        console.error('Message read error:', error);
       }
     });
 
@@ -176,9 +349,31 @@ export function initializeWebSocket(io) {
     /**
      * Join a group room for real-time updates
      */
-    socket.on('group:join', (data) => {
-      const { groupId } = data;
-      socket.join(`group:${groupId}`);
+    socket.on('group:join', async (data) => {
+      try {
+        const { groupId } = data;
+
+        const group = await prisma.group.findUnique({
+          where: { id: groupId },
+          select: { isPrivate: true },
+        });
+        if (!group) return;
+
+        // Private group rooms carry members-only posts and poll results
+        if (group.isPrivate) {
+          const membership = await prisma.groupMember.findUnique({
+            where: { groupId_userId: { groupId, userId: socket.user.id } },
+          });
+          if (!membership) {
+            socket.emit('error', { message: 'You are not a member of this group' });
+            return;
+          }
+        }
+
+        socket.join(`group:${groupId}`);
+      } catch (error) {
+        console.error('Group join error:', error);
+      }
     });
 
     /**
@@ -191,14 +386,37 @@ export function initializeWebSocket(io) {
 
     /**
      * New post notification
+     * The post is re-read from the database and only delivered to users allowed to see it
      */
-    socket.on('post:new', (data) => {
-      const { post, groupId } = data;
+    socket.on('post:new', async (data) => {
+      try {
+        const postId = data?.postId || data?.post?.id;
+        if (!postId) return;
+
+        const rawPost = await prisma.post.findUnique({
+          where: { id: postId },
+          include: {
+            author: {
+              select: {
+                id: true,
+                username: true,
+                firstName: true,
+                lastName: true,
+                photoUrl: true,
+              },
+            },
+            group: { select: { id: true, name: true, isPrivate: true } },
+            attachments: { orderBy: { position: 'asc' } },
+          },
+        });
 
-      if (groupId) {
-        io.to(`group:${groupId}`).emit('post:update', { post });
-      } else {
-        io.emit('post:update', { post });
+        // Only the author may announce their own post
+        if (!rawPost || rawPost.authorId !== socket.user.id) return;
+
+        const post = presentPost(rawPost);
+        await broadcastPostEvent(io, post, 'post:update', { post });
+      } catch (error) {
+        console.error('Post broadcast error:', error);
       }
     });
 
@@ -353,16 +571,14 @@ export function initializeWebSocket(io) {
           },
         });
 
-        if (!membership) {
-          // Check if it's a public room
-          const room = await prisma.chatRoom.findUnique({
-            where: { id: roomId },
-          });
+        const room = await prisma.chatRoom.findUnique({
+          where: { id: roomId },
+        });
 
-          if (!room || room.type === 'PRIVATE') {
-            socket.emit('error', { message: 'You are not a member of this room' });
-            return;
-          }
+        // Non-members may only post in public rooms
+        if (!room || (!membership && room.type === 'PRIVATE')) {
+          socket.emit('error', { message: 'You are not a member of this room' });
+          return;
         }
 
         // Create message in database
@@ -387,6 +603,25 @@ export function initializeWebSocket(io) {
 
         // Broadcast message to all users in the room
         io.to(`chatroom:${roomId}`).emit('chatroom:message', message);
+
+        await syncContentLinks(io, {
+          sourceType: 'CHAT_MESSAGE',
+          sourceId: message.id,
+          author: socket.user,
+          text: content,
+          link: `/mim?room=${roomId}`,
+          // Private room mentions only reach members
+          canNotify:
+            room.type === 'PRIVATE'
+              ? async (userIds) => {
+                  const members = await prisma.chatRoomMember.findMany({
+                    where: { roomId, userId: { in: userIds } },
+                    select: { userId: true },
+                  });
+                  return members.map((m) => m.userId);
+                }
+              : null,
+        });
       } catch (error) {
         console.error('Chatroom message error:', error);
         socket.emit('error', { message: 'Failed to send message' });
@@ -496,6 +731,34 @@ export function emitNotification(io, userId, notification) {
   io.to(`user:${userId}`).emit('notification:new', notification);
 }
 
+/**
+ * Deliver a post-related event only to users allowed to read the post
+ * Public posts in a group go to the `group:<id>` room, other public posts to
+ * everyone, and restricted posts to each permitted user's personal room.
+ * Users blocked with the author or muting them are always left out.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} post - Post with authorId, groupId, visibility and group.isPrivate
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+export async function broadcastPostEvent(io, post, event, data) {
+  const hidden = (await findHiddenAudience(post.authorId)).map((userId) => `user:${userId}`);
+
+  if (post.visibility === 'PUBLIC' && !post.group?.isPrivate) {
+    if (post.groupId) {
+      io.to(`group:${post.groupId}`).except(hidden).emit(event, data);
+    } else {
+      io.except(hidden).emit(event, data);
+    }
+    return;
+  }
+
+  const audience = await restrictedPostAudience(post);
+  io.to(audience.map((userId) => `user:${userId}`))
+    .except(hidden)
+    .emit(event, data);
+}
+
 /**
  * Helper function to broadcast to a group
  */